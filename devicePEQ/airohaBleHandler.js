@@ -1,6 +1,10 @@
 // airohaBleHandler.js
 // Pragmatic Audio - Handler for Airoha BLE (Audeze Maxwell)
 
+import { timeoutError, constraintViolation } from './deviceErrors.js';
+import { retryPolicy, withRetry } from './deviceRetryPolicy.js';
+import { ProgressPhase, reportProgress } from './deviceProgress.js';
+
 export const airohaBle = (function () {
   const AIROHA = {
     NUM_BANDS: 10,
@@ -8,16 +12,21 @@ export const airohaBle = (function () {
     READ_RESPONSE_LENGTH: 193
   };
 
+  // Band type byte: 2 peak, 3 low shelf, 4 high shelf.
+  function filterTypeFromAiroha(value) {
+    return value === 3 ? "LSQ" : value === 4 ? "HSQ" : "PK";
+  }
+
   function buildReadPresetCommand(preset) {
     return new Uint8Array([0x05, 0x5A, 0x06, 0x00, 0x00, 0x0A, preset & 0xFF, 0xEF, 0xE8, 0x03]);
   }
 
   function buildWritePEQCommandMirror(presetNum, filters) {
     if (presetNum < 0 || presetNum > 3) {
-      throw new Error('Preset must be 0-3');
+      throw constraintViolation('Preset must be 0-3');
     }
     if (filters.length !== AIROHA.NUM_BANDS) {
-      throw new Error(`Must provide exactly ${AIROHA.NUM_BANDS} filters`);
+      throw constraintViolation(`Must provide exactly ${AIROHA.NUM_BANDS} filters`);
     }
 
     const cmd = [];
@@ -96,7 +105,7 @@ export const airohaBle = (function () {
         freq: freqHz,
         gain: gainDb,
         q: qValue,
-        type: "PK"
+        type: filterTypeFromAiroha(data[offset + 1])
       });
     }
 
@@ -108,7 +117,8 @@ export const airohaBle = (function () {
     for (const filter of filters) {
       normalized.push({
         freqHz: filter.freq,
-        gainDb: filter.gain,
+        // A disabled band is written flat, or its gain would stay active
+        gainDb: filter.disabled ? 0 : filter.gain,
         qValue: filter.q,
         filterType: filter.type === "LSQ" ? 3 : filter.type === "HSQ" ? 4 : 2
       });
@@ -176,11 +186,13 @@ export const airohaBle = (function () {
 
     try {
       const command = buildReadPresetCommand(slot);
-      await writePacket(deviceDetails, command);
-
-      const response = await readPEQPacket(deviceDetails, 5000);
+      const policy = retryPolicy(deviceDetails.modelConfig, 'readPreset', 5000);
+      const response = await withRetry(policy, async (timeoutMs) => {
+        await writePacket(deviceDetails, command);
+        return readPEQPacket(deviceDetails, timeoutMs);
+      }, { nullMeansTimeout: true });
       if (!response) {
-        throw new Error('No response from device when reading PEQ');
+        throw timeoutError('No response from device when reading PEQ');
       }
 
       console.log(`Airoha BLE: pulled ${response.filters.length} filters from slot ${slot}`);
@@ -199,10 +211,11 @@ export const airohaBle = (function () {
     console.log(`Airoha BLE: pushing ${filters.length} filters to slot ${slot}`);
 
     try {
-      const normalized = normalizeFilters(filters, AIROHA.NUM_BANDS);
-      const command = buildWritePEQCommandMirror(slot, normalized);
+      const command = encodeFilters(deviceDetails, filters, slot);
 
       await writePacket(deviceDetails, command);
+      // The whole preset is one packet.
+      reportProgress(deviceDetails, ProgressPhase.WRITE, AIROHA.NUM_BANDS, AIROHA.NUM_BANDS);
       console.log('Airoha BLE: PEQ write command sent');
       return false;
     } catch (error) {
@@ -211,6 +224,18 @@ export const airohaBle = (function () {
     }
   }
 
+  // The write command for `filters`: the whole preset in one packet.
+  function encodeFilters(deviceDetails, filters, slot = 0) {
+    return buildWritePEQCommandMirror(slot, normalizeFilters(filters, AIROHA.NUM_BANDS));
+  }
+
+  // The write command carries the bands where a read response does.
+  function decodeFilters(deviceDetails, command) {
+    const response = Uint8Array.from(command);
+    response.set(AIROHA.RESPONSE_HEADER, 0);
+    return parsePEQResponse(response).filters.map(filter => ({ ...filter, disabled: false }));
+  }
+
   async function enablePEQ(device, enabled, slotId) {
     console.log(`Airoha BLE: enable/disable not supported (requested ${enabled} for slot ${slotId})`);
   }
@@ -219,6 +244,8 @@ export const airohaBle = (function () {
     getCurrentSlot,
     pullFromDevice,
     pushToDevice,
-    enablePEQ
+    enablePEQ,
+    encodeFilters,
+    decodeFilters
   };
 })();
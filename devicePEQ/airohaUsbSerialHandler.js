@@ -3,6 +3,10 @@
 // Note: Many Airoha-based third-party apps have bugs with Connect Status (0x03)
 // that cause infinite retry loops with malformed checksums.
 
+import { timeoutError, constraintViolation } from './deviceErrors.js';
+import { retryPolicy, withRetry } from './deviceRetryPolicy.js';
+import { ProgressPhase, reportProgress } from './deviceProgress.js';
+
 export const airohaUsbSerial = (function () {
 
   const AIROHA = {
@@ -11,16 +15,21 @@ export const airohaUsbSerial = (function () {
     READ_RESPONSE_LENGTH: 193
   };
 
+  // Band type byte: 2 peak, 3 low shelf, 4 high shelf.
+  function filterTypeFromAiroha(value) {
+    return value === 3 ? "LSQ" : value === 4 ? "HSQ" : "PK";
+  }
+
   function buildReadPresetCommand(preset) {
     return new Uint8Array([0x05, 0x5A, 0x06, 0x00, 0x00, 0x0A, preset & 0xFF, 0xEF, 0xE8, 0x03]);
   }
 
   function buildWritePEQCommandFull(presetNum, filters) {
     if (presetNum < 0 || presetNum > 3) {
-      throw new Error('Preset must be 0-3');
+      throw constraintViolation('Preset must be 0-3');
     }
     if (filters.length !== AIROHA.NUM_BANDS) {
-      throw new Error(`Must provide exactly ${AIROHA.NUM_BANDS} filters`);
+      throw constraintViolation(`Must provide exactly ${AIROHA.NUM_BANDS} filters`);
     }
 
     const cmd = [];
@@ -57,9 +66,10 @@ export const airohaUsbSerial = (function () {
         // Filter header: 01 [type]
         cmd.push(0x01, filterType);
 
-        // Frequency (4 bytes: Hz × 100, as 2-byte int + 2 zero bytes)
+        // Frequency (4 bytes: Hz × 100, little-endian - as a read returns it;
+        // two bytes would wrap above 655.35 Hz)
         const freqVal = Math.round(band.freqHz * 100);
-        cmd.push(freqVal & 0xFF, (freqVal >> 8) & 0xFF, 0x00, 0x00);
+        cmd.push(freqVal & 0xFF, (freqVal >> 8) & 0xFF, (freqVal >> 16) & 0xFF, (freqVal >> 24) & 0xFF);
 
         // Gain (4 bytes: dB × 100, signed little-endian)
         const gainVal = Math.round(band.gainDb * 100);
@@ -122,7 +132,7 @@ export const airohaUsbSerial = (function () {
         freq: freqHz,
         gain: gainDb,
         q: qValue,
-        type: "PK"
+        type: filterTypeFromAiroha(data[offset + 1])
       });
     }
 
@@ -134,7 +144,8 @@ export const airohaUsbSerial = (function () {
     for (const filter of filters) {
       normalized.push({
         freqHz: filter.freq,
-        gainDb: filter.gain,
+        // A disabled band is written flat, or its gain would stay active
+        gainDb: filter.disabled ? 0 : filter.gain,
         qValue: filter.q,
         filterType: filter.type === "LSQ" ? 3 : filter.type === "HSQ" ? 4 : 2
       });
@@ -163,7 +174,7 @@ export const airohaUsbSerial = (function () {
     let buffer = [];
 
     while (Date.now() - startTime < timeoutMs) {
-      const { value, done } = await device.readable.read();
+      const { value, done } = await device.readable.read(Math.max(1, timeoutMs - (Date.now() - startTime)));
       if (done || !value) {
         await new Promise(resolve => setTimeout(resolve, 50));
         continue;
@@ -199,11 +210,13 @@ export const airohaUsbSerial = (function () {
 
     try {
       const command = buildReadPresetCommand(slot);
-      await writePacket(deviceDetails, command);
-
-      const response = await readPEQPacket(deviceDetails, 5000);
+      const policy = retryPolicy(deviceDetails.modelConfig, 'readPreset', 5000);
+      const response = await withRetry(policy, async (timeoutMs) => {
+        await writePacket(deviceDetails, command);
+        return readPEQPacket(deviceDetails, timeoutMs);
+      }, { nullMeansTimeout: true });
       if (!response) {
-        throw new Error('No response from device when reading PEQ');
+        throw timeoutError('No response from device when reading PEQ');
       }
 
       console.log(`Airoha USB Serial: pulled ${response.filters.length} filters from slot ${slot}`);
@@ -222,11 +235,11 @@ export const airohaUsbSerial = (function () {
     console.log(`Airoha USB Serial: pushing ${filters.length} filters to slot ${slot}`);
 
     try {
-      const normalized = normalizeFilters(filters, AIROHA.NUM_BANDS);
-      const command = buildWritePEQCommandFull(slot, normalized);
+      const command = encodeFilters(deviceDetails, filters, slot);
 
       await writePacket(deviceDetails, command);
-
+      // The whole preset is one packet.
+      reportProgress(deviceDetails, ProgressPhase.WRITE, AIROHA.NUM_BANDS, AIROHA.NUM_BANDS);
       console.log('Airoha USB Serial: PEQ write command sent');
       return true;
     } catch (error) {
@@ -235,6 +248,28 @@ export const airohaUsbSerial = (function () {
     }
   }
 
+  // The write command for `filters`: every sample rate's section in one packet.
+  function encodeFilters(deviceDetails, filters, slot = 0) {
+    return buildWritePEQCommandFull(slot, normalizeFilters(filters, AIROHA.NUM_BANDS));
+  }
+
+  // The bands of the first sample rate's section (all sections carry the same
+  // ones), each frequency read as the four bytes the write fills.
+  function decodeFilters(deviceDetails, command) {
+    const view = new DataView(Uint8Array.from(command).buffer);
+    const bandsStart = 13 + 9;   // header, length, subcommand, preset, count; section header, rate
+    return Array.from({ length: AIROHA.NUM_BANDS }, (_, i) => {
+      const offset = bandsStart + i * 18;
+      return {
+        type: filterTypeFromAiroha(view.getUint8(offset + 1)),
+        freq: view.getUint32(offset + 2, true) / 100,
+        gain: view.getInt32(offset + 6, true) / 100,
+        q: view.getUint32(offset + 10, true) / 100,
+        disabled: false
+      };
+    });
+  }
+
   async function enablePEQ(device, enabled, slotId) {
     console.log(`Airoha USB Serial: enable/disable not supported (requested ${enabled} for slot ${slotId})`);
   }
@@ -243,6 +278,8 @@ export const airohaUsbSerial = (function () {
     getCurrentSlot,
     pullFromDevice,
     pushToDevice,
-    enablePEQ
+    enablePEQ,
+    encodeFilters,
+    decodeFilters
   };
 })();
@@ -2,10 +2,22 @@
 // Copyright 2024 : Pragmatic Audio
 
 export const BluetoothBleConnector = (async function () {
+  // Every connected device; currentDevice is the most recent, which
+  // disconnectDevice() closes when called without a device.
   let currentDevice = null;
+  const connectedDevices = new Set();
+
+  const forget = (device) => {
+    connectedDevices.delete(device);
+    if (currentDevice === device) currentDevice = [...connectedDevices].pop() ?? null;
+  };
 
   const { bluetoothBleDeviceHandlerConfig } = await import('./bluetoothBleDeviceConfig.js');
   const { resolveConstraints, loadPeqConstraintsConfig } = await import('./peqConstraints.js');
+  const { transactionalPush } = await import('./peqTransaction.js');
+  const { queuedOperation, PRIORITY } = await import('./deviceQueue.js');
+  const { toDeviceError } = await import('./deviceErrors.js');
+  const { retryPolicy } = await import('./deviceRetryPolicy.js');
 
   function buildRequestOptions() {
     const filters = [];
@@ -61,7 +73,11 @@ export const BluetoothBleConnector = (async function () {
     return modelConfig;
   }
 
-  function createNotificationQueue(rxChar) {
+  // Buffers rxChar's notifications for handlers to read one at a time.
+  // readNotification() resolves null when nothing arrives in time - by default
+  // the model's 'notification' timeout (deviceRetryPolicy.js), 5 s unless set.
+  function createNotificationQueue(rxChar, modelConfig) {
+    const defaultTimeoutMs = retryPolicy(modelConfig, 'notification', 5000).timeoutMs;
     const queue = [];
     const waiters = [];
 
@@ -75,16 +91,21 @@ export const BluetoothBleConnector = (async function () {
       }
     });
 
-    return async function readNotification(timeoutMs = 5000) {
+    return async function readNotification(timeoutMs = defaultTimeoutMs) {
       if (queue.length > 0) {
         return queue.shift();
       }
       return await new Promise(resolve => {
-        const timer = setTimeout(() => resolve(null), timeoutMs);
-        waiters.push(value => {
+        const waiter = value => {
           clearTimeout(timer);
           resolve(value);
-        });
+        };
+        // A waiter that timed out must not swallow the next notification.
+        const timer = setTimeout(() => {
+          waiters.splice(waiters.indexOf(waiter), 1);
+          resolve(null);
+        }, timeoutMs);
+        waiters.push(waiter);
       });
     };
   }
@@ -100,8 +121,9 @@ export const BluetoothBleConnector = (async function () {
         return { unsupported: true };
       }
 
-      if (currentDevice) {
-        return currentDevice;
+      const existing = [...connectedDevices].find(d => d.rawDevice === rawDevice);
+      if (existing) {
+        return { duplicate: true, device: existing };
       }
 
       const server = await rawDevice.gatt.connect();
@@ -110,16 +132,16 @@ export const BluetoothBleConnector = (async function () {
       const txChar = await service.getCharacteristic(entry.gatt.txCharacteristicUuid);
       const rxChar = await service.getCharacteristic(entry.gatt.rxCharacteristicUuid);
 
-      await rxChar.startNotifications();
-      const readNotification = createNotificationQueue(rxChar);
-
       const modelConfig = await resolveModelConfig(entry, rawDevice.name || '');
+
+      await rxChar.startNotifications();
+      const readNotification = createNotificationQueue(rxChar, modelConfig);
       const model = rawDevice.name || 'Bluetooth Device';
 
       const deviceEntry = entry.devices?.[rawDevice.name]
         || entry.devices?.[Object.keys(entry.devices || {})[0]]
         || {};
-      currentDevice = {
+      const device = {
         rawDevice,
         manufacturer:    entry.manufacturer || 'Bluetooth',
         model,
@@ -132,26 +154,26 @@ export const BluetoothBleConnector = (async function () {
         audioOutputName: deviceEntry.audioOutputName  || null,
       };
 
-      rawDevice.addEventListener('gattserverdisconnected', () => {
-        currentDevice = null;
-      });
+      rawDevice.addEventListener('gattserverdisconnected', () => forget(device));
+      connectedDevices.add(device);
+      currentDevice = device;
 
-      return currentDevice;
+      return device;
     } catch (error) {
       if (error && error.name === 'NotFoundError') {
         console.log('Bluetooth device chooser cancelled by user.');
         return { cancelled: true };
       }
       console.error('Failed to connect to Bluetooth BLE device:', error);
-      return null;
+      throw toDeviceError(error);
     }
   };
 
-  const disconnectDevice = async () => {
-    if (currentDevice && currentDevice.rawDevice?.gatt?.connected) {
+  const disconnectDevice = async (device = currentDevice) => {
+    if (device && device.rawDevice?.gatt?.connected) {
       try {
-        await currentDevice.rawDevice.gatt.disconnect();
-        currentDevice = null;
+        await device.rawDevice.gatt.disconnect();
+        forget(device);
       } catch (error) {
         console.error('Failed to disconnect BLE device:', error);
       }
@@ -160,7 +182,17 @@ export const BluetoothBleConnector = (async function () {
 
   const pushToDevice = async (device, phoneObj, slot, preamp, filters) => {
     if (!device || !device.handler) return;
-    return await device.handler.pushToDevice(device, phoneObj, slot, preamp, filters);
+    return await transactionalPush({
+      label: device.model,
+      slot,
+      filters,
+      supportsRead: device.modelConfig?.transactionalPush !== false &&
+        resolveConstraints(device.modelConfig)?.supportsRead !== false,
+      timeoutMs: device.modelConfig?.pushTimeoutMs,
+      read: (s) => device.handler.pullFromDevice(device, s),
+      push: () => device.handler.pushToDevice(device, phoneObj, slot, preamp, filters),
+      restore: (snapshot) => device.handler.pushToDevice(device, phoneObj, slot, snapshot.globalGain ?? 0, snapshot.filters),
+    });
   };
 
   const pullFromDevice = async (device, slot) => {
@@ -183,11 +215,12 @@ export const BluetoothBleConnector = (async function () {
 
   return {
     getAvailableSlots,
-    getCurrentSlot,
+    getCurrentSlot: queuedOperation(getCurrentSlot, { label: 'getCurrentSlot', priority: PRIORITY.NORMAL }),
     getDeviceConnected,
     disconnectDevice,
-    pushToDevice,
-    pullFromDevice,
-    enablePEQ,
+    getConnectedDevices: () => [...connectedDevices],
+    pushToDevice: queuedOperation(pushToDevice, { label: 'push', priority: PRIORITY.HIGH }),
+    pullFromDevice: queuedOperation(pullFromDevice, { label: 'pull', priority: PRIORITY.HIGH }),
+    enablePEQ: queuedOperation(enablePEQ, { label: 'enablePEQ', priority: PRIORITY.HIGH }),
   };
 })();
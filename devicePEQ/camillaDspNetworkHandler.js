@@ -0,0 +1,387 @@
+// camillaDspNetworkHandler.js
+// Copyright 2025 : Pragmatic Audio
+//
+// CamillaDSP Network Handler for PEQ over its websocket API (default port 1234,
+// `camilladsp -p 1234`). The EQ lives in the active config as a named chain of
+// Biquad filters, DevicePEQ_01, DevicePEQ_02, ..., with a Gain filter,
+// DevicePEQ_preamp, in front of them. A Filter step runs the chain on every
+// playback channel, at the end of the pipeline unless it has been moved. A push
+// rewrites only the chain, so the rest of the config (devices, mixers, the
+// user's own filters) is left as it was.
+//
+// An unlinked set (peqChannels.js) keeps each channel's bands in a chain of
+// its own, DevicePEQ_L_01, ... and DevicePEQ_R_01, ..., run on playback
+// channels 0 and 1 after the shared preamp; a pull joins them again.
+//
+// Commands go out as JSON, "GetVersion" or {"SetConfigJson": "..."}, and each
+// reply names its command: {"GetVersion": {"result": "Ok", "value": "3.0.0"}}.
+//
+
+import { protocolError, timeoutError, disconnectedError } from './deviceErrors.js';
+import { CHANNELS, isLinked, splitChannels, joinChannels } from './peqChannels.js';
+
+export const camillaDspNetworkHandler = (function () {
+  const DEFAULT_PORT = 1234;
+  const DEFAULT_CHAIN_NAME = 'DevicePEQ';
+  const REQUEST_TIMEOUT_MS = 6000; // a config round trip on a Raspberry Pi is well under this
+
+  // App filter types to CamillaDSP Biquad types, and the ones that take a gain.
+  // Pulled filters come back as the first name in each list.
+  const BIQUAD_TYPES = {
+    Peaking:   ['PK', 'Peak'],
+    Lowshelf:  ['LSQ', 'Low-Shelf', 'LS'],
+    Highshelf: ['HSQ', 'High-Shelf', 'HS'],
+    Lowpass:   ['LP', 'LPF', 'Low-Pass'],
+    Highpass:  ['HP', 'HPF', 'High-Pass'],
+    Notch:     ['NOTCH', 'Notch'],
+    Allpass:   ['ALLPASS', 'AllPass', 'All-Pass', 'AP', 'APF'],
+  };
+  const WITH_GAIN = new Set(['Peaking', 'Lowshelf', 'Highshelf']);
+
+  function toBiquadType(type) {
+    const found = Object.entries(BIQUAD_TYPES).find(([, names]) => names.includes(type));
+    if (!found) throw protocolError(`CamillaDSP: filter type ${type} is not supported`);
+    return found[0];
+  }
+
+  // ws://host:1234, or wss:// when the device's protocol is https (CamillaDSP
+  // behind a TLS proxy). The network bridge only forwards HTTP, so a proxyUrl
+  // is not used.
+  function websocketUrl(device) {
+    if (typeof device === 'string') return `ws://${device}:${DEFAULT_PORT}`;
+    const host = device.host ?? device.ip;
+    const scheme = device.protocol === 'https' ? 'wss' : 'ws';
+    return `${scheme}://${host.includes(':') ? `[${host}]` : host}:${device.port ?? DEFAULT_PORT}`;
+  }
+
+  // Opens a websocket to `url`. Resolves { request(command, arg), close() } once
+  // it is open; replies are matched to requests by the command they name.
+  // onClose runs when the socket closes, however that happens.
+  function openConnection(url, onClose = () => {}) {
+    return new Promise((resolve, reject) => {
+      let ws;
+      try {
+        ws = new WebSocket(url);
+      } catch (error) {
+        reject(disconnectedError(`CamillaDSP: cannot open ${url}: ${error.message}`));
+        return;
+      }
+      const pending = [];
+      let opened = false;
+
+      function fail(error) {
+        pending.splice(0).forEach(p => { clearTimeout(p.timer); p.reject(error); });
+      }
+
+      const connectTimer = setTimeout(() => {
+        ws.close();
+        reject(timeoutError(`CamillaDSP: no answer from ${url} within ${REQUEST_TIMEOUT_MS}ms`));
+      }, REQUEST_TIMEOUT_MS);
+
+      ws.addEventListener('open', () => {
+        opened = true;
+        clearTimeout(connectTimer);
+        resolve({ url, request, close: () => ws.close() });
+      });
+      ws.addEventListener('error', () => {
+        if (opened) return; // a close event follows
+        clearTimeout(connectTimer);
+        reject(disconnectedError(`CamillaDSP: cannot reach ${url}. Is camilladsp running with -p ${DEFAULT_PORT}?`));
+      });
+      ws.addEventListener('close', () => {
+        onClose();
+        fail(disconnectedError(`CamillaDSP: connection to ${url} closed`));
+      });
+      ws.addEventListener('message', (event) => {
+        let reply;
+        try {
+          reply = JSON.parse(event.data);
+        } catch (_) {
+          console.warn('CamillaDSP: ignoring a reply that is not JSON', event.data);
+          return;
+        }
+        const command = typeof reply === 'object' && reply ? Object.keys(reply)[0] : null;
+        const index = pending.findIndex(p => p.command === command);
+        if (index === -1) return;
+        const [{ resolve: done, reject: failed, timer }] = pending.splice(index, 1);
+        clearTimeout(timer);
+        const { result, value } = reply[command] ?? {};
+        if (result === 'Ok') done(value);
+        else failed(protocolError(`CamillaDSP: ${command} failed: ${result}${value ? ` (${value})` : ''}`,
+          null, { result, value }));
+      });
+
+      function request(command, arg) {
+        return new Promise((done, failed) => {
+          if (ws.readyState !== 1) {
+            failed(disconnectedError(`CamillaDSP: connection to ${url} is closed`));
+            return;
+          }
+          const timer = setTimeout(() => {
+            const index = pending.findIndex(p => p.timer === timer);
+            if (index !== -1) pending.splice(index, 1);
+            failed(timeoutError(`CamillaDSP: no reply to ${command} within ${REQUEST_TIMEOUT_MS}ms`));
+          }, REQUEST_TIMEOUT_MS);
+          pending.push({ command, resolve: done, reject: failed, timer });
+          ws.send(JSON.stringify(arg === undefined ? command : { [command]: arg }));
+        });
+      }
+    });
+  }
+
+  // One open connection per websocket URL, kept until close() or the socket drops.
+  const connections = new Map();
+
+  function connection(device) {
+    const url = websocketUrl(device);
+    if (!connections.has(url)) {
+      const forget = () => { if (connections.get(url) === opening) connections.delete(url); };
+      const opening = openConnection(url, forget);
+      connections.set(url, opening);
+      opening.catch(forget);
+    }
+    return connections.get(url);
+  }
+
+  async function request(device, command, arg) {
+    return (await connection(device)).request(command, arg);
+  }
+
+  async function getConfig(device) {
+    const text = await request(device, 'GetConfigJson');
+    const config = text ? JSON.parse(text) : null;
+    if (!config) throw protocolError('CamillaDSP: no config is loaded');
+    return config;
+  }
+
+  function chainName(device) {
+    return device.modelConfig?.filterChainName || DEFAULT_CHAIN_NAME;
+  }
+
+  // DevicePEQ_01 for both channels, DevicePEQ_L_01 for the left one.
+  function bandName(chain, channel, number) {
+    return `${chain}_${channel === 'both' ? '' : `${channel}_`}${String(number).padStart(2, '0')}`;
+  }
+
+  function bandPattern(chain, channel = 'both') {
+    const prefix = `${chain}_${channel === 'both' ? '' : `${channel}_`}`;
+    return new RegExp(`^${prefix.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}(\\d+)$`);
+  }
+
+  // The chain's band filter names for `channel` in order (DevicePEQ_01,
+  // DevicePEQ_02, ...).
+  function bandNames(config, chain, channel = 'both') {
+    const pattern = bandPattern(chain, channel);
+    return Object.keys(config.filters ?? {})
+      .filter(name => pattern.test(name))
+      .sort((a, b) => Number(pattern.exec(a)[1]) - Number(pattern.exec(b)[1]));
+  }
+
+  function isChainFilter(name, chain) {
+    return name === `${chain}_preamp` || ['both', ...CHANNELS].some(ch => bandPattern(chain, ch).test(name));
+  }
+
+  // Takes the chain out of the pipeline. Returns the index its first step had,
+  // where a new one goes, or -1 when it was not there.
+  function removeChainSteps(config, chain) {
+    let at = -1;
+    config.pipeline = (config.pipeline ?? []).filter((step, index) => {
+      if (step.type !== 'Filter' || !(step.names ?? []).some(n => isChainFilter(n, chain))) return true;
+      if (at === -1) at = index;
+      step.names = step.names.filter(n => !isChainFilter(n, chain));
+      return step.names.length > 0;
+    });
+    return at === -1 ? -1 : Math.min(at, config.pipeline.length);
+  }
+
+  // Runs `namesFor(channel)` on each playback channel: from CamillaDSP 3 one
+  // step per distinct list, naming the channels it runs on; one step per
+  // channel before that.
+  async function addChainSteps(device, config, namesFor, at) {
+    const channels = Array.from({ length: Number(config.devices?.playback?.channels) || 2 }, (_, i) => i)
+      .map(channel => ({ channel, names: namesFor(channel) }))
+      .filter(({ names }) => names.length > 0);
+    if (channels.length === 0) return;
+    const major = parseInt(await request(device, 'GetVersion'), 10);
+    let steps;
+    if (major >= 3) {
+      const byNames = new Map();
+      for (const { channel, names } of channels) {
+        const key = names.join('\n');
+        if (!byNames.has(key)) byNames.set(key, { type: 'Filter', channels: [], names });
+        byNames.get(key).channels.push(channel);
+      }
+      steps = [...byNames.values()];
+    } else {
+      steps = channels.map(({ channel, names }) => ({ type: 'Filter', channel, names }));
+    }
+    config.pipeline.splice(at === -1 ? config.pipeline.length : at, 0, ...steps);
+  }
+
+  // The chain's filters for a playback channel: the preamp and shared bands
+  // everywhere, then the left bands on channel 0 and the right ones on 1.
+  function chainStepNames(config, chain) {
+    const preamp = `${chain}_preamp`;
+    const shared = [...(config.filters?.[preamp] ? [preamp] : []), ...bandNames(config, chain)];
+    return channel => [...shared, ...(CHANNELS[channel] ? bandNames(config, chain, CHANNELS[channel]) : [])];
+  }
+
+  // The config entry for one band.
+  function toBiquad(f) {
+    const biquadType = toBiquadType(f.type ?? 'PK');
+    return {
+      type: 'Biquad',
+      parameters: {
+        type: biquadType,
+        freq: Number(f.freq),
+        q: Number(f.q),
+        ...(WITH_GAIN.has(biquadType) ? { gain: Number(f.gain) } : {}),
+      },
+    };
+  }
+
+  // One band from its config entry; anything but a known Biquad is reported
+  // as a disabled band.
+  function fromBiquad(name, { type, parameters = {} }) {
+    const biquadType = type === 'Biquad' ? parameters.type : null;
+    if (!BIQUAD_TYPES[biquadType]) {
+      console.warn(`CamillaDSP: ${name} is a ${biquadType ?? type} filter, reporting it as disabled`);
+      return { type: 'PK', freq: Number(parameters.freq) || 1000, q: 1, gain: 0, disabled: true };
+    }
+    return {
+      type: BIQUAD_TYPES[biquadType][0],
+      freq: Number(parameters.freq),
+      q: Number(parameters.q ?? 0.707),
+      gain: WITH_GAIN.has(biquadType) ? Number(parameters.gain) : 0,
+    };
+  }
+
+  // The chain is as long as the last push made it. Off bands fill it up to
+  // the model's band count, so the snapshot a push takes first
+  // (peqTransaction.js) covers every band the push may write.
+  function padBands(device, filters) {
+    while (filters.length < (device.modelConfig?.maxFilters ?? 0)) {
+      filters.push({ type: 'PK', freq: 1000, q: 1, gain: 0, disabled: true });
+    }
+    return filters;
+  }
+
+  // The chain's config entries for `filters`, in order. Disabled bands are
+  // left out, so the ones after them move up.
+  function encodeFilters(device, filters) {
+    return (filters || []).filter(f => !f.disabled).map(toBiquad);
+  }
+
+  // What a pull reports once `encoded` is the chain.
+  function decodeFilters(device, encoded) {
+    return padBands(device, encoded.map((entry, i) => fromBiquad(`band ${i + 1}`, entry)));
+  }
+
+  async function pullFromDevice(device, slot) {
+    try {
+      const config = await getConfig(device);
+      const chain = chainName(device);
+      const decode = names => names.map(name => fromBiquad(name, config.filters[name]));
+      const shared = decode(bandNames(config, chain));
+      const [left, right] = CHANNELS.map(ch => decode(bandNames(config, chain, ch)));
+      const filters = left.length === 0 && right.length === 0
+        ? padBands(device, shared)
+        : joinChannels(padBands(device, [...shared, ...left]), padBands(device, [...shared, ...right]));
+      const preamp = config.filters?.[`${chain}_preamp`];
+      const globalGain = preamp?.type === 'Gain' ? Number(preamp.parameters?.gain) || 0 : 0;
+      return { filters, globalGain, currentSlot: 0, deviceDetails: { maxFilters: device.modelConfig?.maxFilters } };
+    } catch (err) {
+      console.error('CamillaDSP: error pulling from device', err);
+      throw err;
+    }
+  }
+
+  // Replaces the chain with `filters` (disabled ones left out, each channel's
+  // own of an unlinked set) and `preamp`, in one SetConfigJson.
+  async function pushToDevice(device, phoneObj, slot, preamp, filters) {
+    try {
+      const config = await getConfig(device);
+      const chain = chainName(device);
+      config.filters = Object.fromEntries(
+        Object.entries(config.filters ?? {}).filter(([name]) => !isChainFilter(name, chain)));
+
+      const channels = isLinked(filters) ? { both: filters } : splitChannels(filters);
+      let written = 0;
+      for (const [channel, bands] of Object.entries(channels)) {
+        encodeFilters(device, bands).forEach((entry, i) => {
+          config.filters[bandName(chain, channel, i + 1)] = entry;
+          written++;
+        });
+      }
+      config.filters[`${chain}_preamp`] = {
+        type: 'Gain',
+        parameters: { gain: Number(preamp ?? 0), inverted: false },
+      };
+
+      const at = removeChainSteps(config, chain);
+      await addChainSteps(device, config, chainStepNames(config, chain), at);
+      await request(device, 'SetConfigJson', JSON.stringify(config));
+      console.log(`CamillaDSP: ${written} filters written to ${chain}`);
+      return false; // no restart required
+    } catch (err) {
+      console.error('CamillaDSP: error pushing to device', err);
+      throw err;
+    }
+  }
+
+  // Disabling takes the chain's step out of the pipeline and keeps its
+  // filters; enabling puts it back at the end.
+  async function enablePEQ(device, enabled, slotId) {
+    try {
+      const config = await getConfig(device);
+      const chain = chainName(device);
+      const at = removeChainSteps(config, chain);
+      if (enabled) await addChainSteps(device, config, chainStepNames(config, chain), at);
+      await request(device, 'SetConfigJson', JSON.stringify(config));
+      console.log(`CamillaDSP: PEQ ${enabled ? 'enabled' : 'disabled'}`);
+    } catch (err) {
+      console.error('CamillaDSP: error toggling PEQ', err);
+      throw err;
+    }
+  }
+
+  // The active config is the only place the chain lives.
+  async function getCurrentSlot(device) {
+    return 0;
+  }
+
+  async function getAvailableSlots(device) {
+    return [{ id: 0, name: 'Active config' }];
+  }
+
+  // Checks that CamillaDSP answers at the device's address, on a connection
+  // of its own so a connected device's is left open.
+  async function probe(device) {
+    const probing = await openConnection(websocketUrl(device));
+    try {
+      await probing.request('GetVersion');
+    } finally {
+      probing.close();
+    }
+  }
+
+  // Closes the device's websocket; NetworkDeviceConnector.disconnectDevice() calls it.
+  async function close(device) {
+    const url = websocketUrl(device);
+    const open = connections.get(url);
+    connections.delete(url);
+    if (open) (await open.catch(() => null))?.close();
+  }
+
+  return {
+    probe,
+    getCurrentSlot,
+    getAvailableSlots,
+    pullFromDevice,
+    pushToDevice,
+    enablePEQ,
+    encodeFilters,
+    decodeFilters,
+    close,
+  };
+})();
@@ -55,7 +55,7 @@ export function rbjA(gainDb) {
 
 export const NO_COMPENSATION = 1.0;
 
-// Every band is rewritten on every save, so an unbounded clamp warning fires
+// A full save rewrites every band, so an unbounded clamp warning fires
 // hundreds of times per run. That is not just noise: with devtools open, a
 // console flood is enough to make the page itself crawl.
 const warnedKeys = new Set();
@@ -62,25 +62,39 @@ export const conexantUsbHidHandler = (function () {
   }
 
   async function pushToDevice(deviceDetails, phoneObj, slot, globalGain, filters) {
+    return writeFilters(deviceDetails, PACKET_ID_SAVE, filters);
+  }
+
+  // RAM writes take effect straight away but are lost on power-off, so they
+  // can be auditioned without wearing the flash. commitToDevice() has no
+  // separate "save" command to send: it rewrites the same filters as SAVE packets.
+  async function previewToDevice(deviceDetails, phoneObj, slot, globalGain, filters) {
+    return writeFilters(deviceDetails, PACKET_ID_RAM, filters);
+  }
+
+  async function commitToDevice(deviceDetails, phoneObj, slot, globalGain, filters) {
+    return writeFilters(deviceDetails, PACKET_ID_SAVE, filters);
+  }
+
+  async function writeFilters(deviceDetails, packetId, filters) {
     const device = deviceDetails.rawDevice;
+    const target = packetId === PACKET_ID_RAM ? 'RAM' : 'flash';
 
     try {
       // Write each filter with all 4 sample-rate variants
       for (let i = 0; i < filters.length && i < FIXED_FREQUENCIES.length; i++) {
-        const filter = filters[i];
-        console.log(`USB Device PEQ: Conexant writing filter ${i}: freq=${filter.freq}, gain=${filter.gain}, q=${filter.q}`);
-
-        // Write to flash (save mode)
-        await writeFilterToFlash(device, i + 1, filter);
+        const filter = bandToWrite(filters[i]);
+        console.log(`USB Device PEQ: Conexant writing filter ${i} to ${target}: freq=${filter.freq}, gain=${filter.gain}, q=${filter.q}`);
+        await writeFilter(device, packetId, i + 1, filter);
       }
 
       // Apply the EQ profile
       await applyEQMode(device, 0);
 
-      console.log(`USB Device PEQ: Conexant pushed ${filters.length} filters successfully`);
+      console.log(`USB Device PEQ: Conexant pushed ${filters.length} filters to ${target} successfully`);
       return false;
     } catch (error) {
-      console.error('USB Device PEQ: Conexant pushToDevice failed:', error);
+      console.error(`USB Device PEQ: Conexant ${target} write failed:`, error);
       throw error;
     }
   }
@@ -137,18 +151,45 @@ export const conexantUsbHidHandler = (function () {
     return packet;
   }
 
-  async function writeFilterToFlash(device, bandNumber, filter) {
-    // Part 1: Write config frame
-    const configData = [
+  // A disabled band is still written, at 0 dB, or its previous gain would
+  // stay active
+  function bandToWrite(filter) {
+    return filter.disabled ? { ...filter, gain: 0 } : filter;
+  }
+
+  function configFrame(bandNumber, filter) {
+    return [
       0,                                    // data[0]
       bandNumber,                           // data[1] - band 1-9
-      filter.freq,                          // data[2] - frequency
+      Math.trunc(filter.freq),              // data[2] - frequency (whole Hz)
       Math.round(filter.q * 256),           // data[3] - Q fixed-point
       convertFromFilterType(filter.type),   // data[4] - filter type
       Math.round(filter.gain * 256)         // data[5] - gain fixed-point
     ];
+  }
+
+  // The config frame of each band the device has; the biquads written after
+  // it are computed from the same values.
+  function encodeFilters(deviceDetails, filters) {
+    return filters.slice(0, FIXED_FREQUENCIES.length).map((filter, i) => configFrame(i + 1, bandToWrite(filter)));
+  }
 
-    const configPacket = packPacket(PACKET_ID_SAVE, configData);
+  // The device cannot be read back, so this is what the config frames hold.
+  function decodeFilters(deviceDetails, frames) {
+    return frames.map(data => ({
+      type: convertToFilterType(data[4]),
+      freq: data[2],
+      q: data[3] / 256,
+      gain: data[5] / 256,
+      disabled: false
+    }));
+  }
+
+  async function writeFilter(device, packetId, bandNumber, filter) {
+    // Part 1: Write config frame
+    const configData = configFrame(bandNumber, filter);
+
+    const configPacket = packPacket(packetId, configData);
     logHidTx('Conexant', REPORT_ID, configPacket);
     console.log(`[Conexant] Writing config for band ${bandNumber}: ${JSON.stringify(configData)}`);
     await device.sendReport(REPORT_ID, configPacket);
@@ -169,7 +210,7 @@ export const conexantUsbHidHandler = (function () {
         biquad[4]                           // data[7] - a2 (negated)
       ];
 
-      const biquadPacket = packPacket(PACKET_ID_SAVE, biquadData);
+      const biquadPacket = packPacket(packetId, biquadData);
       logHidTx('Conexant', REPORT_ID, biquadPacket);
       console.log(`[Conexant] Writing biquad for band ${bandNumber} @ ${sampleRateInfo.rate}Hz`);
       await device.sendReport(REPORT_ID, biquadPacket);
@@ -283,10 +324,18 @@ export const conexantUsbHidHandler = (function () {
     return mapping[filterType] || 0;
   }
 
+  function convertToFilterType(value) {
+    return ['PK', 'LSQ', 'HSQ'][value] ?? 'PK';
+  }
+
   return {
     getCurrentSlot,
     pullFromDevice,
     pushToDevice,
-    enablePEQ
+    previewToDevice,
+    commitToDevice,
+    enablePEQ,
+    encodeFilters,
+    decodeFilters
   };
 })();
@@ -0,0 +1,129 @@
+// connectorRegistry.js
+// Copyright 2024 : Pragmatic Audio
+//
+// Single place that maps a connection type ('usb', 'serial', 'ble', 'network',
+// 'virtual') to the connector that drives it. plugin.js dispatches every
+// connect, push, pull, enablePEQ and disconnect through here instead of
+// branching on the type, so adding a transport means one registerConnector()
+// call and every operation is covered for it automatically.
+
+// Every connector must implement all of these. registerConnector() refuses a
+// connector that doesn't, so a missing operation is caught at load time rather
+// than silently skipped by the one branch somebody forgot to update.
+export const CONNECTOR_OPERATIONS = [
+  'getDeviceConnected',
+  'disconnectDevice',
+  'pushToDevice',
+  'pullFromDevice',
+  'getAvailableSlots',
+  'getCurrentSlot',
+  'enablePEQ',
+];
+
+// Optional operations, used when present:
+//   waitForReconnect(previous, { timeoutMs, signal }) – reopen a device that comes back
+//   getGrantedDevices() – [{ rawDevice, model, manufacturer }] granted on earlier visits;
+//                         selection.rawDevice then connects to one without the chooser
+//   supportsPreview(device), previewToDevice(...same as pushToDevice), commitToDevice(device)
+//                       – audition filters without saving them, then save on request
+//   encodeFilters(device, filters) – dry run of pushToDevice: { requested, stored, rows, notes }
+//                                    (see peqEncode.js); nothing is written
+//   probeDevice(address, deviceType, { proxyUrl }) – network: whether a device answers at an address,
+//                                                    { ok, ms, error }, without connecting to it
+
+const connectors = new Map();
+
+// Register a connector for a connection type.
+//
+// options.label           – human name used in messages ("USB", "Bluetooth", …)
+// options.connect         – (selection) => device. Defaults to
+//                           connector.getDeviceConnected() with no arguments;
+//                           transports that need input (network IP) supply one.
+// options.disconnectEvent – event fired on device.rawDevice when the device
+//                           goes away ('disconnect', 'gattserverdisconnected').
+//                           Omit for transports with no such event.
+export function registerConnector(type, connector, options = {}) {
+  if (!type) throw new Error('registerConnector: a connection type is required');
+  const missing = CONNECTOR_OPERATIONS.filter(op => typeof connector?.[op] !== 'function');
+  if (missing.length > 0) {
+    throw new Error(`registerConnector: "${type}" connector is missing ${missing.join(', ')}`);
+  }
+  const entry = {
+    type,
+    connector,
+    label: options.label ?? type,
+    connect: options.connect ?? (() => connector.getDeviceConnected()),
+    disconnectEvent: options.disconnectEvent ?? null,
+  };
+  connectors.set(type, entry);
+  return entry;
+}
+
+export function unregisterConnector(type) {
+  return connectors.delete(type);
+}
+
+// Returns the registry entry ({ type, connector, label, connect, disconnectEvent }),
+// or null if nothing is registered for the type.
+export function getConnectorEntry(type) {
+  return connectors.get(type) ?? null;
+}
+
+// Returns the connector for a type. Throws for an unknown type — dispatching to
+// nothing is exactly the bug this registry exists to prevent.
+export function getConnector(type) {
+  const entry = connectors.get(type);
+  if (!entry) throw new Error(`No connector registered for connection type "${type}"`);
+  return entry.connector;
+}
+
+export function getConnectorTypes() {
+  return Array.from(connectors.keys());
+}
+
+// Imports and registers the built-in transports. Safe to call more than once;
+// connectors already registered (including host overrides) are kept.
+//
+// 'virtual' (virtualDeviceConnector.js) is optional: it builds on the mocks in
+// tests/, which a deployment may leave out, so failing to load it only drops
+// that connection type.
+export async function loadDefaultConnectors() {
+  const defaults = [
+    { type: 'usb', name: 'UsbHIDConnector', module: './usbHidConnector.js',
+      label: 'USB', disconnectEvent: 'disconnect',
+      connect: (connector, selection) => connector.getDeviceConnected(selection?.rawDevice) },
+    { type: 'serial', name: 'UsbSerialConnector', module: './usbSerialConnector.js',
+      label: 'USB Serial', disconnectEvent: 'disconnect',
+      connect: (connector, selection) => connector.getDeviceConnected(selection?.rawDevice) },
+    { type: 'ble', name: 'BluetoothBleConnector', module: './bluetoothBleConnector.js',
+      label: 'Bluetooth', disconnectEvent: 'gattserverdisconnected' },
+    { type: 'network', name: 'NetworkDeviceConnector', module: './networkDeviceConnector.js',
+      label: 'network',
+      connect: (connector, selection) =>
+        connector.getDeviceConnected(selection?.address ?? selection?.ipAddress, selection?.deviceType,
+          { name: selection?.name, proxyUrl: selection?.proxyUrl, model: selection?.model }) },
+    { type: 'virtual', name: 'VirtualDeviceConnector', module: './virtualDeviceConnector.js',
+      label: 'virtual device', optional: true,
+      connect: (connector, selection) => connector.getDeviceConnected(selection?.virtualModel) },
+  ];
+
+  for (const { type, name, module, label, disconnectEvent, connect, optional } of defaults) {
+    if (connectors.has(type)) continue;
+    // Connector modules export either the connector or a promise of it.
+    let connector;
+    try {
+      connector = await (await import(module))[name];
+    } catch (error) {
+      if (!optional) throw error;
+      console.warn(`${name} not available:`, error);
+      continue;
+    }
+    registerConnector(type, connector, {
+      label,
+      disconnectEvent,
+      connect: connect ? (selection) => connect(connector, selection) : undefined,
+    });
+    console.log(`${name} loaded`);
+  }
+  return getConnectorTypes();
+}
@@ -0,0 +1,90 @@
+// deviceErrors.js
+// Copyright 2025 : Pragmatic Audio
+//
+// The kinds of failure a connector or handler reports. Every error they throw
+// carries `type`, one of DeviceErrorType, so callers can react to what went
+// wrong instead of to the message:
+//
+//   TIMEOUT              the device did not answer in time
+//   DISCONNECTED         it is gone, closed or unreachable
+//   PERMISSION_DENIED    the browser (or the user) refused access
+//   UNSUPPORTED          the model or handler cannot do what was asked
+//   PROTOCOL_ERROR       it answered, but not with anything usable (`bytes`
+//                        holds the raw reply where there is one)
+//   CONSTRAINT_VIOLATION the request is outside what the device accepts
+//
+// `code` stays the specific reason where one exists (PUSH_FAILED,
+// PREVIEW_UNSUPPORTED, NOT_IMPLEMENTED, ...) and is the type otherwise:
+//
+//   throw protocolError('FiiO BLE: could not parse EQ response', resp);
+//   throw deviceError(DeviceErrorType.UNSUPPORTED, msg, { code: 'PREVIEW_UNSUPPORTED' });
+//
+// Errors that come from elsewhere - DOMExceptions from WebHID / Web Serial /
+// Web Bluetooth, failed fetches, older handlers that reject with a string -
+// are classified by toDeviceError(). queuedOperation() (deviceQueue.js) runs
+// every connector operation's rejection through it.
+//
+// A closed chooser and a device no handler supports are outcomes of
+// getDeviceConnected() ({ cancelled: true } / { unsupported: true }), not
+// errors.
+
+export const DeviceErrorType = Object.freeze({
+  TIMEOUT: 'TIMEOUT',
+  DISCONNECTED: 'DISCONNECTED',
+  PERMISSION_DENIED: 'PERMISSION_DENIED',
+  UNSUPPORTED: 'UNSUPPORTED',
+  PROTOCOL_ERROR: 'PROTOCOL_ERROR',
+  CONSTRAINT_VIOLATION: 'CONSTRAINT_VIOLATION',
+});
+
+const TYPES = new Set(Object.values(DeviceErrorType));
+
+export function deviceError(type, message, extra = {}) {
+  return Object.assign(new Error(message), { type, code: type }, extra);
+}
+
+export const timeoutError = (message, extra) => deviceError(DeviceErrorType.TIMEOUT, message, extra);
+export const disconnectedError = (message = 'Device Disconnected', extra) =>
+  deviceError(DeviceErrorType.DISCONNECTED, message, extra);
+export const permissionDeniedError = (message, extra) =>
+  deviceError(DeviceErrorType.PERMISSION_DENIED, message, extra);
+export const unsupportedError = (message, extra) => deviceError(DeviceErrorType.UNSUPPORTED, message, extra);
+export const constraintViolation = (message, extra) =>
+  deviceError(DeviceErrorType.CONSTRAINT_VIOLATION, message, extra);
+
+// bytes: the reply that could not be understood (any array-like), if any.
+export function protocolError(message, bytes = null, extra) {
+  return deviceError(DeviceErrorType.PROTOCOL_ERROR, message,
+    { bytes: bytes ? Array.from(bytes) : null, ...extra });
+}
+
+// The DeviceErrorType of `error`, or null when it is not one of ours.
+export function errorType(error) {
+  return TYPES.has(error?.type) ? error.type : null;
+}
+
+// DOMException names, as the WebHID, Web Serial and Web Bluetooth APIs use them.
+const TYPE_BY_NAME = {
+  NotAllowedError: DeviceErrorType.PERMISSION_DENIED,
+  SecurityError: DeviceErrorType.PERMISSION_DENIED,
+  TimeoutError: DeviceErrorType.TIMEOUT,
+  AbortError: DeviceErrorType.TIMEOUT,       // fetches aborted by their own timer
+  NetworkError: DeviceErrorType.DISCONNECTED,
+  NotFoundError: DeviceErrorType.DISCONNECTED,
+  InvalidStateError: DeviceErrorType.DISCONNECTED,
+  NotSupportedError: DeviceErrorType.UNSUPPORTED,
+};
+
+// `error` with a type: unchanged when it already has one, otherwise a new
+// Error of the type its name or message suggests (the original as `cause`).
+// Anything unrecognised is returned as an Error without a type.
+export function toDeviceError(error) {
+  if (errorType(error)) return error;
+  const message = typeof error === 'string' ? error : (error?.message ?? String(error));
+  const type = TYPE_BY_NAME[error?.name] ??
+    (/timed? ?out/i.test(message) ? DeviceErrorType.TIMEOUT
+      : /disconnected|not connected|not open|failed to fetch/i.test(message) ? DeviceErrorType.DISCONNECTED
+      : null);
+  if (type) return deviceError(type, message, { cause: error });
+  return error instanceof Error ? error : new Error(message);
+}
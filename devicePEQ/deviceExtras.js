@@ -13,10 +13,12 @@
 // Without needing to check whether the handler method exists.
 
 import { resolveExtras } from './peqConstraints.js';
+import { runQueued, PRIORITY } from './deviceQueue.js';
+import { unsupportedError } from './deviceErrors.js';
 
 function notImplemented(name) {
   return () => Promise.reject(
-    Object.assign(new Error(`NOT_IMPLEMENTED: ${name}`), { code: 'NOT_IMPLEMENTED' })
+    unsupportedError(`NOT_IMPLEMENTED: ${name}`, { code: 'NOT_IMPLEMENTED' })
   );
 }
 
@@ -33,14 +35,18 @@ function capable(cfg, handler, device, capKey, getMethod, setMethod) {
   delete result.readHandler;
   delete result.note;
 
+  // Reads populate the panel in the background, so they yield to anything the
+  // user is waiting on; Apply buttons go ahead of them (deviceQueue.js).
   if (getMethod) {
     result.get = isSupported && typeof handler?.[getMethod] === 'function'
-      ? () => handler[getMethod](device)
+      ? () => runQueued(device, () => handler[getMethod](device),
+          { label: `${capKey}.get`, priority: PRIORITY.LOW })
       : notImplemented(`${capKey}.get`);
   }
   if (setMethod) {
     result.set = isSupported && typeof handler?.[setMethod] === 'function'
-      ? (...args) => handler[setMethod](device, ...args)
+      ? (...args) => runQueued(device, () => handler[setMethod](device, ...args),
+          { label: `${capKey}.set`, priority: PRIORITY.NORMAL })
       : notImplemented(`${capKey}.set`);
   }
   return result;
@@ -66,7 +72,8 @@ export function buildExtras(handler, device) {
       // outputGain is always offered when the handler supports it; not scheme-gated
       supported: typeof h.setOutputGain === 'function',
       set: typeof h.setOutputGain === 'function'
-        ? (gainDb) => h.setOutputGain(device, gainDb)
+        ? (gainDb) => runQueued(device, () => h.setOutputGain(device, gainDb),
+            { label: 'outputGain.set', priority: PRIORITY.NORMAL })
         : notImplemented('outputGain.set'),
     },
   };
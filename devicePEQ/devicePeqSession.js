@@ -0,0 +1,510 @@
+// devicePeqSession.js
+// Copyright 2024 : Pragmatic Audio
+//
+// Headless DevicePEQ session: connect, resolve constraints and extras, pull,
+// push and manage slots without any DOM. plugin.js drives its UI through one
+// of these; scripts and tests can drive a device end-to-end the same way
+// (e.g. with navigator.hid.requestDevice mocked to return a MockHIDDevice).
+//
+//   const session = createDevicePeqSession();
+//   session.on('pushed', ({ slot, filters }) => console.log('saved', slot));
+//   const state = await session.connect({ connectionType: 'usb' });
+//   if (state.device) {
+//     const { filters } = await session.pull();
+//     await session.push(filters, { preamp: -3 });
+//   }
+//
+// Events (listeners receive a single detail object):
+//   connected    { device, connectionType, peqConstraints, supportsRead, slots, currentSlot, extras,
+//                  supportsPreview }
+//   disconnected { device, connectionType, reason: 'requested' | 'lost', reconnecting }
+//   reconnecting    { device, connectionType }   – waiting for a lost/restarting device
+//   reconnected     { ...same as connected }     – it came back and the session resumed
+//   reconnectFailed { device, connectionType }   – it did not come back in time
+//   pulled       { device, slot, filters, result }
+//   pushed       { device, slot, filters, preamp, disconnect }
+//   previewed    { device, slot, filters, preamp }   – live on the device, not saved
+//   committed    { device, slot, disconnect }        – the preview was saved
+//   verified     { device, slot, verified, attempts, rewrites, mismatches }
+//   slotChanged  { device, slot, enabled }
+//   progress     { device, phase, band, total }   – band i of total being read or
+//                                                   written (deviceProgress.js)
+//   error        { operation, error }   – error.type is a DeviceErrorType (deviceErrors.js)
+//
+// A session drives one device. For several at once, create one session per
+// device (devicePeqSessionGroup.js does this): connectors keep each device
+// open until its own session disconnects it.
+//
+// Granted devices: listGrantedDevices() returns the devices this origin was
+// granted on an earlier visit, across every connector that can enumerate them;
+// connect(candidate) then opens one without the chooser.
+//
+// Preview/commit: on models that support it (state.supportsPreview),
+// preview() writes filters so they can be heard without saving them to flash,
+// and commit() saves them. state.uncommitted holds { slot, filters, preamp }
+// until then; a push, a slot change or losing the device clears it.
+//
+// Stored values: encode(filters) is a dry run of push() that reports, per
+// band, what the device would actually store - its quantization, clamping and
+// fitting included - so the plugin can show "requested vs stored" first.
+// preampFor(filters) works out the preamp a push of them needs from that same
+// stored set (see peqPreamp.js), instead of from the filters as requested.
+//
+// Channels: filters may carry `channel: 'L' | 'R'` (see peqChannels.js). push()
+// and preview() reject an unlinked set with code PER_CHANNEL_UNSUPPORTED unless
+// peqConstraints.supportsPerChannelEQ is set, and do not verify one: the
+// readback comparison (peqVerify.js) knows one band list.
+//
+// Several slots: pushToSlots(filters) saves the same filters to every slot in
+// turn - the input sources of a WiiM, whose slots carry `input` - or to the
+// slots given. Each is an ordinary push, so it emits 'pushed' and verifies.
+//
+// Reconnect: when a device is lost, or restarts after a save (disconnectOnSave),
+// connectors that provide waitForReconnect() (USB HID, USB serial) are asked to
+// wait for it to reappear. The session then reattaches it, switches back to the
+// slot that was selected, and emits 'reconnected'. connect() or disconnect()
+// cancels a pending wait. createDevicePeqSession({ autoReconnect: false })
+// turns this off; reconnectTimeoutMs overrides the connector's default wait.
+
+import { loadPeqConstraintsConfig, resolveConstraints } from './peqConstraints.js';
+import { buildExtras } from './deviceExtras.js';
+import { verifyPush } from './peqVerify.js';
+import { storedFilters, storedRows } from './peqEncode.js';
+import { devicePreamp } from './peqPreamp.js';
+import { isLinked, requireChannelSupport } from './peqChannels.js';
+import { disconnectedError, unsupportedError, toDeviceError } from './deviceErrors.js';
+import { onProgress } from './deviceProgress.js';
+import { loadDefaultConnectors, getConnectorEntry, getConnectorTypes } from './connectorRegistry.js';
+
+const emptyState = () => ({
+  device: null,
+  connectionType: null,
+  peqConstraints: null,
+  supportsRead: false,
+  slots: [],
+  currentSlot: null,
+  selectedSlot: null,
+  extras: null,
+  supportsPreview: false,
+  uncommitted: null,
+});
+
+// Supported devices granted on earlier visits, as connect() selections:
+// [{ connectionType, rawDevice, model, manufacturer }]. Nothing is opened.
+export async function listGrantedDevices() {
+  await loadDefaultConnectors();
+  const candidates = [];
+  for (const connectionType of getConnectorTypes()) {
+    const { connector } = getConnectorEntry(connectionType);
+    if (typeof connector.getGrantedDevices !== 'function') continue;
+    try {
+      for (const granted of await connector.getGrantedDevices()) {
+        candidates.push({ connectionType, ...granted });
+      }
+    } catch (e) {
+      console.warn(`Device PEQ: listing granted ${connectionType} devices failed:`, e);
+    }
+  }
+  return candidates;
+}
+
+export function createDevicePeqSession({ autoReconnect = true, reconnectTimeoutMs } = {}) {
+  const listeners = new Map();
+  let state = emptyState();
+  let removeDisconnectListener = null;
+  let removeProgressListener = null;
+  let pendingReconnect = null;   // AbortController of the wait in progress
+
+  function on(name, fn) {
+    if (!listeners.has(name)) listeners.set(name, new Set());
+    listeners.get(name).add(fn);
+    return () => off(name, fn);
+  }
+
+  function off(name, fn) {
+    listeners.get(name)?.delete(fn);
+  }
+
+  function emit(name, detail) {
+    for (const fn of listeners.get(name) ?? []) {
+      try { fn(detail); }
+      catch (e) { console.warn(`Device PEQ: session "${name}" listener error:`, e); }
+    }
+  }
+
+  // Runs a connector operation, reporting failures through the 'error' event
+  // before rethrowing so callers still see the rejection.
+  async function run(operation, fn) {
+    try {
+      return await fn();
+    } catch (cause) {
+      const error = toDeviceError(cause);
+      emit('error', { operation, error });
+      throw error;
+    }
+  }
+
+  function requireDevice(operation) {
+    if (!state.device) throw disconnectedError(`Device PEQ: ${operation} requires a connected device`);
+    return getConnectorEntry(state.connectionType).connector;
+  }
+
+  function clearState() {
+    if (removeDisconnectListener) removeDisconnectListener();
+    removeDisconnectListener = null;
+    removeProgressListener?.();
+    removeProgressListener = null;
+    state = emptyState();
+  }
+
+  function cancelReconnect() {
+    pendingReconnect?.abort();
+    pendingReconnect = null;
+  }
+
+  // Resolves constraints, extras and slots for an opened device and makes it the
+  // session's device. Shared by connect() and a resumed reconnect.
+  async function attach(device, entry, connectionType) {
+    // Ensure constraint config is cached before resolving — a device can connect
+    // before the async JSON fetch completes (would give maxFilters: undefined).
+    await loadPeqConstraintsConfig().catch(() => {});
+    const peqConstraints = resolveConstraints(device.modelConfig);
+    const supportsRead = peqConstraints?.supportsRead !== false;  // default true
+
+    // Build extras if the connector hasn't already attached them (e.g. non-USB connectors).
+    if (!device.extras) device.extras = buildExtras(device.handler, device);
+
+    const currentSlot = supportsRead ? await entry.connector.getCurrentSlot(device) : -1;
+    const slots = (await entry.connector.getAvailableSlots(device)) ?? [];
+
+    state = {
+      device,
+      connectionType,
+      peqConstraints,
+      supportsRead,
+      slots,
+      currentSlot,
+      selectedSlot: currentSlot,
+      extras: device.extras,
+      supportsPreview: entry.connector.supportsPreview?.(device) === true,
+      uncommitted: null,
+    };
+    removeProgressListener = onProgress(device, detail => emit('progress', { device, ...detail }));
+
+    if (entry.disconnectEvent && device.rawDevice?.addEventListener) {
+      const onLost = () => {
+        if (state.device !== device) return;
+        const { selectedSlot } = state;
+        clearState();
+        // Lets the connector drop it from its open devices; closing a device
+        // that is already gone may fail, which is fine.
+        entry.connector.disconnectDevice(device).catch(() => {});
+        emit('disconnected', { device, connectionType, reason: 'lost', reconnecting: canResume(entry) });
+        resume(device, entry, connectionType, selectedSlot);
+      };
+      device.rawDevice.addEventListener(entry.disconnectEvent, onLost);
+      removeDisconnectListener = () =>
+        device.rawDevice.removeEventListener?.(entry.disconnectEvent, onLost);
+    }
+  }
+
+  function canResume(entry) {
+    return autoReconnect && typeof entry?.connector.waitForReconnect === 'function';
+  }
+
+  // Waits for `previous` to come back and resumes on it, restoring `slot`.
+  // Resolves to the new state, or null if it did not come back (or was cancelled).
+  async function resume(previous, entry, connectionType, slot) {
+    if (!canResume(entry)) return null;
+    cancelReconnect();
+    const controller = new AbortController();
+    pendingReconnect = controller;
+    emit('reconnecting', { device: previous, connectionType });
+
+    let device = null;
+    try {
+      device = await entry.connector.waitForReconnect(previous,
+        { timeoutMs: reconnectTimeoutMs, signal: controller.signal });
+    } catch (error) {
+      console.warn(`Device PEQ: waiting for ${previous.model} failed:`, error);
+    }
+    // connect()/disconnect() while waiting: the caller has moved on.
+    if (controller.signal.aborted) {
+      if (device) await entry.connector.disconnectDevice(device).catch(() => {});
+      return null;
+    }
+    pendingReconnect = null;
+    if (!device) {
+      emit('reconnectFailed', { device: previous, connectionType });
+      return null;
+    }
+
+    try {
+      await attach(device, entry, connectionType);
+      if (slot != null && slot !== state.currentSlot) {
+        await entry.connector.enablePEQ(device, slot !== -1, slot);
+        state.selectedSlot = slot;
+      }
+    } catch (error) {
+      clearState();
+      await entry.connector.disconnectDevice(device).catch(() => {});
+      emit('error', { operation: 'reconnect', error });
+      emit('reconnectFailed', { device: previous, connectionType });
+      return null;
+    }
+    emit('reconnected', { ...getState() });
+    return getState();
+  }
+
+  // Connect using the transport named by selection.connectionType. Resolves to
+  // the session state, or to { cancelled: true } / { unsupported: true } when the
+  // chooser was dismissed or the device has no handler, or to
+  // { duplicate: true, device } when the chosen device is already open elsewhere. A selection from
+  // listGrantedDevices() carries rawDevice and skips the chooser.
+  //
+  // options.confirm(device) is called after the device opens and before anything
+  // is read from it; returning false disconnects and resolves { cancelled: true }.
+  // The plugin uses it for the experimental-device warning.
+  async function connect(selection = {}, { confirm } = {}) {
+    await loadDefaultConnectors();
+    const connectionType = selection.connectionType ?? 'usb';
+    const entry = getConnectorEntry(connectionType);
+    if (!entry) throw new Error(`No connector registered for connection type "${connectionType}"`);
+
+    cancelReconnect();
+    if (state.device) await disconnect();
+
+    return run('connect', async () => {
+      const device = await entry.connect(selection);
+      if (device?.cancelled) return { cancelled: true };
+      // Already open (in another session); left untouched.
+      if (device?.duplicate) return { duplicate: true, device: device.device, connectionType };
+      if (!device || device.unsupported) return { unsupported: true, label: entry.label };
+      if (device.handler == null) {
+        await entry.connector.disconnectDevice(device);
+        return { unsupported: true, label: entry.label };
+      }
+
+      if (typeof confirm === 'function' && !(await confirm(device))) {
+        await entry.connector.disconnectDevice(device);
+        return { cancelled: true };
+      }
+
+      await attach(device, entry, connectionType);
+      emit('connected', { ...getState() });
+      return getState();
+    });
+  }
+
+  async function disconnect() {
+    cancelReconnect();
+    await release(false);
+  }
+
+  // Closes the session's device and emits 'disconnected'. reconnecting tells
+  // listeners that the session is about to wait for the device to return.
+  async function release(reconnecting) {
+    if (!state.device) return;
+    const { device, connectionType } = state;
+    const connector = getConnectorEntry(connectionType).connector;
+    clearState();
+    try {
+      await connector.disconnectDevice(device);
+    } finally {
+      emit('disconnected', { device, connectionType, reason: 'requested', reconnecting });
+    }
+  }
+
+  // Pull filters from a slot (defaults to the selected slot).
+  async function pull(slot = state.selectedSlot) {
+    const connector = requireDevice('pull');
+    const device = state.device;
+    return run('pull', async () => {
+      const result = await connector.pullFromDevice(device, slot);
+      emit('pulled', { device, slot, filters: result?.filters ?? [], result });
+      return result;
+    });
+  }
+
+  // Push filters to a slot (defaults to the selected slot). Resolves to
+  // { disconnect, verification, reconnecting } — disconnect is true when the
+  // device restarts after saving, in which case the session has already
+  // disconnected it; reconnecting is true when it is now waiting for it to return.
+  //
+  // options.verify (true, or { retries, tolerance }) re-pulls the slot on
+  // devices that support reading and checks it against what was written; see
+  // peqVerify.js. verification is null when no check was made.
+  async function push(filters, { slot = state.selectedSlot, preamp = 0, phoneObj = null, verify = false } = {}) {
+    const connector = requireDevice('push');
+    const { device, peqConstraints, supportsRead } = state;
+    return run('push', async () => {
+      requireChannelSupport(filters, peqConstraints, device.model);
+      const write = async (options) =>
+        !!(await connector.pushToDevice(device, phoneObj, slot, preamp, filters, options));
+      let disconnectAfter = await write();
+      state.uncommitted = null;
+      emit('pushed', { device, slot, filters, preamp, disconnect: disconnectAfter });
+
+      let verification = null;
+      if (verify && supportsRead && !disconnectAfter && isLinked(filters)) {
+        const options = typeof verify === 'object' ? verify : {};
+        verification = await verifyPush({
+          filters,
+          slot,
+          pull: (s) => connector.pullFromDevice(device, s),
+          // A rewrite after a mismatch names its bands: the connector's record
+          // says they were already written, which is what is in doubt.
+          push: (_, bands) => write({ bands }),
+          peqConstraints,
+          modelConfig: device.modelConfig,
+          retries: options.retries,
+          tolerance: options.tolerance,
+        });
+        disconnectAfter = verification.disconnect;
+        emit('verified', { device, slot, ...verification });
+      }
+
+      const reconnecting = disconnectAfter ? await restart(device) : false;
+      return { disconnect: disconnectAfter, verification, reconnecting };
+    });
+  }
+
+  // Pushes the same filters to each of options.slots (default: every slot with
+  // a numeric id, which leaves out choices like Luxsin's "New"), one after
+  // the other; other options are push()'s. Stops early if the device goes.
+  // Resolves to one entry per slot and never rejects:
+  //   { slot, result }  or  { slot, error }
+  async function pushToSlots(filters, { slots = null, ...options } = {}) {
+    requireDevice('pushToSlots');
+    const targets = slots ?? state.slots.map(s => s.id).filter(id => Number.isInteger(id));
+    const results = [];
+    for (const slot of targets) {
+      if (!state.device) {
+        results.push({ slot, error: disconnectedError('Device disconnected before this slot was written') });
+        continue;
+      }
+      try {
+        results.push({ slot, result: await push(filters, { ...options, slot }) });
+      } catch (error) {
+        results.push({ slot, error });
+      }
+    }
+    return results;
+  }
+
+  // What a push of `filters` would store, band by band, without writing
+  // anything (see peqEncode.js). Resolves to { requested, stored, rows, notes }:
+  // requested is what the connector would hand the handler (fitted to the
+  // device's bands), rows compares it with stored, notes are the push's
+  // warnings. Connectors without a dry run are estimated from peqConstraints.
+  async function encode(filters) {
+    const connector = requireDevice('encode');
+    const { device, peqConstraints } = state;
+    if (typeof connector.encodeFilters === 'function') {
+      return connector.encodeFilters(device, filters);
+    }
+    const stored = storedFilters(device, filters, peqConstraints);
+    return { requested: filters, stored, rows: storedRows(device, filters, stored), notes: [] };
+  }
+
+  // The preamp a push of `filters` needs: { preamp, peakDb, peakFreq, clamped,
+  // handledByDevice } from the response of the filters encode() says the
+  // device would store. Nothing is written.
+  async function preampFor(filters) {
+    requireDevice('preampFor');
+    const { device, peqConstraints } = state;
+    const { stored } = await encode(filters);
+    return devicePreamp(device, stored, peqConstraints);
+  }
+
+  // Write filters without saving them (see "Preview/commit" above). Resolves to
+  // state.uncommitted. Rejects with code PREVIEW_UNSUPPORTED when the device
+  // can only push.
+  async function preview(filters, { slot = state.selectedSlot, preamp = 0, phoneObj = null } = {}) {
+    const connector = requireDevice('preview');
+    const device = state.device;
+    return run('preview', async () => {
+      requireChannelSupport(filters, state.peqConstraints, device.model);
+      if (!state.supportsPreview) {
+        throw unsupportedError(`Device PEQ: ${device.model} cannot preview without saving`,
+          { code: 'PREVIEW_UNSUPPORTED' });
+      }
+      await connector.previewToDevice(device, phoneObj, slot, preamp, filters);
+      state.uncommitted = { slot, filters, preamp };
+      emit('previewed', { device, slot, filters, preamp });
+      return state.uncommitted;
+    });
+  }
+
+  // Save the last preview. Resolves to { disconnect, reconnecting } as push()
+  // does; null when there was nothing to save.
+  async function commit() {
+    const connector = requireDevice('commit');
+    const { device, uncommitted } = state;
+    if (!uncommitted) return null;
+    return run('commit', async () => {
+      const disconnectAfter = !!(await connector.commitToDevice(device));
+      state.uncommitted = null;
+      emit('committed', { device, slot: uncommitted.slot, disconnect: disconnectAfter });
+      const reconnecting = disconnectAfter ? await restart(device) : false;
+      return { disconnect: disconnectAfter, reconnecting };
+    });
+  }
+
+  // A device that restarts after saving: let it go and wait for it to return.
+  // Resolves to true when the session is now waiting for it.
+  async function restart(device) {
+    const { connectionType, selectedSlot } = state;
+    const entry = getConnectorEntry(connectionType);
+    const reconnecting = canResume(entry);
+    await release(reconnecting);
+    resume(device, entry, connectionType, selectedSlot);
+    return reconnecting;
+  }
+
+  // Select a slot and enable it on the device. -1 disables PEQ.
+  async function selectSlot(slot) {
+    const connector = requireDevice('selectSlot');
+    const device = state.device;
+    const slotId = typeof slot === 'string' ? parseInt(slot, 10) : slot;
+    const enabled = slotId !== -1;
+    return run('selectSlot', async () => {
+      await connector.enablePEQ(device, enabled, slotId);
+      state.selectedSlot = slotId;
+      // Switching presets reloads the device's live EQ over any preview.
+      state.uncommitted = null;
+      emit('slotChanged', { device, slot: slotId, enabled });
+      return slotId;
+    });
+  }
+
+  // Record which slot push/pull default to, without touching the device.
+  function setSelectedSlot(slot) {
+    state.selectedSlot = typeof slot === 'string' && !isNaN(parseInt(slot, 10)) ? parseInt(slot, 10) : slot;
+  }
+
+  function getState() {
+    return { ...state };
+  }
+
+  return {
+    on,
+    off,
+    connect,
+    disconnect,
+    listGrantedDevices,
+    pull,
+    push,
+    pushToSlots,
+    encode,
+    preampFor,
+    preview,
+    commit,
+    selectSlot,
+    setSelectedSlot,
+    getState,
+    get device() { return state.device; },
+    get reconnecting() { return pendingReconnect !== null; },
+    get connectionType() { return state.connectionType; },
+  };
+}
@@ -0,0 +1,152 @@
+// devicePeqSessionGroup.js
+// Copyright 2025 : Pragmatic Audio
+//
+// Several devices connected at once — say a dongle and a desktop DAC on the same
+// bench. The group holds one DevicePEQ session per device, so each keeps its own
+// slots, extras and push target, and tracks which one the UI is editing (the
+// active session). pushAll() sends the same filters to every device.
+//
+//   const group = createDevicePeqSessionGroup();
+//   await group.add({ connectionType: 'usb' });   // dongle
+//   await group.add({ connectionType: 'usb' });   // desktop DAC, now active
+//   const results = await group.pushAll(filters, { preamp: -3 });
+//
+// Events (listeners receive a single detail object):
+//   added         { session, state }
+//   removed       { session, device }
+//   activeChanged { session }          – null once the last device has gone
+//   and every session event (connected, disconnected, pulled, pushed, verified,
+//   previewed, committed, slotChanged, progress, reconnecting, reconnected,
+//   reconnectFailed, error) re-emitted
+//   with `session` added to its detail.
+//
+// A session whose device restarts or is unplugged stays in the group while it
+// waits to reconnect; it leaves when it is disconnected or the wait fails.
+
+import { createDevicePeqSession, listGrantedDevices } from './devicePeqSession.js';
+
+const FORWARDED_EVENTS = [
+  'connected', 'disconnected', 'pulled', 'pushed', 'verified', 'previewed',
+  'committed', 'slotChanged', 'progress', 'reconnecting', 'reconnected', 'reconnectFailed', 'error',
+];
+
+export function createDevicePeqSessionGroup(sessionOptions = {}) {
+  const listeners = new Map();
+  const sessions = [];
+  const unsubscribe = new Map();   // session -> [off functions]
+  let active = null;
+
+  function on(name, fn) {
+    if (!listeners.has(name)) listeners.set(name, new Set());
+    listeners.get(name).add(fn);
+    return () => off(name, fn);
+  }
+
+  function off(name, fn) {
+    listeners.get(name)?.delete(fn);
+  }
+
+  function emit(name, detail) {
+    for (const fn of listeners.get(name) ?? []) {
+      try { fn(detail); }
+      catch (e) { console.warn(`Device PEQ: group "${name}" listener error:`, e); }
+    }
+  }
+
+  function setActive(session) {
+    if (session !== null && !sessions.includes(session)) {
+      throw new Error('Device PEQ: setActive() needs a session from this group');
+    }
+    if (session === active) return;
+    active = session;
+    emit('activeChanged', { session });
+  }
+
+  function remove(session, device) {
+    const index = sessions.indexOf(session);
+    if (index === -1) return;
+    sessions.splice(index, 1);
+    unsubscribe.get(session)?.forEach(fn => fn());
+    unsubscribe.delete(session);
+    emit('removed', { session, device });
+    if (active === session) setActive(sessions[sessions.length - 1] ?? null);
+  }
+
+  function track(session) {
+    const offs = FORWARDED_EVENTS.map(name =>
+      session.on(name, detail => emit(name, { ...detail, session })));
+    offs.push(
+      session.on('disconnected', ({ device, reconnecting }) => {
+        if (!reconnecting) remove(session, device);
+      }),
+      session.on('reconnectFailed', ({ device }) => remove(session, device)),
+    );
+    unsubscribe.set(session, offs);
+  }
+
+  // Connects one more device in a new session and makes it active. Resolves
+  // like session.connect(), plus `session`. Picking a device that is already
+  // in the group switches to its session instead ({ duplicate: true }).
+  async function add(selection, connectOptions) {
+    const session = createDevicePeqSession(sessionOptions);
+    const result = await session.connect(selection, connectOptions);
+    if (result.duplicate) {
+      const owner = sessions.find(s => s.device === result.device) ?? null;
+      if (owner) setActive(owner);
+      return { ...result, session: owner };
+    }
+    if (!result.device) return result;
+
+    sessions.push(session);
+    track(session);
+    emit('added', { session, state: result });
+    setActive(session);
+    return { ...result, session };
+  }
+
+  // Disconnects one session's device (the active one by default).
+  async function disconnect(session = active) {
+    if (!session) return;
+    await session.disconnect();
+    // A session that was waiting to reconnect has no device to report.
+    remove(session, null);
+  }
+
+  async function disconnectAll() {
+    for (const session of [...sessions]) await disconnect(session);
+  }
+
+  // Pushes the same filters to every connected device, in parallel (each
+  // device has its own queue). options is passed to each session.push(); pass
+  // a function (session) => options (or a promise of them) for per-device
+  // slots or preamps. Each push defaults to that session's selected slot.
+  //
+  // Resolves to one entry per device, in group order, and never rejects:
+  //   { session, device, result }  or  { session, device, error }
+  async function pushAll(filters, options = {}) {
+    const targets = sessions.filter(s => s.device);
+    return Promise.all(targets.map(async (session) => {
+      const device = session.device;
+      try {
+        const pushOptions = typeof options === 'function' ? await options(session) : options;
+        return { session, device, result: await session.push(filters, pushOptions) };
+      } catch (error) {
+        return { session, device, error };
+      }
+    }));
+  }
+
+  return {
+    on,
+    off,
+    add,
+    disconnect,
+    disconnectAll,
+    pushAll,
+    setActive,
+    listGrantedDevices,
+    get sessions() { return [...sessions]; },
+    get active() { return active; },
+    get devices() { return sessions.map(s => s.device).filter(Boolean); },
+  };
+}
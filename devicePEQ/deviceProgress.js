@@ -0,0 +1,47 @@
+// deviceProgress.js
+// Copyright 2025 : Pragmatic Audio
+//
+// Band-by-band progress of a pull or push, for devices slow enough that a
+// disabled button is not feedback (a 10-band serial or BLE write takes
+// seconds). Handlers report as they go; whoever drives the device listens:
+//
+//   reportProgress(deviceDetails, ProgressPhase.WRITE, i + 1, bands.length);  // handler
+//   const off = onProgress(device, ({ phase, band, total }) => ...);          // session
+//
+// phase is one of ProgressPhase:
+//   read    bands being read (a pull, or the snapshot before a push)
+//   write   bands being written
+//   commit  the written set being saved or confirmed (band and total null)
+//
+// band counts from 1 up to total. Handlers that send every band in one
+// packet report that packet as band `total` of `total`.
+//
+// Listeners are keyed by the device details object the connector hands to
+// its handler; devicePeqSession.js re-emits them as its 'progress' event.
+// With no listener, reporting does nothing.
+
+export const ProgressPhase = Object.freeze({
+  READ: 'read',
+  WRITE: 'write',
+  COMMIT: 'commit',
+});
+
+const listeners = new WeakMap();   // device details -> Set of callbacks
+
+// Calls fn({ phase, band, total }) for each report on `device`. Returns the
+// function that stops it.
+export function onProgress(device, fn) {
+  if (!listeners.has(device)) listeners.set(device, new Set());
+  listeners.get(device).add(fn);
+  return () => listeners.get(device)?.delete(fn);
+}
+
+export function reportProgress(device, phase, band = null, total = null) {
+  const fns = device ? listeners.get(device) : null;
+  if (!fns) return;
+  for (const fn of fns) {
+    // A broken progress bar must not fail the push it is showing.
+    try { fn({ phase, band, total }); }
+    catch (e) { console.warn('Device PEQ: progress listener error:', e); }
+  }
+}
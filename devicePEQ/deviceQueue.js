@@ -0,0 +1,94 @@
+// deviceQueue.js
+// Copyright 2025 : Pragmatic Audio
+//
+// Per-device operation queue. Every handler call — push, pull, slot changes
+// from the connectors, extras reads and Apply buttons from deviceExtras.js —
+// runs as one job on its device's queue, one job at a time. Most protocols
+// here match a response to its request only by command byte, so two
+// operations whose reports interleave on the wire can steal each other's
+// replies; serialising them removes that whole class of race.
+//
+//   await getDeviceQueue(device).run(() => handler.pullFromDevice(device, slot),
+//                                     { priority: PRIORITY.HIGH, label: 'pull' });
+//
+// Waiting jobs run in priority order, FIFO within a priority:
+//   HIGH   – PEQ push / pull / slot switch the user is waiting on
+//   NORMAL – extras Apply buttons, slot queries
+//   LOW    – background reads (extras panel population)
+// A running job is never interrupted.
+//
+// Jobs must not call run() on the same queue: the inner job would wait for the
+// outer one forever. Code already inside a job calls the handler directly.
+
+import { toDeviceError } from './deviceErrors.js';
+
+export const PRIORITY = Object.freeze({ HIGH: 0, NORMAL: 1, LOW: 2 });
+
+const queues = new WeakMap();
+
+export function createDeviceQueue(name = 'device') {
+  const waiting = [];
+  let running = null;
+
+  function next() {
+    if (running || waiting.length === 0) return;
+    const job = waiting.shift();
+    running = job;
+    Promise.resolve()
+      .then(job.fn)
+      .then(job.resolve, job.reject)
+      .finally(() => {
+        running = null;
+        next();
+      });
+  }
+
+  function run(fn, { priority = PRIORITY.NORMAL, label = 'operation' } = {}) {
+    return new Promise((resolve, reject) => {
+      const job = { fn, priority, label, resolve, reject };
+      // Insert after every waiting job of the same or higher priority.
+      let i = waiting.length;
+      while (i > 0 && waiting[i - 1].priority > priority) i--;
+      waiting.splice(i, 0, job);
+      if (running) {
+        console.log(`Device PEQ: ${name} busy with ${running.label} — queued ${label}`);
+      }
+      next();
+    });
+  }
+
+  return {
+    run,
+    get busy() { return running !== null; },
+    get pending() { return waiting.length; },
+  };
+}
+
+// The queue for a device details object (created on first use). Keyed by the
+// details object rather than rawDevice, which connectors may swap on reopen.
+export function getDeviceQueue(device) {
+  if (!device || typeof device !== 'object') {
+    throw new Error('getDeviceQueue: a device details object is required');
+  }
+  let queue = queues.get(device);
+  if (!queue) {
+    queue = createDeviceQueue(device.model ?? 'device');
+    queues.set(device, queue);
+  }
+  return queue;
+}
+
+// Runs fn on the device's queue; without a device there is nothing to
+// serialise against, so fn runs straight away (and reports its own error).
+export function runQueued(device, fn, options) {
+  if (!device || typeof device !== 'object') return Promise.resolve().then(fn);
+  return getDeviceQueue(device).run(fn, options);
+}
+
+// Wraps a connector operation (device, ...args) so each call runs on that
+// device's queue. Connectors export their device-facing operations this way,
+// so this is also where their rejections are classified (deviceErrors.js).
+export function queuedOperation(fn, options) {
+  return (device, ...args) => runQueued(device, () => fn(device, ...args), options)
+    .catch((error) => { throw toDeviceError(error); });
+}
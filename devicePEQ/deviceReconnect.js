@@ -0,0 +1,51 @@
+// deviceReconnect.js
+// Copyright 2025 : Pragmatic Audio
+//
+// Waiting for a device to come back. Models with `disconnectOnSave` restart
+// after a push, and any device can be unplugged and replugged; in both cases
+// WebHID and Web Serial fire 'connect' on navigator.hid / navigator.serial for
+// a device the page was already granted, so it can be reopened without the
+// chooser. The connectors decide which device counts as "the same one" and
+// how to reopen it; this module only does the waiting.
+//
+//   const rawDevice = await waitForConnect(navigator.hid,
+//     (event) => matches(event.device) ? event.device : null,
+//     { timeoutMs: 30000, signal });
+
+export const DEFAULT_RECONNECT_TIMEOUT_MS = 30000;
+
+// A device that has only just enumerated can miss the first report sent to it,
+// so a match is held back this long before it is handed over.
+export const DEFAULT_RECONNECT_SETTLE_MS = 500;
+
+// Listens for 'connect' on target until pick(event) returns something, then
+// resolves to that value. Resolves to null on timeout, when the signal aborts,
+// or straight away if the target cannot fire events.
+export function waitForConnect(target, pick, { timeoutMs = DEFAULT_RECONNECT_TIMEOUT_MS,
+                                               settleMs = DEFAULT_RECONNECT_SETTLE_MS,
+                                               signal } = {}) {
+  return new Promise(resolve => {
+    if (typeof target?.addEventListener !== 'function' || signal?.aborted) {
+      resolve(null);
+      return;
+    }
+    let timer = null;
+    const stop = () => {
+      clearTimeout(timer);
+      target.removeEventListener('connect', onConnect);
+      signal?.removeEventListener('abort', onAbort);
+    };
+    const onAbort = () => { stop(); resolve(null); };
+    const onConnect = (event) => {
+      let found = null;
+      try { found = pick(event); }
+      catch (e) { console.warn('Device PEQ: reconnect match failed:', e); }
+      if (!found) return;
+      stop();
+      setTimeout(() => resolve(signal?.aborted ? null : found), settleMs);
+    };
+    target.addEventListener('connect', onConnect);
+    signal?.addEventListener('abort', onAbort);
+    if (timeoutMs > 0) timer = setTimeout(onAbort, timeoutMs);
+  });
+}
@@ -0,0 +1,79 @@
+// deviceRetryPolicy.js
+// Copyright 2025 : Pragmatic Audio
+//
+// How long to wait for a device's answer to each command, and whether to ask
+// again when it does not come. Handlers name their commands and keep their
+// own timeout as the default; a model can change either in its config:
+//
+//   modelConfig: {
+//     retryPolicy: {
+//       retries: 2,              // extra attempts after a timeout
+//       backoffMs: 100,          // wait before the first retry...
+//       backoffFactor: 2,        // ...multiplied by this for each one after
+//       idempotent: ['readFilters', 'readGlobalGain'],
+//       commands: {
+//         readFilters: { timeoutMs: 15000 },
+//         readGlobalGain: { timeoutMs: 300, retries: 4 },
+//       },
+//     },
+//   }
+//
+// Only commands listed in `idempotent` (or given `idempotent: true` under
+// `commands`) are retried - resending a write that did land can apply it
+// twice, so writes time out once unless the config says otherwise. Only
+// timeouts are retried; a device that answers with garbage or has gone away
+// fails straight through.
+//
+//   const policy = retryPolicy(details.modelConfig, 'readGlobalGain', 100);
+//   const gain = await withRetry(policy, (timeoutMs) => readGlobalGain(device, timeoutMs));
+//
+// usbHidProtocolUtils.js (sendAndWaitForResponse), the BLE notification queue
+// and the Web Serial read shim take their timeouts from here.
+
+import { DeviceErrorType, errorType } from './deviceErrors.js';
+
+export const DEFAULT_RETRY_POLICY = Object.freeze({
+  retries: 0,
+  backoffMs: 100,
+  backoffFactor: 2,
+});
+
+// The policy for `command` on a model: { command, timeoutMs, retries,
+// backoffMs, backoffFactor }. timeoutMs is the handler's own default unless
+// the config overrides it; retries is 0 for a command that is not idempotent.
+export function retryPolicy(modelConfig, command, timeoutMs) {
+  const declared = modelConfig?.retryPolicy ?? {};
+  const own = declared.commands?.[command] ?? {};
+  const idempotent = own.idempotent ?? (declared.idempotent ?? []).includes(command);
+  const retries = own.retries ?? declared.retries ?? DEFAULT_RETRY_POLICY.retries;
+  return {
+    command,
+    timeoutMs: own.timeoutMs ?? timeoutMs,
+    retries: idempotent ? Math.max(0, retries) : 0,
+    backoffMs: own.backoffMs ?? declared.backoffMs ?? DEFAULT_RETRY_POLICY.backoffMs,
+    backoffFactor: own.backoffFactor ?? declared.backoffFactor ?? DEFAULT_RETRY_POLICY.backoffFactor,
+  };
+}
+
+// Runs attempt(timeoutMs, attemptIndex) until it does not time out or the
+// policy's retries are used up, and settles as the last attempt did. An
+// attempt times out by throwing a TIMEOUT error - or, with nullMeansTimeout,
+// by resolving null, for readers that report silence that way.
+export async function withRetry(policy, attempt, { nullMeansTimeout = false } = {}) {
+  for (let n = 0; ; n++) {
+    let result;
+    let error = null;
+    try {
+      result = await attempt(policy.timeoutMs, n);
+    } catch (e) {
+      error = e;
+    }
+    const timedOut = error ? errorType(error) === DeviceErrorType.TIMEOUT : nullMeansTimeout && result == null;
+    if (!timedOut || n >= policy.retries) {
+      if (error) throw error;
+      return result;
+    }
+    console.warn(`Device PEQ: ${policy.command} timed out after ${policy.timeoutMs}ms, retrying (${n + 1}/${policy.retries})`);
+    await new Promise(resolve => setTimeout(resolve, policy.backoffMs * Math.pow(policy.backoffFactor, n)));
+  }
+}
@@ -21,6 +21,8 @@
 // Checksum: (payloadLength + sum-of-all-payload-bytes) & 0xFF
 //   where payloadLength = 0x0A (always)
 
+import { ProgressPhase, reportProgress } from './deviceProgress.js';
+
 export const earfunUsbSerial = (function () {
 
   const EARFUN = {
@@ -102,17 +104,40 @@ export const earfunUsbSerial = (function () {
     return { filters, globalGain: 0, profileId: 0, writeOnly: true };
   }
 
-  async function pushToDevice(deviceDetails, phoneObj, slot, globalGain, filters) {
-    console.log(`EarFun SPP: writing ${EARFUN.NUM_BANDS} bands to device`);
-
-    for (let i = 0; i < EARFUN.NUM_BANDS; i++) {
+  // One packet per band, all ten of them; missing bands are flat.
+  function encodeFilters(deviceDetails, filters) {
+    return Array.from({ length: EARFUN.NUM_BANDS }, (_, i) => {
       const f      = filters[i] || { freq: EARFUN.STANDARD_FREQS[i], gain: 0 };
       // Use the filter's frequency directly; EarFun accepts any value in its encoding range.
       const freqHz = f.freq ?? EARFUN.STANDARD_FREQS[i];
-      const gainDb = f.gain ?? 0;
+      // A disabled band is written flat, or its gain would stay active
+      const gainDb = f.disabled ? 0 : (f.gain ?? 0);
+      return buildBandPacket(i + 1, freqHz, gainDb);
+    });
+  }
+
+  // The device cannot be read back, so this is what the packets carry. Q is
+  // fixed in the protocol and reported as a pull reports it.
+  function decodeFilters(deviceDetails, packets) {
+    return packets.map(packet => {
+      const view = new DataView(Uint8Array.from(packet).buffer);
+      return {
+        type: 'PK',
+        freq: view.getUint16(8) / 3,
+        gain: view.getInt16(10) * 3 / 100,
+        q:    1.0,
+        disabled: false,
+      };
+    });
+  }
+
+  async function pushToDevice(deviceDetails, phoneObj, slot, globalGain, filters) {
+    console.log(`EarFun SPP: writing ${EARFUN.NUM_BANDS} bands to device`);
 
-      const packet = buildBandPacket(i + 1, freqHz, gainDb);
-      await deviceDetails.writable.write(packet);
+    const packets = encodeFilters(deviceDetails, filters);
+    for (let i = 0; i < packets.length; i++) {
+      await deviceDetails.writable.write(packets[i]);
+      reportProgress(deviceDetails, ProgressPhase.WRITE, i + 1, EARFUN.NUM_BANDS);
 
       // Small inter-command delay to avoid overrunning the SPP buffer
       await new Promise(r => setTimeout(r, 50));
@@ -131,5 +156,7 @@ export const earfunUsbSerial = (function () {
     pullFromDevice,
     pushToDevice,
     enablePEQ,
+    encodeFilters,
+    decodeFilters,
   };
 })();
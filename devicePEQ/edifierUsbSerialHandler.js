@@ -21,6 +21,8 @@
 //
 // All parameters verified experimentally on Edifier W830NB (January 2026).
 
+import { ProgressPhase, reportProgress } from './deviceProgress.js';
+
 export const edifierUsbSerial = (function () {
 
   const EDIFIER = {
@@ -102,8 +104,10 @@ export const edifierUsbSerial = (function () {
 
   function encodeFrequency(freqHz) {
     const tableFreqs = Object.keys(EDIFIER.FREQ_TABLE).map(f => parseInt(f, 10));
+    // Nearest in octaves, as the connector's fit picks them
+    const distance = (f) => Math.abs(Math.log2(f / freqHz));
     const nearest = tableFreqs.reduce((prev, curr) =>
-      Math.abs(curr - freqHz) < Math.abs(prev - freqHz) ? curr : prev
+      distance(curr) < distance(prev) ? curr : prev
     );
     if (nearest !== freqHz) {
       console.log(`Edifier SPP: frequency ${freqHz} Hz snapped to nearest table entry ${nearest} Hz`);
@@ -111,6 +115,11 @@ export const edifierUsbSerial = (function () {
     return EDIFIER.FREQ_TABLE[nearest];
   }
 
+  function decodeFrequency(byte2, byte3) {
+    const entry = Object.entries(EDIFIER.FREQ_TABLE).find(([, [b2, b3]]) => b2 === byte2 && b3 === byte3);
+    return entry ? parseInt(entry[0], 10) : null;
+  }
+
   // ── Public interface ───────────────────────────────────────────────────────
 
   async function getCurrentSlot(deviceDetails) {
@@ -129,14 +138,14 @@ export const edifierUsbSerial = (function () {
     return { filters, globalGain: 0, profileId: 0, writeOnly: true };
   }
 
-  async function pushToDevice(deviceDetails, phoneObj, slot, globalGain, filters) {
-    console.log(`Edifier SPP: writing ${EDIFIER.NUM_BANDS} bands to device`);
-
-    for (let i = 0; i < EDIFIER.NUM_BANDS; i++) {
+  // One set-band command per band, all four of them; missing bands are flat.
+  function encodeFilters(deviceDetails, filters) {
+    return Array.from({ length: EDIFIER.NUM_BANDS }, (_, i) => {
       const f         = filters[i] || { freq: EDIFIER.DEFAULT_FREQS[i], gain: 0, q: 1.4 };
       const bandId    = EDIFIER.BAND_IDS[i];
       const freqHz    = f.freq ?? EDIFIER.DEFAULT_FREQS[i];
-      const gainDb    = f.gain ?? 0;
+      // A disabled band is written flat, or its gain would stay active
+      const gainDb    = f.disabled ? 0 : (f.gain ?? 0);
       const qValue    = f.q   ?? 1.4;
 
       const [freqB2, freqB3] = encodeFrequency(freqHz);
@@ -145,9 +154,32 @@ export const edifierUsbSerial = (function () {
 
       // 6-byte payload: [bandId, 0xA5, freqByte2, freqByte3, gainByte, qByte]
       const payload = [bandId, 0xA5, freqB2, freqB3, gainByte, qByte];
-      const packet  = buildCommand(EDIFIER.CMD_CUSTOM_EQ_SET_BAND, payload);
+      return buildCommand(EDIFIER.CMD_CUSTOM_EQ_SET_BAND, payload);
+    });
+  }
+
+  // The device is not read back, so this is what the commands carry: the
+  // frequency snapped to the table, gain and Q in their steps and ranges.
+  function decodeFilters(deviceDetails, packets) {
+    return packets.map(packet => {
+      const [, , freqB2, freqB3, gainByte, qByte] = packet.slice(5, 11);
+      return {
+        type: 'PK',
+        freq: decodeFrequency(freqB2, freqB3),
+        gain: (gainByte - EDIFIER.GAIN_BASELINE) / EDIFIER.GAIN_SCALE,
+        q:    (qByte - EDIFIER.Q_BASELINE) / EDIFIER.Q_SCALE,
+        disabled: false,
+      };
+    });
+  }
+
+  async function pushToDevice(deviceDetails, phoneObj, slot, globalGain, filters) {
+    console.log(`Edifier SPP: writing ${EDIFIER.NUM_BANDS} bands to device`);
 
-      await deviceDetails.writable.write(packet);
+    const packets = encodeFilters(deviceDetails, filters);
+    for (let i = 0; i < packets.length; i++) {
+      await deviceDetails.writable.write(packets[i]);
+      reportProgress(deviceDetails, ProgressPhase.WRITE, i + 1, EDIFIER.NUM_BANDS);
 
       // Small inter-band delay to avoid SPP buffer overrun
       await new Promise(r => setTimeout(r, 50));
@@ -166,5 +198,7 @@ export const edifierUsbSerial = (function () {
     pullFromDevice,
     pushToDevice,
     enablePEQ,
+    encodeFilters,
+    decodeFilters,
   };
 })();
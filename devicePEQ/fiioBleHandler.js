@@ -22,6 +22,10 @@
 //
 // Ref: FIIO_EH11_BLE_PROTOCOL.md  (in bluetooth_tools/cli_tools/)
 
+import { timeoutError, protocolError } from './deviceErrors.js';
+import { retryPolicy, withRetry } from './deviceRetryPolicy.js';
+import { ProgressPhase, reportProgress } from './deviceProgress.js';
+
 export const fiioBle = (function () {
 
   const FIIO = {
@@ -117,18 +121,24 @@ export const fiioBle = (function () {
     return null;
   }
 
-  /** Send a BLE write and wait for one complete response packet */
-  async function sendAndReceive(device, packet, timeoutMs = 4000) {
+  /**
+   * Send a BLE write and wait for one complete response packet (null if none
+   * comes), under the model's retry policy for `command` (deviceRetryPolicy.js).
+   */
+  async function sendAndReceive(device, packet, command, timeoutMs = 4000) {
     const txChar = device.txChar;
     // EH13 (and some FiiO devices) require write-with-response; EH11 uses write-without-response.
     // Check characteristic properties rather than method existence (all chars have both methods).
     const useWriteWithResponse = !!txChar.properties.write && !txChar.properties.writeWithoutResponse;
-    if (useWriteWithResponse) {
-      await txChar.writeValueWithResponse(packet);
-    } else {
-      await txChar.writeValueWithoutResponse(packet);
-    }
-    return await readFiioPacket(device, timeoutMs);
+    const policy = retryPolicy(device.modelConfig, command, timeoutMs);
+    return withRetry(policy, async (timeout) => {
+      if (useWriteWithResponse) {
+        await txChar.writeValueWithResponse(packet);
+      } else {
+        await txChar.writeValueWithoutResponse(packet);
+      }
+      return await readFiioPacket(device, timeout);
+    }, { nullMeansTimeout: true });
   }
 
   // ── Public interface ───────────────────────────────────────────────────────
@@ -144,7 +154,7 @@ export const fiioBle = (function () {
     // Protocol version handshake (best-effort; ignore failure)
     try {
       const verPkt = buildPacket(0x00, 0x02, [0x01]);
-      await sendAndReceive(deviceDetails, verPkt, 2000);
+      await sendAndReceive(deviceDetails, verPkt, 'readVersion', 2000);
     } catch (_) {
       console.log('FiiO BLE: version handshake skipped');
     }
@@ -152,15 +162,15 @@ export const fiioBle = (function () {
     // Read EQ bands (CMD 03 0D)
     // TX: F1 10 00 0A  03 0D  01 00 09  FF
     const readPkt  = buildPacket(0x03, 0x0D, [0x01, 0x00, 0x09]);
-    const resp     = await sendAndReceive(deviceDetails, readPkt, 6000);
+    const resp     = await sendAndReceive(deviceDetails, readPkt, 'readEq', 6000);
 
     if (!resp) {
-      throw new Error('FiiO BLE: no response to EQ read command');
+      throw timeoutError('FiiO BLE: no response to EQ read command');
     }
 
     const bands = parseEQResponse(resp);
     if (!bands) {
-      throw new Error(`FiiO BLE: could not parse EQ response (${resp.length} bytes)`);
+      throw protocolError(`FiiO BLE: could not parse EQ response (${resp.length} bytes)`, resp);
     }
 
     const filters = bands.map(b => ({
@@ -175,12 +185,12 @@ export const fiioBle = (function () {
     return { filters, globalGain: 0, profileId: 0 };
   }
 
-  async function pushToDevice(deviceDetails, phoneObj, slot, globalGain, filters) {
-    console.log(`FiiO BLE: writing ${filters.length} bands to device`);
-
-    for (let i = 0; i < FIIO.NUM_BANDS; i++) {
+  /** One write packet per band, all ten of them; missing bands are flat */
+  function encodeFilters(deviceDetails, filters) {
+    return Array.from({ length: FIIO.NUM_BANDS }, (_, i) => {
       const f       = filters[i] || { freq: 1000, gain: 0, q: 0.72, type: 'PK' };
-      const gainDb  = Math.max(FIIO.GAIN_MIN, Math.min(FIIO.GAIN_MAX, f.gain ?? 0));
+      // A disabled band is written flat, or its gain would stay active
+      const gainDb  = f.disabled ? 0 : Math.max(FIIO.GAIN_MIN, Math.min(FIIO.GAIN_MAX, f.gain ?? 0));
       const freqRaw = Math.max(0, Math.min(0xFFFF, Math.round(f.freq ?? 1000)));
       const qRaw    = Math.round((f.q ?? 0.72) * 100);
       const type    = f._rawType ?? FIIO.typeFromString(f.type ?? 'PK');
@@ -188,22 +198,43 @@ export const fiioBle = (function () {
       const [g_hi, g_lo] = encGain(gainDb);
 
       // F1 10 00 11  13 0D  01 [idx][idx] [g_hi g_lo f_hi f_lo q_hi q_lo type]  FF
-      const pkt = buildPacket(0x13, 0x0D, [
+      return buildPacket(0x13, 0x0D, [
         0x01, i, i,
         g_hi, g_lo,
         (freqRaw >> 8) & 0xFF, freqRaw & 0xFF,
         (qRaw   >> 8) & 0xFF, qRaw   & 0xFF,
         type,
       ]);
+    });
+  }
+
+  /** Each write packet carries its band record at the offset a read response's first one has */
+  function decodeFilters(deviceDetails, packets) {
+    return packets.map(pkt => ({
+      freq:     (pkt[11] << 8) | pkt[12],
+      gain:     decGain(pkt[9], pkt[10]),
+      q:        ((pkt[13] << 8) | pkt[14]) / 100.0,
+      type:     FIIO.typeToString(pkt[15]),
+      disabled: false,
+    }));
+  }
+
+  async function pushToDevice(deviceDetails, phoneObj, slot, globalGain, filters) {
+    console.log(`FiiO BLE: writing ${filters.length} bands to device`);
 
-      console.log(`FiiO BLE: band ${i + 1}/${FIIO.NUM_BANDS}: ${f.freq ?? 1000}Hz ${gainDb.toFixed(1)}dB Q${(f.q ?? 0.72).toFixed(2)}`);
+    const packets = encodeFilters(deviceDetails, filters);
+    const written = decodeFilters(deviceDetails, packets);
+    for (let i = 0; i < packets.length; i++) {
+      const pkt = packets[i];
+      console.log(`FiiO BLE: band ${i + 1}/${FIIO.NUM_BANDS}: ${written[i].freq}Hz ${written[i].gain.toFixed(1)}dB Q${written[i].q.toFixed(2)}`);
 
       // Send and wait for ACK (timeout is short per band)
       try {
-        await sendAndReceive(deviceDetails, pkt, 2000);
+        await sendAndReceive(deviceDetails, pkt, 'writeBand', 2000);
       } catch (_) {
         console.log(`FiiO BLE: no ACK for band ${i + 1}, continuing`);
       }
+      reportProgress(deviceDetails, ProgressPhase.WRITE, i + 1, FIIO.NUM_BANDS);
 
       // Small inter-band delay
       await new Promise(r => setTimeout(r, 50));
@@ -223,9 +254,9 @@ export const fiioBle = (function () {
   // TX: F1 10 00 08 00 03 01 FF  →  RX: F1 10 00 09 00 03 01 XX FF  (XX = %)
   async function readBattery(deviceDetails) {
     const pkt  = buildPacket(0x00, 0x03, [0x01]);
-    const resp = await sendAndReceive(deviceDetails, pkt, 3000);
-    if (!resp || resp.length < 9) throw new Error('FiiO BLE: no battery response');
-    if (resp[4] !== 0x00 || resp[5] !== 0x03) throw new Error('FiiO BLE: unexpected battery cmd in response');
+    const resp = await sendAndReceive(deviceDetails, pkt, 'readBattery', 3000);
+    if (!resp || resp.length < 9) throw protocolError('FiiO BLE: no battery response', resp);
+    if (resp[4] !== 0x00 || resp[5] !== 0x03) throw protocolError('FiiO BLE: unexpected battery cmd in response', resp);
     return resp[7]; // 0–100 percent
   }
 
@@ -233,9 +264,9 @@ export const fiioBle = (function () {
   // TX: F1 10 00 08 03 01 01 FF  →  RX: F1 10 00 09 03 01 01 XX FF  (XX: 01=on, 00=off)
   async function readEqEnabled(deviceDetails) {
     const pkt  = buildPacket(0x03, 0x01, [0x01]);
-    const resp = await sendAndReceive(deviceDetails, pkt, 3000);
-    if (!resp || resp.length < 9) throw new Error('FiiO BLE: no EQ status response');
-    if (resp[4] !== 0x03 || resp[5] !== 0x01) throw new Error('FiiO BLE: unexpected EQ status cmd in response');
+    const resp = await sendAndReceive(deviceDetails, pkt, 'readEqEnabled', 3000);
+    if (!resp || resp.length < 9) throw protocolError('FiiO BLE: no EQ status response', resp);
+    if (resp[4] !== 0x03 || resp[5] !== 0x01) throw protocolError('FiiO BLE: unexpected EQ status cmd in response', resp);
     return resp[7] === 0x01;
   }
 
@@ -243,7 +274,7 @@ export const fiioBle = (function () {
   // Write command is unconfirmed from captures; follows the FiiO read/write cmd convention.
   async function setEqEnabled(deviceDetails, enabled) {
     const pkt = buildPacket(0x13, 0x01, [0x01, enabled ? 0x01 : 0x00]);
-    await sendAndReceive(deviceDetails, pkt, 3000);
+    await sendAndReceive(deviceDetails, pkt, 'setEqEnabled', 3000);
   }
 
   return {
@@ -251,6 +282,8 @@ export const fiioBle = (function () {
     pullFromDevice,
     pushToDevice,
     enablePEQ,
+    encodeFilters,
+    decodeFilters,
     readBattery,
     readEqEnabled,
     setEqEnabled,
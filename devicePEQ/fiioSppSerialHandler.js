@@ -19,6 +19,10 @@
 //
 // Ref: FIIO_EH11_BLE_PROTOCOL.md
 
+import { timeoutError, protocolError } from './deviceErrors.js';
+import { retryPolicy, withRetry } from './deviceRetryPolicy.js';
+import { ProgressPhase, reportProgress } from './deviceProgress.js';
+
 export const fiioSppSerial = (function () {
 
   const FIIO = {
@@ -87,8 +91,7 @@ export const fiioSppSerial = (function () {
 
     while (Date.now() < deadline) {
       const remaining = Math.max(100, deadline - Date.now());
-      const timeoutPromise = new Promise(r => setTimeout(() => r({ value: null, done: true }), remaining));
-      const { value, done } = await Promise.race([device.readable.read(), timeoutPromise]);
+      const { value, done } = await device.readable.read(remaining);
       if (done || !value) break;
 
       for (const b of value) buf.push(b);
@@ -103,9 +106,14 @@ export const fiioSppSerial = (function () {
     return null;
   }
 
-  async function sendAndReceive(device, packet, timeoutMs = 4000) {
-    await device.writable.write(packet);
-    return await readFiioPacket(device, timeoutMs);
+  // One request and its response packet (null if none comes), under the
+  // model's retry policy for `command` (deviceRetryPolicy.js).
+  async function sendAndReceive(device, packet, command, timeoutMs = 4000) {
+    const policy = retryPolicy(device.modelConfig, command, timeoutMs);
+    return withRetry(policy, async (timeout) => {
+      await device.writable.write(packet);
+      return await readFiioPacket(device, timeout);
+    }, { nullMeansTimeout: true });
   }
 
   // ── Public interface ───────────────────────────────────────────────────────
@@ -120,18 +128,18 @@ export const fiioSppSerial = (function () {
     // Protocol version handshake (best-effort)
     try {
       const verPkt = buildPacket(0x00, 0x02, [0x01]);
-      await sendAndReceive(deviceDetails, verPkt, 2000);
+      await sendAndReceive(deviceDetails, verPkt, 'readVersion', 2000);
     } catch (_) {
       console.log('FiiO SPP: version handshake skipped');
     }
 
     const readPkt = buildPacket(0x03, 0x0D, [0x01, 0x00, 0x09]);
-    const resp    = await sendAndReceive(deviceDetails, readPkt, 6000);
+    const resp    = await sendAndReceive(deviceDetails, readPkt, 'readEq', 6000);
 
-    if (!resp) throw new Error('FiiO SPP: no response to EQ read command');
+    if (!resp) throw timeoutError('FiiO SPP: no response to EQ read command');
 
     const bands = parseEQResponse(resp);
-    if (!bands) throw new Error(`FiiO SPP: could not parse EQ response (${resp.length} bytes)`);
+    if (!bands) throw protocolError(`FiiO SPP: could not parse EQ response (${resp.length} bytes)`, resp);
 
     const filters = bands.map(b => ({
       freq:     b.freqHz,
@@ -145,33 +153,54 @@ export const fiioSppSerial = (function () {
     return { filters, globalGain: 0, profileId: 0 };
   }
 
-  async function pushToDevice(deviceDetails, phoneObj, slot, globalGain, filters) {
-    console.log(`FiiO SPP: writing ${filters.length} bands to device`);
-
-    for (let i = 0; i < FIIO.NUM_BANDS; i++) {
+  // One write packet per band, all ten of them; missing bands are flat.
+  function encodeFilters(deviceDetails, filters) {
+    return Array.from({ length: FIIO.NUM_BANDS }, (_, i) => {
       const f       = filters[i] || { freq: 1000, gain: 0, q: 0.72, type: 'PK' };
-      const gainDb  = Math.max(FIIO.GAIN_MIN, Math.min(FIIO.GAIN_MAX, f.gain ?? 0));
+      // A disabled band is written flat, or its gain would stay active
+      const gainDb  = f.disabled ? 0 : Math.max(FIIO.GAIN_MIN, Math.min(FIIO.GAIN_MAX, f.gain ?? 0));
       const freqRaw = Math.max(0, Math.min(0xFFFF, Math.round(f.freq ?? 1000)));
       const qRaw    = Math.round((f.q ?? 0.72) * 100);
       const type    = f._rawType ?? FIIO.typeFromString(f.type ?? 'PK');
 
       const [g_hi, g_lo] = encGain(gainDb);
 
-      const pkt = buildPacket(0x13, 0x0D, [
+      return buildPacket(0x13, 0x0D, [
         0x01, i, i,
         g_hi, g_lo,
         (freqRaw >> 8) & 0xFF, freqRaw & 0xFF,
         (qRaw    >> 8) & 0xFF, qRaw    & 0xFF,
         type,
       ]);
+    });
+  }
+
+  // Each write packet carries its band record where a read response has its first.
+  function decodeFilters(deviceDetails, packets) {
+    return packets.map(pkt => ({
+      freq:     (pkt[11] << 8) | pkt[12],
+      gain:     decGain(pkt[9], pkt[10]),
+      q:        ((pkt[13] << 8) | pkt[14]) / 100.0,
+      type:     FIIO.typeToString(pkt[15]),
+      disabled: false,
+    }));
+  }
+
+  async function pushToDevice(deviceDetails, phoneObj, slot, globalGain, filters) {
+    console.log(`FiiO SPP: writing ${filters.length} bands to device`);
 
-      console.log(`FiiO SPP: band ${i + 1}/${FIIO.NUM_BANDS}: ${f.freq ?? 1000}Hz ${gainDb.toFixed(1)}dB Q${(f.q ?? 0.72).toFixed(2)}`);
+    const packets = encodeFilters(deviceDetails, filters);
+    const written = decodeFilters(deviceDetails, packets);
+    for (let i = 0; i < packets.length; i++) {
+      const pkt = packets[i];
+      console.log(`FiiO SPP: band ${i + 1}/${FIIO.NUM_BANDS}: ${written[i].freq}Hz ${written[i].gain.toFixed(1)}dB Q${written[i].q.toFixed(2)}`);
 
       try {
-        await sendAndReceive(deviceDetails, pkt, 2000);
+        await sendAndReceive(deviceDetails, pkt, 'writeBand', 2000);
       } catch (_) {
         console.log(`FiiO SPP: no ACK for band ${i + 1}, continuing`);
       }
+      reportProgress(deviceDetails, ProgressPhase.WRITE, i + 1, FIIO.NUM_BANDS);
 
       await new Promise(r => setTimeout(r, 50));
     }
@@ -184,5 +213,5 @@ export const fiioSppSerial = (function () {
     console.log('FiiO SPP: EQ enable/disable not supported');
   }
 
-  return { getCurrentSlot, pullFromDevice, pushToDevice, enablePEQ };
+  return { getCurrentSlot, pullFromDevice, pushToDevice, enablePEQ, encodeFilters, decodeFilters };
 })();
@@ -10,6 +10,10 @@ import {
   decompensateQFromRead as sharedDecompensateQFromRead,
   shelfCompensationActive, shelfQToSend, shelfSRealised,
 } from './compensation.js';
+import { includesBand, includesGlobalGain } from './peqWriteSet.js';
+import { timeoutError } from './deviceErrors.js';
+import { retryPolicy, withRetry } from './deviceRetryPolicy.js';
+import { globalGainRange } from './peqConstraints.js';
 
 const PEQ_FILTER_COUNT = 0x18; // 24 in hex
 const PEQ_GLOBAL_GAIN = 0x17; // 23 in hex
@@ -55,14 +59,17 @@ export const fiioUsbHID = (function () {
         }
       };
 
-      await getPresetPeq(device, reportId);
-
-      // Wait at most 10 seconds for filters to be populated
-      const result = await waitForFilters(() => {
-        return currentSlot > -99
-      }, device, 10000, (device) => (
-        currentSlot
-      ));
+      // Wait at most 10 seconds (or the model's readSlot timeout) for the
+      // preset, asking again on each retry (deviceRetryPolicy.js)
+      const policy = retryPolicy(deviceDetails.modelConfig, 'readSlot', 10000);
+      const result = await withRetry(policy, async (timeoutMs) => {
+        await getPresetPeq(device, reportId);
+        return waitForFilters(() => {
+          return currentSlot > -99
+        }, device, timeoutMs, (device) => (
+          currentSlot
+        ));
+      });
 
       return result;
     } catch (error) {
@@ -71,26 +78,29 @@ export const fiioUsbHID = (function () {
     }
   };
 
-  const pushToDevice = async (deviceDetails, phoneObj, slot, preamp_gain, filters) => {
+  // Each PEQ_FILTER_PARAMS packet addresses one band, so a writeSet (see
+  // peqWriteSet.js) limits the push to the bands that changed. The connector
+  // only sends one when the band count is unchanged, so the PEQ counter is left
+  // alone in that case.
+  const pushToDevice = async (deviceDetails, phoneObj, slot, preamp_gain, filters, writeSet = null) => {
     try {
       var device = deviceDetails.rawDevice;
       var reportId = getFiioReportId(deviceDetails);
 
-      await setGlobalGain(device, clampGlobalGain(preamp_gain, deviceDetails.modelConfig), reportId);
+      if (includesGlobalGain(writeSet)) {
+        await setGlobalGain(device, clampGlobalGain(preamp_gain, deviceDetails.modelConfig), reportId);
+      }
       const maxFilters = deviceDetails.modelConfig.maxFilters;
       const maxFiltersToUse = Math.min(filters.length, maxFilters);
-      await setPeqCounter(device, maxFiltersToUse, reportId);
-      await new Promise(resolve => setTimeout(resolve, 100)); // Added 100ms delay
+      if (!writeSet) {
+        await setPeqCounter(device, maxFiltersToUse, reportId);
+        await new Promise(resolve => setTimeout(resolve, 100)); // Added 100ms delay
+      }
 
+      const packets = encodeFilters(deviceDetails, filters);
       for (let filterIdx = 0; filterIdx < maxFiltersToUse; filterIdx++) {
-        const filter = filters[filterIdx];
-        var gain = 0;   // If disabled we still need to reset to 0 gain as previous gain value will
-        // still be active
-        if (!filter.disabled) {
-          gain = filter.gain;
-        }
-        const qToWrite = compensateQForWrite(filter.q, gain, filter.type, deviceDetails.modelConfig);
-        await setPeqParams(device, filterIdx, filter.freq, gain, qToWrite, convertFromFilterType(filter.type), reportId);
+        if (!includesBand(writeSet, filterIdx)) continue;
+        await sendPeqParams(device, packets[filterIdx], reportId);
       }
       await new Promise(resolve => setTimeout(resolve, 100)); // Added 100ms delay
 
@@ -109,6 +119,23 @@ export const fiioUsbHID = (function () {
     }
   };
 
+  // The PEQ_FILTER_PARAMS packet for each band the device has.
+  const encodeFilters = (deviceDetails, filters) =>
+    filters.slice(0, deviceDetails.modelConfig.maxFilters).map((filter, filterIdx) => {
+      // A disabled band is still written, at 0 dB, or its previous gain would
+      // stay active
+      const gain = filter.disabled ? 0 : filter.gain;
+      const qToWrite = compensateQForWrite(filter.q, gain, filter.type, deviceDetails.modelConfig);
+      return peqParamsPacket(filterIdx, filter.freq, gain, qToWrite, convertFromFilterType(filter.type));
+    });
+
+  // Set packets share the byte layout of the PEQ_FILTER_PARAMS response.
+  const decodeFilters = (deviceDetails, packets) => {
+    const filters = [];
+    packets.forEach(packet => handlePeqParams(packet, null, filters, deviceDetails.modelConfig));
+    return filters;
+  };
+
   const pullFromDevice = async (deviceDetails, slot) => {
     try {
       const filters = [];
@@ -146,17 +173,22 @@ export const fiioUsbHID = (function () {
         }
       };
 
-      await getPresetPeq(device, reportId);
-      await getPeqCounter(device, reportId);
-      await getGlobalGain(device, reportId);
-
-      // Wait at most 10 seconds for filters to be populated
-      const result = await waitForFilters(() => {
-        return filters.length == peqCount
-      }, device, 10000, (device) => ({
-        filters: filters,
-        globalGain: globalGain
-      }));
+      // Wait at most 10 seconds (or the model's readFilters timeout) for
+      // filters to be populated, asking again on each retry
+      // (deviceRetryPolicy.js). Bands land by index, so a retry fills in
+      // the ones that were missing.
+      const policy = retryPolicy(deviceDetails.modelConfig, 'readFilters', 10000);
+      const result = await withRetry(policy, async (timeoutMs) => {
+        await getPresetPeq(device, reportId);
+        await getPeqCounter(device, reportId);
+        await getGlobalGain(device, reportId);
+        return waitForFilters(() => {
+          return filters.length == peqCount
+        }, device, timeoutMs, (device) => ({
+          filters: filters,
+          globalGain: globalGain
+        }));
+      });
 
       return result;
     } catch (error) {
@@ -180,7 +212,11 @@ export const fiioUsbHID = (function () {
     pushToDevice,
     pullFromDevice,
     getCurrentSlot,
-    enablePEQ
+    enablePEQ,
+    encodeFilters,
+    decodeFilters,
+    supportsBandWrites: true,   // pushToDevice honours a writeSet (peqWriteSet.js)
+    globalGainStep: 0.1,        // global gain is sent in tenths of a dB (peqPreamp.js)
   };
 })();
 
@@ -318,22 +354,24 @@ function decompensateQFromRead(q, gainDb, filterType, modelConfig) {
     { types: Q_GAIN_COMP_TYPES });
 }
 
-async function setPeqParams(device, filterIndex, fc, gain, q, filterType, reportId) {
+function peqParamsPacket(filterIndex, fc, gain, q, filterType) {
   const [frequencyLow, frequencyHigh] = splitUnsignedValue(fc);
   const [gainLow, gainHigh] = fiioGainBytesFromValue(gain);
   const qFactorValue = Math.round(q * 100);
   const [qFactorLow, qFactorHigh] = splitUnsignedValue(qFactorValue);
 
-  const packet = [
+  return [
     SET_HEADER1, SET_HEADER2, 0, 0, PEQ_FILTER_PARAMS, 8,
     filterIndex, gainLow, gainHigh,
     frequencyLow, frequencyHigh,
     qFactorLow, qFactorHigh,
     filterType, 0, END_HEADERS
   ];
+}
 
+async function sendPeqParams(device, packet, reportId) {
   const data = new Uint8Array(packet);
-  console.log(`USB Device PEQ: setPeqParams() sending filter ${filterIndex} - Freq: ${fc}Hz, Gain: ${gain}dB, Q: ${q}, Type: ${filterType}`, data);
+  console.log(`USB Device PEQ: sendPeqParams() sending filter ${packet[6]}`, data);
   logHidTx('FiiO', reportId, data);
   await device.sendReport(reportId, data);
 }
@@ -366,8 +404,9 @@ async function setGlobalGain(device, gain, reportId) {
 }
 
 function clampGlobalGain(gain, modelConfig = {}) {
-  const minGain = typeof modelConfig.minGain === "number" ? modelConfig.minGain : -12;
-  const maxGain = typeof modelConfig.maxGain === "number" ? modelConfig.maxGain : 12;
+  const { min, max } = globalGainRange(modelConfig);
+  const minGain = typeof min === "number" ? min : -12;
+  const maxGain = typeof max === "number" ? max : 12;
   return Math.max(minGain, Math.min(maxGain, gain));
 }
 
@@ -542,7 +581,7 @@ function savedEQ(data, device) {
 }
 
 
-// Utility function to wait for a condition or timeout
+// Utility function to wait for a condition or timeout (a TIMEOUT error)
 function waitForFilters(condition, device, timeout, callback) {
   return new Promise((resolve, reject) => {
     let interval;
@@ -554,7 +593,7 @@ function waitForFilters(condition, device, timeout, callback) {
       clearInterval(interval);
       if (!condition()) {
         console.warn("Timeout reached before data returned?");
-        reject(callback(device));
+        reject(timeoutError(`Timeout waiting for data after ${timeout}ms`));
       } else {
         resolve(callback(device));
       }
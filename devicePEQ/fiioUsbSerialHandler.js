@@ -1,6 +1,9 @@
 // fiioUsbSerialHandler.js
 // Pragmatic Audio - Handler for FiiO USB Serial EQ Control
 
+import { timeoutError, disconnectedError, protocolError } from './deviceErrors.js';
+import { retryPolicy } from './deviceRetryPolicy.js';
+
 // Header constants - matching fiioUsbHidHandler.js for compatibility
 const SET_HEADER1 = 0xAA;
 const SET_HEADER2 = 0x0A;
@@ -37,13 +40,13 @@ export const fiioUsbSerial = (function () {
     const port = device.rawDevice;
     if (!port || !port.readable || !port.writable) {
       __serialIsSending = false;
-      throw new Error("Serial port not available");
+      throw disconnectedError("Serial port not available");
     }
 
     let writer = null;
     let reader = null;
     const buffer = [];
-    const overallTimeoutMs = 5000;
+    const overallTimeoutMs = retryPolicy(device.modelConfig, 'read', 5000).timeoutMs;
     const startedAt = Date.now();
     let timerId = null;
 
@@ -73,7 +76,7 @@ export const fiioUsbSerial = (function () {
                 timerId = setTimeout(() => {
                   // cancel in-flight read to unblock
                   reader.cancel().catch(() => {});
-                  reject(new Error("Timeout"));
+                  reject(timeoutError("Timeout"));
                 }, remaining);
               })
             ]);
@@ -232,7 +235,7 @@ export const fiioUsbSerial = (function () {
       if (countResponse.length > 6) {
         eqCount = countResponse[6];
         if (eqCount === 0) {
-          throw new Error("No PEQ band found.");
+          throw protocolError("No PEQ band found.", countResponse);
         }
       }
 
@@ -254,20 +257,11 @@ export const fiioUsbSerial = (function () {
           const qValue = parseQValue(bandResponse[11], bandResponse[12]);
           const filterType = bandResponse[13];
 
-          // Convert FiiO filter type to standard format
-          let type = "PK";
-          switch (filterType) {
-            case 0: type = "PK"; break;
-            case 1: type = "LSQ"; break;
-            case 2: type = "HSQ"; break;
-            default: type = "PK"; break;
-          }
-
           filters.push({
             freq: frequency,
             gain: gain,
             q: qValue,
-            type: type
+            type: convertToFilterType(filterType)
           });
         }
       }
@@ -286,26 +280,51 @@ export const fiioUsbSerial = (function () {
     }
   }
 
+  // Convert FiiO filter type to standard format
+  function convertToFilterType(filterType) {
+    switch (filterType) {
+      case 1: return "LSQ";
+      case 2: return "HSQ";
+      default: return "PK";
+    }
+  }
+
+  // Convert filter type to FiiO format
+  function convertFromFilterType(type) {
+    switch (type) {
+      case "LSQ": return 1;
+      case "HSQ": return 2;
+      default: return 0; // Default to peaking (PK)
+    }
+  }
+
+  // The set command for each band
+  function encodeFilters(deviceDetails, filters) {
+    return filters.map((filter, i) =>
+      // A disabled band is still written, at 0 dB, or its previous gain would stay active
+      createSetEqBandCommand(i, filter.freq, filter.disabled ? 0 : filter.gain, filter.q,
+        convertFromFilterType(filter.type)));
+  }
+
+  // Set commands put the band where a get response does: [index, gain, freq, q, type] from byte 6
+  function decodeFilters(deviceDetails, commands) {
+    return commands.map(cmd => ({
+      freq: (cmd[9] << 8) | cmd[10],
+      gain: parseGain(cmd[7], cmd[8]),
+      q: parseQValue(cmd[11], cmd[12]),
+      type: convertToFilterType(cmd[13]),
+      disabled: false
+    }));
+  }
+
   async function pushToDevice(deviceDetails, phoneObj, slot, globalGain, filters) {
     try {
       // Set global gain
       await sendReportAndListen(deviceDetails, createSetGlobalGainCmd(globalGain));
 
       // Set each EQ band
-      for (let i = 0; i < filters.length; i++) {
-        const filter = filters[i];
-
-        // Convert filter type to FiiO format
-        let filterType = 0; // Default to peaking (PK)
-        switch (filter.type) {
-          case "PK": filterType = 0; break;
-          case "LSQ": filterType = 1; break;
-          case "HSQ": filterType = 2; break;
-        }
-
-        await sendReportAndListen(deviceDetails,
-          createSetEqBandCommand(i, filter.freq, filter.gain, filter.q, filterType)
-        );
+      for (const command of encodeFilters(deviceDetails, filters)) {
+        await sendReportAndListen(deviceDetails, command);
       }
 
       console.log("FiiO settings applied successfully");
@@ -349,6 +368,8 @@ export const fiioUsbSerial = (function () {
     getCurrentSlot,
     pullFromDevice,
     pushToDevice,
-    enablePEQ
+    enablePEQ,
+    encodeFilters,
+    decodeFilters
   };
 })();
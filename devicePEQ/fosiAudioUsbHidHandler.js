@@ -22,6 +22,8 @@ import {
   compensateQForWrite, decompensateQFromRead,
   compensateFreqForWrite, decompensateFreqFromRead,
 } from './compensation.js';
+import { timeoutError } from './deviceErrors.js';
+import { retryPolicy, withRetry } from './deviceRetryPolicy.js';
 
 export const fosiAudioUsbHID = (function () {
 
@@ -246,10 +248,16 @@ export const fosiAudioUsbHID = (function () {
     }
   }
 
-  // Receive response using Feature Report
-  async function receiveFeatureReport(device, reportId) {
+  // Receive response using Feature Report; null if it fails or takes longer
+  // than timeoutMs (when given).
+  async function receiveFeatureReport(device, reportId, timeoutMs) {
     try {
-      const dataView = await device.receiveFeatureReport(reportId);
+      const reading = device.receiveFeatureReport(reportId);
+      const dataView = timeoutMs ? await Promise.race([reading, waitMs(timeoutMs).then(() => null)]) : await reading;
+      if (!dataView) {
+        console.warn(`USB Device PEQ: Fosi Audio no feature report within ${timeoutMs}ms`);
+        return null;
+      }
       logHidRx('FosiAudio', new Uint8Array(dataView.buffer));
       console.log(`USB Device PEQ: Fosi Audio received feature report:`, Array.from(new Uint8Array(dataView.buffer).slice(0, 25)));
       return dataView;
@@ -273,8 +281,8 @@ export const fosiAudioUsbHID = (function () {
   // Every command is acked on the feature report. The app treats a missing or
   // mismatched ack as a failed write, so a send that returns is not on its own
   // proof the device did anything.
-  async function readAck(device, reportId, expectedCmd) {
-    const raw = await receiveFeatureReport(device, reportId);
+  async function readAck(device, reportId, expectedCmd, timeoutMs) {
+    const raw = await receiveFeatureReport(device, reportId, timeoutMs);
     const view = normalizeFeatureReport(raw, reportId);
     if (!view || view.getUint8(0) !== HEADER) return null;
     const cmd = view.getUint8(1);
@@ -285,6 +293,20 @@ export const fosiAudioUsbHID = (function () {
     return view;
   }
 
+  // Sends the GET command `cmd` and reads its ack, under the model's retry
+  // policy for `command` (deviceRetryPolicy.js): a missing or mismatched ack
+  // counts as a timeout, and each retry asks again. The feature report read
+  // has no timeout unless the policy sets one.
+  async function requestAck(device, reportId, modelConfig, command, cmd) {
+    const policy = retryPolicy(modelConfig, command, undefined);
+    return withRetry(policy, async (timeoutMs) => {
+      const packet = makePacket(cmd);
+      logHidTx('FosiAudio', reportId, packet);
+      await device.sendReport(reportId, packet);
+      return readAck(device, reportId, cmd, timeoutMs);
+    }, { nullMeansTimeout: true });
+  }
+
   // GET_SAMPLE_FORMAT response: [0x77, 0x9F, sampleRate(u32 LE), dsdMode]
   //
   // The DSP follows the stream on this device, so the rate has to be read
@@ -292,12 +314,9 @@ export const fosiAudioUsbHID = (function () {
   // better than 48k at 8-10kHz, and the shelf prewarp is exactly where an
   // assumed rate goes wrong. Returns null on any failure so the caller falls
   // back to the configured value rather than writing a wrong frequency.
-  async function readSampleRate(device, reportId) {
+  async function readSampleRate(device, reportId, modelConfig) {
     try {
-      const packet = makePacket(CMD.GET_SAMPLE_FORMAT);
-      logHidTx('FosiAudio', reportId, packet);
-      await device.sendReport(reportId, packet);
-      const view = await readAck(device, reportId, CMD.GET_SAMPLE_FORMAT);
+      const view = await requestAck(device, reportId, modelConfig, 'readSampleRate', CMD.GET_SAMPLE_FORMAT);
       if (!view || view.byteLength < 6) return null;
       const rate = view.getUint32(2, true);
       // Sanity-check: a garbled read must not silently reshape every filter.
@@ -313,11 +332,8 @@ export const fosiAudioUsbHID = (function () {
   }
 
   // GET_EQ_ENABLE response: [0x77, 0x9E, enable, mode]
-  async function readEqEnable(device, reportId) {
-    const packet = makePacket(CMD.GET_EQ_ENABLE);
-    logHidTx('FosiAudio', reportId, packet);
-    await device.sendReport(reportId, packet);
-    const view = await readAck(device, reportId, CMD.GET_EQ_ENABLE);
+  async function readEqEnable(device, reportId, modelConfig) {
+    const view = await requestAck(device, reportId, modelConfig, 'readEqEnable', CMD.GET_EQ_ENABLE);
     if (!view || view.byteLength < 4) return null;
     return { enabled: view.getUint8(2) === 1, mode: view.getUint8(3) };
   }
@@ -334,12 +350,13 @@ export const fosiAudioUsbHID = (function () {
     await device.sendReport(reportId, packet);
   }
 
-  // Wait for response from device
-  function waitForResponse(device, timeout = 2000) {
-    return new Promise((resolve, reject) => {
+  // Wait for an input report from the device, under the model's retry policy
+  // for `command` (each retry listens again).
+  function waitForResponse(device, modelConfig, command = 'response', timeoutMs = 2000) {
+    return withRetry(retryPolicy(modelConfig, command, timeoutMs), (timeout) => new Promise((resolve, reject) => {
       const timer = setTimeout(() => {
         device.removeEventListener("inputreport", handler);
-        reject(new Error(`Timeout waiting for response after ${timeout}ms`));
+        reject(timeoutError(`Timeout waiting for response after ${timeout}ms`));
       }, timeout);
 
       const handler = (event) => {
@@ -352,7 +369,7 @@ export const fosiAudioUsbHID = (function () {
       };
 
       device.addEventListener("inputreport", handler);
-    });
+    }));
   }
 
   // Parse response data based on command type
@@ -400,7 +417,7 @@ export const fosiAudioUsbHID = (function () {
       console.log(`USB Device PEQ: Fosi Audio pulling from device (mode ${slot})...`);
       // Read once per operation, not per band: the rate cannot change mid-pull
       // and eight extra round trips would only slow the pull down.
-      const deviceFs = await readSampleRate(device, reportId);
+      const deviceFs = await readSampleRate(device, reportId, deviceDetails.modelConfig);
       if (deviceFs) console.log(`USB Device PEQ: Fosi Audio DSP sample rate ${deviceFs} Hz`);
 
       // Setup listener to collect all band responses
@@ -497,13 +514,33 @@ export const fosiAudioUsbHID = (function () {
   }
 
   async function pushToDevice(deviceDetails, phoneObj, slot, globalGain, filters) {
+    await writeBands(deviceDetails, slot, filters, { save: true });
+    return deviceDetails.modelConfig?.disconnectOnSave || false;
+  }
+
+  // Per-band commits make the new bands audible; SET_AND_SAVE_EQ_MODE is what
+  // writes the preset to flash. A preview leaves that out until commitToDevice().
+  async function previewToDevice(deviceDetails, phoneObj, slot, globalGain, filters) {
+    await writeBands(deviceDetails, slot, filters, { save: false });
+    return false;
+  }
+
+  async function commitToDevice(deviceDetails, phoneObj, slot) {
+    const device = deviceDetails.rawDevice;
+    const reportId = deviceDetails.modelConfig?.reportId || REPORT_ID;
+    console.log(`USB Device PEQ: Fosi Audio saving preset ${slot} (${PRESET_MAP[slot] || 'Unknown'})`);
+    await sendCommand(device, reportId, CMD.SET_AND_SAVE_EQ_MODE, slot, 50);
+    return deviceDetails.modelConfig?.disconnectOnSave || false;
+  }
+
+  async function writeBands(deviceDetails, slot, filters, { save }) {
     const device = deviceDetails.rawDevice;
     const reportId = deviceDetails.modelConfig?.reportId || REPORT_ID;
     const maxFilters = Math.min(filters.length, deviceDetails.modelConfig?.maxFilters || DEFAULT_BAND_COUNT);
 
     try {
       console.log(`USB Device PEQ: Fosi Audio pushing ${maxFilters} filters to preset ${slot} (${PRESET_MAP[slot] || 'Unknown'})...`);
-      const deviceFs = await readSampleRate(device, reportId);
+      const deviceFs = await readSampleRate(device, reportId, deviceDetails.modelConfig);
       if (deviceFs) console.log(`USB Device PEQ: Fosi Audio DSP sample rate ${deviceFs} Hz`);
 
       // Send initial handshake (GET_EQ_MODE_COUNT doubles as INIT)
@@ -513,15 +550,11 @@ export const fosiAudioUsbHID = (function () {
       await sendCommand(device, reportId, CMD.SET_EQ_MODE, slot, 30);
 
       // Write each band's parameters followed by per-band commit
-      for (let i = 0; i < maxFilters; i++) {
-        const filter = filters[i];
-        const filterToWrite = filter.disabled
-          ? { type: "PK", freq: 1000, q: 1.0, gain: 0 }
-          : filter;
-
+      const packets = encodeFilters(deviceDetails, filters.slice(0, maxFilters), slot, deviceFs);
+      for (let i = 0; i < packets.length; i++) {
         // Send SET_EQ_PARAMS command using Feature Report
-        const packet = encodeBandParams(slot, i, filterToWrite, deviceDetails.modelConfig, deviceFs);
-        console.log(`USB Device PEQ: Fosi Audio writing band ${i}: freq=${filterToWrite.freq}Hz gain=${filterToWrite.gain}dB q=${filterToWrite.q}`);
+        const packet = packets[i];
+        console.log(`USB Device PEQ: Fosi Audio writing band ${i}:`, filters[i]);
         logHidTx('FosiAudio', reportId, packet);
         await device.sendFeatureReport(reportId, packet);
         await waitMs(20);
@@ -532,7 +565,9 @@ export const fosiAudioUsbHID = (function () {
       }
 
       // Send final global commit/save
-      await sendCommand(device, reportId, CMD.SET_AND_SAVE_EQ_MODE, slot, 50);
+      if (save) {
+        await sendCommand(device, reportId, CMD.SET_AND_SAVE_EQ_MODE, slot, 50);
+      }
 
       // Writing bands is inaudible while the EQ switch is off. That switch
       // (0x9D) is separate, persistent device state and is not implied by
@@ -540,8 +575,7 @@ export const fosiAudioUsbHID = (function () {
       // toggle. Without this a push reports success and changes nothing.
       await enablePEQ(deviceDetails, true, slot);
 
-      console.log("USB Device PEQ: Fosi Audio push complete");
-      return deviceDetails.modelConfig?.disconnectOnSave || false;
+      console.log(`USB Device PEQ: Fosi Audio ${save ? 'push' : 'preview'} complete`);
     } catch (error) {
       console.error("USB Device PEQ: Fosi Audio pushToDevice failed:", error);
       throw error;
@@ -581,7 +615,7 @@ export const fosiAudioUsbHID = (function () {
 
     // Read back what the device actually thinks the switch is, so a silently
     // ignored write shows up in the log instead of as "no sound".
-    const state = await readEqEnable(device, reportId);
+    const state = await readEqEnable(device, reportId, deviceDetails.modelConfig);
     if (state) {
       console.log(`USB Device PEQ: Fosi Audio EQ enable readback: ${state.enabled ? 'ON' : 'OFF'} (mode ${state.mode})`);
       if (state.enabled !== !!enable) {
@@ -593,6 +627,28 @@ export const fosiAudioUsbHID = (function () {
     return state ? state.enabled : undefined;
   }
 
+  // The SET_EQ_PARAMS packet for each band the device has. Without the
+  // device's sample rate (a dry run), shelf corners are placed for the default.
+  function encodeFilters(deviceDetails, filters, slot = 0, fs = undefined) {
+    const modelConfig = deviceDetails.modelConfig;
+    return filters.slice(0, modelConfig?.maxFilters || DEFAULT_BAND_COUNT).map((filter, i) => {
+      const filterToWrite = filter.disabled
+        ? { type: "PK", freq: 1000, q: 1.0, gain: 0 }
+        : filter;
+      return encodeBandParams(slot, i, filterToWrite, modelConfig, fs);
+    });
+  }
+
+  // A GET_EQ_PARAMS response is the set packet behind the report ID byte.
+  function decodeFilters(deviceDetails, packets, fs = undefined) {
+    return packets.map(packet => {
+      const response = new Uint8Array(packet.length + 1);
+      response.set(packet, 1);
+      const { type, freq, q, gain } = parseBandParams(response, deviceDetails.modelConfig, fs);
+      return { type, freq, q, gain, disabled: false };
+    });
+  }
+
   // Helper delay function
   function waitMs(ms) {
     return new Promise(resolve => setTimeout(resolve, ms));
@@ -602,6 +658,10 @@ export const fosiAudioUsbHID = (function () {
     getCurrentSlot,
     pullFromDevice,
     pushToDevice,
-    enablePEQ
+    previewToDevice,
+    commitToDevice,
+    enablePEQ,
+    encodeFilters,
+    decodeFilters
   };
 })();
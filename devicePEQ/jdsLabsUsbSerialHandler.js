@@ -1,7 +1,7 @@
 // jdsLabsUsbSerialHandler.js
 // Pragmatic Audio - Handler for JDS Labs Element IV USB Serial EQ Control
 
-class SerialDeviceError extends Error {}
+import { protocolError } from './deviceErrors.js';
 
 export const jdsLabsUsbSerial = (function () {
   const textEncoder = new TextEncoder();
@@ -55,7 +55,7 @@ export const jdsLabsUsbSerial = (function () {
     await sendJsonCommand(deviceDetails, describeCommand);
     const response = await readJsonResponse(deviceDetails);
     if (!response || !response.Configuration || !response.Configuration.General) {
-      throw new Error("Invalid Describe response for slot extraction");
+      throw protocolError("Invalid Describe response for slot extraction");
     }
     const currentInput = response.Configuration.General["Input Mode"]?.Current;
     return currentInput === "USB" ? 0 : 1; // slot 0 for USB, slot 1 for SPDIF
@@ -85,7 +85,7 @@ export const jdsLabsUsbSerial = (function () {
     await sendJsonCommand(deviceDetails, describeCommand);
     const response = await readJsonResponse(deviceDetails);
     if (!response || !response.Configuration || !response.Configuration.DSP) {
-      throw new Error("Invalid Describe response for PEQ extraction");
+      throw protocolError("Invalid Describe response for PEQ extraction");
     }
 
     console.log(`USB Device PEQ: JDS Labs device (12-band support only)`);
@@ -149,7 +149,8 @@ export const jdsLabsUsbSerial = (function () {
     return { filters, globalGain: preampGain };
   }
 
-  // Helper function to group and validate filters for JDS Labs
+  // Helper function to group and validate filters for JDS Labs. Returns the
+  // aligned 12 bands and a warning for every group that had to be truncated.
   function groupAndValidateFilters(filters) {
     const JDS_LIMITS = {
       LSQ: 2,    // 2 Lowshelf filters
@@ -183,16 +184,6 @@ export const jdsLabsUsbSerial = (function () {
       }
     }
 
-    // Show warnings if any
-    if (warnings.length > 0) {
-      warnings.forEach(warning => {
-        console.warn(`USB Device PEQ: JDS Labs - ${warning}`);
-        if (typeof window !== 'undefined' && window.showToast) {
-          window.showToast(warning, "warning", 8000);
-        }
-      });
-    }
-
     // Create aligned filter array for JDS Labs 12-band structure
     const alignedFilters = [];
 
@@ -226,7 +217,38 @@ export const jdsLabsUsbSerial = (function () {
       }
     }
 
-    return alignedFilters;
+    return { alignedFilters, warnings };
+  }
+
+  // Create filter object with Type field (always 12-band)
+  function makeFilterObj(filter, defaultType = "PEAKING") {
+    // Device expects full type names, not abbreviated forms
+    const currentType = filter.type || defaultType;
+
+    return {
+      // A disabled band is written flat, or its gain would stay active
+      Gain: filter.disabled ? 0 : filter.gain,
+      Frequency: filter.freq,
+      Q: filter.q,
+      Type: currentType
+    };
+  }
+
+  // The 12 filter objects of an Update, in band order: shelves first and
+  // last, peaks between them, whatever order they were given in.
+  function encodeFilters(deviceDetails, filters) {
+    return groupAndValidateFilters(filters).alignedFilters.map(filter => makeFilterObj(filter));
+  }
+
+  // What a Describe reports once `encoded` is applied.
+  function decodeFilters(deviceDetails, encoded) {
+    return encoded.map(filter => ({
+      freq: filter.Frequency,
+      gain: filter.Gain,
+      q: filter.Q,
+      type: transformFilterType(filter.Type),
+      disabled: false
+    }));
   }
 
   async function pushToDevice(deviceDetails, phoneObj, slot, globalGain, filters) {
@@ -234,37 +256,23 @@ export const jdsLabsUsbSerial = (function () {
     console.log(`USB Device PEQ: JDS Labs building settings for 12-band device`);
 
     // Group and validate filters according to JDS Labs requirements
-    const alignedFilters = groupAndValidateFilters(filters);
-
-    // Create filter object with Type field (always 12-band)
-    const makeFilterObj = (filter, defaultType = "PEAKING") => {
-      // Device expects full type names, not abbreviated forms
-      const currentType = filter.type || defaultType;
-
-      return {
-        Gain: filter.gain,
-        Frequency: filter.freq,
-        Q: filter.q,
-        Type: currentType
-      };
-    };
-
-    // Get the filter order (always 12-band)
-    const filterOrder = getFilterOrder();
+    const { warnings } = groupAndValidateFilters(filters);
+    warnings.forEach(warning => {
+      console.warn(`USB Device PEQ: JDS Labs - ${warning}`);
+      if (typeof window !== 'undefined' && window.showToast) {
+        window.showToast(warning, "warning", 8000);
+      }
+    });
 
     // Create the headphone configuration object
     const headphoneConfig = {
       Preamp: { Gain: globalGain, Mode: "AUTO" }
     };
 
-    // Add aligned filters to the configuration (alignedFilters already has correct types and positions)
-    filterOrder.forEach((name, index) => {
-      if (index < alignedFilters.length) {
-        headphoneConfig[name] = makeFilterObj(alignedFilters[index]);
-      } else {
-        // This shouldn't happen since alignedFilters should always be 12 elements
-        console.warn(`USB Device PEQ: JDS Labs missing filter at index ${index}`);
-      }
+    // Add the aligned filters under their names (always 12-band)
+    const filterOrder = getFilterOrder();
+    encodeFilters(deviceDetails, filters).forEach((filter, index) => {
+      headphoneConfig[filterOrder[index]] = filter;
     });
 
     const payload = {
@@ -284,7 +292,7 @@ export const jdsLabsUsbSerial = (function () {
       console.log("Settings Applied & Saved");
       return response;
     } else {
-      throw new SerialDeviceError("Command error updating settings");
+      throw protocolError("Command error updating settings");
     }
   }
 
@@ -293,7 +301,9 @@ export const jdsLabsUsbSerial = (function () {
     getCurrentSlot,
     pullFromDevice,
     pushToDevice, // Kept for backward compatibility
-    enablePEQ: async () => {} // Not applicable for JDSLabs
+    enablePEQ: async () => {}, // Not applicable for JDSLabs
+    encodeFilters,
+    decodeFilters
   };
 })();
 
@@ -1,4 +1,7 @@
 import { logHidTx, logHidRx } from './deviceDebugLog.js';
+import { includesBand, includesGlobalGain } from './peqWriteSet.js';
+import { timeoutError } from './deviceErrors.js';
+import { retryPolicy, withRetry } from './deviceRetryPolicy.js';
 
 export const ktmicroUsbHidHandler = (function () {
   const FILTER_COUNT = 10;
@@ -8,7 +11,14 @@ export const ktmicroUsbHidHandler = (function () {
   const COMMAND_COMMIT = 0x53;
   const COMMAND_CLEAR = 0x43;
 
-  let pendingCommands = [];
+  // Requests awaiting a reply, per raw device. Replies carry only reg/cmd, so
+  // matching is only unambiguous because the device queue (deviceQueue.js)
+  // keeps one operation on the wire at a time.
+  const pendingByDevice = new WeakMap();
+  const pendingFor = (device) => {
+    if (!pendingByDevice.has(device)) pendingByDevice.set(device, []);
+    return pendingByDevice.get(device);
+  };
 
   function registerReportHandler(device) {
     if (device._reportHandlerRegistered) return;
@@ -18,7 +28,8 @@ export const ktmicroUsbHidHandler = (function () {
       const reg = data[0];
       const cmd = data[4];
 
-      const index = pendingCommands.findIndex(p => p.reg === reg && p.cmd === cmd && p.device === device);
+      const pendingCommands = pendingFor(device);
+      const index = pendingCommands.findIndex(p => p.reg === reg && p.cmd === cmd);
       if (index !== -1) {
         const p = pendingCommands.splice(index, 1)[0];
         clearTimeout(p.timeout);
@@ -31,22 +42,34 @@ export const ktmicroUsbHidHandler = (function () {
   function waitForResponse(device, reg, cmd, timeoutMs = 1000) {
     registerReportHandler(device);
     return new Promise((resolve, reject) => {
+      const pendingCommands = pendingFor(device);
       const timeout = setTimeout(() => {
         const index = pendingCommands.findIndex(p => p.resolve === resolve);
         if (index !== -1) pendingCommands.splice(index, 1);
-        reject(new Error(`Timeout waiting for response (Reg: 0x${reg.toString(16)}, Cmd: 0x${cmd.toString(16)})`));
+        reject(timeoutError(`Timeout waiting for response (Reg: 0x${reg.toString(16)}, Cmd: 0x${cmd.toString(16)})`));
       }, timeoutMs);
-      pendingCommands.push({ device, reg, cmd, resolve, reject, timeout });
+      pendingCommands.push({ reg, cmd, resolve, reject, timeout });
     });
   }
 
-  async function sendCommandWithResponse(device, packet, timeoutMs = 1000) {
-    const reg = packet[0];
-    const cmd = packet[4];
-    const responsePromise = waitForResponse(device, reg, cmd, timeoutMs);
-    logHidTx('KTMicro', REPORT_ID, packet);
-    await device.sendReport(REPORT_ID, packet);
-    return responsePromise;
+  // Send a request and wait for the reply to its reg/cmd, under the model's
+  // retry policy for `command` (deviceRetryPolicy.js). Each attempt resends
+  // the request and waits policy.timeoutMs; timeoutMs is the wait when the
+  // config sets none.
+  function sendCommandWithResponse(deviceDetails, command, packet, timeoutMs = 1000) {
+    const device = deviceDetails.rawDevice;
+    const policy = retryPolicy(deviceDetails.modelConfig, command, timeoutMs);
+    return withRetry(policy, async (timeout) => {
+      const responsePromise = waitForResponse(device, packet[0], packet[4], timeout);
+      logHidTx('KTMicro', REPORT_ID, packet);
+      try {
+        await device.sendReport(REPORT_ID, packet);
+      } catch (error) {
+        responsePromise.catch(() => {});
+        throw error;
+      }
+      return responsePromise;
+    });
   }
 
   function buildReadPacket(filterFieldToRequest) {
@@ -98,10 +121,9 @@ export const ktmicroUsbHidHandler = (function () {
   }
 
   async function getCurrentSlot (deviceDetails){
-    var device = deviceDetails.rawDevice;
     const request = buildReadEQPacket();
     console.log(`USB Device PEQ: KTMicro sending readCurrentSlot command:`, request);
-    const data = await sendCommandWithResponse(device, request);
+    const data = await sendCommandWithResponse(deviceDetails, 'readSlot', request);
     const slotId = data[6];
     console.log(`USB Device PEQ: KTMicro read slot value: ${slotId}`);
     return slotId;
@@ -122,13 +144,13 @@ export const ktmicroUsbHidHandler = (function () {
     return { gainFreqId, qId: gainFreqId + 1 };
   }
 
-  async function readFullFilter(device, filterIndex, compensate2X, gainFreqId, qId) {
+  async function readFullFilter(deviceDetails, filterIndex, compensate2X, gainFreqId, qId) {
     console.log(`USB Device PEQ: KTMicro reading filter ${filterIndex} (Regs: 0x${gainFreqId.toString(16)}, 0x${qId.toString(16)})`);
 
-    const dataGainFreq = await sendCommandWithResponse(device, buildReadPacket(gainFreqId));
+    const dataGainFreq = await sendCommandWithResponse(deviceDetails, 'readFilter', buildReadPacket(gainFreqId));
     const gainFreqResult = decodeGainFreqResponse(dataGainFreq, compensate2X);
 
-    const dataQ = await sendCommandWithResponse(device, buildReadPacket(qId));
+    const dataQ = await sendCommandWithResponse(deviceDetails, 'readFilter', buildReadPacket(qId));
     const qResult = decodeQResponse(dataQ);
 
     const result = { ...gainFreqResult, ...qResult };
@@ -136,10 +158,10 @@ export const ktmicroUsbHidHandler = (function () {
     return result;
   }
 
-  async function readPregain(device) {
+  async function readPregain(deviceDetails) {
     const request = buildReadGlobalPacket();
     console.log(`USB Device PEQ: KTMicro sending readPregain command:`, request);
-    const data = await sendCommandWithResponse(device, request);
+    const data = await sendCommandWithResponse(deviceDetails, 'readGlobalGain', request);
 
     const rawPregain = data[6];
     let pregain = rawPregain > 127 ? rawPregain - 256 : rawPregain;
@@ -164,16 +186,15 @@ export const ktmicroUsbHidHandler = (function () {
   }
 
   async function pullFromDevice(deviceDetails) {
-    const device = deviceDetails.rawDevice;
     const compensate2X = deviceDetails.modelConfig.compensate2X;
     const filters = [];
     for (let i = 0; i < deviceDetails.modelConfig.maxFilters; i++) {
       const { gainFreqId, qId } = bandRegistersFor(deviceDetails.modelConfig, i);
-      const filter = await readFullFilter(device, i, compensate2X, gainFreqId, qId);
+      const filter = await readFullFilter(deviceDetails, i, compensate2X, gainFreqId, qId);
       filters.push(filter);
     }
 
-    const pregain = await readPregain(device);
+    const pregain = await readPregain(deviceDetails);
 
     return { filters, globalGain: pregain };
   }
@@ -217,17 +238,19 @@ export const ktmicroUsbHidHandler = (function () {
     ]);
   }
 
-  async function pushClearToDevice(device) {
+  async function pushClearToDevice(deviceDetails) {
     // Send a clear first ( sort of like a reset )
     const clear = buildCommand(COMMAND_CLEAR);
     console.log(`USB Device PEQ: KTMicro sending clear command:`, clear);
-    await sendCommandWithResponse(device, clear);
+    await sendCommandWithResponse(deviceDetails, 'clear', clear);
     console.log(`USB Device PEQ: KTMicro clear sent and confirmed`);
 
     await new Promise(resolve => setTimeout(resolve, 200)); // Added 200ms delay
   }
 
-  async function pushToDevice(deviceDetails, phoneObj, slot, globalGain, filters) {
+  // Each band is a pair of register writes addressed by index, so a writeSet
+  // (see peqWriteSet.js) limits the push to the bands that changed.
+  async function pushToDevice(deviceDetails, phoneObj, slot, globalGain, filters, writeSet = null) {
     const device = deviceDetails.rawDevice;
 
     // First check if we need to enable PEQ
@@ -237,24 +260,15 @@ export const ktmicroUsbHidHandler = (function () {
       slot = deviceDetails.modelConfig.availableSlots[0].id;
       console.log(`USB Device PEQ: KTMicro device is disabled, enabling it first with slot ${slot}`);
       await enablePEQ(deviceDetails, true, slot);
+      writeSet = null;  // Enabling loads a preset; write everything on top of it
     }
 
     try {
       // Now write the filters
-      for (let i = 0; i < filters.length; i++) {
-        if (i >= deviceDetails.modelConfig.maxFilters) break;
-
-        const { gainFreqId, qId } = bandRegistersFor(deviceDetails.modelConfig, i);
-        var freqToWrite = filters[i].freq;
-        if (deviceDetails.modelConfig.compensate2X) { // Most older KTMicro devices set the wrong frequency
-          freqToWrite = filters[i].freq / 2;  // 100Hz seems to end up as 200Hz
-        }
-        var gain = filters[i].gain;
-        if (filters[i].disabled) {
-          gain = 0;
-        }
-        const writeGainFreq = buildWritePacket(gainFreqId, freqToWrite, gain);
-        const writeQ = buildQPacket(qId, filters[i].q, filters[i].type);
+      const bands = encodeFilters(deviceDetails, filters);
+      for (let i = 0; i < bands.length; i++) {
+        if (!includesBand(writeSet, i)) continue;
+        const { gainFreq: writeGainFreq, q: writeQ } = bands[i];
 
         // Fire-and-forget writes — KT Micro devices do not all ACK individual register
         // writes (e.g. TANCHJIM-ONE DSP processes silently). The older handler never
@@ -272,7 +286,7 @@ export const ktmicroUsbHidHandler = (function () {
       throw e;
     }
 
-    if (deviceDetails.modelConfig.deviceHandlesPregain === false) {
+    if (deviceDetails.modelConfig.deviceHandlesPregain === false && includesGlobalGain(writeSet)) {
       await writePregain(device, globalGain);
     }
 
@@ -284,7 +298,7 @@ export const ktmicroUsbHidHandler = (function () {
 
     await new Promise(resolve => setTimeout(resolve, 1000));
 
-    console.log(`USB Device PEQ: KTMicro successfully pushed ${filters.length} filters to device`);
+    console.log(`USB Device PEQ: KTMicro successfully pushed ${writeSet ? writeSet.bands.length : filters.length} filters to device`);
     console.log(`USB Device PEQ: KTMicro disconnectOnSave =`, deviceDetails.modelConfig.disconnectOnSave);
     if (deviceDetails.modelConfig.disconnectOnSave) {
       return true;    // Disconnect
@@ -292,9 +306,34 @@ export const ktmicroUsbHidHandler = (function () {
     return false;
   }
 
+  // The gain/freq and Q/type register writes for each band the device has.
+  function encodeFilters(deviceDetails, filters) {
+    const modelConfig = deviceDetails.modelConfig;
+    return filters.slice(0, modelConfig.maxFilters).map((filter, i) => {
+      const { gainFreqId, qId } = bandRegistersFor(modelConfig, i);
+      var freqToWrite = filter.freq;
+      if (modelConfig.compensate2X) { // Most older KTMicro devices set the wrong frequency
+        freqToWrite = filter.freq / 2;  // 100Hz seems to end up as 200Hz
+      }
+      const gain = filter.disabled ? 0 : filter.gain;
+      return {
+        gainFreq: buildWritePacket(gainFreqId, freqToWrite, gain),
+        q: buildQPacket(qId, filter.q, filter.type),
+      };
+    });
+  }
+
+  // Write packets put the values where a read response does.
+  function decodeFilters(deviceDetails, bands) {
+    return bands.map(({ gainFreq, q }) => ({
+      ...decodeQResponse(q),
+      ...decodeGainFreqResponse(gainFreq, deviceDetails.modelConfig.compensate2X),
+      disabled: false,
+    }));
+  }
+
   const enablePEQ = async (deviceDetails, enable, slotId) => {
     // KT micro - has issue if device is PEQ was disabled we try to enable it
-    var device = deviceDetails.rawDevice;
 
     if (slotId === deviceDetails.modelConfig.disabledPresetId || enable === false) {
       slotId = deviceDetails.modelConfig.disabledPresetId; // Disable
@@ -303,7 +342,7 @@ export const ktmicroUsbHidHandler = (function () {
     const enableEQPacket = buildEnableEQPacket(slotId);
 
     console.log(`USB Device PEQ: KTMicro enable PEQ request (Slot: ${slotId})`, enableEQPacket);
-    await sendCommandWithResponse(device, enableEQPacket);
+    await sendCommandWithResponse(deviceDetails, 'enablePEQ', enableEQPacket);
   }
 
   return {
@@ -311,5 +350,9 @@ export const ktmicroUsbHidHandler = (function () {
     pushToDevice,
     pullFromDevice,
     enablePEQ,
+    encodeFilters,
+    decodeFilters,
+    supportsBandWrites: true,   // pushToDevice honours a writeSet (peqWriteSet.js)
+    globalGainStep: 1,          // pregain is written as whole dB (peqPreamp.js)
   };
 })();
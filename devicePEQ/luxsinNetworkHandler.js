@@ -4,6 +4,14 @@
 // Luxsin X9 Network Handler for PEQ over HTTP API
 // Uses custom base64 alphabet encoding used by /dev/info.cgi
 //
+// A profile's filters apply to both channels unless they carry `channel`
+// (1 = left, 2 = right); an unlinked set (peqChannels.js) is written as the
+// left bands then the right ones, each marked, and pulled back the same way.
+//
+
+import { protocolError } from './deviceErrors.js';
+import { networkBaseUrl } from './networkDeviceList.js';
+import { splitChannels, joinChannels } from './peqChannels.js';
 
 export const luxsinNetworkHandler = (function () {
   // Custom encoding/decoding alphabets from sample controller
@@ -38,6 +46,9 @@ export const luxsinNetworkHandler = (function () {
     return new TextDecoder('utf-8').decode(bytes);
   }
 
+  // Per-band channel codes; a band without one applies to both channels.
+  const LUXSIN_CHANNELS = { L: 1, R: 2 };
+
   // Helpers to normalize filter types between app and Luxsin API
   function toLuxsinType(type) {
     if (typeof type === 'number') return type; // assume already Luxsin code
@@ -49,6 +60,7 @@ export const luxsinNetworkHandler = (function () {
       'BPF': 2,
       'Band-Pass': 2,
       'Notch': 3,
+      'NOTCH': 3,
       'Peak': 4,
       'PK': 4,
       'Low-Shelf': 5,
@@ -57,6 +69,7 @@ export const luxsinNetworkHandler = (function () {
       'HSQ': 6,
       'AllPass': 7,
       'All-Pass': 7,
+      'ALLPASS': 7,
     };
     return map[type] !== undefined ? map[type] : 4; // default to Peak
   }
@@ -86,25 +99,26 @@ export const luxsinNetworkHandler = (function () {
       .finally(() => clearTimeout(timer));
   }
 
-  async function httpGet(ip, pathAndQuery) {
-    const url = `http://${ip}${pathAndQuery}`;
+  // device: the connected device ({ host, port, protocol }) or a bare IP.
+  async function httpGet(device, pathAndQuery) {
+    const url = `${networkBaseUrl(device, 'http')}${pathAndQuery}`;
     const response = await fetchWithTimeout(url, { method: 'GET' });
-    if (!response.ok) throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+    if (!response.ok) throw protocolError(`HTTP ${response.status}: ${response.statusText}`, null, { status: response.status });
     return response.text();
   }
 
-  async function httpPostJsonEncoded(ip, path, obj) {
+  async function httpPostJsonEncoded(device, path, obj) {
     const jsonStr = JSON.stringify(obj);
     const encodedJson = encodeCustom(jsonStr);
     const body = new URLSearchParams();
     body.append('json', encodedJson);
-    const url = `http://${ip}${path}`;
+    const url = `${networkBaseUrl(device, 'http')}${path}`;
     const response = await fetchWithTimeout(url, {
       method: 'POST',
       headers: { 'Content-Type': 'application/x-www-form-urlencoded; charset=UTF-8' },
       body
     });
-    if (!response.ok) throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+    if (!response.ok) throw protocolError(`HTTP ${response.status}: ${response.statusText}`, null, { status: response.status });
     return true;
   }
 
@@ -112,8 +126,8 @@ export const luxsinNetworkHandler = (function () {
   async function pullFromDevice(device, slot) {
     try {
       const [syncDataText, syncPeqText] = await Promise.all([
-        httpGet(device.ip, '/dev/info.cgi?action=syncData'),
-        httpGet(device.ip, '/dev/info.cgi?action=syncPeq').catch(() => '')
+        httpGet(device, '/dev/info.cgi?action=syncData'),
+        httpGet(device, '/dev/info.cgi?action=syncPeq').catch(() => '')
       ]);
 
       const deviceData = JSON.parse(decodeCustom(syncDataText));
@@ -132,13 +146,9 @@ export const luxsinNetworkHandler = (function () {
       if (currentProfile) {
         preamp = Number(currentProfile.preamp) || 0;
         try {
-          const rawFilters = JSON.parse(currentProfile.filters || '[]');
-          filters = rawFilters.map(f => ({
-            type: fromLuxsinType(Number(f.type)),
-            freq: Number(f.fc),
-            q: Number(f.q),
-            gain: Number(f.gain)
-          }));
+          const { L, R } = splitChannels(decodeFilters(device, JSON.parse(currentProfile.filters || '[]'))
+            .map(({ disabled, ...f }) => f));
+          filters = joinChannels(L, R);
         } catch (e) {
           console.warn('Luxsin: failed to parse filters JSON', e);
         }
@@ -159,25 +169,44 @@ export const luxsinNetworkHandler = (function () {
     }
   }
 
+  // The filter objects a profile stores, in the API's own field names.
+  function encodeFilters(device, filters) {
+    return (filters || []).map(f => ({
+      type: toLuxsinType(f.type),
+      fc: Number(f.freq ?? f.fc),
+      // A disabled band is written flat, or its gain would stay active
+      gain: f.disabled ? 0 : Number(f.gain),
+      q: Number(f.q),
+      ...(LUXSIN_CHANNELS[f.channel] ? { channel: LUXSIN_CHANNELS[f.channel] } : {})
+    }));
+  }
+
+  function decodeFilters(device, luxFilters) {
+    return luxFilters.map(f => {
+      const channel = Object.keys(LUXSIN_CHANNELS).find(ch => LUXSIN_CHANNELS[ch] === Number(f.channel));
+      return {
+        type: fromLuxsinType(Number(f.type)),
+        freq: Number(f.fc),
+        q: Number(f.q),
+        gain: Number(f.gain),
+        disabled: false,
+        ...(channel ? { channel } : {})
+      };
+    });
+  }
+
   // Push filters/preamp to current or specified slot
   async function pushToDevice(device, phoneObj, slot, preamp, filters) {
     try {
-      // Support device as IP string or object with ip
-      const deviceIp = typeof device === 'string' ? device : device.ip;
       // Get current data to fetch profile metadata first
-      const syncDataText = await httpGet(deviceIp, '/dev/info.cgi?action=syncData');
+      const syncDataText = await httpGet(device, '/dev/info.cgi?action=syncData');
       const deviceData = JSON.parse(decodeCustom(syncDataText));
       const slotId = (typeof slot === 'object' && slot !== null) ? (slot.id ?? slot.slot ?? slot.value) : slot;
       const isNewPreset = String(slotId) === 'new';
       const currentIndex = (!isNewPreset && slotId !== undefined && slotId !== null) ? Number(slotId) : (deviceData.peqSelect ?? 0);
       const profile = Array.isArray(deviceData.peq) ? deviceData.peq[currentIndex] : null;
 
-      const luxFilters = (filters || []).map(f => ({
-        type: toLuxsinType(f.type),
-        fc: Number(f.freq ?? f.fc),
-        gain: Number(f.gain),
-        q: Number(f.q)
-      }));
+      const luxFilters = encodeFilters(device, filters);
 
       let payload;
       if (isNewPreset) {
@@ -208,7 +237,7 @@ export const luxsinNetworkHandler = (function () {
         };
       }
 
-      await httpPostJsonEncoded(deviceIp, '/dev/info.cgi', payload);
+      await httpPostJsonEncoded(device, '/dev/info.cgi', payload);
       console.log('Luxsin: PEQ updated successfully');
       return false; // no restart required
     } catch (err) {
@@ -221,7 +250,7 @@ export const luxsinNetworkHandler = (function () {
     try {
       const payload = { peqEnable: enabled ? 1 : 0 };
       if (slotId !== undefined && slotId !== null) payload.peqSelect = Number(slotId);
-      await httpPostJsonEncoded(device.ip, '/dev/info.cgi', payload);
+      await httpPostJsonEncoded(device, '/dev/info.cgi', payload);
       console.log(`Luxsin: PEQ ${enabled ? 'enabled' : 'disabled'}${slotId !== undefined ? ` on slot ${slotId}` : ''}`);
     } catch (err) {
       console.error('Luxsin: error toggling PEQ', err);
@@ -231,7 +260,7 @@ export const luxsinNetworkHandler = (function () {
 
   async function getCurrentSlot(device) {
     try {
-      const text = await httpGet(device.ip, '/dev/info.cgi?action=syncPeq');
+      const text = await httpGet(device, '/dev/info.cgi?action=syncPeq');
       const data = JSON.parse(decodeCustom(text));
       return data.peqSelect ?? 0;
     } catch (err) {
@@ -242,7 +271,7 @@ export const luxsinNetworkHandler = (function () {
 
   async function getAvailableSlots(device) {
     try {
-      const text = await httpGet(device.ip, '/dev/info.cgi?action=syncPeq');
+      const text = await httpGet(device, '/dev/info.cgi?action=syncPeq');
       const data = JSON.parse(decodeCustom(text));
       const peq = Array.isArray(data.peq) ? data.peq : [];
       const list = peq.map((p, idx) => ({ id: idx, name: p.name || `Profile ${idx}` }));
@@ -256,11 +285,19 @@ export const luxsinNetworkHandler = (function () {
     }
   }
 
+  // Checks that an X9 answers at the device's address (its sync data decodes).
+  async function probe(device) {
+    JSON.parse(decodeCustom(await httpGet(device, '/dev/info.cgi?action=syncData')));
+  }
+
   return {
+    probe,
     getCurrentSlot,
     getAvailableSlots,
     pullFromDevice,
     pushToDevice,
     enablePEQ,
+    encodeFilters,
+    decodeFilters,
   };
 })();
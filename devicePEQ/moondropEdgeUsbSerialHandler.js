@@ -27,6 +27,9 @@
 // freq  = uint16 big-endian Hz
 // Q     = uint16 big-endian × 4096 → Q factor
 
+import { protocolError } from './deviceErrors.js';
+import { retryPolicy, withRetry } from './deviceRetryPolicy.js';
+
 export const moondropEdgeUsbSerial = (function () {
 
   const MOONDROP = {
@@ -158,7 +161,7 @@ export const moondropEdgeUsbSerial = (function () {
     const deadline = Date.now() + timeoutMs;
 
     while (Date.now() < deadline) {
-      const { value, done } = await device.readable.read();
+      const { value, done } = await device.readable.read(Math.max(1, deadline - Date.now()));
       if (done) break;
       if (value) {
         for (const b of value) buf.push(b);
@@ -186,45 +189,60 @@ export const moondropEdgeUsbSerial = (function () {
 
     const queryPayload = new Uint8Array([0x00, 0x04]);
     const queryPacket  = createPacket(MOONDROP.CMD_QUERY_EQ, queryPayload);
-    await deviceDetails.writable.write(queryPacket);
-
-    const resp = await readResponse(deviceDetails, MOONDROP.CMD_QUERY_EQ, 5000);
+    const policy = retryPolicy(deviceDetails.modelConfig, 'readEq', 5000);
+    const resp = await withRetry(policy, async (timeoutMs) => {
+      await deviceDetails.writable.write(queryPacket);
+      return readResponse(deviceDetails, MOONDROP.CMD_QUERY_EQ, timeoutMs);
+    }, { nullMeansTimeout: true });
     if (!resp || resp.length <= 8) {
-      throw new Error('Moondrop Edge SPP: no EQ query response received');
+      throw protocolError('Moondrop Edge SPP: no EQ query response received', resp);
     }
 
     const bands = parseEQData(resp.slice(8));
     if (!bands) {
-      throw new Error('Moondrop Edge SPP: failed to parse EQ data from response');
+      throw protocolError('Moondrop Edge SPP: failed to parse EQ data from response', resp);
     }
 
-    const filters = bands.map(b => ({
+    const filters = toFilters(bands);
+
+    console.log(`Moondrop Edge SPP: pulled ${filters.length} bands`);
+    return { filters, globalGain: 0, profileId: 0 };
+  }
+
+  function toFilters(bands) {
+    return bands.map(b => ({
       freq: b.frequency,
       gain: Math.round(b.gain * 100) / 100,
       q:    Math.round(b.qFactor * 1000) / 1000,
       type: 'PK',
     }));
-
-    console.log(`Moondrop Edge SPP: pulled ${filters.length} bands`);
-    return { filters, globalGain: 0, profileId: 0 };
   }
 
-  async function pushToDevice(deviceDetails, phoneObj, slot, globalGain, filters) {
-    console.log(`Moondrop Edge SPP: writing ${filters.length} bands to device`);
-
+  // The set-EQ packet: all five bands in one.
+  function encodeFilters(deviceDetails, filters) {
     // Normalise to exactly 5 bands
     const bands = [];
     for (let i = 0; i < MOONDROP.NUM_BANDS; i++) {
       const f = filters[i] || { freq: 1000, gain: 0, q: 1.0 };
       bands.push({
         freq: f.freq ?? 1000,
-        gain: f.gain ?? 0,
+        // A disabled band is written flat, or its gain would stay active
+        gain: f.disabled ? 0 : (f.gain ?? 0),
         q:    f.q ?? 1.0,
       });
     }
+    return createPacket(MOONDROP.CMD_SET_EQ, encodeEQBands(bands));
+  }
+
+  // The set payload has the layout of a query response's.
+  function decodeFilters(deviceDetails, packet) {
+    return toFilters(parseEQData(packet.slice(8))).map(f => ({ ...f, disabled: false }));
+  }
+
+  async function pushToDevice(deviceDetails, phoneObj, slot, globalGain, filters) {
+    console.log(`Moondrop Edge SPP: writing ${filters.length} bands to device`);
 
-    const payload = encodeEQBands(bands);
-    const packet  = createPacket(MOONDROP.CMD_SET_EQ, payload);
+    const packet = encodeFilters(deviceDetails, filters);
     await deviceDetails.writable.write(packet);
 
     console.log('Moondrop Edge SPP: EQ write command sent');
@@ -242,5 +260,7 @@ export const moondropEdgeUsbSerial = (function () {
     pullFromDevice,
     pushToDevice,
     enablePEQ,
+    encodeFilters,
+    decodeFilters,
   };
 })();
@@ -1,4 +1,5 @@
 import { logHidTx, logHidRx } from './deviceDebugLog.js';
+import { timeoutError } from './deviceErrors.js';
 
 export const oldFashionedUsbHidHandler = (function () {
   const REPORT_ID = 75;
@@ -42,7 +43,7 @@ export const oldFashionedUsbHidHandler = (function () {
     return new Promise(async (resolve, reject) => {
       const timeout = setTimeout(() => {
         device.removeEventListener("inputreport", onReport);
-        reject("Timeout reading register");
+        reject(timeoutError("Timeout reading register"));
       }, 1000);
 
       const onReport = (event) => {
@@ -59,32 +60,40 @@ export const oldFashionedUsbHidHandler = (function () {
     });
   }
 
-  async function writeRegister(device, addr, dataBuilder) {
-    const packet = createPacket(view => {
+  function writePacket(addr, dataBuilder) {
+    return createPacket(view => {
       view.setUint8(ADDR, addr);
       view.setUint8(CMD, WRITE_REG);
       dataBuilder(view);
     });
+  }
+
+  async function sendPacket(device, packet) {
     logHidTx('MoondropOldFashioned', REPORT_ID, packet);
     await device.sendReport(REPORT_ID, packet);
   }
 
+  // A filter from its frequency/gain and Q registers.
+  function decodeFilter(data1, data2) {
+    const freq = data1.getUint16(DATA_SLOT_FREQUENCY, true);
+    const gainRaw = data1.getInt8(DATA_SLOT_GAIN);
+    const gain = Math.max(-12.8, Math.min(12.7, gainRaw / SCALE_GAIN));
+    const q = data2.getInt16(DATA_SLOT_Q, true) / SCALE_Q;
+    return { freq, gain, q, type: "PK" };
+  }
+
   async function readSingleFilter(device, filterIndex) {
     const regAddr = getFilterRegAddr(filterIndex);
 
     // Read frequency and gain from first register
     const data1 = await readRegister(device, regAddr);
-    const freq = data1.getUint16(DATA_SLOT_FREQUENCY, true);
-    const gainRaw = data1.getInt8(DATA_SLOT_GAIN);
-    const gain = Math.max(-12.8, Math.min(12.7, gainRaw / SCALE_GAIN));
 
     await sleep();
 
     // Read Q from second register
     const data2 = await readRegister(device, regAddr + 1);
-    const q = data2.getInt16(DATA_SLOT_Q, true) / SCALE_Q;
 
-    return { freq, gain, q, type: "PK" };
+    return decodeFilter(data1, data2);
   }
 
   async function pullFromDevice(deviceDetails) {
@@ -101,26 +110,43 @@ export const oldFashionedUsbHidHandler = (function () {
     return { filters, globalGain: 0 };
   }
 
-  async function writeSingleFilter(device, filterIndex, filter) {
-    const regAddr = getFilterRegAddr(filterIndex);
-    const { freq, gain, q } = filter;
-
-    // Write frequency and gain to first register
-    await writeRegister(device, regAddr, view => {
-      const gainVal = Math.round(gain * SCALE_GAIN);
-      const clampedGain = Math.max(-128, Math.min(127, gainVal));
-      view.setInt8(DATA_SLOT_GAIN, clampedGain);
-      view.setUint16(DATA_SLOT_FREQUENCY, freq, true);
+  // The two register writes for each band the device has.
+  function encodeFilters(deviceDetails, filters) {
+    const filterCount = deviceDetails.modelConfig.maxFilters || 5;
+    return filters.slice(0, filterCount).map((filter, filterIndex) => {
+      const regAddr = getFilterRegAddr(filterIndex);
+      const { freq, q } = filter;
+      // A disabled band is written flat, or its gain would stay active
+      const gain = filter.disabled ? 0 : filter.gain;
+      return {
+        // Frequency and gain go to the first register
+        gainFreq: writePacket(regAddr, view => {
+          const gainVal = Math.round(gain * SCALE_GAIN);
+          const clampedGain = Math.max(-128, Math.min(127, gainVal));
+          view.setInt8(DATA_SLOT_GAIN, clampedGain);
+          view.setUint16(DATA_SLOT_FREQUENCY, freq, true);
+        }),
+        // Q to the second
+        q: writePacket(regAddr + 1, view => {
+          const qVal = Math.round(q * SCALE_Q);
+          view.setInt16(DATA_SLOT_Q, qVal, true);
+        }),
+      };
     });
+  }
 
-    await sleep();
-
-    // Write Q to second register
-    await writeRegister(device, regAddr + 1, view => {
-      const qVal = Math.round(q * SCALE_Q);
-      view.setInt16(DATA_SLOT_Q, qVal, true);
-    });
+  // Write packets hold the values where a register read does.
+  function decodeFilters(deviceDetails, bands) {
+    return bands.map(({ gainFreq, q }) => ({
+      ...decodeFilter(new DataView(gainFreq.buffer), new DataView(q.buffer)),
+      disabled: false,
+    }));
+  }
 
+  async function writeSingleFilter(device, band) {
+    await sendPacket(device, band.gainFreq);
+    await sleep();
+    await sendPacket(device, band.q);
     await sleep();
   }
 
@@ -134,10 +160,9 @@ export const oldFashionedUsbHidHandler = (function () {
 
   async function pushToDevice(deviceDetails, phoneObj, slot, globalGain, filters) {
     const device = deviceDetails.rawDevice;
-    const filterCount = deviceDetails.modelConfig.maxFilters || 5;
 
-    for (let i = 0; i < filters.length && i < filterCount; i++) {
-      await writeSingleFilter(device, i, filters[i]);
+    for (const band of encodeFilters(deviceDetails, filters)) {
+      await writeSingleFilter(device, band);
     }
 
     await saveToFlash(device);
@@ -156,5 +181,7 @@ export const oldFashionedUsbHidHandler = (function () {
     pushToDevice,
     getCurrentSlot,
     enablePEQ: async () => {},
+    encodeFilters,
+    decodeFilters,
   };
 })();
@@ -1,4 +1,5 @@
 import { logHidTx, logHidRx } from './deviceDebugLog.js';
+import { timeoutError } from './deviceErrors.js';
 
 export const moondropUsbHidHandler = (function () {
   const FILTER_COUNT = 8;
@@ -63,7 +64,7 @@ export const moondropUsbHidHandler = (function () {
     return new Promise(async (resolve, reject) => {
       const timeout = setTimeout(() => {
         device.removeEventListener("inputreport", onReport);
-        reject("Timeout reading current slot");
+        reject(timeoutError("Timeout reading current slot"));
       }, 1000);
 
       const onReport = (event) => {
@@ -91,7 +92,7 @@ export const moondropUsbHidHandler = (function () {
     return new Promise(async (resolve, reject) => {
       const timeout = setTimeout(() => {
         device.removeEventListener("inputreport", onReport);
-        reject("Timeout reading filter");
+        reject(timeoutError("Timeout reading filter"));
       }, 1000);
 
       const onReport = (event) => {
@@ -120,7 +121,7 @@ export const moondropUsbHidHandler = (function () {
 
       const timeout = setTimeout(() => {
         device.removeEventListener("inputreport", onReport);
-        reject("Timeout reading pregain");
+        reject(timeoutError("Timeout reading pregain"));
       }, 1000);
 
       const onReport = (event) => {
@@ -333,11 +334,24 @@ export const moondropUsbHidHandler = (function () {
     return new Uint8Array([COMMAND_WRITE, COMMAND_SAVE_EQ_TO_FLASH]);
   }
 
+  // The write packet for each band the device has.
+  function encodeFilters(deviceDetails, filters) {
+    return filters.slice(0, deviceDetails.modelConfig.maxFilters).map((filter, i) =>
+      // A disabled band is still written, at 0 dB, or its previous gain would stay active
+      buildWritePacket(i, filter.disabled ? { ...filter, gain: 0 } : filter, deviceDetails.modelConfig));
+  }
+
+  // Write packets put freq/Q/gain/type where a read response does.
+  function decodeFilters(deviceDetails, packets) {
+    return packets.map(packet => ({ ...decodeFilterResponse(packet), disabled: false }));
+  }
+
   async function pushToDevice(deviceDetails, phoneObj, slot, globalGain, filters) {
     const device = deviceDetails.rawDevice;
 
-    for (let i = 0; i < filters.length && i < deviceDetails.modelConfig.maxFilters; i++) {
-      const writeFilter = buildWritePacket(i, filters[i], deviceDetails.modelConfig);
+    const packets = encodeFilters(deviceDetails, filters);
+    for (let i = 0; i < packets.length; i++) {
+      const writeFilter = packets[i];
       console.log(`USB Device PEQ: Moondrop sending filter ${i} data:`, filters[i], writeFilter);
       logHidTx('Moondrop', REPORT_ID, writeFilter);
       await device.sendReport(REPORT_ID, writeFilter);
@@ -372,7 +386,7 @@ export const moondropUsbHidHandler = (function () {
 
       const timeout = setTimeout(() => {
         device.removeEventListener("inputreport", onReport);
-        reject("Timeout reading version");
+        reject(timeoutError("Timeout reading version"));
       }, 1000);
 
       const onReport = (event) => {
@@ -401,7 +415,7 @@ export const moondropUsbHidHandler = (function () {
 
       const timeout = setTimeout(() => {
         device.removeEventListener("inputreport", onReport);
-        reject("Timeout reading channel balance");
+        reject(timeoutError("Timeout reading channel balance"));
       }, 1000);
 
       const onReport = (event) => {
@@ -437,7 +451,7 @@ export const moondropUsbHidHandler = (function () {
 
       const timeout = setTimeout(() => {
         device.removeEventListener("inputreport", onReport);
-        reject("Timeout reading DAC gain");
+        reject(timeoutError("Timeout reading DAC gain"));
       }, 1000);
 
       const onReport = (event) => {
@@ -473,7 +487,7 @@ export const moondropUsbHidHandler = (function () {
 
       const timeout = setTimeout(() => {
         device.removeEventListener("inputreport", onReport);
-        reject("Timeout reading DAC mode");
+        reject(timeoutError("Timeout reading DAC mode"));
       }, 1000);
 
       const onReport = (event) => {
@@ -509,7 +523,7 @@ export const moondropUsbHidHandler = (function () {
 
       const timeout = setTimeout(() => {
         device.removeEventListener("inputreport", onReport);
-        reject("Timeout reading LED switch");
+        reject(timeoutError("Timeout reading LED switch"));
       }, 1000);
 
       const onReport = (event) => {
@@ -545,7 +559,7 @@ export const moondropUsbHidHandler = (function () {
 
       const timeout = setTimeout(() => {
         device.removeEventListener("inputreport", onReport);
-        reject("Timeout reading DAC filter");
+        reject(timeoutError("Timeout reading DAC filter"));
       }, 1000);
 
       const onReport = (event) => {
@@ -601,6 +615,8 @@ export const moondropUsbHidHandler = (function () {
     setEQIndex,
     pullFromDevice,
     pushToDevice,
-    enablePEQ: async () => {}
+    enablePEQ: async () => {},
+    encodeFilters,
+    decodeFilters
   };
 })();
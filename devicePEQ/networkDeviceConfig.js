@@ -3,7 +3,7 @@
 //
 // Network Device Model Configuration
 // Provides a similar structure to usbDeviceConfig.js / usbSerialDeviceConfig.js
-// for devices connected over the network (e.g., WiiM and Luxsin X9).
+// for devices connected over the network (e.g., WiiM, Luxsin X9 and CamillaDSP).
 //
 
 export const networkDeviceHandlerConfig = {
@@ -21,14 +21,73 @@ export const networkDeviceHandlerConfig = {
   // Known network devices keyed by selection value used in the UI
   devices: {
     // WiiM devices accessed via Linkplay HTTP API over HTTPS
-    // NOTE: Effectively write-only — pullFromDevice fails due to CORS/mixed-content
-    // restrictions when served over HTTPS. Requires local HTTP proxy to read.
+    // NOTE: Write-only when reached directly — the device sends no CORS headers,
+    // so pullFromDevice cannot read its answers. Connected through the network
+    // bridge (proxyUrl), proxiedModelConfig applies instead and it can be read.
     "WiiM": {
       manufacturer: "WiiM",
       model: "WiiM Network Device",
       modelConfig: {
         peqConstraintsRef: "peq10Band12dBFullShelves",
-        peqConstraintsOverride: { supportsRead: false }
+        peqConstraintsOverride: { supportsRead: false },
+        // Each input keeps its own EQ and is shown as a slot (source is the
+        // Linkplay source_name). Without a model, Wi-Fi only - every WiiM has it.
+        inputSources: [
+          { source: "wifi", name: "Wi-Fi" }
+        ]
+      },
+      // Picked in the Network Device dialog; merged over modelConfig. The inputs
+      // are the model's own, in this order (slot 0 stays Wi-Fi, the only source
+      // earlier releases wrote to).
+      models: {
+        "WiiM Mini": {
+          inputSources: [
+            { source: "wifi",    name: "Wi-Fi" },
+            { source: "bt",      name: "Bluetooth" },
+            { source: "line_in", name: "Line In" }
+          ]
+        },
+        "WiiM Pro": {
+          inputSources: [
+            { source: "wifi",    name: "Wi-Fi" },
+            { source: "bt",      name: "Bluetooth" },
+            { source: "line_in", name: "Line In" },
+            { source: "optical", name: "Optical" }
+          ]
+        },
+        "WiiM Pro Plus": {
+          inputSources: [
+            { source: "wifi",    name: "Wi-Fi" },
+            { source: "bt",      name: "Bluetooth" },
+            { source: "line_in", name: "Line In" },
+            { source: "optical", name: "Optical" }
+          ]
+        },
+        "WiiM Amp": {
+          inputSources: [
+            { source: "wifi",    name: "Wi-Fi" },
+            { source: "bt",      name: "Bluetooth" },
+            { source: "line_in", name: "Line In" },
+            { source: "optical", name: "Optical" },
+            { source: "usb",     name: "USB" },
+            { source: "hdmi",    name: "HDMI" }
+          ]
+        },
+        "WiiM Ultra": {
+          inputSources: [
+            { source: "wifi",    name: "Wi-Fi" },
+            { source: "bt",      name: "Bluetooth" },
+            { source: "line_in", name: "Line In" },
+            { source: "optical", name: "Optical" },
+            { source: "coaxial", name: "Coaxial" },
+            { source: "usb",     name: "USB" },
+            { source: "hdmi",    name: "HDMI" },
+            { source: "phono",   name: "Phono" }
+          ]
+        }
+      },
+      proxiedModelConfig: {
+        peqConstraintsOverride: {}
       }
     },
 
@@ -37,6 +96,23 @@ export const networkDeviceHandlerConfig = {
       manufacturer: "Luxsin",
       model: "Luxsin X9",
       modelConfig: { peqConstraintsRef: "peq10Band12dBAllFilters" }
+    },
+
+    // CamillaDSP (e.g. on a Raspberry Pi) over its websocket API, ws://host:1234.
+    // The EQ is a chain of Biquad filters named <filterChainName>_01.. plus a
+    // <filterChainName>_preamp Gain filter in the active config. CamillaDSP has
+    // no band limit or band gain range of its own; these keep the EQ editor
+    // usable. Its Gain filter takes -150 to +150 dB.
+    "CamillaDSP": {
+      manufacturer: "CamillaDSP",
+      model: "CamillaDSP",
+      modelConfig: {
+        peqConstraintsRef: "peq10Band12dBAllFilters",
+        peqConstraintsOverride: { maxFilters: 20, minGain: -20, maxGain: 20, minGlobalGain: -150, maxGlobalGain: 150,
+                                  supportsBPFilter: false },
+        supportedFilterTypes: ["PK", "LSQ", "HSQ", "LP", "HP", "NOTCH", "ALLPASS"],
+        filterChainName: "DevicePEQ"
+      }
     }
   }
 };
@@ -3,26 +3,41 @@
 
 const {wiimNetworkHandler} = await import('./wiimNetworkHandler.js');
 const {luxsinNetworkHandler} = await import('./luxsinNetworkHandler.js');
+const {camillaDspNetworkHandler} = await import('./camillaDspNetworkHandler.js');
 const {networkDeviceHandlerConfig} = await import('./networkDeviceConfig.js');
 const { resolveConstraints, loadPeqConstraintsConfig } = await import('./peqConstraints.js');
+const { transactionalPush } = await import('./peqTransaction.js');
+const { queuedOperation, PRIORITY } = await import('./deviceQueue.js');
+const { toDeviceError } = await import('./deviceErrors.js');
+const { parseNetworkAddress, formatNetworkAddress, normalizeProxyUrl } = await import('./networkDeviceList.js');
 
 export const NetworkDeviceConnector = (function () {
+    // One entry per address (host and port); currentDevice is the most recently
+    // connected, which disconnectDevice() drops when called without a device.
     let currentDevice = null;
+    const connectedDevices = new Map();
     const deviceHandlers = {
         "WiiM": wiimNetworkHandler,
         "Luxsin": luxsinNetworkHandler,
+        "CamillaDSP": camillaDspNetworkHandler,
     };
-    async function getDeviceConnected(deviceIP, deviceType) {
+    // address: an IP address, hostname or IPv6 address with optional port and
+    // protocol (see networkDeviceList.js), or an already parsed { protocol,
+    // host, port }. name, when given, is shown in place of the model name.
+    // proxyUrl, when given, is the network bridge the handlers go through so
+    // the device's answers can be read (see network_bridge/README.md). model,
+    // when given, is one of the type's models (networkDeviceConfig.js), e.g.
+    // which inputs a WiiM has.
+    async function getDeviceConnected(address, deviceType, { name = null, proxyUrl = null, model = null } = {}) {
         try {
-            if (!deviceIP) {
+            if (!address) {
                 console.warn("No IP Address provided.");
                 return null;
             }
 
-            // Basic IP address validation (IPv4)
-            const ipPattern = /^(25[0-5]|2[0-4]\d|1?\d?\d)(\.(25[0-5]|2[0-4]\d|1?\d?\d)){3}$/;
-            if (!ipPattern.test(deviceIP)) {
-                console.warn("Invalid IP address format.");
+            const parsed = typeof address === 'string' ? parseNetworkAddress(address) : address;
+            if (!parsed?.host) {
+                console.warn("Invalid IP address or hostname.");
                 return null;
             }
 
@@ -31,10 +46,18 @@ export const NetworkDeviceConnector = (function () {
                 return null;
             }
 
+            const key = formatNetworkAddress({ host: parsed.host, port: parsed.port });
+            if (connectedDevices.has(key)) {
+                return { duplicate: true, device: connectedDevices.get(key) };
+            }
+
             // Build model information from config
             const deviceConfig = networkDeviceHandlerConfig.devices?.[deviceType] || {};
             const defaultModelConfig = networkDeviceHandlerConfig.defaultModelConfig || {};
-            const modelConfig = Object.assign({}, defaultModelConfig, deviceConfig.modelConfig || {});
+            const bridge = normalizeProxyUrl(proxyUrl);
+            const modelOverrides = deviceConfig.models?.[model] ?? null;
+            const modelConfig = Object.assign({}, defaultModelConfig, deviceConfig.modelConfig || {},
+                modelOverrides || {}, bridge ? deviceConfig.proxiedModelConfig || {} : {});
 
             // Resolve peqConstraints and merge into modelConfig so handlers can read
             // maxFilters, supportsLSFilter etc. from deviceDetails.modelConfig directly.
@@ -42,52 +65,70 @@ export const NetworkDeviceConnector = (function () {
             const resolvedNetConstraints = resolveConstraints(modelConfig);
             if (resolvedNetConstraints) Object.assign(modelConfig, resolvedNetConstraints);
 
+            // Handlers build their URLs from host, port and protocol (networkBaseUrl);
+            // ip stays the host for those that only need that.
             currentDevice = {
-                ip: deviceIP,
+                ip: parsed.host,
+                host: parsed.host,
+                port: parsed.port ?? null,
+                protocol: parsed.protocol ?? null,
+                proxyUrl: bridge,
+                address: formatNetworkAddress(parsed),
+                key,
                 type: deviceType,
                 handler: deviceHandlers[deviceType],
                 manufacturer: deviceConfig.manufacturer || deviceType,
-                model: deviceConfig.model || `${deviceType} Device`,
+                model: name || (modelOverrides ? model : deviceConfig.model) || `${deviceType} Device`,
                 modelConfig: modelConfig,
             };
 
-            console.log(`Connected to ${deviceType} at ${deviceIP}`);
+            connectedDevices.set(key, currentDevice);
+            console.log(`Connected to ${deviceType} at ${currentDevice.address}${bridge ? ` via ${bridge}` : ''}`);
             return currentDevice;
         } catch (error) {
             console.error("Failed to connect to Network Device:", error);
-            return null;
+            throw toDeviceError(error);
         }
     }
 
-    async function disconnectDevice() {
-        if (currentDevice) {
-            console.log(`Disconnected from ${currentDevice.type} at ${currentDevice.ip}`);
-            currentDevice = null;
+    // Handlers that keep a connection open (CamillaDSP's websocket) close it here.
+    async function disconnectDevice(device = currentDevice) {
+        if (device) {
+            console.log(`Disconnected from ${device.type} at ${device.address ?? device.ip}`);
+            connectedDevices.delete(device.key ?? device.ip);
+            await device.handler?.close?.(device);
+            if (currentDevice === device) currentDevice = [...connectedDevices.values()].pop() ?? null;
         }
     }
 
     async function pushToDevice(device, phoneObj, slot, preamp, filters) {
-        if (!currentDevice) {
+        const connected = device ?? currentDevice;
+        if (!connected) {
             console.warn("No network device connected.");
             return;
         }
-        // Pass modelConfig so handlers can respect device-specific limits (e.g., maxFilters)
-        return await currentDevice.handler.pushToDevice(
-          currentDevice,
-          phoneObj,
+        return await transactionalPush({
+          label: connected.model,
           slot,
-          preamp,
           filters,
-          currentDevice.modelConfig
-        );
+          supportsRead: connected.modelConfig?.transactionalPush !== false &&
+            resolveConstraints(connected.modelConfig)?.supportsRead !== false,
+          timeoutMs: connected.modelConfig?.pushTimeoutMs,
+          read: (s) => connected.handler.pullFromDevice(connected, s),
+          // Pass modelConfig so handlers can respect device-specific limits (e.g., maxFilters)
+          push: () => connected.handler.pushToDevice(connected, phoneObj, slot, preamp, filters, connected.modelConfig),
+          restore: (snapshot) => connected.handler.pushToDevice(
+            connected, phoneObj, slot, snapshot.globalGain ?? 0, snapshot.filters, connected.modelConfig),
+        });
     }
 
     async function pullFromDevice(device, slot) {
-        if (!currentDevice) {
+        const connected = device ?? currentDevice;
+        if (!connected) {
             console.warn("No network device connected.");
             return;
         }
-        return await currentDevice.handler.pullFromDevice(currentDevice, slot);
+        return await connected.handler.pullFromDevice(connected, slot);
     }
     async function getCurrentSlot(device) {
       if (!deviceHandlers[device.type]) {
@@ -105,20 +146,39 @@ export const NetworkDeviceConnector = (function () {
   }
 
     async function enablePEQ(device, enabled, slotId) {
-        if (!currentDevice) {
+        const connected = device ?? currentDevice;
+        if (!connected) {
             console.warn("No network device connected.");
             return;
         }
-        return await currentDevice.handler.enablePEQ(currentDevice, enabled, slotId);
+        return await connected.handler.enablePEQ(connected, enabled, slotId);
+    }
+
+    // Whether a device answers at `address` before connecting to it, for the
+    // Test button of saved devices: { ok, ms, error }.
+    async function probeDevice(address, deviceType, { proxyUrl = null } = {}) {
+        const parsed = typeof address === 'string' ? parseNetworkAddress(address) : address;
+        const handler = deviceHandlers[deviceType];
+        if (!parsed?.host) return { ok: false, ms: 0, error: new Error('Not an IP address or hostname') };
+        if (!handler?.probe) return { ok: false, ms: 0, error: new Error(`Unsupported Device Type: ${deviceType}`) };
+        const started = Date.now();
+        try {
+            await handler.probe({ ip: parsed.host, ...parsed, proxyUrl: normalizeProxyUrl(proxyUrl) });
+            return { ok: true, ms: Date.now() - started, error: null };
+        } catch (error) {
+            return { ok: false, ms: Date.now() - started, error: toDeviceError(error) };
+        }
     }
 
     return {
         getAvailableSlots,
-        getCurrentSlot,
+        getCurrentSlot: queuedOperation(getCurrentSlot, { label: 'getCurrentSlot', priority: PRIORITY.NORMAL }),
         getDeviceConnected,
         disconnectDevice,
-        pushToDevice,
-        pullFromDevice,
-        enablePEQ,
+        getConnectedDevices: () => [...connectedDevices.values()],
+        probeDevice,
+        pushToDevice: queuedOperation(pushToDevice, { label: 'push', priority: PRIORITY.HIGH }),
+        pullFromDevice: queuedOperation(pullFromDevice, { label: 'pull', priority: PRIORITY.HIGH }),
+        enablePEQ: queuedOperation(enablePEQ, { label: 'enablePEQ', priority: PRIORITY.HIGH }),
     };
 })();
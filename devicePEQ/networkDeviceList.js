@@ -0,0 +1,158 @@
+// networkDeviceList.js
+// Copyright 2025 : Pragmatic Audio
+//
+// Where a network device is and the ones the user has saved. An address is
+// an IPv4 address, a hostname or an IPv6 address, with an optional port and
+// http:// or https:// in front:
+//
+//   192.168.1.50   wiim-living.local:8443   https://[fe80::1c2b]:8080   fd00::12
+//
+// parseNetworkAddress() turns one into { protocol, host, port } (protocol and
+// port null when not given), and networkBaseUrl() back into the URL a handler
+// prefixes its paths with, defaulting to the handler's own protocol (HTTPS
+// for WiiM, HTTP for Luxsin). A device reached through the network bridge
+// (network_bridge/networkBridge.mjs) has a proxyUrl, and its base URL points
+// at the bridge instead: <proxyUrl>/<protocol>/<host[:port]>.
+//
+// Saved devices are kept in the 'devicePEQ' settings (settingsStore.js) under
+// `networkDevices`, most recently used first:
+//
+//   { id, name, deviceType, model?, protocol, host, port, proxyUrl, lastUsed }
+//
+// name is optional ('' when not given); a connected device shows it in place
+// of its model name. model is one of the type's models in networkDeviceConfig.js
+// (which WiiM), when one was picked. proxyUrl is the bridge to read the device
+// through, or null to reach it directly.
+
+const IPV4 = /^(25[0-5]|2[0-4]\d|1?\d?\d)(\.(25[0-5]|2[0-4]\d|1?\d?\d)){3}$/;
+const HOSTNAME = /^(?=.{1,253}$)[a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?(\.[a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?)*\.?$/i;
+
+function isIPv6(host) {
+  if (!host.includes(':') || !/^[0-9a-f:.]+$/i.test(host)) return false;
+  try {
+    new URL(`http://[${host}]/`);
+    return true;
+  } catch (_) {
+    return false;
+  }
+}
+
+function validHost(host) {
+  // All digits and dots is meant as IPv4, so 300.1.1.1 is not a hostname.
+  if (/^[\d.]+$/.test(host)) return IPV4.test(host);
+  return isIPv6(host) || HOSTNAME.test(host);
+}
+
+// { protocol, host, port } for an address as typed, or null when it is not one.
+export function parseNetworkAddress(input) {
+  let rest = String(input ?? '').trim().replace(/\/+$/, '');
+  let protocol = null;
+  const scheme = /^(https?):\/\//i.exec(rest);
+  if (scheme) {
+    protocol = scheme[1].toLowerCase();
+    rest = rest.slice(scheme[0].length);
+  }
+  if (!rest || rest.includes('/')) return null;
+
+  let host = rest;
+  let port = null;
+  const bracketed = /^\[([^\]]+)\](?::(\d+))?$/.exec(rest);
+  if (bracketed) {
+    [, host, port] = bracketed;
+    if (!isIPv6(host)) return null;
+  } else if (rest.indexOf(':') === rest.lastIndexOf(':')) {
+    // At most one colon: host or host:port. More is a bare IPv6 address.
+    [host, port = null] = rest.split(':');
+  }
+  if (port != null) {
+    if (!/^\d{1,5}$/.test(port) || Number(port) < 1 || Number(port) > 65535) return null;
+    port = Number(port);
+  }
+  host = host.toLowerCase();
+  if (!validHost(host)) return null;
+  return { protocol, host, port };
+}
+
+// The address as a user would type it back (IPv6 hosts bracketed when a
+// protocol or port follows them).
+export function formatNetworkAddress({ protocol = null, host, port = null }) {
+  const bracket = host.includes(':') && (protocol || port);
+  const shown = bracket ? `[${host}]` : host;
+  return `${protocol ? `${protocol}://` : ''}${shown}${port ? `:${port}` : ''}`;
+}
+
+// 'https://[fe80::1]:8443' for a connected device ({ host, port, protocol },
+// or just { ip } / a bare IP string as older callers pass), or
+// 'http://127.0.0.1:8787/https/[fe80::1]:8443' when it has a proxyUrl.
+export function networkBaseUrl(device, defaultProtocol = 'http') {
+  if (typeof device === 'string') return `${defaultProtocol}://${device}`;
+  const host = device.host ?? device.ip;
+  const shown = `${host.includes(':') ? `[${host}]` : host}${device.port ? `:${device.port}` : ''}`;
+  const protocol = device.protocol || defaultProtocol;
+  if (device.proxyUrl) return `${String(device.proxyUrl).replace(/\/+$/, '')}/${protocol}/${shown}`;
+  return `${protocol}://${shown}`;
+}
+
+// The bridge URL as typed, without trailing slashes, or null when it is blank
+// or not an http(s) URL.
+export function normalizeProxyUrl(input) {
+  const text = String(input ?? '').trim().replace(/\/+$/, '');
+  if (!text) return null;
+  try {
+    const url = new URL(text);
+    if (url.protocol !== 'http:' && url.protocol !== 'https:') return null;
+    return `${url.protocol}//${url.host}${url.pathname.replace(/\/+$/, '')}`;
+  } catch (_) {
+    return null;
+  }
+}
+
+// The saved devices in a settings store opened by openSettings('devicePEQ').
+export function createNetworkDeviceList(settings) {
+  const entries = () => settings.get('networkDevices', []);
+  const write = (list) => settings.set('networkDevices', list);
+  let nextId = 0;
+
+  return {
+    list() {
+      return [...entries()].sort((a, b) => (b.lastUsed ?? 0) - (a.lastUsed ?? 0));
+    },
+
+    get(id) {
+      return entries().find(e => e.id === id) ?? null;
+    },
+
+    // Adds { name, deviceType, model, address, proxyUrl } or updates the saved
+    // one with its id (without one, the one at the same host and port). used
+    // marks it as just connected to; a proxyUrl left out keeps the saved one.
+    // model (networkDeviceConfig.js) is only kept when there is one.
+    // Resolves the stored entry; rejects an address that does not parse.
+    async save({ id = null, name = '', deviceType, model = null, address, proxyUrl, used = false }) {
+      const parsed = typeof address === 'string' ? parseNetworkAddress(address) : address;
+      if (!parsed?.host) throw new Error(`"${address}" is not an IP address or hostname`);
+      const previous = id
+        ? this.get(id)
+        : entries().find(e => e.host === parsed.host && (e.port ?? null) === (parsed.port ?? null)) ?? null;
+      const entry = {
+        id: previous?.id ?? `net-${Date.now().toString(36)}-${(nextId++).toString(36)}`,
+        // A blank name clears an edited entry's, but keeps the one found by address
+        name: String(name ?? '').trim() || (id ? '' : previous?.name ?? ''),
+        deviceType,
+        ...(model ? { model } : {}),
+        protocol: parsed.protocol ?? null,
+        host: parsed.host,
+        port: parsed.port ?? null,
+        proxyUrl: proxyUrl === undefined ? previous?.proxyUrl ?? null : normalizeProxyUrl(proxyUrl),
+        lastUsed: used ? Date.now() : (previous?.lastUsed ?? 0),
+      };
+      await write(previous
+        ? entries().map(e => (e.id === entry.id ? entry : e))
+        : [...entries(), entry]);
+      return entry;
+    },
+
+    remove(id) {
+      return write(entries().filter(e => e.id !== id));
+    },
+  };
+}
@@ -1,6 +1,9 @@
 // nothingUsbSerialHandler.js
 // Pragmatic Audio - Handler for Nothing Headphones USB Serial/Bluetooth SPP EQ Control
 
+import { timeoutError, protocolError, constraintViolation } from './deviceErrors.js';
+import { ProgressPhase, reportProgress } from './deviceProgress.js';
+
 export const nothingUsbSerial = (function () {
 
   // Nothing headphone protocol constants
@@ -141,7 +144,7 @@ export const nothingUsbSerial = (function () {
 
     const response = await readResponse(device);
     if (!response || response.command !== RESPONSE_COMMANDS.EQ_MODE) {
-      throw new Error("Failed to read EQ mode from Nothing device");
+      throw protocolError("Failed to read EQ mode from Nothing device");
     }
 
     // Parse EQ mode response
@@ -208,41 +211,57 @@ export const nothingUsbSerial = (function () {
     // Read response
     const response = await readResponse(deviceDetails);
     if (!response || response.command !== RESPONSE_COMMANDS.EQ_VALUES) {
-      throw new Error("Failed to read EQ values from Nothing device");
+      throw protocolError("Failed to read EQ values from Nothing device");
     }
 
     // Parse EQ values response - based on readEQValues() from HTML
     const hexArray = response.hexString.match(/.{2}/g).map(byte => parseInt(byte, 16));
 
     if (hexArray.length < 10) {
-      throw new Error("EQ Values response too short");
+      throw protocolError("EQ Values response too short", hexArray);
     }
 
-    let offset = 8; // Skip 8-byte protocol header
+    const { filters, totalGain } = parseEQDataPacket(hexArray.slice(8)); // Skip 8-byte protocol header
 
-    const profileIndex = hexArray[offset++];
-    const numBands = hexArray[offset++];
+    const profileName = getProfileName(deviceDetails, currentProfile);
+    console.log(`Nothing USB Serial: pulled ${filters.length} filters with global gain ${totalGain} for ${profileName}`);
+    return {
+      filters,
+      globalGain: totalGain,
+      profileId: currentProfile,
+      profileName: profileName,
+      isBasicProfile: false
+    };
+  }
+
+  // The EQ values payload (as read, or as written) - profile index, band count,
+  // total gain, then 13 bytes per band.
+  function parseEQDataPacket(bytes) {
+    let offset = 0;
+
+    const profileIndex = bytes[offset++];
+    const numBands = bytes[offset++];
 
     // Total gain (4 bytes as float, little-endian)
-    const totalGainBytes = hexArray.slice(offset, offset + 4);
+    const totalGainBytes = bytes.slice(offset, offset + 4);
     const totalGain = bytesToFloat(totalGainBytes);
     offset += 4;
 
     const filters = [];
 
     // Parse each EQ band (13 bytes each)
-    for (let i = 0; i < numBands && offset + 12 < hexArray.length; i++) {
-      const filterType = hexArray[offset++];
+    for (let i = 0; i < numBands && offset + 12 < bytes.length; i++) {
+      const filterType = bytes[offset++];
 
-      const gainBytes = hexArray.slice(offset, offset + 4);
+      const gainBytes = bytes.slice(offset, offset + 4);
       const gain = Math.round(bytesToFloat(gainBytes) * 100)/100;
       offset += 4;
 
-      const freqBytes = hexArray.slice(offset, offset + 4);
+      const freqBytes = bytes.slice(offset, offset + 4);
       const frequency = bytesToFloat(freqBytes);
       offset += 4;
 
-      const qualityBytes = hexArray.slice(offset, offset + 4);
+      const qualityBytes = bytes.slice(offset, offset + 4);
       const quality = bytesToFloat(qualityBytes);
       const qFactorValue = Math.round(quality * 100)/100;
       offset += 4;
@@ -255,15 +274,7 @@ export const nothingUsbSerial = (function () {
       });
     }
 
-    const profileName = getProfileName(deviceDetails, currentProfile);
-    console.log(`Nothing USB Serial: pulled ${filters.length} filters with global gain ${totalGain} for ${profileName}`);
-    return {
-      filters,
-      globalGain: totalGain,
-      profileId: currentProfile,
-      profileName: profileName,
-      isBasicProfile: false
-    };
+    return { profileIndex, totalGain, filters };
   }
 
   function createEQDataPacket(profileIndex, eqBands, totalGain = 0.0) {
@@ -311,6 +322,26 @@ export const nothingUsbSerial = (function () {
     return packet;
   }
 
+  // Convert filters to the format expected by createEQDataPacket
+  function toEQBands(filters) {
+    return filters.map(filter => ({
+      filterType: filter.type === "LSQ" ? 0 : filter.type === "HSQ" ? 2 : 1, // PEAKING = 1
+      // A disabled band is written flat, or its gain would stay active
+      gain: filter.disabled ? 0 : filter.gain,
+      frequency: filter.freq,
+      quality: filter.q
+    }));
+  }
+
+  // The Custom EQ payload for these bands (at 0 dB total gain).
+  function encodeFilters(deviceDetails, filters) {
+    return createEQDataPacket(0, toEQBands(filters), 0);
+  }
+
+  function decodeFilters(deviceDetails, packet) {
+    return parseEQDataPacket(Array.from(packet)).filters.map(filter => ({ ...filter, disabled: false }));
+  }
+
   async function pushToDevice(deviceDetails, phoneObj, slot, globalGain, filters) {
     console.log(`Nothing USB Serial: pushing ${filters.length} filters to device slot ${slot}`);
 
@@ -318,28 +349,23 @@ export const nothingUsbSerial = (function () {
     const firstWritableSlot = deviceDetails?.modelConfig?.firstWritableEQSlot ?? 5;
     if (slot !== firstWritableSlot) {
       const name = getProfileName(deviceDetails, firstWritableSlot);
-      throw new Error(`EQ writing only supported for ${name} (slot ${firstWritableSlot}), requested slot: ${slot}`);
+      throw constraintViolation(`EQ writing only supported for ${name} (slot ${firstWritableSlot}), requested slot: ${slot}`);
     }
 
-    // Convert filters to the format expected by createEQDataPacket
-    const eqBands = filters.map(filter => ({
-      filterType: filter.type === "LSQ" ? 0 : filter.type === "HSQ" ? 2 : 1, // PEAKING = 1
-      gain: filter.gain,
-      frequency: filter.freq,
-      quality: filter.q
-    }));
-
     // Create EQ data packet using the provided logic
-    const packet = createEQDataPacket(0, eqBands, globalGain); // profileIndex 0 for Custom
+    const packet = createEQDataPacket(0, toEQBands(filters), globalGain); // profileIndex 0 for Custom
     const payload = Array.from(packet);
 
     console.log(`Nothing USB Serial: writing Custom EQ with ${filters.length} filters and global gain ${globalGain}`);
     await sendCommand(deviceDetails, WRITE_COMMANDS.SET_ADVANCE_CUSTOM_EQ_VALUE, payload, "writeEQValues");
+    // Every band goes in the one packet.
+    reportProgress(deviceDetails, ProgressPhase.WRITE, filters.length, filters.length);
+    reportProgress(deviceDetails, ProgressPhase.COMMIT);
 
     // Wait for response to confirm write was successful
     const response = await readResponse(deviceDetails);
     if (!response) {
-      throw new Error("No response received after writing EQ values");
+      throw timeoutError("No response received after writing EQ values");
     }
 
     console.log(`Nothing USB Serial: EQ values written successfully to Custom profile`);
@@ -354,6 +380,8 @@ export const nothingUsbSerial = (function () {
     getCurrentSlot,
     pullFromDevice,
     pushToDevice,
-    enablePEQ
+    enablePEQ,
+    encodeFilters,
+    decodeFilters
   };
 })();
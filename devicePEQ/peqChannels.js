@@ -0,0 +1,75 @@
+// peqChannels.js
+// Copyright 2025 : Pragmatic Audio
+//
+// Independent left/right EQ. A filter may carry `channel: 'L' | 'R'`; one
+// without it (or with 'both') applies to both channels, as every filter set
+// did before channels existed. A set is linked when none of its filters name
+// a channel, and everything that only understands one array keeps working on
+// linked sets unchanged.
+//
+//   const { L, R } = splitChannels(filters);   // each channel's bands, untagged
+//   const tagged = joinChannels(fit(L), fit(R));
+//   // [...L tagged 'L', ...R tagged 'R'] - or just L when both came out equal
+//
+// Only profiles with `supportsPerChannelEQ: true` take an unlinked set
+// (requireChannelSupport); their handlers split it again and write each
+// channel's bands separately. maxFilters counts bands per channel.
+
+import { unsupportedError } from './deviceErrors.js';
+
+export const CHANNELS = Object.freeze(['L', 'R']);
+
+// 'L', 'R' or 'both'.
+export function channelOf(filter) {
+  return filter?.channel === 'L' || filter?.channel === 'R' ? filter.channel : 'both';
+}
+
+export function isLinked(filters) {
+  return (filters ?? []).every(f => channelOf(f) === 'both');
+}
+
+// { L, R }: the filters each channel gets, in order, without their channel tag.
+export function splitChannels(filters) {
+  const split = { L: [], R: [] };
+  for (const filter of filters ?? []) {
+    const { channel: _channel, ...band } = filter;
+    const channel = channelOf(filter);
+    for (const ch of CHANNELS) {
+      if (channel === 'both' || channel === ch) split[ch].push({ ...band });
+    }
+  }
+  return split;
+}
+
+const sameBand = (a, b) => (a.type ?? 'PK') === (b.type ?? 'PK') && a.freq === b.freq &&
+  a.q === b.q && (a.gain ?? 0) === (b.gain ?? 0) && !a.disabled === !b.disabled;
+
+// One filter set from each channel's bands: linked when they are the same
+// (unless `link` is false), otherwise the left bands then the right ones,
+// each tagged.
+export function joinChannels(left, right, { link = true } = {}) {
+  if (link && left.length === right.length && left.every((f, i) => sameBand(f, right[i]))) {
+    return left.map(({ channel: _channel, ...band }) => band);
+  }
+  return [
+    ...left.map(f => ({ ...f, channel: 'L' })),
+    ...right.map(f => ({ ...f, channel: 'R' })),
+  ];
+}
+
+// Runs `fn(bands, channel)` on a linked set as a whole ('both'), or on each
+// channel of an unlinked one and joins the two results (options as
+// joinChannels).
+export function mapChannels(filters, fn, options) {
+  if (isLinked(filters)) return fn(filters, 'both');
+  const { L, R } = splitChannels(filters);
+  return joinChannels(fn(L, 'L'), fn(R, 'R'), options);
+}
+
+// Throws (code PER_CHANNEL_UNSUPPORTED) when `filters` are unlinked and the
+// profile applies one EQ to both channels.
+export function requireChannelSupport(filters, peqConstraints, model = 'This device') {
+  if (isLinked(filters) || peqConstraints?.supportsPerChannelEQ === true) return;
+  throw unsupportedError(`${model} applies the same EQ to both channels`,
+    { code: 'PER_CHANNEL_UNSUPPORTED' });
+}
@@ -167,6 +167,7 @@ export function resolveConstraints(modelConfig) {
   // supportsLPHPFilters is the old combined flag — expand it into the two separate flags.
   const {
     minGain, maxGain, maxFilters,
+    minGlobalGain, maxGlobalGain,
     minQ, maxQ,
     supportsLSFilter, supportsHSFilter,
     supportsLPFilter, supportsHPFilter,
@@ -176,6 +177,7 @@ export function resolveConstraints(modelConfig) {
     supportsBandStopFilter,
     supportsConstantQFilter,
     supportsAllPassFilter,
+    supportsPerChannelEQ,
     deviceHandlesPregain, supportsManualGlobalGain, supportedFilterTypes
   } = modelConfig;
 
@@ -184,6 +186,8 @@ export function resolveConstraints(modelConfig) {
 
   return {
     minGain, maxGain, maxFilters,
+    minGlobalGain: minGlobalGain ?? minGain,
+    maxGlobalGain: maxGlobalGain ?? maxGain,
     minQ: minQ ?? 0.1,
     maxQ: maxQ ?? 10.0,
     supportsLSFilter,
@@ -195,8 +199,20 @@ export function resolveConstraints(modelConfig) {
     supportsBandStopFilter:   supportsBandStopFilter   ?? false,
     supportsConstantQFilter:  supportsConstantQFilter  ?? false,
     supportsAllPassFilter:    supportsAllPassFilter    ?? false,
+    supportsPerChannelEQ:     supportsPerChannelEQ     ?? false,
     deviceHandlesPregain,
     supportsManualGlobalGain,
     supportedFilterTypes
   };
 }
+
+// The range the device's global gain (preamp) accepts: { min, max } from
+// minGlobalGain/maxGlobalGain. That is a register of its own, so it can be
+// wider or narrower than a band's minGain/maxGain; a config that does not say
+// falls back to the band range.
+export function globalGainRange(constraints) {
+  return {
+    min: constraints?.minGlobalGain ?? constraints?.minGain,
+    max: constraints?.maxGlobalGain ?? constraints?.maxGain,
+  };
+}
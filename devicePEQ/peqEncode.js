@@ -0,0 +1,84 @@
+// peqEncode.js
+// Copyright 2025 : Pragmatic Audio
+//
+// Dry run of a push: the values a device will actually store for each band,
+// next to the ones requested, without writing anything.
+//
+// Handlers that quantize in their own way provide a pair:
+//
+//   encodeFilters(deviceDetails, filters) -> whatever they would send, per band
+//   decodeFilters(deviceDetails, encoded) -> [{ type, freq, q, gain, disabled }]
+//
+// decodeFilters(encodeFilters(filters)) is then exactly what a pull would
+// report after the push - compensation, clamping and quantization included.
+// Handlers without the pair are estimated from the profile: gain and Q clamped
+// to its limits and Q/frequency taken through compensation and back (see
+// peqVerify.js), which misses any rounding the handler does on the wire, so
+// their rows are marked `estimated`.
+//
+//   const rows = storedRows(device, filters, storedFilters(device, filters));
+//   // [{ index, requested, stored, estimated, warnings: ['gain 3.14 dB stored as 3.1 dB'] }]
+
+import { expectedAfterWrite } from './peqVerify.js';
+import { mapChannels } from './peqChannels.js';
+
+// Differences smaller than these are not worth a warning.
+export const STORED_WARNING_THRESHOLD = Object.freeze({
+  gainDb: 0.05,
+  qRatio: 0.01,
+  freqRatio: 0.005,
+});
+
+export function hasEncoding(handler) {
+  return typeof handler?.encodeFilters === 'function' && typeof handler?.decodeFilters === 'function';
+}
+
+// The filters `device` would store if `filters` were handed to its handler.
+// HID and serial details carry the resolved peqConstraints in modelConfig;
+// other transports pass the session's.
+// An unlinked set is encoded one channel at a time (see peqChannels.js) and
+// keeps its left-then-right shape, so it lines up with what was requested.
+export function storedFilters(device, filters, peqConstraints = device?.modelConfig) {
+  return mapChannels(filters, (bands) => {
+    if (hasEncoding(device?.handler)) {
+      return device.handler.decodeFilters(device, device.handler.encodeFilters(device, bands));
+    }
+    return expectedAfterWrite(bands, peqConstraints ?? {}, device?.modelConfig);
+  }, { link: false });
+}
+
+const round = (value, places) => Math.round(value * 10 ** places) / 10 ** places;
+
+// One row per requested band: what was asked for, what is stored, and a
+// warning for every field the device changes by more than `threshold`.
+export function compareStored(requested, stored, threshold = STORED_WARNING_THRESHOLD) {
+  return requested.map((want, index) => {
+    const got = stored[index] ?? null;
+    const warnings = [];
+    if (!got) {
+      warnings.push('not stored - the device has fewer bands');
+    } else if (!want.disabled) {
+      const wantType = want.type ?? 'PK';
+      const gotType = got.type ?? 'PK';
+      if (got.disabled) warnings.push('stored as disabled');
+      if (gotType !== wantType) warnings.push(`${wantType} stored as ${gotType}`);
+      if (Math.abs((got.gain ?? 0) - (want.gain ?? 0)) > threshold.gainDb) {
+        warnings.push(`gain ${round(want.gain ?? 0, 2)} dB stored as ${round(got.gain ?? 0, 2)} dB`);
+      }
+      if (want.q > 0 && Math.abs((got.q ?? 0) - want.q) > want.q * threshold.qRatio) {
+        warnings.push(`Q ${round(want.q, 3)} stored as ${round(got.q ?? 0, 3)}`);
+      }
+      if (want.freq > 0 && Math.abs((got.freq ?? 0) - want.freq) > want.freq * threshold.freqRatio) {
+        warnings.push(`${round(want.freq, 1)} Hz stored as ${round(got.freq ?? 0, 1)} Hz`);
+      }
+    }
+    return { index, requested: want, stored: got, warnings };
+  });
+}
+
+// compareStored() for `device`, each row marked `estimated` when its handler
+// has no encode/decode pair and the stored values come from the profile.
+export function storedRows(device, requested, stored) {
+  const estimated = !hasEncoding(device?.handler);
+  return compareStored(requested, stored).map(row => ({ ...row, estimated }));
+}
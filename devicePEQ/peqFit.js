@@ -0,0 +1,245 @@
+// peqFit.js
+// Copyright 2025 : Pragmatic Audio
+//
+// Fitting a filter set to a target response within a device's limits.
+//
+// reduceFilters() is what a push uses when there are more enabled filters than
+// the device has bands. Rather than keeping the first N, it keeps the N whose
+// combined response comes closest to the full set's, then retunes their gain,
+// Q and frequency so the survivors absorb what the dropped filters did (two
+// close peaks become one wider one, say). The result says how far the
+// approximation is from the original, in dB:
+//
+//   const { filters, residual } = reduceFilters(tooMany, device.modelConfig);
+//   // residual = { maxDb: 0.6, rmsDb: 0.2 }
+//
+// substituteFilters() stands in for filter types the device cannot store: a
+// shelf becomes one or two peaking filters, LP/HP the nearest supported
+// shelf or a peaking cut, fitted to the original filter's response. It uses
+// only the bands left free by the rest of the set, and reports its error the
+// same way.
+//
+// Limits are read from a resolved peqConstraints object (or a modelConfig it
+// was merged into): maxFilters, minGain/maxGain, minQ/maxQ and the
+// supportsLSFilter / supportsHSFilter / supportsLPFilter / supportsHPFilter flags.
+
+import { logFrequencies, filterResponseDb, responseDb, responseError, DEFAULT_SAMPLE_RATE }
+  from './peqResponse.js';
+
+const MIN_FREQ = 20;
+const MAX_FREQ = 20000;
+const GAINLESS_TYPES = new Set(['LP', 'HP']);
+
+const clamp = (value, min, max) =>
+  Math.min(Number.isFinite(max) ? max : Infinity, Math.max(Number.isFinite(min) ? min : -Infinity, value));
+
+// A copy of `filter` with gain, Q and frequency inside the limits.
+export function clampFilter(filter, limits = {}) {
+  const out = { ...filter };
+  if (out.gain !== undefined) out.gain = clamp(Number(out.gain) || 0, limits.minGain, limits.maxGain);
+  if (out.q !== undefined) out.q = clamp(Number(out.q) || 0.707, limits.minQ, limits.maxQ);
+  if (out.freq !== undefined) out.freq = clamp(Number(out.freq) || 1000, MIN_FREQ, MAX_FREQ);
+  return out;
+}
+
+function rmsDistance(target, total) {
+  let sumSq = 0;
+  for (let i = 0; i < target.length; i++) {
+    const d = target[i] - total[i];
+    sumSq += d * d;
+  }
+  return Math.sqrt(sumSq / target.length);
+}
+
+// One step of a parameter: gain moves in dB, Q and frequency by a ratio.
+function step(filter, param, direction, size) {
+  const next = { ...filter };
+  if (param === 'gain') next.gain = (Number(filter.gain) || 0) + direction * size.gain;
+  if (param === 'q') next.q = (Number(filter.q) || 0.707) * Math.pow(size.q, direction);
+  if (param === 'freq') next.freq = (Number(filter.freq) || 1000) * Math.pow(size.freq, direction);
+  return next;
+}
+
+// Retunes `filters` so their combined response comes as close as it can to
+// `target` (dB at each of options.freqs), staying inside `limits`. A simple
+// pattern search: nudge each parameter up or down, keep whatever lowers the
+// RMS error, halve the step each round. Disabled filters are left alone.
+//
+// options.vary lists the parameters that may change ('gain', 'q', 'freq');
+// options.rounds bounds the number of step halvings.
+export function refineFilters(target, filters, limits = {}, {
+  freqs = logFrequencies(),
+  sampleRate = DEFAULT_SAMPLE_RATE,
+  vary = ['gain', 'q', 'freq'],
+  rounds = 8,
+} = {}) {
+  const fitted = filters.map(f => (f.disabled ? { ...f } : clampFilter(f, limits)));
+  const responses = fitted.map(f => filterResponseDb(f, freqs, sampleRate));
+  const total = new Float64Array(freqs.length);
+  responses.forEach(r => r.forEach((v, i) => { total[i] += v; }));
+  let error = rmsDistance(target, total);
+  const size = { gain: 1, q: 1.25, freq: Math.pow(2, 1 / 6) };
+
+  for (let round = 0; round < rounds; round++) {
+    let improved = true;
+    for (let pass = 0; improved && pass < 20; pass++) {
+      improved = false;
+      fitted.forEach((filter, index) => {
+        if (filter.disabled) return;
+        for (const param of vary) {
+          if (param === 'gain' && GAINLESS_TYPES.has(filter.type)) continue;
+          for (const direction of [1, -1]) {
+            const candidate = clampFilter(step(fitted[index], param, direction, size), limits);
+            if (candidate[param] === fitted[index][param]) continue;
+            const response = filterResponseDb(candidate, freqs, sampleRate);
+            const trial = total.map((v, i) => v - responses[index][i] + response[i]);
+            const trialError = rmsDistance(target, trial);
+            if (trialError < error - 1e-9) {
+              fitted[index] = candidate;
+              responses[index] = response;
+              total.set(trial);
+              error = trialError;
+              improved = true;
+              break;
+            }
+          }
+        }
+      });
+    }
+    size.gain /= 2;
+    size.q = Math.sqrt(size.q);
+    size.freq = Math.sqrt(size.freq);
+  }
+  return fitted;
+}
+
+// Whole hertz and hundredths of a dB / Q: finer than any device stores.
+function roundFilter(filter) {
+  const hundredths = (value) => (value === undefined ? value : Math.round(value * 100) / 100);
+  return { ...filter, freq: Math.round(filter.freq), gain: hundredths(filter.gain), q: hundredths(filter.q) };
+}
+
+// Fits the enabled filters of `filters` into limits.maxFilters bands. Returns
+// null when they already fit, otherwise
+//   { filters, residual: { maxDb, rmsDb }, reducedFrom }
+// where filters holds exactly maxFilters enabled filters, in their original
+// order, and residual compares them with the full set's response.
+export function reduceFilters(filters, limits = {}, { freqs = logFrequencies(), sampleRate = DEFAULT_SAMPLE_RATE } = {}) {
+  const maxFilters = limits.maxFilters;
+  const enabled = (filters ?? []).filter(f => f && !f.disabled);
+  if (!(maxFilters > 0) || enabled.length <= maxFilters) return null;
+
+  const target = responseDb(enabled, freqs, sampleRate);
+  let kept = enabled.map(f => clampFilter(f, limits));
+
+  // Drop one filter at a time - whichever the rest miss least - and let the
+  // survivors retune a little before the next choice.
+  while (kept.length > maxFilters) {
+    const responses = kept.map(f => filterResponseDb(f, freqs, sampleRate));
+    const total = new Float64Array(freqs.length);
+    responses.forEach(r => r.forEach((v, i) => { total[i] += v; }));
+    let best = 0;
+    let bestError = Infinity;
+    responses.forEach((r, index) => {
+      const error = rmsDistance(target, total.map((v, i) => v - r[i]));
+      if (error < bestError) { bestError = error; best = index; }
+    });
+    kept = kept.filter((_, index) => index !== best);
+    kept = refineFilters(target, kept, limits, { freqs, sampleRate, rounds: 3 });
+  }
+
+  const fitted = refineFilters(target, kept, limits, { freqs, sampleRate }).map(roundFilter);
+  return {
+    filters: fitted,
+    residual: responseError(target, responseDb(fitted, freqs, sampleRate)),
+    reducedFrom: enabled.length,
+  };
+}
+
+// Whether the device can store a filter of `type`. Peaking filters always can;
+// the rest follow the constraint flags, which must be explicitly true.
+export function supportsFilterType(type, limits = {}) {
+  switch (type ?? 'PK') {
+    case 'LSQ': return limits.supportsLSFilter === true;
+    case 'HSQ': return limits.supportsHSFilter === true;
+    case 'LP':  return limits.supportsLPFilter === true || limits.supportsLPHPFilters === true;
+    case 'HP':  return limits.supportsHPFilter === true || limits.supportsLPHPFilters === true;
+    default:    return true;
+  }
+}
+
+const isFlat = (filter) =>
+  filter.disabled || ((filter.type === 'LSQ' || filter.type === 'HSQ') && !Number(filter.gain));
+
+// Starting points for the fit, `count` (1 or 2) filters of supported types.
+// A shelf's gain is spread over peaks on its side of the corner; LP/HP become
+// a cut shelf on the same side when there is one, otherwise peaking cuts.
+function replacementSeeds(filter, count, limits, floorDb) {
+  const freq = Number(filter.freq) || 1000;
+  const gain = Number(filter.gain) || 0;
+  const peak = (ratio, q, g) => ({ ...filter, type: 'PK', freq: freq * ratio, q, gain: g });
+  switch (filter.type) {
+    case 'LSQ':
+      return count > 1 ? [peak(0.25, 0.7, gain), peak(0.8, 1, gain / 2)] : [peak(0.5, 0.5, gain)];
+    case 'HSQ':
+      return count > 1 ? [peak(4, 0.7, gain), peak(1.25, 1, gain / 2)] : [peak(2, 0.5, gain)];
+    case 'LP':
+    case 'HP': {
+      const above = filter.type === 'LP';
+      const shelf = above ? 'HSQ' : 'LSQ';
+      const first = supportsFilterType(shelf, limits)
+        ? { ...filter, type: shelf, q: 0.7, gain: floorDb }
+        : peak(above ? 2 : 0.5, 0.5, floorDb);
+      return count > 1 ? [first, peak(above ? 1.2 : 0.8, 1.5, floorDb / 2)] : [first];
+    }
+    default:
+      return [{ ...filter }];
+  }
+}
+
+// Replaces every enabled filter the device cannot store (see
+// supportsFilterType) with one peaking filter - two for a shelf or LP/HP when
+// the set leaves a band free - tuned to match that filter's response within
+// the limits. LP and HP are matched down to minGain (or -12 dB), which is as
+// deep as a single band can cut. Returns null when nothing needs replacing,
+// otherwise
+//   { filters, residual: { maxDb, rmsDb }, substituted: [{ type, freq, bands }] }
+// with each replacement in its original's place and residual measured against
+// the whole set as it would sound with the original types. Flat or disabled
+// filters of unsupported types are left for the caller.
+export function substituteFilters(filters, limits = {}, { freqs = logFrequencies(), sampleRate = DEFAULT_SAMPLE_RATE } = {}) {
+  const list = filters ?? [];
+  const unsupported = list.filter(f => f && !isFlat(f) && !supportsFilterType(f.type, limits));
+  if (!unsupported.length) return null;
+
+  const floorDb = Number.isFinite(limits.minGain) ? limits.minGain : -12;
+  const enabledCount = list.filter(f => f && !f.disabled).length;
+  let spare = limits.maxFilters > 0 ? Math.max(0, limits.maxFilters - enabledCount) : 0;
+  const target = new Float64Array(freqs.length);
+  const substituted = [];
+
+  const out = list.flatMap(filter => {
+    if (!filter) return [filter];
+    const original = filterResponseDb(filter, freqs, sampleRate);
+    if (!unsupported.includes(filter)) {
+      original.forEach((v, i) => { target[i] += v; });
+      return [filter];
+    }
+    const aim = (filter.type === 'LP' || filter.type === 'HP')
+      ? original.map(v => Math.max(v, floorDb))
+      : original;
+    aim.forEach((v, i) => { target[i] += v; });
+    const count = spare > 0 ? 2 : 1;
+    spare -= count - 1;
+    const replacement = refineFilters(aim, replacementSeeds(filter, count, limits, floorDb), limits,
+      { freqs, sampleRate }).map(roundFilter);
+    substituted.push({ type: filter.type, freq: filter.freq, bands: replacement.length });
+    return replacement;
+  });
+
+  return {
+    filters: out,
+    residual: responseError(target, responseDb(out, freqs, sampleRate)),
+    substituted,
+  };
+}
@@ -0,0 +1,160 @@
+// peqGraphicEq.js
+// Copyright 2025 : Pragmatic Audio
+//
+// Graphic EQ fitting for devices whose bands sit at fixed centre frequencies
+// with a fixed Q, so only each band's gain can be set. A model declares its
+// grid in modelConfig:
+//
+//   graphicEq: { freqs: [31, 62, 125, 250, 500, 1000, 2000, 4000, 8000], q: 1.0 }
+//
+// (q may also be an array, one per band). fitGraphicEq() turns any PEQ filter
+// set into one peaking filter per grid band whose gains, together, come as
+// close as least squares can to the set's combined response:
+//
+//   const { filters, residual } = fitGraphicEq(peqFilters, device.modelConfig);
+//   // filters = 9 PK bands on the grid, residual = { maxDb, rmsDb }
+//
+// Gains stay within minGain/maxGain. A peak's dB response is not quite linear
+// in its gain, so the linear solve is repeated a few times around the current
+// gains (Gauss-Newton) until it settles.
+//
+// Parametric models that can only place a band on one of a set of centre
+// frequencies declare that table instead:
+//
+//   graphicEq: { table: [20, 50, 100, 200, 500, 1000, 2000, 4000, 8000] }
+//
+// Their grid is picked per push: the filters are cut down to maxFilters
+// (peqFit.js), each moves to the table entry nearest its centre in octaves and
+// keeps its own Q, and the gains are then fitted as above - which makes up for
+// most of what the move costs. The result carries table: true.
+
+import { logFrequencies, filterResponseDb, responseDb, responseError, DEFAULT_SAMPLE_RATE }
+  from './peqResponse.js';
+import { reduceFilters } from './peqFit.js';
+
+const ITERATIONS = 6;
+// Keeps the normal equations solvable when two bands barely differ.
+const RIDGE = 1e-6;
+
+const clamp = (value, min, max) =>
+  Math.min(Number.isFinite(max) ? max : Infinity, Math.max(Number.isFinite(min) ? min : -Infinity, value));
+
+// The grid as { freq, q } pairs, or null when `grid` is not a usable one.
+export function graphicEqBands(grid) {
+  const freqs = grid?.freqs;
+  if (!Array.isArray(freqs) || !freqs.length) return null;
+  return freqs.map((freq, i) => ({
+    freq,
+    q: (Array.isArray(grid.q) ? grid.q[i] : grid.q) ?? 1.0,
+  }));
+}
+
+// The table entry nearest `freq` in octaves.
+export function nearestTableFreq(table, freq) {
+  const distance = (entry) => Math.abs(Math.log2(entry / freq));
+  return table.reduce((best, entry) => (distance(entry) < distance(best) ? entry : best));
+}
+
+// The grid a frequency-table model is written for `filters` (see above), or
+// null when every enabled filter is already a PK band on a table entry at a Q
+// the model takes.
+function tableBands(filters, table, limits) {
+  const enabled = filters.filter(f => f && !f.disabled);
+  const q = (f) => clamp(f.q ?? 1.0, limits.minQ, limits.maxQ);
+  const onTable = enabled.length <= (limits.maxFilters ?? Infinity) && enabled.every(f =>
+    (f.type ?? 'PK') === 'PK' && table.includes(f.freq) && q(f) === (f.q ?? 1.0));
+  if (onTable) return null;
+  const kept = reduceFilters(enabled, limits)?.filters ?? enabled;
+  return kept.map(f => ({ freq: nearestTableFreq(table, f.freq), q: q(f) }));
+}
+
+// True when every enabled filter is already a PK band on the grid, in band
+// order - as after editing the gains of a pulled graphic EQ.
+function isOnGrid(filters, bands) {
+  const enabled = filters.filter(f => f && !f.disabled);
+  return enabled.length <= bands.length && filters.every((f, i) =>
+    !f || f.disabled || ((f.type ?? 'PK') === 'PK' && i < bands.length &&
+      Math.abs(f.freq - bands[i].freq) < 0.5 && Math.abs((f.q ?? bands[i].q) - bands[i].q) < 0.01));
+}
+
+// Solves the symmetric system `a` x = `b` in place (Gaussian elimination with
+// partial pivoting).
+function solve(a, b) {
+  const n = b.length;
+  for (let col = 0; col < n; col++) {
+    let pivot = col;
+    for (let row = col + 1; row < n; row++) {
+      if (Math.abs(a[row][col]) > Math.abs(a[pivot][col])) pivot = row;
+    }
+    [a[col], a[pivot]] = [a[pivot], a[col]];
+    [b[col], b[pivot]] = [b[pivot], b[col]];
+    for (let row = col + 1; row < n; row++) {
+      const factor = a[row][col] / a[col][col];
+      for (let k = col; k < n; k++) a[row][k] -= factor * a[col][k];
+      b[row] -= factor * b[col];
+    }
+  }
+  const x = new Array(n).fill(0);
+  for (let row = n - 1; row >= 0; row--) {
+    let sum = b[row];
+    for (let k = row + 1; k < n; k++) sum -= a[row][k] * x[k];
+    x[row] = sum / a[row][row];
+  }
+  return x;
+}
+
+// Fits `filters` to the grid in limits.graphicEq (see above). Returns null when
+// the model declares no grid or the filters are already on it, otherwise
+//   { filters, residual: { maxDb, rmsDb }, table }
+// with exactly one PK filter per grid band.
+export function fitGraphicEq(filters, limits = {}, { freqs = logFrequencies(), sampleRate = DEFAULT_SAMPLE_RATE } = {}) {
+  const table = limits.graphicEq?.table;
+  let bands;
+  if (Array.isArray(table) && table.length) {
+    bands = tableBands(filters ?? [], table, limits);
+    if (!bands) return null;
+  } else {
+    bands = graphicEqBands(limits.graphicEq);
+    if (!bands || isOnGrid(filters ?? [], bands)) return null;
+  }
+
+  const target = responseDb((filters ?? []).filter(f => f && !f.disabled), freqs, sampleRate);
+  const band = (i, gain) => ({ type: 'PK', freq: bands[i].freq, q: bands[i].q, gain });
+  let gains = bands.map(() => 0);
+
+  for (let iteration = 0; iteration < ITERATIONS; iteration++) {
+    const responses = gains.map((g, i) => filterResponseDb(band(i, g), freqs, sampleRate));
+    // Each band's change in response for +1 dB at its current gain.
+    const slopes = gains.map((g, i) =>
+      filterResponseDb(band(i, g + 1), freqs, sampleRate).map((v, k) => v - responses[i][k]));
+    const residual = target.map((v, k) => responses.reduce((r, resp) => r - resp[k], v));
+
+    const stepFor = (free) => {
+      const normal = free.map(i => free.map(j => slopes[i].reduce((s, v, k) => s + v * slopes[j][k], 0)));
+      free.forEach((_, r) => { normal[r][r] += RIDGE; });
+      const rhs = free.map(i => slopes[i].reduce((s, v, k) => s + v * residual[k], 0));
+      const x = solve(normal, rhs);
+      const step = gains.map(() => 0);
+      free.forEach((i, r) => { step[i] = x[r]; });
+      return step;
+    };
+    // Bands already at a limit and still pushing past it are held there while
+    // the others are solved for.
+    let step = stepFor(gains.map((_, i) => i));
+    const atLimit = (i) => (gains[i] <= limits.minGain && step[i] < 0) || (gains[i] >= limits.maxGain && step[i] > 0);
+    const free = gains.map((_, i) => i).filter(i => !atLimit(i));
+    if (free.length < gains.length) step = free.length ? stepFor(free) : step.map(() => 0);
+
+    const next = gains.map((g, i) => clamp(g + step[i], limits.minGain, limits.maxGain));
+    const settled = next.every((g, i) => Math.abs(g - gains[i]) < 0.005);
+    gains = next;
+    if (settled) break;
+  }
+
+  const fitted = gains.map((g, i) => band(i, Math.round(g * 100) / 100));
+  return {
+    filters: fitted,
+    residual: responseError(target, responseDb(fitted, freqs, sampleRate)),
+    table: !!table?.length,
+  };
+}
@@ -0,0 +1,79 @@
+// peqPreamp.js
+// Copyright 2025 : Pragmatic Audio
+//
+// The preamp a push needs so the device's EQ never boosts above 0 dBFS,
+// worked out from what the device will realise rather than what was asked:
+//
+//   const realised = storedFilters(device, filters, peqConstraints);  // peqEncode.js
+//   const { preamp, peakDb, clamped } = devicePreamp(device, realised, peqConstraints);
+//   await session.push(filters, { preamp });
+//
+// `realised` should be the filters as a pull would report them after the push:
+// fitted to the device's bands, clamped, quantized and taken through its
+// compensation laws (compensation.js). Their combined biquad response is
+// evaluated on a dense log grid, so a narrow peak or two overlapping boosts
+// are not missed between points, and the preamp is the negated peak:
+//
+//   - rounded down to the device's global gain step (handler.globalGainStep,
+//     e.g. 1 dB on WalkPlay and KT Micro, whose register holds whole dB) so
+//     the device's own rounding cannot leave it short;
+//   - clamped to the device's global gain range (the profile's minGlobalGain
+//     and maxGlobalGain, see globalGainRange() in peqConstraints.js), which
+//     need not match a band's minGain. When the peak needs more than that,
+//     `clamped` is true and the result is the limit.
+//   - 0 on devices that set deviceHandlesPregain: they reserve their own
+//     headroom and a host preamp would reduce the level twice.
+
+import { DEFAULT_SAMPLE_RATE, logFrequencies, responseDb } from './peqResponse.js';
+import { isLinked, splitChannels } from './peqChannels.js';
+import { globalGainRange } from './peqConstraints.js';
+
+// Points per octave for the peak search. A Q of 10 is about 0.14 octaves
+// wide at -3 dB, so this puts several points on even the narrowest boost.
+export const PREAMP_POINTS_PER_OCTAVE = 48;
+
+const DEFAULT_GLOBAL_GAIN_STEP = 0.1;
+const DEFAULT_MIN_GLOBAL_GAIN = -12;
+const DEFAULT_MAX_GLOBAL_GAIN = 12;
+
+// Highest point of the combined response: { peakDb, peakFreq }. peakDb is 0
+// or more - the response at the grid point nearest the most gain, or 0 dB
+// when every band cuts. An unlinked set (peqChannels.js) shares one preamp,
+// so this is the louder channel's peak.
+export function responsePeak(filters, { sampleRate = DEFAULT_SAMPLE_RATE, perOctave = PREAMP_POINTS_PER_OCTAVE } = {}) {
+  const freqs = logFrequencies({ to: Math.min(20000, sampleRate / 2), perOctave });
+  const channels = isLinked(filters) ? [filters] : Object.values(splitChannels(filters));
+  let peakDb = 0;
+  let peakFreq = null;
+  for (const bands of channels) {
+    const response = responseDb(bands, freqs, sampleRate);
+    for (let i = 0; i < response.length; i++) {
+      if (response[i] > peakDb) {
+        peakDb = response[i];
+        peakFreq = freqs[i];
+      }
+    }
+  }
+  return { peakDb, peakFreq };
+}
+
+// { preamp, peakDb, peakFreq, clamped, handledByDevice } for a
+// push of `realised` to `device` (see above). options: sampleRate, perOctave.
+export function devicePreamp(device, realised, peqConstraints = device?.modelConfig, options = {}) {
+  const modelConfig = device?.modelConfig ?? {};
+  const { peakDb, peakFreq } = responsePeak(realised, options);
+  if ((peqConstraints?.deviceHandlesPregain ?? modelConfig.deviceHandlesPregain) === true) {
+    return { preamp: 0, peakDb, peakFreq, clamped: false, handledByDevice: true };
+  }
+
+  const step = device?.handler?.globalGainStep ?? DEFAULT_GLOBAL_GAIN_STEP;
+  const fromProfile = globalGainRange(peqConstraints);
+  const fromModel = globalGainRange(modelConfig);
+  const min = fromProfile.min ?? fromModel.min ?? DEFAULT_MIN_GLOBAL_GAIN;
+  const max = fromProfile.max ?? fromModel.max ?? DEFAULT_MAX_GLOBAL_GAIN;
+  // The small allowance keeps a peak of exactly 3 dB from rounding to -3.1.
+  const wanted = peakDb > 0 ? Math.floor(-peakDb / step + 1e-9) * step : 0;
+  const clamped = wanted < min;
+  const preamp = Math.round(Math.min(max, Math.max(min, wanted)) * 100) / 100;
+  return { preamp: preamp === 0 ? 0 : preamp, peakDb, peakFreq, clamped, handledByDevice: false };
+}
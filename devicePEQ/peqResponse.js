@@ -0,0 +1,115 @@
+// peqResponse.js
+// Copyright 2025 : Pragmatic Audio
+//
+// Magnitude response of a PEQ filter set, for code that has to judge how close
+// one set of filters comes to another (see peqFit.js). Each filter is modelled
+// as the RBJ cookbook biquad for its type at DEFAULT_SAMPLE_RATE and evaluated
+// on a log-spaced frequency grid; a cascade is the sum of its filters in dB.
+//
+//   const freqs = logFrequencies();
+//   const target = responseDb(filters, freqs);
+//   const { maxDb, rmsDb } = responseError(target, responseDb(fewerFilters, freqs));
+//
+// Types modelled: PK, LSQ, HSQ, LP, HP. Disabled filters, and any other type,
+// count as flat.
+
+export const DEFAULT_SAMPLE_RATE = 48000;
+
+// Audible band, `perOctave` points per octave (~120 points at the default).
+export function logFrequencies({ from = 20, to = 20000, perOctave = 12 } = {}) {
+  const count = Math.ceil(Math.log2(to / from) * perOctave) + 1;
+  return Float64Array.from({ length: count }, (_, i) =>
+    Math.min(to, from * Math.pow(2, i / perOctave)));
+}
+
+// Normalised biquad { b0, b1, b2, a1, a2 } for a filter, or null when it is flat.
+export function biquadCoefficients(filter, sampleRate = DEFAULT_SAMPLE_RATE) {
+  if (!filter || filter.disabled) return null;
+  const freq = Number(filter.freq);
+  const q = Number(filter.q) || 0.707;
+  const gain = Number(filter.gain) || 0;
+  if (!(freq > 0) || freq >= sampleRate / 2) return null;
+
+  const w0 = 2 * Math.PI * freq / sampleRate;
+  const cos = Math.cos(w0);
+  const alpha = Math.sin(w0) / (2 * q);
+  const A = Math.pow(10, gain / 40);
+  const twoSqrtAAlpha = 2 * Math.sqrt(A) * alpha;
+  let b0, b1, b2, a0, a1, a2;
+
+  switch (filter.type ?? 'PK') {
+    case 'PK':
+      b0 = 1 + alpha * A;  b1 = -2 * cos;  b2 = 1 - alpha * A;
+      a0 = 1 + alpha / A;  a1 = -2 * cos;  a2 = 1 - alpha / A;
+      break;
+    case 'LSQ':
+      b0 = A * ((A + 1) - (A - 1) * cos + twoSqrtAAlpha);
+      b1 = 2 * A * ((A - 1) - (A + 1) * cos);
+      b2 = A * ((A + 1) - (A - 1) * cos - twoSqrtAAlpha);
+      a0 = (A + 1) + (A - 1) * cos + twoSqrtAAlpha;
+      a1 = -2 * ((A - 1) + (A + 1) * cos);
+      a2 = (A + 1) + (A - 1) * cos - twoSqrtAAlpha;
+      break;
+    case 'HSQ':
+      b0 = A * ((A + 1) + (A - 1) * cos + twoSqrtAAlpha);
+      b1 = -2 * A * ((A - 1) + (A + 1) * cos);
+      b2 = A * ((A + 1) + (A - 1) * cos - twoSqrtAAlpha);
+      a0 = (A + 1) - (A - 1) * cos + twoSqrtAAlpha;
+      a1 = 2 * ((A - 1) - (A + 1) * cos);
+      a2 = (A + 1) - (A - 1) * cos - twoSqrtAAlpha;
+      break;
+    case 'LP':
+      b0 = (1 - cos) / 2;  b1 = 1 - cos;  b2 = (1 - cos) / 2;
+      a0 = 1 + alpha;      a1 = -2 * cos; a2 = 1 - alpha;
+      break;
+    case 'HP':
+      b0 = (1 + cos) / 2;  b1 = -(1 + cos);  b2 = (1 + cos) / 2;
+      a0 = 1 + alpha;      a1 = -2 * cos;    a2 = 1 - alpha;
+      break;
+    default:
+      return null;
+  }
+  return { b0: b0 / a0, b1: b1 / a0, b2: b2 / a0, a1: a1 / a0, a2: a2 / a0 };
+}
+
+// One filter's response in dB at each of `freqs`.
+export function filterResponseDb(filter, freqs, sampleRate = DEFAULT_SAMPLE_RATE) {
+  const out = new Float64Array(freqs.length);
+  const c = biquadCoefficients(filter, sampleRate);
+  if (!c) return out;
+  for (let i = 0; i < freqs.length; i++) {
+    const w = 2 * Math.PI * freqs[i] / sampleRate;
+    const cos1 = Math.cos(w), sin1 = Math.sin(w);
+    const cos2 = Math.cos(2 * w), sin2 = Math.sin(2 * w);
+    const numRe = c.b0 + c.b1 * cos1 + c.b2 * cos2;
+    const numIm = -(c.b1 * sin1 + c.b2 * sin2);
+    const denRe = 1 + c.a1 * cos1 + c.a2 * cos2;
+    const denIm = -(c.a1 * sin1 + c.a2 * sin2);
+    const power = (numRe * numRe + numIm * numIm) / (denRe * denRe + denIm * denIm);
+    out[i] = 10 * Math.log10(Math.max(power, 1e-30));
+  }
+  return out;
+}
+
+// The whole cascade's response in dB at each of `freqs`.
+export function responseDb(filters, freqs, sampleRate = DEFAULT_SAMPLE_RATE) {
+  const total = new Float64Array(freqs.length);
+  for (const filter of filters ?? []) {
+    const r = filterResponseDb(filter, freqs, sampleRate);
+    for (let i = 0; i < total.length; i++) total[i] += r[i];
+  }
+  return total;
+}
+
+// How far `actual` is from `target` (both in dB on the same grid): the largest
+// deviation and the RMS deviation, in dB.
+export function responseError(target, actual) {
+  let maxDb = 0;
+  let sumSq = 0;
+  for (let i = 0; i < target.length; i++) {
+    const d = Math.abs(target[i] - actual[i]);
+    if (d > maxDb) maxDb = d;
+    sumSq += d * d;
+  }
+  return { maxDb, rmsDb: target.length ? Math.sqrt(sumSq / target.length) : 0 };
+}
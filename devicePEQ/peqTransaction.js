@@ -0,0 +1,130 @@
+// peqTransaction.js
+// Copyright 2025 : Pragmatic Audio
+//
+// Transactional push: snapshot the slot before writing and put it back if the
+// write fails, so a flaky USB moment cannot leave a half-written preset behind.
+//
+// Connectors wrap their handler call in transactionalPush(). On devices whose
+// constraints allow reading, the slot is pulled first. If the write then throws
+// or times out, the snapshot is written back in full and the rejection carries
+// what happened:
+//
+//   error.code        === 'PUSH_FAILED'
+//   error.type        – the cause's DeviceErrorType (deviceErrors.js)
+//   error.cause       – the handler's own error (or the timeout)
+//   error.transaction – { slot, affectedBands, snapshot, rolledBack, rollbackError }
+//
+// affectedBands (0-based) are the bands this push set out to change — i.e. the
+// ones that may now differ from the snapshot. With no snapshot there is nothing
+// to compare against, so every band that was being written is listed.
+//
+// A write that timed out cannot be cancelled, and restoring while it is still
+// going would interleave two band lists on the wire. The rollback therefore
+// waits for the timed-out write to settle (again within timeoutMs) and is
+// skipped — rolledBack: false, with a TIMEOUT rollbackError — if it never does.
+//
+// Write-only devices, and models with `transactionalPush: false` in their
+// modelConfig, push without a snapshot; a failure is still reported the same
+// way, just with rolledBack: false.
+
+import { bandsEqual } from './peqWriteSet.js';
+import { DeviceErrorType, deviceError, errorType, timeoutError, toDeviceError } from './deviceErrors.js';
+
+export const DEFAULT_PUSH_TIMEOUT_MS = 30000;
+
+export function withTimeout(promise, timeoutMs, what = 'operation') {
+  if (!(timeoutMs > 0)) return promise;
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(timeoutError(`${what} timed out after ${timeoutMs}ms`)), timeoutMs);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+// A snapshot is only worth restoring if every band came back. Restoring one
+// with a dropped band would itself corrupt the preset.
+function usableSnapshot(result, expectedCount) {
+  const filters = result?.filters;
+  if (!Array.isArray(filters) || filters.length === 0) return null;
+  if (expectedCount && filters.length < expectedCount) return null;
+  for (let i = 0; i < filters.length; i++) {
+    if (filters[i] == null) return null;
+  }
+  return { filters: filters.map(f => ({ ...f })), globalGain: result.globalGain };
+}
+
+// Bands `filters` would change relative to `snapshot`, limited to `bands` when
+// only a subset is being written.
+export function affectedBands(filters, snapshot, bands = null) {
+  const candidates = bands ?? filters.map((_, i) => i);
+  if (!snapshot) return [...candidates];
+  return candidates.filter(i => !bandsEqual(snapshot.filters[i], filters[i]));
+}
+
+// options:
+//   label         – device name for logs
+//   slot          – slot being written
+//   filters       – the full band list being pushed
+//   bands         – indices actually being written (null = all)
+//   supportsRead  – false skips the snapshot
+//   read(slot)    – pull the slot: { filters, globalGain }
+//   push()        – perform the write; resolves to the handler's disconnect flag
+//   restore(snap) – write snap ({ filters, globalGain }) back in full
+//   timeoutMs     – applies to the snapshot, the write, the wait for a
+//                   timed-out write to settle and the restore separately
+//
+// Resolves to push()'s result, or rejects with a PUSH_FAILED error (above).
+export async function transactionalPush({ label = 'Device', slot, filters, bands = null,
+                                          supportsRead = true, read, push, restore,
+                                          timeoutMs = DEFAULT_PUSH_TIMEOUT_MS }) {
+  let snapshot = null;
+  if (supportsRead && typeof read === 'function') {
+    // Reads drop bands now and then (WalkPlay PEQ_VALUES); one retry is enough
+    // to make an unusable snapshot rare without doubling every push.
+    for (let attempt = 0; attempt < 2 && !snapshot; attempt++) {
+      try {
+        snapshot = usableSnapshot(await withTimeout(read(slot), timeoutMs, `${label} snapshot`), filters.length);
+      } catch (e) {
+        console.warn(`Device PEQ: ${label} snapshot of slot ${slot} failed:`, e);
+      }
+    }
+    if (!snapshot) {
+      console.warn(`Device PEQ: ${label} could not snapshot slot ${slot} — pushing without rollback`);
+    }
+  }
+
+  let writing;
+  try {
+    writing = push();
+    return await withTimeout(writing, timeoutMs, `${label} push`);
+  } catch (cause) {
+    const transaction = {
+      slot,
+      affectedBands: affectedBands(filters, snapshot, bands),
+      snapshot: !!snapshot,
+      rolledBack: false,
+      rollbackError: null,
+    };
+    if (snapshot) {
+      try {
+        // Settled already unless the write timed out; then hold the restore
+        // back until the write stops rather than race it band by band.
+        await withTimeout(Promise.resolve(writing).then(() => {}, () => {}), timeoutMs,
+          `${label} waiting for the timed-out write before rollback`);
+        await withTimeout(restore(snapshot), timeoutMs, `${label} rollback`);
+        transaction.rolledBack = true;
+        console.warn(`Device PEQ: ${label} push to slot ${slot} failed — restored previous EQ`);
+      } catch (rollbackError) {
+        transaction.rollbackError = rollbackError;
+        console.error(`Device PEQ: ${label} rollback of slot ${slot} failed:`, rollbackError);
+      }
+    }
+    const bandList = transaction.affectedBands.map(i => i + 1).join(', ') || 'none';
+    // Typed as the cause; a handler error nothing recognises is taken as the
+    // device not behaving as its protocol says.
+    throw deviceError(errorType(toDeviceError(cause)) ?? DeviceErrorType.PROTOCOL_ERROR,
+      `Push to slot ${slot} failed (bands ${bandList}` +
+        `${transaction.rolledBack ? ', rolled back' : ''}): ${cause?.message ?? cause}`,
+      { code: 'PUSH_FAILED', cause, transaction });
+  }
+}
@@ -0,0 +1,165 @@
+// peqVerify.js
+// Copyright 2025 : Pragmatic Audio
+//
+// Read-back verification: after a push, re-pull the slot and check that every
+// band the device reports matches what was written.
+//
+// A pull is not the same thing as the filters that were pushed. The connector
+// fits the set to a fixed grid (peqGraphicEq.js), approximates unsupported
+// filter types and fits the set into maxFilters (see peqFit.js), the handler clamps and compensates Q/frequency, and the device
+// stores everything at its own resolution. expectedAfterWrite() replays the first two steps so
+// the comparison only has to absorb the third, which is what the tolerances
+// are for:
+//
+//   verifyTolerance: { freqHz: 1, freqRatio: 0.02, gainDb: 0.11, qRatio: 0.03 }
+//
+// A band matches when |Δgain| <= gainDb, |Δfreq| <= max(freqHz, freq*freqRatio)
+// and |ΔQ| <= q*qRatio. Defaults below cover 0.1 dB / 1 Hz / 0.01 Q storage;
+// profiles (or peqConstraintsOverride) with coarser steps set their own.
+
+import { compensateQForWrite, decompensateQFromRead,
+         compensateFreqForWrite, decompensateFreqFromRead } from './compensation.js';
+import { reduceFilters, substituteFilters, supportsFilterType } from './peqFit.js';
+import { fitGraphicEq } from './peqGraphicEq.js';
+
+export const DEFAULT_VERIFY_TOLERANCE = Object.freeze({
+  freqHz: 1,
+  freqRatio: 0.02,
+  gainDb: 0.11,
+  qRatio: 0.03,
+});
+
+export function resolveVerifyTolerance(peqConstraints, modelConfig) {
+  return {
+    ...DEFAULT_VERIFY_TOLERANCE,
+    ...(modelConfig?.verifyTolerance ?? {}),
+    ...(peqConstraints?.verifyTolerance ?? {}),
+  };
+}
+
+function clamp(value, min, max) {
+  if (typeof min === 'number') value = Math.max(min, value);
+  if (typeof max === 'number') value = Math.min(max, value);
+  return value;
+}
+
+// The filters the device should report back after `filters` were pushed,
+// in the same (decompensated) space a pull returns.
+export function expectedAfterWrite(filters, peqConstraints, modelConfig) {
+  const c = peqConstraints ?? {};
+  const maxFilters = c.maxFilters ?? filters.length;
+  // Types are assumed storable unless the profile says otherwise.
+  const limits = {
+    ...c,
+    maxFilters,
+    supportsLSFilter: c.supportsLSFilter !== false,
+    supportsHSFilter: c.supportsHSFilter !== false,
+    supportsLPFilter: c.supportsLPFilter !== false,
+    supportsHPFilter: c.supportsHPFilter !== false,
+    graphicEq: c.graphicEq ?? modelConfig?.graphicEq,
+  };
+
+  // Fixed-band models are written the grid gains the connector fitted.
+  filters = fitGraphicEq(filters, limits)?.filters ?? filters;
+  let bands = substituteFilters(filters, limits)?.filters ?? [...filters];
+  if (bands.length > maxFilters) {
+    // Same as the connectors: fit the enabled bands, then spare disabled ones.
+    const enabled = bands.filter(f => !f.disabled);
+    bands = reduceFilters(bands, limits)?.filters ??
+      [...enabled, ...bands.filter(f => f.disabled)].slice(0, maxFilters);
+  }
+
+  return bands.map(f => {
+    let type = f.type ?? 'PK';
+    let gain = f.disabled ? 0 : (f.gain ?? 0);
+    if (!supportsFilterType(type, limits)) {
+      type = 'PK';
+      gain = 0;
+    }
+    gain = clamp(gain, c.minGain, c.maxGain);
+
+    // Round-trip through compensation so a Q or frequency the device cannot
+    // realise is expected at the value it will actually report.
+    const qSent = compensateQForWrite(clamp(f.q ?? 1, c.minQ, c.maxQ), gain, type, modelConfig);
+    const freqSent = compensateFreqForWrite(f.freq ?? 1000, modelConfig, { gainDb: gain, filterType: type });
+    return {
+      type,
+      gain,
+      q: decompensateQFromRead(qSent, gain, type, modelConfig, { freq: freqSent }),
+      freq: decompensateFreqFromRead(freqSent, modelConfig, { gainDb: gain, filterType: type }),
+    };
+  });
+}
+
+// Compares one band. Returns the list of fields that differ (empty = match).
+// A flat band has no audible freq/Q/type, so only its gain is checked.
+export function compareBand(expected, actual, tolerance = DEFAULT_VERIFY_TOLERANCE) {
+  if (!actual) return ['missing'];
+  const fields = [];
+  const gainOff = Math.abs((actual.gain ?? 0) - expected.gain) > tolerance.gainDb;
+  if (gainOff) fields.push('gain');
+  const flat = Math.abs(expected.gain) <= tolerance.gainDb;
+  if (flat && !gainOff) return fields;
+
+  const freqTol = Math.max(tolerance.freqHz, expected.freq * tolerance.freqRatio);
+  if (!(Math.abs((actual.freq ?? 0) - expected.freq) <= freqTol)) fields.push('freq');
+  if (!(Math.abs((actual.q ?? 0) - expected.q) <= expected.q * tolerance.qRatio)) fields.push('q');
+  if ((actual.type ?? 'PK') !== expected.type) fields.push('type');
+  return fields;
+}
+
+// Compares expected bands against a pull. Bands the device reports beyond the
+// expected ones (padding up to maxFilters) must be flat. `indices` limits the
+// check to those bands — used on retry, once the others have been confirmed.
+export function compareFilters(expected, actual, tolerance = DEFAULT_VERIFY_TOLERANCE,
+                               indices = null) {
+  const count = Math.max(expected.length, actual?.length ?? 0);
+  const check = indices ?? Array.from({ length: count }, (_, i) => i);
+  const mismatches = [];
+  for (const index of check) {
+    const want = expected[index] ?? null;
+    const got = actual?.[index] ?? null;
+    const fields = want
+      ? compareBand(want, got, tolerance)
+      : (Math.abs(got?.gain ?? 0) > tolerance.gainDb ? ['gain'] : []);
+    if (fields.length) mismatches.push({ index, fields, expected: want, actual: got });
+  }
+  return mismatches;
+}
+
+// Pulls `slot` and checks it against what was pushed, retrying bands that do
+// not match. Reads on some parts drop bands outright, so each retry re-reads
+// first and only re-writes when the re-read still disagrees. A re-write names
+// the outstanding bands, so handlers with band writes send just those (others
+// resend the slot); only the outstanding ones are re-checked afterwards.
+//
+// pull(slot) -> { filters }, push(filters, bands) -> disconnect flag, where
+// bands are the indices (into the fitted set) still to be rewritten.
+// Resolves { verified, attempts, rewrites, mismatches, disconnect }.
+export async function verifyPush({ filters, slot, pull, push, peqConstraints, modelConfig,
+                                   retries = 2, tolerance } = {}) {
+  const tol = tolerance ?? resolveVerifyTolerance(peqConstraints, modelConfig);
+  const expected = expectedAfterWrite(filters, peqConstraints, modelConfig);
+
+  let attempts = 1;
+  let rewrites = 0;
+  let mismatches = compareFilters(expected, (await pull(slot))?.filters, tol);
+
+  while (mismatches.length && attempts <= retries) {
+    attempts++;
+    const outstanding = mismatches.map(m => m.index);
+    mismatches = compareFilters(expected, (await pull(slot))?.filters, tol, outstanding);
+    if (!mismatches.length) break;
+
+    console.warn(`Device PEQ: verify — band(s) ${mismatches.map(m => m.index + 1).join(', ')} ` +
+      `still differ after re-read, rewriting slot ${slot}`);
+    rewrites++;
+    if (await push(filters, mismatches.map(m => m.index))) {
+      // The device restarted to apply the write; nothing left to read back.
+      return { verified: false, attempts, rewrites, mismatches, disconnect: true };
+    }
+    mismatches = compareFilters(expected, (await pull(slot))?.filters, tol, outstanding);
+  }
+
+  return { verified: mismatches.length === 0, attempts, rewrites, mismatches, disconnect: false };
+}
@@ -0,0 +1,100 @@
+// peqWriteSet.js
+// Copyright 2025 : Pragmatic Audio
+//
+// Incremental push: work out which bands actually changed since the last write
+// so handlers that can address a single band only send those.
+//
+// Connectors record what they last wrote to each slot on the device details
+// object (device.lastWritten, keyed by slot). A later push is diffed against
+// that record and, when possible, the handler receives a write set:
+//
+//   { bands: [1, 4], globalGain: false }    // only bands 1 and 4 changed
+//
+// instead of rewriting every band and the global gain. Handlers opt in with
+// `supportsBandWrites: true` and an optional sixth pushToDevice() argument; a
+// handler without the flag, or a null write set, means a full rewrite.
+//
+// Only our own successful writes are recorded — never a pull. A dropped or
+// misparsed read would otherwise mark a band as already correct and it would
+// never be written.
+
+const FIELDS = ['type', 'freq', 'q', 'gain'];
+const EPSILON = 1e-6;
+
+function bandKey(filter = {}) {
+  // A disabled band is written as flat whatever its other fields say.
+  if (filter.disabled) return { disabled: true };
+  return {
+    disabled: false,
+    type: filter.type ?? 'PK',
+    freq: Number(filter.freq) || 0,
+    q: Number(filter.q) || 0,
+    gain: Number(filter.gain) || 0,
+  };
+}
+
+export function bandsEqual(a, b) {
+  const ka = bandKey(a);
+  const kb = bandKey(b);
+  if (ka.disabled || kb.disabled) return ka.disabled === kb.disabled;
+  return FIELDS.every(field => field === 'type'
+    ? ka.type === kb.type
+    : Math.abs(ka[field] - kb[field]) < EPSILON);
+}
+
+// Indices of bands that differ, or null when the two sets cannot be diffed
+// band-by-band (nothing recorded, or a different band count).
+export function diffFilters(previous, next) {
+  if (!Array.isArray(previous) || !Array.isArray(next)) return null;
+  if (previous.length !== next.length) return null;
+  const changed = [];
+  for (let i = 0; i < next.length; i++) {
+    if (!bandsEqual(previous[i], next[i])) changed.push(i);
+  }
+  return changed;
+}
+
+// Write set for pushing `filters`/`globalGain` to `slot`, or null for a full
+// rewrite.
+export function planWrite(device, slot, filters, globalGain) {
+  if (device?.handler?.supportsBandWrites !== true) return null;
+  const known = device.lastWritten?.get(slot);
+  if (!known) return null;
+  const bands = diffFilters(known.filters, filters);
+  if (bands === null) return null;
+  return {
+    bands,
+    globalGain: Math.abs((Number(known.globalGain) || 0) - (Number(globalGain) || 0)) >= EPSILON,
+  };
+}
+
+export function isEmptyWriteSet(writeSet) {
+  return !!writeSet && writeSet.bands.length === 0 && !writeSet.globalGain;
+}
+
+export function recordWrite(device, slot, filters, globalGain) {
+  if (!device) return;
+  if (!device.lastWritten) device.lastWritten = new Map();
+  device.lastWritten.set(slot, {
+    filters: filters.map(f => ({ ...f })),
+    globalGain,
+  });
+}
+
+// Forget one slot, or everything when slot is omitted (e.g. after a failed
+// write, when the device's contents are no longer known).
+export function forgetWrites(device, slot) {
+  if (!device?.lastWritten) return;
+  if (slot === undefined) device.lastWritten.clear();
+  else device.lastWritten.delete(slot);
+}
+
+// True when band `index` should be written under `writeSet` (null = all).
+export function includesBand(writeSet, index) {
+  return !writeSet || writeSet.bands.includes(index);
+}
+
+// True when the global gain should be written under `writeSet` (null = yes).
+export function includesGlobalGain(writeSet) {
+  return !writeSet || writeSet.globalGain;
+}
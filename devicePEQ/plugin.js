@@ -2,6 +2,16 @@
 
 import { loadPeqConstraintsConfig, resolveConstraints } from './peqConstraints.js';
 import { buildExtras } from './deviceExtras.js';
+import { loadDefaultConnectors, getConnectorEntry } from './connectorRegistry.js';
+import { createDevicePeqSessionGroup } from './devicePeqSessionGroup.js';
+import { isLinked, splitChannels, joinChannels } from './peqChannels.js';
+import { DeviceErrorType, errorType } from './deviceErrors.js';
+import { openSettings } from './settingsStore.js';
+import {
+  parseNetworkAddress, formatNetworkAddress, networkBaseUrl, createNetworkDeviceList,
+  normalizeProxyUrl,
+} from './networkDeviceList.js';
+import { networkDeviceHandlerConfig } from './networkDeviceConfig.js';
 
 /**
  * Initialise the Device PEQ plugin.
@@ -17,7 +27,8 @@ import { buildExtras } from './deviceExtras.js';
  *                    Tanchjim Rita, Moondrop Edge / Edge ANC, EarFun Tune Pro,
  *                    Edifier ConnectX headphones, Audeze Maxwell (SPP fallback)
  *  - Bluetooth BLE – Audeze Maxwell (Airoha GATT)
- *  - Network       – WiiM (HTTP push), Luxsin X9 (HTTP read+write)
+ *  - Network       – WiiM (HTTP push; read through the network bridge), Luxsin X9 (HTTP read+write),
+ *                    CamillaDSP (websocket read+write)
  *
  * @param {object} context - Host page context object.
  * @param {Function} context.elemToFilters - Returns current PEQ filter array from the UI.
@@ -35,6 +46,9 @@ import { buildExtras } from './deviceExtras.js';
  *                                                        for feedback without suppressing or
  *                                                        replacing host console behavior.
  * @param {boolean} [context.config.debugLogs] - When true, shows DevicePEQ debug logs.
+ * @param {string}  [context.config.networkProxyUrl] - Default network bridge URL for network
+ *                                                     devices without their own, e.g.
+ *                                                     'http://127.0.0.1:8787' (see network_bridge/).
  * @param {string}  [context.config.peqConstraintsUrl] - Optional URL to peqConstraintsConfig.json.
  *                                                       Defaults to './devicePEQ/peqConstraintsConfig.json'.
  *                                                       Example: 'https://www.pragmaticaudio.com/headphones/assets/js/devicePEQ/peqConstraintsConfig.json'
@@ -46,6 +60,31 @@ async function initializeDeviceEqPlugin(context) {
   // Pre-load the peqConstraints config so it is cached before any device connects.
   loadPeqConstraintsConfig(undefined, context.config).catch(err => console.warn('peqConstraintsConfig failed to load:', err));
 
+  // What the connection dialogs remember (settingsStore.js). Version 1 moved
+  // them out of the cookies earlier releases kept them in; version 2 turned the
+  // one network device into the saved list (networkDeviceList.js).
+  const settingsReady = openSettings('devicePEQ', {
+    version: 2,
+    migrations: {
+      1: (values, legacy) => {
+        const ipAddress = legacy.takeCookie('networkDeviceIP');
+        const deviceType = legacy.takeCookie('networkDeviceType');
+        if (ipAddress) values.networkDevice = { ipAddress, deviceType: deviceType || 'WiiM' };
+        values.virtualDeviceModel = legacy.takeCookie('virtualDeviceModel');
+      },
+      2: (values) => {
+        const { ipAddress, deviceType = 'WiiM' } = values.networkDevice ?? {};
+        const address = parseNetworkAddress(ipAddress);
+        if (address) {
+          values.networkDevices = [{
+            id: 'net-saved', name: '', deviceType, ...address, lastUsed: Date.now(),
+          }];
+        }
+        values.networkDevice = undefined;
+      },
+    },
+  });
+
   // Returns a compact ID string for console logs across all transport types.
   // USB HID  : "vendorId=0x2972 productId=0x0001"
   // USB Serial: "vendorId=0x152A productId=0x89D3"
@@ -219,6 +258,13 @@ async function initializeDeviceEqPlugin(context) {
       this.linkArea     = document.getElementById('device-link-area');
       this.linkBtn      = document.getElementById('eq-device-connect-btn');
       this.linkPopup    = document.getElementById('device-link-popup');
+      this.grantedList  = document.getElementById('device-granted-list');
+      this.grantedDevices = [];
+      this.pendingGrantedDevice = null;   // picked from grantedList, consumed by the connect handler
+      this.pendingNetworkSelection = null; // answer of the network dialog, consumed by the connect handler
+      this.addDeviceBtn   = document.getElementById('device-add-btn');
+      this.deviceSwitcher = document.getElementById('device-switcher');
+      this.sessions = null;   // DevicePEQ session group, set by initializeDeviceEQ
       this.devicePill   = document.getElementById('device-pill');
       this.devicePillName = document.getElementById('device-pill-name');
       this.devicePillClose = document.getElementById('device-pill-close');
@@ -228,6 +274,21 @@ async function initializeDeviceEqPlugin(context) {
       this.peqDropdown  = document.getElementById('device-peq-slot-dropdown');
       this.pullButton   = this.deviceEqArea.querySelector('.pull-filters-fromdevice');
       this.pushButton   = this.deviceEqArea.querySelector('.push-filters-todevice');
+      this.pushAllButton = this.deviceEqArea.querySelector('.push-filters-toall');
+      this.pushSlotsButton = this.deviceEqArea.querySelector('.push-filters-toslots');
+      this.previewButton = this.deviceEqArea.querySelector('.preview-filters-todevice');
+      this.storedButton = this.deviceEqArea.querySelector('.stored-filters-todevice');
+      this.unsavedIndicator = document.getElementById('device-unsaved');
+      this.progressBar  = document.getElementById('device-progress');
+      this.progressFill = this.progressBar?.querySelector('.device-progress-fill');
+      this.progressLabel = this.progressBar?.querySelector('.device-progress-label');
+      this.commitButton = this.unsavedIndicator?.querySelector('.commit-filters-todevice');
+      this.channelsRow  = document.getElementById('device-channels');
+      this.channelsLinked = document.getElementById('device-channels-linked');
+      this.channelsEditing = document.getElementById('device-channels-editing');
+      // Unlinked L/R EQ (peqChannels.js): null while linked, otherwise
+      // { L, R, editing } with the host's EQ showing the channel being edited.
+      this.channels = null;
       this.settingsBtn  = document.getElementById('peq-settings-btn');
       this.extrasPanel  = document.getElementById('device-extras-panel');
       this.lastPushTime = 0;
@@ -274,6 +335,8 @@ async function initializeDeviceEqPlugin(context) {
       const isConnected = state === 'connected';
       const isBusy      = state === 'connecting';
       if (this.linkBtn)   this.linkBtn.hidden   = isConnected || isBusy;
+      if (this.grantedList) this.grantedList.hidden = isConnected || isBusy || this.grantedDevices.length === 0;
+      if (this.addDeviceBtn) this.addDeviceBtn.hidden = !isConnected || context?.config?.multiDevice === false;
       if (this.devicePill) {
         this.devicePill.hidden = !isConnected && !isBusy;
         this.devicePill.classList.toggle('device-pill--busy', isBusy);
@@ -283,6 +346,168 @@ async function initializeDeviceEqPlugin(context) {
       if (this.deviceNameElem) this.deviceNameElem.textContent = deviceName ?? (isConnected ? '' : 'None');
     }
 
+    // The session whose device the UI is showing (the group's active session).
+    get session() {
+      return this.sessions?.active ?? null;
+    }
+
+    // Puts the pill back after an add-device attempt that went nowhere.
+    restorePillState() {
+      const device = this.session?.device;
+      this.setPillState(device ? 'connected' : 'disconnected', device?.model);
+    }
+
+    // Renders whichever session is active: its device, one that is waiting to
+    // reconnect, or nothing at all.
+    async showActiveSession() {
+      const session = this.session;
+      const state = session?.getState();
+      if (state?.device) {
+        await this.showConnectedState(state.device, state.connectionType, state.slots, state.selectedSlot);
+      } else {
+        this.showDisconnectedState();
+        if (session?.reconnecting) this.setPillState('connecting', this.deviceSwitcherLabel(session));
+      }
+      this.renderDeviceSwitcher();
+      this.renderUncommitted();
+      this.renderSlotCopy();
+      this.renderChannels();
+      this.hideProgress();
+    }
+
+    // Band-by-band progress of the active device's pull or push
+    // (deviceProgress.js), until the operation finishes.
+    renderProgress({ phase, band, total }) {
+      if (!this.progressBar) return;
+      const percent = phase === 'commit' || !total ? 100 : Math.round(100 * band / total);
+      this.progressBar.hidden = false;
+      this.progressBar.setAttribute('aria-valuenow', String(percent));
+      this.progressFill.style.width = `${percent}%`;
+      this.progressLabel.textContent = phase === 'commit'
+        ? 'Saving on device…'
+        : `${phase === 'read' ? 'Reading' : 'Writing'} band ${band}${total ? ` of ${total}` : ''}`;
+    }
+
+    hideProgress() {
+      if (this.progressBar) this.progressBar.hidden = true;
+    }
+
+    // Preview button for models that can write without saving, and the
+    // "Unsaved on device" note while a preview is waiting to be kept.
+    renderUncommitted() {
+      const state = this.session?.getState();
+      if (this.previewButton) this.previewButton.hidden = !state?.supportsPreview;
+      if (this.unsavedIndicator) this.unsavedIndicator.hidden = !state?.uncommitted;
+    }
+
+    // "Save to all inputs", for devices whose slots are input sources (WiiM).
+    renderSlotCopy() {
+      if (!this.pushSlotsButton) return;
+      const slots = this.session?.device ? this.session.getState().slots : [];
+      this.pushSlotsButton.hidden = slots.filter(s => s.input).length < 2;
+    }
+
+    // "Link L/R" toggle, for devices whose profile sets supportsPerChannelEQ.
+    // Any other device takes one EQ for both channels, so the UI relinks -
+    // but not while a device restarts, which would lose the other channel.
+    renderChannels() {
+      const state = this.session?.getState();
+      const supported = state?.peqConstraints?.supportsPerChannelEQ === true;
+      if (state?.device && !supported) this.channels = null;
+      if (this.channelsRow) this.channelsRow.hidden = !supported;
+      if (this.channelsLinked) this.channelsLinked.checked = !this.channels;
+      if (this.channelsEditing) {
+        this.channelsEditing.disabled = !this.channels;
+        this.channelsEditing.value = this.channels?.editing ?? 'L';
+      }
+    }
+
+    // Unlinking starts both channels from the current EQ. Relinking keeps the
+    // channel on screen for both and drops the other one.
+    setChannelsLinked(linked) {
+      if (linked) {
+        this.channels = null;
+      } else if (!this.channels) {
+        const current = context.elemToFilters(true);
+        this.channels = { L: current, R: current.map(f => ({ ...f })), editing: 'L' };
+      }
+      this.renderChannels();
+    }
+
+    // Shows the other channel in the host's EQ, keeping the edits to this one.
+    editChannel(channel) {
+      if (!this.channels || channel === this.channels.editing) return;
+      this.channels[this.channels.editing] = context.elemToFilters(true);
+      this.channels.editing = channel;
+      context.filtersToElem(this.channels[channel]);
+      if (typeof context.applyEQ === 'function') context.applyEQ();
+    }
+
+    // What Save, Preview and Check Stored Values send: the host's EQ, or both
+    // channels while unlinked.
+    filtersForDevice() {
+      const current = context.elemToFilters(true);
+      if (!this.channels) return current;
+      this.channels[this.channels.editing] = current;
+      return joinChannels(this.channels.L, this.channels.R);
+    }
+
+    // Puts pulled filters in the host's EQ. An unlinked set unlinks the UI and
+    // opens its left channel.
+    loadFilters(filters) {
+      if (isLinked(filters)) {
+        this.channels = null;
+        context.filtersToElem(filters);
+      } else {
+        const { L, R } = splitChannels(filters);
+        this.channels = { L, R, editing: 'L' };
+        context.filtersToElem(L);
+      }
+      if (typeof context.applyEQ === 'function') context.applyEQ();
+      this.renderChannels();
+    }
+
+    deviceSwitcherLabel(session) {
+      return session.device?.model ?? 'Reconnecting…';
+    }
+
+    // Device switcher and "Save to all" only appear with two or more devices.
+    renderDeviceSwitcher() {
+      const sessions = this.sessions?.sessions ?? [];
+      if (this.deviceSwitcher) {
+        this.deviceSwitcher.innerHTML = '';
+        sessions.forEach((session, i) => {
+          const option = document.createElement('option');
+          option.value = i;
+          option.textContent = this.deviceSwitcherLabel(session);
+          option.selected = session === this.session;
+          this.deviceSwitcher.appendChild(option);
+        });
+        this.deviceSwitcher.hidden = sessions.length < 2;
+      }
+      if (this.pushAllButton) {
+        this.pushAllButton.hidden = sessions.filter(s => s.device).length < 2;
+      }
+    }
+
+    // One "Reconnect to <model>" button per device granted on an earlier visit
+    // (see session.listGrantedDevices()). Shown only while disconnected.
+    renderGrantedDevices(candidates) {
+      this.grantedDevices = candidates ?? [];
+      if (!this.grantedList) return;
+      this.grantedList.innerHTML = '';
+      this.grantedDevices.forEach((candidate, i) => {
+        const btn = document.createElement('button');
+        btn.type = 'button';
+        btn.className = 'device-granted-item';
+        btn.dataset.index = i;
+        btn.textContent = `Reconnect to ${candidate.model}`;
+        btn.title = `${candidate.manufacturer ?? ''} ${candidate.model}`.trim();
+        this.grantedList.appendChild(btn);
+      });
+      this.grantedList.hidden = this.currentDevice != null || this.grantedDevices.length === 0;
+    }
+
     // Silently pulls filters from the device at connect time and fires _onDeviceConnected
     // with the result. Does NOT apply filters to the EQ UI — that is the caller's decision.
     // Explicit "Pull From Device" button clicks apply filters; this only fetches for the callback.
@@ -290,12 +515,11 @@ async function initializeDeviceEqPlugin(context) {
       let filters = null;
       const idStr = deviceIdStr(device);
       const tag = `"${device.model}"${idStr ? ` (${idStr})` : ''}`;
-      const { UsbHIDConnector, UsbSerialConnector, BluetoothBleConnector, NetworkDeviceConnector } = this._connectors ?? {};
 
       // Yield to the event loop so the connect button handler fully completes
-      // (elemToFilters check, event listener setup, etc.) before we start
-      // sending HID/Serial read commands. Without this the pull races against
-      // the tail of the connection flow and the device times out mid-response.
+      // (elemToFilters check, dropdown population, etc.) before reading the
+      // selected slot. Traffic on the wire no longer needs this — the pull
+      // runs on the device queue behind anything the connect flow sent.
       await new Promise(resolve => setTimeout(resolve, 0));
 
       try {
@@ -304,16 +528,8 @@ async function initializeDeviceEqPlugin(context) {
         // is guaranteed populated because of the setTimeout(0) yield above.
         const selectedSlot = (slot == null || slot === -1) ? this.peqDropdown.value : slot;
         console.log(`[peqConstraints] pullValuesOnConnect: pulling from ${tag} slot=${selectedSlot}`);
-        let result = null;
-        if (this.connectionType === 'network') {
-          result = await NetworkDeviceConnector.pullFromDevice(device, selectedSlot);
-        } else if (this.connectionType === 'usb') {
-          result = await UsbHIDConnector.pullFromDevice(device, selectedSlot);
-        } else if (this.connectionType === 'serial') {
-          result = await UsbSerialConnector.pullFromDevice(device, selectedSlot);
-        } else if (this.connectionType === 'ble') {
-          result = await BluetoothBleConnector.pullFromDevice(device, selectedSlot);
-        }
+        // An unknown input (''): nothing to pull until one is picked
+        const result = selectedSlot === '' ? null : await this.session.pull(selectedSlot);
         if (result?.filters?.length > 0) {
           filters = result.filters;
           console.log(`[peqConstraints] pullValuesOnConnect: received ${filters.length} filter(s) from ${tag}`);
@@ -344,6 +560,10 @@ async function initializeDeviceEqPlugin(context) {
       this.setPillState('disconnected');
       this.pullButton.hidden = true;
       this.pushButton.hidden = true;
+      if (this.storedButton) this.storedButton.hidden = true;
+      if (this.previewButton) this.previewButton.hidden = true;
+      if (this.pushSlotsButton) this.pushSlotsButton.hidden = true;
+      if (this.unsavedIndicator) this.unsavedIndicator.hidden = true;
       this.settingsBtn.hidden = true;
       this.extrasPanel.hidden = true;
       this.extrasPanel.innerHTML = '';
@@ -399,6 +619,7 @@ async function initializeDeviceEqPlugin(context) {
 
       this.pullButton.hidden = false;
       this.pushButton.hidden = false;
+      if (this.storedButton) this.storedButton.hidden = false;
       this.pullButton.textContent = context?.config?.pullLabel ?? `Load from ${device.model}`;
       this.pushButton.textContent = context?.config?.pushLabel ?? `Save to ${device.model}`;
       // Show slot row inside settings panel only when there are selectable slots
@@ -495,6 +716,7 @@ async function initializeDeviceEqPlugin(context) {
       this.pullButton.disabled = false;  // Reset to enabled for next connection
       this.pullButton.title = '';  // Clear any tooltip
       this.pushButton.hidden = true;
+      if (this.storedButton) this.storedButton.hidden = true;
       this.pullButton.textContent = context?.config?.pullLabel ?? 'Load from Device';
       this.pushButton.textContent = context?.config?.pushLabel ?? 'Save to Device';
       this.settingsBtn.hidden = true;
@@ -811,6 +1033,15 @@ async function initializeDeviceEqPlugin(context) {
           .find(opt => opt.value === String(currentSlot));
         if (matchingOption) {
           this.peqDropdown.value = currentSlot;
+        } else if (slots.some(slot => slot.input)) {
+          // Input sources (WiiM): the device does not say which one is playing,
+          // so ask rather than show the first as selected
+          const unknown = document.createElement('option');
+          unknown.value = '';
+          unknown.textContent = 'Input unknown - pick one';
+          unknown.disabled = true;
+          this.peqDropdown.prepend(unknown);
+          this.peqDropdown.selectedIndex = 0;
         } else {
           // No match — select the first real slot rather than a phantom "PEQ Disabled"
           this.peqDropdown.selectedIndex = 0;
@@ -924,6 +1155,85 @@ async function initializeDeviceEqPlugin(context) {
   // Make showToast globally accessible for handlers
   window.showToast = showToast;
 
+  // Fills and opens the "Requested vs stored" dialog from session.encode():
+  // one row per band, highlighted when the device would change it. Rows the
+  // handler cannot encode itself are estimates from the profile, and say so.
+  function showStoredValues(device, rows, notes = []) {
+    const describe = (f) => {
+      if (!f) return '—';
+      if (f.disabled) return 'off';
+      const gain = f.type === 'LP' || f.type === 'HP' ? '' : ` ${Number(f.gain ?? 0).toFixed(2)} dB`;
+      return `${f.type ?? 'PK'} ${Math.round(f.freq * 10) / 10} Hz${gain} Q ${Number(f.q ?? 0).toFixed(3)}`;
+    };
+    const cell = (text) => {
+      const td = document.createElement('td');
+      td.textContent = text;
+      return td;
+    };
+
+    document.getElementById('deviceStoredTitle').textContent =
+      `Requested vs stored${device?.model ? ` on ${device.model}` : ''}`;
+    if (rows.some(row => row.estimated)) {
+      notes = [...notes, "Values marked ≈ are estimated from this device's limits - " +
+        "its own rounding is not known, so the stored values may differ slightly."];
+    }
+    const notesList = document.getElementById('deviceStoredNotes');
+    notesList.replaceChildren(...notes.map(note => {
+      const li = document.createElement('li');
+      li.textContent = note;
+      return li;
+    }));
+    document.getElementById('deviceStoredRows').replaceChildren(...rows.map(row => {
+      const tr = document.createElement('tr');
+      tr.classList.toggle('stored-warning', row.warnings.length > 0);
+      tr.classList.toggle('stored-estimate', !!row.estimated);
+      const stored = describe(row.stored);
+      tr.append(cell(String(row.index + 1)), cell(describe(row.requested)),
+        cell(row.estimated && row.stored ? `≈ ${stored}` : stored),
+        cell(row.warnings.join('; ') || 'exact'));
+      return tr;
+    }));
+    document.getElementById('deviceStoredModal').classList.remove('hidden');
+  }
+
+  // Preamp for pushing `filters` through `session`: from the response its
+  // device will realise (session.preampFor, see peqPreamp.js), or from the
+  // host's calcEqDevPreamp() when config.hostPreamp is set.
+  async function pushPreamp(session, filters) {
+    if (context.config?.hostPreamp === true) return context.calcEqDevPreamp(filters);
+    const { preamp, peakDb, clamped } = await session.preampFor(filters);
+    if (clamped) {
+      showToast(`${session.device?.model ?? 'The device'} can only lower its level by ${-preamp} dB, ` +
+        `but the EQ peaks at +${peakDb.toFixed(1)} dB - loud passages may clip.`, "warning", 10000, true);
+    }
+    return preamp;
+  }
+
+  // What the user can do about each kind of device failure (deviceErrors.js).
+  const ERROR_GUIDANCE = {
+    [DeviceErrorType.TIMEOUT]: "The device stopped answering - close other apps using it and try again.",
+    [DeviceErrorType.DISCONNECTED]: "The device is no longer connected - check the cable or network and connect again.",
+    [DeviceErrorType.PERMISSION_DENIED]: "The browser blocked access to the device - allow it for this site " +
+      "(Chrome or Edge, over HTTPS) and connect again.",
+    [DeviceErrorType.PROTOCOL_ERROR]: "The device replied in a way this page does not understand - reconnect it, " +
+      "and if it keeps happening report it with the debug log.",
+  };
+
+  // `message` followed by what to do about `error`. Unsupported requests and
+  // constraint violations explain themselves, so their own message is shown.
+  function deviceErrorMessage(message, error) {
+    const type = errorType(error);
+    if (type === DeviceErrorType.UNSUPPORTED || type === DeviceErrorType.CONSTRAINT_VIOLATION) {
+      const reason = error.message.replace(/^Device PEQ: /, '');
+      return `${message} ${reason}${/[.!?]$/.test(reason) ? '' : '.'}`;
+    }
+    return ERROR_GUIDANCE[type] ? `${message} ${ERROR_GUIDANCE[type]}` : message;
+  }
+
+  // Failures that leave the device as it was, so there is no need to drop it.
+  const keepsConnection = (error) =>
+    [DeviceErrorType.UNSUPPORTED, DeviceErrorType.CONSTRAINT_VIOLATION].includes(errorType(error));
+
   function loadHtml() {
     // Set default values for configuration
     var headingTag = 'h4';
@@ -998,6 +1308,26 @@ async function initializeDeviceEqPlugin(context) {
       transition: background-color 100ms ease;
     }
     .device-link-popup-item:hover { background: rgba(0,0,0,0.06) !important; }
+    .device-granted-list { margin-top: 4px; display: flex; flex-direction: column; gap: 4px; }
+    .device-granted-list[hidden] { display: none !important; }
+    .device-granted-item {
+      display: block !important;
+      width: 100% !important;
+      padding: 8px 16px !important;
+      background: transparent !important;
+      border: 1px dashed var(--background-color-contrast-more, #aaa) !important;
+      border-radius: 14px !important;
+      color: var(--font-color-primary, #111) !important;
+      font-size: 12px !important;
+      font-weight: 400 !important;
+      text-align: left !important;
+      text-transform: none !important;
+      cursor: pointer;
+    }
+    .device-granted-item:hover {
+      border-color: var(--accent-color, #1a6ef5) !important;
+      color: var(--accent-color, #1a6ef5) !important;
+    }
     .device-link-popup-divider {
       height: 1px;
       background: var(--background-color-contrast-more, #ccc);
@@ -1064,6 +1394,83 @@ async function initializeDeviceEqPlugin(context) {
       transition: opacity 150ms ease;
     }
     .device-pill-close:hover { opacity: 1; }
+    /* Multi-device: add another device, and switch which one is being edited */
+    .device-add-btn {
+      flex: none !important;
+      width: 32px !important;
+      height: 32px !important;
+      padding: 0 !important;
+      background: transparent !important;
+      border: 1px solid var(--background-color-contrast-more, #aaa) !important;
+      border-radius: 50% !important;
+      color: var(--font-color-primary, #111) !important;
+      font-size: 18px !important;
+      line-height: 1 !important;
+      cursor: pointer;
+    }
+    .device-add-btn:hover { border-color: var(--accent-color, #1a6ef5) !important; }
+    .device-add-btn[hidden], .device-switcher[hidden] { display: none !important; }
+    .device-switcher {
+      margin-top: 4px;
+      width: 100%;
+      padding: 6px 10px;
+      border-radius: 10px;
+      font-size: 12px;
+    }
+    .device-progress[hidden] { display: none !important; }
+    .device-progress {
+      display: flex;
+      align-items: center;
+      gap: 8px;
+      margin-top: 6px;
+      font-size: 12px;
+    }
+    .device-progress-track {
+      flex: 1;
+      height: 6px;
+      border-radius: 3px;
+      background: rgba(127, 127, 127, 0.25);
+      overflow: hidden;
+    }
+    .device-progress-fill {
+      width: 0;
+      height: 100%;
+      background: var(--accent-color, #1a6ef5);
+      transition: width 0.15s ease-out;
+    }
+    .device-progress-label { white-space: nowrap; }
+    .device-unsaved[hidden] { display: none !important; }
+    .device-unsaved {
+      display: flex;
+      align-items: center;
+      justify-content: space-between;
+      gap: 8px;
+      margin-top: 6px;
+      padding: 4px 10px;
+      border: 1px dashed var(--accent-color, #1a6ef5);
+      border-radius: 10px;
+      font-size: 12px;
+    }
+    .device-channels[hidden] { display: none !important; }
+    .device-channels {
+      display: flex;
+      align-items: center;
+      justify-content: space-between;
+      gap: 8px;
+      margin-top: 6px;
+      font-size: 12px;
+    }
+    .device-channels select {
+      padding: 2px 8px;
+      border-radius: 8px;
+      font-size: 12px;
+    }
+    .commit-filters-todevice {
+      padding: 2px 10px;
+      border-radius: 8px;
+      font-size: 12px;
+      cursor: pointer;
+    }
             .info-button {
       background: none;
       border: none;
@@ -1106,6 +1513,33 @@ async function initializeDeviceEqPlugin(context) {
       position: relative;
     }
 
+    .stored-modal-content {
+      max-width: 640px;
+    }
+    .stored-table {
+      width: 100%;
+      border-collapse: collapse;
+      font-size: 12px;
+    }
+    .stored-table th,
+    .stored-table td {
+      padding: 3px 6px;
+      border-bottom: 1px solid #eee;
+      text-align: left;
+      vertical-align: top;
+    }
+    .stored-table tr.stored-warning td {
+      background-color: #fff6e0;
+    }
+    .stored-table tr.stored-estimate td:nth-child(3) {
+      font-style: italic;
+    }
+    .stored-notes {
+      margin: 0 0 8px;
+      padding-left: 18px;
+      font-size: 12px;
+    }
+
     .modal-content .close {
       position: absolute;
       right: 16px;
@@ -1421,19 +1855,43 @@ async function initializeDeviceEqPlugin(context) {
                             <button type="button" id="device-pill-close" class="device-pill-close" aria-label="Disconnect">×</button>
                         </div>
                     </div>
+                    <button type="button" id="device-add-btn" class="device-add-btn" hidden
+                            aria-label="Connect another device" title="Connect another device">+</button>
                     <button id="deviceInfoBtn" class="peq-info-btn" aria-label="Device Help" title="Device Help" ${context?.config?.showInfoButton === false ? 'hidden' : ''}>ℹ️</button>
                 </div>
                 <div id="device-link-popup" class="device-link-popup" hidden role="menu" aria-label="Connection type"></div>
+                <div id="device-granted-list" class="device-granted-list" hidden aria-label="Previously connected devices"></div>
+                <select id="device-switcher" class="device-switcher" hidden aria-label="Device being edited"></select>
             </div>
             <div class="filters-button">
                 <button class="pull-filters-fromdevice peq-load-btn">${context?.config?.pullLabel ?? 'Load from Device'}</button>
                 <button class="push-filters-todevice peq-save-btn">${context?.config?.pushLabel ?? 'Save to Device'}</button>
+                <button class="push-filters-toall peq-save-btn" hidden>${context?.config?.pushAllLabel ?? 'Save to all devices'}</button>
+                <button class="push-filters-toslots peq-save-btn" hidden>${context?.config?.pushSlotsLabel ?? 'Save to all inputs'}</button>
+                <button class="stored-filters-todevice peq-load-btn" hidden>${context?.config?.storedLabel ?? 'Check Stored Values'}</button>
+                <button class="preview-filters-todevice peq-load-btn" hidden>${context?.config?.previewLabel ?? 'Preview on Device'}</button>
                 <button type="button" class="peq-settings-btn" id="peq-settings-btn" hidden
                         aria-label="Device settings" title="Device settings" aria-expanded="false">
                     <span class="peq-settings-btn-icon" aria-hidden="true"></span>
                     <span class="peq-settings-btn-badge" aria-hidden="true">i</span>
                 </button>
             </div>
+            <div id="device-progress" class="device-progress" hidden role="progressbar"
+                 aria-valuemin="0" aria-valuemax="100" aria-label="Device progress">
+                <div class="device-progress-track"><div class="device-progress-fill"></div></div>
+                <span class="device-progress-label"></span>
+            </div>
+            <div id="device-unsaved" class="device-unsaved" hidden role="status">
+                <span class="device-unsaved-label">Unsaved on device</span>
+                <button type="button" class="commit-filters-todevice">${context?.config?.commitLabel ?? 'Keep'}</button>
+            </div>
+            <div id="device-channels" class="device-channels" hidden role="group" aria-label="Channel EQ">
+                <label><input type="checkbox" id="device-channels-linked" checked> Link L/R</label>
+                <select id="device-channels-editing" aria-label="Channel being edited" disabled>
+                    <option value="L">Editing left</option>
+                    <option value="R">Editing right</option>
+                </select>
+            </div>
             <div class="device-extras-panel" id="device-extras-panel" hidden>
                 <div class="peq-slot-row" id="peq-slot-row" hidden>
                     <select name="device-peq-slot" id="device-peq-slot-dropdown">
@@ -1442,6 +1900,17 @@ async function initializeDeviceEqPlugin(context) {
                 </div>
             </div>
         </div>
+        <div id="deviceStoredModal" class="modal hidden">
+          <div class="modal-content stored-modal-content">
+            <button id="closeStoredModalBtn" class="close" aria-label="Close">&times;</button>
+            <h3 id="deviceStoredTitle">Requested vs stored</h3>
+            <ul id="deviceStoredNotes" class="stored-notes"></ul>
+            <table class="stored-table">
+              <thead><tr><th>Band</th><th>Requested</th><th>Stored</th><th>Warnings</th></tr></thead>
+              <tbody id="deviceStoredRows"></tbody>
+            </table>
+          </div>
+        </div>
         <!-- Modal -->
         <div id="deviceInfoModal" class="modal hidden">
           <div class="modal-content">
@@ -1476,6 +1945,7 @@ async function initializeDeviceEqPlugin(context) {
                   <li><strong>Nothing:</strong> Headphone (1) (USB Serial / Bluetooth SPP)</li>
                   <li><strong>WiiM:</strong> Network push of parametric EQ</li>
                   <li><strong>Luxsin:</strong> X9 — full read + write over local network (HTTP)</li>
+                  <li><strong>CamillaDSP:</strong> read + write of a Biquad filter chain over its websocket API</li>
                   <li><strong>Audeze:</strong> Maxwell — 10-band PEQ, 4 presets (Bluetooth BLE preferred, SPP fallback)</li>
                   <li><strong>FiiO:</strong> EH11 / EH13 — 10-band PEQ (Bluetooth BLE)</li>
                   <li><strong>Tanchjim:</strong> Rita — 12-band PEQ (Bluetooth SPP)</li>
@@ -1497,6 +1967,7 @@ async function initializeDeviceEqPlugin(context) {
                 <button class="sub-tab-button" data-subtab="sub-nothing">Nothing</button>
                 <button class="sub-tab-button" data-subtab="sub-wiim">WiiM</button>
                 <button class="sub-tab-button" data-subtab="sub-luxsin">Luxsin</button>
+                <button class="sub-tab-button" data-subtab="sub-camilladsp">CamillaDSP</button>
                 <button class="sub-tab-button" data-subtab="sub-bt-headphones">BT Headphones</button>
               </div>
 
@@ -1601,6 +2072,16 @@ async function initializeDeviceEqPlugin(context) {
                 </ul>
               </div>
 
+              <div id="sub-camilladsp" class="sub-tab-content">
+                <h5>CamillaDSP</h5>
+                <p>Read + write PEQ control of CamillaDSP (on a Raspberry Pi, for example) through its websocket API.</p>
+                <ul>
+                  <li>Start CamillaDSP with its websocket server on, e.g. <code>camilladsp -p 1234 -a 0.0.0.0 config.yml</code>.</li>
+                  <li>Choose Network → CamillaDSP, enter the host (port 1234 unless you give another).</li>
+                  <li>Push adds a <code>DevicePEQ</code> filter chain with a preamp Gain filter to the active config; the rest of the config is kept.</li>
+                </ul>
+              </div>
+
               <div id="sub-bt-headphones" class="sub-tab-content">
                 <h5>Bluetooth Headphones</h5>
                 <p>Use "Bluetooth (BLE) Device" for BLE devices, or "Serial USB or Bluetooth Device" for SPP. Pair your headphones before connecting.</p>
@@ -1666,6 +2147,7 @@ async function initializeDeviceEqPlugin(context) {
               <h5 style="margin-top: 10px;">Network Devices</h5>
               <p><strong>Luxsin X9:</strong> Choose Network → Luxsin X9, enter the device IP (from the Luxsin/WalkPlay app), optionally click Test IP, then Pull or Push.</p>
               <p><strong>WiiM:</strong> Choose Network → WiiM, accept the self-signed HTTPS certificate if prompted. Push is supported; Pull may be limited by browser security.</p>
+              <p><strong>CamillaDSP:</strong> Choose Network → CamillaDSP, enter the host running <code>camilladsp -p 1234</code>, then Pull or Push.</p>
               <p>⚠️ Some devices require the official app to enable USB EQ editing before they will respond to this tool.</p>
             </div>
 
@@ -1747,6 +2229,15 @@ async function initializeDeviceEqPlugin(context) {
       }
     });
 
+    document.getElementById('closeStoredModalBtn').addEventListener('click', () => {
+      document.getElementById('deviceStoredModal').classList.add('hidden');
+    });
+    document.getElementById('deviceStoredModal').addEventListener('click', (e) => {
+      if (e.target.id === 'deviceStoredModal') {
+        document.getElementById('deviceStoredModal').classList.add('hidden');
+      }
+    });
+
     document.querySelectorAll(".tab-button").forEach(btn => {
       btn.addEventListener("click", () => {
         // Toggle active tab button
@@ -1862,22 +2353,9 @@ async function initializeDeviceEqPlugin(context) {
   }
 
   try {
-    // Dynamically import USB and Network connectors
-    const UsbHIDConnectorAsync = await import('./usbHidConnector.js').then((module) => module.UsbHIDConnector);
-    const UsbHIDConnector = await UsbHIDConnectorAsync;
-    console.log('UsbHIDConnector loaded');
-
-    const UsbSerialConnectorAsync = await import('./usbSerialConnector.js').then((module) => module.UsbSerialConnector);
-    const UsbSerialConnector = await UsbSerialConnectorAsync;
-    console.log('UsbSerialConnector loaded');
-
-    const BluetoothBleConnectorAsync = await import('./bluetoothBleConnector.js').then((module) => module.BluetoothBleConnector);
-    const BluetoothBleConnector = await BluetoothBleConnectorAsync;
-    console.log('BluetoothBleConnector loaded');
-
-    const NetworkDeviceConnectorAsync = await import('./networkDeviceConnector.js').then((module) => module.NetworkDeviceConnector);
-    const NetworkDeviceConnector = await NetworkDeviceConnectorAsync;
-    console.log('NetworkDeviceConnector loaded');
+    // Import and register the USB, Serial, BLE and Network connectors. Every
+    // device operation below dispatches through the registry by connectionType.
+    await loadDefaultConnectors();
 
     if ('hid' in navigator) { // Only support browsers with HID support for now
       if (document.readyState === 'loading') {
@@ -1893,10 +2371,49 @@ async function initializeDeviceEqPlugin(context) {
 
         const deviceEqUI = new DeviceEqUI();
 
-        // Inject connector references so _pullOnConnect can reach them.
-        // The connectors are const-scoped to this try block; the class method
-        // can't close over them directly, so we store them on the instance here.
-        deviceEqUI._connectors = { UsbHIDConnector, UsbSerialConnector, BluetoothBleConnector, NetworkDeviceConnector };
+        // All device operations go through headless sessions, one per connected
+        // device; the UI renders whichever one is active.
+        const multiDevice = context?.config?.multiDevice !== false;
+        deviceEqUI.sessions = createDevicePeqSessionGroup();
+        const renderActive = () => deviceEqUI.showActiveSession()
+          .catch(error => console.error("Error showing device state:", error));
+        deviceEqUI.sessions.on('activeChanged', ({ session }) => {
+          renderActive();
+          if (!session) refreshGrantedDevices();
+        });
+        deviceEqUI.sessions.on('added', () => deviceEqUI.renderDeviceSwitcher());
+        deviceEqUI.sessions.on('removed', () => deviceEqUI.renderDeviceSwitcher());
+        deviceEqUI.sessions.on('disconnected', ({ device, reason }) => {
+          if (reason === 'lost') console.log(`Device ${device.model} disconnected.`);
+        });
+        // A lost or restarting USB device is reopened as soon as it reappears;
+        // keep the pill busy meanwhile so the user knows not to reconnect by hand.
+        deviceEqUI.sessions.on('reconnecting', ({ session }) => {
+          if (session === deviceEqUI.session) renderActive();
+          else deviceEqUI.renderDeviceSwitcher();
+        });
+        deviceEqUI.sessions.on('reconnected', ({ session, device }) => {
+          if (session === deviceEqUI.session) renderActive();
+          else deviceEqUI.renderDeviceSwitcher();
+          if (context.config?.showSuccessToasts !== false) showToast(`Reconnected to ${device.model}`, "success");
+        });
+        deviceEqUI.sessions.on('reconnectFailed', ({ device }) => {
+          showToast(`${device.model} did not come back - please connect it again.`, "warning");
+        });
+        ['previewed', 'committed', 'pushed', 'slotChanged'].forEach(name =>
+          deviceEqUI.sessions.on(name, ({ session }) => {
+            if (session === deviceEqUI.session) deviceEqUI.renderUncommitted();
+          }));
+        // Slow serial and BLE writes report each band; the page can follow them
+        // as devicepeq:progress events, and the active device's show as a bar.
+        deviceEqUI.sessions.on('progress', ({ session, device, phase, band, total }) => {
+          emitDeviceEvent('devicepeq:progress', { model: device.model, phase, band, total });
+          if (session === deviceEqUI.session) deviceEqUI.renderProgress({ phase, band, total });
+        });
+        ['pulled', 'pushed', 'verified', 'previewed', 'committed', 'error', 'disconnected'].forEach(name =>
+          deviceEqUI.sessions.on(name, ({ session }) => {
+            if (session === deviceEqUI.session) deviceEqUI.hideProgress();
+          }));
 
         // Show the Connect button if WebHID is supported
         deviceEqUI.deviceEqArea.classList.remove('disabled');
@@ -1907,9 +2424,16 @@ async function initializeDeviceEqPlugin(context) {
           { label: 'Serial / Bluetooth', type: 'serial' },
           { label: 'Bluetooth (BLE)',    type: 'ble'    },
           { label: 'Network',            type: 'network'},
+          { label: 'Virtual device',     type: 'virtual'},
         ];
-        const linkTypes = context?.config?.connectionTypes
-          ?? DEFAULT_LINK_TYPES.filter(t => t.type !== 'network' || context?.config?.advanced === true);
+        // Network is advanced-only; the virtual device (no hardware, for demos
+        // and development) also has to be switched on with showVirtualDevice.
+        const offersLinkType = (t) => {
+          if (t.type !== 'network' && t.type !== 'virtual') return true;
+          if (context?.config?.advanced !== true) return false;
+          return t.type !== 'virtual' || context?.config?.showVirtualDevice === true;
+        };
+        const linkTypes = context?.config?.connectionTypes ?? DEFAULT_LINK_TYPES.filter(offersLinkType);
 
         if (deviceEqUI.linkPopup && context?.config?.advanced && linkTypes.length > 0) {
           linkTypes.forEach((entry, i) => {
@@ -1951,7 +2475,7 @@ async function initializeDeviceEqPlugin(context) {
           });
         }
 
-        // Popup item clicks (non-network close and trigger; network shows dialog first)
+        // Popup item clicks (close and trigger; network and virtual show a dialog first)
         if (deviceEqUI.linkPopup) {
           deviceEqUI.linkPopup.addEventListener('click', async (e) => {
             const item = e.target.closest('.device-link-popup-item');
@@ -1963,8 +2487,15 @@ async function initializeDeviceEqPlugin(context) {
               const result = await showNetworkConnectionDialog();
               if (!result) return;
               deviceEqUI.connectButton.dataset.connectionType = 'network';
-              deviceEqUI.connectButton.dataset.networkIp = result.ipAddress || '';
+              deviceEqUI.connectButton.dataset.networkIp = result.address || '';
               deviceEqUI.connectButton.dataset.networkDeviceType = result.deviceType || 'WiiM';
+              // The rest of the dialog's answer (name, saved entry, bridge)
+              deviceEqUI.pendingNetworkSelection = result;
+            } else if (type === 'virtual') {
+              const result = await showVirtualDeviceDialog();
+              if (!result) return;
+              deviceEqUI.connectButton.dataset.connectionType = 'virtual';
+              deviceEqUI.connectButton.dataset.virtualModel = result.virtualModel;
             } else {
               deviceEqUI.connectButton.dataset.connectionType = type;
             }
@@ -1980,6 +2511,21 @@ async function initializeDeviceEqPlugin(context) {
           });
         }
 
+        // "+" → connect another device alongside the current one(s), same flow as
+        // the link button. Switcher → choose which device the UI is editing.
+        if (deviceEqUI.addDeviceBtn && deviceEqUI.linkBtn) {
+          deviceEqUI.addDeviceBtn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            deviceEqUI.linkBtn.click();
+          });
+        }
+        if (deviceEqUI.deviceSwitcher) {
+          deviceEqUI.deviceSwitcher.addEventListener('change', (e) => {
+            const session = deviceEqUI.sessions.sessions[Number(e.target.value)];
+            if (session) deviceEqUI.sessions.setActive(session);
+          });
+        }
+
         // Pill × button → disconnect
         if (deviceEqUI.devicePillClose) {
           deviceEqUI.devicePillClose.addEventListener('click', () => {
@@ -1987,22 +2533,63 @@ async function initializeDeviceEqPlugin(context) {
           });
         }
 
+        // Reconnect list: connect straight to a device granted on an earlier visit
+        function connectGranted(candidate) {
+          deviceEqUI.pendingGrantedDevice = candidate;
+          deviceEqUI.connectButton.dataset.connectionType = candidate.connectionType;
+          deviceEqUI.setPillState('connecting', candidate.model);
+          deviceEqUI.connectButton.click();
+        }
+        if (deviceEqUI.grantedList) {
+          deviceEqUI.grantedList.addEventListener('click', (e) => {
+            const item = e.target.closest('.device-granted-item');
+            const candidate = item && deviceEqUI.grantedDevices[Number(item.dataset.index)];
+            if (candidate) connectGranted(candidate);
+          });
+        }
+        async function refreshGrantedDevices({ autoConnect = false } = {}) {
+          let candidates = [];
+          try {
+            candidates = await deviceEqUI.sessions.listGrantedDevices();
+          } catch (e) {
+            console.warn('Device PEQ: could not list granted devices:', e);
+          }
+          if (deviceEqUI.currentDevice || deviceEqUI.sessions.sessions.length > 0) return;
+          deviceEqUI.renderGrantedDevices(candidates);
+          if (autoConnect && candidates.length > 0) {
+            console.log(`Device PEQ: auto-connecting to previously granted ${candidates[0].model}`);
+            connectGranted(candidates[0]);
+          }
+        }
+
         // Internal connect button handler (used by pill popup AND external proxy callers)
         deviceEqUI.connectButton.addEventListener('click', async () => {
           try {
             const preselected = deviceEqUI.connectButton.dataset.connectionType;
             let selection;
             if (preselected === 'network') {
+              const picked = deviceEqUI.pendingNetworkSelection;
               selection = {
+                ...picked,
                 connectionType: 'network',
-                ipAddress:      deviceEqUI.connectButton.dataset.networkIp || '',
+                address:        deviceEqUI.connectButton.dataset.networkIp || '',
                 deviceType:     deviceEqUI.connectButton.dataset.networkDeviceType || 'WiiM',
+                proxyUrl:       picked ? picked.proxyUrl
+                  : normalizeProxyUrl(deviceEqUI.connectButton.dataset.networkProxyUrl)
+                    ?? normalizeProxyUrl(context.config?.networkProxyUrl),
               };
+              deviceEqUI.pendingNetworkSelection = null;
               delete deviceEqUI.connectButton.dataset.connectionType;
+              delete deviceEqUI.connectButton.dataset.networkProxyUrl;
               delete deviceEqUI.connectButton.dataset.networkIp;
               delete deviceEqUI.connectButton.dataset.networkDeviceType;
+            } else if (preselected === 'virtual') {
+              selection = { connectionType: 'virtual', virtualModel: deviceEqUI.connectButton.dataset.virtualModel };
+              delete deviceEqUI.connectButton.dataset.connectionType;
+              delete deviceEqUI.connectButton.dataset.virtualModel;
             } else if (preselected) {
-              selection = { connectionType: preselected };
+              const granted = deviceEqUI.pendingGrantedDevice;
+              selection = granted?.connectionType === preselected ? granted : { connectionType: preselected };
               delete deviceEqUI.connectButton.dataset.connectionType;
             } else if (context.config.advanced) {
               // Fallback for direct external clicks without preset
@@ -2012,245 +2599,74 @@ async function initializeDeviceEqPlugin(context) {
               selection = { connectionType: 'usb' };
             }
 
-            if (selection.connectionType == "network") {
-              if (!selection.ipAddress) {
-                showToast("Please enter a valid IP address.", "error");
-                return;
-              }
-              setCookie("networkDeviceIP", selection.ipAddress, 30); // Save IP for 30 days
-              setCookie("networkDeviceType", selection.deviceType, 30); // Store device type for 30 days
-
-              // Connect via Network using the provided IP
-              const device = await NetworkDeviceConnector.getDeviceConnected(selection.ipAddress, selection.deviceType);
-              if (device?.handler == null) {
-                showToast("Sorry, this network device is not currently supported.", "error");
-                await NetworkDeviceConnector.disconnectDevice();
-                deviceEqUI.setPillState('disconnected');
-                return;
-              }
-              if (device) {
-                // Check if device supports reading
-                const peqConstraints_network = resolveConstraints(device.modelConfig);
-                const supportsRead_network = peqConstraints_network?.supportsRead !== false;  // default true
-                const currentSlot_network = supportsRead_network ? await NetworkDeviceConnector.getCurrentSlot(device) : -1;
-
-                await deviceEqUI.showConnectedState(
-                  device,
-                  selection.connectionType,
-                  await NetworkDeviceConnector.getAvailableSlots(device),
-                  currentSlot_network
-                );
-
-                // Check if device supports fewer filters than currently in context
-                const currentFilters = context.elemToFilters(true);
-                if (currentFilters.length > device.modelConfig.maxFilters) {
-                  console.warn(`Device only supports ${device.modelConfig.maxFilters} PEQ filters but ${currentFilters.length} filters are currently loaded`);
-                  if (window.showToast) {
-                    window.showToast(`Warning: This device only supports ${device.modelConfig.maxFilters} PEQ filters, but you currently have ${currentFilters.length} filters loaded. Only the first ${device.modelConfig.maxFilters} will be applied when pushed.`, "warning", 10000, true);
-                  }
-                }
-              }
-            } else if (selection.connectionType == "usb") {
-              // Connect via USB and show the HID device picker
-              const device = await UsbHIDConnector.getDeviceConnected();
-              // If the user cancelled the chooser, just exit silently
-              if (device?.cancelled) {
-                deviceEqUI.setPillState('disconnected');
-                return;
-              }
-              // If device is explicitly marked unsupported or has no handler, show unsupported toast
-              if (device?.unsupported || device?.handler == null) {
-                showToast("Sorry, this USB device is not currently supported.", "error");
-                await UsbHIDConnector.disconnectDevice();
-                deviceEqUI.setPillState('disconnected');
-                return;
-              }
-              if (device) {
-                // Check if the device is experimental
-                const isExperimental = device.modelConfig?.experimental === true;
-
-                if (isExperimental) {
-                  // Enable logs for experimental devices
-                  window.showDeviceLogs = true;
-                  console.log(`Enabling detailed logs for experimental device: ${device.model}`);
-
-                  // Show warning popup for experimental devices
-                  const proceedWithConnection = await showExperimentalDeviceWarning(device.model);
-                  if (!proceedWithConnection) {
-                    await UsbHIDConnector.disconnectDevice();
-                    return;
-                  }
-                }
-
-                // Check if device supports reading
-                const peqConstraints = resolveConstraints(device.modelConfig);
-                const supportsRead = peqConstraints?.supportsRead !== false;  // default true
-                const currentSlot = supportsRead ? await UsbHIDConnector.getCurrentSlot(device) : -1;
-
-                await deviceEqUI.showConnectedState(
-                  device,
-                  selection.connectionType,
-                  await UsbHIDConnector.getAvailableSlots(device),
-                  currentSlot
-                );
-
-                // Check if device supports fewer filters than currently in context
-                const currentFilters = context.elemToFilters(true);
-                if (currentFilters.length > device.modelConfig.maxFilters) {
-                  console.warn(`Device only supports ${device.modelConfig.maxFilters} PEQ filters but ${currentFilters.length} filters are currently loaded`);
-                  if (window.showToast) {
-                    window.showToast(`Warning: This device only supports ${device.modelConfig.maxFilters} PEQ filters, but you currently have ${currentFilters.length} filters loaded. Only the first ${device.modelConfig.maxFilters} will be applied when pushed.`, "warning", 10000, true);
-                  }
-                }
+            deviceEqUI.pendingGrantedDevice = null;
 
-                device.rawDevice.addEventListener('disconnect', () => {
-                  console.log(`Device ${device.rawDevice.productName} disconnected.`);
-                  deviceEqUI.showDisconnectedState();
-                });
-              }
-            } else if (selection.connectionType == "serial") {
-              // Connect via USB and show the Serial device picker
-              const device = await UsbSerialConnector.getDeviceConnected();
-              // If the user cancelled the chooser, just exit silently
-              if (device?.cancelled) {
-                deviceEqUI.setPillState('disconnected');
-                return;
-              }
-              if (device?.handler == null) {
-                showToast("Sorry, this USB Serial device is not currently supported.", "error");
-                await UsbSerialConnector.disconnectDevice();
-                deviceEqUI.setPillState('disconnected');
+            if (selection.connectionType == "network") {
+              const address = parseNetworkAddress(selection.address ?? selection.ipAddress);
+              if (!address) {
+                showToast("Please enter a valid IP address or hostname.", "error");
                 return;
               }
-              if (device) {
-                // Check if the device is experimental
-                const isExperimental = device.modelConfig?.experimental === true;
-
-                if (isExperimental) {
-                  // Enable logs for experimental devices
-                  window.showDeviceLogs = true;
-                  console.log(`Enabling detailed logs for experimental serial device: ${device.model}`);
-
-                  // Show warning popup for experimental devices
-                  const proceedWithConnection = await showExperimentalDeviceWarning(device.model);
-                  if (!proceedWithConnection) {
-                    await UsbSerialConnector.disconnectDevice();
-                    return;
-                  }
-                }
+              // Saved (or moved to the top of the list) whichever way it was picked
+              settingsReady.then(settings => createNetworkDeviceList(settings).save({
+                id: selection.savedId, name: selection.name, deviceType: selection.deviceType,
+                model: selection.model, address, proxyUrl: selection.savedProxyUrl, used: true,
+              })).catch(err => console.warn('Could not save network device:', err));
+            }
 
-                // Check if device supports reading
-                const peqConstraints_serial = resolveConstraints(device.modelConfig);
-                const supportsRead_serial = peqConstraints_serial?.supportsRead !== false;  // default true
-                const currentSlot_serial = supportsRead_serial ? await UsbSerialConnector.getCurrentSlot(device) : -1;
-
-                await deviceEqUI.showConnectedState(
-                  device,
-                  selection.connectionType,
-                  await UsbSerialConnector.getAvailableSlots(device),
-                  currentSlot_serial
-                );
-
-                // Check if device supports fewer filters than currently in context
-                const currentFilters = context.elemToFilters(true);
-                if (currentFilters.length > device.modelConfig.maxFilters) {
-                  console.warn(`Device only supports ${device.modelConfig.maxFilters} PEQ filters but ${currentFilters.length} filters are currently loaded`);
-                  if (window.showToast) {
-                    window.showToast(`Warning: This device only supports ${device.modelConfig.maxFilters} PEQ filters, but you currently have ${currentFilters.length} filters loaded. Only the first ${device.modelConfig.maxFilters} will be applied when pushed.`, "warning", 10000, true);
-                  }
-                }
+            // Single-device mode: a new connection replaces the current one
+            if (!multiDevice && deviceEqUI.sessions.sessions.length > 0) {
+              await deviceEqUI.sessions.disconnectAll();
+              deviceEqUI.setPillState('connecting');
+            }
 
-                device.rawDevice.addEventListener('disconnect', () => {
-                  console.log(`Device ${device.rawDevice.productName} disconnected.`);
-                  deviceEqUI.showDisconnectedState();
-                });
-              }
-            } else if (selection.connectionType == "ble") {
-              const device = await BluetoothBleConnector.getDeviceConnected();
-              if (device?.cancelled) {
-                deviceEqUI.setPillState('disconnected');
-                return;
-              }
-              if (device?.unsupported || device?.handler == null) {
-                showToast("Sorry, this Bluetooth device is not currently supported.", "error");
-                await BluetoothBleConnector.disconnectDevice();
-                deviceEqUI.setPillState('disconnected');
-                return;
+            // Connect via the selected transport (shows the native chooser where there is one).
+            // The group makes the new device active, which renders its connected state.
+            const connected = await deviceEqUI.sessions.add(selection, {
+              // Experimental devices get detailed logs and a warning before anything is read
+              confirm: async (device) => {
+                if (device.modelConfig?.experimental !== true) return true;
+                window.showDeviceLogs = true;
+                console.log(`Enabling detailed logs for experimental device: ${device.model}`);
+                return await showExperimentalDeviceWarning(device.model);
               }
-              if (device) {
-                const isExperimental = device.modelConfig?.experimental === true;
-
-                if (isExperimental) {
-                  window.showDeviceLogs = true;
-                  console.log(`Enabling detailed logs for experimental BLE device: ${device.model}`);
-
-                  const proceedWithConnection = await showExperimentalDeviceWarning(device.model);
-                  if (!proceedWithConnection) {
-                    await BluetoothBleConnector.disconnectDevice();
-                    return;
-                  }
-                }
+            });
+            // If the user cancelled the chooser (or the experimental warning), just exit silently
+            if (connected.cancelled) {
+              deviceEqUI.restorePillState();
+              return;
+            }
+            // If device is explicitly marked unsupported or has no handler, show unsupported toast
+            if (connected.unsupported) {
+              showToast(`Sorry, this ${connected.label} device is not currently supported.`, "error");
+              deviceEqUI.restorePillState();
+              return;
+            }
+            // Picked a device that is already connected: the group switched to it
+            if (connected.duplicate) {
+              showToast(`${connected.device.model} is already connected.`, "warning");
+              deviceEqUI.restorePillState();
+              return;
+            }
 
-                // Check if device supports reading
-                const peqConstraints_ble = resolveConstraints(device.modelConfig);
-                const supportsRead_ble = peqConstraints_ble?.supportsRead !== false;  // default true
-                const currentSlot_ble = supportsRead_ble ? await BluetoothBleConnector.getCurrentSlot(device) : -1;
-
-                await deviceEqUI.showConnectedState(
-                  device,
-                  selection.connectionType,
-                  await BluetoothBleConnector.getAvailableSlots(device),
-                  currentSlot_ble
-                );
-
-                const currentFilters = context.elemToFilters(true);
-                if (currentFilters.length > device.modelConfig.maxFilters) {
-                  console.warn(`Device only supports ${device.modelConfig.maxFilters} PEQ filters but ${currentFilters.length} filters are currently loaded`);
-                  if (window.showToast) {
-                    window.showToast(`Warning: This device only supports ${device.modelConfig.maxFilters} PEQ filters, but you currently have ${currentFilters.length} filters loaded. Only the first ${device.modelConfig.maxFilters} will be applied when pushed.`, "warning", 10000, true);
-                  }
-                }
+            const device = connected.device;
 
-                device.rawDevice.addEventListener('gattserverdisconnected', () => {
-                  console.log(`Device ${device.model} disconnected.`);
-                  deviceEqUI.showDisconnectedState();
-                });
+            // Check if device supports fewer filters than currently in context
+            const currentFilters = context.elemToFilters(true);
+            if (currentFilters.length > device.modelConfig.maxFilters) {
+              console.warn(`Device only supports ${device.modelConfig.maxFilters} PEQ filters but ${currentFilters.length} filters are currently loaded`);
+              if (window.showToast) {
+                window.showToast(`Warning: This device only supports ${device.modelConfig.maxFilters} PEQ filters, but you currently have ${currentFilters.length} filters loaded. Only the first ${device.modelConfig.maxFilters} will be applied when pushed.`, "warning", 10000, true);
               }
             }
           } catch (error) {
             console.error("Error connecting to device:", error);
-            showToast("Failed to connect to the device.", "error");
-            deviceEqUI.setPillState('disconnected');
+            showToast(deviceErrorMessage("Failed to connect to the device.", error), "error");
+            deviceEqUI.restorePillState();
           }
         });
 
 
-        // Cookie functions
-        function setCookie(name, value, days) {
-          let expires = "";
-          if (days) {
-            const date = new Date();
-            date.setTime(date.getTime() + days * 24 * 60 * 60 * 1000);
-            expires = "; expires=" + date.toUTCString();
-          }
-          document.cookie = name + "=" + value + "; path=/" + expires;
-        }
-
-        function getCookie(name) {
-          const nameEQ = name + "=";
-          const cookies = document.cookie.split(';');
-          for (let i = 0; i < cookies.length; i++) {
-            let c = cookies[i];
-            while (c.charAt(0) === ' ') c = c.substring(1, c.length);
-            if (c.indexOf(nameEQ) === 0) return c.substring(nameEQ.length, c.length);
-          }
-          return null;
-        }
-
-        function deleteCookie(name) {
-          document.cookie = name + "=; path=/; expires=Thu, 01 Jan 1970 00:00:00 UTC";
-        }
-
         // Function to show warning for experimental devices
         function showExperimentalDeviceWarning(deviceName) {
           return new Promise((resolve) => {
@@ -2536,15 +2952,24 @@ async function initializeDeviceEqPlugin(context) {
           document.head.appendChild(style);
         }
 
-        function showNetworkConnectionDialog() {
+        // Picks a saved network device or a new address. Resolves
+        // { connectionType: 'network', address, deviceType, model, name, savedId,
+        // proxyUrl, savedProxyUrl } or null; model is null unless the type has
+        // models (networkDeviceConfig.js), proxyUrl falls back to
+        // config.networkProxyUrl, savedProxyUrl is only what was typed for this device.
+        async function showNetworkConnectionDialog() {
+          const settings = await settingsReady;
+          const savedDevices = createNetworkDeviceList(settings);
+          const connector = getConnectorEntry('network')?.connector;
           return new Promise((resolve) => {
-            const storedIP = getCookie('networkDeviceIP') || '';
-            const storedDeviceType = getCookie('networkDeviceType') || 'WiiM';
-
             const overlay = document.createElement('div');
             overlay.id = 'peq-network-overlay';
             overlay.style.cssText = 'position:fixed;inset:0;background:rgba(0,0,0,0.4);z-index:9999;display:flex;align-items:center;justify-content:center;';
 
+            const inputStyle = `width:100%;padding:9px 10px;border:1px solid #ccc;border-radius:6px;
+                         font-size:13px;box-sizing:border-box;margin-bottom:8px;`;
+            const smallButtonStyle = `flex:1;padding:8px;font-size:13px;border:none;border-radius:5px;cursor:pointer;`;
+
             overlay.innerHTML = `
               <div id="peq-network-dialog" style="
                 background:#fff; padding:24px; border-radius:10px;
@@ -2553,19 +2978,26 @@ async function initializeDeviceEqPlugin(context) {
                 font-family:Arial,sans-serif; max-height:90vh; overflow-y:auto;
               ">
                 <h3 style="margin:0 0 6px;color:#111;">Network Device</h3>
-                <p style="color:#444;margin:0 0 14px;font-size:13px;">Select your device type and enter its local IP address.</p>
+                <p style="color:#444;margin:0 0 14px;font-size:13px;">Pick a saved device, or select the device type and enter its IP address or hostname.</p>
+
+                <select id="peq-net-saved" style="${inputStyle}"></select>
 
                 <div style="display:flex;justify-content:center;gap:16px;margin-bottom:10px;">
                   <label style="display:inline-flex;align-items:center;gap:5px;font-weight:bold;color:#111;cursor:pointer;">
-                    <input type="radio" name="peq-net-dev" value="WiiM" ${storedDeviceType === 'WiiM' ? 'checked' : ''}
+                    <input type="radio" name="peq-net-dev" value="WiiM" checked
                       style="width:16px;height:16px;appearance:auto!important;-webkit-appearance:radio!important;accent-color:#007BFF;">
                     WiiM
                   </label>
                   <label style="display:inline-flex;align-items:center;gap:5px;font-weight:bold;color:#111;cursor:pointer;">
-                    <input type="radio" name="peq-net-dev" value="Luxsin" ${storedDeviceType === 'Luxsin' ? 'checked' : ''}
+                    <input type="radio" name="peq-net-dev" value="Luxsin"
                       style="width:16px;height:16px;appearance:auto!important;-webkit-appearance:radio!important;accent-color:#007BFF;">
                     Luxsin X9
                   </label>
+                  <label style="display:inline-flex;align-items:center;gap:5px;font-weight:bold;color:#111;cursor:pointer;">
+                    <input type="radio" name="peq-net-dev" value="CamillaDSP"
+                      style="width:16px;height:16px;appearance:auto!important;-webkit-appearance:radio!important;accent-color:#007BFF;">
+                    CamillaDSP
+                  </label>
                   <label style="display:inline-flex;align-items:center;gap:5px;font-weight:bold;color:#888;cursor:default;">
                     <input type="radio" name="peq-net-dev" value="coming-soon" disabled
                       style="width:16px;height:16px;appearance:auto!important;-webkit-appearance:radio!important;">
@@ -2581,26 +3013,45 @@ async function initializeDeviceEqPlugin(context) {
                   <div id="peq-help-wiim">
                     <p style="margin:0 0 6px;"><strong>WiiM</strong></p>
                     <p style="margin:0 0 6px;">WiiM uses HTTPS with a self-signed certificate. Your browser will warn that the connection is not private — this is expected.</p>
-                    <p style="margin:0 0 6px;">To proceed, open the device page in a new tab and accept the certificate warning. After that, this tool can push PEQ settings to the device (reading settings is limited by browser security).</p>
+                    <p style="margin:0 0 6px;">To proceed, open the device page in a new tab and accept the certificate warning. After that, this tool can push PEQ settings to the device. Reading them back needs the network bridge: run <code>node network_bridge/networkBridge.mjs</code> and enter its URL below.</p>
+                    <p style="margin:0 0 6px;">Pick your model so each of its inputs gets its own slot; "Other WiiM" only offers Wi-Fi.</p>
                     <p style="margin:0;">Tip: Use the <strong>WiiM Home app</strong> to find the device IP address.</p>
                   </div>
                   <div id="peq-help-luxsin" style="display:none;">
                     <p style="margin:0 0 6px;"><strong>Luxsin X9</strong></p>
                     <p style="margin:0 0 6px;">Luxsin X9 uses a simple HTTP interface — no certificate acceptance required. You can both read (pull) and write (push) PEQ settings.</p>
-                    <p style="margin:0 0 6px;">When you test the IP, this tool opens <code>/dev/info.cgi?action=syncData</code> on the device; if correct you'll see encoded text content (expected).</p>
+                    <p style="margin:0 0 6px;">When you open the device page, this tool opens <code>/dev/info.cgi?action=syncData</code> on the device; if correct you'll see encoded text content (expected).</p>
                     <p style="margin:0;">Tip: Use the <strong>Luxsin/WalkPlay app</strong> to find the device IP address.</p>
                   </div>
+                  <div id="peq-help-camilladsp" style="display:none;">
+                    <p style="margin:0 0 6px;"><strong>CamillaDSP</strong></p>
+                    <p style="margin:0 0 6px;">Connects to CamillaDSP's websocket server, started with <code>-p 1234</code> (and <code>-a 0.0.0.0</code> to accept other computers). Enter the host, with <code>:port</code> if it is not 1234.</p>
+                    <p style="margin:0 0 6px;">Push writes a <code>DevicePEQ</code> filter chain and preamp into the active config. Pull reads it back.</p>
+                    <p style="margin:0;">An HTTPS page may only use <code>wss://</code>: choose HTTPS if a TLS proxy sits in front of CamillaDSP, or open this page over HTTP.</p>
+                  </div>
                 </div>
 
-                <input type="text" id="peq-net-ip" placeholder="Enter IP Address (e.g. 192.168.1.50)"
-                  value="${storedIP}"
-                  style="width:100%;padding:9px 10px;border:1px solid #ccc;border-radius:6px;
-                         font-size:13px;box-sizing:border-box;margin-bottom:8px;">
-
-                <button id="peq-test-ip-btn" style="
-                  display:none;width:100%;margin-bottom:8px;padding:8px;font-size:13px;
-                  background:#ffc107;color:#000;border:none;border-radius:5px;cursor:pointer;
-                ">Test IP Address</button>
+                <select id="peq-net-model" title="Which inputs the device has, each with its own EQ" style="${inputStyle}"></select>
+                <input type="text" id="peq-net-name" placeholder="Name (optional, e.g. Living room)" style="${inputStyle}">
+                <input type="text" id="peq-net-ip" placeholder="IP or hostname, e.g. 192.168.1.50, wiim-living.local:8443, [fd00::12]"
+                  style="${inputStyle}">
+                <select id="peq-net-protocol" style="${inputStyle}">
+                  <option value="">Default protocol (HTTPS for WiiM, HTTP otherwise)</option>
+                  <option value="http">HTTP</option>
+                  <option value="https">HTTPS</option>
+                </select>
+                <input type="text" id="peq-net-proxy" placeholder="Bridge URL (optional, e.g. http://127.0.0.1:8787)"
+                  title="A running network bridge (network_bridge/networkBridge.mjs) lets this page read the device's settings"
+                  style="${inputStyle}">
+
+                <p id="peq-net-status" style="margin:0 0 8px;font-size:12px;text-align:left;min-height:1em;"></p>
+
+                <div style="display:flex;gap:8px;margin-bottom:8px;">
+                  <button id="peq-net-test" style="${smallButtonStyle}background:#17a2b8;color:#fff;">Test</button>
+                  <button id="peq-test-ip-btn" style="${smallButtonStyle}background:#ffc107;color:#000;">Open device page</button>
+                  <button id="peq-net-save" style="${smallButtonStyle}background:#007BFF;color:#fff;">Save</button>
+                  <button id="peq-net-delete" style="${smallButtonStyle}background:#dc3545;color:#fff;">Delete</button>
+                </div>
 
                 <div style="display:flex;gap:8px;margin-top:4px;">
                   <button id="peq-net-cancel" style="
@@ -2617,60 +3068,290 @@ async function initializeDeviceEqPlugin(context) {
 
             document.body.appendChild(overlay);
 
-            const ipInput     = overlay.querySelector('#peq-net-ip');
-            const testBtn     = overlay.querySelector('#peq-test-ip-btn');
-            const helpWiim    = overlay.querySelector('#peq-help-wiim');
-            const helpLuxsin  = overlay.querySelector('#peq-help-luxsin');
+            const savedSelect   = overlay.querySelector('#peq-net-saved');
+            const modelInput    = overlay.querySelector('#peq-net-model');
+            const nameInput     = overlay.querySelector('#peq-net-name');
+            const ipInput       = overlay.querySelector('#peq-net-ip');
+            const protocolInput = overlay.querySelector('#peq-net-protocol');
+            const proxyInput    = overlay.querySelector('#peq-net-proxy');
+            const status        = overlay.querySelector('#peq-net-status');
+            const testBtn       = overlay.querySelector('#peq-net-test');
+            const openBtn       = overlay.querySelector('#peq-test-ip-btn');
+            const saveBtn       = overlay.querySelector('#peq-net-save');
+            const deleteBtn     = overlay.querySelector('#peq-net-delete');
+            const helpWiim      = overlay.querySelector('#peq-help-wiim');
+            const helpLuxsin    = overlay.querySelector('#peq-help-luxsin');
+            const helpCamillaDsp = overlay.querySelector('#peq-help-camilladsp');
+
+            const selectedType = () => overlay.querySelector('input[name="peq-net-dev"]:checked')?.value || 'WiiM';
+            const defaultProtocol = (type) => (type === 'WiiM' ? 'https' : 'http');
+            const entryLabel = (entry) => entry.name || formatNetworkAddress(entry);
+            const defaultProxyUrl = normalizeProxyUrl(context.config?.networkProxyUrl);
+            // The bridge typed for this device, else the configured default
+            const currentProxyUrl = () => normalizeProxyUrl(proxyInput.value) ?? defaultProxyUrl;
+
+            // The address as entered, with the protocol picker applied unless it names one itself
+            function currentAddress() {
+              const parsed = parseNetworkAddress(ipInput.value);
+              if (!parsed) return null;
+              return { ...parsed, protocol: parsed.protocol ?? (protocolInput.value || null) };
+            }
+
+            function setStatus(text, color = '#666') {
+              status.textContent = text;
+              status.style.color = color;
+            }
+
+            // The models of a device type, e.g. which WiiM (its inputs); none for most
+            const modelsOf = (type) => Object.keys(networkDeviceHandlerConfig.devices?.[type]?.models ?? {});
+            const selectedModel = () => (modelsOf(selectedType()).includes(modelInput.value) ? modelInput.value : null);
+
+            function fillModels(type, model = null) {
+              const models = modelsOf(type);
+              modelInput.innerHTML = '';
+              const other = document.createElement('option');
+              other.value = '';
+              other.textContent = `Other ${type} (Wi-Fi input only)`;
+              modelInput.appendChild(other);
+              for (const name of models) {
+                const option = document.createElement('option');
+                option.value = name;
+                option.textContent = name;
+                modelInput.appendChild(option);
+              }
+              modelInput.value = models.includes(model) ? model : '';
+              modelInput.style.display = models.length > 0 ? 'block' : 'none';
+            }
 
             function updateHelp(type) {
               helpWiim.style.display   = type === 'WiiM'   ? 'block' : 'none';
               helpLuxsin.style.display = type === 'Luxsin' ? 'block' : 'none';
-              if (testBtn.style.display !== 'none') {
-                testBtn.textContent = type === 'WiiM' ? 'Open WiiM Status (HTTPS)' : 'Open Luxsin Sync Data (HTTP)';
+              helpCamillaDsp.style.display = type === 'CamillaDSP' ? 'block' : 'none';
+              // CamillaDSP has no web page of its own to open
+              openBtn.style.display = type === 'CamillaDSP' ? 'none' : '';
+            }
+
+            function updateButtons() {
+              const proxyOk = !proxyInput.value.trim() || !!normalizeProxyUrl(proxyInput.value);
+              proxyInput.style.borderColor = proxyOk ? '#ccc' : '#dc3545';
+              const valid = !!currentAddress() && proxyOk;
+              testBtn.disabled = openBtn.disabled = saveBtn.disabled = !valid;
+              [testBtn, openBtn, saveBtn].forEach(b => { b.style.opacity = valid ? '1' : '0.5'; });
+              deleteBtn.style.display = savedSelect.value ? 'block' : 'none';
+            }
+
+            function fillSaved(selectedId = '') {
+              savedSelect.innerHTML = '';
+              const entries = savedDevices.list();
+              for (const entry of entries) {
+                const option = document.createElement('option');
+                option.value = entry.id;
+                option.textContent = entry.name
+                  ? `${entry.name} (${entry.deviceType} · ${formatNetworkAddress(entry)})`
+                  : `${formatNetworkAddress(entry)} (${entry.deviceType})`;
+                savedSelect.appendChild(option);
               }
+              const blank = document.createElement('option');
+              blank.value = '';
+              blank.textContent = 'New device…';
+              savedSelect.appendChild(blank);
+              savedSelect.style.display = entries.length > 0 ? 'block' : 'none';
+              savedSelect.value = selectedId;
+            }
+
+            function showEntry(entry) {
+              nameInput.value = entry?.name ?? '';
+              ipInput.value = entry ? formatNetworkAddress({ host: entry.host, port: entry.port }) : '';
+              protocolInput.value = entry?.protocol ?? '';
+              proxyInput.value = entry?.proxyUrl ?? '';
+              const type = entry?.deviceType ?? selectedType();
+              overlay.querySelectorAll('input[name="peq-net-dev"]').forEach(r => { r.checked = r.value === type; });
+              fillModels(type, entry?.model);
+              updateHelp(type);
+              setStatus('');
+              updateButtons();
             }
-            updateHelp(storedDeviceType);
 
             overlay.querySelectorAll('input[name="peq-net-dev"]').forEach(r => {
               try {
                 r.style.setProperty('appearance', 'auto', 'important');
                 r.style.setProperty('-webkit-appearance', 'radio', 'important');
               } catch(e) {}
-              r.addEventListener('change', () => updateHelp(r.value));
+              r.addEventListener('change', () => { fillModels(r.value); updateHelp(r.value); });
             });
 
-            ipInput.addEventListener('input', () => {
-              const valid = /^(\d{1,3}\.){3}\d{1,3}$/.test(ipInput.value.trim());
-              testBtn.style.display = valid ? 'block' : 'none';
-              const type = overlay.querySelector('input[name="peq-net-dev"]:checked')?.value || 'WiiM';
-              testBtn.textContent = type === 'WiiM' ? 'Open WiiM Status (HTTPS)' : 'Open Luxsin Sync Data (HTTP)';
+            // Start on the most recently used device
+            const latest = savedDevices.list()[0] ?? null;
+            fillSaved(latest?.id ?? '');
+            showEntry(latest);
+
+            savedSelect.addEventListener('change', () => showEntry(savedDevices.get(savedSelect.value)));
+            ipInput.addEventListener('input', () => { setStatus(''); updateButtons(); });
+            protocolInput.addEventListener('change', updateButtons);
+            proxyInput.addEventListener('input', () => { setStatus(''); updateButtons(); });
+
+            testBtn.addEventListener('click', async () => {
+              const address = currentAddress();
+              const type = selectedType();
+              if (!address || !connector?.probeDevice) return;
+              setStatus(`Testing ${formatNetworkAddress(address)}…`);
+              // CamillaDSP's websocket does not go through the bridge
+              const proxyUrl = type === 'CamillaDSP' ? null : currentProxyUrl();
+              const result = await connector.probeDevice(address, type, { proxyUrl });
+              if (result.ok) {
+                setStatus(`✓ ${type} answered in ${result.ms} ms${proxyUrl ? ' through the bridge' : ''}.`, '#28a745');
+              } else {
+                const hint = proxyUrl
+                  ? ` Check that the bridge is running at ${proxyUrl}.`
+                  : type === 'WiiM' && (address.protocol ?? 'https') === 'https'
+                    ? ' If the address is right, open the device page and accept its certificate.'
+                    : type === 'CamillaDSP' ? ' Check that camilladsp runs with -p <port> -a 0.0.0.0.' : '';
+                setStatus(`✗ No answer: ${result.error?.message ?? 'unreachable'}.${hint}`, '#dc3545');
+              }
             });
 
-            testBtn.addEventListener('click', () => {
-              const ip = ipInput.value.trim();
-              const type = overlay.querySelector('input[name="peq-net-dev"]:checked')?.value || 'WiiM';
+            openBtn.addEventListener('click', () => {
+              const address = currentAddress();
+              if (!address) return;
+              const type = selectedType();
+              const baseUrl = networkBaseUrl(address, defaultProtocol(type));
               if (type === 'WiiM') {
-                if (confirm(`This will open a new tab to https://${ip}.\nIf you see a security warning (ERR_CERT_AUTHORITY_INVALID), click Advanced and accept the self-signed certificate to proceed.`)) {
-                  window.open(`https://${ip}/httpapi.asp?command=getStatusEx`, '_blank', 'noopener,noreferrer');
+                if (confirm(`This will open a new tab to ${baseUrl}.\nIf you see a security warning (ERR_CERT_AUTHORITY_INVALID), click Advanced and accept the self-signed certificate to proceed.`)) {
+                  window.open(`${baseUrl}/httpapi.asp?command=getStatusEx`, '_blank', 'noopener,noreferrer');
                 }
               } else {
-                if (confirm(`This will open a new tab to http://${ip}/dev/info.cgi?action=syncData.\nIf the IP is correct you should see encoded text returned by the device.`)) {
-                  window.open(`http://${ip}/dev/info.cgi?action=syncData`, '_blank', 'noopener,noreferrer');
+                if (confirm(`This will open a new tab to ${baseUrl}/dev/info.cgi?action=syncData.\nIf the address is correct you should see encoded text returned by the device.`)) {
+                  window.open(`${baseUrl}/dev/info.cgi?action=syncData`, '_blank', 'noopener,noreferrer');
                 }
               }
             });
 
+            saveBtn.addEventListener('click', async () => {
+              const address = currentAddress();
+              if (!address) return;
+              const entry = await savedDevices.save({
+                id: savedSelect.value || null, name: nameInput.value, deviceType: selectedType(),
+                model: selectedModel(), address, proxyUrl: proxyInput.value,
+              });
+              fillSaved(entry.id);
+              showEntry(entry);
+              setStatus(`Saved ${entryLabel(entry)}.`, '#28a745');
+            });
+
+            deleteBtn.addEventListener('click', async () => {
+              const entry = savedDevices.get(savedSelect.value);
+              if (!entry || !confirm(`Remove ${entryLabel(entry)} from the saved devices?`)) return;
+              await savedDevices.remove(entry.id);
+              fillSaved('');
+              showEntry(null);
+            });
+
             overlay.querySelector('#peq-net-cancel').addEventListener('click', () => {
               document.body.removeChild(overlay);
               resolve(null);
             });
 
             overlay.querySelector('#peq-net-connect').addEventListener('click', () => {
-              const ip = ipInput.value.trim();
-              if (!ip) { showToast('Please enter a valid IP address.', 'error'); return; }
-              const selectedDevice = overlay.querySelector('input[name="peq-net-dev"]:checked')?.value || 'WiiM';
+              const address = currentAddress();
+              if (!address) { showToast('Please enter a valid IP address or hostname.', 'error'); return; }
+              if (proxyInput.value.trim() && !normalizeProxyUrl(proxyInput.value)) {
+                showToast('Please enter the bridge URL as http://host:port, or leave it blank.', 'error');
+                return;
+              }
               document.body.removeChild(overlay);
-              resolve({ connectionType: 'network', ipAddress: ip, deviceType: selectedDevice });
+              resolve({
+                connectionType: 'network',
+                address: formatNetworkAddress(address),
+                deviceType: selectedType(),
+                model: selectedModel(),
+                name: nameInput.value.trim() || null,
+                savedId: savedSelect.value || null,
+                proxyUrl: currentProxyUrl(),
+                savedProxyUrl: normalizeProxyUrl(proxyInput.value),
+              });
+            });
+          });
+        }
+
+        // Picks the configured model a virtual device should stand in for.
+        // Resolves { connectionType: 'virtual', virtualModel } or null.
+        async function showVirtualDeviceDialog() {
+          const settings = await settingsReady;
+          return new Promise((resolve) => {
+            const connector = getConnectorEntry('virtual')?.connector;
+            if (!connector) {
+              showToast('Virtual devices are not available in this build.', 'error');
+              resolve(null);
+              return;
+            }
+            const storedModel = settings.get('virtualDeviceModel', '');
+
+            const overlay = document.createElement('div');
+            overlay.id = 'peq-virtual-overlay';
+            overlay.style.cssText = 'position:fixed;inset:0;background:rgba(0,0,0,0.4);z-index:9999;display:flex;align-items:center;justify-content:center;';
+            overlay.innerHTML = `
+              <div id="peq-virtual-dialog" style="
+                background:#fff; padding:24px; border-radius:10px;
+                box-shadow:0 6px 24px rgba(0,0,0,0.3); text-align:center;
+                z-index:10000; min-width:340px; max-width:460px; width:90%;
+                font-family:Arial,sans-serif;
+              ">
+                <h3 style="margin:0 0 6px;color:#111;">Virtual Device</h3>
+                <p style="color:#444;margin:0 0 14px;font-size:13px;">Pick a model to emulate. Nothing is sent to real hardware, and what you push stays until the page is reloaded.</p>
+                <select id="peq-virtual-model" style="
+                  width:100%;padding:9px 10px;border:1px solid #ccc;border-radius:6px;
+                  font-size:13px;box-sizing:border-box;margin-bottom:8px;"></select>
+                <p id="peq-virtual-note" style="color:#666;margin:0 0 12px;font-size:12px;text-align:left;"></p>
+                <div style="display:flex;gap:8px;margin-top:4px;">
+                  <button id="peq-virtual-cancel" style="
+                    flex:1;padding:10px;font-size:13px;background:#aaa;
+                    color:#fff;border:none;border-radius:5px;cursor:pointer;
+                  ">Cancel</button>
+                  <button id="peq-virtual-connect" style="
+                    flex:2;padding:10px;font-size:13px;background:#28a745;
+                    color:#fff;border:none;border-radius:5px;cursor:pointer;
+                  ">Connect</button>
+                </div>
+              </div>
+            `;
+
+            const select = overlay.querySelector('#peq-virtual-model');
+            const note = overlay.querySelector('#peq-virtual-note');
+            const models = connector.listModels();
+            const groups = { usb: 'USB', serial: 'Serial / Bluetooth', ble: 'Bluetooth (BLE)' };
+            for (const [transport, label] of Object.entries(groups)) {
+              const group = document.createElement('optgroup');
+              group.label = label;
+              models.filter(m => m.transport === transport).forEach(m => {
+                const option = document.createElement('option');
+                option.value = m.id;
+                option.textContent = `${m.manufacturer} ${m.model}`;
+                group.appendChild(option);
+              });
+              if (group.children.length > 0) select.appendChild(group);
+            }
+            if (storedModel && models.some(m => m.id === storedModel)) select.value = storedModel;
+
+            const describe = () => {
+              const model = models.find(m => m.id === select.value);
+              note.textContent = model?.emulation === 'register'
+                ? 'Runs the real device protocol against an emulated device.'
+                : 'Keeps slots and filters within this model\'s limits; its device protocol is not run.';
+            };
+            select.addEventListener('change', describe);
+            describe();
+
+            document.body.appendChild(overlay);
+
+            overlay.querySelector('#peq-virtual-cancel').addEventListener('click', () => {
+              document.body.removeChild(overlay);
+              resolve(null);
+            });
+            overlay.querySelector('#peq-virtual-connect').addEventListener('click', () => {
+              if (!select.value) return;
+              settings.set('virtualDeviceModel', select.value);
+              document.body.removeChild(overlay);
+              resolve({ connectionType: 'virtual', virtualModel: select.value });
             });
           });
         }
@@ -2709,9 +3390,9 @@ async function initializeDeviceEqPlugin(context) {
               { label: 'Serial / Bluetooth', type: 'serial'  },
               { label: 'Bluetooth (BLE)',     type: 'ble'     },
               { label: 'Network',            type: 'network' },
+              { label: 'Virtual device',     type: 'virtual' },
             ];
-            const types = context?.config?.connectionTypes
-              ?? DEFAULT_TYPES.filter(t => t.type !== 'network' || context?.config?.advanced === true);
+            const types = context?.config?.connectionTypes ?? DEFAULT_TYPES.filter(offersLinkType);
             types.forEach((entry, i) => {
               if (i > 0) {
                 const sep = document.createElement('div');
@@ -2727,11 +3408,13 @@ async function initializeDeviceEqPlugin(context) {
               btn.addEventListener('click', (e) => {
                 e.stopPropagation();
                 closeMenu();
-                if (entry.type !== 'network') {
-                  resolve({ connectionType: entry.type });
-                } else {
+                if (entry.type === 'network') {
                   // Network needs its own detailed modal
                   showNetworkConnectionDialog().then(resolve);
+                } else if (entry.type === 'virtual') {
+                  showVirtualDeviceDialog().then(resolve);
+                } else {
+                  resolve({ connectionType: entry.type });
                 }
               });
               popupEl.appendChild(btn);
@@ -2747,22 +3430,17 @@ async function initializeDeviceEqPlugin(context) {
         // Disconnect Button Event Listener
         deviceEqUI.disconnectButton.addEventListener('click', async () => {
           try {
-            if (deviceEqUI.connectionType == "network") {
-              await NetworkDeviceConnector.disconnectDevice();
-            } else if (deviceEqUI.connectionType == "usb")  {
-              await UsbHIDConnector.disconnectDevice();
-            } else if (deviceEqUI.connectionType == "serial")  {
-              await UsbSerialConnector.disconnectDevice();
-            } else if (deviceEqUI.connectionType == "ble")  {
-              await BluetoothBleConnector.disconnectDevice();
-            }
-            deviceEqUI.showDisconnectedState();
+            await deviceEqUI.sessions.disconnect();
           } catch (error) {
             console.error("Error disconnecting:", error);
             showToast("Failed to disconnect.", "error");
           }
         });
 
+        // WebHID / Web Serial remember grants per origin: offer those devices
+        // straight away, or connect to the first one when the host asks for it.
+        refreshGrantedDevices({ autoConnect: context.config?.autoConnectGrantedDevice === true });
+
         // Pull Button Event Listener
         deviceEqUI.pullButton.addEventListener('click', async () => {
           try {
@@ -2772,39 +3450,20 @@ async function initializeDeviceEqPlugin(context) {
               showToast("No device connected or PEQ slot selected.", "error");
               return;
             }
-            var result = null;
-            if (deviceEqUI.connectionType == "network") {
-              result = await NetworkDeviceConnector.pullFromDevice(device, selectedSlot);
-            } else if (deviceEqUI.connectionType == "usb") {
-              result = await UsbHIDConnector.pullFromDevice(device, selectedSlot);
-            } else if (deviceEqUI.connectionType == "serial") {
-              result = await UsbSerialConnector.pullFromDevice(device, selectedSlot);
-            } else if (deviceEqUI.connectionType == "ble") {
-              result = await BluetoothBleConnector.pullFromDevice(device, selectedSlot);
-            }
+            const result = await deviceEqUI.session.pull(selectedSlot);
 
             // Check if we have a timeout but still received some filters
             if (result?.filters?.length > 0) {
-              context.filtersToElem(result.filters);
-              context.applyEQ();
+              deviceEqUI.loadFilters(result.filters);
               if (context.config?.showSuccessToasts !== false) showToast("PEQ filters successfully pulled from device.", "success");
             } else {
               showToast("No PEQ filters found on the device.", "warning");
             }
           } catch (error) {
             console.error("Error pulling PEQ filters:", error);
-            showToast("Failed to pull PEQ filters from device.", "error");
-
-            if (deviceEqUI.connectionType == "network") {
-              await NetworkDeviceConnector.disconnectDevice();
-            } else if (deviceEqUI.connectionType == "usb") {
-              await UsbHIDConnector.disconnectDevice();
-            } else if (deviceEqUI.connectionType == "serial") {
-              await UsbSerialConnector.disconnectDevice();
-            } else if (deviceEqUI.connectionType == "ble") {
-              await BluetoothBleConnector.disconnectDevice();
-            }
-            deviceEqUI.showDisconnectedState();
+            showToast(deviceErrorMessage("Failed to pull PEQ filters from device.", error), "error");
+
+            if (!keepsConnection(error)) await deviceEqUI.sessions.disconnect();
           }
         });
 
@@ -2831,7 +3490,7 @@ async function initializeDeviceEqPlugin(context) {
 
 
             // ✅ Use context to get filters instead of undefined elemToFilters()
-            const filters = context.elemToFilters(true);
+            const filters = deviceEqUI.filtersForDevice();
             if (!filters.length) {
               showToast("Please add at least one filter before pushing.", "error");
               return;
@@ -2840,37 +3499,37 @@ async function initializeDeviceEqPlugin(context) {
             if (typeof context.applyEQ === 'function') {
               context.applyEQ();
             }
-            const preamp_gain = context.calcEqDevPreamp(filters);
-            let disconnect = false;
+            const preamp_gain = await pushPreamp(deviceEqUI.session, filters);
             // Optional: pass phoneObj (e.g., contains fileName) down to connectors/handlers
             const phoneTargetDetails = (typeof context.getCurrentPhoneTargetNormalisation === 'function')
               ? (await context.getCurrentPhoneTargetNormalisation())
               : null;
             const phoneObj = phoneTargetDetails?.phoneObj;
-            if (deviceEqUI.connectionType == "network") {
-              disconnect = await NetworkDeviceConnector.pushToDevice(device, phoneObj, selectedSlot, preamp_gain, filters);
-            } else if (deviceEqUI.connectionType == "usb") {
-              disconnect = await UsbHIDConnector.pushToDevice(device, phoneObj, selectedSlot, preamp_gain, filters);
-            } else if (deviceEqUI.connectionType == "serial") {
-              disconnect = await UsbSerialConnector.pushToDevice(device, phoneObj, selectedSlot, preamp_gain, filters);
-            } else if (deviceEqUI.connectionType == "ble") {
-              disconnect = await BluetoothBleConnector.pushToDevice(device, phoneObj, selectedSlot, preamp_gain, filters);
-            }
+            const { disconnect, verification } = await deviceEqUI.session.push(filters, {
+              slot: selectedSlot,
+              preamp: preamp_gain,
+              phoneObj,
+              verify: context.config?.verifyAfterPush ?? false
+            });
 
             document.dispatchEvent(new CustomEvent('PeqDeviceSaved', { detail: { filters } }));
 
+            if (verification) {
+              emitWindowDeviceEvent('devicePEQ.pushVerified', { device, slot: selectedSlot, ...verification });
+            }
+
             if (disconnect) {
-              if (deviceEqUI.connectionType == "network") {
-                await NetworkDeviceConnector.disconnectDevice();
-              } else if (deviceEqUI.connectionType == "usb") {
-                await UsbHIDConnector.disconnectDevice();
-              } else if (deviceEqUI.connectionType == "serial") {
-                await UsbSerialConnector.disconnectDevice();
-              }
-              deviceEqUI.showDisconnectedState();
+              // The session has already disconnected the restarting device; the
+              // group's events have updated the UI (waiting for it, or gone)
               if (context.config?.showSuccessToasts !== false) showToast("PEQ Saved - Restarting", "success");
-            } else {
-              if (context.config?.showSuccessToasts !== false) showToast("PEQ Successfully pushed to device", "success");
+            } else if (verification && !verification.verified) {
+              const bands = verification.mismatches.map(m => m.index + 1).join(', ');
+              showToast(`PEQ pushed, but ${device.model} reported different values for band(s) ${bands}. ` +
+                `Please pull from the device to check.`, "warning", 10000, true);
+            } else if (context.config?.showSuccessToasts !== false) {
+              showToast(verification
+                ? `PEQ pushed and verified${verification.rewrites ? ` (rewritten ${verification.rewrites}x)` : ''}`
+                : "PEQ Successfully pushed to device", "success");
             }
 
             // Set the last push time to current time and disable the button
@@ -2888,16 +3547,194 @@ async function initializeDeviceEqPlugin(context) {
             }, 200); // 200ms timeout as requested
           } catch (error) {
             console.error("Error pushing PEQ filters:", error);
-            showToast("Failed to push PEQ filters to device.", "error");
-
-            if (deviceEqUI.connectionType == "network") {
-              await NetworkDeviceConnector.disconnectDevice();
-            } else if (deviceEqUI.connectionType == "usb") {
-              await UsbHIDConnector.disconnectDevice();
-            } else if (deviceEqUI.connectionType == "serial") {
-              await UsbSerialConnector.disconnectDevice();
+            const transaction = error?.code === 'PUSH_FAILED' ? error.transaction : null;
+            const bands = transaction?.affectedBands?.map(i => i + 1).join(', ');
+            if (transaction?.rolledBack) {
+              // The previous EQ is back on the device, so it is safe to stay connected.
+              showToast(`Failed to push PEQ filters - restored the previous EQ` +
+                (bands ? ` (band(s) ${bands} were being changed).` : '.'), "warning", 10000, true);
+              return;
+            }
+            showToast(bands
+              ? `Failed to push PEQ filters - band(s) ${bands} may be partly written. Please push again.`
+              : deviceErrorMessage("Failed to push PEQ filters to device.", error), "error");
+
+            if (!keepsConnection(error)) await deviceEqUI.sessions.disconnect();
+          }
+        });
+
+        // Check stored values: a dry run of Save that shows, band by band, what
+        // the device would actually store for the current EQ.
+        deviceEqUI.storedButton?.addEventListener('click', async () => {
+          const filters = deviceEqUI.filtersForDevice();
+          if (!filters.length) {
+            showToast("Please add at least one filter first.", "error");
+            return;
+          }
+          try {
+            const { rows, notes } = await deviceEqUI.session.encode(filters);
+            showStoredValues(deviceEqUI.currentDevice, rows, notes);
+          } catch (error) {
+            console.error("Error encoding PEQ filters:", error);
+            showToast(deviceErrorMessage("Could not work out what the device would store.", error), "error");
+          }
+        });
+
+        // Preview: write the current EQ so it can be heard, without saving it on
+        // the device. The "Unsaved on device" note stays until Keep (commit) or Save.
+        deviceEqUI.previewButton?.addEventListener('click', async () => {
+          const filters = deviceEqUI.filtersForDevice();
+          if (!filters.length) {
+            showToast("Please add at least one filter before previewing.", "error");
+            return;
+          }
+          if (typeof context.applyEQ === 'function') {
+            context.applyEQ();
+          }
+          deviceEqUI.previewButton.disabled = true;
+          try {
+            const phoneTargetDetails = (typeof context.getCurrentPhoneTargetNormalisation === 'function')
+              ? (await context.getCurrentPhoneTargetNormalisation())
+              : null;
+            await deviceEqUI.session.preview(filters, {
+              slot: parseInt(deviceEqUI.peqDropdown.value, 10),
+              preamp: await pushPreamp(deviceEqUI.session, filters),
+              phoneObj: phoneTargetDetails?.phoneObj
+            });
+            emitWindowDeviceEvent('devicePEQ.previewed', { device: deviceEqUI.currentDevice, filters });
+          } catch (error) {
+            console.error("Error previewing PEQ filters:", error);
+            if (error?.code === 'PUSH_FAILED' && error.transaction?.rolledBack) {
+              showToast("Failed to preview PEQ filters - restored the previous EQ.", "warning");
+              return;
             }
-            deviceEqUI.showDisconnectedState();
+            showToast(deviceErrorMessage("Failed to preview PEQ filters on device.", error), "error");
+            if (!keepsConnection(error)) await deviceEqUI.sessions.disconnect();
+          } finally {
+            deviceEqUI.previewButton.disabled = false;
+          }
+        });
+
+        // Link L/R: one EQ for both channels, or each edited on its own.
+        deviceEqUI.channelsLinked?.addEventListener('change', () => {
+          deviceEqUI.setChannelsLinked(deviceEqUI.channelsLinked.checked);
+        });
+        deviceEqUI.channelsEditing?.addEventListener('change', () => {
+          deviceEqUI.editChannel(deviceEqUI.channelsEditing.value);
+        });
+
+        // Keep: save the previewed EQ on the device.
+        deviceEqUI.commitButton?.addEventListener('click', async () => {
+          deviceEqUI.commitButton.disabled = true;
+          try {
+            const pending = deviceEqUI.session?.getState().uncommitted;
+            const result = await deviceEqUI.session?.commit();
+            if (!result) return;
+            document.dispatchEvent(new CustomEvent('PeqDeviceSaved', { detail: { filters: pending.filters } }));
+            if (context.config?.showSuccessToasts !== false) {
+              showToast(result.disconnect ? "PEQ Saved - Restarting" : "PEQ saved to device", "success");
+            }
+          } catch (error) {
+            console.error("Error saving previewed PEQ filters:", error);
+            showToast(deviceErrorMessage("Failed to save the previewed PEQ on the device.", error), "error");
+          } finally {
+            deviceEqUI.commitButton.disabled = false;
+          }
+        });
+
+        // Push to all: the same filters to every connected device, each to its
+        // own selected slot. A failure on one device does not stop the others.
+        deviceEqUI.pushAllButton?.addEventListener('click', async () => {
+          const filters = deviceEqUI.filtersForDevice();
+          if (!filters.length) {
+            showToast("Please add at least one filter before pushing.", "error");
+            return;
+          }
+          if (typeof context.applyEQ === 'function') {
+            context.applyEQ();
+          }
+          deviceEqUI.pushAllButton.disabled = true;
+          try {
+            const phoneTargetDetails = (typeof context.getCurrentPhoneTargetNormalisation === 'function')
+              ? (await context.getCurrentPhoneTargetNormalisation())
+              : null;
+            // Each device gets the preamp its own realised response needs.
+            const results = await deviceEqUI.sessions.pushAll(filters, async (session) => ({
+              preamp: await pushPreamp(session, filters),
+              phoneObj: phoneTargetDetails?.phoneObj,
+              verify: context.config?.verifyAfterPush ?? false
+            }));
+            document.dispatchEvent(new CustomEvent('PeqDeviceSaved', { detail: { filters } }));
+            emitWindowDeviceEvent('devicePEQ.pushedToAll', {
+              results: results.map(({ device, result, error }) => ({ device, result, error }))
+            });
+
+            const failed = results.filter(r => r.error);
+            failed.forEach(r => console.error(`Error pushing PEQ filters to ${r.device.model}:`, r.error));
+            if (failed.length > 0) {
+              const message = `Saved to ${results.length - failed.length} of ${results.length} devices - ` +
+                `failed on ${failed.map(r => r.device.model).join(', ')}.`;
+              // Guidance only when every failure had the same cause.
+              const sameCause = new Set(failed.map(r => errorType(r.error))).size === 1;
+              showToast(sameCause ? deviceErrorMessage(message, failed[0].error) : message, "warning", 10000, true);
+            } else if (context.config?.showSuccessToasts !== false) {
+              showToast(`PEQ saved to ${results.length} devices`, "success");
+            }
+          } catch (error) {
+            console.error("Error pushing PEQ filters to all devices:", error);
+            showToast("Failed to push PEQ filters to all devices.", "error");
+          } finally {
+            deviceEqUI.pushAllButton.disabled = false;
+          }
+        });
+
+        // Save to all inputs: the same filters to every input source of the
+        // active device (WiiM), one after the other.
+        deviceEqUI.pushSlotsButton?.addEventListener('click', async () => {
+          const session = deviceEqUI.session;
+          const filters = deviceEqUI.filtersForDevice();
+          if (!session?.device) return;
+          if (!filters.length) {
+            showToast("Please add at least one filter before pushing.", "error");
+            return;
+          }
+          if (typeof context.applyEQ === 'function') {
+            context.applyEQ();
+          }
+          const device = session.device;
+          const slots = session.getState().slots.filter(s => s.input);
+          deviceEqUI.pushSlotsButton.disabled = true;
+          try {
+            const phoneTargetDetails = (typeof context.getCurrentPhoneTargetNormalisation === 'function')
+              ? (await context.getCurrentPhoneTargetNormalisation())
+              : null;
+            const results = await session.pushToSlots(filters, {
+              slots: slots.map(s => s.id),
+              preamp: await pushPreamp(session, filters),
+              phoneObj: phoneTargetDetails?.phoneObj,
+              verify: context.config?.verifyAfterPush ?? false
+            });
+            document.dispatchEvent(new CustomEvent('PeqDeviceSaved', { detail: { filters } }));
+            emitWindowDeviceEvent('devicePEQ.pushedToSlots', {
+              device, results: results.map(({ slot, result, error }) => ({ slot, result, error }))
+            });
+
+            const slotName = (id) => slots.find(s => s.id === id)?.name ?? id;
+            const failed = results.filter(r => r.error);
+            failed.forEach(r => console.error(`Error pushing PEQ filters to ${slotName(r.slot)}:`, r.error));
+            if (failed.length > 0) {
+              const message = `Saved to ${results.length - failed.length} of ${results.length} inputs - ` +
+                `failed on ${failed.map(r => slotName(r.slot)).join(', ')}.`;
+              const sameCause = new Set(failed.map(r => errorType(r.error))).size === 1;
+              showToast(sameCause ? deviceErrorMessage(message, failed[0].error) : message, "warning", 10000, true);
+            } else if (context.config?.showSuccessToasts !== false) {
+              showToast(`PEQ saved to ${results.length} inputs of ${device.model}`, "success");
+            }
+          } catch (error) {
+            console.error("Error pushing PEQ filters to all inputs:", error);
+            showToast(deviceErrorMessage("Failed to push PEQ filters to all inputs.", error), "error");
+          } finally {
+            deviceEqUI.pushSlotsButton.disabled = false;
           }
         });
 
@@ -2907,31 +3744,15 @@ async function initializeDeviceEqPlugin(context) {
           console.log(`PEQ Slot selected: ${selectedValue}`);
 
           try {
-            if (selectedValue === "-1") {
-              if (deviceEqUI.connectionType == "network") {
-                await NetworkDeviceConnector.enablePEQ(deviceEqUI.currentDevice, false, -1);
-              } else if (deviceEqUI.connectionType == "usb") {
-                await UsbHIDConnector.enablePEQ(deviceEqUI.currentDevice, false, -1);
-              } else if (deviceEqUI.connectionType == "serial") {
-                await UsbSerialConnector.enablePEQ(deviceEqUI.currentDevice, false, -1);
-              }
+            const slotId = await deviceEqUI.session.selectSlot(selectedValue);
+            if (slotId === -1) {
               console.log("PEQ Disabled.");
             } else {
-              const slotId = parseInt(selectedValue, 10);
-
-              if (deviceEqUI.connectionType == "network") {
-                await NetworkDeviceConnector.enablePEQ(deviceEqUI.currentDevice, true, slotId);
-              } else if (deviceEqUI.connectionType == "usb") {
-                await UsbHIDConnector.enablePEQ(deviceEqUI.currentDevice, true, slotId);
-              } else if (deviceEqUI.connectionType == "serial") {
-                await UsbSerialConnector.enablePEQ(deviceEqUI.currentDevice, true, slotId);
-              }
-
               console.log(`PEQ Enabled for slot ID: ${slotId}`);
             }
           } catch (error) {
             console.error("Error updating PEQ slot:", error);
-            showToast("Failed to update PEQ slot.", "error");
+            showToast(deviceErrorMessage("Failed to update PEQ slot.", error), "error");
           }
         });
 
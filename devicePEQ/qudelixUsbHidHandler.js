@@ -10,8 +10,15 @@
 // EQ parameter encoding (legacy sendEqParam):
 //   payload = [group, ch_mask, band_index, value_hi, value_lo]
 //   gain × 10, Q × 1024, freq raw Hz (int16 big-endian, two's complement)
+//   ch_mask: always 3 (both). The user-EQ preset keeps one set of band
+//   parameters for both ears (see parseUserEqPreset), so a per-channel set
+//   (peqChannels.js) could not be read back and is refused.
 
 import { logHidTx, logHidRx } from './deviceDebugLog.js';
+import { includesBand, includesGlobalGain } from './peqWriteSet.js';
+import { isLinked } from './peqChannels.js';
+import { unsupportedError } from './deviceErrors.js';
+import { retryPolicy, withRetry } from './deviceRetryPolicy.js';
 
 export const qudelixUsbHidHandler = (function () {
 
@@ -130,7 +137,7 @@ export const qudelixUsbHidHandler = (function () {
   // Build and send a command: TX packet = [payload_len+1, 0x80, cmd_hi, cmd_lo, ...data]
   async function sendCommand(device, cmdId, data = new Uint8Array(0)) {
     if (sendReportId === null) {
-      throw new Error(
+      throw unsupportedError(
         `Qudelix: "${device.productName}" has no vendor HID interface — ` +
         `please disconnect and reconnect selecting the PEQ control interface (not the audio interface).`
       );
@@ -257,18 +264,19 @@ export const qudelixUsbHidHandler = (function () {
     return { filters, globalGain: preGain0 / GAIN_SCALE };
   }
 
-  // Collect segmented RspEqPreset packets and resolve with assembled buffer.
+  // Collect segmented RspEqPreset packets from now on: `done` resolves with the
+  // assembled buffer once the last segment is in, and stop() stops listening.
   // Packet data layout (after parseResponse strips [len, cmdHi, cmdLo]):
   //   [0]  EQ group  (0 = user/headphone)
   //   [1]  (totalPkts<<4) | pktIdx  — last packet when pktIdx==totalPkts
   //   [2-3] reserved
   //   [4-5] offset in preset buffer (big-endian uint16)
   //   [6+]  chunk payload
-  function waitForPreset(device, timeoutMs = 500) {
-    return new Promise((resolve) => {
+  function collectPreset(device) {
+    let handler;
+    const done = new Promise((resolve) => {
       const buf = new Uint8Array(128);  // 88 bytes for user EQ, 128 for safety
-      let timer;
-      const handler = (event) => {
+      handler = (event) => {
         const raw = new Uint8Array(event.data.buffer);
         logHidRx('Qudelix', raw);
         const rsp = parseResponse(raw);
@@ -282,17 +290,23 @@ export const qudelixUsbHidHandler = (function () {
         const chunk     = d.slice(6);
         if (offset + chunk.length <= buf.length) buf.set(chunk, offset);
         if (pktIdx === totalPkts) {        // last segment received
-          device.removeEventListener('inputreport', handler);
-          clearTimeout(timer);
+          stop();
           resolve(buf);
         }
       };
-      timer = setTimeout(() => {
-        device.removeEventListener('inputreport', handler);
-        resolve(null);
-      }, timeoutMs);
       device.addEventListener('inputreport', handler);
     });
+    const stop = () => device.removeEventListener('inputreport', handler);
+    return { done, stop };
+  }
+
+  // `promise`'s value, or null if it takes longer than timeoutMs.
+  function within(promise, timeoutMs) {
+    let timer;
+    return Promise.race([
+      promise,
+      new Promise(resolve => { timer = setTimeout(() => resolve(null), timeoutMs); }),
+    ]).finally(() => clearTimeout(timer));
   }
 
   // ── RX framing ─────────────────────────────────────────────────────────────
@@ -344,56 +358,84 @@ export const qudelixUsbHidHandler = (function () {
 
       // Set up preset segment collector BEFORE sending any commands so we don't
       // miss a proactive RspEqPreset the device might send on init.
-      const presetPromise = waitForPreset(device, 2000);
-
-      // Init handshake — device responds with RspInitData containing version info
-      await Promise.race([
-        waitForResponse(device, CMD.RspInitData, 3000),
-        sendCommand(device, CMD.ReqInitData).then(() => null),
-      ]);
-
-      // Exact sequence from Qudelix plugin (Oy.connected):
-      //   ReqDevConfig 0x3C = playTime|batt|mic|dac
-      //   ReqDevConfig 0xC0 = sys2|eq  ← the eq(0x80) bit is required before RspEqPreset
-      //   ReqDevStatus 0x04 = conn
-      //   ReqEqPreset  0x03 = usr|spk
-      await sendCommand(device, CMD.ReqDevConfig,  new Uint8Array([0x3C]));
-      await sendCommand(device, CMD.ReqDevConfig,  new Uint8Array([0xC0]));
-      await sendCommand(device, CMD.ReqDevStatus,  new Uint8Array([0x04]));
-      await sendCommand(device, CMD.ReqEqPreset,   new Uint8Array([0x03]));
-
-      // Wait for all RspEqPreset segments (or timeout → fall back to defaults).
-      // NOTE: The Qudelix 5K's USB HID interface is write-only on macOS via WebHID —
-      // the device lists input report IDs in its HID descriptor but never sends them
-      // over USB. EQ reads are only possible over BLE (not yet implemented here).
-      // The decoder (parseUserEqPreset) is fully implemented and will work if BLE
-      // support is added or if a firmware update enables USB input reports.
-      const presetBuf = await presetPromise;
-
-      if (presetBuf) {
-        const decoded = parseUserEqPreset(presetBuf);
-        console.log(`Qudelix: decoded preset — ${decoded.filters.length} bands, globalGain=${decoded.globalGain} dB`);
-        return decoded;
+      const preset = collectPreset(device);
+      try {
+        return await readPreset(deviceDetails, preset);
+      } finally {
+        preset.stop();
       }
-
-      // USB HID input reports not available — return flat defaults so the UI is usable.
-      // Push (writing EQ to device) works correctly.
-      const filters = Array.from({ length: 10 }, (_, i) => ({
-        type: 'PK', freq: [32, 64, 125, 250, 500, 1000, 2000, 4000, 8000, 16000][i],
-        q: 1.0, gain: 0, disabled: false
-      }));
-      return { filters, globalGain: 0 };
-
     } catch (err) {
       console.error('Qudelix: pullFromDevice error:', err);
       return { filters: [], globalGain: 0 };
     }
   }
 
-  async function pushToDevice(deviceDetails, phoneObj, slot, preamp, filters) {
+  // The waits below follow the model's retry policy (deviceRetryPolicy.js):
+  // readInitData and readPreset, each retry sending its request again.
+  async function readPreset(deviceDetails, preset) {
+    const device = deviceDetails.rawDevice;
+
+    // Init handshake — device responds with RspInitData containing version info
+    const initPolicy = retryPolicy(deviceDetails.modelConfig, 'readInitData', 3000);
+    await withRetry(initPolicy, async (timeoutMs) => {
+      const reply = waitForResponse(device, CMD.RspInitData, timeoutMs);
+      await sendCommand(device, CMD.ReqInitData);
+      return reply;
+    }, { nullMeansTimeout: true });
+
+    // Exact sequence from Qudelix plugin (Oy.connected):
+    //   ReqDevConfig 0x3C = playTime|batt|mic|dac
+    //   ReqDevConfig 0xC0 = sys2|eq  ← the eq(0x80) bit is required before RspEqPreset
+    //   ReqDevStatus 0x04 = conn
+    //   ReqEqPreset  0x03 = usr|spk
+    await sendCommand(device, CMD.ReqDevConfig,  new Uint8Array([0x3C]));
+    await sendCommand(device, CMD.ReqDevConfig,  new Uint8Array([0xC0]));
+    await sendCommand(device, CMD.ReqDevStatus,  new Uint8Array([0x04]));
+
+    // Wait for all RspEqPreset segments (or timeout → fall back to defaults).
+    // NOTE: The Qudelix 5K's USB HID interface is write-only on macOS via WebHID —
+    // the device lists input report IDs in its HID descriptor but never sends them
+    // over USB. EQ reads are only possible over BLE (not yet implemented here).
+    // The decoder (parseUserEqPreset) is fully implemented and will work if BLE
+    // support is added or if a firmware update enables USB input reports.
+    const presetPolicy = retryPolicy(deviceDetails.modelConfig, 'readPreset', 2000);
+    const presetBuf = await withRetry(presetPolicy, async (timeoutMs) => {
+      await sendCommand(device, CMD.ReqEqPreset,   new Uint8Array([0x03]));
+      return within(preset.done, timeoutMs);
+    }, { nullMeansTimeout: true });
+
+    if (presetBuf) {
+      const decoded = parseUserEqPreset(presetBuf);
+      console.log(`Qudelix: decoded preset — ${decoded.filters.length} bands, globalGain=${decoded.globalGain} dB`);
+      return decoded;
+    }
+
+    // USB HID input reports not available — return flat defaults so the UI is usable.
+    // Push (writing EQ to device) works correctly.
+    const filters = Array.from({ length: 10 }, (_, i) => ({
+      type: 'PK', freq: [32, 64, 125, 250, 500, 1000, 2000, 4000, 8000, 16000][i],
+      q: 1.0, gain: 0, disabled: false
+    }));
+    return { filters, globalGain: 0 };
+  }
+
+  // SetEqBandParam addresses one band, so a writeSet (see peqWriteSet.js)
+  // limits the push to the bands that changed.
+  async function pushToDevice(deviceDetails, phoneObj, slot, preamp, filters, writeSet = null) {
+    await previewToDevice(deviceDetails, phoneObj, slot, preamp, filters, writeSet);
+    return commitToDevice(deviceDetails, phoneObj, slot);
+  }
+
+  // Band writes change the live EQ only; nothing is kept until SaveEqPreset
+  // stores it in a preset (commitToDevice).
+  async function previewToDevice(deviceDetails, phoneObj, slot, preamp, filters, writeSet = null) {
     const device = deviceDetails.rawDevice;
 
     try {
+      if (!isLinked(filters)) {
+        throw unsupportedError('Qudelix 5K applies the same EQ to both channels',
+          { code: 'PER_CHANNEL_UNSUPPORTED' });
+      }
       initHidReports(device);
 
       // Enable EQ and set type to PEQ
@@ -401,20 +443,19 @@ export const qudelixUsbHidHandler = (function () {
       await send8(device, CMD.SetEqType, 1);  // 1 = PEQ
 
       // PreGain: scaled by GAIN_SCALE, sent as sendEqParam (band index ignored)
-      const preGainScaled = Math.round(preamp * GAIN_SCALE);
-      await sendEqParam(device, CMD.SetEqPreGain, 0, preGainScaled);
+      if (includesGlobalGain(writeSet)) {
+        const preGainScaled = Math.round(preamp * GAIN_SCALE);
+        await sendEqParam(device, CMD.SetEqPreGain, 0, preGainScaled);
+      }
 
       // Set each band using SetEqBandParam (all params in one packet)
       // Legacy payload (10 bytes):
       //   [group, ch_mask, band, filter_app_enum, freq_hi, freq_lo, gain_hi, gain_lo, q_hi, q_lo]
-      const maxBands = deviceDetails.modelConfig?.maxFilters || 10;
+      const bands = encodeFilters(deviceDetails, filters);
 
-      for (let i = 0; i < Math.min(filters.length, maxBands); i++) {
-        const f       = filters[i];
-        const filter  = f.disabled ? FILTER.Bypass : toQudelixFilter(f.type || 'PK');
-        const freq    = Math.round(Math.max(20, Math.min(20000, f.freq || 1000)));
-        const gain    = Math.round((f.gain || 0) * GAIN_SCALE);
-        const q       = Math.round((f.q || 1.0) * Q_SCALE);
+      for (let i = 0; i < bands.length; i++) {
+        if (!includesBand(writeSet, i)) continue;
+        const { filter, freq, gain, q } = bands[i];
 
         const [fhi, flo] = [msb8(freq), lsb8(freq)];
         const [ghi, glo] = int16Bytes(gain);
@@ -425,17 +466,52 @@ export const qudelixUsbHidHandler = (function () {
         await sendCommand(device, CMD.SetEqBandParam, payload);
       }
 
+      return false;  // no disconnect needed
+
+    } catch (err) {
+      console.error('Qudelix: previewToDevice error:', err);
+      throw err;
+    }
+  }
+
+  // The scaled integers SetEqBandParam carries for each band.
+  function encodeFilters(deviceDetails, filters) {
+    const maxBands = deviceDetails.modelConfig?.maxFilters || 10;
+    return filters.slice(0, maxBands).map(f => ({
+      filter: f.disabled ? FILTER.Bypass : toQudelixFilter(f.type || 'PK'),
+      freq:   Math.round(Math.max(20, Math.min(20000, f.freq || 1000))),
+      gain:   Math.round((f.gain || 0) * GAIN_SCALE),
+      q:      Math.round((f.q || 1.0) * Q_SCALE),
+    }));
+  }
+
+  // The preset stores gain in 10 signed bits and Q in 14 unsigned ones.
+  function decodeFilters(deviceDetails, bands) {
+    return bands.map(({ filter, freq, gain, q }) => ({
+      type:     fromQudelixFilter(filter),
+      freq,
+      gain:     signExtend10(gain & 0x3FF) / GAIN_SCALE,
+      q:        (q & 0x3FFF) / Q_SCALE,
+      disabled: filter === FILTER.Bypass,
+    }));
+  }
+
+  async function commitToDevice(deviceDetails, phoneObj, slot) {
+    const device = deviceDetails.rawDevice;
+
+    try {
       // Save to preset if a writable slot is specified
       const firstWritable = deviceDetails.modelConfig?.firstWritableEQSlot ?? -1;
       const saveSlot = (slot >= 0 && firstWritable >= 0) ? slot : -1;
       if (saveSlot >= 0) {
+        initHidReports(device);
         await sendCommand(device, CMD.SaveEqPreset, new Uint8Array([saveSlot]));
       }
 
       return false;  // no disconnect needed
 
     } catch (err) {
-      console.error('Qudelix: pushToDevice error:', err);
+      console.error('Qudelix: commitToDevice error:', err);
       throw err;
     }
   }
@@ -453,5 +529,9 @@ export const qudelixUsbHidHandler = (function () {
     }
   }
 
-  return { getCurrentSlot, pullFromDevice, pushToDevice, enablePEQ };
+  return {
+    getCurrentSlot, pullFromDevice, pushToDevice, previewToDevice, commitToDevice, enablePEQ,
+    encodeFilters, decodeFilters,
+    supportsBandWrites: true,   // pushToDevice honours a writeSet (peqWriteSet.js)
+  };
 })();
@@ -17,6 +17,9 @@
 //   freq  = uint16 big-endian Hz
 //   Q     = uint16 big-endian × 100
 
+import { protocolError } from './deviceErrors.js';
+import { retryPolicy, withRetry } from './deviceRetryPolicy.js';
+
 export const ritaUsbSerial = (function () {
 
   const RITA = {
@@ -77,7 +80,7 @@ export const ritaUsbSerial = (function () {
     const deadline = Date.now() + timeoutMs;
 
     while (Date.now() < deadline) {
-      const { value, done } = await device.readable.read();
+      const { value, done } = await device.readable.read(Math.max(1, deadline - Date.now()));
       if (done) break;
       if (value) {
         for (const b of value) buf.push(b);
@@ -100,19 +103,30 @@ export const ritaUsbSerial = (function () {
   async function pullFromDevice(deviceDetails, slot) {
     console.log('Rita SPP: reading EQ from device');
 
-    await deviceDetails.writable.write(RITA.CMD_GET_ALL_EQ);
-
-    const resp = await readResponse(deviceDetails, 8000);
+    const policy = retryPolicy(deviceDetails.modelConfig, 'readEq', 8000);
+    const resp = await withRetry(policy, async (timeoutMs) => {
+      await deviceDetails.writable.write(RITA.CMD_GET_ALL_EQ);
+      return readResponse(deviceDetails, timeoutMs);
+    }, { nullMeansTimeout: true });
     if (!resp || resp.length < RITA.EQ_RESPONSE_LEN) {
-      throw new Error(
-        `Rita SPP: expected ${RITA.EQ_RESPONSE_LEN}-byte EQ response, got ${resp ? resp.length : 0}`
+      throw protocolError(
+        `Rita SPP: expected ${RITA.EQ_RESPONSE_LEN}-byte EQ response, got ${resp ? resp.length : 0}`, resp
       );
     }
 
+    const filters = readBands(resp);
+
+    console.log(`Rita SPP: pulled ${filters.length} bands`);
+    return { filters, globalGain: 0, profileId: 0 };
+  }
+
+  // The 12 band blocks, as both the EQ response (FF A2 56 0B 0C [bands...]) and
+  // the set-EQ packet (FF A1 56 2B 0C [bands...] AA) carry them
+  function readBands(packet) {
     const filters = [];
     for (let i = 0; i < RITA.NUM_BANDS; i++) {
-      const off  = 5 + i * 7;   // response: FF A2 56 0B 0C [bands...]
-      const band = decodeBand(resp.slice(off, off + 7));
+      const off  = 5 + i * 7;
+      const band = decodeBand(packet.slice(off, off + 7));
       filters.push({
         freq: band.freqHz,
         gain: Math.round(band.gainDb * 100) / 100,
@@ -122,20 +136,18 @@ export const ritaUsbSerial = (function () {
         _ritaFilterType: band.filterType,
       });
     }
-
-    console.log(`Rita SPP: pulled ${filters.length} bands`);
-    return { filters, globalGain: 0, profileId: 0 };
+    return filters;
   }
 
-  async function pushToDevice(deviceDetails, phoneObj, slot, globalGain, filters) {
-    console.log(`Rita SPP: writing ${filters.length} bands to device`);
-
+  // The set-EQ packet for these filters
+  function encodeFilters(deviceDetails, filters) {
     // Pad or trim to exactly 12 bands
     const bands = [];
     for (let i = 0; i < RITA.NUM_BANDS; i++) {
       const f = filters[i] || { freq: 1000, gain: 0, q: 1.0 };
       bands.push({
-        gainDb:     f.gain ?? 0,
+        // A disabled band is written flat, or its gain would stay active
+        gainDb:     f.disabled ? 0 : (f.gain ?? 0),
         freqHz:     f.freq ?? 1000,
         q:          f.q ?? 1.0,
         filterType: f._ritaFilterType ?? 0x01,
@@ -146,8 +158,17 @@ export const ritaUsbSerial = (function () {
       encodeBand(b.gainDb, b.freqHz, b.q, b.filterType)
     );
 
-    const packet = new Uint8Array([...RITA.SET_EQ_HEADER, ...body, 0xAA]);
-    await deviceDetails.writable.write(packet);
+    return new Uint8Array([...RITA.SET_EQ_HEADER, ...body, 0xAA]);
+  }
+
+  function decodeFilters(deviceDetails, packet) {
+    return readBands(packet).map(({ _ritaFilterType, ...filter }) => ({ ...filter, disabled: false }));
+  }
+
+  async function pushToDevice(deviceDetails, phoneObj, slot, globalGain, filters) {
+    console.log(`Rita SPP: writing ${filters.length} bands to device`);
+
+    await deviceDetails.writable.write(encodeFilters(deviceDetails, filters));
 
     console.log('Rita SPP: EQ write command sent');
   }
@@ -162,5 +183,7 @@ export const ritaUsbSerial = (function () {
     pullFromDevice,
     pushToDevice,
     enablePEQ,
+    encodeFilters,
+    decodeFilters,
   };
 })();
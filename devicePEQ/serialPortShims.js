@@ -0,0 +1,64 @@
+// serialPortShims.js
+// Copyright 2025 : Pragmatic Audio
+//
+// The read()/write() helpers the serial handlers call as device.readable and
+// device.writable, over an open Web Serial port. Shared by usbSerialConnector.js
+// and the virtual device (virtualDevice.js), so both hand a handler the same
+// thing.
+//
+//   await port.open({ baudRate });
+//   const { readable, writable } = serialPortShims(port, modelConfig);
+//   await writable.write(packet);
+//   const { value, done, timedOut } = await readable.read();
+//
+// read(timeoutMs) gives up after timeoutMs - the model's 'read' timeout
+// (deviceRetryPolicy.js) when not passed, or never if it has none - and
+// resolves { value: undefined, done: false, timedOut: true }; the port stays
+// open for the next read.
+
+import { retryPolicy } from './deviceRetryPolicy.js';
+
+export function serialPortShims(port, modelConfig) {
+  // Important: do NOT hold reader/writer locks persistently to avoid blocking other handlers (e.g., FiiO)
+  let readable = null;
+  let writable = null;
+  try {
+    if (port.readable && typeof port.readable.getReader === 'function') {
+      const defaultReadTimeoutMs = retryPolicy(modelConfig, 'read', undefined).timeoutMs;
+      readable = {
+        async read(timeoutMs = defaultReadTimeoutMs) {
+          const r = port.readable.getReader();
+          let timer = null;
+          try {
+            const reading = r.read();
+            if (!timeoutMs) return await reading;
+            // Releasing the lock below abandons the pending read without
+            // cancelling the stream; its rejection is expected.
+            reading.catch(() => {});
+            return await Promise.race([reading, new Promise(resolve => {
+              timer = setTimeout(() => resolve({ value: undefined, done: false, timedOut: true }), timeoutMs);
+            })]);
+          } finally {
+            clearTimeout(timer);
+            try { r.releaseLock(); } catch (_) {}
+          }
+        }
+      };
+    }
+    if (port.writable && typeof port.writable.getWriter === 'function') {
+      writable = {
+        async write(data) {
+          const w = port.writable.getWriter();
+          try {
+            await w.write(data);
+          } finally {
+            try { w.releaseLock(); } catch (_) {}
+          }
+        }
+      };
+    }
+  } catch (e) {
+    console.warn('serialPortShims: Failed to set up read/write shims:', e);
+  }
+  return { readable, writable };
+}
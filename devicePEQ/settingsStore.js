@@ -0,0 +1,235 @@
+// settingsStore.js
+// Copyright 2025 : Pragmatic Audio
+//
+// What the plugins remember between visits: the last network device, the
+// Bluetooth profile picked for a shared UUID, Treblizer's sweep range, ...
+// Each plugin opens its own namespace, once, and reads synchronously after:
+//
+//   const settings = await openSettings('treblizerPEQ', {
+//     version: 1,
+//     migrations: {
+//       1: (values, legacy) => { values.sweepRange = legacy.takeCookie('treblizerSweepRange'); },
+//     },
+//   });
+//   settings.get('sweepRange', '4000,16000');
+//   settings.set('sweepRange', '5000,15000');   // resolves once stored
+//
+// Values live in IndexedDB (database 'pragmaticAudioSettings', one record per
+// namespace), or in localStorage under 'pragmaticAudio.settings.<namespace>'
+// where IndexedDB cannot be opened (some private windows, file:// pages), or
+// only in memory if neither can. Unlike cookies they are never sent to the
+// server. Values must survive JSON (plain objects, arrays, strings, numbers).
+//
+// `version` is the namespace's schema version. When the stored one is older,
+// migrations[n](values, legacy) runs for each version n after it, in order,
+// and may change `values` in place. `legacy` reads what earlier releases kept
+// elsewhere - takeCookie(name), takeCookies(prefix) and takeLocal(key) - and
+// removes it once the migrated values are stored. A key set to undefined is
+// not stored.
+
+const DB_NAME = 'pragmaticAudioSettings';
+const DB_VERSION = 1;
+const STORE_NAME = 'namespaces';
+const LOCAL_PREFIX = 'pragmaticAudio.settings.';
+
+let backendPromise = null;
+const opened = new Map();   // namespace -> Promise of its store
+
+// Each backend reads and writes { version, values } records by namespace.
+function indexedDbBackend(db) {
+  const request = (mode, fn) => new Promise((resolve, reject) => {
+    const tx = db.transaction(STORE_NAME, mode);
+    const req = fn(tx.objectStore(STORE_NAME));
+    tx.oncomplete = () => resolve(req.result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+  return {
+    kind: 'indexedDB',
+    read: (namespace) => request('readonly', store => store.get(namespace)).then(r => r ?? null),
+    write: (namespace, record) => request('readwrite', store => store.put(record, namespace)),
+  };
+}
+
+function localStorageBackend(storage) {
+  return {
+    kind: 'localStorage',
+    async read(namespace) {
+      const text = storage.getItem(LOCAL_PREFIX + namespace);
+      return text ? JSON.parse(text) : null;
+    },
+    async write(namespace, record) {
+      storage.setItem(LOCAL_PREFIX + namespace, JSON.stringify(record));
+    },
+  };
+}
+
+function memoryBackend() {
+  const records = new Map();
+  return {
+    kind: 'memory',
+    async read(namespace) { return records.get(namespace) ?? null; },
+    async write(namespace, record) { records.set(namespace, record); },
+  };
+}
+
+function openIndexedDb() {
+  return new Promise((resolve, reject) => {
+    const req = globalThis.indexedDB.open(DB_NAME, DB_VERSION);
+    req.onupgradeneeded = () => {
+      if (!req.result.objectStoreNames.contains(STORE_NAME)) req.result.createObjectStore(STORE_NAME);
+    };
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+    req.onblocked = () => reject(new Error('settings database blocked by another tab'));
+  });
+}
+
+function localStorageOrNull() {
+  try {
+    const storage = globalThis.localStorage;
+    if (!storage) return null;
+    storage.getItem(LOCAL_PREFIX);   // throws where storage is disabled
+    return storage;
+  } catch (_) {
+    return null;
+  }
+}
+
+async function chooseBackend() {
+  if (globalThis.indexedDB) {
+    try {
+      return indexedDbBackend(await openIndexedDb());
+    } catch (error) {
+      console.warn('Settings: IndexedDB unavailable, falling back to localStorage:', error);
+    }
+  }
+  const storage = localStorageOrNull();
+  if (storage) return localStorageBackend(storage);
+  console.warn('Settings: no persistent storage, settings will last until the page is reloaded');
+  return memoryBackend();
+}
+
+function readCookies() {
+  try {
+    return (document.cookie || '').split(';').map(c => c.trim()).filter(Boolean).map(c => {
+      const eq = c.indexOf('=');
+      const name = eq < 0 ? c : c.slice(0, eq);
+      const raw = eq < 0 ? '' : c.slice(eq + 1);
+      try { return [name, decodeURIComponent(raw)]; }
+      catch (_) { return [name, raw]; }
+    });
+  } catch (_) {
+    return [];
+  }
+}
+
+// The `legacy` argument of a migration. Nothing is removed until commit().
+function legacySources() {
+  const cookies = readCookies();
+  const takenCookies = new Set();
+  const takenLocal = new Set();
+  return {
+    takeCookie(name) {
+      const found = cookies.find(([n]) => n === name);
+      if (!found) return undefined;
+      takenCookies.add(name);
+      return found[1];
+    },
+    // { suffix: value } for every cookie whose name starts with `prefix`.
+    takeCookies(prefix) {
+      const values = {};
+      for (const [name, value] of cookies) {
+        if (!name.startsWith(prefix)) continue;
+        takenCookies.add(name);
+        values[name.slice(prefix.length)] = value;
+      }
+      return values;
+    },
+    takeLocal(key) {
+      const value = localStorageOrNull()?.getItem(key);
+      if (value == null) return undefined;
+      takenLocal.add(key);
+      return value;
+    },
+    commit() {
+      for (const name of takenCookies) {
+        try { document.cookie = `${name}=; path=/; expires=Thu, 01 Jan 1970 00:00:00 UTC`; } catch (_) {}
+      }
+      const storage = localStorageOrNull();
+      for (const key of takenLocal) storage?.removeItem(key);
+    },
+  };
+}
+
+function withoutUndefined(values) {
+  return Object.fromEntries(Object.entries(values).filter(([, v]) => v !== undefined));
+}
+
+async function loadNamespace(namespace, { version = 1, migrations = {} }) {
+  const backend = await (backendPromise ??= chooseBackend());
+  let record = null;
+  try {
+    record = await backend.read(namespace);
+  } catch (error) {
+    console.warn(`Settings: could not read ${namespace}, starting empty:`, error);
+  }
+  let values = { ...(record?.values ?? {}) };
+  const storedVersion = record?.version ?? 0;
+
+  if (storedVersion < version) {
+    const legacy = legacySources();
+    for (let n = storedVersion + 1; n <= version; n++) {
+      try {
+        migrations[n]?.(values, legacy);
+      } catch (error) {
+        console.warn(`Settings: migrating ${namespace} to version ${n} failed:`, error);
+      }
+    }
+    values = withoutUndefined(values);
+    try {
+      await backend.write(namespace, { version, values });
+      legacy.commit();
+    } catch (error) {
+      console.warn(`Settings: could not store ${namespace}:`, error);
+    }
+  }
+
+  let writing = Promise.resolve();
+  const store = () => {
+    const latest = { version: Math.max(version, storedVersion), values: { ...values } };
+    writing = writing
+      .then(() => backend.write(namespace, latest))
+      .catch(error => console.warn(`Settings: could not store ${namespace}:`, error));
+    return writing;
+  };
+
+  return {
+    namespace,
+    backend: backend.kind,
+    get(key, fallback = undefined) {
+      return Object.prototype.hasOwnProperty.call(values, key) ? values[key] : fallback;
+    },
+    set(key, value) {
+      if (value === undefined) delete values[key];
+      else values[key] = value;
+      return store();
+    },
+    remove(key) {
+      delete values[key];
+      return store();
+    },
+    all() {
+      return { ...values };
+    },
+  };
+}
+
+// Resolves a plugin's settings: { namespace, backend, get(key, fallback),
+// set(key, value), remove(key), all() }. get() and all() are synchronous;
+// set() and remove() resolve once stored. A namespace is loaded (and migrated)
+// once per page - later calls get the same store, whatever their options.
+export function openSettings(namespace, options = {}) {
+  if (!opened.has(namespace)) opened.set(namespace, loadNamespace(namespace, options));
+  return opened.get(namespace);
+}
@@ -1,4 +1,6 @@
 import { logHidTx, logHidRx } from './deviceDebugLog.js';
+import { timeoutError, protocolError } from './deviceErrors.js';
+import { retryPolicy, withRetry } from './deviceRetryPolicy.js';
 
 export const toppingUsbHidHandler = (function () {
   // ===== Topping DX1 II / E50 II WebHID Protocol =====
@@ -183,15 +185,15 @@ export const toppingUsbHidHandler = (function () {
     const view = new Uint8Array(buffer);
 
     if (view.byteLength < 15) {
-      throw new Error(`Invalid frame length: ${view.byteLength}`);
+      throw protocolError(`Invalid frame length: ${view.byteLength}`, view);
     }
 
     if (view[0] !== 0x22 || view[1] !== 0x33) {
-      throw new Error(`Invalid frame header: ${view[0].toString(16)} ${view[1].toString(16)}`);
+      throw protocolError(`Invalid frame header: ${view[0].toString(16)} ${view[1].toString(16)}`, view);
     }
 
     if (view[13] !== 0x66 || view[14] !== 0x77) {
-      throw new Error(`Invalid frame footer: ${view[13].toString(16)} ${view[14].toString(16)}`);
+      throw protocolError(`Invalid frame footer: ${view[13].toString(16)} ${view[14].toString(16)}`, view);
     }
 
     const dataInt = (view[7] << 24) | (view[8] << 16) | (view[9] << 8) | view[10];
@@ -257,7 +259,7 @@ export const toppingUsbHidHandler = (function () {
         device.removeEventListener('inputreport', handler);
         const cmdHex = `0x${expectedCmd.toString(16).padStart(4, '0')}`;
         console.error(`Read timeout for command ${cmdHex} after ${timeoutMs}ms (${eventCount} events received)`);
-        reject(new Error(`Read timeout for command ${cmdHex} after ${timeoutMs}ms`));
+        reject(timeoutError(`Read timeout for command ${cmdHex} after ${timeoutMs}ms`));
       }, timeoutMs);
 
       device.addEventListener('inputreport', handler);
@@ -266,38 +268,46 @@ export const toppingUsbHidHandler = (function () {
 
   // ── Device Communication ──────────────────────────────────────────────
 
+  // The device continuously streams a large multiframe "upload"/config
+  // broadcast (cmd 0x1106) in the background, unrelated to any command we
+  // send. Under a burst of that traffic a single echo can occasionally miss
+  // its 1.5s window, so band and configSwitch writes - absolute values, safe
+  // to send twice - are retried once. A model's own retryPolicy
+  // (deviceRetryPolicy.js) goes on top of this one.
+  const HANDLER_RETRY_POLICY = { retries: 1, backoffMs: 0, idempotent: ['writeBandParam', 'configSwitch'] };
+
+  function policyFor(modelConfig, command, timeoutMs) {
+    return retryPolicy({ retryPolicy: { ...HANDLER_RETRY_POLICY, ...modelConfig?.retryPolicy } }, command, timeoutMs);
+  }
+
+  // Sends cmd and, unless waitForResponse is false, waits for its echo under
+  // the policy for `command`, resending it on each retry.
   async function sendCommand(device, cmd, data = 0, options = {}) {
-    const { waitForResponse = true, protocolType = ProtocolType.writeNack, timeoutMs = 1500 } = options;
+    const {
+      waitForResponse = true, protocolType = ProtocolType.writeNack, timeoutMs = 1500,
+      command = 'command', modelConfig
+    } = options;
 
     const frame = buildHidFrame({ cmd, data, protocolType });
-
-    // Set up listener BEFORE sending (avoids missing a fast echo)
-    let responsePromise = null;
-    if (waitForResponse) {
-      responsePromise = readResponse(device, cmd, timeoutMs);
+    if (!waitForResponse) {
+      await sendReport(device, frame);
+      return;
     }
 
-    await sendReport(device, frame);
-
-    if (waitForResponse) {
+    return withRetry(policyFor(modelConfig, command, timeoutMs), async (timeout) => {
+      // Set up listener BEFORE sending (avoids missing a fast echo)
+      const responsePromise = readResponse(device, cmd, timeout);
+      try {
+        await sendReport(device, frame);
+      } catch (err) {
+        responsePromise.catch(() => {});
+        throw err;
+      }
       return await responsePromise;
-    }
-  }
-
-  // The device continuously streams a large multiframe "upload"/config
-  // broadcast (cmd 0x1106) in the background, unrelated to any command we
-  // send. Under a burst of that traffic a single echo can occasionally miss
-  // its 1.5s window - retry once before giving up.
-  async function sendCommandWithRetry(device, cmd, data = 0, options = {}) {
-    try {
-      return await sendCommand(device, cmd, data, options);
-    } catch (err) {
-      console.warn(`USB Device PEQ: Topping - retrying command 0x${cmd.toString(16)} after timeout`);
-      return await sendCommand(device, cmd, data, options);
-    }
+    });
   }
 
-  async function initializeDevice(device) {
+  async function initializeDevice(device, modelConfig) {
     console.log('USB Device PEQ: Topping - initializing device...');
     try {
       await sendCommand(device, Commands.connectState, 1, { waitForResponse: false });
@@ -309,7 +319,9 @@ export const toppingUsbHidHandler = (function () {
       try {
         await sendCommand(device, Commands.mcuEqEnableState, 0, {
           protocolType: ProtocolType.readNack,
-          timeoutMs: 300
+          timeoutMs: 300,
+          command: 'readEqEnable',
+          modelConfig
         });
       } catch (err) {
         // Non-fatal: device doesn't reliably ack this during init, and
@@ -358,9 +370,9 @@ export const toppingUsbHidHandler = (function () {
     return signed / 10;
   }
 
-  function writeBandParam(device, bandIndex, subcmd, value) {
+  function writeBandParam(device, bandIndex, subcmd, value, modelConfig) {
     const cmd = (bandBaseCmd(bandIndex) | subcmd) >>> 0;
-    return sendCommandWithRetry(device, cmd, value);
+    return sendCommand(device, cmd, value, { command: 'writeBandParam', modelConfig });
   }
 
   // ── Full-config Read via the "upload" Multiframe Broadcast ─────────────
@@ -408,8 +420,8 @@ export const toppingUsbHidHandler = (function () {
   }
 
   // Collects one full cycle of the 0x1106 multiframe broadcast and decodes
-  // the 11 left-channel bands from it. Does not send anything itself - the
-  // device streams this on its own once connected/initialized.
+  // the 11 left-channel bands from it. Does not send anything itself -
+  // the device streams this on its own once connected/initialized.
   async function readBandsViaUploadStream(device, timeoutMs = 4000) {
     return new Promise((resolve, reject) => {
       const buffer = new Map();
@@ -457,40 +469,62 @@ export const toppingUsbHidHandler = (function () {
       };
 
       const timeoutId = setTimeout(() => {
-        finish(null, new Error(`Timed out waiting for full upload config cycle after ${timeoutMs}ms`));
+        finish(null, timeoutError(`Timed out waiting for full upload config cycle after ${timeoutMs}ms`));
       }, timeoutMs);
 
       device.addEventListener('inputreport', handler);
     });
   }
 
-  async function writeBand(device, bandIndex, filter) {
-    const typeCode = FilterTypeCode[filter.type] || FilterTypeCode.PK;
-    const freq = Math.max(20, Math.min(20000, Math.round(filter.freq || 1000)));
-    const gainByte = encodeGainByte(filter.gain);
-    const qRaw = Math.round((filter.q || 0.707) * 10000);
-    const enabled = filter.disabled ? 0 : 1;
+  // The register values one band is written as.
+  function encodeBand(filter) {
+    return {
+      typeCode: FilterTypeCode[filter.type] || FilterTypeCode.PK,
+      freq: Math.max(20, Math.min(20000, Math.round(filter.freq || 1000))),
+      gainByte: encodeGainByte(filter.gain),
+      qRaw: Math.round((filter.q || 0.707) * 10000),
+      enabled: filter.disabled ? 0 : 1
+    };
+  }
+
+  // The bands as writeBand() sets them, on both channels.
+  function encodeFilters(_deviceDetails, filters) {
+    return filters.slice(0, 11).map(encodeBand);
+  }
+
+  function decodeFilters(_deviceDetails, bands) {
+    return bands.map(({ typeCode, freq, gainByte, qRaw, enabled }) => ({
+      type: FilterType[typeCode] || 'PK',
+      freq,
+      gain: decodeGainByte(gainByte & 0xff),
+      q: qRaw / 10000,
+      disabled: !enabled
+    }));
+  }
+
+  async function writeBand(device, bandIndex, filter, modelConfig) {
+    const { typeCode, freq, gainByte, qRaw, enabled } = encodeBand(filter);
 
     // Left channel
-    await writeBandParam(device, bandIndex, BandSub.typeL, typeCode);
-    await writeBandParam(device, bandIndex, BandSub.freqL, freq);
-    await writeBandParam(device, bandIndex, BandSub.gainL, gainByte);
-    await writeBandParam(device, bandIndex, BandSub.qL, qRaw);
-    await writeBandParam(device, bandIndex, BandSub.enabledL, enabled);
+    await writeBandParam(device, bandIndex, BandSub.typeL, typeCode, modelConfig);
+    await writeBandParam(device, bandIndex, BandSub.freqL, freq, modelConfig);
+    await writeBandParam(device, bandIndex, BandSub.gainL, gainByte, modelConfig);
+    await writeBandParam(device, bandIndex, BandSub.qL, qRaw, modelConfig);
+    await writeBandParam(device, bandIndex, BandSub.enabledL, enabled, modelConfig);
 
     // Right channel (mirrored - headphone EQ is not per-channel in the UI)
-    await writeBandParam(device, bandIndex, BandSub.typeR, typeCode);
-    await writeBandParam(device, bandIndex, BandSub.freqR, freq);
-    await writeBandParam(device, bandIndex, BandSub.gainR, gainByte);
-    await writeBandParam(device, bandIndex, BandSub.qR, qRaw);
-    await writeBandParam(device, bandIndex, BandSub.enabledR, enabled);
+    await writeBandParam(device, bandIndex, BandSub.typeR, typeCode, modelConfig);
+    await writeBandParam(device, bandIndex, BandSub.freqR, freq, modelConfig);
+    await writeBandParam(device, bandIndex, BandSub.gainR, gainByte, modelConfig);
+    await writeBandParam(device, bandIndex, BandSub.qR, qRaw, modelConfig);
+    await writeBandParam(device, bandIndex, BandSub.enabledR, enabled, modelConfig);
 
     // Tell the device to recompute/apply the live EQ DSP. The official app
     // sends this after essentially every parameter change (confirmed via
     // capture - it echoes an ack, unlike eqPreview which never does).
     // Without this, band writes land in device memory (readback confirms
     // the values) but may not actually be applied to the live audio path.
-    await sendCommandWithRetry(device, Commands.configSwitch, 0);
+    await sendCommand(device, Commands.configSwitch, 0, { command: 'configSwitch', modelConfig });
   }
 
   // ── Public API ────────────────────────────────────────────────────────
@@ -530,7 +564,7 @@ export const toppingUsbHidHandler = (function () {
 
     try {
       try {
-        await initializeDevice(device);
+        await initializeDevice(device, deviceDetails.modelConfig);
       } catch (err) {
         console.warn('USB Device PEQ: Topping - initialization warning:', err.message);
       }
@@ -538,13 +572,20 @@ export const toppingUsbHidHandler = (function () {
       // Set up the collector BEFORE triggering the dump - the device streams
       // the multiframe broadcast continuously once running, but requesting
       // it explicitly guarantees a cycle starts promptly.
-      const bandsPromise = readBandsViaUploadStream(device);
-      await sendCommand(device, Commands.upload, 0, {
-        protocolType: ProtocolType.readNack,
-        waitForResponse: false
+      const policy = policyFor(deviceDetails.modelConfig, 'readBands', 4000);
+      const filters = await withRetry(policy, async (timeoutMs) => {
+        const bandsPromise = readBandsViaUploadStream(device, timeoutMs);
+        try {
+          await sendCommand(device, Commands.upload, 0, {
+            protocolType: ProtocolType.readNack,
+            waitForResponse: false
+          });
+        } catch (err) {
+          bandsPromise.catch(() => {});
+          throw err;
+        }
+        return await bandsPromise;
       });
-
-      const filters = await bandsPromise;
       filters.forEach((band, i) => {
         console.log(`  Band ${i + 1}: freq=${band.freq}, gain=${band.gain}, q=${band.q}, type=${band.type}, enabled=${!band.disabled}`);
       });
@@ -565,22 +606,39 @@ export const toppingUsbHidHandler = (function () {
   }
 
   async function pushToDevice(deviceDetails, _phoneObj, _slot, _globalGain, filters) {
-    return withIoLock(() => pushToDeviceInternal(deviceDetails, _phoneObj, _slot, _globalGain, filters));
+    return withIoLock(() => pushToDeviceInternal(deviceDetails, filters, { save: true }));
+  }
+
+  // Band writes followed by configSwitch are already live; eqPreview is what
+  // makes them stick. Previewing stops short of it, and commitToDevice() sends
+  // it on its own once the user is happy with what they hear.
+  async function previewToDevice(deviceDetails, _phoneObj, _slot, _globalGain, filters) {
+    return withIoLock(() => pushToDeviceInternal(deviceDetails, filters, { save: false }));
   }
 
-  async function pushToDeviceInternal(deviceDetails, _phoneObj, _slot, _globalGain, filters) {
+  async function commitToDevice(deviceDetails) {
+    return withIoLock(async () => {
+      const device = deviceDetails.rawDevice;
+      console.log('USB Device PEQ: Topping - saving EQ configuration');
+      await sendCommand(device, Commands.eqPreview, 1, { waitForResponse: false });
+      await new Promise(r => setTimeout(r, 100));
+      return true;
+    });
+  }
+
+  async function pushToDeviceInternal(deviceDetails, filters, { save }) {
     console.log('USB Device PEQ: Topping - writing EQ configuration...');
     const device = deviceDetails.rawDevice;
 
     try {
-      await initializeDevice(device);
+      await initializeDevice(device, deviceDetails.modelConfig);
       const heartbeat = startHeartbeat(device);
 
       try {
         for (let bandIndex = 0; bandIndex < Math.min(filters.length, 11); bandIndex++) {
           const filter = filters[bandIndex];
           try {
-            await writeBand(device, bandIndex, filter);
+            await writeBand(device, bandIndex, filter, deviceDetails.modelConfig);
             console.log(`  Band ${bandIndex + 1}: freq=${filter.freq}, gain=${filter.gain}, q=${filter.q}, type=${filter.type}`);
           } catch (err) {
             console.warn(`  Band ${bandIndex + 1} write failed:`, err.message);
@@ -595,8 +653,10 @@ export const toppingUsbHidHandler = (function () {
         // sent fire-and-forget rather than waiting on a response that will
         // never arrive.
         console.log('  Applying EQ configuration...');
-        await sendCommandWithRetry(device, Commands.configSwitch, 0);
-        await sendCommand(device, Commands.eqPreview, 1, { waitForResponse: false });
+        await sendCommand(device, Commands.configSwitch, 0, { command: 'configSwitch', modelConfig: deviceDetails.modelConfig });
+        if (save) {
+          await sendCommand(device, Commands.eqPreview, 1, { waitForResponse: false });
+        }
         // Give the device a moment to actually apply before we return.
         await new Promise(r => setTimeout(r, 100));
       } finally {
@@ -604,7 +664,7 @@ export const toppingUsbHidHandler = (function () {
       }
 
       console.log('USB Device PEQ: Topping - EQ write complete');
-      return true;
+      return save;
     } catch (err) {
       console.error('USB Device PEQ: Topping - pushToDevice failed:', err.message);
       throw err;
@@ -615,7 +675,7 @@ export const toppingUsbHidHandler = (function () {
     console.log('USB Device PEQ: Topping - enabling PEQ');
     const device = deviceDetails.rawDevice ? deviceDetails.rawDevice : deviceDetails;
     try {
-      await sendCommand(device, Commands.mcuEqEnableState, 1);
+      await sendCommand(device, Commands.mcuEqEnableState, 1, { command: 'enableEq', modelConfig: deviceDetails.modelConfig });
     } catch (err) {
       console.warn('USB Device PEQ: Topping - enablePEQ failed:', err.message);
     }
@@ -648,7 +708,8 @@ export const toppingUsbHidHandler = (function () {
   // the value; see readBandsViaUploadStream's note on why that's unsafe).
   async function readDacFilter(deviceDetails, timeoutMs = 2000) {
     const device = resolveDevice(deviceDetails);
-    const frame = await readResponse(device, Commands.dx1Filter, timeoutMs);
+    const policy = policyFor(deviceDetails?.modelConfig, 'readDacFilter', timeoutMs);
+    const frame = await withRetry(policy, (timeout) => readResponse(device, Commands.dx1Filter, timeout));
     return frame.data;
   }
 
@@ -660,7 +721,8 @@ export const toppingUsbHidHandler = (function () {
 
   async function readGainMode(deviceDetails, timeoutMs = 2000) {
     const device = resolveDevice(deviceDetails);
-    const frame = await readResponse(device, Commands.dx1HighGain, timeoutMs);
+    const policy = policyFor(deviceDetails?.modelConfig, 'readGainMode', timeoutMs);
+    const frame = await withRetry(policy, (timeout) => readResponse(device, Commands.dx1HighGain, timeout));
     return frame.data === 1;
   }
 
@@ -682,7 +744,11 @@ export const toppingUsbHidHandler = (function () {
     getCurrentSlot,
     pullFromDevice,
     pushToDevice,
+    previewToDevice,
+    commitToDevice,
     enablePEQ,
+    encodeFilters,
+    decodeFilters,
 
     // Extra capabilities, flat top-level methods matching the naming
     // convention other handlers use (see walkplayHidHandler.js) so
@@ -685,7 +685,14 @@ export const usbHidDeviceHandlerConfig = ([
       experimental: false,
       availableSlots: [{id: 101, name: "Custom"}],
       // Display config for extras UI — handler-agnostic labels for dacWorkMode
-      dacWorkMode: { modes: [0, 1], modeLabels: ["Class H", "Class AB"] }
+      dacWorkMode: { modes: [0, 1], modeLabels: ["Class H", "Class AB"] },
+      // Reads change nothing, so one whose reply was dropped is asked again
+      // (deviceRetryPolicy.js). Not global gain: firmware without that
+      // register never answers, and every pull would wait for it twice.
+      retryPolicy: {
+        retries: 1,
+        idempotent: ["readVersion", "readSlot", "readMicGain", "readDenoise", "readDacFilter", "readDacWorkMode", "readGainMode"]
+      }
     },
     deviceGroups: {
       "SchemeNo11": {
@@ -871,6 +878,8 @@ export const usbHidDeviceHandlerConfig = ([
           supportsLSFilter: true,
           supportsHSFilter: true,
           deviceHandlesPregain: false,
+          supportsPreview: true,  // PACKET_ID_RAM writes, PACKET_ID_SAVE to keep
+          graphicEq: { freqs: [31, 62, 125, 250, 500, 1000, 2000, 4000, 8000], q: 1.0 },
           maxFilters: 9
         }
       },
@@ -897,6 +906,8 @@ export const usbHidDeviceHandlerConfig = ([
           supportsLSFilter: true,
           supportsHSFilter: true,
           deviceHandlesPregain: false,
+          supportsPreview: true,  // PACKET_ID_RAM writes, PACKET_ID_SAVE to keep
+          graphicEq: { freqs: [31, 62, 125, 250, 500, 1000, 2000, 4000, 8000], q: 1.0 },
           maxFilters: 9
         }
       },
@@ -1261,6 +1272,7 @@ export const usbHidDeviceHandlerConfig = ([
       disconnectOnSave: false,
       disabledPresetId: 0,
       experimental: true,
+      supportsPreview: true,  // SET_AND_SAVE_EQ_MODE is only sent on commit
       defaultResetFiltersValues:[{gain:0, freq: 100, q:1, filterType: "PK"}],
       reportId: 1,
       availableSlots: [
@@ -1284,6 +1296,7 @@ export const usbHidDeviceHandlerConfig = ([
           maxWritableEQSlots: 5,
           experimental: false,
           deviceHandlesPregain: true,
+          supportsPreview: true,
           qCompensation: { model: 'rbjGain' },
           bandwidthValue: 0,
           freqCompensation: { model: 'shelfSqrtA', fs: 48000 },
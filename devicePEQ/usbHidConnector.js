@@ -4,22 +4,92 @@
 // Declare UsbHIDConnector and attach it to the global window object
 
 export const UsbHIDConnector = ( async function () {
+    // Several devices can be open at once; currentDevice is the most recently
+    // connected one, which disconnectDevice() closes when called without one.
     let currentDevice = null;
+    const connectedDevices = new Set();
 
     const {usbHidDeviceHandlerConfig, handlerNameFor} = await import('./usbDeviceConfig.js');
     const { resolveConstraints, loadPeqConstraintsConfig } = await import('./peqConstraints.js');
     const { buildExtras } = await import('./deviceExtras.js');
-
-    const getDeviceConnected = async () => {
-        try {
-            // If a device is already connected, close it so the picker can select a
-            // different one (prevents stale currentDevice blocking KT Micro / Qudelix
-            // after switching away from a previously-connected WalkPlay device).
-            if (currentDevice != null) {
-              try { await currentDevice.rawDevice.close(); } catch (_) {}
-              currentDevice = null;
+    const { planWrite, isEmptyWriteSet, recordWrite, forgetWrites } = await import('./peqWriteSet.js');
+    const { transactionalPush } = await import('./peqTransaction.js');
+    const { reduceFilters, substituteFilters, supportsFilterType } = await import('./peqFit.js');
+    const { fitGraphicEq } = await import('./peqGraphicEq.js');
+    const { storedFilters, storedRows } = await import('./peqEncode.js');
+    const { isLinked, mapChannels } = await import('./peqChannels.js');
+    const { disconnectedError, unsupportedError, toDeviceError } = await import('./deviceErrors.js');
+    const { queuedOperation, PRIORITY } = await import('./deviceQueue.js');
+    const { waitForConnect } = await import('./deviceReconnect.js');
+
+    const FILTER_TYPE_NAMES = { LSQ: 'low shelf', HSQ: 'high shelf', LP: 'low pass', HP: 'high pass' };
+
+    // When multiple interfaces share vendorId+productId (e.g. Qudelix 5K), the
+    // usage pages of their collections tell the PEQ interface apart from the
+    // consumer-control one.
+    const sameCollectionSig = (a, b) =>
+      (a.collections||[]).map(c=>c.usagePage).sort().join() ===
+      (b.collections||[]).map(c=>c.usagePage).sort().join();
+
+    // Finds the vendor configuration for a raw device and, within it, the
+    // model-specific entry. Tries three matching strategies in order of preference:
+    // 1. Match by productName in devices
+    // 2. Match by productId in deviceGroups
+    // 3. Fall back to defaultModelConfig (deviceDetails = {})
+    // Returns null when no vendor configuration matches.
+    const findDeviceDetails = (rawDevice) => {
+        const vendorConfig = usbHidDeviceHandlerConfig.find(entry =>
+          entry.vendorIds.includes(rawDevice.vendorId)
+        );
+        if (!vendorConfig) return null;
+
+        let deviceDetails = vendorConfig.devices?.[rawDevice.productName];
+        let matchedGroupName = null;
+
+        // If no productName match, try matching by productId in deviceGroups
+        if (!deviceDetails && vendorConfig.deviceGroups) {
+          for (const [groupName, groupConfig] of Object.entries(vendorConfig.deviceGroups)) {
+            // Check if this group has a productIds array matching our device
+            if (Array.isArray(groupConfig.productIds) &&
+                groupConfig.productIds.includes(rawDevice.productId)) {
+              deviceDetails = groupConfig;
+              matchedGroupName = groupName;
+              break;
             }
+          }
+        }
+
+        // Fall back to empty object if still no match
+        return { vendorConfig, deviceDetails: deviceDetails || {}, matchedGroupName };
+    };
+
+    // Devices this origin was granted on an earlier visit that a handler here
+    // supports, one entry per physical device: [{ rawDevice, model, manufacturer }].
+    // Nothing is opened; pass rawDevice to getDeviceConnected() to connect.
+    const getGrantedDevices = async () => {
+        if (!navigator.hid?.getDevices) return [];
+        const granted = await navigator.hid.getDevices();
+        const byProduct = new Map();
+        for (const rawDevice of granted) {
+          const found = findDeviceDetails(rawDevice);
+          if (!found) continue;
+          // Multi-interface devices (Qudelix 5K) are granted once per interface;
+          // offer the vendor PEQ interface where there is one.
+          const key = `${rawDevice.vendorId}:${rawDevice.productId}`;
+          const isVendorHID = rawDevice.collections?.some(c => c.usagePage >= 0xFF00);
+          if (byProduct.has(key) && !isVendorHID) continue;
+          byProduct.set(key, {
+            rawDevice,
+            model: rawDevice.productName,
+            manufacturer: found.deviceDetails.manufacturer || found.vendorConfig.manufacturer,
+          });
+        }
+        return [...byProduct.values()];
+    };
 
+    // grantedDevice (from getGrantedDevices) connects without showing the chooser.
+    const getDeviceConnected = async (grantedDevice = null) => {
+        try {
             const vendorToManufacturer = usbHidDeviceHandlerConfig.flatMap(entry =>
               entry.vendorIds.map(vendorId => ({
                 vendorId,
@@ -27,7 +97,9 @@ export const UsbHIDConnector = ( async function () {
               }))
             );
             // Request devices matching the filters
-            const selectedDevices = await navigator.hid.requestDevice({ filters: vendorToManufacturer });
+            const selectedDevices = grantedDevice
+              ? [grantedDevice]
+              : await navigator.hid.requestDevice({ filters: vendorToManufacturer });
 
             if (selectedDevices.length > 0) {
                 let rawDevice = selectedDevices[0];
@@ -51,43 +123,23 @@ export const UsbHIDConnector = ( async function () {
                     rawDevice = sibling;
                   }
                 }
-                // Find the vendor configuration matching the selected device
-              const vendorConfig = usbHidDeviceHandlerConfig.find(entry =>
-                entry.vendorIds.includes(rawDevice.vendorId)
-              );
+                // Picking a device that is already open must not open it twice:
+                // the caller gets the existing details back and can switch to it.
+                const existing = [...connectedDevices].find(d => d.rawDevice === rawDevice);
+                if (existing) return { duplicate: true, device: existing };
 
-                if (!vendorConfig) {
+                // Find the vendor configuration matching the selected device
+                const found = findDeviceDetails(rawDevice);
+                if (!found) {
                   console.error("No configuration found for vendor:", rawDevice.vendorId);
                   return { unsupported: true };
                 }
-
+                const { vendorConfig, deviceDetails, matchedGroupName } = found;
                 const model = rawDevice.productName;
-
-                // Look up the model-specific configuration from the vendor config.
-                // Try three matching strategies in order of preference:
-                // 1. Match by productName in devices
-                // 2. Match by productId in deviceGroups
-                // 3. Fall back to defaultModelConfig
-                let deviceDetails = vendorConfig.devices?.[model];
-                let matchedGroupName = null;
-
-                // If no productName match, try matching by productId in deviceGroups
-                if (!deviceDetails && vendorConfig.deviceGroups) {
-                  for (const [groupName, groupConfig] of Object.entries(vendorConfig.deviceGroups)) {
-                    // Check if this group has a productIds array matching our device
-                    if (Array.isArray(groupConfig.productIds) &&
-                        groupConfig.productIds.includes(rawDevice.productId)) {
-                      deviceDetails = groupConfig;
-                      matchedGroupName = groupName;
-                      console.log(`Matched device by productId in group: ${groupName} (0x${rawDevice.productId.toString(16)})`);
-                      break;
-                    }
-                  }
+                if (matchedGroupName) {
+                  console.log(`Matched device by productId in group: ${matchedGroupName} (0x${rawDevice.productId.toString(16)})`);
                 }
 
-                // Fall back to empty object if still no match
-                deviceDetails = deviceDetails || {};
-
                 let modelConfig = Object.assign(
                   {},
                   vendorConfig.defaultModelConfig || {},
@@ -129,6 +181,7 @@ export const UsbHIDConnector = ( async function () {
                     deviceGroup: matchedGroupName,
                 };
                 currentDevice.extras = buildExtras(handler, currentDevice);
+                connectedDevices.add(currentDevice);
 
                 return currentDevice;
             } else {
@@ -138,37 +191,40 @@ export const UsbHIDConnector = ( async function () {
             }
         } catch (error) {
             console.error("Failed to connect to HID device:", error);
-            return null;
+            throw toDeviceError(error);
         }
     };
 
-    const disconnectDevice = async () => {
-        if (currentDevice && currentDevice.rawDevice) {
+    const disconnectDevice = async (device = currentDevice) => {
+        if (device && device.rawDevice) {
             try {
-                await currentDevice.rawDevice.close();
-                console.log("Device disconnected:", currentDevice.model);
-                currentDevice = null;
+                await device.rawDevice.close();
+                console.log("Device disconnected:", device.model);
             } catch (error) {
                 console.error("Failed to disconnect device:", error);
+            } finally {
+                connectedDevices.delete(device);
+                if (currentDevice === device) currentDevice = [...connectedDevices].pop() ?? null;
             }
         }
     };
     const checkDeviceConnected = async (device) => {
         var rawDevice = device.rawDevice;
         const rawDevices = await navigator.hid.getDevices();
-        // When multiple interfaces share vendorId+productId (e.g. Qudelix 5K),
-        // prefer the one whose collections match the currently-held device so we
-        // don't accidentally swap back to the consumer-control interface.
-        const sameCollectionSig = (a, b) =>
-          (a.collections||[]).map(c=>c.usagePage).sort().join() ===
-          (b.collections||[]).map(c=>c.usagePage).sort().join();
-        var matchingRawDevice = rawDevices.find(d =>
-          d.vendorId === rawDevice.vendorId &&
-          d.productId === rawDevice.productId &&
-          sameCollectionSig(d, rawDevice)
-        ) ?? rawDevices.find(d =>
-          d.vendorId === rawDevice.vendorId && d.productId === rawDevice.productId
-        );
+        // The held device itself, while it is still granted. Matching on VID/PID
+        // first would hand a push to whichever of two identical dongles the
+        // browser lists first.
+        var matchingRawDevice = rawDevices.includes(rawDevice) ? rawDevice : null;
+        if (!matchingRawDevice) {
+          // It has gone (unplugged and back, so a new HIDDevice): look for it by
+          // VID/PID, leaving alone any interface another connection holds, and
+          // prefer the one whose collections match so we don't accidentally swap
+          // back to the consumer-control interface.
+          const held = new Set([...connectedDevices].filter(d => d !== device).map(d => d.rawDevice));
+          const candidates = rawDevices.filter(d =>
+            !held.has(d) && d.vendorId === rawDevice.vendorId && d.productId === rawDevice.productId);
+          matchingRawDevice = candidates.find(d => sameCollectionSig(d, rawDevice)) ?? candidates[0];
+        }
         if (typeof matchingRawDevice == 'undefined' || matchingRawDevice == null ) {
             // NOT alert(). alert() blocks the main thread until it is dismissed,
             // which freezes the whole tab — and if the dialog opens behind
@@ -188,118 +244,219 @@ export const UsbHIDConnector = ( async function () {
         return true;
     };
 
-    const pushToDevice = async (device, phoneObj, slot, preamp, filters) => {
-        if (!await checkDeviceConnected(device)) {
-            throw Error("Device Disconnected");
-        }
-        if (device && device.handler) {
+    const fitSummary = ({ maxDb, rmsDb }) =>
+        `within ${maxDb.toFixed(1)} dB of the original curve (RMS ${rmsDb.toFixed(1)} dB)`;
+
+    // The filters a push hands the handler for `filters`, and a note for the
+    // user on each way they had to be changed to suit the device: fitted to a
+    // graphic EQ grid (peqGraphicEq.js), unsupported types approximated, more
+    // filters than bands (peqFit.js). Shared by pushToDevice() and the dry run
+    // in encodeFilters().
+    //
+    // An unlinked set (peqChannels.js) is prepared one channel at a time, each
+    // with the model's full band count, and comes back as the left bands then
+    // the right ones.
+    const prepareFilters = (device, filters) => {
+        if (isLinked(filters)) return prepareChannel(device, filters);
+        const notes = [];
+        const prepared = mapChannels(filters, (bands, channel) => {
+          const result = prepareChannel(device, bands);
+          const side = channel === 'L' ? 'Left' : 'Right';
+          notes.push(...result.notes.map(note => `${side} channel: ${note}`));
+          return result.filters;
+        });
+        return { filters: prepared, notes };
+    };
 
-          // Create a copy of the filters array to avoid modifying the original
-          let filtersToWrite = [...filters];
+    const prepareChannel = (device, filters) => {
+        const modelConfig = device.modelConfig;
+        const notes = [];
+        // Create a copy of the filters array to avoid modifying the original
+        let filtersToWrite = [...filters];
+
+        // Fixed-band models (modelConfig.graphicEq) only take a gain per band:
+        // the whole set is fitted to their grid (or, for a frequency table, to
+        // the entries nearest the filters).
+        const graphic = fitGraphicEq(filtersToWrite, modelConfig);
+        if (graphic) {
+          notes.push(graphic.table
+            ? `This device only takes band frequencies from a table - moved your filters to the nearest ` +
+              `ones and refitted their gains, ${fitSummary(graphic.residual)}.`
+            : `This device has a fixed ${graphic.filters.length}-band EQ - converted your filters ` +
+              `to band gains, ${fitSummary(graphic.residual)}.`);
+          filtersToWrite = graphic.filters;
+        }
 
-          // Ensure array is at most the maxFilters
-          if (filtersToWrite.length > device.modelConfig.maxFilters) {
-            console.warn(`USB Device PEQ: Truncating ${filtersToWrite.length} filters to ${device.modelConfig.maxFilters} (device limit)`);
-            if (window.showToast) {
-              window.showToast(`This device only supports ${device.modelConfig.maxFilters} PEQ filters - applying the first ${device.modelConfig.maxFilters} enabled filters.`, "warning", 10000, true);
-            }
+        // Filter types the device cannot store are approximated with ones it
+        // can, using any bands the rest of the set leaves free.
+        const substitution = substituteFilters(filtersToWrite, modelConfig);
+        if (substitution) {
+          const replaced = substitution.substituted
+            .map(s => `${FILTER_TYPE_NAMES[s.type]} at ${Math.round(s.freq)} Hz`).join(', ');
+          notes.push(`This device cannot store your ${replaced} - approximated with ` +
+            `supported filters, ${fitSummary(substitution.residual)}.`);
+          filtersToWrite = substitution.filters;
+        }
 
+        // Ensure array is at most the maxFilters. Spare disabled bands are
+        // simply left out; when there are more enabled filters than bands, the
+        // best-fitting maxFilters are kept and retuned.
+        if (filtersToWrite.length > modelConfig.maxFilters) {
+          const reduction = reduceFilters(filtersToWrite, modelConfig);
+          if (reduction) {
+            notes.push(`This device only supports ${modelConfig.maxFilters} PEQ filters - ` +
+              `fitted your ${reduction.reducedFrom} filters into ${modelConfig.maxFilters}, ` +
+              `${fitSummary(reduction.residual)}.`);
+            filtersToWrite = reduction.filters;
+          } else {
             const enabledFilters = filtersToWrite.filter(f => !f.disabled);
-            filtersToWrite = enabledFilters.length >= device.modelConfig.maxFilters
-              ? enabledFilters.slice(0, device.modelConfig.maxFilters)
-              : [
-                  ...enabledFilters,
-                  ...filtersToWrite.filter(f => f.disabled).slice(0, device.modelConfig.maxFilters - enabledFilters.length)
-                ];
+            filtersToWrite = [
+              ...enabledFilters,
+              ...filtersToWrite.filter(f => f.disabled).slice(0, modelConfig.maxFilters - enabledFilters.length)
+            ];
           }
+        }
 
-          // And do an upfront sanity check on the values
-          for (let i = 0 ; i < filtersToWrite.length; i++) {
-            // A quick sanity check on the filters
-            if (filtersToWrite[i].freq < 20 || filtersToWrite[i].freq > 20000) {
-              filtersToWrite[i].freq = 100;
-            }
-            if (filtersToWrite[i].q < 0.01 || filtersToWrite[i].q > 100) {
-              filtersToWrite[i].q = 1;
-            }
+        filtersToWrite = filtersToWrite.map(f => {
+          // A quick sanity check on the values
+          if (f.freq < 20 || f.freq > 20000) f = {...f, freq: 100};
+          if (f.q < 0.01 || f.q > 100) f = {...f, q: 1};
+          // Whatever is left of an unsupported type is flat (a 0 dB shelf) or
+          // disabled: keep its band as a flat PK
+          if (!supportsFilterType(f.type, modelConfig)) {
+            console.log(`USB Device PEQ: converting unsupported ${f.type} filter to PK with gain=0`);
+            f = {...f, type: "PK", gain: 0};
           }
+          return f;
+        });
 
-          // Determine per-type support from granular flags
-          const supportsLS = device.modelConfig.supportsLSFilter === true;
-          const supportsHS = device.modelConfig.supportsHSFilter === true;
-          const supportsLPHP = device.modelConfig.supportsLPHPFilters === true;
-
-          const hasUnsupportedLS = filtersToWrite.some(f => f.type === "LSQ" && f.gain !== 0) && !supportsLS;
-          const hasUnsupportedHS = filtersToWrite.some(f => f.type === "HSQ" && f.gain !== 0) && !supportsHS;
-          const hasUnsupportedLPHP = filtersToWrite.some(f => (f.type === "LP" || f.type === "HP")) && !supportsLPHP;
-
-          // Second, determine if we need pregain (only if globalGain is positive)
-          const needsPreGain = preamp < 0;
-
-          // Convert unsupported filter types to PK with gain=0
-          for (let i = 0; i < filtersToWrite.length; i++) {
-            const f = filtersToWrite[i];
-            if ((f.type === "LSQ" && !supportsLS) ||
-                (f.type === "HSQ" && !supportsHS) ||
-                ((f.type === "LP" || f.type === "HP") && !supportsLPHP)) {
-              console.log(`USB Device PEQ: converting unsupported ${f.type} filter to PK with gain=0`);
-              filtersToWrite[i] = {...f, type: "PK", gain: 0};
-            }
+        // If we have fewer filters than maxFilters, fill the rest with defaultResetFiltersValues
+        if (filtersToWrite.length < modelConfig.maxFilters && modelConfig.defaultResetFiltersValues) {
+          const defaultFilter = modelConfig.defaultResetFiltersValues[0];
+          console.log(`USB Device PEQ: filling missing filters with defaults:`, defaultFilter);
+
+          for (let i = filtersToWrite.length; i < modelConfig.maxFilters; i++) {
+
+            filtersToWrite.push({...defaultFilter});
           }
+        }
+        return { filters: filtersToWrite, notes };
+    };
 
-          // Warn about unsupported filter types
-          const hasUnsupportedShelfFilters = hasUnsupportedLS || hasUnsupportedHS;
-          if (hasUnsupportedShelfFilters && needsPreGain && device.modelConfig.deviceHandlesPregain === true) {
-            console.warn("Device handles pregain internally — host-computed pregain and unsupported shelf filters will be ignored");
-            if (window.showToast) {
-              window.showToast("Device handles pregain internally — unsupported filters will be ignored", "warning");
-            }
-          } else if (hasUnsupportedLS && hasUnsupportedHS) {
-            console.warn("Device does not support LS or HS filters - ignoring");
-            if (window.showToast) {
-              window.showToast("Device does not support Low Shelf or High Shelf filters - ignoring", "warning");
-            }
-          } else if (hasUnsupportedLS) {
-            console.warn("Device does not support Low Shelf filters - ignoring");
-            if (window.showToast) {
-              window.showToast("Device does not support Low Shelf filters - ignoring", "warning");
-            }
-          } else if (hasUnsupportedHS) {
-            console.warn("Device does not support High Shelf filters - ignoring");
+    // options.full forces every band to be rewritten even when the handler could
+    // take only the bands that changed since the last push (see peqWriteSet.js).
+    // options.bands names the bands to rewrite instead (read-back verify retrying
+    // the ones that did not match); handlers without band writes get them all.
+    //
+    // options.preview (or previewToDevice() below) writes through
+    // handler.previewToDevice() instead: the EQ is heard straight away but not
+    // saved to flash until commitToDevice(). Only models whose config sets
+    // `supportsPreview: true` take it.
+    const pushToDevice = async (device, phoneObj, slot, preamp, filters,
+                                { full = false, bands = null, preview = false } = {}) => {
+        if (!await checkDeviceConnected(device)) {
+            throw disconnectedError();
+        }
+        if (preview && !supportsPreview(device)) {
+            throw unsupportedError(`${device.model} cannot preview without saving`,
+              { code: 'PREVIEW_UNSUPPORTED' });
+        }
+        if (device && device.handler) {
+
+          const { filters: filtersToWrite, notes } = prepareFilters(device, filters);
+          for (const note of notes) {
+            console.warn(`USB Device PEQ: ${note}`);
             if (window.showToast) {
-              window.showToast("Device does not support High Shelf filters - ignoring", "warning");
+              window.showToast(note, "warning", 10000, true);
             }
-          } else if (needsPreGain && device.modelConfig.deviceHandlesPregain === true) {
+          }
+
+          if (preamp < 0 && device.modelConfig.deviceHandlesPregain === true) {
             console.warn("Device handles pregain internally — host-computed pregain will not be written");
             if (window.showToast) {
               window.showToast("Device handles pregain internally — no host pregain applied", "warning");
             }
           }
-          if (hasUnsupportedLPHP) {
-            console.warn("Device does not support LP/HP filters - ignoring");
-            if (window.showToast) {
-              window.showToast("Device does not support Low Pass / High Pass filters - ignoring", "warning");
-            }
-          }
-
-          // If we have fewer filters than maxFilters, fill the rest with defaultResetFiltersValues
-          if (filtersToWrite.length < device.modelConfig.maxFilters && device.modelConfig.defaultResetFiltersValues) {
-            const defaultFilter = device.modelConfig.defaultResetFiltersValues[0];
-            console.log(`USB Device PEQ: filling missing filters with defaults:`, defaultFilter);
 
-            for (let i = filtersToWrite.length; i < device.modelConfig.maxFilters; i++) {
+          const writeSet = full ? null
+            : bands ? (device.handler.supportsBandWrites === true ? { bands: [...bands], globalGain: false } : null)
+            : planWrite(device, slot, filtersToWrite, preamp);
+          // After a preview the bands are already live, but a save still has to
+          // reach the device even when none of them changed.
+          if (isEmptyWriteSet(writeSet) && (preview || !device.uncommitted)) {
+            console.log(`USB Device PEQ: nothing changed since the last push to slot ${slot} - skipping write`);
+            return false;
+          }
+          if (writeSet) {
+            console.log(`USB Device PEQ: writing changed band(s) [${writeSet.bands.join(', ')}]` +
+              (writeSet.globalGain ? ' and global gain' : '') + ` to slot ${slot}`);
+          }
 
-              filtersToWrite.push({...defaultFilter});
+          const write = preview ? 'previewToDevice' : 'pushToDevice';
+          try {
+            const disconnect = await transactionalPush({
+              label: device.model,
+              slot,
+              filters: filtersToWrite,
+              bands: writeSet?.bands ?? null,
+              supportsRead: device.modelConfig.transactionalPush !== false &&
+                resolveConstraints(device.modelConfig)?.supportsRead !== false,
+              timeoutMs: device.modelConfig.pushTimeoutMs,
+              read: (s) => device.handler.pullFromDevice(device, s),
+              push: () => device.handler[write](device, phoneObj, slot, preamp, filtersToWrite, writeSet),
+              restore: (snapshot) => device.handler[write](device, phoneObj, slot, snapshot.globalGain ?? 0, snapshot.filters),
+            });
+            recordWrite(device, slot, filtersToWrite, preamp);
+            if (preview) {
+              device.uncommitted = { phoneObj, slot, preamp, filters: filtersToWrite };
+            } else {
+              delete device.uncommitted;
             }
+            return disconnect;
+          } catch (error) {
+            // A failed write (even one rolled back from a snapshot read) leaves
+            // nothing we wrote ourselves to diff against.
+            forgetWrites(device, slot);
+            throw error;
           }
-
-          return await device.handler.pushToDevice(device, phoneObj, slot, preamp, filtersToWrite);
       } else {
           console.error("No device handler available for pushing.");
       }
       return true;   // Disconnect anyway
     };
 
+    const supportsPreview = (device) =>
+        device?.modelConfig?.supportsPreview === true &&
+        typeof device.handler?.previewToDevice === 'function' &&
+        typeof device.handler?.commitToDevice === 'function';
+
+    const previewToDevice = (device, phoneObj, slot, preamp, filters, options = {}) =>
+        pushToDevice(device, phoneObj, slot, preamp, filters, { ...options, preview: true });
+
+    // Saves what the last preview wrote. Resolves like pushToDevice() (true when
+    // the device restarts after saving); false when nothing is waiting.
+    const commitToDevice = async (device) => {
+        if (!await checkDeviceConnected(device)) {
+            throw disconnectedError();
+        }
+        const pending = device.uncommitted;
+        if (!pending) return false;
+        const { phoneObj, slot, preamp, filters } = pending;
+        console.log(`USB Device PEQ: committing previewed EQ to slot ${slot}`);
+        const disconnect = await device.handler.commitToDevice(device, phoneObj, slot, preamp, filters);
+        delete device.uncommitted;
+        return disconnect;
+    };
+
+    // Dry run of pushToDevice(): nothing is sent. Resolves the filters a push
+    // would hand the handler, what the device would store for each (see
+    // peqEncode.js), the comparison rows and the push's notes.
+    const encodeFilters = async (device, filters) => {
+        const { filters: requested, notes } = prepareFilters(device, filters);
+        const stored = storedFilters(device, requested);
+        return { requested, stored, rows: storedRows(device, requested, stored), notes };
+    };
+
     // Helper Function to Get Available 'Custom' Slots Based on the Device that we can write too
     const  getAvailableSlots = async (device) => {
         return device.modelConfig.availableSlots;
@@ -316,7 +473,7 @@ export const UsbHIDConnector = ( async function () {
 
     const pullFromDevice = async (device, slot) => {
         if (!await checkDeviceConnected(device)) {
-            throw Error("Device Disconnected");
+            throw disconnectedError();
         }
         if (device && device.handler) {
             return await device.handler.pullFromDevice(device, slot);
@@ -327,6 +484,10 @@ export const UsbHIDConnector = ( async function () {
     };
 
     const enablePEQ = async (device, enabled, slotId) => {
+        // Switching presets reloads the live registers, so earlier writes no
+        // longer describe what the device holds, and a preview is discarded.
+        forgetWrites(device);
+        if (device) delete device.uncommitted;
         if (device && device.handler) {
             return await device.handler.enablePEQ(device, enabled, slotId);
         } else {
@@ -334,7 +495,43 @@ export const UsbHIDConnector = ( async function () {
         }
     };
 
+    // Resolves to a fresh details object once the device behind `previous`
+    // reappears on the bus (restart after save, unplug/replug), or to null if it
+    // does not come back within the timeout or options.signal aborts. Only
+    // devices this page was already granted fire 'connect', so no chooser is shown.
+    const waitForReconnect = async (previous, { timeoutMs, signal } = {}) => {
+        const previousRaw = previous?.rawDevice;
+        if (!previousRaw || !navigator.hid) return null;
+        const rawDevice = await waitForConnect(navigator.hid, (event) => {
+            const d = event.device;
+            return d && d.vendorId === previousRaw.vendorId && d.productId === previousRaw.productId &&
+              sameCollectionSig(d, previousRaw) ? d : null;
+        }, {
+            timeoutMs: timeoutMs ?? previous.modelConfig?.reconnectTimeoutMs,
+            settleMs: previous.modelConfig?.reconnectSettleMs,
+            signal,
+        });
+        if (!rawDevice) return null;
+
+        try {
+            if (!rawDevice.opened) await rawDevice.open();
+        } catch (error) {
+            console.error(`Failed to reopen ${previous.model}:`, error);
+            return null;
+        }
+        // The write record and any unsaved preview described the device before
+        // it went away, and extras hold the old details object; start afresh.
+        const { lastWritten, extras, uncommitted, ...details } = previous;
+        connectedDevices.delete(previous);
+        currentDevice = { ...details, rawDevice };
+        currentDevice.extras = buildExtras(currentDevice.handler, currentDevice);
+        connectedDevices.add(currentDevice);
+        console.log(`[usbHidConnector] reconnected "${currentDevice.model}"`);
+        return currentDevice;
+    };
+
     const getCurrentDevice = () => currentDevice;
+    const getConnectedDevices = () => [...connectedDevices];
 
     // Returns the extras object for a device (capabilities beyond core PEQ).
     // The same object is already attached as device.extras when the device connects.
@@ -344,11 +541,18 @@ export const UsbHIDConnector = ( async function () {
         getDeviceConnected,
         getAvailableSlots,
         disconnectDevice,
-        pushToDevice,
-        pullFromDevice,
+        pushToDevice: queuedOperation(pushToDevice, { label: 'push', priority: PRIORITY.HIGH }),
+        previewToDevice: queuedOperation(previewToDevice, { label: 'preview', priority: PRIORITY.HIGH }),
+        commitToDevice: queuedOperation(commitToDevice, { label: 'commit', priority: PRIORITY.HIGH }),
+        pullFromDevice: queuedOperation(pullFromDevice, { label: 'pull', priority: PRIORITY.HIGH }),
         getCurrentDevice,
-        getCurrentSlot,
-        enablePEQ,
+        getConnectedDevices,
+        getCurrentSlot: queuedOperation(getCurrentSlot, { label: 'getCurrentSlot', priority: PRIORITY.NORMAL }),
+        enablePEQ: queuedOperation(enablePEQ, { label: 'enablePEQ', priority: PRIORITY.HIGH }),
         getExtras,
+        encodeFilters,
+        supportsPreview,
+        waitForReconnect,
+        getGrantedDevices,
     };
 })();
@@ -2,6 +2,8 @@
 // Common functions for Moondrop and WalkPlay handlers
 
 import { logHidTx, logHidRx } from './deviceDebugLog.js';
+import { timeoutError } from './deviceErrors.js';
+import { withRetry } from './deviceRetryPolicy.js';
 
 // Report sending with logging
 export async function sendReport(device, reportId, manufacturer, data) {
@@ -15,7 +17,7 @@ export function waitForResponse(device, manufacturer, matchFn, timeoutMs = 1000)
   return new Promise((resolve, reject) => {
     const timeout = setTimeout(() => {
       device.removeEventListener('inputreport', onReport);
-      reject(`Timeout waiting for response`);
+      reject(timeoutError(`Timeout waiting for response`));
     }, timeoutMs);
 
     const onReport = (event) => {
@@ -31,6 +33,22 @@ export function waitForResponse(device, manufacturer, matchFn, timeoutMs = 1000)
   });
 }
 
+// Send a request and wait for its reply under a retry policy (deviceRetryPolicy.js).
+// Each attempt resends the request and waits policy.timeoutMs for it.
+export function sendAndWaitForResponse(device, reportId, manufacturer, data, matchFn, policy) {
+  return withRetry(policy, async (timeoutMs) => {
+    // Listen before sending, so a quick reply is not missed.
+    const response = waitForResponse(device, manufacturer, matchFn, timeoutMs);
+    try {
+      await sendReport(device, reportId, manufacturer, data);
+    } catch (error) {
+      response.catch(() => {});
+      throw error;
+    }
+    return response;
+  });
+}
+
 // Helper for simple value encoding/decoding
 export function toLittleEndianBytes(value, numBytes = 2) {
   const bytes = [];
@@ -2,38 +2,42 @@
 // Declare UsbSerialConnector and attach it to the global window object
 
 export const UsbSerialConnector = (async function () {
+  // Every open port; currentDevice is the most recently connected one, which
+  // disconnectDevice() closes when called without a device.
   let devices = [];
   let currentDevice = null;
 
   const { usbSerialDeviceHandlerConfig } = await import('./usbSerialDeviceConfig.js');
   const { resolveConstraints, loadPeqConstraintsConfig } = await import('./peqConstraints.js');
+  const { transactionalPush } = await import('./peqTransaction.js');
+  const { fitGraphicEq } = await import('./peqGraphicEq.js');
+  const { storedFilters, storedRows } = await import('./peqEncode.js');
+  const { queuedOperation, PRIORITY } = await import('./deviceQueue.js');
+  const { waitForConnect } = await import('./deviceReconnect.js');
+  const { toDeviceError } = await import('./deviceErrors.js');
+  const { serialPortShims } = await import('./serialPortShims.js');
+  const { openSettings } = await import('./settingsStore.js');
+
+  // The profile last picked for each shared Bluetooth UUID, keyed as the
+  // 'dpq_bt_pick_<uuid>' cookies that held them before.
+  const PICK_COOKIE_PREFIX = 'dpq_bt_pick_';
+  const openSerialSettings = () => openSettings('devicePEQ.usbSerial', {
+    version: 1,
+    migrations: { 1: (values, legacy) => { values.picks = legacy.takeCookies(PICK_COOKIE_PREFIX); } },
+  });
 
   /**
    * When multiple device configs share the same Bluetooth SPP UUID, show a small
    * modal so the user can pick which device they actually connected.
    * Returns the chosen config object, or null if the user cancelled.
    */
-  function pickDeviceFromList(configs, disambigKey) {
-    return new Promise(resolve => {
-      // Cookie helpers — remember the user's choice per Bluetooth UUID
-      const cookieName = 'dpq_bt_pick_' + String(disambigKey || '').replace(/[^a-z0-9]/gi, '_').toLowerCase();
-
-      function readPickCookie() {
-        try {
-          const match = document.cookie.split(';').map(c => c.trim())
-            .find(c => c.startsWith(cookieName + '='));
-          return match ? decodeURIComponent(match.slice(cookieName.length + 1)) : null;
-        } catch (_) { return null; }
-      }
-
-      function writePickCookie(value) {
-        try {
-          const expires = new Date(Date.now() + 90 * 24 * 60 * 60 * 1000).toUTCString();
-          document.cookie = cookieName + '=' + encodeURIComponent(value)
-            + ';path=/;expires=' + expires;
-        } catch (_) {}
-      }
+  async function pickDeviceFromList(configs, disambigKey) {
+    // Remember the user's choice per Bluetooth UUID
+    const settings = await openSerialSettings();
+    const pickKey = String(disambigKey || '').replace(/[^a-z0-9]/gi, '_').toLowerCase();
+    const picks = settings.get('picks', {});
 
+    return new Promise(resolve => {
       // Build overlay + dialog
       const overlay = document.createElement('div');
       overlay.style.cssText = 'position:fixed;inset:0;background:rgba(0,0,0,.5);z-index:9999;display:flex;align-items:center;justify-content:center';
@@ -49,7 +53,7 @@ export const UsbSerialConnector = (async function () {
       select.style.cssText = 'width:100%;padding:8px;margin-bottom:4px;border:1px solid #ccc;border-radius:4px;font-size:.95rem';
 
       // Build options and check for a saved choice in one pass
-      const savedChoice = readPickCookie();
+      const savedChoice = picks[pickKey] ?? null;
       let preselectedIdx = -1;
       configs.forEach((cfg, i) => {
         const opt = document.createElement('option');
@@ -86,14 +90,74 @@ export const UsbSerialConnector = (async function () {
       cancelBtn.addEventListener('click', () => { cleanup(); resolve(null); });
       okBtn.addEventListener('click', () => {
         const chosen = configs[parseInt(select.value, 10)];
-        writePickCookie(`${chosen.entry.manufacturer} – ${chosen.name}`);
+        settings.set('picks', { ...picks, [pickKey]: `${chosen.entry.manufacturer} – ${chosen.name}` });
         cleanup();
         resolve(chosen);
       });
     });
   }
 
-  const getDeviceConnected = async () => {
+  // Opens a port and builds the read()/write() shims some handlers expect
+  // (serialPortShims.js).
+  // Always prefers modelConfig.baudRate; falls back to 9600 for BT SPP, 115200 for USB.
+  async function openPort(rawDevice, info, modelConfig) {
+    const defaultBaud = info.bluetoothServiceClassId ? 9600 : 115200;
+    const baudRate = (modelConfig && modelConfig.baudRate) ? modelConfig.baudRate : defaultBaud;
+    await rawDevice.open({ baudRate });
+    return serialPortShims(rawDevice, modelConfig);
+  }
+
+  // Collects ALL configs matching a port's info (USB exact-match or BT SPP UUID
+  // match). More than one entry means several models share a Bluetooth profile.
+  function matchingConfigsFor(info) {
+    const productId = info.usbProductId;
+    const bluetoothServiceClassId = info.bluetoothServiceClassId;
+    const matchingConfigs = [];
+    for (const entry of usbSerialDeviceHandlerConfig) {
+      // USB vendor + product ID — exact, no ambiguity
+      if (entry.vendorId && entry.vendorId === info.usbVendorId) {
+        for (const [name, model] of Object.entries(entry.devices)) {
+          if (model.usbProductId === productId) {
+            matchingConfigs.push({ entry, name, model });
+            break;
+          }
+        }
+        continue; // USB match found for this entry; no need to check BT filters
+      }
+
+      // Bluetooth SPP UUID match — potentially ambiguous across multiple entries
+      if (entry.filters) {
+        const svc = (bluetoothServiceClassId || '').toLowerCase();
+        const cfgSingle = (entry.filters.bluetoothServiceClassId || '').toLowerCase();
+        const cfgList = Array.isArray(entry.filters.allowedBluetoothServiceClassIds)
+          ? entry.filters.allowedBluetoothServiceClassIds.map(x => String(x).toLowerCase())
+          : [];
+        if (svc && (svc === cfgSingle || cfgList.includes(svc))) {
+          for (const [name, model] of Object.entries(entry.devices)) {
+            matchingConfigs.push({ entry, name, model });
+          }
+        }
+      }
+    }
+    return matchingConfigs;
+  }
+
+  // Granted ports a handler here supports: [{ rawDevice, model, manufacturer }].
+  // Ports whose Bluetooth profile fits several models are left out — connecting
+  // them needs the picker, so they are better reached through the chooser.
+  const getGrantedDevices = async () => {
+    if (!navigator.serial?.getPorts) return [];
+    const ports = await navigator.serial.getPorts();
+    return ports.flatMap(rawDevice => {
+      const matches = matchingConfigsFor(rawDevice.getInfo());
+      if (matches.length !== 1) return [];
+      const [{ entry, name }] = matches;
+      return [{ rawDevice, model: entry.model || name, manufacturer: entry.manufacturer }];
+    });
+  };
+
+  // grantedPort (from getGrantedDevices) connects without showing the chooser.
+  const getDeviceConnected = async (grantedPort = null) => {
     try {
       // Build filters for device selection - support both USB and Bluetooth SPP
       const filters = [];
@@ -127,39 +191,16 @@ export const UsbSerialConnector = (async function () {
         requestOptions.allowedBluetoothServiceClassIds = bluetoothServiceIds;
       }
 
-      const rawDevice = await navigator.serial.requestPort(requestOptions);
+      const rawDevice = grantedPort ?? await navigator.serial.requestPort(requestOptions);
+      // An already-open port is handed back rather than opened a second time.
+      const existing = devices.find(d => d.rawDevice === rawDevice);
+      if (existing) return { duplicate: true, device: existing };
+
       const info = rawDevice.getInfo();
       const productId = info.usbProductId;
       const bluetoothServiceClassId = info.bluetoothServiceClassId;
 
-      // Collect ALL matching configs (USB exact-match or BT SPP UUID match)
-      const matchingConfigs = [];
-      for (const entry of usbSerialDeviceHandlerConfig) {
-        // USB vendor + product ID — exact, no ambiguity
-        if (entry.vendorId && entry.vendorId === info.usbVendorId) {
-          for (const [name, model] of Object.entries(entry.devices)) {
-            if (model.usbProductId === productId) {
-              matchingConfigs.push({ entry, name, model });
-              break;
-            }
-          }
-          continue; // USB match found for this entry; no need to check BT filters
-        }
-
-        // Bluetooth SPP UUID match — potentially ambiguous across multiple entries
-        if (entry.filters) {
-          const svc = (bluetoothServiceClassId || '').toLowerCase();
-          const cfgSingle = (entry.filters.bluetoothServiceClassId || '').toLowerCase();
-          const cfgList = Array.isArray(entry.filters.allowedBluetoothServiceClassIds)
-            ? entry.filters.allowedBluetoothServiceClassIds.map(x => String(x).toLowerCase())
-            : [];
-          if (svc && (svc === cfgSingle || cfgList.includes(svc))) {
-            for (const [name, model] of Object.entries(entry.devices)) {
-              matchingConfigs.push({ entry, name, model });
-            }
-          }
-        }
-      }
+      const matchingConfigs = matchingConfigsFor(info);
 
       // If multiple BT SPP devices share the same UUID, ask the user to disambiguate
       let chosen = null;
@@ -188,45 +229,7 @@ export const UsbSerialConnector = (async function () {
         return;
       }
 
-      // Open device with appropriate baud rate.
-      // Always prefer modelConfig.baudRate when specified; fall back to 9600 for BT SPP, 115200 for USB.
-      const defaultBaud = bluetoothServiceClassId ? 9600 : 115200;
-      const baudRate = (modelConfig && modelConfig.baudRate) ? modelConfig.baudRate : defaultBaud;
-      await rawDevice.open({ baudRate });
-
-      // Set up readable and writable shim helpers for handlers expecting simple read()/write()
-      // Important: do NOT hold reader/writer locks persistently to avoid blocking other handlers (e.g., FiiO)
-      let readable = null;
-      let writable = null;
-      try {
-        if (rawDevice.readable && typeof rawDevice.readable.getReader === 'function') {
-          readable = {
-            async read() {
-              const r = rawDevice.readable.getReader();
-              try {
-                const res = await r.read();
-                return res;
-              } finally {
-                try { r.releaseLock(); } catch (_) {}
-              }
-            }
-          };
-        }
-        if (rawDevice.writable && typeof rawDevice.writable.getWriter === 'function') {
-          writable = {
-            async write(data) {
-              const w = rawDevice.writable.getWriter();
-              try {
-                await w.write(data);
-              } finally {
-                try { w.releaseLock(); } catch (_) {}
-              }
-            }
-          };
-        }
-      } catch (e) {
-        console.warn('UsbSerialConnector: Failed to set up read/write shims:', e);
-      }
+      const { readable, writable } = await openPort(rawDevice, info, modelConfig);
 
       const model = vendorConfig.model || modelName || "Unknown Serial Device";
 
@@ -251,42 +254,88 @@ export const UsbSerialConnector = (async function () {
         return { cancelled: true };
       }
       console.error("Failed to connect to Serial device:", error);
-      return null;
+      throw toDeviceError(error);
     }
   };
 
-  const disconnectDevice = async () => {
-    if (currentDevice && currentDevice.rawDevice) {
+  const disconnectDevice = async (device = currentDevice) => {
+    if (device && device.rawDevice) {
       try {
         // Release reader/writer if we created them
         try {
-          if (currentDevice.readable && typeof currentDevice.readable.releaseLock === 'function') {
-            currentDevice.readable.releaseLock();
+          if (device.readable && typeof device.readable.releaseLock === 'function') {
+            device.readable.releaseLock();
           }
         } catch (e) {
           console.warn('UsbSerialConnector: releasing readable lock failed', e);
         }
         try {
-          if (currentDevice.writable && typeof currentDevice.writable.releaseLock === 'function') {
-            currentDevice.writable.releaseLock();
+          if (device.writable && typeof device.writable.releaseLock === 'function') {
+            device.writable.releaseLock();
           }
         } catch (e) {
           console.warn('UsbSerialConnector: releasing writable lock failed', e);
         }
 
-        await currentDevice.rawDevice.close();
-        devices = devices.filter(d => d !== currentDevice);
-        currentDevice = null;
+        await device.rawDevice.close();
         console.log("Serial device disconnected.");
       } catch (error) {
         console.error("Failed to disconnect serial device:", error);
+      } finally {
+        devices = devices.filter(d => d !== device);
+        if (currentDevice === device) currentDevice = devices[devices.length - 1] ?? null;
       }
     }
   };
 
+  // The filters a push hands the handler, and a note for the user when they
+  // had to be changed: fixed-band models (modelConfig.graphicEq) get a gain per
+  // grid band that best matches the filters, rather than filters they would
+  // misread, and frequency-table models their bands moved onto the table.
+  const prepareFilters = (device, filters) => {
+    const graphic = fitGraphicEq(filters, device.modelConfig);
+    if (!graphic) return { filters, notes: [] };
+    const { maxDb, rmsDb } = graphic.residual;
+    const change = graphic.table
+      ? 'only takes band frequencies from a table - moved your filters to the nearest ones and refitted their gains'
+      : `has a fixed ${graphic.filters.length}-band EQ - converted your filters to band gains`;
+    return {
+      filters: graphic.filters,
+      notes: [`This device ${change}, ` +
+        `within ${maxDb.toFixed(1)} dB of the original curve (RMS ${rmsDb.toFixed(1)} dB).`],
+    };
+  };
+
   const pushToDevice = async (device, phoneObj, slot, preamp, filters) => {
     if (!device || !device.handler) return;
-    return await device.handler.pushToDevice(device, phoneObj, slot, preamp, filters);
+
+    const prepared = prepareFilters(device, filters);
+    for (const note of prepared.notes) {
+      console.warn(`UsbSerialConnector: ${note}`);
+      if (window.showToast) {
+        window.showToast(note, "warning", 10000, true);
+      }
+    }
+    filters = prepared.filters;
+
+    return await transactionalPush({
+      label: device.model,
+      slot,
+      filters,
+      supportsRead: device.modelConfig?.transactionalPush !== false &&
+        resolveConstraints(device.modelConfig)?.supportsRead !== false,
+      timeoutMs: device.modelConfig?.pushTimeoutMs,
+      read: (s) => device.handler.pullFromDevice(device, s),
+      push: () => device.handler.pushToDevice(device, phoneObj, slot, preamp, filters),
+      restore: (snapshot) => device.handler.pushToDevice(device, phoneObj, slot, snapshot.globalGain ?? 0, snapshot.filters),
+    });
+  };
+
+  // Dry run of pushToDevice(): see peqEncode.js.
+  const encodeFilters = async (device, filters) => {
+    const { filters: requested, notes } = prepareFilters(device, filters);
+    const stored = storedFilters(device, requested);
+    return { requested, stored, rows: storedRows(device, requested, stored), notes };
   };
 
   const pullFromDevice = async (device, slot) => {
@@ -307,16 +356,59 @@ export const UsbSerialConnector = (async function () {
     if (device && device.handler) return await device.handler.enablePEQ(device, enabled, slotId);
   };
 
+  // USB ports are recognised by vendor/product id; Bluetooth SPP ports carry
+  // neither, so the service class is the best we have.
+  const samePort = (port, info) => {
+    const portInfo = port?.getInfo?.() ?? {};
+    if (info.usbVendorId != null) {
+      return portInfo.usbVendorId === info.usbVendorId && portInfo.usbProductId === info.usbProductId;
+    }
+    return !!info.bluetoothServiceClassId && portInfo.bluetoothServiceClassId === info.bluetoothServiceClassId;
+  };
+
+  // Resolves to fresh details once the port behind `previous` is back (restart
+  // after save, unplug/replug), or to null on timeout / options.signal abort.
+  // The model chosen at connect time is kept, so an ambiguous Bluetooth profile
+  // is not asked about again.
+  const waitForReconnect = async (previous, { timeoutMs, signal } = {}) => {
+    if (!previous?.info || !navigator.serial) return null;
+    const rawDevice = await waitForConnect(navigator.serial,
+      (event) => (samePort(event.target, previous.info) ? event.target : null), {
+        timeoutMs: timeoutMs ?? previous.modelConfig?.reconnectTimeoutMs,
+        settleMs: previous.modelConfig?.reconnectSettleMs,
+        signal,
+      });
+    if (!rawDevice) return null;
+
+    try {
+      const { readable, writable } = await openPort(rawDevice, previous.info, previous.modelConfig);
+      const { extras, ...details } = previous;
+      devices = devices.filter(d => d !== previous);
+      currentDevice = { ...details, rawDevice, info: rawDevice.getInfo(), readable, writable };
+      devices.push(currentDevice);
+      console.log(`UsbSerialConnector: reconnected ${currentDevice.model}`);
+      return currentDevice;
+    } catch (error) {
+      console.error(`Failed to reopen ${previous.model}:`, error);
+      return null;
+    }
+  };
+
   const getCurrentDevice = () => currentDevice;
+  const getConnectedDevices = () => [...devices];
 
   return {
     getDeviceConnected,
     getAvailableSlots,
     disconnectDevice,
-    pushToDevice,
-    pullFromDevice,
+    pushToDevice: queuedOperation(pushToDevice, { label: 'push', priority: PRIORITY.HIGH }),
+    pullFromDevice: queuedOperation(pullFromDevice, { label: 'pull', priority: PRIORITY.HIGH }),
     getCurrentDevice,
-    getCurrentSlot,
-    enablePEQ,
+    getConnectedDevices,
+    getCurrentSlot: queuedOperation(getCurrentSlot, { label: 'getCurrentSlot', priority: PRIORITY.NORMAL }),
+    enablePEQ: queuedOperation(enablePEQ, { label: 'enablePEQ', priority: PRIORITY.HIGH }),
+    encodeFilters,
+    waitForReconnect,
+    getGrantedDevices,
   };
 })();
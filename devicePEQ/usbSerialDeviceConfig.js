@@ -215,7 +215,8 @@ export const usbSerialDeviceHandlerConfig = [
   // ── EarFun Tune Pro ───────────────────────────────────────────────────────
   // Classic Bluetooth SPP (standard UUID), 115200 baud.
   // 10-band graphic EQ — WRITE ONLY (device does not return EQ data).
-  // Fixed Q factor; frequency and gain per band.
+  // Fixed Q factor; frequency and gain per band. Pushes are fitted to the
+  // STANDARD_FREQS grid (graphicEq below).
   {
     manufacturer: "EarFun",
     handler:      earfunUsbSerial,
@@ -235,6 +236,7 @@ export const usbSerialDeviceHandlerConfig = [
           experimental:        false,
           writeOnly:           true,
           flatEQPhoneMeasurement: "EarfunTunePro-ANC-Default",
+          graphicEq: { freqs: [31.5, 63, 125, 250, 500, 1000, 2000, 4000, 8000, 16000], q: 1.0 },
           availableSlots: [{ id: 0, name: "Custom EQ" }]
         }
       }
@@ -244,7 +246,9 @@ export const usbSerialDeviceHandlerConfig = [
   // ── Edifier (ConnectX headphones) ─────────────────────────────────────────
   // Classic Bluetooth SPP (standard UUID), 115200 baud.
   // 4-band parametric EQ — WRITE ONLY.
-  // Gain range: ±6 dB.  Frequency limited to ~21 verified lookup-table entries.
+  // Gain range: ±6 dB.  Frequency limited to ~21 verified lookup-table entries,
+  // so each pushed band is moved to the nearest entry and the gains refitted
+  // (graphicEq.table below).
   {
     manufacturer: "Edifier",
     handler:      edifierUsbSerial,
@@ -264,6 +268,11 @@ export const usbSerialDeviceHandlerConfig = [
           experimental:        false,
           writeOnly:           true,
           flatEQPhoneMeasurement: "Edifier 830NB Custom EQ 0db",
+          // The FREQ_TABLE centres (edifierUsbSerialHandler.js)
+          graphicEq: {
+            table: [20, 50, 75, 76, 77, 100, 150, 175, 200, 400, 500,
+                    1000, 1500, 2000, 3000, 3078, 4000, 5000, 6000, 8000, 10000]
+          },
           availableSlots: [{ id: 0, name: "Custom EQ" }]
         }
       }
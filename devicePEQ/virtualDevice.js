@@ -0,0 +1,578 @@
+// virtualDevice.js
+// Copyright 2025 : Pragmatic Audio
+//
+// In-browser stand-ins for real devices, so the plugin can be demoed and
+// developed without hardware. Any model in usbDeviceConfig.js,
+// usbSerialDeviceConfig.js or bluetoothBleDeviceConfig.js can be opened:
+//
+//   const model = listVirtualModels().find(m => m.model === 'FIIO KA17');
+//   const device = createVirtualDevice(model, modelConfig);  // constraints merged in
+//   await device.handler.pullFromDevice(device);  // fiioUsbHID, against an emulator
+//
+// How much is real depends on the model's handler:
+//
+//   register  WalkPlay, KT Micro and FiiO USB HID models, every serial / SPP
+//             model and both BLE families. The real handler talks to an
+//             emulated device - an EmulatedHIDDevice (tests/MockHIDDevice.js),
+//             EmulatedSerialPort (tests/MockSerialPort.js, behind the same
+//             serialPortShims.js read()/write() the connector builds) or
+//             EmulatedBLEDevice (tests/MockBLEDevice.js) - that answers its
+//             reads from the bytes it last wrote. Push, pull, slots and the
+//             WalkPlay extras all run the shipping protocol code; the BLE
+//             replies match the recorded ones in tests/captures.
+//   profile   the remaining USB HID models (Moondrop, Conexant and Fosi
+//             Audio). Their protocols have no emulator yet, so the handler is
+//             replaced by one that keeps each slot's filters in memory, held
+//             to the profile's limits and then through the real handler's
+//             encodeFilters/decodeFilters (peqEncode.js). Slots, limits and
+//             the push/pull flow behave like the model; its wire protocol is
+//             not exercised.
+//
+// Network devices are not offered: they are opened by address rather than
+// picked by model, and their handlers already run against tests/MockNetwork.js
+// and tests/fakeNetworkDevice.mjs.
+//
+// State lives as long as the virtual device object, so a pushed slot reads
+// back until the page is reloaded.
+
+import { MockHIDDevice } from '../tests/MockHIDDevice.js';
+import { MockSerialPort } from '../tests/MockSerialPort.js';
+import { MockBLEDevice } from '../tests/MockBLEDevice.js';
+import { serialPortShims } from './serialPortShims.js';
+import { storedFilters } from './peqEncode.js';
+import { expectedAfterWrite } from './peqVerify.js';
+import { graphicEqBands } from './peqGraphicEq.js';
+import { mapChannels } from './peqChannels.js';
+
+const { usbHidDeviceHandlerConfig, handlerNameFor } = await import('./usbDeviceConfig.js');
+const { usbSerialDeviceHandlerConfig } = await import('./usbSerialDeviceConfig.js');
+const { bluetoothBleDeviceHandlerConfig } = await import('./bluetoothBleDeviceConfig.js');
+const { jdsLabsUsbSerial } = await import('./jdsLabsUsbSerialHandler.js');
+const { nothingUsbSerial } = await import('./nothingUsbSerialHandler.js');
+const { fiioUsbSerial } = await import('./fiioUsbSerialHandler.js');
+const { fiioSppSerial } = await import('./fiioSppSerialHandler.js');
+const { ritaUsbSerial } = await import('./ritaUsbSerialHandler.js');
+const { moondropEdgeUsbSerial } = await import('./moondropEdgeUsbSerialHandler.js');
+const { earfunUsbSerial } = await import('./earfunUsbSerialHandler.js');
+const { edifierUsbSerial } = await import('./edifierUsbSerialHandler.js');
+const { fiioBle } = await import('./fiioBleHandler.js');
+const { airohaBle } = await import('./airohaBleHandler.js');
+
+const REPORT_LENGTH = 64;
+const RESPONSE_DELAY_MS = 2;
+
+// Every model the three configs describe:
+//   [{ id, transport: 'usb'|'serial'|'ble', manufacturer, model, handler,
+//      handlerName, modelConfig, vendorId?, productId?, bluetoothServiceClassId? }]
+// modelConfig is the vendor defaults merged with the model's own, unresolved.
+export function listVirtualModels() {
+  const models = [];
+  const add = (transport, vendor, model, entry, ids = {}) => models.push({
+    id: `${transport}/${entry.manufacturer || vendor.manufacturer}/${model}`,
+    transport,
+    manufacturer: entry.manufacturer || vendor.manufacturer,
+    model,
+    handler: entry.handler || vendor.handler,
+    handlerName: handlerNameFor(entry.handler || vendor.handler),
+    modelConfig: { ...(vendor.defaultModelConfig || {}), ...(entry.modelConfig || {}) },
+    ...ids,
+  });
+
+  for (const vendor of usbHidDeviceHandlerConfig) {
+    const vendorId = vendor.vendorIds[0];
+    for (const [model, entry] of Object.entries(vendor.devices || {})) {
+      add('usb', vendor, model, entry, { vendorId, productId: entry.productId ?? 0 });
+    }
+    for (const [group, entry] of Object.entries(vendor.deviceGroups || {})) {
+      add('usb', vendor, group, entry, { vendorId, productId: entry.productIds?.[0] ?? 0 });
+    }
+  }
+  for (const vendor of usbSerialDeviceHandlerConfig) {
+    const ids = vendor.filters?.bluetoothServiceClassId
+      ? { bluetoothServiceClassId: vendor.filters.bluetoothServiceClassId }
+      : { vendorId: vendor.vendorId };
+    for (const [model, entry] of Object.entries(vendor.devices || {})) {
+      add('serial', vendor, model, entry, { ...ids, productId: entry.usbProductId });
+    }
+  }
+  for (const vendor of bluetoothBleDeviceHandlerConfig) {
+    for (const [model, entry] of Object.entries(vendor.devices || {})) add('ble', vendor, model, entry);
+  }
+  return models;
+}
+
+// ── USB HID emulators ──────────────────────────────────────────────────────
+// Each takes the bytes the handler sent and the device's register store, and
+// returns the report to send back, or null for none. Replies are padded to a
+// full report.
+
+// WalkPlay (walkplayHidHandler.js). Reads are answered with the last write
+// to the same command - PEQ_VALUES per band index - with READ in byte 0.
+const WALKPLAY = {
+  respond(bytes, registers) {
+    const [op, cmd] = bytes;
+    if (op === 0x01) {
+      if (cmd === 0x09) registers.set(`band${bytes[4]}`, bytes);
+      else if (cmd === 0x01 && bytes.length === 5 && bytes[2] === 1) registers.set('slot', bytes[3]);
+      else if (cmd !== 0x01) registers.set(cmd, bytes);
+      return null;
+    }
+    if (op !== 0x80) return null;
+    if (cmd === 0x0C) return [0x80, 0x0C, 0x03, 0x31, 0x2E, 0x30];  // firmware "1.0"
+    if (cmd === 0x09 && bytes.length <= 3) {
+      const reply = new Array(REPORT_LENGTH).fill(0);
+      reply.splice(0, 2, 0x80, 0x09);
+      reply[35] = registers.get('slot') ?? 0;
+      return reply;
+    }
+    if (cmd === 0x09) {
+      const band = registers.get(`band${bytes[4]}`);
+      return band ? [0x80, ...band.slice(1)] : [0x80, 0x09, 0x18, 0x00, bytes[4]];
+    }
+    const written = registers.get(cmd);
+    // Mic gain reads back without the length byte its write carries.
+    if (cmd === 0x02) return written ? [0x80, 0x02, written[3], written[4]] : [0x80, 0x02];
+    return written ? [0x80, ...written.slice(1)] : [0x80, cmd];
+  },
+  seed(handler, details, filters, slot) {
+    return [[0x01, 0x01, 0x01, slot, 0x00], ...handler.encodeFilters(details, filters, slot)];
+  },
+};
+
+// KT Micro (ktmicroUsbHidHandler.js): one register per packet byte 0. Writes,
+// commit and clear are acknowledged by echoing them; reads return the
+// register's last written value.
+const KTMICRO = {
+  respond(bytes, registers) {
+    const [reg, , , , cmd] = bytes;
+    if (cmd === 0x57) registers.set(reg, bytes);
+    if (cmd !== 0x52) return bytes;
+    const written = registers.get(reg);
+    return [reg, 0, 0, 0, 0x52, 0, ...(written ? written.slice(6) : [0, 0, 0, 0])];
+  },
+  seed(handler, details, filters, slot) {
+    return [
+      [0x24, 0, 0, 0, 0x57, 0, slot, 0, 0, 0],
+      ...handler.encodeFilters(details, filters).flatMap(band => [band.gainFreq, band.q]),
+    ].map(packet => Array.from(packet));
+  },
+};
+
+// FiiO USB (fiioUsbHidHandler.js): a GET is answered with the last SET of the
+// same command - PEQ_FILTER_PARAMS per band index - under the GET header.
+const FIIO = {
+  respond(bytes, registers) {
+    const [h1, h2, , , cmd] = bytes;
+    const key = cmd === 0x15 ? `band${bytes[6]}` : cmd;
+    if (h1 === 0xAA && h2 === 0x0A) {
+      registers.set(key, bytes);
+      return null;
+    }
+    if (h1 !== 0xBB || h2 !== 0x0B) return null;
+    const written = registers.get(key);
+    if (written) return [0xBB, 0x0B, ...written.slice(2)];
+    return cmd === 0x15 ? [0xBB, 0x0B, 0, 0, cmd, 8, bytes[6]] : [0xBB, 0x0B, 0, 0, cmd, 1];
+  },
+  seed(handler, details, filters, slot) {
+    return [
+      [0xAA, 0x0A, 0, 0, 0x16, 1, slot, 0, 0xEE],
+      [0xAA, 0x0A, 0, 0, 0x18, 1, filters.length, 0, 0xEE],
+      ...handler.encodeFilters(details, filters),
+    ];
+  },
+};
+
+// ── Serial and BLE emulators ───────────────────────────────────────────────
+// The same shape: the bytes written, the register store and the model's
+// config in; the reply to queue for the handler's next read out, or null.
+// A reply is one chunk, however long.
+
+const textEncoder = new TextEncoder();
+const textDecoder = new TextDecoder();
+
+// JDS Labs (jdsLabsUsbSerialHandler.js): NUL-terminated JSON. Describe is
+// answered with the Headphone DSP an Update last set, on the USB input.
+const JDS_BANDS = ['Lowshelf 1', 'Lowshelf 2', ...Array.from({ length: 8 }, (_, i) => `Peaking ${i + 1}`),
+  'Highshelf 1', 'Highshelf 2'];
+const JDS_LABS = {
+  respond(bytes, registers) {
+    const command = JSON.parse(textDecoder.decode(Uint8Array.from(bytes)).split('\0')[0]);
+    const headphone = registers.get('headphone') ?? {};
+    let reply;
+    if (command.Action === 'Describe') {
+      reply = { Configuration: { General: { 'Input Mode': { Current: 'USB' } }, DSP: { Headphone: headphone } } };
+    } else if (command.Action === 'Update') {
+      for (const [name, value] of Object.entries(command.Configuration?.DSP?.Headphone ?? {})) {
+        headphone[name] = Object.fromEntries(Object.entries(value).map(([key, current]) => [key, { Current: current }]));
+      }
+      registers.set('headphone', headphone);
+      reply = { Status: true };
+    } else {
+      return null;
+    }
+    return Array.from(textEncoder.encode(JSON.stringify(reply) + '\0'));
+  },
+  seed(handler, details, filters) {
+    const headphone = { Preamp: { Gain: 0, Mode: 'AUTO' } };
+    handler.encodeFilters(details, filters).forEach((band, i) => { headphone[JDS_BANDS[i]] = band; });
+    const update = { Action: 'Update', Configuration: { DSP: { Headphone: headphone } } };
+    return [Array.from(textEncoder.encode(JSON.stringify(update) + '\0'))];
+  },
+};
+
+// Nothing (nothingUsbSerialHandler.js): [55 60 01 cmdLo cmdHi len 00 opId]
+// frames with a CRC-16 after the payload. A read is answered under its
+// response code - the command with bit 15 clear - and writing the custom EQ
+// puts the device in its Custom mode (the model's firstWritableEQSlot).
+const NOTHING_READ_EQ_MODE = 49183;
+const NOTHING_READ_EQ_VALUES = 49229;
+const NOTHING_SET_CUSTOM_EQ = 61520;
+function nothingFrame(command, payload, opId = 0) {
+  const frame = [0x55, 0x60, 0x01, command & 0xFF, (command >> 8) & 0xFF, payload.length, 0x00, opId, ...payload];
+  let crc = 0xFFFF;
+  for (const byte of frame) {
+    crc ^= byte;
+    for (let j = 0; j < 8; j++) crc = (crc & 1) ? ((crc >> 1) ^ 0xA001) : (crc >> 1);
+  }
+  return [...frame, crc & 0xFF, crc >> 8];
+}
+const NOTHING = {
+  respond(bytes, registers, modelConfig) {
+    const command = bytes[3] | (bytes[4] << 8);
+    const payload = bytes.slice(8, 8 + bytes[5]);
+    const reply = (data = []) => nothingFrame(command & 0x7FFF, data, bytes[7]);
+    if (command === NOTHING_SET_CUSTOM_EQ) {
+      registers.set('eq', payload);
+      registers.set('mode', modelConfig?.firstWritableEQSlot ?? 5);
+      return reply();
+    }
+    if (command === NOTHING_READ_EQ_MODE) return reply([registers.get('mode') ?? 0]);
+    if (command === NOTHING_READ_EQ_VALUES) return reply(registers.get('eq') ?? []);
+    return command & 0x8000 ? reply() : null;
+  },
+  seed(handler, details, filters) {
+    return [nothingFrame(NOTHING_SET_CUSTOM_EQ, Array.from(handler.encodeFilters(details, filters)))];
+  },
+};
+
+// FiiO USB serial (fiioUsbSerialHandler.js): the FiiO USB HID registers, as
+// whole frames. Every SET is acknowledged by echoing it, and a GET of
+// something never set still gets a frame its LEN byte accounts for.
+const FIIO_SERIAL = {
+  respond(bytes, registers) {
+    const [h1, h2, , , cmd] = bytes;
+    if (h1 === 0xAA && h2 === 0x0A) {
+      registers.set(cmd === 0x15 ? `band${bytes[6]}` : cmd, bytes);
+      return bytes;
+    }
+    if (h1 !== 0xBB || h2 !== 0x0B) return null;
+    const written = registers.get(cmd === 0x15 ? `band${bytes[6]}` : cmd);
+    if (written) return [0xBB, 0x0B, ...written.slice(2)];
+    return [0xBB, 0x0B, 0, 0, cmd, 1, cmd === 0x15 ? bytes[6] : 0, 0, 0xEE];
+  },
+  seed(handler, details, filters, slot) {
+    return [
+      [0xAA, 0x0A, 0, 0, 0x16, 1, slot, 0, 0xEE],
+      [0xAA, 0x0A, 0, 0, 0x18, 1, filters.length, 0, 0xEE],
+      [0xAA, 0x0A, 0, 0, 0x17, 2, 0, 0, 0, 0xEE],
+      ...handler.encodeFilters(details, filters),
+    ];
+  },
+};
+
+// FiiO EH11 / EH13 (fiioSppSerialHandler.js over SPP, fiioBleHandler.js over
+// BLE): F1 10 lenHi lenLo cmd1 cmd2 payload FF, with the length covering the
+// whole packet. A 13 0D write holds one band record (bytes 9-15, index at
+// byte 7); the 03 0D read returns all ten after a 9-byte header.
+const FIIO_EH_BANDS = 10;
+function fiioEhPacket(cmd1, cmd2, payload) {
+  const total = payload.length + 7;
+  return [0xF1, 0x10, (total >> 8) & 0xFF, total & 0xFF, cmd1, cmd2, ...payload, 0xFF];
+}
+const FIIO_EH = {
+  respond(bytes, registers) {
+    const [, , , , cmd1, cmd2] = bytes;
+    switch ((cmd1 << 8) | cmd2) {
+      case 0x0002: return fiioEhPacket(0x00, 0x02, [0x01, 0x01, 0x00]);          // protocol version
+      case 0x0003: return fiioEhPacket(0x00, 0x03, [0x01, 100]);                 // battery %
+      case 0x0301: return fiioEhPacket(0x03, 0x01, [0x01, registers.get('eqOn') ?? 1]);
+      case 0x1301:
+        registers.set('eqOn', bytes[7]);
+        return fiioEhPacket(0x13, 0x01, [0x01]);
+      case 0x030D: {
+        const bands = Array.from({ length: FIIO_EH_BANDS }, (_, i) => registers.get(`band${i}`) ?? [0, 0, 0x03, 0xE8, 0, 100, 0]);
+        return fiioEhPacket(0x03, 0x0D, [0x01, 0x00, 0x09, ...bands.flat()]);
+      }
+      case 0x130D:
+        registers.set(`band${bytes[7]}`, bytes.slice(9, 16));
+        return fiioEhPacket(0x13, 0x0D, [0x01]);
+      default: return null;
+    }
+  },
+  seed(handler, details, filters) {
+    return handler.encodeFilters(details, filters);
+  },
+};
+
+// Tanchjim Rita (ritaUsbSerialHandler.js): FF A1 56 2B 0C sets all twelve
+// bands at once, unacknowledged; FF A1 01 0B reads them back under
+// FF A2 56 0B 0C, at the same offset.
+const RITA = {
+  respond(bytes, registers) {
+    if (bytes[0] !== 0xFF || bytes[1] !== 0xA1) return null;
+    if (bytes[3] === 0x2B) registers.set('bands', bytes.slice(5, bytes.length - 1));
+    if (bytes[3] !== 0x0B) return null;
+    return [0xFF, 0xA2, 0x56, 0x0B, 0x0C, ...(registers.get('bands') ?? new Array(84).fill(0))];
+  },
+  seed(handler, details, filters) {
+    return [handler.encodeFilters(details, filters)];
+  },
+};
+
+// Moondrop Edge (moondropEdgeUsbSerialHandler.js): FF 04 lenHi lenLo 00 1D
+// dir cmd payload. The query (05) is answered from the device (dir 0B) with
+// the payload the last set (06) carried; sets and enables go unanswered.
+const MOONDROP_EDGE = {
+  respond(bytes, registers) {
+    if (bytes[0] !== 0xFF || bytes[6] !== 0x0A) return null;
+    const cmd = bytes[7];
+    if (cmd === 0x06) registers.set('eq', bytes.slice(8));
+    if (cmd === 0x03) registers.set('enabled', bytes[8]);
+    if (cmd !== 0x05) return null;
+    const payload = registers.get('eq') ?? [];
+    return [0xFF, 0x04, (payload.length >> 8) & 0xFF, payload.length & 0xFF, 0x00, 0x1D, 0x0B, 0x05, ...payload];
+  },
+  seed(handler, details, filters) {
+    return [handler.encodeFilters(details, filters)];
+  },
+};
+
+// EarFun and Edifier: write-only protocols - the handler never reads, and its
+// pull reports the flat defaults - so writes are taken and nothing answers.
+const WRITE_ONLY = {
+  respond: () => null,
+  seed: () => [],
+};
+
+// Airoha (airohaBleHandler.js, Audeze Maxwell): 05 5A 06 .. reads a preset,
+// answered by the 193-byte 05 5B BD. A write (05 5A BD) carries no preset;
+// it lands in the one last read, as the app reads a preset before it edits
+// it, or in every preset before any is read. The reply is the write's bytes
+// under the read header, as the capture shows.
+const AIROHA_BLE = {
+  respond(bytes, registers) {
+    if (bytes[0] !== 0x05 || bytes[1] !== 0x5A) return null;
+    if (bytes[2] === 0xBD) {
+      registers.set(`preset${registers.get('active') ?? ''}`, bytes);
+      return null;
+    }
+    if (bytes[2] !== 0x06) return null;
+    registers.set('active', bytes[6]);
+    const written = registers.get(`preset${bytes[6]}`) ?? registers.get('preset');
+    if (!written) return null;
+    const reply = [...written];
+    reply[1] = 0x5B;
+    reply[4] = 0x00;
+    reply[7] = 0x00;
+    return reply;
+  },
+  seed(handler, details, filters) {
+    return [handler.encodeFilters(details, filters)];
+  },
+};
+
+// USB HID protocols by handler name; serial and BLE ones by handler.
+const REGISTER_EMULATORS = {
+  walkplayUsbHID: WALKPLAY,
+  ktmicroUsbHidHandler: KTMICRO,
+  fiioUsbHID: FIIO,
+};
+const STREAM_EMULATORS = new Map([
+  [jdsLabsUsbSerial, JDS_LABS],
+  [nothingUsbSerial, NOTHING],
+  [fiioUsbSerial, FIIO_SERIAL],
+  [fiioSppSerial, FIIO_EH],
+  [ritaUsbSerial, RITA],
+  [moondropEdgeUsbSerial, MOONDROP_EDGE],
+  [earfunUsbSerial, WRITE_ONLY],
+  [edifierUsbSerial, WRITE_ONLY],
+  [fiioBle, FIIO_EH],
+  [airohaBle, AIROHA_BLE],
+]);
+
+function emulatorFor(model) {
+  return model.transport === 'usb' ? REGISTER_EMULATORS[model.handlerName] : STREAM_EMULATORS.get(model.handler);
+}
+
+export function emulationFor(model) {
+  return emulatorFor(model) ? 'register' : 'profile';
+}
+
+// Runs the writes a device powers up with, without queuing any reply.
+function applySeed(device, packets) {
+  for (const packet of packets) device._protocol.respond(Array.from(packet), device.registers, device.modelConfig);
+}
+
+// A MockHIDDevice that answers from a register store instead of a script.
+export class EmulatedHIDDevice extends MockHIDDevice {
+  constructor({ protocol, modelConfig, ...opts }) {
+    super({ responseDelay: RESPONSE_DELAY_MS, ...opts });
+    this._protocol = protocol;
+    this.modelConfig = modelConfig;
+    this.registers = new Map();
+  }
+
+  // Applies writes without replying - the state the device powers up in.
+  seed(packets) {
+    applySeed(this, packets);
+  }
+
+  async sendReport(reportId, data) {
+    const bytes = Array.from(data instanceof Uint8Array ? data : new Uint8Array(data));
+    this._sentReports.push({ reportId, bytes, ts: Date.now() });
+    const reply = this._protocol.respond(bytes, this.registers, this.modelConfig);
+    if (!reply) return;
+    const padded = new Uint8Array(Math.max(REPORT_LENGTH, reply.length));
+    padded.set(reply);
+    await this._fire({ reportId, data: padded });
+  }
+}
+
+// A MockSerialPort that answers from a register store instead of exchanges.
+export class EmulatedSerialPort extends MockSerialPort {
+  constructor({ protocol, modelConfig, ...opts }) {
+    super({ responseDelay: RESPONSE_DELAY_MS, ...opts });
+    this._protocol = protocol;
+    this.modelConfig = modelConfig;
+    this.registers = new Map();
+  }
+
+  seed(packets) {
+    applySeed(this, packets);
+  }
+
+  _respond(bytes) {
+    return this._protocol.respond(bytes, this.registers, this.modelConfig);
+  }
+}
+
+// A MockBLEDevice that answers from a register store instead of exchanges.
+export class EmulatedBLEDevice extends MockBLEDevice {
+  constructor({ protocol, modelConfig, ...opts }) {
+    super({ responseDelay: RESPONSE_DELAY_MS, ...opts });
+    this._protocol = protocol;
+    this.modelConfig = modelConfig;
+    this.registers = new Map();
+  }
+
+  seed(packets) {
+    applySeed(this, packets);
+  }
+
+  _findExchange(bytes) {
+    return { send: bytes, response: this._protocol.respond(bytes, this.registers, this.modelConfig) ?? [] };
+  }
+}
+
+// The emulated device for `model` and the connection fields its connector
+// would add to the details: the serial read()/write() shims, or the BLE
+// characteristic and notification reader.
+function emulatedConnection(model, modelConfig, protocol) {
+  if (model.transport === 'serial') {
+    const port = new EmulatedSerialPort({
+      protocol,
+      modelConfig,
+      usbVendorId: model.vendorId,
+      usbProductId: model.productId,
+      bluetoothServiceClassId: model.bluetoothServiceClassId,
+    });
+    // MockSerialPort's streams exist as soon as open() is called.
+    port.open({ baudRate: modelConfig.baudRate });
+    return { rawDevice: port, info: port.getInfo(), ...serialPortShims(port, modelConfig) };
+  }
+  if (model.transport === 'ble') {
+    const ble = new EmulatedBLEDevice({ protocol, modelConfig, productName: model.model, manufacturer: model.manufacturer });
+    return { rawDevice: ble, txChar: ble.txChar, readNotification: (timeoutMs) => ble.readNotification(timeoutMs) };
+  }
+  const hid = new EmulatedHIDDevice({
+    protocol,
+    modelConfig,
+    vendorId: model.vendorId,
+    productId: model.productId,
+    productName: model.model,
+  });
+  hid.opened = true;
+  return { rawDevice: hid };
+}
+
+// ── Profile emulator ───────────────────────────────────────────────────────
+
+function profileHandler(model, firstSlot) {
+  const slots = new Map();
+  // The plugin passes slot ids as they come out of its <select>.
+  const slotKey = (slot) => (Number.isNaN(Number(slot)) ? slot : Number(slot));
+  let currentSlot = firstSlot;
+  return {
+    getCurrentSlot: async () => currentSlot,
+    pullFromDevice: async (details, slot = currentSlot) => ({
+      ...(slots.get(slotKey(slot)) ?? { filters: flatFilters(details.modelConfig), globalGain: 0 }),
+      currentSlot,
+    }),
+    pushToDevice: async (details, phoneObj, slot, globalGain, filters) => {
+      // Within the profile's limits, as a connector hands them over, then
+      // through the real handler's own encoding (peqEncode.js).
+      const bands = mapChannels(filters, (channel) => expectedAfterWrite(
+        channel.slice(0, details.modelConfig.maxFilters ?? channel.length), details.modelConfig, details.modelConfig),
+      { link: false });
+      const stored = storedFilters({ ...details, handler: model.handler }, bands);
+      slots.set(slotKey(slot), { filters: stored, globalGain: Math.round((globalGain ?? 0) * 10) / 10 });
+      currentSlot = slotKey(slot);
+      return false;
+    },
+    enablePEQ: async (details, enabled, slotId) => {
+      currentSlot = enabled ? slotKey(slotId) : (details.modelConfig.disabledPresetId ?? -1);
+    },
+  };
+}
+
+// Flat PK bands spread over the audible range, as a freshly reset device
+// holds - or the model's graphic EQ grid at 0 dB.
+function flatFilters(modelConfig) {
+  const grid = graphicEqBands(modelConfig.graphicEq);
+  if (grid) return grid.map(({ freq, q }) => ({ type: 'PK', freq, q, gain: 0, disabled: false }));
+  const count = modelConfig.maxFilters ?? 10;
+  return Array.from({ length: count }, (_, i) => ({
+    type: 'PK',
+    freq: Math.round(31 * Math.pow(16000 / 31, count > 1 ? i / (count - 1) : 0)),
+    q: 1,
+    gain: 0,
+    disabled: false,
+  }));
+}
+
+// Device details for `model`, shaped as its real connector shapes them, with
+// rawDevice the emulated device (register emulation) or null (profile).
+// modelConfig must already have its peqConstraints merged in.
+export function createVirtualDevice(model, modelConfig) {
+  const firstSlot = modelConfig.availableSlots?.[0]?.id ?? 0;
+  const protocol = emulatorFor(model);
+  const details = {
+    rawDevice: null,
+    manufacturer: model.manufacturer,
+    model: model.model,
+    modelConfig,
+    handler: model.handler,
+    handlerName: model.handlerName,
+    transport: model.transport,
+    emulation: protocol ? 'register' : 'profile',
+    virtual: true,
+  };
+
+  if (protocol) {
+    Object.assign(details, emulatedConnection(model, modelConfig, protocol));
+    details.rawDevice.seed(protocol.seed(model.handler, details, flatFilters(modelConfig), firstSlot));
+  } else {
+    details.handler = profileHandler(model, firstSlot);
+  }
+  return details;
+}
@@ -0,0 +1,129 @@
+// virtualDeviceConnector.js
+// Copyright 2025 : Pragmatic Audio
+//
+// Connector for virtual devices (see virtualDevice.js): any configured model,
+// opened without hardware. getDeviceConnected() takes a model id from
+// listModels(); everything after that goes through the model's handler as it
+// would for the real device.
+
+const { listVirtualModels, createVirtualDevice, emulationFor } = await import('./virtualDevice.js');
+const { resolveConstraints, loadPeqConstraintsConfig } = await import('./peqConstraints.js');
+const { buildExtras } = await import('./deviceExtras.js');
+const { transactionalPush } = await import('./peqTransaction.js');
+const { queuedOperation, PRIORITY } = await import('./deviceQueue.js');
+
+export const VirtualDeviceConnector = (function () {
+    let currentDevice = null;
+    const connectedDevices = new Map();
+    // Emulator state outlives a disconnect, so reconnecting to the same model
+    // finds what was pushed to it.
+    const virtualDevices = new Map();
+
+    // [{ id, transport, manufacturer, model, emulation }] for the model picker.
+    function listModels() {
+        return listVirtualModels().map(model => ({
+          id: model.id,
+          transport: model.transport,
+          manufacturer: model.manufacturer,
+          model: model.model,
+          emulation: emulationFor(model),
+        }));
+    }
+
+    async function getDeviceConnected(modelId) {
+        if (!modelId) {
+            console.log("Virtual device picker cancelled.");
+            return { cancelled: true };
+        }
+        if (connectedDevices.has(modelId)) {
+            return { duplicate: true, device: connectedDevices.get(modelId) };
+        }
+        const model = listVirtualModels().find(m => m.id === modelId);
+        if (!model) {
+            console.warn(`No configured model for virtual device "${modelId}".`);
+            return { unsupported: true };
+        }
+
+        let device = virtualDevices.get(modelId);
+        if (!device) {
+            const modelConfig = { ...model.modelConfig };
+            await loadPeqConstraintsConfig().catch(() => {});
+            const resolved = resolveConstraints(modelConfig);
+            if (resolved) Object.assign(modelConfig, resolved);
+            device = createVirtualDevice(model, modelConfig);
+            device.virtualModel = modelId;
+            device.extras = buildExtras(device.handler, device);
+            virtualDevices.set(modelId, device);
+        }
+
+        connectedDevices.set(modelId, device);
+        currentDevice = device;
+        console.log(`Connected to virtual ${device.model} (${device.emulation} emulation)`);
+        return device;
+    }
+
+    async function disconnectDevice(device = currentDevice) {
+        if (!device) return;
+        connectedDevices.delete(device.virtualModel);
+        if (currentDevice === device) currentDevice = [...connectedDevices.values()].pop() ?? null;
+        console.log(`Disconnected from virtual ${device.model}`);
+    }
+
+    async function pushToDevice(device, phoneObj, slot, preamp, filters) {
+        const connected = device ?? currentDevice;
+        if (!connected) {
+            console.warn("No virtual device connected.");
+            return;
+        }
+        return await transactionalPush({
+          label: connected.model,
+          slot,
+          filters,
+          supportsRead: connected.modelConfig?.transactionalPush !== false &&
+            resolveConstraints(connected.modelConfig)?.supportsRead !== false,
+          timeoutMs: connected.modelConfig?.pushTimeoutMs,
+          read: (s) => connected.handler.pullFromDevice(connected, s),
+          push: () => connected.handler.pushToDevice(connected, phoneObj, slot, preamp, filters),
+          restore: (snapshot) => connected.handler.pushToDevice(
+            connected, phoneObj, slot, snapshot.globalGain ?? 0, snapshot.filters),
+        });
+    }
+
+    async function pullFromDevice(device, slot) {
+        const connected = device ?? currentDevice;
+        if (!connected) {
+            console.warn("No virtual device connected.");
+            return;
+        }
+        return await connected.handler.pullFromDevice(connected, slot);
+    }
+
+    async function getCurrentSlot(device) {
+        return await device.handler.getCurrentSlot(device);
+    }
+
+    async function getAvailableSlots(device) {
+        return device.modelConfig.availableSlots;
+    }
+
+    async function enablePEQ(device, enabled, slotId) {
+        const connected = device ?? currentDevice;
+        if (!connected) {
+            console.warn("No virtual device connected.");
+            return;
+        }
+        return await connected.handler.enablePEQ(connected, enabled, slotId);
+    }
+
+    return {
+        listModels,
+        getAvailableSlots,
+        getCurrentSlot: queuedOperation(getCurrentSlot, { label: 'getCurrentSlot', priority: PRIORITY.NORMAL }),
+        getDeviceConnected,
+        disconnectDevice,
+        getConnectedDevices: () => [...connectedDevices.values()],
+        pushToDevice: queuedOperation(pushToDevice, { label: 'push', priority: PRIORITY.HIGH }),
+        pullFromDevice: queuedOperation(pullFromDevice, { label: 'pull', priority: PRIORITY.HIGH }),
+        enablePEQ: queuedOperation(enablePEQ, { label: 'enablePEQ', priority: PRIORITY.HIGH }),
+    };
+})();
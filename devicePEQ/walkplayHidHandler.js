@@ -65,6 +65,11 @@ import { logHidTx, logHidRx } from './deviceDebugLog.js';
 
 import { compensateFreqForWrite, decompensateFreqFromRead,
          compensateQForWrite, decompensateQFromRead } from './compensation.js';
+import { includesBand, includesGlobalGain } from './peqWriteSet.js';
+import { disconnectedError, protocolError } from './deviceErrors.js';
+import { retryPolicy } from './deviceRetryPolicy.js';
+import { sendAndWaitForResponse } from './usbHidProtocolUtils.js';
+import { ProgressPhase, reportProgress } from './deviceProgress.js';
 
 export const walkplayUsbHID = (function () {
   const REPORT_ID = 0x4B;
@@ -90,17 +95,10 @@ export const walkplayUsbHID = (function () {
   const DEFAULT_FILTER_COUNT = 8;
 
   const getCurrentSlot = async (deviceDetails) => {
-    const device = deviceDetails.rawDevice;
-    if (!device) throw new Error("Device not connected.");
-
-    // Register listeners BEFORE sending so responses are never missed.
-    // (On real hardware latency is long enough that send-then-listen works,
-    // but registering first is the correct pattern and required for testing.)
+    if (!deviceDetails.rawDevice) throw disconnectedError("Device not connected.");
 
     // Get the version number first
-    const versionResponsePromise = waitForResponse(device, CMD.VERSION);
-    await sendReport(device, REPORT_ID, [READ, CMD.VERSION, END]);
-    var response = await versionResponsePromise;
+    var response = await readCommand(deviceDetails, 'readVersion', [READ, CMD.VERSION, END], 2000);
     const versionBytes = response.slice(3, 6);
     const version = String.fromCharCode(...versionBytes);
 
@@ -117,9 +115,7 @@ export const walkplayUsbHID = (function () {
 
     console.log("Fetching current EQ slot...");
 
-    const slotResponsePromise = waitForResponse(device, CMD.PEQ_VALUES);
-      await sendReport(device, REPORT_ID, [READ, CMD.PEQ_VALUES, END]);
-    response = await slotResponsePromise;
+    response = await readCommand(deviceDetails, 'readSlot', [READ, CMD.PEQ_VALUES, END], 2000);
     // Slot is at byte 36 in the full HID packet (including report ID).
     // Web HID strips the report ID, so it's at index 35 here.
     const slot = response ? response[35] : -1;
@@ -128,53 +124,36 @@ export const walkplayUsbHID = (function () {
     return slot;
   };
 
-  // Push PEQ settings to Walkplay device
-  const pushToDevice = async (deviceDetails, phoneObj, slot, globalGain, filtersToWrite) => {
+  // Push PEQ settings to Walkplay device. Each band is its own PEQ_VALUES
+  // write addressed by index, so a writeSet (see peqWriteSet.js) limits the
+  // push to the bands that changed; the commit sequence is always sent.
+  const pushToDevice = async (deviceDetails, phoneObj, slot, globalGain, filtersToWrite, writeSet = null) => {
     const device = deviceDetails.rawDevice;
-    if (!device) throw new Error("Device not connected.");
+    if (!device) throw disconnectedError("Device not connected.");
     console.log("Pushing PEQ settings...");
     if (typeof slot === "string" )  // Convert from string
       slot = parseInt(slot, 10);
 
     const useAltReport = false;
+    const packets = encodeFilters(deviceDetails, filtersToWrite, slot);
+    const bands = packets.map((_, i) => i).filter(i => includesBand(writeSet, i));
 
-    for (let i = 0; i < filtersToWrite.length; i++) {
-      const filter = filtersToWrite[i] || {};
-      const filterToWrite = normalizeFilterForWrite(filter, deviceDetails.modelConfig);
-      const bArr = filter.disabled
-        ? new Array(20).fill(0)
-        : computeIIRFilter(i, filterToWrite.freq, filterToWrite.gain, filterToWrite.q, filterToWrite.type);
-
-      // Debug: log what we're writing
-      const hexBytes = Array.from(bArr).map(b => b.toString(16).padStart(2, '0')).join(' ');
-      console.log(`[write-debug] Filter ${i}: freq=${filterToWrite.freq} gain=${filterToWrite.gain} q=${filterToWrite.q}`);
-      console.log(`[write-debug] Biquad bytes: ${hexBytes}`);
-
-      const packet = [
-        WRITE, CMD.PEQ_VALUES, 0x18, 0x00, i, 0x00, 0x00,
-        ...bArr,
-        ...convertToByteArray(filterToWrite.freq, 2),
-        ...convertToByteArray(Math.round(filterToWrite.q * 256), 2),
-        ...convertToByteArray(Math.round(filterToWrite.gain * 256), 2),
-        convertFromFilterType(filterToWrite.type),
-        0x00,
-        (deviceDetails.modelConfig && typeof deviceDetails.modelConfig.defaultIndex !== 'undefined') ? deviceDetails.modelConfig.defaultIndex : slot,
-        END
-      ];
-
-      await sendReport(device, useAltReport ? ALT_REPORT_ID : REPORT_ID, packet);
+    for (const [n, i] of bands.entries()) {
+      await sendReport(device, useAltReport ? ALT_REPORT_ID : REPORT_ID, packets[i]);
+      reportProgress(deviceDetails, ProgressPhase.WRITE, n + 1, bands.length);
       await delay(20); // Add delay between filter writes to prevent overwhelming the device
     }
 
     // Wait for device to process all filter writes
     await delay(100);
 
-    if (deviceDetails.modelConfig.deviceHandlesPregain === false) {
+    if (deviceDetails.modelConfig.deviceHandlesPregain === false && includesGlobalGain(writeSet)) {
       await writeGlobalGain(device, globalGain);
       console.log(`USB Device PEQ: Walkplay set global gain register to ${globalGain} dB`);
       await delay(50);
     }
 
+    reportProgress(deviceDetails, ProgressPhase.COMMIT);
     // Commit sequence matching Walkplay app order:
     // [1, 5, 0] and [1, 23, 0] before TEMP_WRITE, then [1, 1, 1, 0]
     // to persist the registers while leaving PEQ enabled. Sending [1, 1, 0]
@@ -190,11 +169,44 @@ export const walkplayUsbHID = (function () {
     console.log("PEQ filters successfully pushed to Walkplay device.");
   };
 
+  // The PEQ_VALUES packet for each band: biquad coefficients quantized at
+  // 2^30, then freq/Q/gain/type as the raw fields a pull reads back.
+  function encodeFilters(deviceDetails, filters, slot = 0) {
+    const modelConfig = deviceDetails.modelConfig;
+    return filters.map((filter = {}, i) => {
+      const filterToWrite = normalizeFilterForWrite(filter, modelConfig);
+      const bArr = filter.disabled
+        ? new Array(20).fill(0)
+        : computeIIRFilter(i, filterToWrite.freq, filterToWrite.gain, filterToWrite.q, filterToWrite.type);
+
+      return [
+        WRITE, CMD.PEQ_VALUES, 0x18, 0x00, i, 0x00, 0x00,
+        ...bArr,
+        ...convertToByteArray(filterToWrite.freq, 2),
+        ...convertToByteArray(Math.round(filterToWrite.q * 256), 2),
+        ...convertToByteArray(Math.round(filterToWrite.gain * 256), 2),
+        convertFromFilterType(filterToWrite.type),
+        0x00,
+        (modelConfig && typeof modelConfig.defaultIndex !== 'undefined') ? modelConfig.defaultIndex : slot,
+        END
+      ];
+    });
+  }
+
+  // A write packet has the same layout as a PEQ_VALUES read response, so the
+  // pull parser reads it back.
+  function decodeFilters(deviceDetails, packets) {
+    return packets.map(packet => {
+      const { filterIndex, ...filter } = parseFilterPacket(packet, deviceDetails.modelConfig);
+      return filter;
+    });
+  }
+
   // Mic gain range: -15..+15 dB, encoded as 16-bit signed scaled by 32767/15.
   // Special cases from website source: +15 → 32767, -15 → 32769.
   const setMicGain = async (deviceDetails, value) => {
     const device = deviceDetails.rawDevice;
-    if (!device) throw new Error("Device not connected.");
+    if (!device) throw disconnectedError("Device not connected.");
     let t;
     if (value === 15) {
       t = 32767;
@@ -213,37 +225,15 @@ export const walkplayUsbHID = (function () {
   };
 
   const readMicGain = async (deviceDetails) => {
-    const device = deviceDetails.rawDevice;
-    if (!device) throw new Error("Device not connected.");
-
-    return new Promise((resolve, reject) => {
-      const request = [READ, CMD.MIC_GAIN, 0x00];
-
-      const timeout = setTimeout(() => {
-        device.removeEventListener("inputreport", onReport);
-        reject("Timeout reading mic gain");
-      }, 1000);
-
-      const onReport = (event) => {
-        const data = new Uint8Array(event.data.buffer);
-        logHidRx('Walkplay', data);
-        if (data[0] !== READ || data[1] !== CMD.MIC_GAIN) return;
-
-        clearTimeout(timeout);
-        device.removeEventListener("inputreport", onReport);
-
-        // 16-bit unsigned little-endian → signed → dB
-        const raw = data[2] | (data[3] << 8);
-        const signed = raw > 32767 ? raw - 65536 : raw;
-        const micGain = Math.round((signed * 15 / 32767) * 100) / 100;
-        console.log(`USB Device PEQ: Walkplay mic gain value: ${micGain}dB (raw: ${raw})`);
-        resolve(micGain);
-      };
-
-      device.addEventListener("inputreport", onReport);
-      console.log(`USB Device PEQ: Walkplay sending readMicGain command:`, request);
-      sendReport(device, REPORT_ID, request).catch(reject);
-    });
+    if (!deviceDetails.rawDevice) throw disconnectedError("Device not connected.");
+
+    const data = await readCommand(deviceDetails, 'readMicGain', [READ, CMD.MIC_GAIN, 0x00], 1000);
+    // 16-bit unsigned little-endian → signed → dB
+    const raw = data[2] | (data[3] << 8);
+    const signed = raw > 32767 ? raw - 65536 : raw;
+    const micGain = Math.round((signed * 15 / 32767) * 100) / 100;
+    console.log(`USB Device PEQ: Walkplay mic gain value: ${micGain}dB (raw: ${raw})`);
+    return micGain;
   };
 
   function convertFromFilterType(filterType) {
@@ -304,7 +294,7 @@ export const walkplayUsbHID = (function () {
 
   const pullFromDevice = async (deviceDetails, slot = -1) => {
     const device = deviceDetails.rawDevice;
-    if (!device) throw new Error("Device not connected.");
+    if (!device) throw disconnectedError("Device not connected.");
 
     const filters = [];
     // Use the slot passed in from getCurrentSlot — per-filter responses don't
@@ -321,6 +311,8 @@ export const walkplayUsbHID = (function () {
         const filter = parseFilterPacket(data, deviceDetails.modelConfig);
         console.log(`USB Device PEQ: Walkplay parsed filter ${filter.filterIndex}:`, filter);
         filters[filter.filterIndex] = filter;
+        reportProgress(deviceDetails, ProgressPhase.READ, filters.filter(f => f !== undefined).length,
+          deviceDetails.modelConfig.maxFilters);
       }
     };
 
@@ -341,7 +333,7 @@ export const walkplayUsbHID = (function () {
       const max = deviceDetails.modelConfig.maxFilters;
       console.log(`USB Device PEQ: Walkplay condition check - received ${count} filters, expecting ${max}`);
       return count === max;
-    }, device, 10000, () => ({  // Increased timeout to 15 seconds
+    }, device, retryPolicy(deviceDetails.modelConfig, 'readFilters', 10000).timeoutMs, () => ({
       filters,
       globalGain: 0, // Will be updated after waiting for filters
       currentSlot,
@@ -354,7 +346,7 @@ export const walkplayUsbHID = (function () {
     // Read global gain after waiting for filters
     let globalGain = 0;
     try {
-      globalGain = await readGlobalGain(device);
+      globalGain = await readGlobalGain(deviceDetails);
       console.log(`USB Device PEQ: Walkplay read global gain: ${globalGain}dB`);
       // Update the result with the global gain
       result.globalGain = globalGain;
@@ -368,7 +360,7 @@ export const walkplayUsbHID = (function () {
 
   function parseFilterPacket(packet, modelConfig) {
     if (packet.length < 32) {
-      throw new Error("Packet too short to contain filter data.");
+      throw protocolError("Packet too short to contain filter data.", packet);
     }
 
     const filterIndex = packet[4];
@@ -449,63 +441,29 @@ export const walkplayUsbHID = (function () {
 
 // Internal functions
   async function sendReport(device, reportId, packet) {
-    if (!device) throw new Error("Device not connected.");
+    if (!device) throw disconnectedError("Device not connected.");
     const data = new Uint8Array(packet);
     console.log(`USB Device PEQ: Walkplay sending report (ID: ${reportId}):`, data);
     logHidTx('Walkplay', reportId, data);
     await device.sendReport(reportId, data);
   }
 
-// Wait for response matching a specific command byte (data[1] without report ID)
-  async function waitForResponse(device, expectedCmd = null, timeout = 2000) {
-    return new Promise((resolve, reject) => {
-      const timer = setTimeout(() => {
-        device.removeEventListener("inputreport", onReport);
-        console.log(`USB Device PEQ: Walkplay timeout waiting for response after ${timeout}ms`);
-        reject("Timeout waiting for HID response");
-      }, timeout);
-
-      const onReport = (event) => {
-        const data = new Uint8Array(event.data.buffer);
-        logHidRx('Walkplay', data);
-        if (expectedCmd !== null && data[1] !== expectedCmd) return; // skip unrelated reports
-        clearTimeout(timer);
-        device.removeEventListener("inputreport", onReport);
-        console.log(`USB Device PEQ: Walkplay received response:`, data);
-        resolve(data);
-      };
-
-      device.addEventListener("inputreport", onReport);
-    });
+// Send a READ and wait for the READ reply to the same command (data[1]
+// without report ID), under the model's retry policy for `command`
+// (deviceRetryPolicy.js). timeoutMs is the wait when the config sets none.
+  function readCommand(deviceDetails, command, request, timeoutMs) {
+    const policy = retryPolicy(deviceDetails.modelConfig, command, timeoutMs);
+    console.log(`USB Device PEQ: Walkplay sending ${command} command:`, request);
+    return sendAndWaitForResponse(deviceDetails.rawDevice, REPORT_ID, 'Walkplay', request,
+      data => data[0] === READ && data[1] === request[1], policy);
   }
 
   // Read global gain from device
-  async function readGlobalGain(device) {
-    return new Promise(async (resolve, reject) => {
-      const request = new Uint8Array([READ, CMD.GLOBAL_GAIN, 0x00]);
-
-      const timeout = setTimeout(() => {
-        device.removeEventListener("inputreport", onReport);
-        reject("Timeout reading global gain");
-      }, 100);
-
-      const onReport = (event) => {
-        const data = new Uint8Array(event.data.buffer);
-        logHidRx('Walkplay', data);
-        console.log(`USB Device PEQ: Walkplay onInputReport received global gain data:`, data);
-        clearTimeout(timeout);
-        device.removeEventListener("inputreport", onReport);
-        if (data[0] !== READ || data[1] !== CMD.GLOBAL_GAIN) return;
-        const int8 = new Int8Array([data[4]])[0];
-        const globalGain = int8;
-        console.log(`USB Device PEQ: Walkplay global gain value: ${globalGain}`);
-        resolve(globalGain);
-      };
-
-      device.addEventListener("inputreport", onReport);
-      console.log(`USB Device PEQ: Walkplay sending readGlobalGain command:`, request);
-      await sendReport(device, REPORT_ID, request);
-    });
+  async function readGlobalGain(deviceDetails) {
+    const data = await readCommand(deviceDetails, 'readGlobalGain', [READ, CMD.GLOBAL_GAIN, 0x00], 100);
+    const globalGain = new Int8Array([data[4]])[0];
+    console.log(`USB Device PEQ: Walkplay global gain value: ${globalGain}`);
+    return globalGain;
   }
 
 // Write global gain to device
@@ -521,7 +479,7 @@ export const walkplayUsbHID = (function () {
   // filterType: 'FAST-LL' | 'FAST-PC' | 'SLOW-LL' | 'SLOW-PC' | 'NON-OS'
   const setDacFilter = async (deviceDetails, filterType) => {
     const device = deviceDetails.rawDevice;
-    if (!device) throw new Error("Device not connected.");
+    if (!device) throw disconnectedError("Device not connected.");
     const filterMap = { 'FAST-LL': 1, 'FAST-PC': 2, 'SLOW-LL': 3, 'SLOW-PC': 4, 'NON-OS': 5 };
     const filterByte = filterMap[filterType] ?? 1;
     console.log(`USB Device PEQ: Walkplay set DAC filter to ${filterType} (${filterByte})`);
@@ -532,7 +490,7 @@ export const walkplayUsbHID = (function () {
   // Pass leftDelta > 0 to boost left, rightDelta > 0 to boost right, both 0 to center.
   const setDacBalance = async (deviceDetails, leftDelta, rightDelta) => {
     const device = deviceDetails.rawDevice;
-    if (!device) throw new Error("Device not connected.");
+    if (!device) throw disconnectedError("Device not connected.");
     if (leftDelta > 0) {
       await sendReport(device, REPORT_ID, [WRITE, CMD.DAC_BALANCE, 0x04, 0x01, 0x00, leftDelta & 0xFF, 0x00]);
       await sendReport(device, REPORT_ID, [WRITE, CMD.DAC_BALANCE, 0x04, 0x00, 0x00, 0x00, 0x00]);
@@ -548,93 +506,48 @@ export const walkplayUsbHID = (function () {
   // DENOISE (0x1B): enable or disable the ENC/noise-reduction circuit.
   const setDenoiseEnabled = async (deviceDetails, enabled) => {
     const device = deviceDetails.rawDevice;
-    if (!device) throw new Error("Device not connected.");
+    if (!device) throw disconnectedError("Device not connected.");
     console.log(`USB Device PEQ: Walkplay set denoise ${enabled ? 'on' : 'off'}`);
     await sendReport(device, REPORT_ID, [WRITE, CMD.DENOISE, 0x01, enabled ? 0x01 : 0x00]);
   };
 
   // Read current ENC/denoise state. Returns true if enabled, false if disabled.
   const readDenoiseEnabled = async (deviceDetails) => {
-    const device = deviceDetails.rawDevice;
-    if (!device) throw new Error("Device not connected.");
-    return new Promise((resolve, reject) => {
-      const timeout = setTimeout(() => {
-        device.removeEventListener("inputreport", onReport);
-        reject("Timeout reading denoise state");
-      }, 2000);
-      const onReport = (event) => {
-        const data = new Uint8Array(event.data.buffer);
-        logHidRx('Walkplay', data);
-        if (data[0] !== READ || data[1] !== CMD.DENOISE) return;
-        clearTimeout(timeout);
-        device.removeEventListener("inputreport", onReport);
-        resolve(data[3] === 0x01);
-      };
-      device.addEventListener("inputreport", onReport);
-      sendReport(device, REPORT_ID, [READ, CMD.DENOISE, 0x00]).catch(reject);
-    });
+    if (!deviceDetails.rawDevice) throw disconnectedError("Device not connected.");
+    const data = await readCommand(deviceDetails, 'readDenoise', [READ, CMD.DENOISE, 0x00], 2000);
+    return data[3] === 0x01;
   };
 
   // Read the current DAC filter algorithm. Returns the filter name string or null.
   const readDacFilter = async (deviceDetails) => {
-    const device = deviceDetails.rawDevice;
-    if (!device) throw new Error("Device not connected.");
+    if (!deviceDetails.rawDevice) throw disconnectedError("Device not connected.");
     const filterNames = { 1: 'FAST-LL', 2: 'FAST-PC', 3: 'SLOW-LL', 4: 'SLOW-PC', 5: 'NON-OS' };
-    return new Promise((resolve, reject) => {
-      const timeout = setTimeout(() => {
-        device.removeEventListener("inputreport", onReport);
-        reject("Timeout reading DAC filter");
-      }, 2000);
-      const onReport = (event) => {
-        const data = new Uint8Array(event.data.buffer);
-        logHidRx('Walkplay', data);
-        if (data[0] !== READ || data[1] !== CMD.DAC_FILTER) return;
-        clearTimeout(timeout);
-        device.removeEventListener("inputreport", onReport);
-        // Response format: [READ, CMD, len, value] — value is at data[3]
-        resolve(filterNames[data[3]] ?? null);
-      };
-      device.addEventListener("inputreport", onReport);
-      sendReport(device, REPORT_ID, [READ, CMD.DAC_FILTER]).catch(reject);
-    });
+    const data = await readCommand(deviceDetails, 'readDacFilter', [READ, CMD.DAC_FILTER], 2000);
+    // Response format: [READ, CMD, len, value] — value is at data[3]
+    return filterNames[data[3]] ?? null;
   };
 
   // DAC_WORK_MODE (0x1D): set DAC operational mode. mode: 0 = normal, 1 = alternate.
   const setDacWorkMode = async (deviceDetails, mode) => {
     const device = deviceDetails.rawDevice;
-    if (!device) throw new Error("Device not connected.");
+    if (!device) throw disconnectedError("Device not connected.");
     console.log(`USB Device PEQ: Walkplay set DAC work mode to ${mode}`);
     await sendReport(device, REPORT_ID, [WRITE, CMD.DAC_WORK_MODE, 0x01, mode & 0xFF]);
   };
 
   // Read current DAC work mode. Returns 0 or 1.
   const readDacWorkMode = async (deviceDetails) => {
-    const device = deviceDetails.rawDevice;
-    if (!device) throw new Error("Device not connected.");
-    return new Promise((resolve, reject) => {
-      const timeout = setTimeout(() => {
-        device.removeEventListener("inputreport", onReport);
-        reject("Timeout reading DAC work mode");
-      }, 2000);
-      const onReport = (event) => {
-        const data = new Uint8Array(event.data.buffer);
-        logHidRx('Walkplay', data);
-        if (data[0] !== READ || data[1] !== CMD.DAC_WORK_MODE) return;
-        clearTimeout(timeout);
-        device.removeEventListener("inputreport", onReport);
-        // Response format: [READ, CMD, len, value] — value is at data[3]
-        console.log('[walkplay] readDacWorkMode bytes:', Array.from(data.slice(0, 8)).map(b => '0x' + b.toString(16)));
-        resolve(data[3]);
-      };
-      device.addEventListener("inputreport", onReport);
-      sendReport(device, REPORT_ID, [READ, CMD.DAC_WORK_MODE]).catch(reject);
-    });
+    if (!deviceDetails.rawDevice) throw disconnectedError("Device not connected.");
+    const data = await readCommand(deviceDetails, 'readDacWorkMode', [READ, CMD.DAC_WORK_MODE], 2000);
+    // Response format: [READ, CMD, len, value] — value is at data[3]
+    console.log('[walkplay] readDacWorkMode bytes:', Array.from(data.slice(0, 8)).map(b => '0x' + b.toString(16)));
+    return data[3];
   };
 
   // Public alias for writeGlobalGain — sets the DAC output/EQ offset gain in dB.
   const setOutputGain = async (deviceDetails, gainDb) => {
     const device = deviceDetails.rawDevice;
-    if (!device) throw new Error("Device not connected.");
+    if (!device) throw disconnectedError("Device not connected.");
     console.log(`USB Device PEQ: Walkplay set output gain to ${gainDb}dB`);
     await writeGlobalGain(device, gainDb);
   };
@@ -644,30 +557,15 @@ export const walkplayUsbHID = (function () {
   // Exact DSP behaviour TBD; treated as a boolean on/off switch.
   const setGainMode = async (deviceDetails, enabled) => {
     const device = deviceDetails.rawDevice;
-    if (!device) throw new Error("Device not connected.");
+    if (!device) throw disconnectedError("Device not connected.");
     console.log(`USB Device PEQ: Walkplay set gain mode ${enabled ? 'on' : 'off'}`);
     await sendReport(device, REPORT_ID, [WRITE, CMD.GAIN_MODE, 0x01, enabled ? 0x01 : 0x00]);
   };
 
   const readGainMode = async (deviceDetails) => {
-    const device = deviceDetails.rawDevice;
-    if (!device) throw new Error("Device not connected.");
-    return new Promise((resolve, reject) => {
-      const timeout = setTimeout(() => {
-        device.removeEventListener("inputreport", onReport);
-        reject("Timeout reading gain mode");
-      }, 2000);
-      const onReport = (event) => {
-        const data = new Uint8Array(event.data.buffer);
-        logHidRx('Walkplay', data);
-        if (data[0] !== READ || data[1] !== CMD.GAIN_MODE) return;
-        clearTimeout(timeout);
-        device.removeEventListener("inputreport", onReport);
-        resolve(data[3] === 0x01);
-      };
-      device.addEventListener("inputreport", onReport);
-      sendReport(device, REPORT_ID, [READ, CMD.GAIN_MODE, 0x00]).catch(reject);
-    });
+    if (!deviceDetails.rawDevice) throw disconnectedError("Device not connected.");
+    const data = await readCommand(deviceDetails, 'readGainMode', [READ, CMD.GAIN_MODE, 0x00], 2000);
+    return data[3] === 0x01;
   };
 
   return {
@@ -687,6 +585,10 @@ export const walkplayUsbHID = (function () {
     setOutputGain,
     setGainMode,
     readGainMode,
+    encodeFilters,
+    decodeFilters,
+    supportsBandWrites: true,   // pushToDevice honours a writeSet (peqWriteSet.js)
+    globalGainStep: 1,          // the global gain register holds whole dB (peqPreamp.js)
   };
 })();
 
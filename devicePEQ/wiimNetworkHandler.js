@@ -4,41 +4,76 @@
 // Define the WiiM Network Handler for PEQ over HTTP API
 //
 
+import { constraintViolation, permissionDeniedError, protocolError, timeoutError } from './deviceErrors.js';
+import { networkBaseUrl } from './networkDeviceList.js';
+
 const PLUGIN_URI = "http://moddevices.com/plugins/caps/EqNp";
-const SOURCE_NAME = "wifi"; // Input source targeted by EQ commands (wifi, bt, line_in, etc.)
+// Each input source keeps its own EQ, and each is a slot: slot n is the
+// model's inputSources[n] (networkDeviceConfig.js). Without a list, Wi-Fi only.
+// The EQ commands do not say which input is playing, so the current slot is
+// the input last pushed to or selected here, and unknown (null) before that.
+const DEFAULT_INPUT_SOURCES = [{ source: "wifi", name: "Wi-Fi" }];
+const PROBE_TIMEOUT_MS = 4000;
 
 export const wiimNetworkHandler = (function () {
+  // device -> source_name of the input last pushed to or selected
+  const activeSources = new WeakMap();
+
+  // Straight to the device, responses are opaque at best (no-cors); through
+  // the network bridge (device.proxyUrl) they are readable.
+  function requestOptions(device, extra = {}) {
+    return { method: "GET", mode: device?.proxyUrl ? "cors" : "no-cors", ...extra };
+  }
+
+  function inputSources(device) {
+    const sources = device?.modelConfig?.inputSources;
+    return Array.isArray(sources) && sources.length > 0 ? sources : DEFAULT_INPUT_SOURCES;
+  }
+
+  // The source_name a slot's EQ commands target, or null when the slot is not
+  // one of the inputs (-1, none given).
+  function findSource(device, slot) {
+    const id = (typeof slot === "object" && slot !== null) ? (slot.id ?? slot.slot) : slot;
+    const index = typeof id === "string" && id.trim() !== "" ? Number(id) : id;
+    return Number.isInteger(index) ? inputSources(device)[index]?.source ?? null : null;
+  }
+
+  function sourceForSlot(device, slot) {
+    const source = findSource(device, slot);
+    if (!source) throw constraintViolation(`WiiM: slot ${JSON.stringify(slot)} is not one of the inputs`);
+    return source;
+  }
 
   /**
    * Fetch PEQ settings from the device
    * @param {string} device - The device
-   * @param {number} slot - The PEQ slot (currently not used in WiiM API)
+   * @param {number} slot - The PEQ slot, i.e. the input source to read
    * @returns {Promise<Object>} The parsed EQ settings
    */
   async function pullFromDevice(device, slot) {
     try {
       const payload = {
-        source_name: SOURCE_NAME,
+        source_name: sourceForSlot(device, slot),
         pluginURI: PLUGIN_URI
       };
-      const url = `https://${device.ip}/httpapi.asp?command=EQGetLV2SourceBandEx:${encodeURIComponent(JSON.stringify(payload))}`;
+      const url = `${networkBaseUrl(device, 'https')}/httpapi.asp?command=EQGetLV2SourceBandEx:${encodeURIComponent(JSON.stringify(payload))}`;
       console.log(`Device PEQ: WiiM sending request to fetch EQ data:`, payload);
 
-      const response = await fetch(url, {method: "GET", mode: "no-cors"});
+      const response = await fetch(url, requestOptions(device));
 
       // no-cors responses are always opaque (status=0, body unreadable).
-      // WiiM pull requires CORS headers from the device or a local proxy — see README.
+      // WiiM pull requires CORS headers from the device or the local network bridge.
       if (response.type === 'opaque') {
-        throw new Error(
+        throw permissionDeniedError(
           'Cannot read WiiM response: browser CORS/mixed-content restriction. ' +
-          'Serve this page over HTTP or use a local proxy (see network-proxy docs).'
+          'Connect through the local network bridge (a local proxy, see network_bridge/README.md).'
         );
       }
       if (!response.ok)
-        throw new Error(`Failed to fetch PEQ data: ${response.status}`);
+        throw protocolError(`Failed to fetch PEQ data: ${response.status}`, null, { status: response.status });
 
       const data = await response.json();
-      if (data.status !== "OK") throw new Error(`PEQ fetch failed: ${JSON.stringify(data)}`);
+      if (data.status !== "OK") throw protocolError(`PEQ fetch failed: ${JSON.stringify(data)}`);
 
       console.log("Device PEQ: WiiM received EQ data:", data);
 
@@ -54,68 +89,37 @@ export const wiimNetworkHandler = (function () {
   /**
    * Push PEQ settings to the device
    * @param {string} device - The device
-   * @param {number} slot - The PEQ slot (currently not used in WiiM API)
+   * @param {number} slot - The PEQ slot, i.e. the input source to write
    * @param {number} preamp - The preamp gain
    * @param {Array} filters - Array of PEQ filters
    * @returns {Promise<boolean>} Returns true if push was successful
    */
   async function pushToDevice(device, phoneObj, slot, preamp, filters, _modelConfig) {
     try {
-      const MAX_BANDS = 10; //fallback to 10
-
-      // Only take up to MAX_BANDS filters
-      const effectiveFilters = Array.isArray(filters) ? filters.slice(0, MAX_BANDS) : [];
-
-      // 1) Populate provided filters (a..? up to MAX_BANDS)
-      const eqBandData = effectiveFilters.map((filter, index) => ({
-        param_name: `${String.fromCharCode(97 + index)}_mode`,
-        value: filter.disabled ? -1 : convertToWiimMode(filter.type),
-      }));
-
-      effectiveFilters.forEach((filter, index) => {
-        const band = String.fromCharCode(97 + index);
-        eqBandData.push(
-          { param_name: `${band}_freq`, value: filter.freq },
-          { param_name: `${band}_q`, value: filter.q },
-          { param_name: `${band}_gain`, value: filter.gain }
-        );
-      });
-
-      // 2) Reset any remaining bands up to MAX_BANDS
-      //    This ensures previously-set filters on the device are cleared.
-      //    We explicitly set gain to 0 and disable the band (mode -1).
-      for (let i = effectiveFilters.length; i < MAX_BANDS; i++) {
-        const band = String.fromCharCode(97 + i); // a..j
-        eqBandData.push(
-          { param_name: `${band}_mode`, value: -1 }, // Off
-          { param_name: `${band}_freq`, value: 1000 }, // sensible default (unused when Off)
-          { param_name: `${band}_q`, value: 1 },
-          { param_name: `${band}_gain`, value: 0 }
-        );
-      }
+      const eqBandData = encodeFilters(device, filters);
 
       const payload = {
         pluginURI: PLUGIN_URI,           // e.g., "http://moddevices.com/plugins/caps/EqNp"
-        source_name: "wifi",             // or "bt", "line_in", etc. Always Wifi for now
+        source_name: sourceForSlot(device, slot), // "wifi", "bt", "line_in", ...
         EQBand: eqBandData,
         EQStat: "On",                    // Enable EQ
         channelMode: "Stereo",          // Use stereo mode
       };
 
-      const deviceIp = typeof device === 'string' ? device : device.ip;
-      const url = `https://${deviceIp}/httpapi.asp?command=EQSetLV2SourceBand:${encodeURIComponent(JSON.stringify(payload))}`;
+      const baseUrl = networkBaseUrl(device, 'https');
+      const url = `${baseUrl}/httpapi.asp?command=EQSetLV2SourceBand:${encodeURIComponent(JSON.stringify(payload))}`;
       console.log(`Device PEQ: WiiM sending request to set EQ data:`, payload);
 
-      const response = await fetch(url, { method: "GET", mode: "no-cors" });
+      const response = await fetch(url, requestOptions(device));
 
-      if (response.status != 0)
-        throw new Error(`Failed to push PEQ data: ${response.status}`);
+      if (response.type !== "opaque" && !response.ok)
+        throw protocolError(`Failed to push PEQ data: ${response.status}`, null, { status: response.status });
 
       if (response.type !== "opaque") {
         const data = await response.json();
         console.log(`Device PEQ: WiiM received response for set EQ:`, data);
         if (data.status !== "OK")
-          throw new Error(`PEQ push failed: ${JSON.stringify(data)}`);
+          throw protocolError(`PEQ push failed: ${JSON.stringify(data)}`);
       } else {
         console.log("Device PEQ: WiiM cannot read response due to security reasons (CORS)");
       }
@@ -123,7 +127,7 @@ export const wiimNetworkHandler = (function () {
       // Now set the Preset Name - ultimately get the headphone name from custom parameters but not for now
       const presetNamePayload = {
         pluginURI: PLUGIN_URI,           // e.g., "http://moddevices.com/plugins/caps/EqNp"
-        source_name: "wifi",             // or "bt", "line_in", etc.
+        source_name: payload.source_name,
         Name: "HeadphoneEQ"             // Custom preset name
       }
       // Optional preset naming hint if API supports it in future
@@ -131,23 +135,24 @@ export const wiimNetworkHandler = (function () {
         presetNamePayload.Name = phoneObj.fileName;
       }
 
-      const presetNameUrl = `https://${deviceIp}/httpapi.asp?command=EQSourceSave:${encodeURIComponent(JSON.stringify(presetNamePayload))}`;
+      const presetNameUrl = `${baseUrl}/httpapi.asp?command=EQSourceSave:${encodeURIComponent(JSON.stringify(presetNamePayload))}`;
       console.log(`Device PEQ: WiiM sending request to save preset name:`, presetNamePayload);
 
-      const presetNameResponse = await fetch(presetNameUrl, { method: "GET", mode: "no-cors" });
+      const presetNameResponse = await fetch(presetNameUrl, requestOptions(device));
 
-      if (presetNameResponse.status != 0)
-        throw new Error(`Failed to push PEQ data: ${presetNameResponse.status}`);
+      if (presetNameResponse.type !== "opaque" && !presetNameResponse.ok)
+        throw protocolError(`Failed to push PEQ data: ${presetNameResponse.status}`, null, { status: presetNameResponse.status });
 
       if (presetNameResponse.type !== "opaque") {
         const data = await presetNameResponse.json();
         console.log(`Device PEQ: WiiM received response for preset name:`, data);
         if (data.status !== "OK")
-          throw new Error(`PEQ Name push failed: ${JSON.stringify(data)}`);
+          throw protocolError(`PEQ Name push failed: ${JSON.stringify(data)}`);
       } else {
         console.log("Device PEQ: WiiM cannot read preset name response due to security reasons (CORS)");
       }
 
+      activeSources.set(device, payload.source_name);
       console.log("Device PEQ: WiiM settings successfully pushed to device");
 
 
@@ -160,28 +165,84 @@ export const wiimNetworkHandler = (function () {
     }
   }
 
+  /**
+   * The EQBand params a push sends for these filters
+   * @param {Object} device - The device
+   * @param {Array} filters - Array of PEQ filters
+   * @returns {Array} [{ param_name, value }] for all of bands a..j
+   */
+  function encodeFilters(device, filters) {
+    const MAX_BANDS = 10; //fallback to 10
+
+    // Only take up to MAX_BANDS filters
+    const effectiveFilters = Array.isArray(filters) ? filters.slice(0, MAX_BANDS) : [];
+
+    // 1) Populate provided filters (a..? up to MAX_BANDS)
+    const eqBandData = effectiveFilters.map((filter, index) => ({
+      param_name: `${String.fromCharCode(97 + index)}_mode`,
+      value: filter.disabled ? -1 : convertToWiimMode(filter.type),
+    }));
+
+    effectiveFilters.forEach((filter, index) => {
+      const band = String.fromCharCode(97 + index);
+      eqBandData.push(
+        { param_name: `${band}_freq`, value: filter.freq },
+        { param_name: `${band}_q`, value: filter.q },
+        { param_name: `${band}_gain`, value: filter.gain }
+      );
+    });
+
+    // 2) Reset any remaining bands up to MAX_BANDS
+    //    This ensures previously-set filters on the device are cleared.
+    //    We explicitly set gain to 0 and disable the band (mode -1).
+    for (let i = effectiveFilters.length; i < MAX_BANDS; i++) {
+      const band = String.fromCharCode(97 + i); // a..j
+      eqBandData.push(
+        { param_name: `${band}_mode`, value: -1 }, // Off
+        { param_name: `${band}_freq`, value: 1000 }, // sensible default (unused when Off)
+        { param_name: `${band}_q`, value: 1 },
+        { param_name: `${band}_gain`, value: 0 }
+      );
+    }
+    return eqBandData;
+  }
+
+  /**
+   * The filters a pull reports for the EQBand params pushed
+   * @param {Object} device - The device
+   * @param {Array} eqBandData - As encodeFilters returns it
+   * @returns {Array} Formatted PEQ filter list
+   */
+  function decodeFilters(device, eqBandData) {
+    return parseWiiMEQData({ EQBand: eqBandData });
+  }
+
   /**
    * Enable or disable PEQ
    * @param {string} device - The device
    * @param {boolean} enabled - Whether to enable or disable PEQ
-   * @param {number} slotId - The PEQ slot (currently not used in WiiM API)
+   * @param {number} slotId - The PEQ slot, i.e. the input source to switch;
+   *   disabling with -1 turns off the input last pushed to or selected
    * @returns {Promise<void>}
    */
   async function enablePEQ(device, enabled, slotId) {
     try {
       const command = enabled ? "EQChangeSourceFX" : "EQSourceOff";
-      const payload = {source_name: SOURCE_NAME, pluginURI: PLUGIN_URI};
-      const url = `https://${device.ip}/httpapi.asp?command=${command}:${encodeURIComponent(JSON.stringify(payload))}`;
-      // Use no-cors for consistency with push — response will be opaque but the command fires.
-      const response = await fetch(url, { method: "GET", mode: "no-cors" });
+      const source = enabled ? sourceForSlot(device, slotId) : findSource(device, slotId) ?? activeSources.get(device);
+      if (!source) throw constraintViolation("WiiM: no input has been selected yet, so there is none to turn the EQ off on");
+      const payload = {source_name: source, pluginURI: PLUGIN_URI};
+      const url = `${networkBaseUrl(device, 'https')}/httpapi.asp?command=${command}:${encodeURIComponent(JSON.stringify(payload))}`;
+      // Without the bridge the response is opaque, but the command fires.
+      const response = await fetch(url, requestOptions(device));
 
       if (response.type !== 'opaque') {
-        if (!response.ok) throw new Error(`Failed to ${enabled ? "enable" : "disable"} PEQ: ${response.status}`);
+        if (!response.ok) throw protocolError(`Failed to ${enabled ? "enable" : "disable"} PEQ: ${response.status}`, null, { status: response.status });
         const data = await response.json();
-        if (data.status !== "OK") throw new Error(`PEQ ${enabled ? "enable" : "disable"} failed: ${JSON.stringify(data)}`);
+        if (data.status !== "OK") throw protocolError(`PEQ ${enabled ? "enable" : "disable"} failed: ${JSON.stringify(data)}`);
       } else {
         console.log(`WiiM PEQ ${enabled ? "enable" : "disable"} sent (response unreadable due to CORS)`);
       }
+      activeSources.set(device, source);
 
       console.log(`WiiM PEQ ${enabled ? "enabled" : "disabled"} successfully`);
 
@@ -239,48 +300,67 @@ export const wiimNetworkHandler = (function () {
   /**
    * Convert WiiM filter mode to internal filter type
    * @param {number} mode - WiiM PEQ mode value
-   * @returns {string} Internal filter type
+   * @returns {string} Internal filter type (the app's PK, LSQ, HSQ, or Off)
    */
   function convertFromWiimMode(mode) {
     switch (mode) {
       case 0:
-        return "Low-Shelf";
+        return "LSQ";
       case 1:
-        return "Peak";
+        return "PK";
       case 2:
-        return "High-Shelf";
+        return "HSQ";
       default:
         return "Off";
     }
   }
 
+  // The input last pushed to or selected, or null when that is not known yet.
   async function getCurrentSlot(device) {
-    return 0;
+    const index = inputSources(device).findIndex(({ source }) => source === activeSources.get(device));
+    return index === -1 ? null : index;
   }
 
+  /**
+   * One slot per input source of the model, each with its own EQ
+   * @param {Object} device - The device
+   * @returns {Promise<Array>} [{ id, name, input }] - input is the source_name
+   */
   async function getAvailableSlots(device) {
-    const url = `https://${device.ip}/httpapi.asp?command=EQv2GetList:${encodeURIComponent(PLUGIN_URI)}`;
-    try {
-      const response = await fetch(url, {method: "GET", mode: "no-cors" });
-      // Opaque no-cors responses cannot be read; return a placeholder slot.
-      // A local proxy is required for real slot enumeration — see network-proxy docs.
-      if (response.type === 'opaque' || !response.ok) {
-        return [{ id: 0, name: "Default" }];
-      }
-
-      return [{ id: 0, name: "Cannot read" }];
+    return inputSources(device).map(({ source, name }, id) => ({ id, name: name ?? source, input: source }));
+  }
 
+  /**
+   * Check that a WiiM answers at the device's address. Without the bridge the
+   * response is opaque, so this only shows the fetch got through - it fails
+   * while the self-signed certificate has not been accepted.
+   * @param {Object} device - { host, port, protocol } or { ip }
+   * @returns {Promise<void>}
+   */
+  async function probe(device) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), PROBE_TIMEOUT_MS);
+    try {
+      const response = await fetch(`${networkBaseUrl(device, 'https')}/httpapi.asp?command=getStatusEx`,
+        requestOptions(device, { signal: controller.signal }));
+      if (response.type !== "opaque" && !response.ok)
+        throw protocolError(`WiiM status request failed: ${response.status}`, null, { status: response.status });
     } catch (error) {
-      console.error("Error retrieving preset list from WiiM:", error);
+      if (error?.name === 'AbortError') throw timeoutError(`No answer from WiiM within ${PROBE_TIMEOUT_MS}ms`);
       throw error;
+    } finally {
+      clearTimeout(timer);
     }
   }
 
   return {
+    probe,
     getCurrentSlot,
     getAvailableSlots,
     pullFromDevice,
     pushToDevice,
     enablePEQ,
+    encodeFilters,
+    decodeFilters,
   };
 })();
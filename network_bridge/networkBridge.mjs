@@ -0,0 +1,195 @@
+#!/usr/bin/env node
+/**
+ * Network bridge — lets the DevicePEQ page read WiiM and Luxsin devices.
+ * Zero npm dependencies (Node.js built-in http/https only).
+ *
+ * Neither device sends CORS headers, so a page can write to them but never read
+ * their answers. The bridge runs next to the browser, forwards the two device
+ * endpoints the handlers use and adds the headers:
+ *
+ *   GET  http://127.0.0.1:8787/https/192.168.1.50/httpapi.asp?command=...   → WiiM
+ *   POST http://127.0.0.1:8787/http/[fd00::12]:8080/dev/info.cgi            → Luxsin
+ *
+ * i.e. /<http|https>/<host[:port]><path>, where <path> is /httpapi.asp or
+ * /dev/info.cgi. Anything else is refused, so it cannot be used as an open proxy.
+ * Requests must come from an allowed page (Origin) to the bridge's loopback
+ * address (Host), so neither another site nor a rebound hostname can read
+ * devices through it. WiiM's self-signed certificate is accepted without the
+ * visit-and-accept step (see SELF_SIGNED_PATHS).
+ *
+ * Usage:
+ *   node network_bridge/networkBridge.mjs [options]
+ *
+ * Options:
+ *   --port <n>              Port to listen on (default: 8787)
+ *   --host <addr>           Address to listen on (default: 127.0.0.1)
+ *   --allow-origin <list>   Comma-separated page origins allowed to use the bridge,
+ *                           or * for any page (default: https://www.pragmaticaudio.com)
+ *   --timeout <ms>          How long to wait for a device (default: 8000)
+ *
+ * Then enter http://127.0.0.1:8787 as the Bridge URL in the Network Device dialog.
+ */
+
+import http  from 'http';
+import https from 'https';
+import { fileURLToPath } from 'url';
+import { parseNetworkAddress } from '../devicePEQ/networkDeviceList.js';
+
+// The device endpoints the network handlers call.
+export const ALLOWED_PATHS = ['/httpapi.asp', '/dev/info.cgi'];
+
+const FORWARDED_METHODS = ['GET', 'POST'];
+
+// WiiM serves a self-signed certificate on its Linkplay API, which the page can
+// only get past by visiting the device and accepting it. The bridge accepts any
+// certificate for these paths only; every other HTTPS target is verified.
+const SELF_SIGNED_PATHS = ['/httpapi.asp'];
+
+// The names a browser may use for the bridge; anything else in Host is a
+// rebound hostname.
+const LOOPBACK_HOSTS = ['127.0.0.1', 'localhost', '[::1]'];
+
+// The page origin served when none is given. Any page may use the bridge only
+// when asked for with '*'.
+export const DEFAULT_ALLOWED_ORIGIN = 'https://www.pragmaticaudio.com';
+
+// { protocol, host, port, path } for a bridge request URL ('/https/host:port/httpapi.asp?...'),
+// or null when it does not name a device endpoint.
+export function bridgeTarget(url) {
+  const match = /^\/(https?)\/([^/?#]+)(\/[^#]*)$/.exec(url ?? '');
+  if (!match) return null;
+  const [, protocol, address, path] = match;
+  const pathname = path.split('?')[0];
+  if (!ALLOWED_PATHS.includes(pathname)) return null;
+  let parsed;
+  try {
+    parsed = parseNetworkAddress(`${protocol}://${decodeURIComponent(address)}`);
+  } catch (_) {
+    return null;
+  }
+  if (!parsed) return null;
+  return { protocol, host: parsed.host, port: parsed.port, path };
+}
+
+// Whether the bridge skips certificate checks for a bridgeTarget().
+export function acceptsSelfSigned(target) {
+  return target.protocol === 'https' && SELF_SIGNED_PATHS.includes(target.path.split('?')[0]);
+}
+
+// Whether a Host header names the bridge itself: a loopback name, or the
+// address the request arrived on, with the port it arrived on.
+function isBridgeHost(req) {
+  const { localAddress, localPort } = req.socket;
+  const local = localAddress?.replace(/^::ffff:/, '');
+  const names = [...LOOPBACK_HOSTS, local?.includes(':') ? `[${local}]` : local];
+  return names.some(name => req.headers.host?.toLowerCase() === `${name}:${localPort}`);
+}
+
+// Creates the bridge server (not yet listening). allowOrigin is an origin, a list
+// of origins or '*'; timeoutMs bounds each device request.
+export function createBridge({ allowOrigin = DEFAULT_ALLOWED_ORIGIN, timeoutMs = 8000 } = {}) {
+  const origins = allowOrigin === '*' ? null : [].concat(allowOrigin).map(o => o.replace(/\/+$/, ''));
+
+  function corsHeaders(req) {
+    const origin = origins ? req.headers.origin : '*';
+    return {
+      ...(origin ? { 'Access-Control-Allow-Origin': origin } : {}),
+      'Access-Control-Allow-Methods': FORWARDED_METHODS.join(', '),
+      'Access-Control-Allow-Headers': 'Content-Type',
+      // Chrome asks before a public page may reach a local address
+      'Access-Control-Allow-Private-Network': 'true',
+      'Access-Control-Max-Age': '600',
+      ...(origins ? { Vary: 'Origin' } : {}),
+    };
+  }
+
+  function reply(res, status, headers, text) {
+    res.writeHead(status, { ...headers, 'Content-Type': 'text/plain; charset=utf-8' });
+    res.end(text);
+  }
+
+  return http.createServer((req, res) => {
+    if (!isBridgeHost(req)) {
+      reply(res, 403, {}, `Host ${req.headers.host ?? '(none)'} is not this bridge\n`);
+      return;
+    }
+    if (origins && !origins.includes(req.headers.origin)) {
+      reply(res, 403, {}, `Origin ${req.headers.origin ?? '(none)'} is not allowed\n`);
+      return;
+    }
+    const cors = corsHeaders(req);
+    const target = bridgeTarget(req.url);
+    if (!target) {
+      reply(res, 403, cors, `Not a device endpoint (${ALLOWED_PATHS.join(', ')}): ${req.url}\n`);
+      return;
+    }
+    if (req.method === 'OPTIONS') {
+      res.writeHead(204, cors);
+      res.end();
+      return;
+    }
+    if (!FORWARDED_METHODS.includes(req.method)) {
+      reply(res, 405, { ...cors, Allow: FORWARDED_METHODS.join(', ') }, `${req.method} is not forwarded\n`);
+      return;
+    }
+
+    const headers = {};
+    if (req.headers['content-type']) headers['Content-Type'] = req.headers['content-type'];
+    if (req.headers['content-length']) headers['Content-Length'] = req.headers['content-length'];
+    const upstream = (target.protocol === 'https' ? https : http).request({
+      host: target.host,
+      port: target.port ?? undefined,
+      method: req.method,
+      path: target.path,
+      headers,
+      rejectUnauthorized: !acceptsSelfSigned(target),
+    }, (answer) => {
+      res.writeHead(answer.statusCode ?? 502, {
+        ...cors,
+        'Content-Type': answer.headers['content-type'] ?? 'text/plain',
+        'Cache-Control': 'no-store',
+      });
+      answer.pipe(res);
+    });
+
+    let timedOut = false;
+    upstream.setTimeout(timeoutMs, () => {
+      timedOut = true;
+      upstream.destroy();
+    });
+    upstream.on('error', (error) => {
+      if (res.headersSent) {
+        res.destroy();
+        return;
+      }
+      const where = `${target.protocol}://${target.host}${target.port ? `:${target.port}` : ''}`;
+      if (timedOut) reply(res, 504, cors, `No answer from ${where} within ${timeoutMs}ms\n`);
+      else reply(res, 502, cors, `Cannot reach ${where}: ${error.message}\n`);
+    });
+    req.pipe(upstream);
+  });
+}
+
+function option(args, name, fallback) {
+  const index = args.indexOf(name);
+  return index !== -1 && args[index + 1] !== undefined ? args[index + 1] : fallback;
+}
+
+if (process.argv[1] && fileURLToPath(import.meta.url) === process.argv[1]) {
+  const args = process.argv.slice(2);
+  const port = parseInt(option(args, '--port', '8787'), 10);
+  const host = option(args, '--host', '127.0.0.1');
+  const allowOrigin = option(args, '--allow-origin', DEFAULT_ALLOWED_ORIGIN);
+  const timeoutMs = parseInt(option(args, '--timeout', '8000'), 10);
+
+  const server = createBridge({
+    allowOrigin: allowOrigin === '*' ? '*' : allowOrigin.split(',').map(o => o.trim()).filter(Boolean),
+    timeoutMs,
+  });
+  server.listen(port, host, () => {
+    const shown = host.includes(':') ? `[${host}]` : host;
+    console.log(`Network bridge listening on http://${shown}:${port}`);
+    console.log(`  forwarding ${ALLOWED_PATHS.join(' and ')} for origin ${allowOrigin}`);
+    if (allowOrigin === '*') console.warn('  any page open in this browser can reach your devices through it');
+  });
+}
@@ -173,15 +173,19 @@ async function initializeSubjectizePEQPlugin(context) {
     advanced: false
   };
 
-  // Restore advanced mode from localStorage if available
-  try {
-    const saved = localStorage.getItem('subjectizePEQ.advanced');
-    if (saved === 'true' || saved === 'false') {
-      state.advanced = (saved === 'true');
-    }
-  } catch (e) {
-    // ignore
-  }
+  // Restore advanced mode (settingsStore.js; version 1 took it over from the
+  // 'subjectizePEQ.advanced' localStorage key)
+  const { openSettings } = await import('../devicePEQ/settingsStore.js');
+  const settings = await openSettings('subjectizePEQ', {
+    version: 1,
+    migrations: {
+      1: (values, legacy) => {
+        const saved = legacy.takeLocal('subjectizePEQ.advanced');
+        if (saved === 'true' || saved === 'false') values.advanced = (saved === 'true');
+      },
+    },
+  });
+  state.advanced = settings.get('advanced', false);
 
   // Load filters the same way visualizePEQ does: via context.elemToFilters only.
   function loadFiltersFromContextOrPage() {
@@ -302,7 +306,7 @@ async function initializeSubjectizePEQPlugin(context) {
 
     advToggle.addEventListener('change', () => {
       state.advanced = !!advToggle.checked;
-      try { localStorage.setItem('subjectizePEQ.advanced', String(state.advanced)); } catch(_) {}
+      settings.set('advanced', state.advanced);
       renderFilterList();
       renderSubjectiveCards();
       applyLeftPaneSizing();
@@ -1,6 +1,7 @@
 /**
  * MockNetwork — a tiny routable mock for the global `fetch`, for testing the
- * network device handlers (WiiM, Luxsin X9) without a real device.
+ * network device handlers (WiiM, Luxsin X9) without a real device, and
+ * MockWebSocketServer for the global `WebSocket` (CamillaDSP).
  *
  * Usage:
  *   const net = new MockFetch().install();
@@ -95,3 +96,81 @@ export function parseWiimCommandUrl(url) {
   try { payload = JSON.parse(decodeURIComponent(rest)); } catch { /* not JSON */ }
   return { command, payload };
 }
+
+// ── WebSocket ──────────────────────────────────────────────────────────────────
+
+/**
+ * A stand-in for the global `WebSocket`, for handlers that talk to a device
+ * over a websocket (CamillaDSP). Each sent message text goes to
+ * `respond(text, url)`; a returned string comes back as a message.
+ *
+ *   const ws = new MockWebSocketServer(text => dsp.handle(text)).install();
+ *   ... call handler ...
+ *   ws.restore();
+ *
+ * `refuse` makes new connections fail as an unreachable host would;
+ * `closeAll()` drops the open ones as a restarted device would.
+ */
+export class MockWebSocketServer {
+  constructor(respond) {
+    this.respond = respond;
+    this.sockets = [];   // every socket opened, open or not
+    this.sent = [];      // { url, data }
+    this.refuse = false;
+    this._installed = false;
+    this._orig = undefined;
+  }
+
+  install() {
+    const server = this;
+    this._installed = true;
+    this._orig = globalThis.WebSocket;
+    globalThis.WebSocket = class extends EventTarget {
+      constructor(url) {
+        super();
+        this.url = String(url);
+        this.readyState = 0;
+        server.sockets.push(this);
+        setTimeout(() => {
+          if (this.readyState !== 0) return;
+          if (server.refuse) {
+            this.dispatchEvent(new Event('error'));
+            this._closed();
+          } else {
+            this.readyState = 1;
+            this.dispatchEvent(new Event('open'));
+          }
+        }, 0);
+      }
+      send(data) {
+        if (this.readyState !== 1) throw new Error('MockWebSocket: not open');
+        server.sent.push({ url: this.url, data });
+        const answer = server.respond(data, this.url);
+        if (typeof answer === 'string') {
+          setTimeout(() => {
+            if (this.readyState === 1) this.dispatchEvent(Object.assign(new Event('message'), { data: answer }));
+          }, 0);
+        }
+      }
+      close() {
+        if (this.readyState < 2) setTimeout(() => this._closed(), 0);
+        this.readyState = Math.max(this.readyState, 2);
+      }
+      _closed() {
+        if (this.readyState === 3) return;
+        this.readyState = 3;
+        this.dispatchEvent(new Event('close'));
+      }
+    };
+    return this;
+  }
+
+  restore() {
+    if (this._installed) globalThis.WebSocket = this._orig;
+    this._installed = false;
+  }
+
+  get openSockets() { return this.sockets.filter(s => s.readyState === 1); }
+
+  closeAll() { this.openSockets.forEach(s => s._closed()); }
+}
@@ -0,0 +1,131 @@
+/**
+ * MockSerialPort — browser-compatible mock of the Web Serial API SerialPort
+ * as used by the USB serial / Bluetooth SPP handlers, directly or through
+ * devicePEQ/serialPortShims.js.
+ *
+ * The port interface expected:
+ *   port.open({ baudRate })   → Promise<void>; readable/writable exist from here
+ *   port.close()              → Promise<void>
+ *   port.getInfo()            → { usbVendorId, usbProductId } or { bluetoothServiceClassId }
+ *   port.readable             → ReadableStream<Uint8Array> (a fresh one once cancelled)
+ *   port.writable             → WritableStream<Uint8Array>
+ *
+ * Exchange format (in capture JSON):
+ *   { send: [byte,...], response: [byte,...] }
+ *
+ * Matching: a write is matched against each exchange's send[] byte by byte;
+ * use null as a wildcard for any position. The response arrives as one chunk
+ * on the readable stream, responseDelay ms after the write.
+ */
+export class MockSerialPort {
+  /**
+   * @param {object} opts
+   * @param {number}   [opts.usbVendorId]
+   * @param {number}   [opts.usbProductId]
+   * @param {string}   [opts.bluetoothServiceClassId]
+   * @param {Array}    [opts.exchanges=[]]  - pattern-matched { send, response } pairs
+   * @param {number}   [opts.responseDelay=5]
+   * @param {boolean}  [opts.verbose=false]
+   */
+  constructor({ usbVendorId, usbProductId, bluetoothServiceClassId,
+                exchanges = [], responseDelay = 5, verbose = false } = {}) {
+    this._info = bluetoothServiceClassId
+      ? { bluetoothServiceClassId }
+      : { usbVendorId, usbProductId };
+
+    this._exchanges     = exchanges;
+    this._responseDelay = responseDelay;
+    this._verbose       = verbose;
+
+    this.opened   = false;
+    this.baudRate = null;
+    this._readable   = null;
+    this._controller = null;
+    this._writable   = null;
+
+    // Observability
+    this._sentPackets    = [];
+    this._unmatchedSends = [];
+  }
+
+  // ── Web Serial interface ───────────────────────────────────────────────────
+
+  getInfo() { return { ...this._info }; }
+
+  async open({ baudRate } = {}) {
+    this.opened   = true;
+    this.baudRate = baudRate;
+    this._writable = new WritableStream({ write: (chunk) => this._handleWrite(chunk) });
+  }
+
+  async close() {
+    this.opened = false;
+    try { this._controller?.close(); } catch (_) {}
+    this._readable = this._controller = this._writable = null;
+  }
+
+  get readable() { return this.opened ? this._stream() : null; }
+
+  get writable() { return this.opened ? this._writable : null; }
+
+  // ── Internal ───────────────────────────────────────────────────────────────
+
+  // Like a real port, a cancelled readable is replaced by a new one.
+  _stream() {
+    if (!this._readable) {
+      this._readable = new ReadableStream({
+        start: (controller) => { this._controller = controller; },
+        cancel: () => { this._readable = this._controller = null; },
+      });
+    }
+    return this._readable;
+  }
+
+  async _handleWrite(chunk) {
+    const bytes = Array.from(chunk instanceof Uint8Array ? chunk : new Uint8Array(chunk));
+    this._sentPackets.push(bytes);
+    if (this._verbose) console.log('[MockSerial] TX', bytes.map(b => b.toString(16).padStart(2, '0')).join(' '));
+
+    const response = this._respond(bytes);
+    if (response === undefined) {
+      this._unmatchedSends.push(bytes);
+      if (this._verbose) console.warn('[MockSerial] no exchange matched for TX', bytes);
+      return;
+    }
+    if (response && response.length > 0) {
+      // The write completes before the device answers, as on a real port.
+      setTimeout(() => this._enqueue(new Uint8Array(response)), this._responseDelay);
+    }
+  }
+
+  // The response to `bytes`: bytes to send back, null for none, or undefined
+  // when nothing matched.
+  _respond(bytes) {
+    const match = this._exchanges.find(ex => ex.send
+      && ex.send.every((b, i) => b === null || b === bytes[i]));
+    return match ? (match.response || null) : undefined;
+  }
+
+  _enqueue(data) {
+    if (!this.opened) return;
+    // A reader that timed out may have cancelled the last stream
+    this._stream();
+    if (this._verbose) console.log('[MockSerial] RX', data.length, 'bytes');
+    this._controller.enqueue(data);
+  }
+
+  // ── Test helpers ───────────────────────────────────────────────────────────
+
+  get sentPackets()    { return this._sentPackets; }
+  get sendCount()      { return this._sentPackets.length; }
+  get unmatchedCount() { return this._unmatchedSends.length; }
+
+  wasSent(pattern) {
+    return this._sentPackets.some(bytes => pattern.every((b, i) => b === null || b === bytes[i]));
+  }
+
+  resetHistory() {
+    this._sentPackets    = [];
+    this._unmatchedSends = [];
+  }
+}
@@ -0,0 +1,104 @@
+#!/usr/bin/env node
+/**
+ * CamillaDSP tests — runs in Node against a fake CamillaDSP websocket server
+ * (tests/fakeNetworkDevice.mjs camilladsp), no browser or Raspberry Pi needed:
+ *   1. the connector pushes a chain and pulls it back over a real websocket
+ *   2. CamillaDSP 2 gets one pipeline step per channel
+ *   3. Test (probeDevice) tells a running CamillaDSP from an address with none
+ *
+ * Needs the global WebSocket: Node.js 22 or newer, or
+ *   node --experimental-websocket tests/camillaDsp.test.mjs
+ */
+
+import assert from 'assert/strict';
+import fs from 'fs';
+import { startFakeDevice } from './fakeNetworkDevice.mjs';
+import { NetworkDeviceConnector } from '../devicePEQ/networkDeviceConnector.js';
+import { loadPeqConstraintsConfig } from '../devicePEQ/peqConstraints.js';
+
+const FILTERS = [
+  { type: 'PK', freq: 120, q: 1.2, gain: 3.5 },
+  { type: 'LSQ', freq: 80, q: 0.7, gain: -2 },
+  { type: 'HP', freq: 25, q: 0.707, gain: 0 },
+  { type: 'NOTCH', freq: 3000, q: 10, gain: 0 },
+];
+
+const tests = [];
+const test = (name, fn) => tests.push({ name, fn });
+
+test('pushes a chain and pulls it back', async () => {
+  const dsp = await startFakeDevice('camilladsp');
+  const device = await NetworkDeviceConnector.getDeviceConnected(dsp.address, 'CamillaDSP');
+  try {
+    await NetworkDeviceConnector.pushToDevice(device, null, 0, -5, FILTERS);
+    assert.deepEqual(dsp.state.commands, ['GetConfigJson', 'GetConfigJson', 'GetVersion', 'SetConfigJson'],
+      'the rollback snapshot, then the push');
+    assert.deepEqual(dsp.state.config.pipeline.at(-1).names,
+      ['DevicePEQ_preamp', 'DevicePEQ_01', 'DevicePEQ_02', 'DevicePEQ_03', 'DevicePEQ_04']);
+
+    const pulled = await NetworkDeviceConnector.pullFromDevice(device, 0);
+    assert.deepEqual(pulled.filters.slice(0, FILTERS.length), FILTERS);
+    assert.equal(pulled.filters.length, device.modelConfig.maxFilters);
+    assert.ok(pulled.filters.slice(FILTERS.length).every(f => f.disabled), 'the rest are off');
+    assert.equal(pulled.globalGain, -5);
+
+    await NetworkDeviceConnector.enablePEQ(device, false, 0);
+    assert.equal(dsp.state.config.pipeline.length, 1, "only the user's own step is left");
+  } finally {
+    await NetworkDeviceConnector.disconnectDevice(device);
+    await dsp.close();
+  }
+});
+
+test('CamillaDSP 2 gets a step per channel', async () => {
+  const dsp = await startFakeDevice('camilladsp', { version: '2.0.3' });
+  const device = await NetworkDeviceConnector.getDeviceConnected(dsp.address, 'CamillaDSP');
+  try {
+    await NetworkDeviceConnector.pushToDevice(device, null, 0, 0, FILTERS.slice(0, 1));
+    assert.deepEqual(dsp.state.config.pipeline.slice(2).map(step => step.channel), [0, 1]);
+  } finally {
+    await NetworkDeviceConnector.disconnectDevice(device);
+    await dsp.close();
+  }
+});
+
+test('Test answers for a running CamillaDSP only', async () => {
+  const dsp = await startFakeDevice('camilladsp');
+  try {
+    const running = await NetworkDeviceConnector.probeDevice(dsp.address, 'CamillaDSP');
+    assert.equal(running.ok, true);
+    assert.deepEqual(dsp.state.commands, ['GetVersion']);
+  } finally {
+    await dsp.close();
+  }
+  const gone = await NetworkDeviceConnector.probeDevice(dsp.address, 'CamillaDSP');
+  assert.equal(gone.ok, false);
+  assert.equal(gone.error.type, 'DISCONNECTED');
+});
+
+if (typeof WebSocket === 'undefined') {
+  console.log('No global WebSocket: run with Node.js 22+, or node --experimental-websocket');
+  process.exit(1);
+}
+
+// Node cannot fetch the constraints file by path
+const constraints = fs.readFileSync(new URL('../devicePEQ/peqConstraintsConfig.json', import.meta.url));
+await loadPeqConstraintsConfig(`data:application/json;base64,${constraints.toString('base64')}`);
+
+let failed = 0;
+const quiet = { log: console.log, warn: console.warn, error: console.error };
+for (const { name, fn } of tests) {
+  // The handler logs every push; only the results are of interest here
+  console.log = console.warn = console.error = () => {};
+  try {
+    await fn();
+    quiet.log(`  ✓ ${name}`);
+  } catch (error) {
+    failed++;
+    quiet.log(`  ✗ ${name}\n    ${error.stack ?? error}`);
+  } finally {
+    Object.assign(console, quiet);
+  }
+}
+console.log(`\n${tests.length - failed} passed, ${failed} failed`);
+process.exit(failed ? 1 : 0);
@@ -0,0 +1,95 @@
+/**
+ * Fake CamillaDSP — the websocket commands camillaDspNetworkHandler.js uses,
+ * answered the way CamillaDSP answers them, without a socket. Shared by the
+ * browser tests (MockWebSocketServer in MockNetwork.js) and the Node websocket
+ * server in fakeNetworkDevice.mjs.
+ *
+ *   "GetVersion"                  → {"GetVersion": {"result": "Ok", "value": "3.0.0"}}
+ *   "GetConfigJson"               → the active config, as a JSON string
+ *   {"SetConfigJson": "<json>"}   → replaces it, or answers "Error" when the
+ *                                   pipeline names a filter the config lacks or
+ *                                   a step uses the other version's channel field
+ *
+ * Usage:
+ *   const dsp = createFakeCamillaDsp({ version: '2.0.3' });
+ *   const replyText = dsp.handle('"GetConfigJson"');
+ *   dsp.state.config, dsp.state.commands
+ */
+
+const BIQUAD_TYPES = ['Peaking', 'Lowshelf', 'Highshelf', 'Lowpass', 'Highpass', 'Notch', 'Allpass', 'Bandpass'];
+
+// A 2-channel config with one filter of the user's own in the pipeline.
+export function sampleCamillaConfig(version = '3.0.0') {
+  const channels = [0, 1];
+  const v3 = parseInt(version, 10) >= 3;
+  return {
+    devices: {
+      samplerate: 48000,
+      chunksize: 1024,
+      capture: { type: 'Alsa', channels: 2, device: 'hw:Loopback,1', format: 'S32LE' },
+      playback: { type: 'Alsa', channels: 2, device: 'hw:DAC', format: 'S32LE' },
+    },
+    filters: {
+      room_notch: { type: 'Biquad', parameters: { type: 'Notch', freq: 52, q: 8 } },
+    },
+    mixers: {},
+    pipeline: v3
+      ? [{ type: 'Filter', channels, names: ['room_notch'] }]
+      : channels.map(channel => ({ type: 'Filter', channel, names: ['room_notch'] })),
+  };
+}
+
+// The reason CamillaDSP would refuse `config`, or null.
+function invalid(config, version) {
+  const v3 = parseInt(version, 10) >= 3;
+  const playback = config?.devices?.playback?.channels;
+  for (const [name, filter] of Object.entries(config?.filters ?? {})) {
+    if (filter.type === 'Biquad' && !BIQUAD_TYPES.includes(filter.parameters?.type)) {
+      return `filter ${name}: unknown Biquad type ${filter.parameters?.type}`;
+    }
+    if (filter.type === 'Gain' && typeof filter.parameters?.gain !== 'number') return `filter ${name}: no gain`;
+  }
+  for (const step of config?.pipeline ?? []) {
+    if (step.type !== 'Filter') continue;
+    const missing = (step.names ?? []).find(name => !config.filters?.[name]);
+    if (missing) return `pipeline: filter ${missing} is not defined`;
+    const channels = v3 ? step.channels : [step.channel];
+    if (!Array.isArray(channels) || channels.some(c => !Number.isInteger(c) || c >= playback)) {
+      return `pipeline: ${v3 ? 'channels' : 'channel'} is missing or out of range`;
+    }
+  }
+  return null;
+}
+
+export function createFakeCamillaDsp({ version = '3.0.0', config = sampleCamillaConfig(version) } = {}) {
+  const state = { version, config, commands: [], refuseSet: null };
+
+  function reply(command, result, value) {
+    return JSON.stringify({ [command]: value === undefined ? { result } : { result, value } });
+  }
+
+  // The reply text to one message text.
+  function handle(text) {
+    const message = JSON.parse(text);
+    const command = typeof message === 'string' ? message : Object.keys(message)[0];
+    state.commands.push(command);
+    switch (command) {
+      case 'GetVersion':
+        return reply(command, 'Ok', state.version);
+      case 'GetConfigJson':
+        return reply(command, 'Ok', state.config ? JSON.stringify(state.config) : null);
+      case 'SetConfigJson': {
+        let config;
+        try { config = JSON.parse(message.SetConfigJson); } catch (_) { return reply(command, 'Error', 'not JSON'); }
+        const reason = state.refuseSet ?? invalid(config, state.version);
+        if (reason) return reply(command, 'Error', reason);
+        state.config = config;
+        return reply(command, 'Ok');
+      }
+      default:
+        return reply(command, 'Error', 'unknown command');
+    }
+  }
+
+  return { state, handle };
+}
@@ -0,0 +1,261 @@
+#!/usr/bin/env node
+/**
+ * Fake WiiM, Luxsin X9 and CamillaDSP devices — zero npm dependencies.
+ * Serves the endpoints the network handlers use, over plain HTTP (or a
+ * websocket for CamillaDSP), with state that a push changes and a pull reads
+ * back. Like the real WiiM and X9 it sends no CORS headers, so a page can only
+ * read those through the network bridge.
+ *
+ *   WiiM   GET  /httpapi.asp?command=<CMD>:<url-encoded JSON>
+ *               EQGetLV2SourceBandEx, EQSetLV2SourceBand, EQSourceSave,
+ *               EQv2GetList, EQChangeSourceFX, EQSourceOff, getStatusEx
+ *               (each source_name keeps its own EQ)
+ *   Luxsin GET  /dev/info.cgi?action=syncData|syncPeq   (custom-base64 JSON)
+ *          POST /dev/info.cgi   json=<custom-base64 JSON>  (peq[] / peqEnable / peqSelect)
+ *   CamillaDSP  ws://                GetVersion, GetConfigJson, SetConfigJson
+ *               (answered by tests/fakeCamillaDsp.js; state is { version, config, commands })
+ *
+ * Usage:
+ *   node tests/fakeNetworkDevice.mjs [wiim|luxsin|camilladsp] [--port <n>]
+ *
+ * Or from a test: const device = await startFakeDevice('wiim'); ... device.state ... device.close();
+ */
+
+import http from 'http';
+import crypto from 'crypto';
+import { fileURLToPath } from 'url';
+import { createFakeCamillaDsp } from './fakeCamillaDsp.js';
+
+// Luxsin's alphabet, in place of standard base64's
+const RC = 'KLMPQRSTUVWXYZABCGHdefIJjkNOlmnopqrstuvwxyzabcghiDEF34501289+67/';
+const PC = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+
+export function luxsinEncode(obj) {
+  const base64 = Buffer.from(JSON.stringify(obj), 'utf8').toString('base64');
+  return [...base64].map(ch => (PC.includes(ch) ? RC[PC.indexOf(ch)] : ch)).join('');
+}
+
+export function luxsinDecode(text) {
+  const base64 = [...text].map(ch => (RC.includes(ch) ? PC[RC.indexOf(ch)] : ch)).join('');
+  return JSON.parse(Buffer.from(base64, 'base64').toString('utf8'));
+}
+
+function flatBands() {
+  const EQBand = [];
+  for (const band of 'abcdefghij') {
+    EQBand.push(
+      { param_name: `${band}_mode`, value: -1 },
+      { param_name: `${band}_freq`, value: 1000 },
+      { param_name: `${band}_q`, value: 1 },
+      { param_name: `${band}_gain`, value: 0 },
+    );
+  }
+  return EQBand;
+}
+
+// bands: { source_name: EQBand }, each input's own EQ, flat until written
+function wiimState() {
+  return { EQStat: 'Off', presetName: '', bands: {}, commands: [] };
+}
+
+function luxsinState() {
+  return {
+    peqSelect: 0,
+    peqEnable: 1,
+    peq: [
+      { name: 'Flat', preamp: 0, canDel: 0, filters: '[]' },
+      { name: 'Custom', preamp: -3, canDel: 1, filters: JSON.stringify([{ type: 4, fc: 1000, gain: -3, q: 1 }]) },
+    ],
+    posts: [],
+  };
+}
+
+function wiimHandler(state) {
+  return (req, res) => {
+    const url = new URL(req.url, 'http://device');
+    if (url.pathname !== '/httpapi.asp') return false;
+    const query = url.search.slice('?command='.length);
+    const colon = query.indexOf(':');
+    const command = decodeURIComponent(colon === -1 ? query : query.slice(0, colon));
+    let payload = null;
+    try { payload = colon === -1 ? null : JSON.parse(decodeURIComponent(query.slice(colon + 1))); } catch (_) {}
+    state.commands.push(command);
+    const bands = (source = payload?.source_name ?? 'wifi') => (state.bands[source] ??= flatBands());
+
+    const ok = (extra = {}) => json(res, { status: 'OK', ...extra });
+    switch (command) {
+      case 'EQGetLV2SourceBandEx':
+        return ok({ source_name: payload?.source_name, pluginURI: payload?.pluginURI, EQStat: state.EQStat,
+          channelMode: 'Stereo', EQBand: bands() });
+      case 'EQSetLV2SourceBand':
+        for (const { param_name, value } of payload?.EQBand ?? []) {
+          const param = bands().find(p => p.param_name === param_name);
+          if (param) param.value = value;
+        }
+        state.EQStat = payload?.EQStat ?? state.EQStat;
+        return ok();
+      case 'EQSourceSave':
+        state.presetName = payload?.Name ?? '';
+        return ok();
+      case 'EQv2GetList':
+        return json(res, state.presetName ? [state.presetName] : []);
+      case 'EQChangeSourceFX':
+        state.EQStat = 'On';
+        return ok();
+      case 'EQSourceOff':
+        state.EQStat = 'Off';
+        return ok();
+      case 'getStatusEx':
+        return json(res, { DeviceName: 'Fake WiiM', project: 'WiiM_Pro', firmware: 'fake' });
+      default:
+        return text(res, 'unknown command', 200);
+    }
+  };
+}
+
+function luxsinHandler(state) {
+  return (req, res) => {
+    const url = new URL(req.url, 'http://device');
+    if (url.pathname !== '/dev/info.cgi') return false;
+    const { posts, ...data } = state;
+    if (req.method === 'GET') {
+      const action = url.searchParams.get('action');
+      if (action === 'syncData') return text(res, luxsinEncode({ ...data, model: 'X9' }));
+      if (action === 'syncPeq') {
+        return text(res, luxsinEncode({ peqSelect: data.peqSelect, peqEnable: data.peqEnable, peq: data.peq }));
+      }
+      return text(res, 'unknown action', 400);
+    }
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      const update = luxsinDecode(new URLSearchParams(body).get('json') ?? '');
+      posts.push(update);
+      for (const { index, ...profile } of update.peq ?? []) state.peq[index] = { ...state.peq[index], ...profile };
+      if (update.peqChange) state.peq.push({ ...update.peqChange, filters: JSON.stringify(update.peqChange.filters) });
+      if (update.peqEnable !== undefined) state.peqEnable = update.peqEnable;
+      if (update.peqSelect !== undefined) state.peqSelect = update.peqSelect;
+      text(res, 'OK');
+    });
+  };
+}
+
+// Answers the websocket upgrade and hands each text message to dsp.handle().
+// Only what a browser's WebSocket sends is understood: masked, unfragmented
+// text frames, ping and close.
+function camillaUpgrade(dsp) {
+  return (req, socket) => {
+    const key = req.headers['sec-websocket-key'];
+    if (!key) {
+      socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+      return;
+    }
+    const accept = crypto.createHash('sha1').update(`${key}258EAFA5-E914-47DA-95CA-C5AB0DC85B11`).digest('base64');
+    socket.write('HTTP/1.1 101 Switching Protocols\r\nUpgrade: websocket\r\nConnection: Upgrade\r\n' +
+      `Sec-WebSocket-Accept: ${accept}\r\n\r\n`);
+
+    let buffered = Buffer.alloc(0);
+    socket.on('data', (chunk) => {
+      buffered = Buffer.concat([buffered, chunk]);
+      for (let frame; (frame = readFrame(buffered));) {
+        buffered = buffered.subarray(frame.length);
+        if (frame.opcode === 0x1) socket.write(writeFrame(0x1, Buffer.from(dsp.handle(frame.payload.toString('utf8')))));
+        else if (frame.opcode === 0x9) socket.write(writeFrame(0xA, frame.payload));
+        else if (frame.opcode === 0x8) {
+          socket.end(writeFrame(0x8, frame.payload.subarray(0, 2)));
+          return;
+        }
+      }
+    });
+    socket.on('error', () => socket.destroy());
+  };
+}
+
+// { opcode, payload, length } for the frame at the start of `buffer`, or null
+// until all of it has arrived.
+function readFrame(buffer) {
+  if (buffer.length < 2) return null;
+  const masked = (buffer[1] & 0x80) !== 0;
+  let size = buffer[1] & 0x7f;
+  let offset = 2;
+  if (size === 126) {
+    if (buffer.length < 4) return null;
+    size = buffer.readUInt16BE(2);
+    offset = 4;
+  } else if (size === 127) {
+    if (buffer.length < 10) return null;
+    size = Number(buffer.readBigUInt64BE(2));
+    offset = 10;
+  }
+  const mask = masked ? buffer.subarray(offset, offset + 4) : null;
+  if (masked) offset += 4;
+  if (buffer.length < offset + size) return null;
+  const payload = Buffer.from(buffer.subarray(offset, offset + size));
+  if (mask) for (let i = 0; i < payload.length; i++) payload[i] ^= mask[i % 4];
+  return { opcode: buffer[0] & 0x0f, payload, length: offset + size };
+}
+
+function writeFrame(opcode, payload) {
+  const size = payload.length;
+  const header = size < 126 ? Buffer.from([0x80 | opcode, size])
+    : size < 65536 ? Buffer.from([0x80 | opcode, 126, size >> 8, size & 0xff])
+    : Buffer.concat([Buffer.from([0x80 | opcode, 127]), (() => {
+      const length = Buffer.alloc(8);
+      length.writeBigUInt64BE(BigInt(size));
+      return length;
+    })()]);
+  return Buffer.concat([header, payload]);
+}
+
+function json(res, body) {
+  res.writeHead(200, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+function text(res, body, status = 200) {
+  res.writeHead(status, { 'Content-Type': 'text/plain' });
+  res.end(body);
+}
+
+// Starts a fake 'wiim', 'luxsin' or 'camilladsp' device on 127.0.0.1. Resolves
+// { kind, port, address, state, close() }; state is what the device holds.
+// options.version sets the CamillaDSP version the fake answers to.
+export function startFakeDevice(kind, { port = 0, version } = {}) {
+  const dsp = kind === 'camilladsp' ? createFakeCamillaDsp(version ? { version } : {}) : null;
+  const state = dsp ? dsp.state : kind === 'wiim' ? wiimState() : luxsinState();
+  const handle = dsp ? () => false : kind === 'wiim' ? wiimHandler(state) : luxsinHandler(state);
+  const server = http.createServer((req, res) => {
+    if (handle(req, res) === false) text(res, 'not found', 404);
+  });
+  const sockets = new Set();
+  server.on('connection', (socket) => {
+    sockets.add(socket);
+    socket.on('close', () => sockets.delete(socket));
+  });
+  if (dsp) server.on('upgrade', camillaUpgrade(dsp));
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, '127.0.0.1', () => {
+      const { port: listening } = server.address();
+      resolve({
+        kind,
+        port: listening,
+        address: `http://127.0.0.1:${listening}`,
+        state,
+        close: () => new Promise((done) => {
+          server.close(done);
+          // open websockets would keep the server up
+          sockets.forEach(socket => socket.destroy());
+        }),
+      });
+    });
+  });
+}
+
+if (process.argv[1] && fileURLToPath(import.meta.url) === process.argv[1]) {
+  const args = process.argv.slice(2);
+  const kind = args.find(a => ['wiim', 'luxsin', 'camilladsp'].includes(a)) ?? 'wiim';
+  const portIdx = args.indexOf('--port');
+  const device = await startFakeDevice(kind, { port: portIdx !== -1 ? parseInt(args[portIdx + 1], 10) : 0 });
+  console.log(`Fake ${kind} device at ${device.address}`);
+}
@@ -0,0 +1,94 @@
+/**
+ * Airoha (airohaUsbSerial) — wire format against real device reads
+ * Capture: tests/captures/audeze_airoha_serial.json  (real Audeze reads, see its _comment)
+ * Handler: devicePEQ/airohaUsbSerialHandler.js
+ *
+ * The write carries the same 18-byte band block a read returns:
+ *   01 [type] [freq x100, 4 bytes] [gain x100, 4 bytes] ...
+ * These tests push the captured presets back through encodeFilters() and
+ * compare type, frequency and gain byte for byte with what the device sent.
+ * The last eight bytes are not compared: the read has bandwidth then Q where
+ * the write has Q then a constant.
+ */
+
+import { airohaUsbSerial } from '../../devicePEQ/airohaUsbSerialHandler.js';
+
+const BAND_BLOCK = 18;
+const READ_BANDS_START = 13;
+const WRITE_BANDS_START = 13 + 9;      // header, length, subcommand, preset, count; section header, rate
+const WRITE_SECTION = 9 + 10 * BAND_BLOCK;
+const COMPARED = 10;                   // 01, type, frequency, gain
+
+async function loadAirohaCapture() {
+  const captureUrl = new URL('../captures/audeze_airoha_serial.json', import.meta.url).href;
+  const capture = await fetch(captureUrl).then(r => r.json());
+  return capture.exchanges.map(exchange => exchange.response);
+}
+
+function readBlocks(response) {
+  return Array.from({ length: 10 }, (_, i) =>
+    response.slice(READ_BANDS_START + i * BAND_BLOCK, READ_BANDS_START + (i + 1) * BAND_BLOCK));
+}
+
+function writeBlocks(command, section = 0) {
+  const start = WRITE_BANDS_START + section * WRITE_SECTION;
+  return Array.from({ length: 10 }, (_, i) =>
+    Array.from(command.slice(start + i * BAND_BLOCK, start + (i + 1) * BAND_BLOCK)));
+}
+
+// The handler's own pull of `response`, as a port that answers once.
+async function pull(response) {
+  const details = {
+    modelConfig: {},
+    writable: { write: async () => {} },
+    readable: { read: async () => ({ value: new Uint8Array(response), done: false }) },
+  };
+  return airohaUsbSerial.pullFromDevice(details, 0);
+}
+
+// ── Tests ──────────────────────────────────────────────────────────────────
+
+export async function test_airohaSerial_pullsCapturedPreset(assert) {
+  const [immersive] = await loadAirohaCapture();
+  const { filters } = await pull(immersive);
+  assert.deepEqual(filters.map(f => f.freq), [32, 64, 125, 250, 500, 1000, 2000, 4000, 8000, 16000]);
+  assert.deepEqual(filters.map(f => f.gain), [6, -3, 3, -2, 4, -3, 5, -3, 5, -4]);
+  assert.ok(filters.every(f => f.type === 'PK' && f.q === 2), 'type byte 02 is a peak, Q 2.00');
+}
+
+export async function test_airohaSerial_writesCapturedFrequencyBytes(assert) {
+  const [immersive] = await loadAirohaCapture();
+  const { filters } = await pull(immersive);
+  const command = airohaUsbSerial.encodeFilters({}, filters, 0);
+  const captured = readBlocks(immersive);
+
+  for (let section = 0; section < 6; section++) {
+    writeBlocks(command, section).forEach((block, i) => {
+      assert.deepEqual(block.slice(0, COMPARED), captured[i].slice(0, COMPARED),
+        `section ${section} band ${i + 1} (${filters[i].freq} Hz)`);
+    });
+  }
+  // 1 kHz is 100000 hundredths: the third byte is the one two bytes dropped
+  assert.deepEqual(writeBlocks(command)[5].slice(2, 6), [0xA0, 0x86, 0x01, 0x00]);
+}
+
+export async function test_airohaSerial_writesDisabledBandsAsCapturedFlatPreset(assert) {
+  const [immersive, flat] = await loadAirohaCapture();
+  const { filters } = await pull(immersive);
+  const command = airohaUsbSerial.encodeFilters({}, filters.map(f => ({ ...f, disabled: true })), 0);
+  const captured = readBlocks(flat);
+
+  writeBlocks(command).forEach((block, i) => {
+    assert.deepEqual(block.slice(0, COMPARED), captured[i].slice(0, COMPARED),
+      `band ${i + 1} goes out as the device's own 0 dB band`);
+  });
+}
+
+export async function test_airohaSerial_shelfTypeReadsBack(assert) {
+  const command = airohaUsbSerial.encodeFilters({}, [
+    { type: 'LSQ', freq: 105, q: 0.7, gain: 4 },
+    { type: 'HSQ', freq: 8000, q: 0.7, gain: -2 },
+  ], 0);
+  assert.deepEqual(writeBlocks(command).slice(0, 2).map(block => block[1]), [3, 4], 'type bytes 3 and 4');
+  assert.deepEqual(airohaUsbSerial.decodeFilters({}, command).slice(0, 2).map(f => f.type), ['LSQ', 'HSQ']);
+}
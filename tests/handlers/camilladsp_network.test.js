@@ -0,0 +1,279 @@
+/**
+ * CamillaDSP network handler — tests with a mocked WebSocket (no real device).
+ * Handler: devicePEQ/camillaDspNetworkHandler.js
+ *
+ * The fake CamillaDSP (tests/fakeCamillaDsp.js) answers GetVersion,
+ * GetConfigJson and SetConfigJson, and refuses a config CamillaDSP would.
+ * These tests:
+ *   - push: the chain (DevicePEQ_01.., DevicePEQ_preamp) and its pipeline step,
+ *           per channel before CamillaDSP 3, leaving the user's own filters;
+ *           an unlinked set as a chain per channel (DevicePEQ_L_01, DevicePEQ_R_01..)
+ *   - pull: every supported type comes back as it was pushed, per channel too
+ *   - enable: the chain's step leaves and rejoins the pipeline
+ *   - errors: a refused config, an unreachable host, a dropped connection
+ *   - the connector: a transactional push, and disconnect closing the socket
+ */
+
+import { camillaDspNetworkHandler } from '../../devicePEQ/camillaDspNetworkHandler.js';
+import { NetworkDeviceConnector } from '../../devicePEQ/networkDeviceConnector.js';
+import { loadPeqConstraintsConfig } from '../../devicePEQ/peqConstraints.js';
+import { MockWebSocketServer } from '../MockNetwork.js';
+import { createFakeCamillaDsp } from '../fakeCamillaDsp.js';
+
+const FILTERS = [
+  { type: 'PK', freq: 120, q: 1.2, gain: 3.5 },
+  { type: 'LSQ', freq: 80, q: 0.7, gain: -2 },
+  { type: 'HSQ', freq: 9000, q: 0.8, gain: 1.5 },
+  { type: 'LP', freq: 18000, q: 0.707, gain: 0 },
+  { type: 'HP', freq: 20, q: 0.5, gain: 0 },
+  { type: 'NOTCH', freq: 3000, q: 10, gain: 0 },
+  { type: 'ALLPASS', freq: 500, q: 0.9, gain: 0 },
+];
+
+let nextHost = 1;
+
+// Runs fn(dsp, ws, device) against a fake CamillaDSP, each call on an
+// address of its own so no connection carries over.
+async function withDsp(options, fn) {
+  const dsp = createFakeCamillaDsp(options);
+  const ws = new MockWebSocketServer(text => dsp.handle(text)).install();
+  const device = { ip: `10.0.1.${nextHost}`, host: `10.0.1.${nextHost++}` };
+  try { return await fn(dsp, ws, device); }
+  finally {
+    await camillaDspNetworkHandler.close(device);
+    ws.restore();
+  }
+}
+
+// ── push ───────────────────────────────────────────────────────────────────────
+
+export async function test_push_writesTheChainAndKeepsTheRest(assert) {
+  await withDsp({}, async (dsp, ws, device) => {
+    const result = await camillaDspNetworkHandler.pushToDevice(device, null, 0, -4.5, FILTERS.slice(0, 3));
+    assert.equal(result, false, 'push returns false (no restart needed)');
+    assert.equal(ws.sockets[0].url, `ws://${device.host}:1234`, 'the default websocket port');
+
+    const { filters, pipeline } = dsp.state.config;
+    assert.deepEqual(filters.DevicePEQ_01, { type: 'Biquad', parameters: { type: 'Peaking', freq: 120, q: 1.2, gain: 3.5 } });
+    assert.equal(filters.DevicePEQ_02.parameters.type, 'Lowshelf');
+    assert.equal(filters.DevicePEQ_03.parameters.type, 'Highshelf');
+    assert.deepEqual(filters.DevicePEQ_preamp, { type: 'Gain', parameters: { gain: -4.5, inverted: false } });
+    assert.ok(filters.room_notch, "the user's own filter stays");
+    assert.deepEqual(pipeline, [
+      { type: 'Filter', channels: [0, 1], names: ['room_notch'] },
+      { type: 'Filter', channels: [0, 1], names: ['DevicePEQ_preamp', 'DevicePEQ_01', 'DevicePEQ_02', 'DevicePEQ_03'] },
+    ], 'one step after the existing pipeline, on both channels');
+    assert.deepEqual(dsp.state.commands, ['GetConfigJson', 'GetVersion', 'SetConfigJson']);
+  });
+}
+
+export async function test_push_beforeVersion3_addsAStepPerChannel(assert) {
+  await withDsp({ version: '2.0.3' }, async (dsp, ws, device) => {
+    await camillaDspNetworkHandler.pushToDevice(device, null, 0, 0, [{ type: 'PK', freq: 1000, q: 1, gain: 2 }]);
+    assert.deepEqual(dsp.state.config.pipeline.slice(2), [
+      { type: 'Filter', channel: 0, names: ['DevicePEQ_preamp', 'DevicePEQ_01'] },
+      { type: 'Filter', channel: 1, names: ['DevicePEQ_preamp', 'DevicePEQ_01'] },
+    ]);
+  });
+}
+
+export async function test_push_replacesTheChainWhereItIs(assert) {
+  await withDsp({}, async (dsp, ws, device) => {
+    await camillaDspNetworkHandler.pushToDevice(device, null, 0, 0, FILTERS.slice(0, 3));
+    // The user moves the chain in front of their own filter
+    dsp.state.config.pipeline.reverse();
+
+    await camillaDspNetworkHandler.pushToDevice(device, null, 0, -1, [
+      { type: 'PK', freq: 250, q: 2, gain: -3 },
+      { type: 'PK', freq: 500, q: 2, gain: 9, disabled: true },
+    ]);
+    const { filters, pipeline } = dsp.state.config;
+    assert.deepEqual(Object.keys(filters).sort(), ['DevicePEQ_01', 'DevicePEQ_preamp', 'room_notch'],
+      'bands that are gone or disabled are not left behind');
+    assert.deepEqual(pipeline.map(step => step.names), [['DevicePEQ_preamp', 'DevicePEQ_01'], ['room_notch']],
+      'the chain stays where it was moved to');
+  });
+}
+
+const UNLINKED = [
+  { type: 'PK', freq: 1000, q: 1, gain: 3, channel: 'L' },
+  { type: 'LSQ', freq: 100, q: 0.7, gain: -2, channel: 'L' },
+  { type: 'PK', freq: 4000, q: 2, gain: 5, channel: 'R' },
+];
+
+export async function test_push_unlinked_writesAChainPerChannel(assert) {
+  await withDsp({}, async (dsp, ws, device) => {
+    await camillaDspNetworkHandler.pushToDevice(device, null, 0, -5, UNLINKED);
+    const { filters, pipeline } = dsp.state.config;
+    assert.deepEqual(Object.keys(filters).filter(n => n.startsWith('DevicePEQ_')).sort(),
+      ['DevicePEQ_L_01', 'DevicePEQ_L_02', 'DevicePEQ_R_01', 'DevicePEQ_preamp']);
+    assert.equal(filters.DevicePEQ_R_01.parameters.freq, 4000);
+    assert.deepEqual(pipeline.slice(1), [
+      { type: 'Filter', channels: [0], names: ['DevicePEQ_preamp', 'DevicePEQ_L_01', 'DevicePEQ_L_02'] },
+      { type: 'Filter', channels: [1], names: ['DevicePEQ_preamp', 'DevicePEQ_R_01'] },
+    ], 'the left chain on channel 0, the right one on channel 1');
+
+    await camillaDspNetworkHandler.pushToDevice(device, null, 0, 0, FILTERS.slice(0, 1));
+    assert.deepEqual(Object.keys(dsp.state.config.filters).filter(n => n.startsWith('DevicePEQ_')).sort(),
+      ['DevicePEQ_01', 'DevicePEQ_preamp'], 'a linked push replaces both channel chains');
+    assert.deepEqual(dsp.state.config.pipeline.slice(1).map(step => step.channels), [[0, 1]]);
+  });
+}
+
+export async function test_push_unlinked_beforeVersion3(assert) {
+  await withDsp({ version: '2.0.3' }, async (dsp, ws, device) => {
+    await camillaDspNetworkHandler.pushToDevice(device, null, 0, 0, UNLINKED);
+    assert.deepEqual(dsp.state.config.pipeline.slice(2), [
+      { type: 'Filter', channel: 0, names: ['DevicePEQ_preamp', 'DevicePEQ_L_01', 'DevicePEQ_L_02'] },
+      { type: 'Filter', channel: 1, names: ['DevicePEQ_preamp', 'DevicePEQ_R_01'] },
+    ]);
+  });
+}
+
+export async function test_push_refusesAnUnknownFilterType(assert) {
+  await withDsp({}, async (dsp, ws, device) => {
+    let threw = null;
+    try { await camillaDspNetworkHandler.pushToDevice(device, null, 0, 0, [{ type: 'BPF', freq: 1000, q: 1, gain: 0 }]); }
+    catch (e) { threw = e; }
+    assert.ok(threw, 'a band-pass filter is not mapped');
+    assert.equal(threw.type, 'PROTOCOL_ERROR');
+    assert.ok(!dsp.state.commands.includes('SetConfigJson'), 'nothing is written');
+  });
+}
+
+// ── pull ───────────────────────────────────────────────────────────────────────
+
+export async function test_pull_readsBackEveryType(assert) {
+  await withDsp({}, async (dsp, ws, device) => {
+    await camillaDspNetworkHandler.pushToDevice(device, null, 0, -6, FILTERS);
+    const pulled = await camillaDspNetworkHandler.pullFromDevice(device, 0);
+    assert.deepEqual(pulled.filters, FILTERS);
+    assert.equal(pulled.globalGain, -6);
+    assert.equal(pulled.currentSlot, 0);
+    assert.equal(Object.keys(dsp.state.config.filters).filter(n => n.startsWith('DevicePEQ_')).length, 8,
+      'seven bands and the preamp');
+  });
+}
+
+export async function test_pull_unlinked_joinsTheChannels(assert) {
+  await withDsp({}, async (dsp, ws, device) => {
+    await camillaDspNetworkHandler.pushToDevice(device, null, 0, -5, UNLINKED);
+    const pulled = await camillaDspNetworkHandler.pullFromDevice(device, 0);
+    assert.deepEqual(pulled.filters, UNLINKED, 'the left bands then the right ones, tagged');
+    assert.equal(pulled.globalGain, -5);
+
+    const padded = await camillaDspNetworkHandler.pullFromDevice({ ...device, modelConfig: { maxFilters: 3 } }, 0);
+    assert.deepEqual(padded.filters.map(f => `${f.channel}${f.disabled ? '-' : ''}`),
+      ['L', 'L', 'L-', 'R', 'R-', 'R-'], 'each channel is padded to maxFilters');
+
+    await camillaDspNetworkHandler.enablePEQ(device, false, 0);
+    await camillaDspNetworkHandler.enablePEQ(device, true, 0);
+    assert.deepEqual(dsp.state.config.pipeline.slice(1).map(step => step.channels), [[0], [1]],
+      'enabling puts each channel chain back');
+  });
+}
+
+export async function test_pull_withoutAChain_isFlat(assert) {
+  await withDsp({}, async (dsp, ws, device) => {
+    const pulled = await camillaDspNetworkHandler.pullFromDevice(device, 0);
+    assert.deepEqual(pulled.filters, [], "the user's own filters are not the EQ");
+    assert.equal(pulled.globalGain, 0);
+  });
+}
+
+export async function test_pull_usesTheConfiguredChainName(assert) {
+  await withDsp({}, async (dsp, ws, device) => {
+    const named = { ...device, modelConfig: { filterChainName: 'Headphones' } };
+    await camillaDspNetworkHandler.pushToDevice(named, null, 0, 0, FILTERS.slice(0, 1));
+    assert.ok(dsp.state.config.filters.Headphones_01);
+    assert.deepEqual((await camillaDspNetworkHandler.pullFromDevice(device, 0)).filters, [],
+      'another chain name is another chain');
+    assert.equal((await camillaDspNetworkHandler.pullFromDevice(named, 0)).filters.length, 1);
+  });
+}
+
+// ── enable ─────────────────────────────────────────────────────────────────────
+
+export async function test_enablePEQ_takesTheStepOutAndBack(assert) {
+  await withDsp({}, async (dsp, ws, device) => {
+    await camillaDspNetworkHandler.pushToDevice(device, null, 0, -2, FILTERS.slice(0, 2));
+    await camillaDspNetworkHandler.enablePEQ(device, false, 0);
+    assert.deepEqual(dsp.state.config.pipeline.map(step => step.names), [['room_notch']]);
+    assert.ok(dsp.state.config.filters.DevicePEQ_02, 'the filters are kept');
+
+    await camillaDspNetworkHandler.enablePEQ(device, true, 0);
+    assert.deepEqual(dsp.state.config.pipeline.map(step => step.names),
+      [['room_notch'], ['DevicePEQ_preamp', 'DevicePEQ_01', 'DevicePEQ_02']]);
+  });
+}
+
+// ── slots, probe and errors ────────────────────────────────────────────────────
+
+export async function test_oneSlot_theActiveConfig(assert) {
+  await withDsp({}, async (dsp, ws, device) => {
+    assert.deepEqual(await camillaDspNetworkHandler.getAvailableSlots(device), [{ id: 0, name: 'Active config' }]);
+    assert.equal(await camillaDspNetworkHandler.getCurrentSlot(device), 0);
+  });
+}
+
+export async function test_refusedConfig_isAProtocolError(assert) {
+  await withDsp({}, async (dsp, ws, device) => {
+    dsp.state.refuseSet = 'Invalid config';
+    let threw = null;
+    try { await camillaDspNetworkHandler.pushToDevice(device, null, 0, 0, FILTERS.slice(0, 1)); }
+    catch (e) { threw = e; }
+    assert.ok(threw);
+    assert.equal(threw.type, 'PROTOCOL_ERROR');
+    assert.ok(/SetConfigJson.*Invalid config/.test(threw.message), threw.message);
+  });
+}
+
+export async function test_unreachable_and_dropped_areDisconnects(assert) {
+  await withDsp({}, async (dsp, ws, device) => {
+    ws.refuse = true;
+    let threw = null;
+    try { await camillaDspNetworkHandler.pullFromDevice(device, 0); }
+    catch (e) { threw = e; }
+    assert.equal(threw?.type, 'DISCONNECTED', 'an unreachable host');
+
+    ws.refuse = false;
+    await camillaDspNetworkHandler.pullFromDevice(device, 0);
+    ws.closeAll();
+    await camillaDspNetworkHandler.pullFromDevice(device, 0);
+    assert.equal(ws.sockets.length, 3, 'a dropped connection is opened again on the next call');
+  });
+}
+
+export async function test_probe_usesAConnectionOfItsOwn(assert) {
+  await withDsp({}, async (dsp, ws, device) => {
+    await camillaDspNetworkHandler.pullFromDevice(device, 0);
+    await camillaDspNetworkHandler.probe({ host: device.host, port: 1234 });
+    assert.deepEqual(dsp.state.commands, ['GetConfigJson', 'GetVersion']);
+    assert.equal(ws.sockets.length, 2);
+    await new Promise(r => setTimeout(r, 0));
+    assert.equal(ws.openSockets.length, 1, 'the probe closes its own, the device keeps its');
+  });
+}
+
+// ── through the connector ──────────────────────────────────────────────────────
+
+export async function test_connector_pushesAndDisconnects(assert) {
+  await loadPeqConstraintsConfig();
+  await withDsp({}, async (dsp, ws) => {
+    const device = await NetworkDeviceConnector.getDeviceConnected('10.0.1.200:1235', 'CamillaDSP');
+    try {
+      assert.equal(device.modelConfig.maxFilters, 20);
+      assert.equal(device.modelConfig.supportsBPFilter, false);
+      assert.equal(device.modelConfig.supportsNotchFilter, true);
+      assert.equal(device.modelConfig.supportsPerChannelEQ, true);
+      await NetworkDeviceConnector.pushToDevice(device, null, 0, -3, FILTERS.slice(0, 2));
+      assert.equal(ws.sockets[0].url, 'ws://10.0.1.200:1235', 'the port given');
+      assert.equal(dsp.state.commands[0], 'GetConfigJson', 'read first, as the rollback snapshot');
+      assert.equal(dsp.state.config.filters.DevicePEQ_preamp.parameters.gain, -3);
+    } finally {
+      await NetworkDeviceConnector.disconnectDevice(device);
+    }
+    await new Promise(r => setTimeout(r, 0));
+    assert.equal(ws.openSockets.length, 0, 'disconnecting closes the websocket');
+  });
+}
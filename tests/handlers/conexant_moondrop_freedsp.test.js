@@ -425,3 +425,33 @@ export async function test_packetStructure_handlesMultipleFilters(assert) {
   assert.ok(bandNumbers.includes(2), 'should have config frame for band 2');
   assert.ok(bandNumbers.includes(3), 'should have config frame for band 3');
 }
+
+/**
+ * Test that a preview writes to RAM (packet ID 190) and a commit rewrites the
+ * same filters to flash (packet ID 220). The mode frame (90) follows both.
+ */
+export async function test_preview_writesRam_commit_writesFlash(assert) {
+  const mock = new MockHIDDevice({
+    vendorId: 0x35D8,
+    productId: 0x1496,
+    productName: 'Moondrop FreeDSP',
+    reportId: 0x01,
+    exchanges: []
+  });
+  await mock.open();
+  const details = makeDeviceDetails(mock);
+  const filters = [{ freq: 100, gain: 3.5, q: 1.0, type: 'PK' }];
+
+  const packetIdsSent = () => [...new Set(mock._sentReports.map(({ bytes }) => {
+    const packed = bytes[3] | (bytes[4] << 8) | (bytes[5] << 16) | (bytes[6] << 24);
+    return (packed >> 16) & 0xFFF;
+  }))].sort((a, b) => a - b);
+
+  await conexantUsbHidHandler.previewToDevice(details, {}, 0, 0, filters);
+  assert.deepEqual(packetIdsSent(), [90, 190], 'preview should only send RAM and mode packets');
+
+  mock.resetHistory();
+  await conexantUsbHidHandler.commitToDevice(details, {}, 0, 0, filters);
+  assert.deepEqual(packetIdsSent(), [90, 220], 'commit should only send SAVE and mode packets');
+  assert.equal(mock._sentReports.length, 1 * 5 + 1, 'commit rewrites the previewed band');
+}
@@ -169,3 +169,29 @@ export async function test_pushToDevice_noExplicitGainWrite(assert) {
   assert.ok(details.modelConfig.deviceHandlesPregain === true,
     'deviceHandlesPregain should be true for Fosi Audio DS3');
 }
+
+// ── previewToDevice / commitToDevice ───────────────────────────────────────────
+// A preview writes and commits each band but leaves out 0x92, which saves the
+// preset; commitToDevice sends only that.
+
+export async function test_previewToDevice_skipsSave(assert) {
+  const mock = await loadCapture('../captures/fosi_audio_ds3.json');
+  await mock.open();
+  const details = makeDeviceDetails(mock);
+
+  const pulled = await fosiAudioUsbHID.pullFromDevice(details, 7);
+  mock.resetHistory();
+
+  const filters = pulled.filters.filter(f => f !== undefined && f !== null);
+  const disconnect = await fosiAudioUsbHID.previewToDevice(details, null, 7, 0, filters);
+
+  const sends = mock._sentReports.filter(r => r.type === 'feature').map(r => r.bytes[1]);
+  assert.equal(disconnect, false, 'a preview never restarts the device');
+  assert.ok(sends.length > 0, 'bands should still be written');
+  assert.ok(!sends.includes(146), 'preview should not send the save command 0x92 (146)');
+
+  mock.resetHistory();
+  await fosiAudioUsbHID.commitToDevice(details, null, 7);
+  const saved = mock._sentReports.filter(r => r.type === 'feature');
+  assert.deepEqual(saved.map(r => [r.bytes[1], r.bytes[2]]), [[146, 7]], 'commit saves preset 7 only');
+}
@@ -118,6 +118,24 @@ export async function test_pushToDevice_sendsWriteForEachRegister(assert) {
     `should send 2 write packets per filter (${details.modelConfig.maxFilters * 2} total), sent ${writeSends.length}`);
 }
 
+export async function test_pushToDevice_writeSet_limits_writes_to_changed_bands(assert) {
+  const mock = await loadCapture('../captures/ktmicro_tanchjim_one_dsp.json');
+  await mock.open();
+  const details = makeDeviceDetails(mock);
+
+  const pulled = await ktmicroUsbHidHandler.pullFromDevice(details, 0x03);
+  mock.resetHistory();
+
+  const filters = pulled.filters.filter(f => f !== undefined && f !== null);
+  await ktmicroUsbHidHandler.pushToDevice(details, null, 0x03, 0, filters, { bands: [2], globalGain: false });
+
+  // Band 2 only: its gain/freq register and its Q/type register
+  const writeSends = mock.sentBytes.filter(b => b.length > 4 && b[4] === 0x57);
+  assert.equal(writeSends.length, 2, `should send 2 write packets for one band, sent ${writeSends.length}`);
+  const commitSend = mock.sentBytes.find(b => b.length > 4 && b[4] === 0x53);
+  assert.ok(commitSend !== undefined, 'partial write should still commit');
+}
+
 export async function test_pushToDevice_sendsCommit(assert) {
   const mock = await loadCapture('../captures/ktmicro_tanchjim_one_dsp.json');
   await mock.open();
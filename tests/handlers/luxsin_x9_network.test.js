@@ -7,6 +7,8 @@
  *   - pull: GET syncData + syncPeq (custom-encoded JSON), decode + map filters
  *   - push: GET syncData then POST custom-encoded JSON; verify the encoded payload
  *           (existing slot uses stringified filters; "new" uses a raw array)
+ *   - channels: an unlinked set is written with per-band channel codes
+ *           (1 = left, 2 = right) and pulled back tagged 'L' / 'R'
  *
  * The device codec is replicated here so the mock can encode responses and decode
  * the POST body the handler sends.
@@ -154,6 +156,42 @@ export async function test_pushToDevice_newPresetSendsRawArray(assert) {
   });
 }
 
+// ── channels ─────────────────────────────────────────────────────────────────
+
+export async function test_pushToDevice_unlinkedSetMarksEachBandsChannel(assert) {
+  await withMock(async (net) => {
+    net.on('action=syncData', () => textResponse(encodeCustom(JSON.stringify(makeDeviceData()))));
+    net.on(u => u.endsWith('/dev/info.cgi'), () => jsonResponse({}));
+
+    await luxsinNetworkHandler.pushToDevice(DEVICE, null, 1, 0, [
+      { type: 'PK', freq: 1000, q: 1, gain: 3, channel: 'L' },
+      { type: 'PK', freq: 200, q: 1, gain: -2, channel: 'L' },
+      { type: 'HSQ', freq: 8000, q: 0.7, gain: 4, channel: 'R' },
+    ]);
+    const post = net.calls.find(c => (c.options.method || 'GET') === 'POST');
+    const parsed = JSON.parse(decodePostedPayload(post).peq[0].filters);
+    assert.deepEqual(parsed.map(f => f.channel), [1, 1, 2], 'left bands, then right ones');
+    assert.deepEqual(parsed.map(f => f.fc), [1000, 200, 8000]);
+  });
+}
+
+export async function test_pullFromDevice_keepsEachBandsChannel(assert) {
+  await withMock(async (net) => {
+    const data = makeDeviceData();
+    data.peq[1].filters = JSON.stringify([
+      { type: 4, fc: 100, gain: 3, q: 1.0 },
+      { type: 4, fc: 1000, gain: 2, q: 1.0, channel: 1 },
+      { type: 6, fc: 9000, gain: 4, q: 0.7, channel: 2 },
+    ]);
+    net.on('action=syncData', () => textResponse(encodeCustom(JSON.stringify(data))));
+    net.on('action=syncPeq', () => textResponse(encodeCustom(JSON.stringify({ peqSelect: 1 }))));
+
+    const result = await luxsinNetworkHandler.pullFromDevice(DEVICE, 0);
+    assert.deepEqual(result.filters.map(f => `${f.channel}${f.freq}`), ['L100', 'L1000', 'R100', 'R9000'],
+      'a band without a channel applies to both');
+  });
+}
+
 // ── enable / slots ─────────────────────────────────────────────────────────────
 
 export async function test_enablePEQ_postsPeqEnableAndSelect(assert) {
@@ -4,9 +4,9 @@
  *
  * WiiM uses the Linkplay HTTP API over HTTPS with mode:"no-cors", so in a real
  * browser the responses are OPAQUE (status 0, body unreadable):
- *   - pushToDevice tolerates opaque (it only checks status === 0) → works.
+ *   - pushToDevice tolerates opaque (it only checks !ok on readable responses) → works.
  *   - pullFromDevice cannot read an opaque body → throws a CORS error.
- * We test both, plus the parse path when a CORS-enabled proxy returns readable JSON.
+ * We test both, plus the parse path when the network bridge returns readable JSON.
  */
 
 import { wiimNetworkHandler } from '../../devicePEQ/wiimNetworkHandler.js';
@@ -122,10 +122,10 @@ export async function test_pullFromDevice_parsesReadableResponse(assert) {
 
     const result = await wiimNetworkHandler.pullFromDevice(DEVICE, 0);
     assert.equal(result.filters.length, 2, 'parses two bands');
-    assert.equal(result.filters[0].type, 'Peak', 'band a type Peak');
+    assert.equal(result.filters[0].type, 'PK', 'band a type PK');
     assert.equal(result.filters[0].freq, 120, 'band a freq');
     assert.equal(result.filters[0].gain, 3.5, 'band a gain');
-    assert.equal(result.filters[1].type, 'Low-Shelf', 'band b type Low-Shelf');
+    assert.equal(result.filters[1].type, 'LSQ', 'band b type LSQ');
     assert.equal(result.filters[1].disabled, false, 'band b not disabled');
   });
 }
@@ -0,0 +1,105 @@
+/**
+ * Connector Registry Tests
+ *
+ * plugin.js dispatches every device operation through connectorRegistry.js by
+ * connectionType. These tests verify that:
+ *   1. All four built-in transports are registered by loadDefaultConnectors()
+ *   2. Every registered connector implements every operation (BLE used to be
+ *      missing from enablePEQ and the post-push disconnect in plugin.js)
+ *   3. An incomplete connector is rejected at registration time
+ *   4. A new transport needs exactly one registerConnector() call
+ */
+
+import {
+  CONNECTOR_OPERATIONS, loadDefaultConnectors, registerConnector, unregisterConnector,
+  getConnector, getConnectorEntry, getConnectorTypes
+} from '../../devicePEQ/connectorRegistry.js';
+
+function fakeConnector(overrides = {}) {
+  const calls = [];
+  const connector = {};
+  CONNECTOR_OPERATIONS.forEach(op => {
+    connector[op] = async (...args) => { calls.push({ op, args }); return null; };
+  });
+  return Object.assign(connector, { calls }, overrides);
+}
+
+export async function test_default_transports_registered(assert) {
+  await loadDefaultConnectors();
+  const types = getConnectorTypes();
+  ['usb', 'serial', 'ble', 'network'].forEach(type => {
+    assert.ok(types.includes(type), `"${type}" should be registered`);
+  });
+}
+
+export async function test_every_transport_implements_every_operation(assert) {
+  await loadDefaultConnectors();
+  for (const type of ['usb', 'serial', 'ble', 'network']) {
+    const connector = getConnector(type);
+    CONNECTOR_OPERATIONS.forEach(op => {
+      assert.equal(typeof connector[op], 'function', `${type}.${op} should be a function`);
+    });
+  }
+}
+
+export async function test_disconnect_events_declared_for_hardware_transports(assert) {
+  await loadDefaultConnectors();
+  assert.equal(getConnectorEntry('usb').disconnectEvent, 'disconnect');
+  assert.equal(getConnectorEntry('serial').disconnectEvent, 'disconnect');
+  assert.equal(getConnectorEntry('ble').disconnectEvent, 'gattserverdisconnected');
+  assert.equal(getConnectorEntry('network').disconnectEvent, null, 'network has no disconnect event');
+}
+
+export async function test_network_connect_passes_ip_and_type(assert) {
+  await loadDefaultConnectors();
+  const entry = getConnectorEntry('network');
+  const device = await entry.connect({ ipAddress: '192.168.1.50', deviceType: 'Luxsin' });
+  assert.ok(device, 'network connect should return a device');
+  assert.equal(device.ip, '192.168.1.50', 'IP address should reach the connector');
+  assert.equal(device.type, 'Luxsin', 'device type should reach the connector');
+  await entry.connector.disconnectDevice();
+}
+
+export async function test_incomplete_connector_rejected(assert) {
+  const incomplete = fakeConnector();
+  delete incomplete.enablePEQ;
+  let message = null;
+  try { registerConnector('test-incomplete', incomplete); }
+  catch (e) { message = e.message; }
+  assert.ok(message && message.includes('enablePEQ'), 'registration should name the missing operation');
+  assert.equal(getConnectorEntry('test-incomplete'), null, 'incomplete connector should not be registered');
+}
+
+export async function test_unknown_type_throws(assert) {
+  let threw = false;
+  try { getConnector('no-such-transport'); } catch (_) { threw = true; }
+  assert.ok(threw, 'getConnector should throw for an unregistered type');
+}
+
+export async function test_new_transport_single_registration(assert) {
+  const connector = fakeConnector({ getDeviceConnected: async () => ({ model: 'Fake' }) });
+  registerConnector('test-fake', connector, { label: 'Fake' });
+  try {
+    const entry = getConnectorEntry('test-fake');
+    assert.equal(entry.label, 'Fake', 'label should be kept');
+    const device = await entry.connect({ connectionType: 'test-fake' });
+    assert.equal(device.model, 'Fake', 'default connect should call getDeviceConnected()');
+    await getConnector('test-fake').enablePEQ(device, true, 1);
+    assert.equal(connector.calls[0].op, 'enablePEQ', 'operations dispatch to the registered connector');
+  } finally {
+    unregisterConnector('test-fake');
+  }
+}
+
+export async function test_loadDefaultConnectors_keeps_host_override(assert) {
+  await loadDefaultConnectors();
+  const original = getConnector('ble');
+  const override = fakeConnector();
+  registerConnector('ble', override);
+  try {
+    await loadDefaultConnectors();
+    assert.ok(getConnector('ble') === override, 'reloading defaults should not replace an override');
+  } finally {
+    registerConnector('ble', original, { label: 'Bluetooth', disconnectEvent: 'gattserverdisconnected' });
+  }
+}
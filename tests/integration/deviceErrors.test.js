@@ -0,0 +1,111 @@
+/**
+ * Device error tests (deviceErrors.js + where connectors and handlers throw)
+ *
+ * Every failure a connector or handler reports carries a DeviceErrorType:
+ *   1. handlers throw typed errors (protocol errors keep the raw reply)
+ *   2. DOMExceptions, failed fetches and string rejections are classified
+ *   3. queued connector operations and failed pushes pass the type on
+ *   4. the session rejects and emits 'error' with typed errors
+ */
+
+import {
+  DeviceErrorType, deviceError, errorType, protocolError, timeoutError, toDeviceError,
+} from '../../devicePEQ/deviceErrors.js';
+import { queuedOperation } from '../../devicePEQ/deviceQueue.js';
+import { transactionalPush } from '../../devicePEQ/peqTransaction.js';
+import { createDevicePeqSession } from '../../devicePEQ/devicePeqSession.js';
+import { buildExtras } from '../../devicePEQ/deviceExtras.js';
+import { walkplayUsbHID } from '../../devicePEQ/walkplayHidHandler.js';
+import { toppingUsbHidHandler } from '../../devicePEQ/toppingUsbHidHandler.js';
+
+async function rejection(promise) {
+  try { await promise; } catch (error) { return error; }
+  return null;
+}
+
+export async function test_typed_errors(assert) {
+  const timeout = timeoutError('Timeout reading filter');
+  assert.ok(timeout instanceof Error);
+  assert.equal(timeout.type, DeviceErrorType.TIMEOUT);
+  assert.equal(timeout.code, 'TIMEOUT', 'the code is the type unless given');
+  const preview = deviceError(DeviceErrorType.UNSUPPORTED, 'no preview', { code: 'PREVIEW_UNSUPPORTED' });
+  assert.equal(preview.code, 'PREVIEW_UNSUPPORTED');
+  assert.equal(errorType(preview), DeviceErrorType.UNSUPPORTED);
+  assert.deepEqual(protocolError('bad reply', new Uint8Array([0xAA, 0x01])).bytes, [0xAA, 0x01],
+    'the raw reply as plain bytes');
+  assert.equal(errorType(new Error('plain')), null);
+}
+
+export async function test_foreign_errors_are_classified(assert) {
+  const denied = Object.assign(new Error('Access denied.'), { name: 'SecurityError' });
+  const classified = toDeviceError(denied);
+  assert.equal(classified.type, DeviceErrorType.PERMISSION_DENIED);
+  assert.equal(classified.cause, denied, 'the original is kept as the cause');
+  assert.equal(toDeviceError(Object.assign(new Error('x'), { name: 'NetworkError' })).type,
+    DeviceErrorType.DISCONNECTED);
+  assert.equal(toDeviceError(new TypeError('Failed to fetch')).type, DeviceErrorType.DISCONNECTED);
+
+  const fromString = toDeviceError('Timeout reading current slot');
+  assert.ok(fromString instanceof Error, 'string rejections become Errors');
+  assert.equal(fromString.type, DeviceErrorType.TIMEOUT);
+
+  const typed = timeoutError('late');
+  assert.equal(toDeviceError(typed), typed, 'typed errors pass through unchanged');
+  const unknown = new Error('something else');
+  assert.equal(toDeviceError(unknown), unknown, 'unrecognised errors are left untyped');
+}
+
+export async function test_handlers_throw_typed_errors(assert) {
+  const disconnected = await rejection(walkplayUsbHID.getCurrentSlot({ rawDevice: null, modelConfig: {} }));
+  assert.equal(disconnected?.type, DeviceErrorType.DISCONNECTED);
+
+  let garbled = null;
+  try { toppingUsbHidHandler._internal.parseHidFrame(new Uint8Array(16).fill(0x11)); } catch (e) { garbled = e; }
+  assert.equal(garbled?.type, DeviceErrorType.PROTOCOL_ERROR);
+  assert.equal(garbled.bytes.length, 16, 'with the frame that could not be parsed');
+
+  const extras = buildExtras({}, { model: 'Plain DSP', modelConfig: {} });
+  const missing = await rejection(extras.dacFilter.set('FAST'));
+  assert.equal(missing?.code, 'NOT_IMPLEMENTED');
+  assert.equal(missing.type, DeviceErrorType.UNSUPPORTED);
+}
+
+export async function test_queued_operations_classify_rejections(assert) {
+  const pull = queuedOperation(async () => { throw 'Timeout waiting for HID response'; });
+  const error = await rejection(pull({ model: 'Test DSP' }));
+  assert.equal(error?.type, DeviceErrorType.TIMEOUT);
+  assert.equal(error.message, 'Timeout waiting for HID response');
+}
+
+export async function test_failed_push_takes_the_cause_type(assert) {
+  const push = (cause) => transactionalPush({
+    label: 'Test DSP', slot: 1, filters: [{ type: 'PK', freq: 1000, q: 1, gain: 3 }],
+    push: async () => { throw cause; },
+  });
+  const timedOut = await rejection(push(timeoutError('no echo')));
+  assert.equal(timedOut?.code, 'PUSH_FAILED', 'the specific code is kept');
+  assert.equal(timedOut.type, DeviceErrorType.TIMEOUT);
+  assert.equal((await rejection(push(new Error('checksum mismatch'))))?.type, DeviceErrorType.PROTOCOL_ERROR,
+    'an unrecognised handler error counts as a protocol error');
+}
+
+export async function test_session_errors_are_typed(assert) {
+  const session = createDevicePeqSession();
+  const notConnected = await rejection(session.pull());
+  assert.equal(notConnected?.type, DeviceErrorType.DISCONNECTED, 'nothing to pull from');
+
+  const emitted = [];
+  session.on('error', ({ operation, error }) => emitted.push({ operation, type: error.type }));
+  const origRequest = navigator.hid.requestDevice;
+  navigator.hid.requestDevice = async () => {
+    throw Object.assign(new Error('Must be handling a user gesture'), { name: 'SecurityError' });
+  };
+  let refused;
+  try {
+    refused = await rejection(session.connect({ connectionType: 'usb' }));
+  } finally {
+    navigator.hid.requestDevice = origRequest;
+  }
+  assert.equal(refused?.type, DeviceErrorType.PERMISSION_DENIED, 'a refused chooser is not "unsupported"');
+  assert.deepEqual(emitted, [{ operation: 'connect', type: DeviceErrorType.PERMISSION_DENIED }]);
+}
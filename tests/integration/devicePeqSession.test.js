@@ -0,0 +1,223 @@
+/**
+ * Headless DevicePEQ session tests
+ *
+ * createDevicePeqSession() drives a device end-to-end without the plugin DOM.
+ * These tests connect a capture-backed MockHIDDevice (TANCHJIM-ONE DSP, KT Micro)
+ * through the real UsbHIDConnector and check that:
+ *   1. connect resolves constraints, extras, slots and the current slot
+ *   2. pull/push/selectSlot go through the connector and emit events
+ *      (push with verify reads the slot back)
+ *   3. cancelled / unsupported choosers resolve without throwing
+ *   4. a lost device clears the session and emits 'disconnected'
+ */
+
+import { loadCapture } from '../MockHIDDevice.js';
+import { createDevicePeqSession } from '../../devicePEQ/devicePeqSession.js';
+import { UsbHIDConnector } from '../../devicePEQ/usbHidConnector.js';
+
+const CAPTURE = '../captures/ktmicro_tanchjim_one_dsp.json';
+
+// Point the WebHID chooser and the granted-device list at `devices` until
+// restore() is called. The connector re-checks getDevices() before every
+// push/pull, so the mock has to stay granted for the whole test.
+function grantDevices(devices) {
+  const origRequest = navigator.hid.requestDevice;
+  const origGranted = navigator.hid.getDevices;
+  navigator.hid.requestDevice = async () => devices;
+  navigator.hid.getDevices = async () => devices;
+  return () => {
+    navigator.hid.requestDevice = origRequest;
+    navigator.hid.getDevices = origGranted;
+  };
+}
+
+// Connects a fresh session to the ONE DSP capture. close() disconnects and
+// restores navigator.hid.
+async function openSession() {
+  // The connector caches currentDevice; start from a clean slate.
+  try { await (await UsbHIDConnector).disconnectDevice(); } catch (_) {}
+  const mock = await loadCapture(CAPTURE, { responseDelay: 0 });
+  const restore = grantDevices([mock]);
+  const session = createDevicePeqSession();
+  const state = await session.connect({ connectionType: 'usb' });
+  const close = async () => {
+    try { await session.disconnect(); } finally { restore(); }
+  };
+  return { session, mock, state, close };
+}
+
+export async function test_connect_resolves_constraints_slots_and_extras(assert) {
+  const { session, state, close } = await openSession();
+  try {
+    assert.ok(state.device, 'connect should resolve with a device');
+    assert.equal(state.connectionType, 'usb');
+    assert.equal(state.peqConstraints.maxFilters, 5, 'constraints resolved from peqConstraintsRef');
+    assert.ok(state.supportsRead, 'KT Micro supports read');
+    assert.ok(Array.isArray(state.slots) && state.slots.length > 0, 'slots should be populated');
+    assert.ok(state.extras && typeof state.extras.micGain === 'object', 'extras should be attached');
+    assert.equal(state.selectedSlot, state.currentSlot, 'selected slot starts at the current slot');
+    assert.ok(session.getState().device === state.device, 'getState() reflects the connection');
+  } finally {
+    await close();
+  }
+}
+
+export async function test_pull_emits_pulled_with_filters(assert) {
+  const { session, close } = await openSession();
+  const pulled = [];
+  session.on('pulled', detail => pulled.push(detail));
+  try {
+    const result = await session.pull(0x03);
+    assert.equal(result.filters.length, 5, 'should pull 5 bands');
+    assert.equal(pulled.length, 1, "'pulled' should fire once");
+    assert.equal(pulled[0].slot, 0x03, 'event should carry the slot');
+  } finally {
+    await close();
+  }
+}
+
+export async function test_push_defaults_to_selected_slot(assert) {
+  const { session, close } = await openSession();
+  const device = session.device;
+  const received = {};
+  device.handler = {
+    ...device.handler,
+    pushToDevice: async (_d, _phone, slot, preamp, filters) => {
+      Object.assign(received, { slot, preamp, count: filters.length });
+      return false;
+    }
+  };
+  const pushed = [];
+  session.on('pushed', detail => pushed.push(detail));
+
+  try {
+    session.setSelectedSlot('3');
+    const result = await session.push([{ type: 'PK', freq: 1000, q: 1, gain: 2 }], { preamp: -2 });
+    assert.equal(received.slot, 3, 'push should default to the selected slot');
+    assert.equal(received.preamp, -2, 'preamp should reach the handler');
+    assert.equal(result.disconnect, false, 'device does not restart');
+    assert.equal(pushed.length, 1, "'pushed' should fire once");
+  } finally {
+    await close();
+  }
+}
+
+export async function test_push_that_restarts_device_disconnects_session(assert) {
+  const { session, close } = await openSession();
+  session.device.handler = { ...session.device.handler, pushToDevice: async () => true };
+  const disconnected = [];
+  session.on('disconnected', detail => disconnected.push(detail));
+
+  try {
+    const result = await session.push([{ type: 'PK', freq: 1000, q: 1, gain: 2 }], { slot: 3 });
+    assert.equal(result.disconnect, true, 'push should report the restart');
+    assert.equal(session.device, null, 'session should be disconnected');
+    assert.equal(disconnected[0]?.reason, 'requested');
+  } finally {
+    await close();
+  }
+}
+
+export async function test_push_with_verify_reads_back_and_emits(assert) {
+  const { session, close } = await openSession();
+  const device = session.device;
+  let stored = null;
+  let pulls = 0;   // read-backs after the push (the pre-push snapshot is not counted)
+  device.handler = {
+    ...device.handler,
+    pushToDevice: async (_d, _phone, _slot, _preamp, filters) => { stored = filters.map(f => ({ ...f })); return false; },
+    // First read-back drops band 1, as WalkPlay PEQ_VALUES reads sometimes do.
+    pullFromDevice: async () => {
+      if (!stored) return { filters: [] };
+      const dropped = pulls++ === 0;
+      return { filters: stored.map((f, i) => (dropped && i === 0 ? { ...f, gain: 0 } : { ...f })) };
+    }
+  };
+  const verified = [];
+  session.on('verified', detail => verified.push(detail));
+
+  try {
+    const filters = [{ type: 'PK', freq: 1000, q: 1, gain: 2 }, { type: 'PK', freq: 3000, q: 2, gain: -4 }];
+    const result = await session.push(filters, { slot: 3, verify: true });
+    assert.equal(result.verification?.verified, true, 'mismatch should clear on re-read');
+    assert.equal(result.verification.rewrites, 0);
+    assert.equal(pulls, 2, 'read back twice');
+    assert.equal(verified.length, 1, "'verified' should fire once");
+    assert.equal(verified[0].slot, 3);
+
+    const plain = await session.push(filters, { slot: 3 });
+    assert.equal(plain.verification, null, 'no read-back unless asked');
+  } finally {
+    await close();
+  }
+}
+
+export async function test_selectSlot_enables_and_emits(assert) {
+  const { session, close } = await openSession();
+  const calls = [];
+  session.device.handler = {
+    ...session.device.handler,
+    enablePEQ: async (_d, enabled, slotId) => { calls.push({ enabled, slotId }); }
+  };
+  const changes = [];
+  session.on('slotChanged', detail => changes.push(detail));
+
+  try {
+    await session.selectSlot('-1');
+    await session.selectSlot(3);
+    assert.deepEqual(calls, [{ enabled: false, slotId: -1 }, { enabled: true, slotId: 3 }]);
+    assert.equal(changes.length, 2, "'slotChanged' fires per selection");
+    assert.equal(session.getState().selectedSlot, 3);
+  } finally {
+    await close();
+  }
+}
+
+export async function test_cancelled_chooser_resolves_cancelled(assert) {
+  const session = createDevicePeqSession();
+  try { await (await UsbHIDConnector).disconnectDevice(); } catch (_) {}
+  const restore = grantDevices([]);
+  try {
+    const result = await session.connect({ connectionType: 'usb' });
+    assert.equal(result.cancelled, true, 'empty chooser should resolve { cancelled: true }');
+    assert.equal(session.device, null);
+  } finally {
+    restore();
+  }
+}
+
+export async function test_confirm_false_cancels_before_reading(assert) {
+  const session = createDevicePeqSession();
+  try { await (await UsbHIDConnector).disconnectDevice(); } catch (_) {}
+  const mock = await loadCapture(CAPTURE, { responseDelay: 0 });
+  const restore = grantDevices([mock]);
+  try {
+    const result = await session.connect({ connectionType: 'usb' }, { confirm: async () => false });
+    assert.equal(result.cancelled, true, 'declining confirm should cancel');
+    assert.equal(mock.sendCount, 0, 'nothing should be read from the device');
+    assert.equal(mock.opened, false, 'device should be closed again');
+  } finally {
+    restore();
+  }
+}
+
+export async function test_lost_device_emits_disconnected(assert) {
+  const { session, mock, close } = await openSession();
+  const disconnected = [];
+  session.on('disconnected', detail => disconnected.push(detail));
+
+  try {
+    (mock._eventListeners.disconnect ?? []).forEach(fn => fn({ type: 'disconnect' }));
+    assert.equal(session.device, null, 'session should drop the device');
+    assert.equal(disconnected[0]?.reason, 'lost', "'disconnected' should report reason 'lost'");
+  } finally {
+    await close();
+  }
+}
+
+export async function test_operations_without_device_reject(assert) {
+  const session = createDevicePeqSession();
+  let threw = false;
+  try { await session.pull(); } catch (_) { threw = true; }
+  assert.ok(threw, 'pull without a device should reject');
+}
@@ -0,0 +1,160 @@
+/**
+ * Multi-device session tests (devicePeqSessionGroup.js + connectors)
+ *
+ * Two capture-backed KT Micro dongles are connected at once through the real
+ * UsbHIDConnector:
+ *   1. each device gets its own session, and connecting one does not close the other
+ *   2. picking an already-connected device switches to it instead of reopening
+ *   3. pushAll writes to every device and reports failures per device
+ *   4. disconnecting one device leaves the rest connected and active
+ *   5. the network connector drives the device it is given, not the latest one
+ */
+
+import { loadCapture } from '../MockHIDDevice.js';
+import { createDevicePeqSessionGroup } from '../../devicePEQ/devicePeqSessionGroup.js';
+import { UsbHIDConnector } from '../../devicePEQ/usbHidConnector.js';
+import { NetworkDeviceConnector } from '../../devicePEQ/networkDeviceConnector.js';
+
+const CAPTURE = '../captures/ktmicro_tanchjim_one_dsp.json';
+const FILTERS = [{ type: 'PK', freq: 1000, q: 1, gain: 2 }];
+
+// A group with two granted dongles. pick(mock) sets what the chooser returns
+// next; close() disconnects everything and restores navigator.hid.
+async function openGroup() {
+  const first = await loadCapture(CAPTURE, { responseDelay: 0 });
+  const second = await loadCapture(CAPTURE, { responseDelay: 0 });
+  let picked = first;
+  const origRequest = navigator.hid.requestDevice;
+  const origGranted = navigator.hid.getDevices;
+  navigator.hid.requestDevice = async () => [picked];
+  navigator.hid.getDevices = async () => [first, second];
+
+  const group = createDevicePeqSessionGroup({ autoReconnect: false });
+  const add = (mock) => { picked = mock; return group.add({ connectionType: 'usb' }); };
+  const close = async () => {
+    try {
+      await group.disconnectAll();
+    } finally {
+      navigator.hid.requestDevice = origRequest;
+      navigator.hid.getDevices = origGranted;
+    }
+  };
+  return { group, first, second, add, close };
+}
+
+export async function test_devices_connect_side_by_side(assert) {
+  const { group, first, second, add, close } = await openGroup();
+  const activeChanges = [];
+  group.on('activeChanged', ({ session }) => activeChanges.push(session));
+  try {
+    const a = await add(first);
+    const b = await add(second);
+    assert.equal(group.sessions.length, 2, 'one session per device');
+    assert.ok(a.session !== b.session);
+    assert.ok(first.opened && second.opened, 'the first device stays open');
+    assert.ok(group.active === b.session, 'the newest device is active');
+    assert.deepEqual(activeChanges, [a.session, b.session]);
+    assert.ok(a.session.device.extras !== b.session.device.extras, 'each device has its own extras');
+  } finally {
+    await close();
+  }
+}
+
+export async function test_picking_connected_device_switches_to_it(assert) {
+  const { group, first, second, add, close } = await openGroup();
+  try {
+    const a = await add(first);
+    await add(second);
+    const again = await add(first);
+    assert.equal(again.duplicate, true, 'reported as already connected');
+    assert.ok(again.session === a.session, 'resolves to the existing session');
+    assert.ok(group.active === a.session, 'and makes it active');
+    assert.equal(group.sessions.length, 2, 'no extra session');
+    assert.ok(first.opened, 'the device was not closed');
+  } finally {
+    await close();
+  }
+}
+
+export async function test_pushAll_reports_each_device(assert) {
+  const { group, first, second, add, close } = await openGroup();
+  try {
+    const a = await add(first);
+    const b = await add(second);
+    const pushed = [];
+    a.session.device.handler = { ...a.session.device.handler,
+      pushToDevice: async (d, _p, slot) => { pushed.push({ d, slot }); return false; } };
+    b.session.device.handler = { ...b.session.device.handler,
+      pushToDevice: async () => { throw new Error('USB stall'); } };
+    a.session.device.modelConfig.transactionalPush = false;
+    b.session.device.modelConfig.transactionalPush = false;
+
+    const results = await group.pushAll(FILTERS, { preamp: -1 });
+    assert.equal(results.length, 2);
+    assert.ok(results[0].session === a.session && results[0].result, 'first device pushed');
+    assert.equal(results[1].error?.code, 'PUSH_FAILED', 'second device reports its failure');
+    assert.equal(pushed.length, 1);
+    assert.ok(pushed[0].d === a.session.device);
+    assert.equal(pushed[0].slot, a.session.getState().selectedSlot, "pushed to that device's selected slot");
+  } finally {
+    await close();
+  }
+}
+
+export async function test_disconnecting_one_keeps_the_other(assert) {
+  const { group, first, second, add, close } = await openGroup();
+  try {
+    const a = await add(first);
+    const b = await add(second);
+    await group.disconnect(b.session);
+    assert.equal(second.opened, false, 'disconnected device closed');
+    assert.ok(first.opened, 'other device still open');
+    assert.equal(group.sessions.length, 1);
+    assert.ok(group.active === a.session, 'remaining device becomes active');
+
+    const lost = [];
+    group.on('removed', ({ device }) => lost.push(device));
+    (first._eventListeners.disconnect ?? []).forEach(fn => fn({ type: 'disconnect' }));
+    assert.equal(group.sessions.length, 0, 'an unplugged device leaves the group');
+    assert.equal(group.active, null);
+    assert.equal(lost.length, 1);
+  } finally {
+    await close();
+  }
+}
+
+export async function test_hid_disconnect_closes_only_the_given_device(assert) {
+  const connector = await UsbHIDConnector;
+  const { first, second, close } = await openGroup();
+  try {
+    const a = await connector.getDeviceConnected(first);
+    const b = await connector.getDeviceConnected(second);
+    assert.equal(connector.getConnectedDevices().length >= 2, true);
+    await connector.disconnectDevice(a);
+    assert.equal(first.opened, false);
+    assert.ok(second.opened, 'the other device is untouched');
+    assert.ok(connector.getCurrentDevice() === b);
+    await connector.disconnectDevice(b);
+  } finally {
+    await close();
+  }
+}
+
+export async function test_network_operations_use_the_given_device(assert) {
+  const connector = NetworkDeviceConnector;
+  const a = await connector.getDeviceConnected('192.168.1.10', 'WiiM');
+  const b = await connector.getDeviceConnected('192.168.1.11', 'WiiM');
+  try {
+    const pulledFrom = [];
+    const handler = { pullFromDevice: async (d) => { pulledFrom.push(d.ip); return { filters: [] }; } };
+    a.handler = handler;
+    b.handler = handler;
+    await connector.pullFromDevice(a, 0);
+    assert.deepEqual(pulledFrom, ['192.168.1.10'], 'pulls from the device passed, not the latest');
+    const again = await connector.getDeviceConnected('192.168.1.10', 'WiiM');
+    assert.ok(again.duplicate && again.device === a, 'same IP is reported as already connected');
+  } finally {
+    await connector.disconnectDevice(a);
+    await connector.disconnectDevice(b);
+  }
+}
@@ -0,0 +1,93 @@
+/**
+ * Progress tests (deviceProgress.js + the handlers and session that use it)
+ *
+ * Handlers report each band they read or write:
+ *   1. reports reach the listeners for that device only, until they stop
+ *   2. a session re-emits them as 'progress', band by band, then the commit
+ *   3. serial handlers that write band by band report each one
+ */
+
+import { ProgressPhase, onProgress, reportProgress } from '../../devicePEQ/deviceProgress.js';
+import { createDevicePeqSession } from '../../devicePEQ/devicePeqSession.js';
+import { edifierUsbSerial } from '../../devicePEQ/edifierUsbSerialHandler.js';
+import { nothingUsbSerial } from '../../devicePEQ/nothingUsbSerialHandler.js';
+
+const FILTERS = [1, 2, 3, 4].map(i => ({ type: 'PK', freq: 250 * i, q: 1, gain: i }));
+
+export async function test_listeners_per_device(assert) {
+  const device = {};
+  const other = {};
+  const seen = [];
+  const off = onProgress(device, p => seen.push(p));
+  onProgress(device, () => { throw new Error('broken bar'); });
+  reportProgress(device, ProgressPhase.WRITE, 1, 4);
+  reportProgress(other, ProgressPhase.WRITE, 2, 4);
+  reportProgress(device, ProgressPhase.COMMIT);
+  off();
+  reportProgress(device, ProgressPhase.WRITE, 3, 4);
+  reportProgress(null, ProgressPhase.WRITE, 1, 1);
+  assert.deepEqual(seen, [
+    { phase: 'write', band: 1, total: 4 },
+    { phase: 'commit', band: null, total: null },
+  ], 'this device only, a throwing listener notwithstanding, until stopped');
+}
+
+export async function test_session_emits_progress(assert) {
+  const session = createDevicePeqSession();
+  await session.connect({ connectionType: 'virtual', virtualModel: 'usb/CrinEar/Protocol Max' });
+  const { device } = session.getState();
+  const events = [];
+  session.on('progress', ({ device: reporting, phase, band, total }) => {
+    assert.equal(reporting, device);
+    events.push(phase === 'commit' ? phase : `${phase} ${band}/${total}`);
+  });
+  try {
+    await session.push(FILTERS, { slot: session.getState().selectedSlot });
+    const writes = events.filter(e => e.startsWith('write'));
+    assert.ok(writes.length > 0 && writes.every((e, i) => e.startsWith(`write ${i + 1}/`)),
+      `each band in order, got ${JSON.stringify(events)}`);
+    assert.equal(events[events.length - 1], 'commit', 'the commit last');
+
+    events.length = 0;
+    await session.pull();
+    const total = session.getState().peqConstraints.maxFilters;
+    assert.equal(events[events.length - 1], `read ${total}/${total}`, 'a pull counts the bands read');
+  } finally {
+    await session.disconnect();
+  }
+  events.length = 0;
+  reportProgress(device, ProgressPhase.WRITE, 1, 1);
+  assert.deepEqual(events, [], 'nothing after disconnecting');
+}
+
+export async function test_serial_handlers_report_each_band(assert) {
+  const writes = [];
+  const details = { modelConfig: {}, writable: { async write(packet) { writes.push(packet); } } };
+  const seen = [];
+  const off = onProgress(details, ({ phase, band, total }) => seen.push(`${phase} ${band}/${total}`));
+  try {
+    await edifierUsbSerial.pushToDevice(details, null, 0, 0, FILTERS);
+  } finally {
+    off();
+  }
+  assert.deepEqual(seen, ['write 1/4', 'write 2/4', 'write 3/4', 'write 4/4']);
+  assert.equal(writes.length, 4, 'one report per band written');
+}
+
+export async function test_single_packet_push_reports_all_bands(assert) {
+  // The Nothing handler confirms the write by reading a reply.
+  const reply = new Uint8Array([0x55, 0x60, 0x01, 0x41, 0xC0, 0, 0, 0]);
+  const details = {
+    modelConfig: { firstWritableEQSlot: 5 },
+    writable: { async write() {} },
+    readable: { async read() { return { value: reply, done: false }; } },
+  };
+  const seen = [];
+  const off = onProgress(details, ({ phase, band, total }) => seen.push(`${phase} ${band}/${total}`));
+  try {
+    await nothingUsbSerial.pushToDevice(details, null, 5, 0, FILTERS);
+  } finally {
+    off();
+  }
+  assert.deepEqual(seen, ['write 4/4', 'commit null/null']);
+}
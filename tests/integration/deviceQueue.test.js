@@ -0,0 +1,105 @@
+/**
+ * Per-device operation queue tests (deviceQueue.js)
+ *
+ * Handler calls from the connectors and from device.extras run one at a time
+ * per device, highest priority first:
+ *   1. jobs never overlap, and waiting jobs run by priority then FIFO
+ *   2. a failing job rejects its caller without stalling the queue
+ *   3. separate devices have separate queues
+ *   4. extras reads queue behind a running push
+ */
+
+import { createDeviceQueue, getDeviceQueue, runQueued, queuedOperation, PRIORITY }
+  from '../../devicePEQ/deviceQueue.js';
+import { buildExtras } from '../../devicePEQ/deviceExtras.js';
+
+const tick = (ms = 5) => new Promise(resolve => setTimeout(resolve, ms));
+
+export async function test_jobs_do_not_overlap(assert) {
+  const queue = createDeviceQueue('test');
+  let active = 0;
+  let maxActive = 0;
+  const job = async () => {
+    active++;
+    maxActive = Math.max(maxActive, active);
+    await tick();
+    active--;
+  };
+  await Promise.all([queue.run(job), queue.run(job), queue.run(job)]);
+  assert.equal(maxActive, 1, 'only one job should run at a time');
+  assert.equal(queue.busy, false);
+  assert.equal(queue.pending, 0);
+}
+
+export async function test_waiting_jobs_run_by_priority_then_fifo(assert) {
+  const queue = createDeviceQueue('test');
+  const order = [];
+  const job = (name) => async () => { order.push(name); await tick(1); };
+
+  const first = queue.run(job('running'), { priority: PRIORITY.LOW });
+  const rest = [
+    queue.run(job('low-1'),    { priority: PRIORITY.LOW }),
+    queue.run(job('normal'),   { priority: PRIORITY.NORMAL }),
+    queue.run(job('high-1'),   { priority: PRIORITY.HIGH }),
+    queue.run(job('low-2'),    { priority: PRIORITY.LOW }),
+    queue.run(job('high-2'),   { priority: PRIORITY.HIGH })
+  ];
+  await Promise.all([first, ...rest]);
+  assert.deepEqual(order, ['running', 'high-1', 'high-2', 'normal', 'low-1', 'low-2'],
+    'running job finishes, then HIGH, NORMAL, LOW in arrival order');
+}
+
+export async function test_failed_job_rejects_and_queue_continues(assert) {
+  const queue = createDeviceQueue('test');
+  const failed = queue.run(async () => { throw new Error('report timeout'); });
+  const after = queue.run(async () => 'ok');
+  let message = null;
+  try { await failed; } catch (e) { message = e.message; }
+  assert.equal(message, 'report timeout');
+  assert.equal(await after, 'ok', 'next job still runs');
+}
+
+export async function test_queues_are_per_device(assert) {
+  const a = { model: 'A' };
+  const b = { model: 'B' };
+  assert.ok(getDeviceQueue(a) === getDeviceQueue(a), 'same device, same queue');
+  assert.ok(getDeviceQueue(a) !== getDeviceQueue(b), 'different devices, different queues');
+
+  let releaseA;
+  const blockA = runQueued(a, () => new Promise(resolve => { releaseA = resolve; }));
+  await tick(0);
+  const onB = await runQueued(b, async () => 'b ran');
+  assert.equal(onB, 'b ran', 'a busy device should not block another');
+  releaseA();
+  await blockA;
+}
+
+export async function test_queuedOperation_passes_arguments(assert) {
+  const device = { model: 'Args' };
+  const op = queuedOperation(async (d, x, y) => [d.model, x + y], { label: 'add' });
+  assert.deepEqual(await op(device, 2, 3), ['Args', 5]);
+  assert.deepEqual(await op(null, 1, 1).catch(() => 'threw'), 'threw',
+    'without a device the operation runs directly and fails on its own');
+}
+
+export async function test_extras_read_waits_for_running_push(assert) {
+  const events = [];
+  const device = { model: 'Queued DSP', modelConfig: { micGain: { supported: true } } };
+  const handler = {
+    readMicGain: async () => { events.push('read'); return 3; },
+    setMicGain: async () => { events.push('set'); }
+  };
+  const extras = buildExtras(handler, device);
+
+  const push = runQueued(device, async () => {
+    events.push('push:start');
+    await tick(10);
+    events.push('push:end');
+  }, { label: 'push', priority: PRIORITY.HIGH });
+  const read = extras.micGain.get();
+  const set = extras.micGain.set(1);
+  await Promise.all([push, read, set]);
+
+  assert.deepEqual(events, ['push:start', 'push:end', 'set', 'read'],
+    'extras wait for the push; Apply runs before a background read');
+}
@@ -0,0 +1,263 @@
+/**
+ * Automatic reconnect tests (deviceReconnect.js + connectors + session)
+ *
+ * A device that restarts after saving, or is unplugged and replugged, is
+ * reopened when navigator.hid / navigator.serial reports it again:
+ *   1. waitForConnect resolves only for a matching device, and to null on
+ *      timeout or abort
+ *   2. the HID and serial connectors match on vendorId/productId and reopen,
+ *      but never swap a held dongle for an identical one still granted
+ *   3. the session resumes after a disconnectOnSave push and after a replug,
+ *      restoring the selected slot; disconnect() cancels the wait
+ */
+
+import { loadCapture } from '../MockHIDDevice.js';
+import { waitForConnect } from '../../devicePEQ/deviceReconnect.js';
+import { createDevicePeqSession } from '../../devicePEQ/devicePeqSession.js';
+import { UsbHIDConnector } from '../../devicePEQ/usbHidConnector.js';
+import { UsbSerialConnector } from '../../devicePEQ/usbSerialConnector.js';
+
+const CAPTURE = '../captures/ktmicro_tanchjim_one_dsp.json';
+
+const tick = (ms = 5) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Swaps target's add/removeEventListener for a local registry so tests can fire
+// 'connect' without a real bus. restore() puts the originals back.
+function connectEvents(target) {
+  const origAdd = target.addEventListener;
+  const origRemove = target.removeEventListener;
+  const registered = {};
+  target.addEventListener = (type, fn) => { (registered[type] ??= []).push(fn); };
+  target.removeEventListener = (type, fn) => {
+    registered[type] = (registered[type] ?? []).filter(f => f !== fn);
+  };
+  return {
+    fire: (type, event) => [...(registered[type] ?? [])].forEach(fn => fn(event)),
+    count: (type) => (registered[type] ?? []).length,
+    restore: () => {
+      target.addEventListener = origAdd;
+      target.removeEventListener = origRemove;
+    },
+  };
+}
+
+// The ONE DSP capture connected through a session, with the WebHID chooser,
+// granted list and connect events all pointed at mocks until close().
+async function openSession() {
+  try { await (await UsbHIDConnector).disconnectDevice(); } catch (_) {}
+  const mock = await loadCapture(CAPTURE, { responseDelay: 0 });
+  let granted = [mock];
+  const origRequest = navigator.hid.requestDevice;
+  const origGranted = navigator.hid.getDevices;
+  navigator.hid.requestDevice = async () => granted;
+  navigator.hid.getDevices = async () => granted;
+  const events = connectEvents(navigator.hid);
+
+  const session = createDevicePeqSession();
+  const state = await session.connect({ connectionType: 'usb' });
+  state.device.modelConfig.reconnectSettleMs = 0;
+
+  // Brings a fresh mock of the same device back onto the bus.
+  const replug = async () => {
+    const next = await loadCapture(CAPTURE, { responseDelay: 0 });
+    granted = [next];
+    events.fire('connect', { device: next });
+    return next;
+  };
+  const close = async () => {
+    try {
+      await session.disconnect();
+    } finally {
+      events.restore();
+      navigator.hid.requestDevice = origRequest;
+      navigator.hid.getDevices = origGranted;
+    }
+  };
+  return { session, mock, state, events, replug, close };
+}
+
+// Resolves with the detail of the next `name` event, or null after a while.
+const nextEvent = (session, name, ms = 2000) => new Promise(resolve => {
+  const timer = setTimeout(() => { off(); resolve(null); }, ms);
+  const off = session.on(name, (detail) => { clearTimeout(timer); off(); resolve(detail); });
+});
+
+export async function test_waitForConnect_resolves_for_match_only(assert) {
+  const target = {};
+  const events = connectEvents(target);
+  const waiting = waitForConnect(target, (e) => (e.device.id === 2 ? e.device : null), { settleMs: 0 });
+  events.fire('connect', { device: { id: 1 } });
+  events.fire('connect', { device: { id: 2 } });
+  const found = await waiting;
+  assert.equal(found?.id, 2, 'should resolve with the matching device');
+  assert.equal(events.count('connect'), 0, 'listener removed once matched');
+}
+
+export async function test_waitForConnect_times_out_and_aborts(assert) {
+  const target = {};
+  const events = connectEvents(target);
+  assert.equal(await waitForConnect(target, () => true, { timeoutMs: 10 }), null, 'timeout resolves null');
+
+  const controller = new AbortController();
+  const waiting = waitForConnect(target, () => true, { signal: controller.signal });
+  controller.abort();
+  assert.equal(await waiting, null, 'abort resolves null');
+  assert.equal(events.count('connect'), 0, 'no listener left behind');
+}
+
+export async function test_hid_connector_reopens_same_device(assert) {
+  const connector = await UsbHIDConnector;
+  const events = connectEvents(navigator.hid);
+  const previous = {
+    rawDevice: { vendorId: 0x1234, productId: 0x5678, collections: [{ usagePage: 0xFF00 }] },
+    model: 'Restarting DSP',
+    modelConfig: { reconnectSettleMs: 0 },
+    handler: {},
+    lastWritten: new Map([[1, {}]]),
+  };
+  try {
+    const waiting = connector.waitForReconnect(previous);
+    const other = { vendorId: 0x1234, productId: 0x9999, collections: [], opened: false, open: async () => {} };
+    const consumer = { vendorId: 0x1234, productId: 0x5678, collections: [{ usagePage: 0x0C }],
+                       opened: false, open: async () => {} };
+    const back = { vendorId: 0x1234, productId: 0x5678, collections: [{ usagePage: 0xFF00 }],
+                   opened: false, open: async function () { this.opened = true; } };
+    events.fire('connect', { device: other });
+    events.fire('connect', { device: consumer });
+    events.fire('connect', { device: back });
+    const device = await waiting;
+    assert.ok(device?.rawDevice === back, 'PEQ interface of the same product is reopened');
+    assert.ok(back.opened, 'device opened');
+    assert.equal(device.model, 'Restarting DSP', 'details carried over');
+    assert.ok(!device.lastWritten, 'write record starts afresh');
+    assert.ok(device.extras, 'extras rebuilt for the new device');
+  } finally {
+    events.restore();
+    await connector.disconnectDevice();
+  }
+}
+
+export async function test_hid_connector_keeps_its_own_dongle(assert) {
+  const connector = await UsbHIDConnector;
+  const dongle = () => ({ vendorId: 0x1234, productId: 0x5678, collections: [{ usagePage: 0xFF00 }],
+                          opened: true, open: async function () { this.opened = true; } });
+  const first = { ...dongle(), opened: false };   // granted earlier, not open now
+  const second = dongle();
+  const pulledFrom = [];
+  const handler = { pullFromDevice: async (device) => { pulledFrom.push(device.rawDevice); return { filters: [] }; } };
+  const device = { rawDevice: second, model: 'Twin DSP', modelConfig: {}, handler };
+  const origGranted = navigator.hid.getDevices;
+  let granted = [first, second];
+  navigator.hid.getDevices = async () => granted;
+  try {
+    await connector.pullFromDevice(device, 1);
+    assert.ok(pulledFrom[0] === second && device.rawDevice === second,
+      'the held dongle, not the identical one listed first');
+
+    // Unplugged and back: a new HIDDevice of the same product, found by VID/PID
+    const back = { ...dongle(), opened: false };
+    granted = [back];
+    await connector.pullFromDevice(device, 1);
+    assert.ok(device.rawDevice === back && back.opened, 'reopened by VID/PID once the held one has gone');
+  } finally {
+    navigator.hid.getDevices = origGranted;
+  }
+}
+
+export async function test_serial_connector_matches_usb_ids(assert) {
+  const connector = await UsbSerialConnector;
+  const events = connectEvents(navigator.serial);
+  const port = (info) => ({
+    getInfo: () => info,
+    opened: null,
+    async open(options) { this.opened = options; },
+    async close() {},
+  });
+  const previous = {
+    info: { usbVendorId: 0x2972, usbProductId: 0x0047 },
+    model: 'Serial DSP',
+    modelConfig: { baudRate: 57600, reconnectSettleMs: 0 },
+    handler: {},
+  };
+  try {
+    const waiting = connector.waitForReconnect(previous);
+    events.fire('connect', { target: port({ usbVendorId: 0x2972, usbProductId: 0x0001 }) });
+    const back = port({ usbVendorId: 0x2972, usbProductId: 0x0047 });
+    events.fire('connect', { target: back });
+    const device = await waiting;
+    assert.ok(device?.rawDevice === back, 'same vendor/product port is reopened');
+    assert.deepEqual(back.opened, { baudRate: 57600 }, 'opened with the model baud rate');
+  } finally {
+    events.restore();
+    await connector.disconnectDevice();
+  }
+}
+
+export async function test_session_resumes_after_restart_on_save(assert) {
+  const { session, state, replug, close } = await openSession();
+  const enabled = [];
+  // The ONE DSP has a single custom slot, so "PEQ off" is the other choice.
+  const slot = -1;
+  assert.ok(state.currentSlot !== slot, 'capture starts with PEQ on');
+  session.device.handler = {
+    ...session.device.handler,
+    pushToDevice: async () => true,
+    enablePEQ: async (_d, on, id) => { enabled.push({ on, id }); },
+  };
+  session.setSelectedSlot(slot);
+
+  try {
+    const result = await session.push([{ type: 'PK', freq: 1000, q: 1, gain: 2 }]);
+    assert.equal(result.disconnect, true, 'device restarts after saving');
+    assert.equal(result.reconnecting, true, 'session waits for it');
+    assert.ok(session.reconnecting);
+
+    const reconnected = nextEvent(session, 'reconnected');
+    const mock = await replug();
+    const resumed = await reconnected;
+    assert.ok(resumed, "'reconnected' should fire");
+    assert.ok(session.device?.rawDevice === mock, 'session is on the reopened device');
+    assert.equal(session.getState().selectedSlot, slot, 'selected slot restored');
+    assert.deepEqual(enabled, [{ on: false, id: slot }], 'choice re-applied on the device');
+    assert.ok(resumed.extras, 'extras available again');
+    assert.equal(session.reconnecting, false);
+  } finally {
+    await close();
+  }
+}
+
+export async function test_session_resumes_after_unplug_and_replug(assert) {
+  const { session, mock, replug, close } = await openSession();
+  const seen = [];
+  ['disconnected', 'reconnecting', 'reconnected'].forEach(name => session.on(name, () => seen.push(name)));
+
+  try {
+    const reconnected = nextEvent(session, 'reconnected');
+    (mock._eventListeners.disconnect ?? []).forEach(fn => fn({ type: 'disconnect' }));
+    assert.equal(session.device, null, 'device dropped while unplugged');
+    await replug();
+    assert.ok(await reconnected, "'reconnected' should fire");
+    assert.deepEqual(seen, ['disconnected', 'reconnecting', 'reconnected']);
+    const { filters } = await session.pull();
+    assert.equal(filters.length, 5, 'reopened device answers pulls');
+  } finally {
+    await close();
+  }
+}
+
+export async function test_disconnect_cancels_pending_reconnect(assert) {
+  const { session, mock, events, close } = await openSession();
+  let failed = false;
+  session.on('reconnectFailed', () => { failed = true; });
+  try {
+    (mock._eventListeners.disconnect ?? []).forEach(fn => fn({ type: 'disconnect' }));
+    assert.equal(events.count('connect'), 1, 'waiting for the device');
+    await session.disconnect();
+    await tick();
+    assert.equal(events.count('connect'), 0, 'wait cancelled');
+    assert.equal(session.reconnecting, false);
+    assert.ok(!failed, 'a cancelled wait is not a failure');
+  } finally {
+    await close();
+  }
+}
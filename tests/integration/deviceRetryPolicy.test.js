@@ -0,0 +1,183 @@
+/**
+ * Retry policy tests (deviceRetryPolicy.js + the readers that use it)
+ *
+ * A model's config can set each command's timeout, and retry idempotent ones:
+ *   1. a command's policy comes from the config over the handler's default,
+ *      and only idempotent commands get retries
+ *   2. withRetry retries timeouts only, with backoff
+ *   3. WalkPlay reads (usbHidProtocolUtils.js), KT Micro and FiiO USB HID
+ *      reads and FiiO BLE requests resend a request whose reply was dropped
+ *   4. the Web Serial read shim gives up after the model's read timeout
+ */
+
+import { DeviceErrorType, protocolError, timeoutError } from '../../devicePEQ/deviceErrors.js';
+import { retryPolicy, withRetry } from '../../devicePEQ/deviceRetryPolicy.js';
+import { EmulatedHIDDevice } from '../../devicePEQ/virtualDevice.js';
+import { walkplayUsbHID } from '../../devicePEQ/walkplayHidHandler.js';
+import { fiioBle } from '../../devicePEQ/fiioBleHandler.js';
+import { ktmicroUsbHidHandler } from '../../devicePEQ/ktmicroUsbHidHandler.js';
+import { fiioUsbHID } from '../../devicePEQ/fiioUsbHidHandler.js';
+import { UsbSerialConnector } from '../../devicePEQ/usbSerialConnector.js';
+
+const POLICY = {
+  retries: 2,
+  backoffMs: 5,
+  idempotent: ['readSlot'],
+  commands: {
+    readSlot: { timeoutMs: 40 },
+    readBattery: { timeoutMs: 30, idempotent: true, retries: 1 },
+  },
+};
+
+async function rejection(promise) {
+  try { await promise; } catch (error) { return error; }
+  return null;
+}
+
+export async function test_policy_resolution(assert) {
+  assert.deepEqual(retryPolicy({}, 'readSlot', 2000),
+    { command: 'readSlot', timeoutMs: 2000, retries: 0, backoffMs: 100, backoffFactor: 2 },
+    'without a config: the handler default, no retries');
+  const config = { retryPolicy: POLICY };
+  assert.equal(retryPolicy(config, 'readSlot', 2000).timeoutMs, 40, 'the config overrides the timeout');
+  assert.equal(retryPolicy(config, 'readSlot', 2000).retries, 2, 'an idempotent command is retried');
+  assert.equal(retryPolicy(config, 'readBattery', 3000).retries, 1, 'per-command retries');
+  assert.equal(retryPolicy(config, 'writeBand', 2000).retries, 0, 'a command not marked idempotent is not');
+  assert.equal(retryPolicy(undefined, 'read', undefined).timeoutMs, undefined);
+}
+
+export async function test_with_retry_retries_timeouts_only(assert) {
+  const policy = retryPolicy({ retryPolicy: POLICY }, 'readSlot', 1000);
+  const timeouts = [];
+  const value = await withRetry(policy, async (timeoutMs, n) => {
+    timeouts.push(timeoutMs);
+    if (n < 2) throw timeoutError('no reply');
+    return 'slot 1';
+  });
+  assert.equal(value, 'slot 1');
+  assert.deepEqual(timeouts, [40, 40, 40], 'two retries, each with the command timeout');
+
+  let attempts = 0;
+  const garbled = await rejection(withRetry(policy, async () => {
+    attempts++;
+    throw protocolError('bad reply', [0xFF]);
+  }));
+  assert.equal(garbled?.type, DeviceErrorType.PROTOCOL_ERROR);
+  assert.equal(attempts, 1, 'a protocol error is not retried');
+
+  attempts = 0;
+  const silent = await withRetry(policy, async () => { attempts++; return null; }, { nullMeansTimeout: true });
+  assert.equal(silent, null, 'still silent after the retries');
+  assert.equal(attempts, 3);
+}
+
+// Answers a WalkPlay mic gain read, except the first one.
+function dropsFirstRead() {
+  let reads = 0;
+  return new EmulatedHIDDevice({ protocol: {
+    respond: (bytes) => (bytes[0] === 0x80 && ++reads > 1 ? [0x80, 0x02, 0xFF, 0x3F] : null),
+  } });
+}
+
+export async function test_walkplay_read_is_resent(assert) {
+  const device = dropsFirstRead();
+  const modelConfig = { retryPolicy: { retries: 1, backoffMs: 0, commands: { readMicGain: { timeoutMs: 30 } },
+    idempotent: ['readMicGain'] } };
+  const gain = await walkplayUsbHID.readMicGain({ rawDevice: device, modelConfig });
+  assert.equal(gain, 7.5);
+  assert.equal(device.sentBytes.length, 2, 'asked twice');
+
+  const once = dropsFirstRead();
+  const error = await rejection(walkplayUsbHID.readMicGain({ rawDevice: once,
+    modelConfig: { retryPolicy: { ...modelConfig.retryPolicy, idempotent: [] } } }));
+  assert.equal(error?.type, DeviceErrorType.TIMEOUT, 'not retried unless idempotent');
+  assert.equal(once.sentBytes.length, 1);
+}
+
+// Answers `reply` to requests starting with `first`, except the first one.
+function dropsFirst(first, reply) {
+  let requests = 0;
+  return new EmulatedHIDDevice({ protocol: {
+    respond: (bytes) => (bytes[0] === first && ++requests > 1 ? reply : null),
+  } });
+}
+
+export async function test_ktmicro_read_is_resent(assert) {
+  const device = dropsFirst(0x24, [0x24, 0x00, 0x00, 0x00, 0x52, 0x00, 0x02, 0x00, 0x00, 0x00]);
+  const modelConfig = { retryPolicy: { retries: 1, backoffMs: 0, idempotent: ['readSlot'],
+    commands: { readSlot: { timeoutMs: 30 } } } };
+  assert.equal(await ktmicroUsbHidHandler.getCurrentSlot({ rawDevice: device, modelConfig }), 2);
+  assert.equal(device.sentBytes.length, 2, 'asked twice');
+
+  const once = dropsFirst(0x24, [0x24, 0x00, 0x00, 0x00, 0x52, 0x00, 0x02, 0x00, 0x00, 0x00]);
+  const error = await rejection(ktmicroUsbHidHandler.getCurrentSlot({ rawDevice: once,
+    modelConfig: { retryPolicy: { commands: { readSlot: { timeoutMs: 30 } } } } }));
+  assert.equal(error?.type, DeviceErrorType.TIMEOUT, 'the model timeout, not retried unless idempotent');
+  assert.equal(once.sentBytes.length, 1);
+}
+
+export async function test_fiio_usb_read_is_resent(assert) {
+  const device = dropsFirst(0xBB, [0xBB, 0x0B, 0x00, 0x00, 0x16, 0x01, 0x03, 0x00, 0xEE]);
+  const modelConfig = { disabledPresetId: 11, retryPolicy: { retries: 1, backoffMs: 0,
+    commands: { readSlot: { timeoutMs: 150, idempotent: true } } } };
+  assert.equal(await fiioUsbHID.getCurrentSlot({ rawDevice: device, modelConfig }), 3);
+  assert.equal(device.sentBytes.length, 2, 'asked twice');
+}
+
+export async function test_fiio_ble_request_is_resent(assert) {
+  const replies = [];
+  let writes = 0;
+  const details = {
+    modelConfig: { retryPolicy: { backoffMs: 0, commands: POLICY.commands } },
+    txChar: {
+      properties: { writeWithoutResponse: true },
+      // The first request is lost; the second is answered with 77 %.
+      async writeValueWithoutResponse() {
+        if (++writes > 1) replies.push(new Uint8Array([0xF1, 0x10, 0x00, 0x09, 0x00, 0x03, 0x01, 77, 0xFF]));
+      },
+    },
+    async readNotification(timeoutMs) {
+      if (replies.length) return replies.shift();
+      await new Promise(resolve => setTimeout(resolve, timeoutMs));
+      return null;
+    },
+  };
+  assert.equal(await fiioBle.readBattery(details), 77);
+  assert.equal(writes, 2);
+}
+
+export async function test_serial_read_times_out(assert) {
+  const connector = await UsbSerialConnector;
+  let controller;
+  const port = {
+    getInfo: () => ({ usbVendorId: 0x2972, usbProductId: 0x0047 }),
+    readable: new ReadableStream({ start(c) { controller = c; } }),
+    async open() {},
+    async close() {},
+  };
+  const origAdd = navigator.serial.addEventListener;
+  const origRemove = navigator.serial.removeEventListener;
+  let onConnect = null;
+  navigator.serial.addEventListener = (type, fn) => { if (type === 'connect') onConnect = fn; };
+  navigator.serial.removeEventListener = () => {};
+  try {
+    const waiting = connector.waitForReconnect({
+      info: port.getInfo(),
+      model: 'Serial DSP',
+      modelConfig: { reconnectSettleMs: 0, retryPolicy: { commands: { read: { timeoutMs: 30 } } } },
+      handler: {},
+    });
+    onConnect({ target: port });
+    const device = await waiting;
+
+    const silent = await device.readable.read();
+    assert.ok(silent.timedOut && !silent.done && silent.value === undefined, 'nothing arrived within 30 ms');
+    controller.enqueue(new Uint8Array([0xFF, 0xA2]));
+    const { value } = await device.readable.read();
+    assert.deepEqual(Array.from(value), [0xFF, 0xA2], 'the port is still readable');
+  } finally {
+    navigator.serial.addEventListener = origAdd;
+    navigator.serial.removeEventListener = origRemove;
+    await connector.disconnectDevice();
+  }
+}
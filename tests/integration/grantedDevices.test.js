@@ -0,0 +1,93 @@
+/**
+ * Granted-device tests (getGrantedDevices on the USB connectors + session)
+ *
+ * WebHID and Web Serial remember grants per origin, so supported devices from
+ * an earlier visit can be offered without the chooser:
+ *   1. only devices a handler supports are listed, once per physical device
+ *   2. serial ports match on USB vendor/product id
+ *   3. the session merges every connector's list and connect(candidate) opens
+ *      it without calling requestDevice
+ */
+
+import { loadCapture } from '../MockHIDDevice.js';
+import { createDevicePeqSession } from '../../devicePEQ/devicePeqSession.js';
+import { UsbHIDConnector } from '../../devicePEQ/usbHidConnector.js';
+import { UsbSerialConnector } from '../../devicePEQ/usbSerialConnector.js';
+
+const CAPTURE = '../captures/ktmicro_tanchjim_one_dsp.json';
+
+// Replaces navigator[api][method]s with the given fakes until restore().
+function stub(api, methods) {
+  const originals = {};
+  for (const [name, fn] of Object.entries(methods)) {
+    originals[name] = navigator[api][name];
+    navigator[api][name] = fn;
+  }
+  return () => Object.assign(navigator[api], originals);
+}
+
+const hidInterface = (usagePage) => ({
+  vendorId: 0x3302, productId: 0x4321, productName: 'Granted WalkPlay DSP',
+  collections: [{ usagePage }], opened: false,
+});
+
+export async function test_hid_lists_supported_devices_once(assert) {
+  const consumer = hidInterface(0x0C);
+  const vendor = hidInterface(0xFF00);
+  const unknown = { vendorId: 0x0001, productId: 0x0002, productName: 'Keyboard', collections: [] };
+  const restore = stub('hid', { getDevices: async () => [consumer, unknown, vendor] });
+  try {
+    const granted = await (await UsbHIDConnector).getGrantedDevices();
+    assert.equal(granted.length, 1, 'unsupported device skipped, interfaces merged');
+    assert.ok(granted[0].rawDevice === vendor, 'the vendor PEQ interface is offered');
+    assert.equal(granted[0].model, 'Granted WalkPlay DSP');
+    assert.equal(granted[0].manufacturer, 'WalkPlay');
+    assert.equal(vendor.opened, false, 'listing does not open anything');
+  } finally {
+    restore();
+  }
+}
+
+export async function test_serial_lists_ports_by_usb_ids(assert) {
+  const port = (info) => ({ getInfo: () => info });
+  const element = port({ usbVendorId: 0x152a, usbProductId: 35066 });
+  const restore = stub('serial', {
+    getPorts: async () => [port({ usbVendorId: 0x152a, usbProductId: 1 }), element],
+  });
+  try {
+    const granted = await (await UsbSerialConnector).getGrantedDevices();
+    assert.equal(granted.length, 1, 'only the known product is listed');
+    assert.ok(granted[0].rawDevice === element);
+    assert.equal(granted[0].model, 'Element IV');
+    assert.equal(granted[0].manufacturer, 'JDS Labs');
+  } finally {
+    restore();
+  }
+}
+
+export async function test_session_connects_to_granted_device_without_chooser(assert) {
+  try { await (await UsbHIDConnector).disconnectDevice(); } catch (_) {}
+  const mock = await loadCapture(CAPTURE, { responseDelay: 0 });
+  let chooserShown = false;
+  const restoreHid = stub('hid', {
+    getDevices: async () => [mock],
+    requestDevice: async () => { chooserShown = true; return []; },
+  });
+  const restoreSerial = stub('serial', { getPorts: async () => [] });
+  const session = createDevicePeqSession({ autoReconnect: false });
+  try {
+    const candidates = await session.listGrantedDevices();
+    const usb = candidates.filter(c => c.connectionType === 'usb');
+    assert.equal(usb.length, 1, 'the granted HID device is listed');
+    assert.ok(usb[0].rawDevice === mock);
+
+    const state = await session.connect(usb[0]);
+    assert.ok(state.device?.rawDevice === mock, 'connected to the granted device');
+    assert.ok(!chooserShown, 'requestDevice should not be called');
+    assert.ok(mock.opened, 'device opened on connect');
+  } finally {
+    await session.disconnect();
+    restoreSerial();
+    restoreHid();
+  }
+}
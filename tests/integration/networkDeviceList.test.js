@@ -0,0 +1,127 @@
+/**
+ * Network device list tests (networkDeviceList.js + the network connector and handlers)
+ *
+ * Network devices are found by hostname, IPv4 or IPv6, with a port and protocol:
+ *   1. addresses parse, print back and turn into base URLs
+ *   2. saved devices are added, updated, ordered by use and removed
+ *   3. the connector and handlers reach a device at its host, port and protocol
+ *   4. probeDevice tells whether a device answers, without connecting
+ */
+
+import {
+  parseNetworkAddress, formatNetworkAddress, networkBaseUrl, normalizeProxyUrl, createNetworkDeviceList,
+} from '../../devicePEQ/networkDeviceList.js';
+import { openSettings } from '../../devicePEQ/settingsStore.js';
+import { NetworkDeviceConnector } from '../../devicePEQ/networkDeviceConnector.js';
+import { luxsinNetworkHandler } from '../../devicePEQ/luxsinNetworkHandler.js';
+import { MockFetch, opaqueResponse, textResponse } from '../MockNetwork.js';
+
+export async function test_addresses_parse(assert) {
+  assert.deepEqual(parseNetworkAddress(' 192.168.1.50 '), { protocol: null, host: '192.168.1.50', port: null });
+  assert.deepEqual(parseNetworkAddress('WiiM-Living.local:8443'),
+    { protocol: null, host: 'wiim-living.local', port: 8443 });
+  assert.deepEqual(parseNetworkAddress('https://[FD00::12]:8080/'), { protocol: 'https', host: 'fd00::12', port: 8080 });
+  assert.deepEqual(parseNetworkAddress('fe80::1c2b'), { protocol: null, host: 'fe80::1c2b', port: null },
+    'a bare IPv6 address has no port');
+  for (const bad of ['', '300.1.1.1', '192.168.1', 'wiim_living', 'host:0', 'host:70000',
+    'ftp://host', 'host/path', '[not-ipv6]:80', 'fd00::12::1']) {
+    assert.equal(parseNetworkAddress(bad), null, `"${bad}" is rejected`);
+  }
+
+  assert.equal(formatNetworkAddress({ host: 'fd00::12', port: 8080 }), '[fd00::12]:8080');
+  assert.equal(formatNetworkAddress({ host: 'fd00::12' }), 'fd00::12');
+  assert.equal(formatNetworkAddress({ protocol: 'http', host: 'x9.local', port: null }), 'http://x9.local');
+  assert.equal(networkBaseUrl({ host: 'fd00::12', port: 8443 }, 'https'), 'https://[fd00::12]:8443');
+  assert.equal(networkBaseUrl({ host: 'x9.local', protocol: 'https' }, 'http'), 'https://x9.local',
+    'the device protocol wins over the handler default');
+  assert.equal(networkBaseUrl({ ip: '10.0.0.5' }, 'http'), 'http://10.0.0.5');
+  assert.equal(networkBaseUrl('10.0.0.5', 'https'), 'https://10.0.0.5');
+  assert.equal(networkBaseUrl({ host: 'fd00::12', port: 8443, proxyUrl: 'http://127.0.0.1:8787/' }, 'https'),
+    'http://127.0.0.1:8787/https/[fd00::12]:8443', 'through the network bridge');
+
+  assert.equal(normalizeProxyUrl(' http://127.0.0.1:8787/ '), 'http://127.0.0.1:8787');
+  assert.equal(normalizeProxyUrl(''), null);
+  assert.equal(normalizeProxyUrl('127.0.0.1:8787'), null, 'the scheme is needed');
+}
+
+export async function test_saved_devices(assert) {
+  const settings = await openSettings(`test.networkDevices.${Date.now().toString(36)}`);
+  const saved = createNetworkDeviceList(settings);
+
+  const living = await saved.save({ name: 'Living room', deviceType: 'WiiM', address: 'wiim-living.local' });
+  const x9 = await saved.save({ deviceType: 'Luxsin', address: 'http://[fd00::12]:8080', used: true });
+  assert.deepEqual(saved.list().map(e => e.id), [x9.id, living.id], 'most recently used first');
+  assert.deepEqual({ ...x9, id: undefined, lastUsed: undefined },
+    { id: undefined, name: '', deviceType: 'Luxsin', protocol: 'http', host: 'fd00::12', port: 8080,
+      proxyUrl: null, lastUsed: undefined });
+
+  const again = await saved.save({ deviceType: 'WiiM', address: 'wiim-living.local', used: true });
+  assert.equal(again.id, living.id, 'the same address updates the saved device');
+  assert.equal(again.name, 'Living room', '...keeping its name');
+  assert.equal(saved.list()[0].id, living.id);
+
+  await saved.save({ id: living.id, deviceType: 'WiiM', address: 'wiim-living.local', proxyUrl: 'http://127.0.0.1:8787' });
+  const edited = await saved.save({ id: living.id, name: 'Den', deviceType: 'WiiM', address: '192.168.1.60:8443' });
+  assert.equal(edited.proxyUrl, 'http://127.0.0.1:8787', 'the bridge is kept when not given');
+  assert.equal(saved.list().length, 2);
+  assert.equal(saved.get(living.id).host, '192.168.1.60', 'edited by id');
+  assert.equal(edited.name, 'Den');
+  const pro = await saved.save({ id: living.id, name: 'Den', deviceType: 'WiiM', model: 'WiiM Pro', address: '192.168.1.60:8443' });
+  assert.equal(pro.model, 'WiiM Pro', 'which WiiM, for its inputs');
+
+  let rejected = null;
+  try { await saved.save({ deviceType: 'WiiM', address: 'not an address' }); } catch (e) { rejected = e; }
+  assert.ok(rejected, 'an address that does not parse is not saved');
+
+  await saved.remove(x9.id);
+  assert.deepEqual(saved.list().map(e => e.id), [living.id]);
+  assert.deepEqual(settings.get('networkDevices'), saved.list(), 'kept in the settings store');
+}
+
+export async function test_devices_are_reached_at_their_address(assert) {
+  const net = new MockFetch().install();
+  net.on('EQChangeSourceFX', () => opaqueResponse());
+  net.on('/dev/info.cgi', () => textResponse('not encoded'));
+  const wiim = await NetworkDeviceConnector.getDeviceConnected('[fd00::12]:8443', 'WiiM', { name: 'Office' });
+  const x9 = await NetworkDeviceConnector.getDeviceConnected('https://x9.local', 'Luxsin');
+  try {
+    assert.equal(wiim.model, 'Office', 'the saved name stands in for the model');
+    assert.equal(wiim.address, '[fd00::12]:8443');
+    assert.equal(x9.model, 'Luxsin X9');
+
+    await NetworkDeviceConnector.enablePEQ(wiim, true, 0);
+    await luxsinNetworkHandler.getAvailableSlots(x9);
+    const [wiimUrl] = net.callsMatching('EQChangeSourceFX').map(c => c.url);
+    const [x9Url] = net.callsMatching('/dev/info.cgi').map(c => c.url);
+    assert.ok(wiimUrl.startsWith('https://[fd00::12]:8443/httpapi.asp'), wiimUrl);
+    assert.ok(x9Url.startsWith('https://x9.local/dev/info.cgi'), x9Url);
+
+    const other = await NetworkDeviceConnector.getDeviceConnected('fd00::12', 'WiiM');
+    assert.ok(!other.duplicate, 'another port is another device');
+    await NetworkDeviceConnector.disconnectDevice(other);
+    const same = await NetworkDeviceConnector.getDeviceConnected('http://[fd00::12]:8443', 'WiiM');
+    assert.ok(same.duplicate && same.device === wiim, 'the same host and port is already connected');
+    assert.equal(await NetworkDeviceConnector.getDeviceConnected('300.1.1.1', 'WiiM'), null);
+  } finally {
+    net.restore();
+    await NetworkDeviceConnector.disconnectDevice(wiim);
+    await NetworkDeviceConnector.disconnectDevice(x9);
+  }
+}
+
+export async function test_probe(assert) {
+  const net = new MockFetch().install();
+  net.on('wiim-living.local', () => opaqueResponse());
+  try {
+    const answered = await NetworkDeviceConnector.probeDevice('wiim-living.local', 'WiiM');
+    assert.ok(answered.ok && answered.error === null, 'an opaque answer still counts');
+    assert.ok(net.callUrls[0].startsWith('https://wiim-living.local/httpapi.asp?command=getStatusEx'));
+
+    const silent = await NetworkDeviceConnector.probeDevice('192.168.1.99', 'Luxsin');
+    assert.ok(!silent.ok && silent.error, 'no route, no answer');
+    assert.equal((await NetworkDeviceConnector.probeDevice('bad host', 'WiiM')).ok, false);
+    assert.deepEqual(NetworkDeviceConnector.getConnectedDevices(), [], 'probing connects nothing');
+  } finally {
+    net.restore();
+  }
+}
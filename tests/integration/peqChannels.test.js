@@ -0,0 +1,170 @@
+/**
+ * Per-channel EQ tests (peqChannels.js + the handlers and session around it)
+ *
+ * Filters may carry `channel: 'L' | 'R'`:
+ *   1. a set without channels is linked and passes through everything unchanged
+ *   2. an unlinked set is split, fitted, encoded and previewed per channel
+ *   3. Qudelix, whose preset keeps one EQ for both ears, refuses an unlinked
+ *      set, and Topping mirrors each band to both channels
+ *   4. a session refuses an unlinked set for a profile without supportsPerChannelEQ
+ */
+
+import { loadCapture } from '../MockHIDDevice.js';
+import { channelOf, isLinked, splitChannels, joinChannels, mapChannels, requireChannelSupport }
+  from '../../devicePEQ/peqChannels.js';
+import { storedFilters } from '../../devicePEQ/peqEncode.js';
+import { responsePeak } from '../../devicePEQ/peqPreamp.js';
+import { resolveConstraints } from '../../devicePEQ/peqConstraints.js';
+import { UsbHIDConnector } from '../../devicePEQ/usbHidConnector.js';
+import { VirtualDeviceConnector } from '../../devicePEQ/virtualDeviceConnector.js';
+import { EmulatedHIDDevice } from '../../devicePEQ/virtualDevice.js';
+import { createDevicePeqSession } from '../../devicePEQ/devicePeqSession.js';
+import { qudelixUsbHidHandler } from '../../devicePEQ/qudelixUsbHidHandler.js';
+import { toppingUsbHidHandler } from '../../devicePEQ/toppingUsbHidHandler.js';
+
+const UNLINKED = [
+  { type: 'PK', freq: 1000, q: 1, gain: 3, channel: 'L' },
+  { type: 'PK', freq: 200, q: 0.7, gain: -2 },
+  { type: 'PK', freq: 4000, q: 2, gain: 5, channel: 'R' },
+];
+
+export async function test_split_and_join(assert) {
+  assert.deepEqual([{}, { channel: 'both' }, { channel: 'L' }, { channel: 'x' }].map(channelOf),
+    ['both', 'both', 'L', 'both']);
+  assert.ok(isLinked([{ type: 'PK', freq: 1000, q: 1, gain: 3 }]));
+  assert.ok(!isLinked(UNLINKED));
+
+  const { L, R } = splitChannels(UNLINKED);
+  assert.deepEqual(L.map(f => f.freq), [1000, 200], 'a filter for both channels goes to each');
+  assert.deepEqual(R.map(f => f.freq), [200, 4000]);
+  assert.ok([...L, ...R].every(f => !('channel' in f)), 'the split bands are untagged');
+
+  assert.deepEqual(joinChannels(L, L.map(f => ({ ...f }))), L, 'equal channels join linked');
+  assert.deepEqual(joinChannels(L, L, { link: false }).map(channelOf), ['L', 'L', 'R', 'R']);
+  assert.deepEqual(joinChannels(L, R).map(f => `${f.channel}${f.freq}`), ['L1000', 'L200', 'R200', 'R4000']);
+}
+
+export async function test_map_channels(assert) {
+  const calls = [];
+  const linked = [{ type: 'PK', freq: 1000, q: 1, gain: 3 }];
+  assert.equal(mapChannels(linked, (bands, channel) => { calls.push(channel); return bands; }), linked);
+  mapChannels(UNLINKED, (bands, channel) => { calls.push(channel); return bands; });
+  assert.deepEqual(calls, ['both', 'L', 'R']);
+}
+
+export async function test_require_channel_support(assert) {
+  requireChannelSupport([{ type: 'PK', freq: 1000, q: 1, gain: 3 }], {});
+  requireChannelSupport(UNLINKED, { supportsPerChannelEQ: true });
+  let error = null;
+  try { requireChannelSupport(UNLINKED, resolveConstraints({ maxFilters: 5 }), 'KA17'); } catch (err) { error = err; }
+  assert.equal(error?.code, 'PER_CHANNEL_UNSUPPORTED');
+  assert.equal(error?.message, 'KA17 applies the same EQ to both channels');
+  assert.equal(resolveConstraints({ maxFilters: 5, supportsPerChannelEQ: true }).supportsPerChannelEQ, true,
+    'inline profiles can declare it');
+}
+
+export async function test_stored_filters_per_channel(assert) {
+  const profile = { maxFilters: 2, minGain: -6, maxGain: 4, minQ: 0.2, maxQ: 10 };
+  const stored = storedFilters({ handler: {}, modelConfig: {} }, UNLINKED, profile);
+  assert.equal(stored.length, 4, 'each channel keeps its own maxFilters bands');
+  assert.deepEqual(stored.map(f => f.channel), ['L', 'L', 'R', 'R'], 'in the requested shape');
+  assert.equal(stored[3].gain, 4, 'clamped per channel');
+}
+
+export async function test_preamp_follows_louder_channel(assert) {
+  const { peakDb, peakFreq } = responsePeak(UNLINKED);
+  assert.ok(peakDb > 4.9, `the right channel's +5 dB, got ${peakDb}`);
+  assert.ok(Math.abs(peakFreq - 4000) < 100, `at ~4 kHz, got ${peakFreq}`);
+}
+
+export async function test_connector_fits_each_channel(assert) {
+  const device = {
+    model: 'Two-band DSP',
+    modelConfig: { maxFilters: 2, minGain: -10, maxGain: 10, minQ: 0.1, maxQ: 10 },
+    handler: {},
+  };
+  const left = [1, 2, 3].map(i => ({ type: 'PK', freq: 250 * i, q: 1, gain: i, channel: 'L' }));
+  const right = [{ type: 'PK', freq: 8000, q: 1, gain: -3, channel: 'R' }];
+  const origToast = window.showToast;
+  window.showToast = () => {};
+  let result;
+  try {
+    result = await (await UsbHIDConnector).encodeFilters(device, [...left, ...right]);
+  } finally {
+    window.showToast = origToast;
+  }
+  assert.equal(result.requested.filter(f => f.channel === 'L').length, 2, 'the left channel is reduced to two bands');
+  assert.deepEqual(result.requested.filter(f => f.channel === 'R').map(f => f.freq), [8000],
+    'the right channel is left as it was');
+  assert.ok(result.notes.length > 0 && result.notes.every(n => n.startsWith('Left channel: ')),
+    `notes name their channel, got ${JSON.stringify(result.notes)}`);
+}
+
+export async function test_qudelix_refuses_unlinked_set(assert) {
+  const mock = await loadCapture('../captures/qudelix_qudelix_5k.json');
+  await mock.open();
+  // The vendor collection the handler sends on.
+  mock.collections = [{ usagePage: 0xFF00, outputReports: [{ reportId: 8, items: [{ reportCount: 63 }] }] }];
+  const details = { rawDevice: mock, model: mock.productName, modelConfig: { maxFilters: 10 } };
+  const bandWrites = () => mock.sentBytes.filter(b => b[0] === 13 && b[2] === 7 && b[3] === 15);
+
+  const refused = await qudelixUsbHidHandler.previewToDevice(details, null, 0, 0, UNLINKED).then(() => null, e => e);
+  assert.equal(refused?.code, 'PER_CHANNEL_UNSUPPORTED', 'even under a profile that allows one');
+  assert.equal(mock.sentBytes.length, 0, 'nothing written');
+
+  await qudelixUsbHidHandler.previewToDevice(details, null, 0, 0, [{ type: 'PK', freq: 1000, q: 1, gain: 3 }]);
+  assert.deepEqual(bandWrites().map(b => b[5]), [3], 'a linked set goes to both at once');
+}
+
+export async function test_topping_mirrors_both_channels(assert) {
+  const { writeBand, BandSub } = toppingUsbHidHandler._internal;
+  // The handler waits for each write to be echoed back.
+  const device = new EmulatedHIDDevice({ protocol: { respond: bytes => bytes } });
+  device.opened = true;
+  await writeBand(device, 0, { type: 'PK', freq: 1000, q: 1, gain: 3 });
+  const subs = device.sentBytes.filter(b => b[5] === 0x91).map(b => b[6]);
+  assert.deepEqual(subs, [BandSub.typeL, BandSub.freqL, BandSub.gainL, BandSub.qL, BandSub.enabledL,
+    BandSub.typeR, BandSub.freqR, BandSub.gainR, BandSub.qR, BandSub.enabledR], 'left, then the same on the right');
+}
+
+export async function test_topping_pull_decodes_the_left_channel(assert) {
+  const { buildHidFrame, readBandsViaUploadStream, Commands, ProtocolType } = toppingUsbHidHandler._internal;
+  const device = new EmulatedHIDDevice({ protocol: { respond: () => null } });
+  const packed = (gain) => 1 | (((gain * 10) & 0xff) << 16);  // enabled PK
+  const words = new Array(78).fill(0);
+  words.splice(8, 3, packed(3), 1000, 10000);    // left band 1
+  words.splice(41, 3, packed(-2), 2000, 20000);  // right band 1
+  const read = readBandsViaUploadStream(device, 1000);
+  for (let i = 0; i < words.length; i++) {
+    await device._fire({ reportId: 1, delay: 0, data: buildHidFrame({
+      cmd: Commands.upload, data: words[i], protocolType: ProtocolType.writeNack, totalFrameLen: 78, curFrame: i,
+    }) });
+  }
+  const bands = await read;
+  assert.equal(bands.length, 11);
+  assert.deepEqual([bands[0].freq, bands[0].gain, bands[0].q], [1000, 3, 1], 'the right channel mirrors it');
+}
+
+export async function test_session_rejects_unlinked_set(assert) {
+  const session = createDevicePeqSession();
+  await session.connect({ connectionType: 'virtual', virtualModel: 'usb/CrinEar/Protocol Max' });
+  try {
+    let error = null;
+    try { await session.push(UNLINKED); } catch (err) { error = err; }
+    assert.equal(error?.code, 'PER_CHANNEL_UNSUPPORTED', 'refused before anything is written');
+  } finally {
+    await session.disconnect();
+  }
+}
+
+export async function test_profile_emulation_keeps_channels(assert) {
+  const device = await VirtualDeviceConnector.getDeviceConnected('usb/Moondrop/Rays');
+  try {
+    await VirtualDeviceConnector.pushToDevice(device, null, 0, 0, UNLINKED);
+    const { filters } = await VirtualDeviceConnector.pullFromDevice(device, 0);
+    assert.deepEqual(filters.map(f => `${f.channel}${f.freq}`), ['L1000', 'L200', 'R200', 'R4000'],
+      'each channel reads back on its own');
+  } finally {
+    await VirtualDeviceConnector.disconnectDevice(device);
+  }
+}
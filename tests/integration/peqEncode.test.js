@@ -0,0 +1,237 @@
+/**
+ * Stored value preview tests (peqEncode.js + handler encodeFilters/decodeFilters
+ * + the HID connector and session dry runs)
+ *
+ * Before a push, the plugin shows what the device will actually store for each
+ * band next to what was requested:
+ *   1. compareStored() flags every field the device changes beyond the threshold
+ *   2. every handler has an encode/decode pair and reports its own rounding
+ *      exactly (Qudelix, WalkPlay, FiiO, KT Micro, Airoha, JDS Labs below)
+ *   3. a handler without one is estimated from the profile's limits, and its
+ *      rows are marked `estimated`
+ *   4. the connector and session dry runs include the push's fitting and write nothing
+ */
+
+import { loadCapture } from '../MockHIDDevice.js';
+import { compareStored, storedFilters, storedRows, hasEncoding } from '../../devicePEQ/peqEncode.js';
+import { createDevicePeqSession } from '../../devicePEQ/devicePeqSession.js';
+import { UsbHIDConnector } from '../../devicePEQ/usbHidConnector.js';
+import { qudelixUsbHidHandler } from '../../devicePEQ/qudelixUsbHidHandler.js';
+import { walkplayUsbHID } from '../../devicePEQ/walkplayHidHandler.js';
+import { fiioUsbHID } from '../../devicePEQ/fiioUsbHidHandler.js';
+import { ktmicroUsbHidHandler } from '../../devicePEQ/ktmicroUsbHidHandler.js';
+import { airohaBle } from '../../devicePEQ/airohaBleHandler.js';
+import { airohaUsbSerial } from '../../devicePEQ/airohaUsbSerialHandler.js';
+import { camillaDspNetworkHandler } from '../../devicePEQ/camillaDspNetworkHandler.js';
+import { conexantUsbHidHandler } from '../../devicePEQ/conexantUsbHidHandler.js';
+import { earfunUsbSerial } from '../../devicePEQ/earfunUsbSerialHandler.js';
+import { edifierUsbSerial } from '../../devicePEQ/edifierUsbSerialHandler.js';
+import { fiioBle } from '../../devicePEQ/fiioBleHandler.js';
+import { fiioSppSerial } from '../../devicePEQ/fiioSppSerialHandler.js';
+import { fiioUsbSerial } from '../../devicePEQ/fiioUsbSerialHandler.js';
+import { fosiAudioUsbHID } from '../../devicePEQ/fosiAudioUsbHidHandler.js';
+import { jdsLabsUsbSerial } from '../../devicePEQ/jdsLabsUsbSerialHandler.js';
+import { luxsinNetworkHandler } from '../../devicePEQ/luxsinNetworkHandler.js';
+import { moondropEdgeUsbSerial } from '../../devicePEQ/moondropEdgeUsbSerialHandler.js';
+import { oldFashionedUsbHidHandler } from '../../devicePEQ/moondropOldFashionedUsbHidHandler.js';
+import { moondropUsbHidHandler } from '../../devicePEQ/moondropUsbHidHandler.js';
+import { nothingUsbSerial } from '../../devicePEQ/nothingUsbSerialHandler.js';
+import { ritaUsbSerial } from '../../devicePEQ/ritaUsbSerialHandler.js';
+import { toppingUsbHidHandler } from '../../devicePEQ/toppingUsbHidHandler.js';
+import { wiimNetworkHandler } from '../../devicePEQ/wiimNetworkHandler.js';
+
+const HANDLERS = {
+  qudelixUsbHidHandler, walkplayUsbHID, fiioUsbHID, ktmicroUsbHidHandler, airohaBle, airohaUsbSerial,
+  camillaDspNetworkHandler, conexantUsbHidHandler, earfunUsbSerial, edifierUsbSerial, fiioBle, fiioSppSerial,
+  fiioUsbSerial, fosiAudioUsbHID, jdsLabsUsbSerial, luxsinNetworkHandler, moondropEdgeUsbSerial,
+  oldFashionedUsbHidHandler, moondropUsbHidHandler, nothingUsbSerial, ritaUsbSerial, toppingUsbHidHandler,
+  wiimNetworkHandler,
+};
+
+const stored = (handler, modelConfig, filters) => storedFilters({ handler, modelConfig }, filters);
+
+export async function test_compare_flags_changed_fields(assert) {
+  const requested = [
+    { type: 'PK', freq: 1000, q: 1, gain: 3.14 },
+    { type: 'LSQ', freq: 105, q: 0.7, gain: 6 },
+    { type: 'PK', freq: 20.7, q: 2, gain: -1, disabled: true },
+    { type: 'PK', freq: 5000, q: 4, gain: 2 },
+  ];
+  const rows = compareStored(requested, [
+    { type: 'PK', freq: 1000, q: 1.004, gain: 3.1 },
+    { type: 'PK', freq: 105, q: 0.7, gain: 6 },
+    { type: 'PK', freq: 0, q: 0, gain: 0, disabled: true },
+  ]);
+  assert.equal(rows.length, 4, 'one row per requested band');
+  assert.deepEqual(rows[0].warnings, [], 'within the threshold');
+  assert.deepEqual(rows[1].warnings, ['LSQ stored as PK']);
+  assert.deepEqual(rows[2].warnings, [], 'disabled bands are not compared');
+  assert.deepEqual(rows[3].warnings, ['not stored - the device has fewer bands']);
+  assert.equal(rows[3].stored, null);
+
+  const [row] = compareStored([{ type: 'PK', freq: 20.7, q: 1, gain: 3.19 }],
+    [{ type: 'PK', freq: 20, q: 1.5, gain: 3.1 }]);
+  assert.deepEqual(row.warnings, ['gain 3.19 dB stored as 3.1 dB', 'Q 1 stored as 1.5', '20.7 Hz stored as 20 Hz']);
+}
+
+export async function test_handlers_provide_encoding(assert) {
+  for (const [name, handler] of Object.entries(HANDLERS)) {
+    assert.ok(hasEncoding(handler), `${name}: encodeFilters and decodeFilters are both exported`);
+  }
+  assert.ok(!hasEncoding({ pushToDevice() {} }));
+}
+
+export async function test_every_handler_stores_a_plain_peak(assert) {
+  const modelConfig = { maxFilters: 10, minGain: -12, maxGain: 12 };
+  const requested = [{ type: 'PK', freq: 1000, q: 1, gain: 3 }, { type: 'PK', freq: 4000, q: 2, gain: -2, disabled: true }];
+  for (const [name, handler] of Object.entries(HANDLERS)) {
+    if (handler === jdsLabsUsbSerial) continue; // puts its shelves first, below
+    const [peak, off] = stored(handler, modelConfig, requested);
+    assert.deepEqual(compareStored(requested.slice(0, 1), [peak])[0].warnings, [], `${name}: stored as requested`);
+    assert.ok(off.disabled || off.gain === 0, `${name}: a disabled band is bypassed or flat`);
+  }
+}
+
+export async function test_jds_labs_stores_in_band_order(assert) {
+  const bands = stored(jdsLabsUsbSerial, { maxFilters: 12 }, [
+    { type: 'PK', freq: 1000, q: 1, gain: 3 },
+    { type: 'LSQ', freq: 105, q: 0.7, gain: 4 },
+  ]);
+  assert.equal(bands.length, 12, 'all twelve bands are written');
+  assert.deepEqual(bands[0], { freq: 105, gain: 4, q: 0.7, type: 'LSQ', disabled: false }, 'shelves first');
+  assert.deepEqual(bands[2], { freq: 1000, gain: 3, q: 1, type: 'PK', disabled: false }, 'then the peaks');
+}
+
+export async function test_disabled_band_goes_out_as_a_flat_band(assert) {
+  const details = { modelConfig: { maxFilters: 10, minGain: -12, maxGain: 12 } };
+  const band = { type: 'PK', freq: 1000, q: 1, gain: -4 };
+  const bytes = (handler, filter) => JSON.stringify(handler.encodeFilters(details, [filter]),
+    (key, value) => (ArrayBuffer.isView(value) ? Array.from(value) : value));
+  for (const handler of [airohaBle, airohaUsbSerial, conexantUsbHidHandler, earfunUsbSerial, edifierUsbSerial,
+                         fiioBle, fiioSppSerial, fiioUsbSerial, jdsLabsUsbSerial, luxsinNetworkHandler,
+                         moondropEdgeUsbSerial, oldFashionedUsbHidHandler, moondropUsbHidHandler,
+                         nothingUsbSerial, ritaUsbSerial]) {
+    const name = Object.keys(HANDLERS).find(key => HANDLERS[key] === handler);
+    assert.equal(bytes(handler, { ...band, disabled: true }), bytes(handler, { ...band, gain: 0 }),
+      `${name}: same bytes as the band at 0 dB`);
+  }
+}
+
+export async function test_airoha_serial_keeps_frequencies_over_655hz(assert) {
+  const [band] = stored(airohaUsbSerial, { maxFilters: 10 }, [{ type: 'PK', freq: 8000.123, q: 1.414, gain: -3.333 }]);
+  assert.equal(band.freq, 8000.12, 'hundredths of a hertz, in all four bytes');
+  assert.equal(band.q, 1.41);
+  assert.equal(band.gain, -3.33);
+}
+
+export async function test_qudelix_scaled_integers(assert) {
+  const [peak, off] = stored(qudelixUsbHidHandler, { maxFilters: 10 }, [
+    { type: 'PK', freq: 1000.4, q: 0.7071, gain: 3.14 },
+    { type: 'HSQ', freq: 8000, q: 0.7, gain: 2, disabled: true },
+  ]);
+  assert.equal(peak.freq, 1000, 'whole hertz');
+  assert.equal(peak.gain, 3.1, 'tenths of a dB');
+  assert.equal(peak.q, 724 / 1024, 'Q in 1/1024 steps');
+  assert.ok(off.disabled, 'a disabled band is stored as bypass');
+}
+
+export async function test_walkplay_truncates_frequency(assert) {
+  const modelConfig = { maxFilters: 8, minGain: -10, maxGain: 10 };
+  const [band] = stored(walkplayUsbHID, modelConfig, [{ type: 'PK', freq: 25.8, q: 1.3, gain: -2.5 }]);
+  assert.equal(band.freq, 25, 'the frequency field drops the fraction');
+  assert.equal(band.gain, -2.5);
+  const [row] = compareStored([{ type: 'PK', freq: 25.8, q: 1.3, gain: -2.5 }], [band]);
+  assert.deepEqual(row.warnings, ['25.8 Hz stored as 25 Hz']);
+}
+
+export async function test_fiio_gain_truncates_toward_zero(assert) {
+  const modelConfig = { maxFilters: 5 };
+  const bands = stored(fiioUsbHID, modelConfig, [
+    { type: 'PK', freq: 1000, q: 1, gain: 3.19 },
+    { type: 'PK', freq: 3000, q: 2, gain: -3.19 },
+    { type: 'PK', freq: 6000, q: 2, gain: 4, disabled: true },
+  ]);
+  assert.deepEqual(bands.map(b => b.gain), [3.1, -3.1, 0], 'tenths, truncated; disabled bands at 0 dB');
+  assert.deepEqual(bands.map(b => b.freq), [1000, 3000, 6000]);
+}
+
+export async function test_ktmicro_halved_frequency_rounds(assert) {
+  const modelConfig = { maxFilters: 5, compensate2X: true };
+  const [band] = stored(ktmicroUsbHidHandler, modelConfig, [{ type: 'PK', freq: 1001, q: 0.7071, gain: 2 }]);
+  assert.equal(band.freq, 1002, 'written as 500.5 Hz, stored as 501');
+  assert.equal(band.q, 0.707, 'Q in thousandths');
+  assert.equal(band.gain, 2);
+}
+
+export async function test_profile_estimate_without_encoding(assert) {
+  const bands = storedFilters({ handler: {}, modelConfig: {} },
+    [{ type: 'PK', freq: 1000, q: 12, gain: 9 }],
+    { maxFilters: 5, minGain: -6, maxGain: 6, minQ: 0.2, maxQ: 10 });
+  const [row] = compareStored([{ type: 'PK', freq: 1000, q: 12, gain: 9 }], bands);
+  assert.deepEqual(row.warnings, ['gain 9 dB stored as 6 dB', 'Q 12 stored as 10'], 'clamped to the profile');
+}
+
+export async function test_rows_mark_estimates(assert) {
+  const requested = [{ type: 'PK', freq: 1000, q: 1, gain: 3 }];
+  const estimate = { handler: {}, modelConfig: { maxFilters: 5 } };
+  const [guessed] = storedRows(estimate, requested, storedFilters(estimate, requested));
+  assert.equal(guessed.estimated, true, 'no encode/decode pair: estimated from the profile');
+  const exact = { handler: qudelixUsbHidHandler, modelConfig: { maxFilters: 10 } };
+  const [known] = storedRows(exact, requested, storedFilters(exact, requested));
+  assert.equal(known.estimated, false);
+  assert.deepEqual(known.warnings, []);
+}
+
+export async function test_connector_dry_run_writes_nothing(assert) {
+  const origToast = window.showToast;
+  const toasts = [];
+  window.showToast = (message) => toasts.push(message);
+  let pushes = 0;
+  const device = {
+    model: 'Recording DSP',
+    modelConfig: { maxFilters: 8, minGain: -10, maxGain: 10, minQ: 0.1, maxQ: 10,
+      supportsLSFilter: false, supportsHSFilter: false },
+    handler: { pushToDevice: async () => { pushes++; return false; } },
+  };
+  let result;
+  try {
+    result = await (await UsbHIDConnector).encodeFilters(device, [{ type: 'LSQ', freq: 105, q: 0.7, gain: 6 }]);
+  } finally {
+    window.showToast = origToast;
+  }
+  assert.equal(pushes, 0, 'the handler is not called');
+  assert.deepEqual(toasts, [], 'notes are returned, not shown');
+  assert.equal(result.requested.length, 2, 'the shelf as the push would write it: two peaks');
+  assert.ok(result.requested.every(f => f.type === 'PK'));
+  assert.equal(result.rows.length, 2);
+  assert.ok(result.notes.some(n => /low shelf at 105 Hz - approximated/.test(n)),
+    `the push's note is included, got ${JSON.stringify(result.notes)}`);
+}
+
+export async function test_session_encode_against_capture(assert) {
+  // The TANCHJIM-ONE DSP capture (KT Micro, 5 bands) through the real connector.
+  try { await (await UsbHIDConnector).disconnectDevice(); } catch (_) {}
+  const mock = await loadCapture('../captures/ktmicro_tanchjim_one_dsp.json', { responseDelay: 0 });
+  const origRequest = navigator.hid.requestDevice;
+  const origGranted = navigator.hid.getDevices;
+  navigator.hid.requestDevice = async () => [mock];
+  navigator.hid.getDevices = async () => [mock];
+  const session = createDevicePeqSession();
+  try {
+    await session.connect({ connectionType: 'usb' });
+    mock.resetHistory();
+    const { rows, notes } = await session.encode([
+      { type: 'PK', freq: 1000, q: 1, gain: 3 },
+      { type: 'PK', freq: 3000, q: 2, gain: -2 },
+    ]);
+    assert.equal(mock.sendCount, 0, 'nothing is sent to the device');
+    assert.equal(rows.length, 5, 'unused bands are filled as a push fills them');
+    assert.deepEqual(rows.slice(0, 2).map(r => r.warnings), [[], []], 'whole hertz, tenths of a dB: exact');
+    assert.deepEqual(notes, []);
+  } finally {
+    try { await session.disconnect(); } finally {
+      navigator.hid.requestDevice = origRequest;
+      navigator.hid.getDevices = origGranted;
+    }
+  }
+}
@@ -0,0 +1,153 @@
+/**
+ * Band reduction and type substitution tests (peqResponse.js + peqFit.js +
+ * UsbHIDConnector.pushToDevice)
+ *
+ * When there are more enabled filters than the device has bands, a push keeps
+ * the best-fitting N and retunes them instead of keeping the first N; filter
+ * types the device cannot store are approximated instead of zeroed:
+ *   1. the response model puts a peak's gain at its centre and a shelf's below it
+ *   2. the reduction keeps the corrections that matter most and says how far
+ *      it is from the original, in dB
+ *   3. fitted filters stay within the device's gain and Q limits
+ *   4. an unsupported shelf becomes peaks - two when a band is free - and
+ *      LP/HP use a supported shelf
+ *   5. the HID connector hands the handler the fitted set and reports the error
+ */
+
+import { logFrequencies, responseDb, responseError } from '../../devicePEQ/peqResponse.js';
+import { reduceFilters, substituteFilters } from '../../devicePEQ/peqFit.js';
+import { UsbHIDConnector } from '../../devicePEQ/usbHidConnector.js';
+
+// Small tweaks first, the large corrections last - truncation keeps the wrong ones.
+const FILTERS = [
+  { type: 'PK',  freq: 1200,  q: 2,   gain: 0.5 },
+  { type: 'PK',  freq: 1350,  q: 2,   gain: 0.5 },
+  { type: 'PK',  freq: 14000, q: 1,   gain: 0.3 },
+  { type: 'LSQ', freq: 105,   q: 0.7, gain: 6 },
+  { type: 'PK',  freq: 3000,  q: 2,   gain: -5 },
+];
+const LIMITS = { maxFilters: 3, minGain: -12, maxGain: 12, minQ: 0.2, maxQ: 10 };
+
+const near = (actual, expected, tolerance) => Math.abs(actual - expected) <= tolerance;
+
+export async function test_response_model_shapes(assert) {
+  const freqs = Float64Array.from([20, 1000, 20000]);
+  const peak = responseDb([{ type: 'PK', freq: 1000, q: 1, gain: 6 }], freqs);
+  assert.ok(near(peak[1], 6, 0.01), `peak gain at its centre, got ${peak[1]}`);
+  assert.ok(near(peak[0], 0, 0.1), 'flat far below');
+
+  const shelf = responseDb([{ type: 'LSQ', freq: 100, q: 0.7, gain: -4 }], freqs);
+  assert.ok(near(shelf[0], -4, 0.3), `shelf gain below its corner, got ${shelf[0]}`);
+  assert.ok(near(shelf[2], 0, 0.01), 'flat above');
+
+  const off = responseDb([{ type: 'PK', freq: 1000, q: 1, gain: 6, disabled: true }], freqs);
+  assert.deepEqual([...off], [0, 0, 0], 'disabled filters are flat');
+}
+
+export async function test_reduction_beats_truncation(assert) {
+  const freqs = logFrequencies();
+  const target = responseDb(FILTERS, freqs);
+  const reduction = reduceFilters(FILTERS, LIMITS);
+  const truncated = responseError(target, responseDb(FILTERS.slice(0, 3), freqs));
+
+  assert.equal(reduction.filters.length, 3);
+  assert.equal(reduction.reducedFrom, 5);
+  assert.ok(reduction.filters.some(f => f.type === 'LSQ'), 'the bass shelf is kept');
+  assert.ok(reduction.filters.some(f => f.gain < -3), 'the 3 kHz cut is kept');
+  assert.ok(reduction.residual.maxDb < 1, `close to the original, max ${reduction.residual.maxDb} dB`);
+  assert.ok(reduction.residual.rmsDb < truncated.rmsDb / 5,
+    `much closer than truncating (${reduction.residual.rmsDb} vs ${truncated.rmsDb} dB RMS)`);
+  assert.equal(reduceFilters(FILTERS, { ...LIMITS, maxFilters: 5 }), null, 'nothing to do when they fit');
+}
+
+export async function test_reduction_respects_limits(assert) {
+  const filters = [
+    { type: 'PK', freq: 500,  q: 0.5, gain: 10 },
+    { type: 'PK', freq: 600,  q: 0.5, gain: 4 },
+    { type: 'PK', freq: 9000, q: 8,   gain: -3 },
+  ];
+  const limits = { maxFilters: 2, minGain: -6, maxGain: 6, minQ: 0.7, maxQ: 4 };
+  const { filters: fitted } = reduceFilters(filters, limits);
+  for (const f of fitted) {
+    assert.ok(f.gain >= -6 && f.gain <= 6, `gain ${f.gain} within ±6 dB`);
+    assert.ok(f.q >= 0.7 && f.q <= 4, `Q ${f.q} within 0.7..4`);
+  }
+}
+
+// Runs `push(connector, device)` against a HID device whose handler records
+// what it is given. Resolves { written, toasts }.
+async function withRecordingDevice(modelConfig, push) {
+  const rawDevice = { vendorId: 0x1234, productId: 0x5678, opened: true, collections: [] };
+  const origGranted = navigator.hid.getDevices;
+  const origToast = window.showToast;
+  const toasts = [];
+  navigator.hid.getDevices = async () => [rawDevice];
+  window.showToast = (message) => toasts.push(message);
+  const written = [];
+  const device = {
+    rawDevice,
+    model: 'Recording DSP',
+    modelConfig: { ...modelConfig, transactionalPush: false },
+    handler: {
+      pushToDevice: async (_d, _phone, _slot, _preamp, filters) => { written.push(filters); return false; },
+    },
+  };
+  try {
+    await push(await UsbHIDConnector, device);
+  } finally {
+    navigator.hid.getDevices = origGranted;
+    window.showToast = origToast;
+  }
+  return { written, toasts };
+}
+
+export async function test_shelf_substituted_with_peaks(assert) {
+  const shelf = { type: 'LSQ', freq: 105, q: 0.7, gain: 6 };
+  const cut = { type: 'PK', freq: 3000, q: 2, gain: -5 };
+  const pkOnly = { ...LIMITS, maxFilters: 8 };
+
+  const roomy = substituteFilters([shelf, cut], pkOnly);
+  assert.equal(roomy.filters.length, 3, 'a spare band buys the shelf a second peak');
+  assert.ok(roomy.filters.every(f => f.type === 'PK'));
+  assert.deepEqual(roomy.filters[2], cut, 'supported filters are untouched');
+  assert.deepEqual(roomy.substituted, [{ type: 'LSQ', freq: 105, bands: 2 }]);
+  assert.ok(roomy.residual.maxDb < 0.5, `close to the shelf, max ${roomy.residual.maxDb} dB`);
+
+  const full = substituteFilters([shelf, cut], { ...pkOnly, maxFilters: 2 });
+  assert.equal(full.filters.length, 2, 'no spare band: one peak');
+  assert.ok(full.residual.maxDb >= roomy.residual.maxDb, 'one peak fits no better than two');
+
+  assert.equal(substituteFilters([shelf], { ...pkOnly, supportsLSFilter: true }), null, 'supported: nothing to do');
+  assert.equal(substituteFilters([{ ...shelf, gain: 0 }], pkOnly), null, 'a flat shelf is left alone');
+}
+
+export async function test_high_pass_uses_supported_shelf(assert) {
+  const limits = { ...LIMITS, maxFilters: 1, supportsLSFilter: true };
+  const { filters } = substituteFilters([{ type: 'HP', freq: 40, q: 0.7 }], limits);
+  assert.equal(filters.length, 1);
+  assert.equal(filters[0].type, 'LSQ', 'the low shelf stands in for the high pass');
+  assert.ok(filters[0].gain < -6, `cutting below the corner, got ${filters[0].gain} dB`);
+}
+
+export async function test_connector_pushes_reduced_set(assert) {
+  const modelConfig = { ...LIMITS, supportsLSFilter: true, supportsHSFilter: true };
+  const { written, toasts } = await withRecordingDevice(modelConfig, (connector, device) =>
+    connector.pushToDevice(device, null, 0, 0, FILTERS.map(f => ({ ...f }))));
+  assert.equal(written.length, 1);
+  assert.equal(written[0].length, 3, 'three bands written');
+  assert.ok(written[0].some(f => f.type === 'LSQ'), 'the shelf survives the reduction');
+  assert.ok(toasts.some(t => /fitted your 5 filters into 3, within [\d.]+ dB/.test(t)),
+    `the user is told the error, got ${JSON.stringify(toasts)}`);
+}
+
+export async function test_connector_approximates_unsupported_shelf(assert) {
+  // The walkplayPeq8Band10dBPkOnly limits.
+  const modelConfig = { maxFilters: 8, minGain: -10, maxGain: 10, minQ: 0.1, maxQ: 10,
+    supportsLSFilter: false, supportsHSFilter: false };
+  const { written, toasts } = await withRecordingDevice(modelConfig, (connector, device) =>
+    connector.pushToDevice(device, null, 0, 0, [{ type: 'LSQ', freq: 105, q: 0.7, gain: 6 }]));
+  assert.equal(written[0].length, 2, 'two peaks in place of the shelf');
+  assert.ok(written[0].every(f => f.type === 'PK' && f.gain > 0), 'the bass boost is kept');
+  assert.ok(toasts.some(t => /low shelf at 105 Hz - approximated .* within [\d.]+ dB/.test(t)),
+    `the user is told the error, got ${JSON.stringify(toasts)}`);
+}
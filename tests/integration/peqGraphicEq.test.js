@@ -0,0 +1,175 @@
+/**
+ * Graphic EQ fitting tests (peqGraphicEq.js + the HID and serial connectors)
+ *
+ * Models with a fixed frequency/Q grid (modelConfig.graphicEq) only take a
+ * gain per band, so a push turns any PEQ set into those gains:
+ *   1. filters already on the grid are left alone; a peak on a band centre
+ *      becomes that band's gain
+ *   2. anything else is fitted by least squares, within the gain limits, and
+ *      the error is reported
+ *   3. both connectors fit before the handler sees the filters
+ *   4. frequency-table models (graphicEq.table) move each band to the nearest
+ *      table entry and refit the gains, which misses the curve by less than
+ *      a fixed grid of table entries or snapping alone
+ */
+
+import { fitGraphicEq, graphicEqBands, nearestTableFreq } from '../../devicePEQ/peqGraphicEq.js';
+import { logFrequencies, responseDb, responseError } from '../../devicePEQ/peqResponse.js';
+import { usbSerialDeviceHandlerConfig } from '../../devicePEQ/usbSerialDeviceConfig.js';
+import { UsbHIDConnector } from '../../devicePEQ/usbHidConnector.js';
+import { UsbSerialConnector } from '../../devicePEQ/usbSerialConnector.js';
+import { earfunUsbSerial } from '../../devicePEQ/earfunUsbSerialHandler.js';
+
+// The FreeDSP grid and limits.
+const FREEDSP = {
+  graphicEq: { freqs: [31, 62, 125, 250, 500, 1000, 2000, 4000, 8000], q: 1.0 },
+  maxFilters: 9, minGain: -12, maxGain: 12,
+};
+const BASS_AND_CUT = [
+  { type: 'LSQ', freq: 105, q: 0.7, gain: 6 },
+  { type: 'PK', freq: 3000, q: 2, gain: -3 },
+];
+
+export async function test_grid_bands(assert) {
+  assert.deepEqual(graphicEqBands({ freqs: [100, 1000], q: [0.7, 2] }),
+    [{ freq: 100, q: 0.7 }, { freq: 1000, q: 2 }], 'per-band Q');
+  assert.equal(graphicEqBands({ freqs: [] }), null);
+  assert.equal(graphicEqBands(undefined), null);
+}
+
+export async function test_on_grid_filters_pass_through(assert) {
+  const pulled = FREEDSP.graphicEq.freqs.map(freq => ({ type: 'PK', freq, q: 1.0, gain: 1.5 }));
+  assert.equal(fitGraphicEq(pulled, FREEDSP), null, 'edited gains of a pulled EQ need no fitting');
+  assert.equal(fitGraphicEq(BASS_AND_CUT, { minGain: -12, maxGain: 12 }), null, 'no grid, nothing to do');
+
+  const { filters, residual } = fitGraphicEq([{ type: 'PK', freq: 1000, q: 1.0, gain: 4 }], FREEDSP);
+  assert.deepEqual(filters.map(f => f.gain), [0, 0, 0, 0, 0, 4, 0, 0, 0], 'a peak on a band centre is that band');
+  assert.ok(residual.maxDb < 0.01);
+}
+
+export async function test_fit_matches_curve_within_limits(assert) {
+  const { filters, residual } = fitGraphicEq(BASS_AND_CUT, FREEDSP);
+  assert.deepEqual(filters.map(f => f.freq), FREEDSP.graphicEq.freqs, 'one band per grid frequency');
+  assert.ok(filters.every(f => f.type === 'PK' && f.q === 1.0));
+  assert.ok(filters[0].gain > 4 && filters[1].gain > 2, 'the bass boost lands on the low bands');
+  assert.ok(filters[7].gain < -1, 'the 3 kHz cut lands on the 4 kHz band');
+  assert.ok(residual.rmsDb < 1, `close overall, RMS ${residual.rmsDb} dB`);
+
+  const tight = fitGraphicEq([{ type: 'PK', freq: 700, q: 1.5, gain: 20 }], { ...FREEDSP, maxGain: 6 });
+  assert.ok(tight.filters.every(f => f.gain <= 6), 'gains clamped to maxGain');
+  assert.ok(tight.filters.filter(f => f.gain === 6).length >= 2, 'the neighbours both hit the limit');
+}
+
+export async function test_hid_connector_fits_before_writing(assert) {
+  const rawDevice = { vendorId: 0x2fc6, productId: 0xf06a, opened: true, collections: [] };
+  const origGranted = navigator.hid.getDevices;
+  const origToast = window.showToast;
+  const toasts = [];
+  navigator.hid.getDevices = async () => [rawDevice];
+  window.showToast = (message) => toasts.push(message);
+  const written = [];
+  const device = {
+    rawDevice,
+    model: 'FreeDSP',
+    modelConfig: { ...FREEDSP, supportsLSFilter: true, supportsHSFilter: true, transactionalPush: false },
+    handler: {
+      pushToDevice: async (_d, _phone, _slot, _preamp, filters) => { written.push(filters); return false; },
+    },
+  };
+  try {
+    await (await UsbHIDConnector).pushToDevice(device, null, 0, 0, BASS_AND_CUT.map(f => ({ ...f })));
+  } finally {
+    navigator.hid.getDevices = origGranted;
+    window.showToast = origToast;
+  }
+  assert.deepEqual(written[0].map(f => f.freq), FREEDSP.graphicEq.freqs, 'the handler gets the grid');
+  assert.ok(toasts.some(t => /fixed 9-band EQ - converted your filters to band gains, within [\d.]+ dB/.test(t)),
+    `the user is told the error, got ${JSON.stringify(toasts)}`);
+}
+
+export async function test_serial_connector_fits_earfun(assert) {
+  const packets = [];
+  const origToast = window.showToast;
+  window.showToast = () => {};
+  const device = {
+    model: 'EarFun Tune Pro',
+    handler: earfunUsbSerial,
+    writable: { write: async (bytes) => { packets.push(bytes); } },
+    modelConfig: {
+      graphicEq: { freqs: [31.5, 63, 125, 250, 500, 1000, 2000, 4000, 8000, 16000], q: 1.0 },
+      maxFilters: 10, minGain: -12, maxGain: 12, transactionalPush: false,
+    },
+  };
+  try {
+    await (await UsbSerialConnector).pushToDevice(device, null, 0, 0, BASS_AND_CUT.map(f => ({ ...f })));
+  } finally {
+    window.showToast = origToast;
+  }
+  assert.equal(packets.length, 10, 'one packet per band');
+  // Payload bytes 4-5 (packet bytes 8-9) are the frequency × 3.
+  const freqs = packets.map(p => ((p[8] << 8) | p[9]) / 3);
+  assert.deepEqual(freqs.map(Math.round), [32, 63, 125, 250, 500, 1000, 2000, 4000, 8000, 16000],
+    'every band written at its grid frequency');
+}
+
+// The Edifier W830NB as configured, with its profile's limits.
+const EDIFIER_TABLE = usbSerialDeviceHandlerConfig.find(entry => entry.manufacturer === 'Edifier')
+  .devices['Edifier W830NB'].modelConfig.graphicEq.table;
+const EDIFIER = {
+  graphicEq: { table: EDIFIER_TABLE },
+  maxFilters: 4, minGain: -6, maxGain: 6, minQ: 0.1, maxQ: 5.0,
+  supportsLSFilter: false, supportsHSFilter: false,
+};
+// What the W830NB was fitted to before: four table entries at the Q its pull reports.
+const EDIFIER_FIXED_GRID = { ...EDIFIER, graphicEq: { freqs: [100, 500, 2000, 8000], q: 1.4 } };
+const TYPICAL_SETS = {
+  'bass shelf and treble peaks': [
+    { type: 'LSQ', freq: 105, q: 0.7, gain: 4 },
+    { type: 'PK', freq: 250, q: 1, gain: -1.5 },
+    { type: 'PK', freq: 3500, q: 2, gain: -3 },
+    { type: 'PK', freq: 6000, q: 3, gain: 2 },
+  ],
+  'four peaks off the table': [
+    { type: 'PK', freq: 60, q: 1, gain: 4 },
+    { type: 'PK', freq: 1200, q: 1.5, gain: -2 },
+    { type: 'PK', freq: 2800, q: 2.5, gain: 3 },
+    { type: 'PK', freq: 9000, q: 2, gain: -3 },
+  ],
+  'two narrow bands': [
+    { type: 'PK', freq: 700, q: 1.5, gain: 3 },
+    { type: 'PK', freq: 3200, q: 3, gain: -4 },
+  ],
+};
+
+export async function test_table_bands_snap_to_nearest_entry(assert) {
+  assert.equal(nearestTableFreq(EDIFIER_TABLE, 3500), 3078, 'nearest in octaves');
+  assert.equal(nearestTableFreq(EDIFIER_TABLE, 290), 400, 'not the nearest in hertz (200)');
+
+  const pulled = [100, 500, 2000, 8000].map(freq => ({ type: 'PK', freq, q: 1.4, gain: 2 }));
+  assert.equal(fitGraphicEq(pulled, EDIFIER), null, 'bands on table entries are written unchanged');
+
+  const { filters, table } = fitGraphicEq(TYPICAL_SETS['four peaks off the table'], EDIFIER);
+  assert.ok(table, 'the result says the bands were moved');
+  assert.deepEqual(filters.map(f => f.freq), [50, 1000, 3000, 10000]);
+  assert.deepEqual(filters.map(f => f.q), [1, 1.5, 2.5, 2], 'each band keeps its Q');
+
+  const many = [...TYPICAL_SETS['four peaks off the table'], { type: 'PK', freq: 150, q: 2, gain: -1 }];
+  const reduced = fitGraphicEq(many, EDIFIER).filters;
+  assert.equal(reduced.length, 4, 'cut down to maxFilters');
+  assert.ok(reduced.every(f => EDIFIER_TABLE.includes(f.freq) && f.gain >= -6 && f.gain <= 6));
+}
+
+export async function test_table_fit_beats_fixed_grid_and_plain_snap(assert) {
+  const freqs = logFrequencies();
+  for (const [name, set] of Object.entries(TYPICAL_SETS)) {
+    const target = responseDb(set, freqs);
+    const fitted = fitGraphicEq(set, EDIFIER).residual.rmsDb;
+    const grid = fitGraphicEq(set, EDIFIER_FIXED_GRID).residual.rmsDb;
+    // The handler alone: each band at the nearest entry, gains untouched.
+    const snapped = set.map(f => ({ ...f, type: 'PK', freq: nearestTableFreq(EDIFIER_TABLE, f.freq) }));
+    const snapOnly = responseError(target, responseDb(snapped, freqs)).rmsDb;
+    assert.ok(fitted < grid, `${name}: ${fitted.toFixed(2)} dB RMS vs ${grid.toFixed(2)} dB on the fixed grid`);
+    assert.ok(fitted <= snapOnly + 0.01,
+      `${name}: ${fitted.toFixed(2)} dB RMS vs ${snapOnly.toFixed(2)} dB snapping without refitting`);
+  }
+}
@@ -0,0 +1,123 @@
+/**
+ * Push preamp tests (peqPreamp.js + session.preampFor)
+ *
+ * devicePEQ works out the preamp for a push itself:
+ *   1. from the peak of the filters' combined response, not the largest band gain
+ *   2. rounded down to the handler's global gain step, limited to the global
+ *      gain range (minGlobalGain), not the band range (minGain)
+ *   3. 0 dB on devices that handle pregain themselves
+ *   4. from what the device will store, through the session's dry run
+ */
+
+import { devicePreamp, responsePeak } from '../../devicePEQ/peqPreamp.js';
+import { storedFilters } from '../../devicePEQ/peqEncode.js';
+import { createDevicePeqSession } from '../../devicePEQ/devicePeqSession.js';
+import { loadPeqConstraintsConfig, resolveConstraints } from '../../devicePEQ/peqConstraints.js';
+import { networkDeviceHandlerConfig } from '../../devicePEQ/networkDeviceConfig.js';
+
+const device = (modelConfig = {}, handler = {}) => ({ modelConfig, handler });
+
+export async function test_single_boost(assert) {
+  const { preamp, peakDb, peakFreq, clamped } = devicePreamp(device({ minGain: -12 }),
+    [{ type: 'PK', freq: 1000, q: 1, gain: 6 }]);
+  assert.ok(Math.abs(peakDb - 6) < 0.01, `peak ~6 dB, got ${peakDb}`);
+  assert.ok(Math.abs(peakFreq - 1000) < 20, `at ~1 kHz, got ${peakFreq}`);
+  assert.equal(preamp, -6);
+  assert.equal(clamped, false);
+}
+
+export async function test_overlapping_boosts_add_up(assert) {
+  const filters = [
+    { type: 'PK', freq: 1000, q: 1, gain: 3 },
+    { type: 'PK', freq: 1200, q: 1, gain: 3 },
+  ];
+  const { peakDb } = responsePeak(filters);
+  assert.ok(peakDb > 5, `two overlapping +3 dB bands peak well above 3 dB, got ${peakDb}`);
+  const { preamp } = devicePreamp(device(), filters);
+  assert.ok(preamp <= -peakDb, `enough headroom for the peak: ${preamp} for +${peakDb}`);
+  assert.ok(preamp > -peakDb - 0.1, 'and no more than one step beyond it');
+}
+
+export async function test_narrow_peak_is_found(assert) {
+  const { peakDb } = responsePeak([{ type: 'PK', freq: 7777, q: 10, gain: 8 }]);
+  assert.ok(peakDb > 7.9, `a Q 10 boost between grid points is not missed, got ${peakDb}`);
+}
+
+export async function test_cuts_need_no_preamp(assert) {
+  const { preamp, peakDb, peakFreq } = devicePreamp(device(), [
+    { type: 'PK', freq: 1000, q: 1, gain: -6 },
+    { type: 'HSQ', freq: 8000, q: 0.7, gain: -3 },
+    { type: 'PK', freq: 200, q: 1, gain: 9, disabled: true },
+  ]);
+  assert.equal(preamp, 0);
+  assert.equal(peakDb, 0);
+  assert.equal(peakFreq, null);
+}
+
+export async function test_rounds_down_to_the_step(assert) {
+  const whole = device({ minGain: -12 }, { globalGainStep: 1 });
+  assert.equal(devicePreamp(whole, [{ type: 'PK', freq: 1000, q: 1, gain: 3.2 }]).preamp, -4,
+    'whole-dB devices go to the next step down, not the nearest');
+  assert.equal(devicePreamp(whole, [{ type: 'LSQ', freq: 200, q: 0.7, gain: 3 }]).preamp, -3,
+    'a peak already on a step stays there');
+  assert.equal(devicePreamp(device(), [{ type: 'PK', freq: 1000, q: 1, gain: 3.24 }]).preamp, -3.3,
+    'tenths by default');
+}
+
+export async function test_clamped_to_global_gain_range(assert) {
+  const result = devicePreamp(device({ minGain: -12, minGlobalGain: -6 }), [{ type: 'PK', freq: 1000, q: 1, gain: 10 }]);
+  assert.equal(result.preamp, -6, 'no lower than the global gain allows');
+  assert.equal(result.clamped, true);
+  assert.equal(devicePreamp(device({ minGain: -6 }), [{ type: 'PK', freq: 1000, q: 1, gain: 10 }]).preamp, -6,
+    'a profile without a global gain range falls back to the band range');
+}
+
+export async function test_global_gain_range_wider_than_bands(assert) {
+  // CamillaDSP: bands within ±20 dB, but the preamp Gain filter takes ±150 dB
+  await loadPeqConstraintsConfig();
+  const profile = resolveConstraints(networkDeviceHandlerConfig.devices.CamillaDSP.modelConfig);
+  assert.equal(profile.minGain, -20);
+  assert.equal(profile.minGlobalGain, -150);
+  const boosts = [
+    { type: 'PK', freq: 1000, q: 1, gain: 20 },
+    { type: 'PK', freq: 1100, q: 1, gain: 20 },
+  ];
+  const { preamp, peakDb, clamped } = devicePreamp(device(profile), boosts, profile);
+  assert.ok(peakDb > 30, `two overlapping +20 dB bands, got ${peakDb}`);
+  assert.ok(preamp < -30, `below the band floor, got ${preamp}`);
+  assert.equal(clamped, false);
+}
+
+export async function test_device_handles_pregain(assert) {
+  const filters = [{ type: 'PK', freq: 1000, q: 1, gain: 6 }];
+  const result = devicePreamp(device({ deviceHandlesPregain: true }), filters);
+  assert.equal(result.preamp, 0);
+  assert.equal(result.handledByDevice, true);
+  assert.ok(result.peakDb > 5.9, 'the peak is still reported');
+  assert.equal(devicePreamp(device({ deviceHandlesPregain: true }), filters,
+    { deviceHandlesPregain: false }).preamp, -6, 'the resolved profile wins over modelConfig');
+}
+
+export async function test_uses_realised_gain(assert) {
+  const profile = { maxFilters: 5, minGain: -6, maxGain: 6, minQ: 0.2, maxQ: 10 };
+  const requested = [{ type: 'PK', freq: 1000, q: 1, gain: 9 }];
+  const realised = storedFilters({ handler: {}, modelConfig: {} }, requested, profile);
+  assert.equal(devicePreamp(device(profile), realised, profile).preamp, -6,
+    'the device stores +6 dB, so +9 dB of preamp would be 3 dB too much');
+}
+
+export async function test_session_preamp_for_virtual_device(assert) {
+  const session = createDevicePeqSession();
+  await session.connect({ connectionType: 'virtual', virtualModel: 'usb/CrinEar/Protocol Max' });
+  try {
+    const filters = [{ type: 'PK', freq: 1000, q: 1, gain: 3.4 }];
+    const result = await session.preampFor(filters);
+    assert.equal(result.preamp, -4, 'WalkPlay global gain is whole dB');
+    assert.ok(Math.abs(result.peakDb - 3.4) < 0.05, `peak of what the device stores, got ${result.peakDb}`);
+    await session.push(filters, { preamp: result.preamp });
+    const { globalGain } = await session.pull();
+    assert.equal(globalGain, -4, 'written as computed');
+  } finally {
+    await session.disconnect();
+  }
+}
@@ -0,0 +1,131 @@
+/**
+ * Preview / commit tests (devicePeqSession.js + usbHidConnector.js)
+ *
+ * Models with `supportsPreview: true` can write filters without saving them:
+ *   1. preview() goes to handler.previewToDevice and marks the session uncommitted
+ *   2. commit() hands the previewed filters to handler.commitToDevice and clears it
+ *   3. a push after a preview still saves, even when no band changed
+ *   4. a slot change discards the preview; models without support refuse it
+ */
+
+import { loadCapture } from '../MockHIDDevice.js';
+import { createDevicePeqSession } from '../../devicePEQ/devicePeqSession.js';
+import { UsbHIDConnector } from '../../devicePEQ/usbHidConnector.js';
+
+const CAPTURE = '../captures/ktmicro_tanchjim_one_dsp.json';
+const FILTERS = [{ type: 'PK', freq: 1000, q: 1, gain: 2 }];
+
+// The ONE DSP capture connected through a session, with a handler that records
+// which write path each call took. The model is given supportsPreview (unless
+// told otherwise) in connect's confirm hook, before the session reads it.
+async function openSession({ supportsPreview = true } = {}) {
+  try { await (await UsbHIDConnector).disconnectDevice(); } catch (_) {}
+  const mock = await loadCapture(CAPTURE, { responseDelay: 0 });
+  const origRequest = navigator.hid.requestDevice;
+  const origGranted = navigator.hid.getDevices;
+  navigator.hid.requestDevice = async () => [mock];
+  navigator.hid.getDevices = async () => [mock];
+
+  const calls = [];
+  const session = createDevicePeqSession({ autoReconnect: false });
+  const close = async () => {
+    try {
+      await session.disconnect();
+    } finally {
+      navigator.hid.requestDevice = origRequest;
+      navigator.hid.getDevices = origGranted;
+    }
+  };
+  try {
+    await session.connect({ connectionType: 'usb' }, {
+      confirm: (device) => {
+        Object.assign(device.modelConfig, { supportsPreview, transactionalPush: false });
+        device.handler = {
+          ...device.handler,
+          pushToDevice: async (_d, _p, slot) => { calls.push({ op: 'push', slot }); return false; },
+          previewToDevice: async (_d, _p, slot) => { calls.push({ op: 'preview', slot }); return false; },
+          commitToDevice: async (_d, _p, slot, preamp, filters) => {
+            calls.push({ op: 'commit', slot, preamp, filters });
+            return false;
+          },
+          enablePEQ: async () => {},
+        };
+        return true;
+      },
+    });
+  } catch (e) {
+    await close();
+    throw e;
+  }
+  return { session, calls, close };
+}
+
+export async function test_preview_then_commit(assert) {
+  const { session, calls, close } = await openSession();
+  const events = [];
+  session.on('previewed', () => events.push('previewed'));
+  session.on('committed', () => events.push('committed'));
+  try {
+    const slot = session.getState().selectedSlot;
+    assert.equal(session.getState().supportsPreview, true);
+
+    await session.preview(FILTERS, { preamp: -2 });
+    assert.deepEqual(calls.map(c => c.op), ['preview'], 'written through previewToDevice only');
+    assert.deepEqual(session.getState().uncommitted, { slot, filters: FILTERS, preamp: -2 });
+
+    const result = await session.commit();
+    assert.deepEqual(result, { disconnect: false, reconnecting: false });
+    const commit = calls[1];
+    assert.equal(commit?.op, 'commit');
+    assert.equal(commit.slot, slot, 'saved to the previewed slot');
+    assert.equal(commit.preamp, -2);
+    assert.equal(commit.filters.length, session.device.modelConfig.maxFilters,
+      'handler gets the filters as the connector wrote them');
+    assert.equal(session.getState().uncommitted, null, 'nothing left to save');
+    assert.deepEqual(events, ['previewed', 'committed']);
+    assert.equal(await session.commit(), null, 'a second commit has nothing to do');
+  } finally {
+    await close();
+  }
+}
+
+export async function test_push_after_preview_still_saves(assert) {
+  const { session, calls, close } = await openSession();
+  try {
+    await session.preview(FILTERS);
+    await session.push(FILTERS);
+    assert.deepEqual(calls.map(c => c.op), ['preview', 'push'],
+      'an unchanged push is not skipped while a preview is unsaved');
+    assert.equal(session.getState().uncommitted, null);
+
+    await session.push(FILTERS);
+    assert.equal(calls.length, 2, 'once saved, an unchanged push is skipped again');
+  } finally {
+    await close();
+  }
+}
+
+export async function test_slot_change_discards_preview(assert) {
+  const { session, close } = await openSession();
+  try {
+    await session.preview(FILTERS);
+    await session.selectSlot(-1);
+    assert.equal(session.getState().uncommitted, null, 'the device reloaded its EQ');
+    assert.equal(session.device.uncommitted, undefined, 'the connector forgot it too');
+  } finally {
+    await close();
+  }
+}
+
+export async function test_preview_refused_without_support(assert) {
+  const { session, calls, close } = await openSession({ supportsPreview: false });
+  try {
+    assert.equal(session.getState().supportsPreview, false);
+    let error = null;
+    try { await session.preview(FILTERS); } catch (e) { error = e; }
+    assert.equal(error?.code, 'PREVIEW_UNSUPPORTED');
+    assert.equal(calls.length, 0, 'nothing written');
+  } finally {
+    await close();
+  }
+}
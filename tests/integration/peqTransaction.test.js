@@ -0,0 +1,172 @@
+/**
+ * Transactional push tests (peqTransaction.js + UsbHIDConnector.pushToDevice)
+ *
+ * A push snapshots the slot first (when the device can be read) and writes the
+ * snapshot back if the handler throws or times out:
+ *   1. a successful push passes the handler's result through
+ *   2. a failed or timed-out push is rolled back and reports the affected bands
+ *   3. a timed-out write is left to finish before the rollback starts, and a
+ *      write that never finishes is not rolled back at all
+ *   4. an unusable snapshot is retried once, then the push goes ahead without one
+ *   5. write-only devices never snapshot
+ */
+
+import { transactionalPush, affectedBands } from '../../devicePEQ/peqTransaction.js';
+import { UsbHIDConnector } from '../../devicePEQ/usbHidConnector.js';
+
+const BEFORE = [
+  { type: 'PK', freq: 100,  q: 1, gain: 0 },
+  { type: 'PK', freq: 1000, q: 1, gain: 0 },
+  { type: 'PK', freq: 8000, q: 1, gain: 0 }
+];
+const AFTER = [
+  { type: 'PK', freq: 100,  q: 1, gain: -3 },
+  { type: 'PK', freq: 1000, q: 1, gain: 0 },
+  { type: 'PK', freq: 8000, q: 1, gain: 2 }
+];
+
+// In-memory slot: push() writes `target` one band at a time and can be told
+// to fail after some bands, to take `bandDelayMs` per band, or to hang. `log`
+// records each band write and restore in the order they land.
+function fakeSlot({ failAfter = null, hang = false, bandDelayMs = 0, readResults = null } = {}) {
+  const slot = { bands: BEFORE.map(f => ({ ...f })), globalGain: -1, reads: 0, restores: 0, log: [] };
+  slot.read = async () => {
+    const scripted = readResults?.[slot.reads];
+    slot.reads++;
+    return scripted ?? { filters: slot.bands.map(f => ({ ...f })), globalGain: slot.globalGain };
+  };
+  slot.write = async (target) => {
+    for (let i = 0; i < target.length; i++) {
+      if (failAfter !== null && i >= failAfter) throw new Error('USB transfer failed');
+      if (bandDelayMs) await new Promise(resolve => setTimeout(resolve, bandDelayMs));
+      slot.bands[i] = { ...target[i] };
+      slot.log.push(`write ${i}`);
+    }
+    return false;
+  };
+  slot.push = () => (hang ? new Promise(() => {}) : slot.write(AFTER));
+  slot.restore = async (snapshot) => {
+    slot.restores++;
+    slot.log.push('restore');
+    slot.bands = snapshot.filters.map(f => ({ ...f }));
+    slot.globalGain = snapshot.globalGain;
+  };
+  return slot;
+}
+
+const run = (slot, extra = {}) => transactionalPush({
+  label: 'Test DSP', slot: 2, filters: AFTER,
+  read: slot.read, push: slot.push, restore: slot.restore, ...extra
+});
+
+export function test_affectedBands_only_lists_changes(assert) {
+  assert.deepEqual(affectedBands(AFTER, { filters: BEFORE }), [0, 2]);
+  assert.deepEqual(affectedBands(AFTER, { filters: BEFORE }, [2]), [2], 'limited to the bands written');
+  assert.deepEqual(affectedBands(AFTER, null), [0, 1, 2], 'no snapshot: every band written');
+}
+
+export async function test_successful_push_passes_result_through(assert) {
+  const slot = fakeSlot();
+  const result = await run(slot);
+  assert.equal(result, false);
+  assert.equal(slot.reads, 1, 'one snapshot read');
+  assert.equal(slot.restores, 0);
+  assert.equal(slot.bands[0].gain, -3);
+}
+
+export async function test_failed_push_is_rolled_back(assert) {
+  const slot = fakeSlot({ failAfter: 1 });
+  let error = null;
+  try { await run(slot); } catch (e) { error = e; }
+  assert.ok(error, 'push should reject');
+  assert.equal(error.code, 'PUSH_FAILED');
+  assert.equal(error.cause?.message, 'USB transfer failed');
+  assert.equal(error.transaction.rolledBack, true);
+  assert.deepEqual(error.transaction.affectedBands, [0, 2]);
+  assert.deepEqual(slot.bands, BEFORE, 'slot should hold the snapshot again');
+  assert.equal(slot.globalGain, -1, 'global gain restored too');
+}
+
+export async function test_timed_out_push_is_rolled_back(assert) {
+  // 3 bands x 20ms outlasts the 50ms limit but settles well inside the second
+  const slot = fakeSlot({ bandDelayMs: 20 });
+  let error = null;
+  try { await run(slot, { timeoutMs: 50 }); } catch (e) { error = e; }
+  assert.equal(error?.cause?.code, 'TIMEOUT', 'timeout should be the cause');
+  assert.equal(error.transaction.rolledBack, true);
+  assert.deepEqual(slot.log, ['write 0', 'write 1', 'write 2', 'restore'],
+    'restore waits for the timed-out write to finish');
+  assert.deepEqual(slot.bands, BEFORE, 'the snapshot is the last write to land');
+}
+
+export async function test_write_that_never_settles_is_not_rolled_back(assert) {
+  const slot = fakeSlot({ hang: true });
+  let error = null;
+  try { await run(slot, { timeoutMs: 20 }); } catch (e) { error = e; }
+  assert.equal(error?.cause?.code, 'TIMEOUT');
+  assert.equal(error.transaction.rolledBack, false);
+  assert.equal(error.transaction.rollbackError?.code, 'TIMEOUT', 'says why it was not rolled back');
+  assert.equal(slot.restores, 0, 'never restores over a write still running');
+}
+
+export async function test_failed_rollback_is_reported(assert) {
+  const slot = fakeSlot({ failAfter: 0 });
+  slot.restore = async () => { throw new Error('still unplugged'); };
+  let error = null;
+  try { await run(slot); } catch (e) { error = e; }
+  assert.equal(error.transaction.rolledBack, false);
+  assert.equal(error.transaction.rollbackError?.message, 'still unplugged');
+}
+
+export async function test_unusable_snapshot_is_retried_then_skipped(assert) {
+  const dropped = { filters: [BEFORE[0], undefined, BEFORE[2]], globalGain: 0 };
+  const retried = fakeSlot({ readResults: [dropped] });
+  await run(retried);
+  assert.equal(retried.reads, 2, 'a snapshot with a dropped band is read again');
+
+  const slot = fakeSlot({ failAfter: 1, readResults: [dropped, dropped] });
+  let error = null;
+  try { await run(slot); } catch (e) { error = e; }
+  assert.equal(error.transaction.snapshot, false, 'no usable snapshot');
+  assert.equal(error.transaction.rolledBack, false);
+  assert.equal(slot.restores, 0, 'never restores a partial snapshot');
+  assert.deepEqual(error.transaction.affectedBands, [0, 1, 2]);
+}
+
+export async function test_write_only_device_skips_snapshot(assert) {
+  const slot = fakeSlot();
+  await run(slot, { supportsRead: false });
+  assert.equal(slot.reads, 0);
+}
+
+export async function test_hid_connector_rolls_back_failed_push(assert) {
+  const rawDevice = { vendorId: 0x1234, productId: 0x5678, opened: true, collections: [] };
+  const origGranted = navigator.hid.getDevices;
+  navigator.hid.getDevices = async () => [rawDevice];
+  const slot = fakeSlot({ failAfter: 2 });
+  let calls = 0;
+  const device = {
+    rawDevice,
+    model: 'Flaky DSP',
+    modelConfig: { maxFilters: 3, supportsLSFilter: true, supportsHSFilter: true },
+    handler: {
+      pullFromDevice: () => slot.read(),
+      // First call is the push, the second the rollback
+      pushToDevice: async (_d, _phone, _slot, gain, filters) => {
+        if (calls++ === 0) return slot.write(filters);
+        await slot.restore({ filters, globalGain: gain });
+        return false;
+      }
+    }
+  };
+  try {
+    const connector = await UsbHIDConnector;
+    let error = null;
+    try { await connector.pushToDevice(device, null, 2, 0, AFTER.map(f => ({ ...f }))); } catch (e) { error = e; }
+    assert.equal(error?.code, 'PUSH_FAILED', 'connector should surface the transaction error');
+    assert.equal(error.transaction.rolledBack, true);
+    assert.deepEqual(slot.bands, BEFORE, 'device left as it was before the push');
+  } finally {
+    navigator.hid.getDevices = origGranted;
+  }
+}
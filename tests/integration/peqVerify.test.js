@@ -0,0 +1,182 @@
+/**
+ * Read-back verification tests (peqVerify.js)
+ *
+ * verifyPush() re-pulls a slot after a push and compares every band with what
+ * was written. These tests drive it with an in-memory "device" so that:
+ *   1. expectedAfterWrite() mirrors connector fitting/clamping and compensation
+ *   2. values within tolerance match; out-of-tolerance fields are reported
+ *   3. a dropped read is recovered by re-reading, without a rewrite
+ *   4. a bad write is rewritten, and a persistent mismatch is reported
+ *   5. a fixed-band model is checked against the grid gains it was written
+ */
+
+import {
+  DEFAULT_VERIFY_TOLERANCE, resolveVerifyTolerance,
+  expectedAfterWrite, compareBand, compareFilters, verifyPush
+} from '../../devicePEQ/peqVerify.js';
+import { fitGraphicEq } from '../../devicePEQ/peqGraphicEq.js';
+
+const CONSTRAINTS = {
+  maxFilters: 5, minGain: -12, maxGain: 12, minQ: 0.1, maxQ: 10,
+  supportsLSFilter: true, supportsHSFilter: false, supportsRead: true
+};
+
+const FILTERS = [
+  { type: 'PK',  freq: 100,  q: 1.0, gain: -3 },
+  { type: 'PK',  freq: 1000, q: 2.0, gain: 4 },
+  { type: 'LSQ', freq: 80,   q: 0.7, gain: 2 }
+];
+
+const flat = { type: 'PK', freq: 1000, q: 1, gain: 0 };
+
+// Stores whatever is pushed. readFaults[n] (if set) mangles the nth pull.
+function fakeDevice({ stored = null, readFaults = [], writeFault = null } = {}) {
+  const dev = { pulls: 0, pushes: 0, stored };
+  dev.push = async (filters) => {
+    dev.pushes++;
+    const written = filters.map(f => ({ ...f }));
+    dev.stored = writeFault ? writeFault(written, dev.pushes) : written;
+    while (dev.stored.length < CONSTRAINTS.maxFilters) dev.stored.push({ ...flat });
+    return false;
+  };
+  dev.pull = async () => {
+    const fault = readFaults[dev.pulls++];
+    const filters = dev.stored.map(f => ({ ...f }));
+    return { filters: fault ? fault(filters) : filters };
+  };
+  return dev;
+}
+
+export function test_expectedAfterWrite_fits_and_approximates_unsupported(assert) {
+  const many = [
+    ...FILTERS,
+    { type: 'PK', freq: 2000, q: 1, gain: 1, disabled: true },
+    { type: 'PK', freq: 3000, q: 1, gain: 20 },
+    { type: 'PK', freq: 4000, q: 1, gain: 1 },
+    { type: 'HSQ', freq: 8000, q: 0.7, gain: 3 }
+  ];
+  const expected = expectedAfterWrite(many, CONSTRAINTS, {});
+  assert.equal(expected.length, 5, 'fitted into maxFilters');
+  assert.ok(expected.every(f => f.gain <= 12), 'gain clamped to maxGain');
+  assert.ok(expected.every(f => f.type !== 'HSQ'), 'no unsupported type left');
+  assert.ok(expected.every(f => f.freq !== 2000), 'disabled band dropped before enabled ones');
+
+  const shelves = expectedAfterWrite([{ type: 'HSQ', freq: 8000, q: 0.7, gain: 3 }], CONSTRAINTS, {});
+  assert.equal(shelves.length, 2, 'unsupported HS takes a spare band');
+  assert.ok(shelves.every(f => f.type === 'PK' && f.gain > 0), 'unsupported HS becomes boosting peaks');
+  assert.equal(expectedAfterWrite([{ type: 'HSQ', freq: 8000, q: 0.7, gain: 0 }], CONSTRAINTS, {})[0].gain, 0,
+    'a flat unsupported HS stays a flat PK');
+}
+
+export function test_expectedAfterWrite_round_trips_q_compensation(assert) {
+  // rbjGain at 24 dB needs Q*4 sent; maxQ 10 clamps it, so Q 10 cannot be realised.
+  const modelConfig = { qCompensation: { model: 'rbjGain' }, minQ: 0.1, maxQ: 10 };
+  const [band] = expectedAfterWrite([{ type: 'PK', freq: 1000, q: 10, gain: 12 }],
+    { ...CONSTRAINTS, maxGain: 24 }, modelConfig);
+  assert.ok(band.q < 10, `expected the realisable Q, got ${band.q}`);
+}
+
+export function test_compareBand_tolerances(assert) {
+  const want = { type: 'PK', freq: 1000, q: 2, gain: 4 };
+  assert.deepEqual(compareBand(want, { type: 'PK', freq: 1010, q: 2.04, gain: 4.1 }), [],
+    'within default tolerance');
+  assert.deepEqual(compareBand(want, { type: 'PK', freq: 1100, q: 2, gain: 4.5 }), ['gain', 'freq']);
+  assert.deepEqual(compareBand(want, undefined), ['missing']);
+  assert.deepEqual(compareBand({ ...flat, freq: 100 }, { ...flat, freq: 9000, q: 5 }), [],
+    'flat band: only gain matters');
+}
+
+export function test_resolveVerifyTolerance_profile_overrides_defaults(assert) {
+  const tol = resolveVerifyTolerance({ verifyTolerance: { gainDb: 0.5 } }, { verifyTolerance: { freqHz: 3 } });
+  assert.equal(tol.gainDb, 0.5, 'profile value wins');
+  assert.equal(tol.freqHz, 3, 'modelConfig value used when profile has none');
+  assert.equal(tol.qRatio, DEFAULT_VERIFY_TOLERANCE.qRatio, 'defaults fill the rest');
+}
+
+export function test_compareFilters_requires_padding_to_be_flat(assert) {
+  const expected = expectedAfterWrite(FILTERS.slice(0, 1), CONSTRAINTS, {});
+  const mismatches = compareFilters(expected, [FILTERS[0], flat, { ...flat, gain: 3 }]);
+  assert.equal(mismatches.length, 1);
+  assert.equal(mismatches[0].index, 2, 'non-flat padding band reported');
+  assert.equal(mismatches[0].expected, null);
+}
+
+export async function test_verifyPush_clean_first_read(assert) {
+  const dev = fakeDevice();
+  await dev.push(FILTERS);
+  const result = await verifyPush({ filters: FILTERS, slot: 1, pull: dev.pull, push: dev.push,
+    peqConstraints: CONSTRAINTS, modelConfig: {} });
+  assert.equal(result.verified, true);
+  assert.equal(result.attempts, 1);
+  assert.equal(result.rewrites, 0);
+  assert.equal(dev.pulls, 1, 'one read-back only');
+}
+
+export async function test_verifyPush_dropped_read_recovers_by_rereading(assert) {
+  const dev = fakeDevice({ readFaults: [filters => { filters[1] = { ...flat }; return filters; }] });
+  await dev.push(FILTERS);
+  const result = await verifyPush({ filters: FILTERS, slot: 1, pull: dev.pull, push: dev.push,
+    peqConstraints: CONSTRAINTS, modelConfig: {} });
+  assert.equal(result.verified, true, 'second read is clean');
+  assert.equal(result.attempts, 2);
+  assert.equal(result.rewrites, 0, 'a read fault should not trigger a rewrite');
+  assert.equal(dev.pushes, 1);
+}
+
+export async function test_verifyPush_bad_write_is_rewritten(assert) {
+  const dev = fakeDevice({
+    writeFault: (filters, n) => { if (n === 1) filters[0].gain = 0; return filters; }
+  });
+  await dev.push(FILTERS);
+  const result = await verifyPush({ filters: FILTERS, slot: 1, pull: dev.pull, push: dev.push,
+    peqConstraints: CONSTRAINTS, modelConfig: {} });
+  assert.equal(result.verified, true, 'rewrite fixes the band');
+  assert.equal(result.rewrites, 1);
+  assert.equal(dev.pushes, 2);
+}
+
+export async function test_verifyPush_rewrite_names_the_mismatching_bands(assert) {
+  const dev = fakeDevice({
+    writeFault: (filters, n) => { if (n === 1) filters[2].gain = 0; return filters; }
+  });
+  const rewritten = [];
+  await dev.push(FILTERS);
+  await verifyPush({ filters: FILTERS, slot: 1, pull: dev.pull,
+    push: (filters, bands) => { rewritten.push(bands); return dev.push(filters); },
+    peqConstraints: CONSTRAINTS, modelConfig: {} });
+  assert.deepEqual(rewritten, [[2]], 'only the band that did not match');
+}
+
+export async function test_verifyPush_persistent_mismatch_is_reported(assert) {
+  const dev = fakeDevice({ writeFault: filters => { filters[1].freq = 1500; return filters; } });
+  await dev.push(FILTERS);
+  const result = await verifyPush({ filters: FILTERS, slot: 1, pull: dev.pull, push: dev.push,
+    peqConstraints: CONSTRAINTS, modelConfig: {}, retries: 2 });
+  assert.equal(result.verified, false);
+  assert.equal(result.attempts, 3, 'first read plus two retries');
+  assert.equal(result.rewrites, 2);
+  assert.deepEqual(result.mismatches.map(m => m.index), [1]);
+  assert.deepEqual(result.mismatches[0].fields, ['freq']);
+}
+
+// The FreeDSP grid: the connector writes one PK gain per band, which is all
+// the device reads back.
+const FREEDSP_CONSTRAINTS = { maxFilters: 9, minGain: -12, maxGain: 12, minQ: 0.1, maxQ: 10, supportsRead: true };
+const FREEDSP_CONFIG = { graphicEq: { freqs: [31, 62, 125, 250, 500, 1000, 2000, 4000, 8000], q: 1.0 } };
+
+export function test_expectedAfterWrite_fits_a_graphic_eq(assert) {
+  const expected = expectedAfterWrite(FILTERS, FREEDSP_CONSTRAINTS, FREEDSP_CONFIG);
+  const written = fitGraphicEq(FILTERS, { ...FREEDSP_CONSTRAINTS, ...FREEDSP_CONFIG }).filters;
+  assert.deepEqual(expected.map(f => f.freq), FREEDSP_CONFIG.graphicEq.freqs, 'one band per grid frequency');
+  assert.deepEqual(expected.map(f => f.gain), written.map(f => f.gain), 'the gains the connector writes');
+}
+
+export async function test_verifyPush_graphic_eq_reads_back_clean(assert) {
+  const stored = fitGraphicEq(FILTERS, { ...FREEDSP_CONSTRAINTS, ...FREEDSP_CONFIG }).filters;
+  const dev = fakeDevice({ stored });
+  const result = await verifyPush({ filters: FILTERS, slot: 0, pull: dev.pull, push: dev.push,
+    peqConstraints: FREEDSP_CONSTRAINTS, modelConfig: FREEDSP_CONFIG });
+  assert.equal(result.verified, true, JSON.stringify(result.mismatches));
+  assert.equal(result.rewrites, 0, 'the grid is not mistaken for a bad write');
+  assert.equal(dev.pushes, 0);
+}
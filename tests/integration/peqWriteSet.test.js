@@ -0,0 +1,150 @@
+/**
+ * Incremental push tests (peqWriteSet.js + UsbHIDConnector.pushToDevice)
+ *
+ * The HID connector records what it last wrote to each slot and hands
+ * handlers that set `supportsBandWrites` only the bands that changed:
+ *   1. diffFilters / planWrite produce the minimal write set
+ *   2. the first push, a band-count change, `full: true`, a slot switch and a
+ *      failed write all fall back to a full rewrite
+ *   3. a push with nothing changed is skipped entirely
+ *   4. `bands` (a verify retry) rewrites just those bands, or everything
+ *      for a handler without band writes
+ */
+
+import { bandsEqual, diffFilters, planWrite, recordWrite, forgetWrites }
+  from '../../devicePEQ/peqWriteSet.js';
+import { UsbHIDConnector } from '../../devicePEQ/usbHidConnector.js';
+
+const BANDS = [
+  { type: 'PK',  freq: 100,  q: 1.0, gain: -3 },
+  { type: 'PK',  freq: 1000, q: 2.0, gain: 4 },
+  { type: 'LSQ', freq: 80,   q: 0.7, gain: 2 }
+];
+
+const copy = (filters) => filters.map(f => ({ ...f }));
+
+// A HID device the connector believes is granted, plus a handler that records
+// the write set it was given on each push.
+async function withRecordingDevice(fn, { supportsBandWrites = true } = {}) {
+  const rawDevice = { vendorId: 0x1234, productId: 0x5678, opened: true, collections: [] };
+  const origGranted = navigator.hid.getDevices;
+  navigator.hid.getDevices = async () => [rawDevice];
+  const writes = [];
+  const device = {
+    rawDevice,
+    model: 'Recording DSP',
+    modelConfig: { maxFilters: 3, supportsLSFilter: true, supportsHSFilter: true },
+    handler: {
+      supportsBandWrites,
+      pushToDevice: async (_d, _phone, slot, preamp, filters, writeSet = null) => {
+        writes.push({ slot, preamp, count: filters.length, writeSet });
+        return false;
+      },
+      enablePEQ: async () => {}
+    }
+  };
+  try {
+    await fn(await UsbHIDConnector, device, writes);
+  } finally {
+    navigator.hid.getDevices = origGranted;
+  }
+}
+
+export function test_bandsEqual_treats_disabled_bands_as_equal(assert) {
+  assert.ok(bandsEqual(BANDS[0], { ...BANDS[0] }));
+  assert.ok(!bandsEqual(BANDS[0], { ...BANDS[0], gain: -2.9 }));
+  assert.ok(bandsEqual({ ...BANDS[0], disabled: true }, { ...BANDS[1], disabled: true }),
+    'two disabled bands both write flat');
+  assert.ok(!bandsEqual(BANDS[0], { ...BANDS[0], disabled: true }));
+}
+
+export function test_diffFilters_lists_changed_indices(assert) {
+  const next = copy(BANDS);
+  next[2].freq = 90;
+  assert.deepEqual(diffFilters(BANDS, next), [2]);
+  assert.deepEqual(diffFilters(BANDS, copy(BANDS)), []);
+  assert.equal(diffFilters(BANDS, BANDS.slice(0, 2)), null, 'band count change cannot be diffed');
+  assert.equal(diffFilters(undefined, BANDS), null);
+}
+
+export function test_planWrite_needs_handler_support_and_a_record(assert) {
+  const device = { handler: { supportsBandWrites: true } };
+  assert.equal(planWrite(device, 1, BANDS, 0), null, 'nothing recorded yet');
+
+  recordWrite(device, 1, BANDS, 0);
+  const next = copy(BANDS);
+  next[0].gain = -4;
+  assert.deepEqual(planWrite(device, 1, next, -1), { bands: [0], globalGain: true });
+  assert.equal(planWrite(device, 2, next, 0), null, 'other slot has no record');
+
+  forgetWrites(device, 1);
+  assert.equal(planWrite(device, 1, next, 0), null, 'forgotten slot needs a full write');
+
+  recordWrite(device, 1, BANDS, 0);
+  device.handler.supportsBandWrites = false;
+  assert.equal(planWrite(device, 1, next, 0), null, 'handler without support gets a full write');
+}
+
+export async function test_connector_writes_only_changed_bands(assert) {
+  await withRecordingDevice(async (connector, device, writes) => {
+    await connector.pushToDevice(device, null, 1, 0, copy(BANDS));
+    assert.equal(writes[0].writeSet, null, 'first push is a full write');
+
+    await connector.pushToDevice(device, null, 1, 0, copy(BANDS));
+    assert.equal(writes.length, 1, 'unchanged push should not reach the handler');
+
+    const next = copy(BANDS);
+    next[1].q = 2.5;
+    await connector.pushToDevice(device, null, 1, 0, next);
+    assert.deepEqual(writes[1].writeSet, { bands: [1], globalGain: false });
+    assert.equal(writes[1].count, 3, 'handler still receives every band for context');
+
+    await connector.pushToDevice(device, null, 1, -2, next);
+    assert.deepEqual(writes[2].writeSet, { bands: [], globalGain: true }, 'only the gain changed');
+
+    await connector.pushToDevice(device, null, 1, -2, next, { full: true });
+    assert.equal(writes[3].writeSet, null, 'full: true forces a full write');
+  });
+}
+
+export async function test_connector_rewrites_the_bands_named(assert) {
+  await withRecordingDevice(async (connector, device, writes) => {
+    await connector.pushToDevice(device, null, 1, 0, copy(BANDS));
+    await connector.pushToDevice(device, null, 1, 0, copy(BANDS), { bands: [2] });
+    assert.deepEqual(writes[1].writeSet, { bands: [2], globalGain: false },
+      'unchanged since the last push, but named, so written');
+  });
+  await withRecordingDevice(async (connector, device, writes) => {
+    await connector.pushToDevice(device, null, 1, 0, copy(BANDS));
+    await connector.pushToDevice(device, null, 1, 0, copy(BANDS), { bands: [2] });
+    assert.equal(writes[1].writeSet, null, 'without band writes the slot is rewritten');
+  }, { supportsBandWrites: false });
+}
+
+export async function test_connector_falls_back_to_full_write(assert) {
+  await withRecordingDevice(async (connector, device, writes) => {
+    await connector.pushToDevice(device, null, 1, 0, copy(BANDS));
+
+    await connector.enablePEQ(device, true, 2);
+    await connector.pushToDevice(device, null, 1, 0, copy(BANDS));
+    assert.equal(writes[1].writeSet, null, 'slot switch forgets earlier writes');
+
+    await connector.pushToDevice(device, null, 1, 0, copy(BANDS).slice(0, 2));
+    assert.equal(writes[2].writeSet, null, 'band count change rewrites everything');
+
+    device.handler.pushToDevice = async () => { throw new Error('write failed'); };
+    let threw = false;
+    try { await connector.pushToDevice(device, null, 1, 0, copy(BANDS)); } catch (_) { threw = true; }
+    assert.ok(threw, 'handler error should propagate');
+    assert.ok(!device.lastWritten.has(1), 'failed write forgets the slot');
+  });
+}
+
+export async function test_connector_always_full_for_handlers_without_support(assert) {
+  await withRecordingDevice(async (connector, device, writes) => {
+    await connector.pushToDevice(device, null, 1, 0, copy(BANDS));
+    await connector.pushToDevice(device, null, 1, 0, copy(BANDS));
+    assert.equal(writes.length, 2, 'every push reaches the handler');
+    assert.ok(writes.every(w => w.writeSet === null), 'always a full write');
+  }, { supportsBandWrites: false });
+}
@@ -0,0 +1,110 @@
+/**
+ * Settings store tests (settingsStore.js)
+ *
+ * Plugins keep their settings in IndexedDB (or localStorage) by namespace:
+ *   1. values round-trip, and a namespace is loaded once per page
+ *   2. version 1 migrates the cookies and localStorage keys it takes, then
+ *      removes them
+ *   3. a stored older version runs only the migrations after it
+ */
+
+import { openSettings } from '../../devicePEQ/settingsStore.js';
+
+// Each run uses fresh namespaces: a namespace is only loaded once per page.
+const RUN = Date.now().toString(36);
+
+function idbRequest(fn) {
+  return new Promise((resolve, reject) => {
+    const open = indexedDB.open('pragmaticAudioSettings', 1);
+    open.onerror = () => reject(open.error);
+    open.onsuccess = () => {
+      const tx = open.result.transaction('namespaces', 'readwrite');
+      const req = fn(tx.objectStore('namespaces'));
+      tx.oncomplete = () => resolve(req.result);
+      tx.onerror = () => reject(tx.error);
+    };
+  });
+}
+
+// The record as stored, read around the store under test.
+async function storedRecord(backend, namespace) {
+  if (backend === 'indexedDB') return (await idbRequest(s => s.get(namespace))) ?? null;
+  return JSON.parse(localStorage.getItem('pragmaticAudio.settings.' + namespace) || 'null');
+}
+
+async function storeRecord(backend, namespace, record) {
+  if (backend === 'indexedDB') return idbRequest(s => s.put(record, namespace));
+  localStorage.setItem('pragmaticAudio.settings.' + namespace, JSON.stringify(record));
+}
+
+export async function test_values_round_trip(assert) {
+  const namespace = `test.roundTrip.${RUN}`;
+  const settings = await openSettings(namespace);
+  assert.ok(['indexedDB', 'localStorage'].includes(settings.backend), `stored in ${settings.backend}`);
+  assert.equal(settings.get('missing', 'fallback'), 'fallback');
+
+  await settings.set('device', { ipAddress: '192.168.1.20', deviceType: 'WiiM' });
+  await settings.set('advanced', false);
+  assert.deepEqual(settings.get('device'), { ipAddress: '192.168.1.20', deviceType: 'WiiM' });
+  assert.equal(settings.get('advanced', true), false, 'a stored false is not the fallback');
+  assert.equal(await openSettings(namespace), settings, 'the same store on a second open');
+
+  await settings.remove('advanced');
+  assert.deepEqual(await storedRecord(settings.backend, namespace),
+    { version: 1, values: { device: { ipAddress: '192.168.1.20', deviceType: 'WiiM' } } });
+}
+
+export async function test_legacy_cookies_are_migrated(assert) {
+  const namespace = `test.cookies.${RUN}`;
+  const prefix = `test_pick_${RUN}_`;
+  document.cookie = `testIp${RUN}=192.168.1.9; path=/`;
+  document.cookie = `${prefix}uuid_a=${encodeURIComponent('FiiO – BTR17')}; path=/`;
+  document.cookie = `${prefix}uuid_b=Qudelix; path=/`;
+  localStorage.setItem(`testAdvanced.${RUN}`, 'true');
+
+  const settings = await openSettings(namespace, {
+    version: 1,
+    migrations: {
+      1: (values, legacy) => {
+        values.ip = legacy.takeCookie(`testIp${RUN}`);
+        values.picks = legacy.takeCookies(prefix);
+        values.advanced = legacy.takeLocal(`testAdvanced.${RUN}`) === 'true';
+        values.never = legacy.takeCookie(`testNever${RUN}`);
+      },
+    },
+  });
+  assert.deepEqual(settings.all(), {
+    ip: '192.168.1.9',
+    picks: { uuid_a: 'FiiO – BTR17', uuid_b: 'Qudelix' },
+    advanced: true,
+  }, 'decoded, and absent ones are not stored');
+  assert.ok(!document.cookie.includes(`testIp${RUN}`) && !document.cookie.includes(prefix),
+    'the migrated cookies are removed');
+  assert.equal(localStorage.getItem(`testAdvanced.${RUN}`), null);
+  assert.equal((await storedRecord(settings.backend, namespace))?.version, 1);
+}
+
+export async function test_newer_versions_migrate_stored_values(assert) {
+  const probe = await openSettings(`test.probe.${RUN}`);
+  const namespace = `test.versions.${RUN}`;
+  await storeRecord(probe.backend, namespace, { version: 1, values: { range: '4000,16000' } });
+  document.cookie = `testStale${RUN}=1; path=/`;
+
+  const ran = [];
+  const settings = await openSettings(namespace, {
+    version: 2,
+    migrations: {
+      1: (values, legacy) => { ran.push(1); values.stale = legacy.takeCookie(`testStale${RUN}`); },
+      2: (values) => {
+        ran.push(2);
+        const [start, end] = values.range.split(',').map(Number);
+        values.range = { start, end };
+      },
+    },
+  });
+  assert.deepEqual(ran, [2], 'only the migrations after the stored version');
+  assert.deepEqual(settings.get('range'), { start: 4000, end: 16000 });
+  assert.deepEqual(await storedRecord(probe.backend, namespace),
+    { version: 2, values: { range: { start: 4000, end: 16000 } } });
+  document.cookie = `testStale${RUN}=; path=/; expires=Thu, 01 Jan 1970 00:00:00 UTC`;
+}
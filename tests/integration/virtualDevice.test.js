@@ -0,0 +1,204 @@
+/**
+ * Virtual device tests (virtualDevice.js + virtualDeviceConnector.js)
+ *
+ * The 'virtual' connection type opens any configured model without hardware:
+ *   1. every model in the USB HID, serial and BLE configs is offered
+ *   2. WalkPlay, KT Micro and FiiO USB models, and every serial and BLE
+ *      model, run their real handler against a register emulator: what a
+ *      push writes, a pull reads back
+ *   3. the BLE emulators answer a read with the bytes the captured device did
+ *   4. other models keep slots in memory, stored within the model's limits
+ *   5. a session connects to one like any other transport, and its state
+ *      survives a disconnect
+ */
+
+import { VirtualDeviceConnector } from '../../devicePEQ/virtualDeviceConnector.js';
+import { createDevicePeqSession } from '../../devicePEQ/devicePeqSession.js';
+import { loadBleCapture } from '../MockBLEDevice.js';
+
+const FILTERS = [
+  { type: 'PK', freq: 1000, q: 1, gain: 3 },
+  { type: 'PK', freq: 3000, q: 2, gain: -2 },
+];
+
+// Connects, runs `fn(device)` and always disconnects.
+async function withVirtual(modelId, fn) {
+  const device = await VirtualDeviceConnector.getDeviceConnected(modelId);
+  try {
+    return await fn(device);
+  } finally {
+    await VirtualDeviceConnector.disconnectDevice(device);
+  }
+}
+
+const enabled = (filters) => filters.filter(f => f && !f.disabled && f.gain !== 0)
+  .map(({ type, freq, q, gain }) => ({ type, freq, q, gain }));
+
+export async function test_lists_configured_models(assert) {
+  const models = VirtualDeviceConnector.listModels();
+  assert.equal(new Set(models.map(m => m.id)).size, models.length, 'ids are unique');
+  for (const transport of ['usb', 'serial', 'ble']) {
+    assert.ok(models.some(m => m.transport === transport), `${transport} models are offered`);
+  }
+  const ka17 = models.find(m => m.id === 'usb/FiiO/FIIO KA17');
+  assert.equal(ka17?.emulation, 'register');
+  assert.equal(models.find(m => m.id === 'serial/JDS Labs/Element IV')?.emulation, 'register');
+  assert.equal(models.find(m => m.id === 'ble/Audeze/Audeze Maxwell')?.emulation, 'register');
+  assert.equal(models.find(m => m.id === 'usb/Moondrop/Rays')?.emulation, 'profile');
+  assert.deepEqual(await VirtualDeviceConnector.getDeviceConnected(undefined), { cancelled: true });
+  assert.deepEqual(await VirtualDeviceConnector.getDeviceConnected('usb/Nobody/Nothing'), { unsupported: true });
+}
+
+export async function test_walkplay_round_trip(assert) {
+  await withVirtual('usb/CrinEar/Protocol Max', async (device) => {
+    assert.equal(device.virtual, true);
+    assert.equal(device.emulation, 'register');
+    assert.equal(await VirtualDeviceConnector.getCurrentSlot(device), 101, 'starts on the first slot');
+
+    const fresh = await VirtualDeviceConnector.pullFromDevice(device, 101);
+    assert.equal(fresh.filters.length, device.modelConfig.maxFilters, 'one band per filter the model has');
+    assert.deepEqual(enabled(fresh.filters), [], 'flat until something is pushed');
+
+    await VirtualDeviceConnector.pushToDevice(device, null, 101, 0, FILTERS);
+    assert.ok(device.rawDevice.wasSent([0x01, 0x09, 0x18, 0x00, 0x01]), 'the handler wrote band 2 itself');
+    const { filters } = await VirtualDeviceConnector.pullFromDevice(device, 101);
+    assert.deepEqual(enabled(filters), FILTERS, 'the pull reads back what was pushed');
+  });
+}
+
+export async function test_walkplay_extras_read_back(assert) {
+  await withVirtual('usb/CrinEar/Protocol Max', async (device) => {
+    assert.ok(device.extras.dacFilter.supported && device.extras.micGain.supported);
+    await device.extras.dacFilter.set('SLOW-PC');
+    assert.equal(await device.extras.dacFilter.get(), 'SLOW-PC');
+    await device.extras.micGain.set(-6);
+    assert.equal(await device.extras.micGain.get(), -6, 'mic gain reads back in its own layout');
+  });
+}
+
+export async function test_ktmicro_slot_and_round_trip(assert) {
+  await withVirtual('usb/TANCHJIM/TANCHJIM-ONE DSP', async (device) => {
+    const slot = device.modelConfig.availableSlots[0].id;
+    assert.equal(await VirtualDeviceConnector.getCurrentSlot(device), slot);
+    await VirtualDeviceConnector.pushToDevice(device, null, slot, 0, FILTERS);
+    const { filters } = await VirtualDeviceConnector.pullFromDevice(device, slot);
+    assert.deepEqual(enabled(filters), FILTERS, 'registers hold the pushed bands');
+  });
+}
+
+export async function test_fiio_round_trip(assert) {
+  await withVirtual('usb/FiiO/FIIO KA17', async (device) => {
+    await VirtualDeviceConnector.pushToDevice(device, null, 0, -3, FILTERS);
+    const { filters, globalGain } = await VirtualDeviceConnector.pullFromDevice(device, 0);
+    // The KA17 compensates Q on write and undoes it on read; the stored value
+    // is in hundredths, so the round trip lands within that.
+    const rounded = enabled(filters).map(f => ({ ...f, q: Math.round(f.q * 100) / 100 }));
+    assert.deepEqual(rounded, FILTERS);
+    assert.equal(globalGain, -3, 'global gain is read back too');
+  });
+}
+
+export async function test_serial_models_run_their_handler(assert) {
+  const models = [
+    'serial/JDS Labs/Element IV',
+    'serial/Nothing/Nothing Headphones',
+    'serial/FiiO/FiiO Audio DSP',
+    'serial/FiiO/FiiO EH11',
+    'serial/Tanchjim/Tanchjim Rita',
+    'serial/Moondrop/Moondrop Edge',
+  ];
+  for (const modelId of models) {
+    await withVirtual(modelId, async (device) => {
+      assert.equal(device.emulation, 'register', modelId);
+      assert.ok(device.readable && device.writable, `${modelId} gets the connector's read()/write() shims`);
+      const slot = await VirtualDeviceConnector.getCurrentSlot(device);
+      device.rawDevice.resetHistory();
+      await VirtualDeviceConnector.pushToDevice(device, null, slot, 0, FILTERS);
+      assert.ok(device.rawDevice.sendCount > 0, `${modelId}: the handler wrote to the port itself`);
+      const { filters } = await VirtualDeviceConnector.pullFromDevice(device, slot);
+      assert.deepEqual(enabled(filters), FILTERS, `${modelId} reads back what was pushed`);
+    });
+  }
+}
+
+export async function test_write_only_serial_models_take_a_push(assert) {
+  await withVirtual('serial/Edifier/Edifier W830NB', async (device) => {
+    await VirtualDeviceConnector.pushToDevice(device, null, 0, 0, FILTERS);
+    assert.ok(device.rawDevice.sendCount > 0, 'the packets reach the port');
+    assert.equal(device.rawDevice.unmatchedCount, 0);
+  });
+}
+
+export async function test_ble_models_run_their_handler(assert) {
+  for (const modelId of ['ble/FiiO/FIIO EH13', 'ble/Audeze/Audeze Maxwell']) {
+    await withVirtual(modelId, async (device) => {
+      assert.equal(device.emulation, 'register', modelId);
+      await VirtualDeviceConnector.pushToDevice(device, null, 0, 0, FILTERS);
+      assert.ok(device.rawDevice.sendCount > 0, `${modelId}: the handler wrote to the characteristic itself`);
+      const { filters } = await VirtualDeviceConnector.pullFromDevice(device, 0);
+      assert.deepEqual(enabled(filters), FILTERS, `${modelId} reads back what was pushed`);
+    });
+  }
+}
+
+// Pushes what the captured device reported, then sends the captured read
+// command: the emulator must answer with the captured response.
+export async function test_ble_emulators_answer_as_captured(assert) {
+  const cases = [
+    { modelId: 'ble/FiiO/FIIO EH13', capture: '../captures/fiio_eh13_ble.json', read: 1 },
+    { modelId: 'ble/Audeze/Audeze Maxwell', capture: '../captures/audeze_maxwell_ble.json', read: 0 },
+  ];
+  for (const { modelId, capture, read } of cases) {
+    const recorded = await loadBleCapture(capture);
+    await withVirtual(modelId, async (device) => {
+      const captured = await device.handler.pullFromDevice(
+        { ...device, txChar: recorded.txChar, readNotification: (t) => recorded.readNotification(t) }, 0);
+      await device.handler.pushToDevice(device, null, 0, 0, captured.filters);
+
+      const { send, response } = recorded._exchanges[read];
+      await device.txChar.writeValueWithResponse(new Uint8Array(send.map(b => b ?? 0)));
+      const reply = await device.readNotification(1000);
+      assert.deepEqual(Array.from(reply ?? []), response, `${modelId} answers as the captured device did`);
+    });
+  }
+}
+
+export async function test_profile_emulation_keeps_slots(assert) {
+  await withVirtual('usb/Moondrop/Rays', async (device) => {
+    assert.equal(device.emulation, 'profile');
+    assert.equal(device.rawDevice, null, 'no wire protocol is involved');
+    const { maxGain, maxFilters } = device.modelConfig;
+    const loud = [{ type: 'PK', freq: 1000, q: 1, gain: maxGain + 5 }];
+    await VirtualDeviceConnector.pushToDevice(device, null, '0', 0, loud);
+    const { filters } = await VirtualDeviceConnector.pullFromDevice(device, 0);
+    assert.equal(filters[0].gain, maxGain, 'stored within the model\'s gain limit');
+
+    const many = Array.from({ length: maxFilters + 2 }, (_, i) => ({ type: 'PK', freq: 100 * (i + 1), q: 1, gain: 1 }));
+    await VirtualDeviceConnector.pushToDevice(device, null, 0, 0, many);
+    const after = await VirtualDeviceConnector.pullFromDevice(device, 0);
+    assert.equal(after.filters.length, maxFilters, 'only the bands the model has are kept');
+  });
+}
+
+export async function test_session_connects_to_virtual_device(assert) {
+  const modelId = 'usb/WalkPlay/SchemeNo16';
+  const session = createDevicePeqSession();
+  const state = await session.connect({ connectionType: 'virtual', virtualModel: modelId });
+  try {
+    assert.equal(state.connectionType, 'virtual');
+    assert.equal(state.device.model, 'SchemeNo16');
+    assert.ok(state.slots.length > 0, 'slots come from the model');
+    assert.equal(state.currentSlot, state.slots[0].id);
+    await session.push(FILTERS);
+  } finally {
+    await session.disconnect();
+  }
+
+  await session.connect({ connectionType: 'virtual', virtualModel: modelId });
+  try {
+    const { filters } = await session.pull();
+    assert.deepEqual(enabled(filters), FILTERS, 'the emulator kept what was pushed across a reconnect');
+  } finally {
+    await session.disconnect();
+  }
+}
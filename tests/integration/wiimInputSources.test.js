@@ -0,0 +1,146 @@
+/**
+ * WiiM input source tests (wiimNetworkHandler.js + session.pushToSlots)
+ *
+ * Each WiiM input keeps its own EQ and is one slot (the model's inputSources
+ * in networkDeviceConfig.js):
+ *   1. the slots are the inputs, and push, pull and enable target the slot's
+ *      source_name
+ *   2. each model offers its own inputs; without a model, Wi-Fi only
+ *   3. the current slot is the input last pushed to or selected, unknown
+ *      before that, and turning the EQ off turns it off there
+ *   4. a session saves one EQ to every input with pushToSlots(), and reports
+ *      the inputs that failed without stopping at them
+ */
+
+import { createDevicePeqSession } from '../../devicePEQ/devicePeqSession.js';
+import { NetworkDeviceConnector } from '../../devicePEQ/networkDeviceConnector.js';
+import { loadPeqConstraintsConfig } from '../../devicePEQ/peqConstraints.js';
+import { MockFetch, jsonResponse, opaqueResponse, parseWiimCommandUrl } from '../MockNetwork.js';
+
+const FILTERS = [{ type: 'PK', freq: 1000, q: 1, gain: -2 }];
+const BRIDGE = 'http://127.0.0.1:8787';
+
+// The source_name of each call to `command`, in order.
+function sourcesOf(net, command) {
+  return net.callsMatching(`${command}:`).map(c => parseWiimCommandUrl(c.url).payload?.source_name);
+}
+
+export async function test_slots_are_input_sources(assert) {
+  await loadPeqConstraintsConfig();
+  const net = new MockFetch().install();
+  net.on('EQGetLV2SourceBandEx', () => jsonResponse({
+    status: 'OK', EQBand: [{ param_name: 'a_mode', value: 1 }, { param_name: 'a_freq', value: 250 }],
+  }));
+  net.on('httpapi.asp', () => opaqueResponse());
+  const device = await NetworkDeviceConnector.getDeviceConnected('10.0.0.60', 'WiiM',
+    { proxyUrl: BRIDGE, model: 'WiiM Ultra' });
+  try {
+    const slots = await NetworkDeviceConnector.getAvailableSlots(device);
+    assert.deepEqual(slots.slice(0, 3), [
+      { id: 0, name: 'Wi-Fi', input: 'wifi' },
+      { id: 1, name: 'Bluetooth', input: 'bt' },
+      { id: 2, name: 'Line In', input: 'line_in' },
+    ], 'Wi-Fi stays slot 0');
+    assert.equal(await NetworkDeviceConnector.getCurrentSlot(device), null, 'not known yet');
+
+    await NetworkDeviceConnector.pushToDevice(device, null, 1, 0, FILTERS);
+    assert.equal(await NetworkDeviceConnector.getCurrentSlot(device), 1, 'the input pushed to');
+    assert.deepEqual(sourcesOf(net, 'EQSetLV2SourceBand'), ['bt']);
+    assert.deepEqual(sourcesOf(net, 'EQSourceSave'), ['bt'], 'the preset is named on the same input');
+
+    const pulled = await NetworkDeviceConnector.pullFromDevice(device, 2);
+    assert.equal(pulled.filters[0].freq, 250);
+    await NetworkDeviceConnector.enablePEQ(device, true, 3);
+    assert.deepEqual(sourcesOf(net, 'EQGetLV2SourceBandEx'), ['bt', 'line_in'],
+      'the push snapshot read its own input, the pull the one asked for');
+    assert.deepEqual(sourcesOf(net, 'EQChangeSourceFX'), ['optical']);
+    assert.equal(await NetworkDeviceConnector.getCurrentSlot(device), 3, 'the input selected');
+  } finally {
+    net.restore();
+    await NetworkDeviceConnector.disconnectDevice(device);
+  }
+}
+
+export async function test_models_have_their_own_inputs(assert) {
+  await loadPeqConstraintsConfig();
+  const inputsOf = async (address, model) => {
+    const device = await NetworkDeviceConnector.getDeviceConnected(address, 'WiiM', { model });
+    try {
+      return { model: device.model, inputs: (await NetworkDeviceConnector.getAvailableSlots(device)).map(s => s.input) };
+    } finally {
+      await NetworkDeviceConnector.disconnectDevice(device);
+    }
+  };
+  assert.deepEqual(await inputsOf('10.0.0.62', 'WiiM Mini'),
+    { model: 'WiiM Mini', inputs: ['wifi', 'bt', 'line_in'] });
+  assert.deepEqual(await inputsOf('10.0.0.63', 'WiiM Pro'),
+    { model: 'WiiM Pro', inputs: ['wifi', 'bt', 'line_in', 'optical'] });
+  assert.deepEqual((await inputsOf('10.0.0.64', 'WiiM Ultra')).inputs,
+    ['wifi', 'bt', 'line_in', 'optical', 'coaxial', 'usb', 'hdmi', 'phono']);
+  assert.deepEqual(await inputsOf('10.0.0.65', null), { model: 'WiiM Network Device', inputs: ['wifi'] },
+    'no model: only the input every WiiM has');
+  assert.deepEqual((await inputsOf('10.0.0.66', 'WiiM Nonesuch')).inputs, ['wifi'], 'nor an unknown one');
+}
+
+export async function test_off_turns_off_the_selected_input(assert) {
+  await loadPeqConstraintsConfig();
+  const net = new MockFetch().install();
+  net.on('EQGetLV2SourceBandEx', () => jsonResponse({ status: 'OK', EQBand: [] }));
+  net.on('httpapi.asp', () => jsonResponse({ status: 'OK' }));
+  const device = await NetworkDeviceConnector.getDeviceConnected('10.0.0.67', 'WiiM',
+    { proxyUrl: BRIDGE, model: 'WiiM Pro' });
+  try {
+    const refused = await NetworkDeviceConnector.enablePEQ(device, false, -1).then(() => null, e => e);
+    assert.equal(refused?.type, 'CONSTRAINT_VIOLATION', 'no input selected yet: nothing to guess');
+    assert.deepEqual(sourcesOf(net, 'EQSourceOff'), [], 'and Wi-Fi is not assumed');
+    const unknownSlot = await NetworkDeviceConnector.pullFromDevice(device, '').then(() => null, e => e);
+    assert.equal(unknownSlot?.type, 'CONSTRAINT_VIOLATION', "'' is not slot 0");
+
+    await NetworkDeviceConnector.enablePEQ(device, true, 2);
+    await NetworkDeviceConnector.enablePEQ(device, false, -1);
+    assert.deepEqual(sourcesOf(net, 'EQSourceOff'), ['line_in'], 'off on the input selected');
+
+    await NetworkDeviceConnector.pushToDevice(device, null, 3, 0, FILTERS);
+    await NetworkDeviceConnector.enablePEQ(device, false, -1);
+    assert.deepEqual(sourcesOf(net, 'EQSourceOff'), ['line_in', 'optical'], 'then on the input pushed to');
+    assert.equal(await NetworkDeviceConnector.getCurrentSlot(device), 3);
+  } finally {
+    net.restore();
+    await NetworkDeviceConnector.disconnectDevice(device);
+  }
+}
+
+export async function test_push_to_every_input(assert) {
+  await loadPeqConstraintsConfig();
+  const net = new MockFetch().install();
+  net.on('EQGetLV2SourceBandEx', () => jsonResponse({ status: 'OK', EQBand: [] }));
+  net.on((url) => url.includes('EQSetLV2SourceBand') && parseWiimCommandUrl(url).payload?.source_name === 'hdmi',
+    () => jsonResponse({ status: 'Failed' }));
+  net.on('httpapi.asp', () => jsonResponse({ status: 'OK' }));
+
+  const session = createDevicePeqSession();
+  await session.connect({ connectionType: 'network', address: '10.0.0.61', deviceType: 'WiiM', model: 'WiiM Ultra',
+    proxyUrl: BRIDGE });
+  const pushed = [];
+  session.on('pushed', ({ slot }) => pushed.push(slot));
+  try {
+    const inputs = session.getState().slots;
+    assert.equal(inputs.length, 8, 'one slot per input');
+
+    const results = await session.pushToSlots(FILTERS, { preamp: 0 });
+    assert.deepEqual(results.map(r => r.slot), inputs.map(s => s.id));
+    assert.deepEqual(sourcesOf(net, 'EQSetLV2SourceBand'), inputs.map(s => s.input), 'every input in turn');
+    const failed = results.filter(r => r.error);
+    assert.deepEqual(failed.map(r => r.slot), [inputs.find(s => s.input === 'hdmi').id],
+      'an input the device refuses fails on its own');
+    assert.equal(failed[0].error.code, 'PUSH_FAILED');
+    assert.equal(pushed.length, 7);
+
+    net.calls.length = 0;
+    await session.pushToSlots(FILTERS, { slots: [1, 2] });
+    assert.deepEqual(sourcesOf(net, 'EQSetLV2SourceBand'), ['bt', 'line_in'], 'or just the slots given');
+  } finally {
+    net.restore();
+    await session.disconnect();
+  }
+}
@@ -0,0 +1,289 @@
+#!/usr/bin/env node
+/**
+ * Network bridge tests — runs in Node against fake devices (tests/fakeNetworkDevice.mjs),
+ * no browser or hardware needed:
+ *   1. bridge URLs map to device endpoints, and nothing else
+ *   2. WiiM and Luxsin push and pull back through the bridge (the connector
+ *      with a proxyUrl), so both can be read
+ *   3. answers carry CORS headers; preflight, other paths, origins and
+ *      unreachable devices are answered by the bridge itself, and only
+ *      pragmaticaudio.com may use it unless told otherwise
+ *   4. requests without an allowed Origin or to a foreign Host are refused,
+ *      and only WiiM's certificate goes unchecked
+ *
+ * Usage:
+ *   node tests/networkBridge.test.mjs
+ */
+
+import assert from 'assert/strict';
+import fs from 'fs';
+import http from 'http';
+import { createBridge, bridgeTarget, acceptsSelfSigned, DEFAULT_ALLOWED_ORIGIN } from '../network_bridge/networkBridge.mjs';
+import { startFakeDevice } from './fakeNetworkDevice.mjs';
+import { NetworkDeviceConnector } from '../devicePEQ/networkDeviceConnector.js';
+import { loadPeqConstraintsConfig } from '../devicePEQ/peqConstraints.js';
+
+const FILTERS = [
+  { type: 'PK', freq: 120, q: 1.2, gain: 3.5 },
+  { type: 'LSQ', freq: 80, q: 0.7, gain: -2 },
+  { type: 'HSQ', freq: 9000, q: 0.8, gain: 1.5 },
+];
+
+// The connector runs in the page, and a page's requests to the bridge carry its Origin
+const nodeFetch = globalThis.fetch;
+globalThis.fetch = (url, options = {}) =>
+  nodeFetch(url, { ...options, headers: { Origin: DEFAULT_ALLOWED_ORIGIN, ...options.headers } });
+
+// A raw request, so Host and Origin can be anything (or missing)
+function request(url, headers) {
+  return new Promise((resolve, reject) => {
+    http.get(url, { headers }, (res) => {
+      res.resume();
+      res.on('end', () => resolve(res));
+    }).on('error', reject);
+  });
+}
+
+function listen(server) {
+  return new Promise((resolve) => {
+    server.listen(0, '127.0.0.1', () => resolve(`http://127.0.0.1:${server.address().port}`));
+  });
+}
+
+function close(server) {
+  return new Promise(resolve => server.close(resolve));
+}
+
+const tests = [];
+const test = (name, fn) => tests.push({ name, fn });
+
+test('bridge URLs name a device endpoint', async () => {
+  assert.deepEqual(bridgeTarget('/https/192.168.1.50/httpapi.asp?command=getStatusEx'),
+    { protocol: 'https', host: '192.168.1.50', port: null, path: '/httpapi.asp?command=getStatusEx' });
+  assert.deepEqual(bridgeTarget('/http/[fd00::12]:8080/dev/info.cgi?action=syncData'),
+    { protocol: 'http', host: 'fd00::12', port: 8080, path: '/dev/info.cgi?action=syncData' });
+  for (const url of ['/https/192.168.1.50/', '/https/192.168.1.50/admin.cgi', '/ftp/host/httpapi.asp',
+    '/https/bad_host/httpapi.asp', '/https/host:99999/httpapi.asp', '/httpapi.asp']) {
+    assert.equal(bridgeTarget(url), null, url);
+  }
+});
+
+test('WiiM pushes and pulls back through the bridge', async ({ bridgeUrl }) => {
+  const wiim = await startFakeDevice('wiim');
+  const device = await NetworkDeviceConnector.getDeviceConnected(wiim.address, 'WiiM', { proxyUrl: bridgeUrl });
+  try {
+    assert.equal(device.proxyUrl, bridgeUrl);
+    assert.notEqual(device.modelConfig.supportsRead, false, 'readable through the bridge');
+    await NetworkDeviceConnector.pushToDevice(device, { fileName: 'Bridge test' }, 0, 0, FILTERS);
+    assert.equal(wiim.state.presetName, 'Bridge test');
+    assert.equal(wiim.state.commands[0], 'EQGetLV2SourceBandEx', 'read first, as the rollback snapshot');
+
+    const pulled = await NetworkDeviceConnector.pullFromDevice(device, 0);
+    assert.deepEqual(pulled.filters.slice(0, 3).map(({ type, freq, q, gain }) => ({ type, freq, q, gain })), FILTERS);
+    assert.ok(pulled.filters.slice(3).every(f => f.disabled), 'the rest are off');
+    assert.ok(wiim.state.bands.wifi && !wiim.state.bands.bt, 'slot 0 is the Wi-Fi input');
+
+    await NetworkDeviceConnector.enablePEQ(device, false, 0);
+    assert.equal(wiim.state.EQStat, 'Off');
+    assert.deepEqual(await NetworkDeviceConnector.probeDevice(wiim.address, 'WiiM', { proxyUrl: bridgeUrl })
+      .then(r => r.ok), true);
+  } finally {
+    await NetworkDeviceConnector.disconnectDevice(device);
+    await wiim.close();
+  }
+});
+
+test('WiiM connected directly stays write-only', async () => {
+  const device = await NetworkDeviceConnector.getDeviceConnected('127.0.0.1:9', 'WiiM');
+  try {
+    assert.equal(device.proxyUrl, null);
+    assert.equal(device.modelConfig.supportsRead, false);
+  } finally {
+    await NetworkDeviceConnector.disconnectDevice(device);
+  }
+});
+
+test('Luxsin pushes and pulls back through the bridge', async ({ bridgeUrl }) => {
+  const x9 = await startFakeDevice('luxsin');
+  const device = await NetworkDeviceConnector.getDeviceConnected(x9.address, 'Luxsin', { proxyUrl: bridgeUrl });
+  try {
+    assert.deepEqual((await NetworkDeviceConnector.getAvailableSlots(device)).map(s => s.name),
+      ['Flat', 'Custom', 'New']);
+    // A pull reads the selected profile, whatever the slot
+    await NetworkDeviceConnector.enablePEQ(device, true, 1);
+    assert.equal(x9.state.peqSelect, 1);
+    await NetworkDeviceConnector.pushToDevice(device, null, 1, -4, FILTERS);
+    assert.equal(x9.state.posts.length, 2);
+    assert.equal(x9.state.peq[1].preamp, -4);
+
+    const pulled = await NetworkDeviceConnector.pullFromDevice(device, 1);
+    assert.equal(pulled.globalGain, -4);
+    assert.deepEqual(pulled.filters, FILTERS);
+  } finally {
+    await NetworkDeviceConnector.disconnectDevice(device);
+    await x9.close();
+  }
+});
+
+test('answers carry CORS headers and preflights are answered', async ({ bridgeUrl }) => {
+  const x9 = await startFakeDevice('luxsin');
+  try {
+    const path = `/http/127.0.0.1:${x9.port}/dev/info.cgi`;
+    const answer = await fetch(`${bridgeUrl}${path}?action=syncData`, { headers: { Origin: DEFAULT_ALLOWED_ORIGIN } });
+    assert.equal(answer.status, 200);
+    assert.equal(answer.headers.get('access-control-allow-origin'), 'https://www.pragmaticaudio.com');
+    assert.equal(answer.headers.get('vary'), 'Origin');
+
+    const preflight = await fetch(`${bridgeUrl}${path}`, {
+      method: 'OPTIONS',
+      headers: {
+        Origin: DEFAULT_ALLOWED_ORIGIN,
+        'Access-Control-Request-Method': 'POST',
+        'Access-Control-Request-Private-Network': 'true',
+      },
+    });
+    assert.equal(preflight.status, 204);
+    assert.match(preflight.headers.get('access-control-allow-methods'), /POST/);
+    assert.equal(preflight.headers.get('access-control-allow-private-network'), 'true');
+    assert.equal(x9.state.posts.length, 0, 'a preflight reaches no device');
+
+    const other = await fetch(`${bridgeUrl}/http/127.0.0.1:${x9.port}/admin`);
+    assert.equal(other.status, 403, 'only the device endpoints');
+    const put = await fetch(`${bridgeUrl}${path}`, { method: 'PUT', body: 'x' });
+    assert.equal(put.status, 405);
+  } finally {
+    await x9.close();
+  }
+});
+
+test('requests without an allowed Origin are refused', async ({ bridgeUrl }) => {
+  const wiim = await startFakeDevice('wiim');
+  const url = `${bridgeUrl}/http/127.0.0.1:${wiim.port}/httpapi.asp?command=getStatusEx`;
+  try {
+    assert.equal((await request(url, {})).statusCode, 403, 'curl or a same-origin page after rebinding');
+    assert.equal((await request(url, { Origin: DEFAULT_ALLOWED_ORIGIN })).statusCode, 200);
+    assert.equal(wiim.state.commands.length, 1, 'only the allowed request reached the device');
+  } finally {
+    await wiim.close();
+  }
+});
+
+test('requests to a foreign Host are refused', async ({ bridgeUrl }) => {
+  const wiim = await startFakeDevice('wiim');
+  const { port } = new URL(bridgeUrl);
+  const url = `${bridgeUrl}/http/127.0.0.1:${wiim.port}/httpapi.asp?command=getStatusEx`;
+  try {
+    const rebound = await request(url, { Host: `attacker.example:${port}`, Origin: DEFAULT_ALLOWED_ORIGIN });
+    assert.equal(rebound.statusCode, 403);
+    const otherPort = await request(url, { Host: `localhost:${Number(port) + 1}`, Origin: DEFAULT_ALLOWED_ORIGIN });
+    assert.equal(otherPort.statusCode, 403);
+    assert.equal(wiim.state.commands.length, 0, 'nothing reached the device');
+    for (const host of ['127.0.0.1', 'localhost', 'LOCALHOST']) {
+      assert.equal((await request(url, { Host: `${host}:${port}`, Origin: DEFAULT_ALLOWED_ORIGIN })).statusCode, 200, host);
+    }
+  } finally {
+    await wiim.close();
+  }
+});
+
+test('only WiiM certificates go unchecked', async () => {
+  assert.equal(acceptsSelfSigned(bridgeTarget('/https/192.168.1.50/httpapi.asp?command=getStatusEx')), true);
+  assert.equal(acceptsSelfSigned(bridgeTarget('/https/192.168.1.60/dev/info.cgi')), false, 'Luxsin over HTTPS');
+  assert.equal(acceptsSelfSigned(bridgeTarget('/http/192.168.1.50/httpapi.asp')), false);
+});
+
+test('only pragmaticaudio.com may use the bridge by default', async ({ bridgeUrl }) => {
+  const wiim = await startFakeDevice('wiim');
+  const url = `${bridgeUrl}/http/127.0.0.1:${wiim.port}/httpapi.asp?command=getStatusEx`;
+  try {
+    const other = await fetch(url, { headers: { Origin: 'https://example.com' } });
+    assert.equal(other.status, 403);
+    const preflight = await fetch(url, {
+      method: 'OPTIONS',
+      headers: { Origin: 'https://example.com', 'Access-Control-Request-Method': 'GET' },
+    });
+    assert.equal(preflight.status, 403);
+    assert.equal(preflight.headers.get('access-control-allow-origin'), null);
+  } finally {
+    await wiim.close();
+  }
+});
+
+test('any origin may use the bridge only when allowed with *', async () => {
+  const wiim = await startFakeDevice('wiim');
+  const bridge = createBridge({ allowOrigin: '*' });
+  const url = `${await listen(bridge)}/http/127.0.0.1:${wiim.port}/httpapi.asp?command=getStatusEx`;
+  try {
+    const answer = await fetch(url, { headers: { Origin: 'https://example.com' } });
+    assert.equal(answer.status, 200);
+    assert.equal(answer.headers.get('access-control-allow-origin'), '*');
+  } finally {
+    await close(bridge);
+    await wiim.close();
+  }
+});
+
+test('only the allowed origins may use a restricted bridge', async () => {
+  const wiim = await startFakeDevice('wiim');
+  const bridge = createBridge({ allowOrigin: ['https://www.pragmaticaudio.com'] });
+  const url = `${await listen(bridge)}/http/127.0.0.1:${wiim.port}/httpapi.asp?command=getStatusEx`;
+  try {
+    const allowed = await fetch(url, { headers: { Origin: 'https://www.pragmaticaudio.com' } });
+    assert.equal(allowed.status, 200);
+    assert.equal(allowed.headers.get('access-control-allow-origin'), 'https://www.pragmaticaudio.com');
+    const other = await fetch(url, { headers: { Origin: 'https://example.com' } });
+    assert.equal(other.status, 403);
+  } finally {
+    await close(bridge);
+    await wiim.close();
+  }
+});
+
+test('an unreachable or silent device is a 502 or 504', async ({ bridgeUrl }) => {
+  const gone = await startFakeDevice('wiim');
+  await gone.close();
+  const unreachable = await fetch(`${bridgeUrl}/http/127.0.0.1:${gone.port}/httpapi.asp?command=getStatusEx`,
+    { headers: { Origin: DEFAULT_ALLOWED_ORIGIN } });
+  assert.equal(unreachable.status, 502);
+  assert.equal(unreachable.headers.get('access-control-allow-origin'), DEFAULT_ALLOWED_ORIGIN, 'readable by the page too');
+
+  const sockets = new Set();
+  const silent = (await import('http')).createServer(() => {});
+  silent.on('connection', socket => sockets.add(socket));
+  const silentUrl = await listen(silent);
+  const bridge = createBridge({ timeoutMs: 200 });
+  const bridgeAt = await listen(bridge);
+  try {
+    const slow = await fetch(`${bridgeAt}/http/${new URL(silentUrl).host}/dev/info.cgi?action=syncData`);
+    assert.equal(slow.status, 504);
+  } finally {
+    sockets.forEach(s => s.destroy());
+    await close(bridge);
+    await close(silent);
+  }
+});
+
+// Node cannot fetch the constraints file by path; it is what makes WiiM write-only
+const constraints = fs.readFileSync(new URL('../devicePEQ/peqConstraintsConfig.json', import.meta.url));
+await loadPeqConstraintsConfig(`data:application/json;base64,${constraints.toString('base64')}`);
+
+const bridge = createBridge();
+const bridgeUrl = await listen(bridge);
+let failed = 0;
+const quiet = { log: console.log, warn: console.warn, error: console.error };
+for (const { name, fn } of tests) {
+  // The handlers log every request; only the results are of interest here
+  console.log = console.warn = console.error = () => {};
+  try {
+    await fn({ bridgeUrl });
+    quiet.log(`  ✓ ${name}`);
+  } catch (error) {
+    failed++;
+    quiet.log(`  ✗ ${name}\n    ${error.stack ?? error}`);
+  } finally {
+    Object.assign(console, quiet);
+  }
+}
+await close(bridge);
+console.log(`\n${tests.length - failed} passed, ${failed} failed`);
+process.exit(failed ? 1 : 0);
@@ -35,6 +35,8 @@ import {
   REF_LEVEL
 } from './sweepFineTuning.js';
 
+import { openSettings } from '../devicePEQ/settingsStore.js';
+
 // Context-specific info for each fine-tuning method
 const ERB_TUNING_INFO = {
   title: "ERB Volume Levelling",
@@ -192,39 +194,34 @@ export default async function initializeTreblizerPEQPlugin(context) {
   let peqFilters = [];
   let selectedFilterIndex = -1; // which filter from peqFilters user is targeting
 
-  // Sweep range (configurable via cookie)
+  // Sweep range, speed and advanced mode persist (settingsStore.js); version 1
+  // took them over from the treblizer* cookies.
+  const settings = await openSettings('treblizerPEQ', {
+    version: 1,
+    migrations: {
+      1: (values, legacy) => {
+        const range = legacy.takeCookie('treblizerSweepRange');
+        if (range) values.sweepRange = range.split(',').map(Number);
+        const speed = legacy.takeCookie('treblizerSweepSpeedSec');
+        if (speed) values.sweepSpeedSec = Number(speed);
+        const advanced = legacy.takeCookie('treblizerAdvancedMode');
+        if (advanced) values.advancedMode = advanced === '1';
+      },
+    },
+  });
+
   let sweepFStart = 4000;
   let sweepFEnd = 16000;
 
-  function setCookie(name, value, days=365) {
-    try {
-      const d = new Date(); d.setTime(d.getTime() + (days*24*60*60*1000));
-      document.cookie = `${name}=${encodeURIComponent(value)};expires=${d.toUTCString()};path=/`;
-    } catch (_) {}
-  }
-  function getCookie(name) {
-    try {
-      const cname = name + '=';
-      const parts = (document.cookie||'').split(';');
-      for (let c of parts) {
-        c = c.trim();
-        if (c.indexOf(cname) === 0) return decodeURIComponent(c.substring(cname.length));
-      }
-    } catch (_) {}
-    return null;
-  }
-
-  function loadSweepRangeFromCookie(){
-    const v = getCookie('treblizerSweepRange');
-    if (!v) return;
-    const bits = v.split(',').map(Number);
-    if (bits.length===2 && isFinite(bits[0]) && isFinite(bits[1]) && bits[0]>0 && bits[1]>bits[0]){
+  function loadSweepRange(){
+    const bits = settings.get('sweepRange');
+    if (Array.isArray(bits) && bits.length===2 && isFinite(bits[0]) && isFinite(bits[1]) && bits[0]>0 && bits[1]>bits[0]){
       sweepFStart = Math.max(20, Math.round(bits[0]));
       sweepFEnd = Math.min(24000, Math.round(bits[1]));
     }
   }
 
-  loadSweepRangeFromCookie();
+  loadSweepRange();
 
   // Audio state (scoped within plugin)
   let audioCtx = null;
@@ -550,7 +547,7 @@ export default async function initializeTreblizerPEQPlugin(context) {
         <input type="number" id="sweepStartT" min="1000" max="20000" step="100" style="width:100px;background:#101215;color:#e3e3e3;border:1px solid #2c3035;border-radius:4px;padding:4px;">
         <label class="treb-label" style="margin:0;">End (Hz):</label>
         <input type="number" id="sweepEndT" min="2000" max="24000" step="100" style="width:100px;background:#101215;color:#e3e3e3;border:1px solid #2c3035;border-radius:4px;padding:4px;">
-        <button class="treb-btn secondary" id="sweepRangeSaveT" title="Save as default (cookie)">Save</button>
+        <button class="treb-btn secondary" id="sweepRangeSaveT" title="Save as default">Save</button>
       </div>
       <div id="advancedSweepSpeedWrapT" class="peq-sliders" style="margin-top:6px;">
         <div class="slider-panel">
@@ -922,7 +919,7 @@ export default async function initializeTreblizerPEQPlugin(context) {
     };
     sweepStartInput.addEventListener('change', applySweepRangeInputs);
     sweepEndInput.addEventListener('change', applySweepRangeInputs);
-    sweepRangeSaveBtn.addEventListener('click', () => { setCookie('treblizerSweepRange', `${sweepFStart},${sweepFEnd}`); updateSweepRangeUI(); });
+    sweepRangeSaveBtn.addEventListener('click', () => { settings.set('sweepRange', [sweepFStart, sweepFEnd]); updateSweepRangeUI(); });
 
     function isFilterLocked(f){
       // Rules:
@@ -1047,25 +1044,19 @@ export default async function initializeTreblizerPEQPlugin(context) {
       }, 100);
     }
 
-    // Initialize sweep speed from cookie if available
-    try {
-      const spdCookie = getCookie('treblizerSweepSpeedSec');
-      const spdNum = spdCookie ? Number(spdCookie) : NaN;
-      if (isFinite(spdNum)) {
-        const clamped = Math.max(2, Math.min(60, Math.round(spdNum)));
-        sweepSpeed.value = String(clamped);
-        sweepDurationSec = clamped;
-      }
-    } catch (_) {}
+    // Initialize sweep speed from settings if available
+    const spdNum = Number(settings.get('sweepSpeedSec', NaN));
+    if (isFinite(spdNum)) {
+      const clamped = Math.max(2, Math.min(60, Math.round(spdNum)));
+      sweepSpeed.value = String(clamped);
+      sweepDurationSec = clamped;
+    }
     sweepSpeedLabel.textContent = sweepSpeed.value;
 
     // Default labels
     updateStepLabels();
     // Advanced mode init/persist
-    try {
-      const advCookie = getCookie('treblizerAdvancedMode');
-      advancedMode = advCookie ? advCookie === '1' : false;
-    } catch (_) { advancedMode = false; }
+    advancedMode = settings.get('advancedMode', false) === true;
     if (advancedModeElem) advancedModeElem.checked = !!advancedMode;
 
     const applyAdvancedModeUI = () => {
@@ -1081,7 +1072,7 @@ export default async function initializeTreblizerPEQPlugin(context) {
     if (advancedModeElem) {
       advancedModeElem.addEventListener('change', () => {
         advancedMode = !!advancedModeElem.checked;
-        setCookie('treblizerAdvancedMode', advancedMode ? '1' : '0');
+        settings.set('advancedMode', advancedMode);
         applyAdvancedModeUI();
         updateRevisitModeUI();
       });
@@ -1094,7 +1085,7 @@ export default async function initializeTreblizerPEQPlugin(context) {
     resizeEQCanvas();
 
     // Sweep handlers
-    sweepSpeed.addEventListener('input', () => { sweepSpeedLabel.textContent = sweepSpeed.value; sweepDurationSec = Number(sweepSpeed.value); setCookie('treblizerSweepSpeedSec', String(sweepDurationSec)); });
+    sweepSpeed.addEventListener('input', () => { sweepSpeedLabel.textContent = sweepSpeed.value; sweepDurationSec = Number(sweepSpeed.value); settings.set('sweepSpeedSec', sweepDurationSec); });
     document.addEventListener('keydown', (e) => { if (sweepActive && e.key.toLowerCase()==='m' && currentSweepFreq) { addSweepMark(currentSweepFreq); } });
     document.getElementById('sweepStartBtnT').addEventListener('click', startSweep);
     document.getElementById('sweepStopBtnT').addEventListener('click', stopSweep);